@@ -0,0 +1,61 @@
+-- ============================================
+-- GPS breadcrumbs: route replay and mileage log
+-- ============================================
+-- route_locations was only written during active door-to-door routes and
+-- never read back. Route replay (route-detail.html) and the mileage log
+-- (routes.html, Mileage tab) read it per route and per user per day, and
+-- cleaning staff record points while mileage tracking is on (jobs.html),
+-- so points may belong to a job or to no route at all.
+-- Run in Supabase SQL Editor after ADD_ROUTE_MANAGEMENT_SCHEMA.sql and
+-- ADD_RBAC_AUDIT_LOGGING.sql
+-- ============================================
+
+BEGIN;
+
+ALTER TABLE route_locations ALTER COLUMN route_id DROP NOT NULL;
+ALTER TABLE route_locations ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE;
+ALTER TABLE route_locations ADD COLUMN IF NOT EXISTS job_id UUID REFERENCES jobs(id) ON DELETE SET NULL;
+ALTER TABLE route_locations ADD COLUMN IF NOT EXISTS altitude NUMERIC(8, 2);
+ALTER TABLE route_locations ADD COLUMN IF NOT EXISTS heading NUMERIC(5, 2);
+ALTER TABLE route_locations ADD COLUMN IF NOT EXISTS speed NUMERIC(8, 2);
+
+COMMENT ON COLUMN route_locations.route_id IS 'Door-to-door route being worked; NULL for mileage tracking outside routes';
+COMMENT ON COLUMN route_locations.job_id IS 'Job being worked or travelled to when the point was recorded';
+
+CREATE INDEX IF NOT EXISTS idx_route_locations_user_recorded ON route_locations(user_id, recorded_at);
+CREATE INDEX IF NOT EXISTS idx_route_locations_job_id ON route_locations(job_id) WHERE job_id IS NOT NULL;
+
+-- Points are recorded by the person carrying the device, against their own route if any
+DROP POLICY IF EXISTS "Assigned reps can create route locations" ON route_locations;
+DROP POLICY IF EXISTS "Users can record locations during active routes" ON route_locations;
+DROP POLICY IF EXISTS "Users can record their own locations" ON route_locations;
+CREATE POLICY "Users can record their own locations"
+  ON route_locations FOR INSERT
+  WITH CHECK (
+    user_id = auth.uid()
+    AND (
+      route_id IS NULL
+      OR EXISTS (
+        SELECT 1 FROM routes r
+        WHERE r.id = route_locations.route_id
+        AND r.assigned_rep_id = auth.uid()
+      )
+    )
+  );
+
+-- Replay and mileage need points after the route has ended
+DROP POLICY IF EXISTS "Users can view route locations for accessible routes" ON route_locations;
+DROP POLICY IF EXISTS "Users can view route locations" ON route_locations;
+DROP POLICY IF EXISTS "Users can view their own or managed locations" ON route_locations;
+CREATE POLICY "Users can view their own or managed locations"
+  ON route_locations FOR SELECT
+  USING (
+    user_id = auth.uid()
+    OR EXISTS (
+      SELECT 1 FROM user_profiles
+      WHERE id = auth.uid()
+      AND role IN ('admin', 'super_admin', 'manager')
+    )
+  );
+
+COMMIT;
@@ -0,0 +1,34 @@
+-- ============================================
+-- Daily job dispatch for cleaning crews
+-- ============================================
+-- The dispatch planner on the Jobs page (js/job-dispatch.js) routes a day's
+-- jobs across the available staff: it needs each site's coordinates, each
+-- job's arrival window and required skills, and each worker's skills and
+-- optional home base. Accepting a plan sets assigned_worker_id and
+-- scheduled_datetime on every planned job; scheduled_window_end keeps the
+-- latest allowed start so the day can be re-dispatched.
+-- Run in Supabase SQL Editor after ADD_SCHEDULED_TIME.sql and
+-- ADD_ASSIGNED_WORKER_TO_JOBS.sql
+-- ============================================
+
+BEGIN;
+
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS latitude DECIMAL(10, 8);
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS longitude DECIMAL(11, 8);
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS required_skills TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS scheduled_window_end TIMESTAMPTZ;
+
+COMMENT ON COLUMN jobs.required_skills IS 'Skills a worker needs for this job, e.g. {floor_care, biohazard}';
+COMMENT ON COLUMN jobs.scheduled_window_end IS 'Latest start time; scheduled_datetime is the earliest. NULL = dispatch default window';
+
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS skills TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS home_latitude DECIMAL(10, 8);
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS home_longitude DECIMAL(11, 8);
+
+COMMENT ON COLUMN user_profiles.skills IS 'Skills matched against jobs.required_skills when dispatching';
+COMMENT ON COLUMN user_profiles.home_latitude IS 'Where the worker starts their day; NULL = centre of the day''s sites';
+
+CREATE INDEX IF NOT EXISTS idx_jobs_dispatch_day ON jobs(scheduled_datetime, status);
+
+COMMIT;
@@ -0,0 +1,48 @@
+-- ============================================
+-- Offline job cache for field staff
+-- ============================================
+-- jobs.html and the dashboard keep a copy of the signed-in worker's jobs for
+-- the next 7 days, with their sites and task checklists, in IndexedDB
+-- (js/services/job-cache-service.js). Each refresh lists id + updated_at for
+-- what the worker should have and downloads only the rows that changed, so
+-- every cached table needs an updated_at that moves on every edit. Sites also
+-- get access notes (keys, alarm codes, entry hours) for the worker on site.
+-- Run in Supabase SQL Editor after ADD_SCHEDULED_TIME.sql and
+-- ADD_ASSIGNED_WORKER_TO_JOBS.sql
+-- ============================================
+
+BEGIN;
+
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS access_notes TEXT;
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE job_tasks ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+COMMENT ON COLUMN sites.access_notes IS 'Keys, alarm codes, entry hours and restricted areas; cached on workers'' devices';
+
+CREATE OR REPLACE FUNCTION touch_offline_cache_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_touch_sites_updated_at ON sites;
+CREATE TRIGGER trigger_touch_sites_updated_at
+  BEFORE UPDATE ON sites
+  FOR EACH ROW EXECUTE FUNCTION touch_offline_cache_updated_at();
+
+DROP TRIGGER IF EXISTS trigger_touch_jobs_updated_at ON jobs;
+CREATE TRIGGER trigger_touch_jobs_updated_at
+  BEFORE UPDATE ON jobs
+  FOR EACH ROW EXECUTE FUNCTION touch_offline_cache_updated_at();
+
+DROP TRIGGER IF EXISTS trigger_touch_job_tasks_updated_at ON job_tasks;
+CREATE TRIGGER trigger_touch_job_tasks_updated_at
+  BEFORE UPDATE ON job_tasks
+  FOR EACH ROW EXECUTE FUNCTION touch_offline_cache_updated_at();
+
+CREATE INDEX IF NOT EXISTS idx_jobs_worker_schedule ON jobs(assigned_worker_id, scheduled_datetime);
+
+COMMIT;
@@ -0,0 +1,264 @@
+-- ============================================
+-- Annual price escalation for service agreements
+-- ============================================
+-- An escalation run raises the monthly price of a set of active service
+-- agreements (picked by service type, site or client account) by CPI or a
+-- flat percentage from an effective date. Each agreement gets a
+-- price_escalation_items row with its old and new price and the client
+-- notice. The process-price-escalations Edge Function emails the notices
+-- and, on the effective date, applies the new prices. Every price an
+-- agreement has had is kept in service_agreement_price_history. Recurring
+-- jobs carry no price of their own; they bill through their agreement.
+-- Run in Supabase SQL Editor after ADD_QUOTE_DISCOUNTS_SCHEMA.sql
+-- ============================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS price_escalations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL, -- e.g. "2027 annual increase"
+  method TEXT NOT NULL CHECK (method IN ('cpi', 'flat')),
+  rate_pct NUMERIC(6,3) NOT NULL CHECK (rate_pct > 0 AND rate_pct <= 25),
+  effective_date DATE NOT NULL,
+  filters JSONB NOT NULL DEFAULT '{}', -- { serviceTypes, siteIds, clientIds } used to pick the agreements
+  status TEXT NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'applied', 'cancelled')),
+  agreement_count INTEGER NOT NULL DEFAULT 0,
+  old_monthly_total NUMERIC(12,2) NOT NULL DEFAULT 0,
+  new_monthly_total NUMERIC(12,2) NOT NULL DEFAULT 0,
+  applied_at TIMESTAMPTZ,
+  cancelled_at TIMESTAMPTZ,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS price_escalation_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  escalation_id UUID REFERENCES price_escalations(id) ON DELETE CASCADE NOT NULL,
+  service_agreement_id UUID REFERENCES service_agreements(id) ON DELETE CASCADE NOT NULL,
+  site_id BIGINT REFERENCES sites(id) ON DELETE SET NULL,
+  old_monthly_price NUMERIC(12,2) NOT NULL,
+  new_monthly_price NUMERIC(12,2) NOT NULL,
+  old_per_visit_price NUMERIC(12,2),
+  new_per_visit_price NUMERIC(12,2),
+  notice JSONB NOT NULL, -- { subject, paragraphs } sent to the client
+  notice_emails TEXT[] DEFAULT '{}',
+  notice_sent_at TIMESTAMPTZ,
+  notice_message_id TEXT,
+  status TEXT NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'applied', 'skipped', 'cancelled')),
+  applied_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  UNIQUE (escalation_id, service_agreement_id)
+);
+
+-- An agreement can only have one increase waiting at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_price_escalation_items_scheduled
+  ON price_escalation_items(service_agreement_id) WHERE status = 'scheduled';
+CREATE INDEX IF NOT EXISTS idx_price_escalation_items_escalation ON price_escalation_items(escalation_id);
+CREATE INDEX IF NOT EXISTS idx_price_escalations_due ON price_escalations(effective_date) WHERE status = 'scheduled';
+
+CREATE TABLE IF NOT EXISTS service_agreement_price_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  service_agreement_id UUID REFERENCES service_agreements(id) ON DELETE CASCADE NOT NULL,
+  monthly_price NUMERIC(12,2) NOT NULL,
+  per_visit_price NUMERIC(12,2),
+  previous_monthly_price NUMERIC(12,2),
+  effective_date DATE NOT NULL,
+  change_reason TEXT NOT NULL CHECK (change_reason IN ('quote', 'escalation')),
+  escalation_id UUID REFERENCES price_escalations(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_service_agreement_price_history_agreement
+  ON service_agreement_price_history(service_agreement_id, effective_date);
+
+COMMENT ON TABLE price_escalations IS 'Annual price increase run across service agreements';
+COMMENT ON TABLE service_agreement_price_history IS 'Every monthly price a service agreement has had, oldest first';
+
+-- The accepted quote price is the first entry of every agreement's history
+INSERT INTO service_agreement_price_history (service_agreement_id, monthly_price, per_visit_price, effective_date, change_reason)
+SELECT sa.id, sa.monthly_price, sa.per_visit_price, sa.start_date, 'quote'
+FROM service_agreements sa
+WHERE NOT EXISTS (
+  SELECT 1 FROM service_agreement_price_history h WHERE h.service_agreement_id = sa.id
+);
+
+CREATE OR REPLACE FUNCTION record_service_agreement_initial_price()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO service_agreement_price_history (service_agreement_id, monthly_price, per_visit_price, effective_date, change_reason)
+  VALUES (NEW.id, NEW.monthly_price, NEW.per_visit_price, NEW.start_date, 'quote');
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trigger_record_service_agreement_initial_price ON service_agreements;
+CREATE TRIGGER trigger_record_service_agreement_initial_price
+  AFTER INSERT ON service_agreements
+  FOR EACH ROW EXECUTE FUNCTION record_service_agreement_initial_price();
+
+-- Apply every scheduled increase due on or before p_as_of
+-- Cancelled agreements are skipped. Tax and monthly_total scale with the price.
+-- Returns the number of agreements repriced.
+CREATE OR REPLACE FUNCTION apply_due_price_escalations(p_as_of DATE DEFAULT CURRENT_DATE)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  item RECORD;
+  applied_count INTEGER := 0;
+BEGIN
+  FOR item IN
+    SELECT i.*, e.effective_date, sa.status AS agreement_status, sa.monthly_price AS current_price
+    FROM price_escalation_items i
+    JOIN price_escalations e ON e.id = i.escalation_id
+    JOIN service_agreements sa ON sa.id = i.service_agreement_id
+    WHERE i.status = 'scheduled'
+      AND e.status = 'scheduled'
+      AND e.effective_date <= p_as_of
+    FOR UPDATE OF i SKIP LOCKED
+  LOOP
+    IF item.agreement_status <> 'active' THEN
+      UPDATE price_escalation_items SET status = 'skipped' WHERE id = item.id;
+      CONTINUE;
+    END IF;
+
+    UPDATE service_agreements
+    SET
+      monthly_price = item.new_monthly_price,
+      per_visit_price = COALESCE(item.new_per_visit_price, per_visit_price),
+      tax = CASE WHEN monthly_price > 0 THEN ROUND(COALESCE(tax, 0) * item.new_monthly_price / monthly_price, 2) ELSE tax END,
+      monthly_total = CASE
+        WHEN monthly_price > 0 THEN item.new_monthly_price + ROUND(COALESCE(tax, 0) * item.new_monthly_price / monthly_price, 2)
+        ELSE monthly_total
+      END
+    WHERE id = item.service_agreement_id;
+
+    INSERT INTO service_agreement_price_history (
+      service_agreement_id, monthly_price, per_visit_price, previous_monthly_price,
+      effective_date, change_reason, escalation_id
+    ) VALUES (
+      item.service_agreement_id, item.new_monthly_price, item.new_per_visit_price, item.current_price,
+      item.effective_date, 'escalation', item.escalation_id
+    );
+
+    UPDATE price_escalation_items SET status = 'applied', applied_at = NOW() WHERE id = item.id;
+    applied_count := applied_count + 1;
+  END LOOP;
+
+  -- A run is applied once nothing in it is still waiting
+  UPDATE price_escalations e
+  SET status = 'applied', applied_at = NOW()
+  WHERE e.status = 'scheduled'
+    AND e.effective_date <= p_as_of
+    AND NOT EXISTS (
+      SELECT 1 FROM price_escalation_items i WHERE i.escalation_id = e.id AND i.status = 'scheduled'
+    );
+
+  RETURN applied_count;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION apply_due_price_escalations(DATE) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION apply_due_price_escalations(DATE) TO service_role;
+
+ALTER TABLE price_escalations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE price_escalation_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE service_agreement_price_history ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access to price_escalations" ON price_escalations;
+CREATE POLICY "Service role full access to price_escalations"
+  ON price_escalations FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Managers can manage price_escalations" ON price_escalations;
+CREATE POLICY "Managers can manage price_escalations"
+  ON price_escalations FOR ALL
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM user_profiles
+      WHERE id = auth.uid() AND role IN ('admin', 'super_admin', 'manager')
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM user_profiles
+      WHERE id = auth.uid() AND role IN ('admin', 'super_admin', 'manager')
+    )
+  );
+
+DROP POLICY IF EXISTS "Service role full access to price_escalation_items" ON price_escalation_items;
+CREATE POLICY "Service role full access to price_escalation_items"
+  ON price_escalation_items FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Managers can manage price_escalation_items" ON price_escalation_items;
+CREATE POLICY "Managers can manage price_escalation_items"
+  ON price_escalation_items FOR ALL
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM user_profiles
+      WHERE id = auth.uid() AND role IN ('admin', 'super_admin', 'manager')
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM user_profiles
+      WHERE id = auth.uid() AND role IN ('admin', 'super_admin', 'manager')
+    )
+  );
+
+DROP POLICY IF EXISTS "Service role full access to service_agreement_price_history" ON service_agreement_price_history;
+CREATE POLICY "Service role full access to service_agreement_price_history"
+  ON service_agreement_price_history FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+-- History is written by the trigger and apply_due_price_escalations() only
+DROP POLICY IF EXISTS "Staff can view service_agreement_price_history" ON service_agreement_price_history;
+CREATE POLICY "Staff can view service_agreement_price_history"
+  ON service_agreement_price_history FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM user_profiles
+      WHERE id = auth.uid() AND role IN ('admin', 'super_admin', 'manager', 'rep')
+    )
+  );
+
+COMMIT;
+
+-- ============================================
+-- Daily schedule (requires pg_cron and pg_net)
+-- ============================================
+-- Replace YOUR_PROJECT_REF, YOUR_ANON_KEY and YOUR_CRON_SECRET (the CRON_SECRET
+-- function secret) before running.
+-- Runs at 10:00 UTC (5 AM Eastern) so new prices are in place before the day's visits.
+
+SELECT cron.unschedule('process-price-escalations') WHERE EXISTS (
+  SELECT 1 FROM cron.job WHERE jobname = 'process-price-escalations'
+);
+
+SELECT cron.schedule(
+  'process-price-escalations',
+  '0 10 * * *',
+  $$
+  SELECT net.http_post(
+    url := 'https://YOUR_PROJECT_REF.supabase.co/functions/v1/process-price-escalations',
+    headers := jsonb_build_object(
+      'Content-Type', 'application/json',
+      'Authorization', 'Bearer YOUR_ANON_KEY',
+      'X-Cron-Secret', 'YOUR_CRON_SECRET'
+    )::jsonb,
+    body := '{}'::jsonb
+  ) AS request_id;
+  $$
+);
@@ -0,0 +1,222 @@
+-- ============================================
+-- Quote discounts & approval thresholds
+-- ============================================
+-- Discounts are explicit: percent or fixed amount, per line item or on the
+-- whole quote, always with a reason code. The pricebook sets how large a
+-- discount may be before a manager (or, above a second threshold, an admin)
+-- must approve the revision; until then it cannot be sent. The database works
+-- the discount out from the quoted line items against the engine price, so
+-- typing lower prices counts whatever the client writes to the discount
+-- columns. Approval requests and decisions are logged to quote_events, and
+-- discount_total / discount_pct feed the discount-by-rep report.
+-- Run in Supabase SQL Editor after ADD_QUOTE_EXPIRY_SCHEMA.sql
+-- ============================================
+
+BEGIN;
+
+ALTER TABLE quote_revisions ADD COLUMN IF NOT EXISTS discount JSONB; -- { type, value, reason, note, manager_approval_pct, admin_approval_pct }
+ALTER TABLE quote_revisions ADD COLUMN IF NOT EXISTS list_subtotal NUMERIC(12,2); -- Price before discounts
+ALTER TABLE quote_revisions ADD COLUMN IF NOT EXISTS discount_total NUMERIC(12,2) NOT NULL DEFAULT 0;
+ALTER TABLE quote_revisions ADD COLUMN IF NOT EXISTS discount_pct NUMERIC(6,4) NOT NULL DEFAULT 0;
+ALTER TABLE quote_revisions ADD COLUMN IF NOT EXISTS approval_role TEXT
+  CHECK (approval_role IN ('manager', 'admin')); -- Lowest role that may approve a pending revision
+ALTER TABLE quote_revisions ADD COLUMN IF NOT EXISTS approved_discount_pct NUMERIC(6,4); -- Set by the approval trigger only
+
+-- A discount without a reason code cannot be saved
+ALTER TABLE quote_revisions DROP CONSTRAINT IF EXISTS quote_revisions_discount_reason_check;
+ALTER TABLE quote_revisions ADD CONSTRAINT quote_revisions_discount_reason_check
+  CHECK (discount_total = 0 OR (discount IS NOT NULL AND discount ? 'reason' AND discount->>'reason' IS NOT NULL));
+
+ALTER TABLE quote_line_items ADD COLUMN IF NOT EXISTS discount_type TEXT CHECK (discount_type IN ('percent', 'amount'));
+ALTER TABLE quote_line_items ADD COLUMN IF NOT EXISTS discount_value NUMERIC(12,2);
+ALTER TABLE quote_line_items ADD COLUMN IF NOT EXISTS discount_reason TEXT;
+ALTER TABLE quote_line_items ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(12,2);
+
+ALTER TABLE quote_line_items DROP CONSTRAINT IF EXISTS quote_line_items_discount_reason_check;
+ALTER TABLE quote_line_items ADD CONSTRAINT quote_line_items_discount_reason_check
+  CHECK (COALESCE(discount_value, 0) = 0 OR discount_reason IS NOT NULL);
+
+-- Discount-by-rep report scans sent revisions by date
+CREATE INDEX IF NOT EXISTS idx_quote_revisions_sent_discounts ON quote_revisions(sent_at)
+  WHERE sent_at IS NOT NULL;
+
+COMMENT ON COLUMN quote_revisions.discount IS 'Whole-quote discount and the approval thresholds it was priced under';
+COMMENT ON COLUMN quote_revisions.discount_pct IS 'Share of the list price given away (largest tier share for tiered quotes)';
+COMMENT ON COLUMN quote_revisions.approved_discount_pct IS 'Discount share a manager approved; a larger discount needs approving again';
+COMMENT ON COLUMN quote_revisions.approval_role IS 'admin when the discount is above the pricebook admin threshold, otherwise manager';
+
+-- Approval requests and decisions are part of the quote audit trail
+ALTER TABLE quote_events DROP CONSTRAINT IF EXISTS quote_events_event_type_check;
+ALTER TABLE quote_events ADD CONSTRAINT quote_events_event_type_check CHECK (event_type IN (
+  'sent', 'viewed', 'pdf_downloaded', 'accepted', 'declined', 'expired', 'withdrawn',
+  'walkthrough_scheduled', 'walkthrough_rescheduled', 'walkthrough_completed', 'walkthrough_no_show',
+  'revision_created', 'expiry_reminder_sent', 'reissued',
+  'approval_requested', 'approved', 'rejected'
+));
+
+-- Largest share of the list price given away on any option of a revision (the
+-- quote, or each tier), from what is actually quoted: the line items after their
+-- own discounts, or the revision or tier subtotal if lower. The list price is the
+-- highest of the undiscounted lines, that subtotal and the engine price, so lines
+-- typed in below the engine price count as a discount. Rewriting the engine
+-- price as well still leaves the margin guard (quote_revision_margin()).
+CREATE OR REPLACE FUNCTION quote_revision_discount_pct(p_revision quote_revisions)
+RETURNS NUMERIC AS $$
+  WITH lines AS (
+    SELECT COALESCE(tier, '') AS option_key,
+           CASE WHEN unit = 'range' THEN 0
+             ELSE COALESCE(quantity, 1) * COALESCE(unit_price, 0) * COALESCE(frequency_multiplier, 1)
+           END AS amount,
+           discount_type,
+           discount_value
+      FROM quote_line_items
+     WHERE quote_id = p_revision.quote_id
+       AND revision_number = p_revision.revision_number
+  ),
+  line_totals AS (
+    -- Negative lines (e.g. a "Discount" line) come off the quoted price, not the list price
+    SELECT option_key,
+           SUM(GREATEST(amount, 0)) AS list_total,
+           SUM(amount - CASE
+             WHEN amount <= 0 OR COALESCE(discount_value, 0) <= 0 THEN 0
+             WHEN discount_type = 'amount' THEN LEAST(amount, discount_value)
+             ELSE LEAST(amount, amount * discount_value / 100)
+           END) AS net_total
+      FROM lines
+     GROUP BY option_key
+  ),
+  options AS (
+    SELECT tier_option->>'key' AS option_key,
+           (tier_option->>'subtotal')::NUMERIC AS subtotal,
+           NULL::NUMERIC AS engine_price
+      FROM jsonb_array_elements(
+        CASE WHEN jsonb_typeof(p_revision.tier_options) = 'array' THEN p_revision.tier_options ELSE '[]'::JSONB END
+      ) AS tier_option
+    UNION ALL
+    SELECT '',
+           p_revision.subtotal,
+           GREATEST(
+             (p_revision.quote_calculation_outputs->>'list_price_ex_hst')::NUMERIC,
+             (p_revision.quote_calculation_outputs->>'monthly_price_ex_hst')::NUMERIC
+           )
+     WHERE COALESCE(jsonb_array_length(
+       CASE WHEN jsonb_typeof(p_revision.tier_options) = 'array' THEN p_revision.tier_options END
+     ), 0) = 0
+  ),
+  priced AS (
+    SELECT GREATEST(line_totals.list_total, options.subtotal, options.engine_price) AS list_price,
+           LEAST(line_totals.net_total, NULLIF(options.subtotal, 0)) AS quoted_price
+      FROM options
+      LEFT JOIN line_totals USING (option_key)
+  )
+  SELECT COALESCE(MAX(LEAST(1, GREATEST(0, 1 - quoted_price / list_price))), 0)
+    FROM priced
+   WHERE list_price > 0 AND quoted_price IS NOT NULL;
+$$ LANGUAGE sql STABLE;
+
+-- Revisions approved before approved_discount_pct existed were approved at their stored discount
+ALTER TABLE quote_revisions DISABLE TRIGGER trigger_enforce_quote_revision_approval;
+UPDATE quote_revisions
+SET approved_discount_pct = discount_pct
+WHERE approval_status = 'approved'
+  AND approved_discount_pct IS NULL;
+ALTER TABLE quote_revisions ENABLE TRIGGER trigger_enforce_quote_revision_approval;
+
+-- Same guard as ADD_QUOTE_MARGIN_GUARDRAILS_SCHEMA.sql, plus admin-level discounts.
+-- Margin status comes from quote_revision_margin() (ADD_QUOTE_MARGIN_GUARDRAILS_SCHEMA.sql).
+-- The discount is the larger of quote_revision_discount_pct() and what the client
+-- wrote, judged against the thresholds of the pricebook the revision was priced
+-- under (built-in ones without a pricebook). The discount a manager approved is
+-- recorded here too, so neither the approval nor its size can be written by a rep.
+CREATE OR REPLACE FUNCTION enforce_quote_revision_approval()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_role TEXT;
+  v_margin RECORD;
+  v_thresholds JSONB;
+  v_discount_pct NUMERIC;
+  v_required_role TEXT;
+BEGIN
+  IF auth.role() IS DISTINCT FROM 'service_role' THEN
+    NEW.approved_discount_pct := CASE WHEN TG_OP = 'UPDATE' THEN OLD.approved_discount_pct END;
+
+    SELECT * INTO v_margin FROM quote_revision_margin(NEW);
+    NEW.gross_margin_pct := v_margin.gross_margin_pct;
+    NEW.margin_status := v_margin.margin_status;
+
+    IF NEW.margin_status = 'approval_required' THEN
+      IF NEW.approval_status = 'not_required' THEN
+        NEW.approval_status := 'pending';
+        NEW.approval_requested_by := COALESCE(NEW.approval_requested_by, auth.uid());
+        NEW.approval_requested_at := COALESCE(NEW.approval_requested_at, NOW());
+      END IF;
+      IF NOT (NEW.approval_reasons ? 'margin_floor') THEN
+        NEW.approval_reasons := NEW.approval_reasons || '["margin_floor"]'::JSONB;
+      END IF;
+    END IF;
+
+    SELECT config->'discounts' INTO v_thresholds FROM quote_pricebooks WHERE id = NEW.pricebook_id;
+    v_discount_pct := ROUND(LEAST(1, GREATEST(
+      quote_revision_discount_pct(NEW),
+      COALESCE(NEW.discount_pct, 0),
+      CASE WHEN COALESCE(NEW.list_subtotal, 0) > 0 THEN COALESCE(NEW.discount_total, 0) / NEW.list_subtotal ELSE 0 END
+    )), 4);
+    NEW.discount_pct := v_discount_pct;
+    v_required_role := CASE
+      WHEN v_discount_pct > COALESCE((v_thresholds->>'adminApprovalPct')::NUMERIC, 0.20) THEN 'admin'
+      WHEN v_discount_pct > COALESCE((v_thresholds->>'managerApprovalPct')::NUMERIC, 0.10) THEN 'manager'
+    END;
+
+    IF v_required_role IS NOT NULL THEN
+      -- Clearing the request, or going past the discount a manager approved, sends it back for approval
+      IF NEW.approval_status = 'not_required'
+         OR (NEW.approval_status = 'approved' AND OLD.approval_status = 'approved'
+             AND v_discount_pct > COALESCE(NEW.approved_discount_pct, 0)) THEN
+        NEW.approval_status := 'pending';
+        NEW.approval_requested_by := COALESCE(NEW.approval_requested_by, auth.uid());
+        NEW.approval_requested_at := COALESCE(NEW.approval_requested_at, NOW());
+        NEW.approved_by := NULL;
+        NEW.approved_at := NULL;
+      END IF;
+      IF NOT (NEW.approval_reasons ? 'discount') THEN
+        NEW.approval_reasons := NEW.approval_reasons || '["discount"]'::JSONB;
+      END IF;
+      NEW.approval_role := CASE WHEN v_required_role = 'admin' THEN 'admin' ELSE COALESCE(NEW.approval_role, 'manager') END;
+    END IF;
+  END IF;
+
+  IF NEW.approval_status IN ('approved', 'rejected')
+     AND (TG_OP = 'INSERT' OR NEW.approval_status IS DISTINCT FROM OLD.approval_status)
+     AND auth.role() IS DISTINCT FROM 'service_role' THEN
+    SELECT role INTO v_role FROM user_profiles WHERE id = auth.uid();
+    IF v_role IS NULL OR v_role NOT IN ('manager', 'admin', 'super_admin') THEN
+      RAISE EXCEPTION 'Only managers can approve or reject quotes';
+    END IF;
+    IF NEW.approval_role = 'admin' AND v_role NOT IN ('admin', 'super_admin') THEN
+      RAISE EXCEPTION 'This discount needs admin approval';
+    END IF;
+    IF NEW.approval_status = 'approved' AND NEW.margin_status = 'blocked' THEN
+      RAISE EXCEPTION 'Quotes below the minimum margin cannot be approved';
+    END IF;
+    IF NEW.approval_status = 'approved' THEN
+      NEW.approved_discount_pct := v_discount_pct;
+    END IF;
+  END IF;
+
+  IF NEW.sent_at IS NOT NULL AND (TG_OP = 'INSERT' OR OLD.sent_at IS NULL) THEN
+    IF NEW.revision_type = 'final_quote' AND NEW.margin_status IS NULL THEN
+      RAISE EXCEPTION 'Quote has no labor estimate; price it with the quote engine before sending';
+    END IF;
+    IF NEW.margin_status = 'blocked' THEN
+      RAISE EXCEPTION 'Quote margin is below the minimum; reprice before sending';
+    END IF;
+    IF NEW.approval_status IN ('pending', 'rejected') THEN
+      RAISE EXCEPTION 'Quote requires manager approval before it can be sent';
+    END IF;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMIT;
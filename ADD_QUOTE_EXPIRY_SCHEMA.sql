@@ -0,0 +1,62 @@
+-- ============================================
+-- Scheduled quote expiry, reminders and re-issue
+-- ============================================
+-- The process-quote-expiry Edge Function runs daily. It emails the client
+-- a reminder a few days before a sent revision expires, and expires
+-- revisions past expires_at (quote status, deal at-risk flag, rep
+-- notification). Reps can re-issue an expired revision as a new,
+-- re-priced revision with a fresh portal link. Every step is logged to
+-- quote_events.
+-- Run in Supabase SQL Editor after ADD_SERVICE_AGREEMENTS_SCHEMA.sql
+-- ============================================
+
+BEGIN;
+
+ALTER TABLE quote_revisions ADD COLUMN IF NOT EXISTS expired_at TIMESTAMPTZ;
+ALTER TABLE quote_revisions ADD COLUMN IF NOT EXISTS expiry_reminder_sent_at TIMESTAMPTZ;
+ALTER TABLE quote_revisions ADD COLUMN IF NOT EXISTS reissued_from_revision INTEGER; -- Expired revision this one replaced
+ALTER TABLE quote_revisions ADD COLUMN IF NOT EXISTS reissued_as_revision INTEGER;   -- Revision that replaced this expired one
+
+COMMENT ON COLUMN quote_revisions.expired_at IS 'Set by process-quote-expiry when the revision passed expires_at unanswered';
+COMMENT ON COLUMN quote_revisions.expiry_reminder_sent_at IS 'When the client was emailed that this revision is about to expire';
+
+-- Open sent revisions, scanned by the daily job
+CREATE INDEX IF NOT EXISTS idx_quote_revisions_open_expiry ON quote_revisions(expires_at)
+  WHERE sent_at IS NOT NULL AND accepted_at IS NULL AND declined_at IS NULL AND expired_at IS NULL;
+
+-- New quote event types
+ALTER TABLE quote_events DROP CONSTRAINT IF EXISTS quote_events_event_type_check;
+ALTER TABLE quote_events ADD CONSTRAINT quote_events_event_type_check CHECK (event_type IN (
+  'sent', 'viewed', 'pdf_downloaded', 'accepted', 'declined', 'expired', 'withdrawn',
+  'walkthrough_scheduled', 'walkthrough_rescheduled', 'walkthrough_completed', 'walkthrough_no_show',
+  'revision_created', 'expiry_reminder_sent', 'reissued'
+));
+
+COMMIT;
+
+-- ============================================
+-- Daily schedule (requires pg_cron and pg_net)
+-- ============================================
+-- Replace YOUR_PROJECT_REF, YOUR_ANON_KEY and YOUR_CRON_SECRET (the CRON_SECRET
+-- function secret) before running.
+-- Runs at 14:00 UTC (9 AM Eastern) so reminders arrive in business hours.
+
+SELECT cron.unschedule('process-quote-expiry') WHERE EXISTS (
+  SELECT 1 FROM cron.job WHERE jobname = 'process-quote-expiry'
+);
+
+SELECT cron.schedule(
+  'process-quote-expiry',
+  '0 14 * * *',
+  $$
+  SELECT net.http_post(
+    url := 'https://YOUR_PROJECT_REF.supabase.co/functions/v1/process-quote-expiry',
+    headers := jsonb_build_object(
+      'Content-Type', 'application/json',
+      'Authorization', 'Bearer YOUR_ANON_KEY',
+      'X-Cron-Secret', 'YOUR_CRON_SECRET'
+    )::jsonb,
+    body := '{}'::jsonb
+  ) AS request_id;
+  $$
+);
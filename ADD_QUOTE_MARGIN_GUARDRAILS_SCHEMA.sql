@@ -0,0 +1,258 @@
+-- ============================================
+-- Quote labor estimates & margin guardrails
+-- ============================================
+-- The quote engine estimates labor hours, crew size and gross margin for
+-- every quote. Revisions below the pricebook's margin floor need manager
+-- approval before they can be sent; revisions below the block threshold
+-- cannot be sent at all, and neither can a final quote with no estimate. The
+-- guard runs in the database, costing labor from the stored quote inputs and
+-- the pricebook, so a rep cannot approve their own quote, send one that is
+-- still waiting, or lower the labor cost the margin is judged on.
+-- Run in Supabase SQL Editor after ADD_QUOTE_TIERS_SCHEMA.sql and ADD_QUOTE_PRICEBOOKS_SCHEMA.sql
+-- ============================================
+
+BEGIN;
+
+ALTER TABLE quote_revisions ADD COLUMN IF NOT EXISTS labor_estimate JSONB; -- estimateLabor() output plus margin thresholds, for display
+ALTER TABLE quote_revisions ADD COLUMN IF NOT EXISTS gross_margin_pct NUMERIC(6,4);
+ALTER TABLE quote_revisions ADD COLUMN IF NOT EXISTS margin_status TEXT
+  CHECK (margin_status IN ('ok', 'approval_required', 'blocked'));
+
+ALTER TABLE quote_revisions
+  ADD COLUMN IF NOT EXISTS approval_status TEXT NOT NULL DEFAULT 'not_required'
+    CHECK (approval_status IN ('not_required', 'pending', 'approved', 'rejected')),
+  ADD COLUMN IF NOT EXISTS approval_reasons JSONB NOT NULL DEFAULT '[]', -- e.g. ["margin_floor"]
+  ADD COLUMN IF NOT EXISTS approval_requested_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS approval_requested_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS approved_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS approved_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS rejected_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS rejected_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS rejection_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_quote_revisions_pending_approval ON quote_revisions(approval_requested_at)
+  WHERE approval_status = 'pending';
+
+COMMENT ON COLUMN quote_revisions.labor_estimate IS 'Labor hours, crew size and monthly cost from the quote engine labor model, for display (margin is costed from the quote inputs)';
+COMMENT ON COLUMN quote_revisions.gross_margin_pct IS 'Gross margin of the quoted price after labor and supplies (lowest tier for tiered quotes)';
+COMMENT ON COLUMN quote_revisions.approval_status IS 'Manager approval gate for sending this revision';
+
+-- The parts of the built-in pricebook (version 0) the margin guard reads: the first
+-- sqft band of QUOTE_CONFIG and the labor model and tier overrides of
+-- PRICEBOOK_DEFAULTS in js/quote-engine/config.js. Pricebooks saved without the
+-- labor or tiers blocks fall back to these too.
+CREATE OR REPLACE FUNCTION quote_builtin_pricebook_config()
+RETURNS JSONB AS $$
+  SELECT '{
+    "sqftBands": [{ "min": 0, "max": 1200 }],
+    "serviceSpecific": {
+      "residential_common_area": { "sqftBands": [{ "min": 0, "max": 1500 }] },
+      "residential_home": { "sqftBands": [{ "min": 0, "max": 1000 }] },
+      "realtor": { "sqftBands": [{ "min": 0, "max": 1000 }] },
+      "property_manager": { "sqftBands": [{ "min": 0, "max": 800 }] }
+    },
+    "tiers": [
+      { "key": "good", "overrides": { "high_touch_disinfection": false, "supplies_included": false, "after_hours_required": false } },
+      { "key": "better", "overrides": { "high_touch_disinfection": true, "supplies_included": false, "after_hours_required": false } },
+      { "key": "best", "overrides": { "high_touch_disinfection": true, "supplies_included": true, "after_hours_required": true } }
+    ],
+    "labor": {
+      "hourlyCost": 28,
+      "afterHoursPremium": 0.15,
+      "sqftPerHour": {
+        "default": { "mostly_hard": 2800, "mixed": 2500, "mostly_carpet": 2200 },
+        "medical_clinic": { "mostly_hard": 2000, "mixed": 1800, "mostly_carpet": 1600 },
+        "dental": { "mostly_hard": 1900, "mixed": 1700, "mostly_carpet": 1500 },
+        "physio_chiro": { "mostly_hard": 2200, "mixed": 2000, "mostly_carpet": 1800 },
+        "optical": { "mostly_hard": 2400, "mixed": 2200, "mostly_carpet": 2000 },
+        "restaurant": { "mostly_hard": 1600, "mixed": 1400, "mostly_carpet": 1200 },
+        "industrial": { "mostly_hard": 3500, "mixed": 3000, "mostly_carpet": 2600 },
+        "residential_home": { "mostly_hard": 1200, "mixed": 1100, "mostly_carpet": 1000 }
+      },
+      "minutesPerWashroom": 15,
+      "minutesPerTreatmentRoom": 10,
+      "minutesPerReception": 10,
+      "minutesPerKitchen": 15,
+      "disinfectionTimeFactor": 0.15,
+      "setupMinutesPerVisit": 10,
+      "maxHoursPerCleaner": 4,
+      "suppliesCostPerVisit": 8,
+      "consumablesCostPerWashroomVisit": 6,
+      "marginFloorPct": 0.35,
+      "marginBlockPct": 0.15
+    }
+  }'::JSONB;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Monthly labor and supplies cost of a set of quote inputs under a pricebook
+-- config, worked out as estimateLabor() in js/quote-engine/labor.js does.
+-- Missing sqft is costed at the top of the first band.
+CREATE OR REPLACE FUNCTION quote_labor_cost(p_inputs JSONB, p_config JSONB)
+RETURNS NUMERIC AS $$
+DECLARE
+  v_labor JSONB := COALESCE(p_config->'labor', quote_builtin_pricebook_config()->'labor');
+  v_service TEXT := p_inputs->>'service_type';
+  v_visits NUMERIC := COALESCE(NULLIF((p_inputs->>'frequency_per_month')::NUMERIC, 0), 4);
+  v_washrooms NUMERIC := COALESCE((p_inputs->>'num_washrooms')::NUMERIC, 0);
+  v_sqft NUMERIC := (p_inputs->>'sqft_estimate')::NUMERIC;
+  v_bands JSONB;
+  v_rates JSONB;
+  v_hours NUMERIC;
+  v_hourly_cost NUMERIC;
+BEGIN
+  IF v_sqft IS NULL OR v_sqft <= 0 THEN
+    v_bands := COALESCE(p_config->'serviceSpecific'->v_service->'sqftBands', p_config->'sqftBands');
+    v_sqft := COALESCE((v_bands->0->>'max')::NUMERIC, 1200);
+  END IF;
+
+  v_rates := COALESCE(v_labor->'sqftPerHour'->v_service, v_labor->'sqftPerHour'->'default');
+  v_hours := v_sqft / COALESCE(v_rates->>NULLIF(p_inputs->>'flooring', ''), v_rates->>'mostly_hard')::NUMERIC;
+
+  IF COALESCE((p_inputs->>'high_touch_disinfection')::BOOLEAN, false)
+     OR v_service IN ('medical_clinic', 'dental', 'physio_chiro', 'optical') THEN
+    v_hours := v_hours * (1 + (v_labor->>'disinfectionTimeFactor')::NUMERIC);
+  END IF;
+
+  v_hours := v_hours + (
+    v_washrooms * (v_labor->>'minutesPerWashroom')::NUMERIC
+    + COALESCE((p_inputs->>'num_treatment_rooms')::NUMERIC, 0) * (v_labor->>'minutesPerTreatmentRoom')::NUMERIC
+    + CASE WHEN COALESCE((p_inputs->>'has_reception')::BOOLEAN, false) THEN (v_labor->>'minutesPerReception')::NUMERIC ELSE 0 END
+    + CASE WHEN COALESCE((p_inputs->>'has_kitchen')::BOOLEAN, false) THEN (v_labor->>'minutesPerKitchen')::NUMERIC ELSE 0 END
+    + (v_labor->>'setupMinutesPerVisit')::NUMERIC
+  ) / 60;
+
+  v_hourly_cost := (v_labor->>'hourlyCost')::NUMERIC * CASE
+    WHEN COALESCE((p_inputs->>'after_hours_required')::BOOLEAN, false) THEN 1 + (v_labor->>'afterHoursPremium')::NUMERIC
+    ELSE 1
+  END;
+
+  RETURN ROUND(
+    v_hours * v_visits * v_hourly_cost
+    + v_visits * ((v_labor->>'suppliesCostPerVisit')::NUMERIC
+      + CASE WHEN COALESCE((p_inputs->>'supplies_included')::BOOLEAN, true)
+          THEN v_washrooms * (v_labor->>'consumablesCostPerWashroomVisit')::NUMERIC ELSE 0 END),
+    2
+  );
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Gross margin of a revision at its stored price, worked out as evaluateRevisionMargin()
+-- in js/quote-engine/labor.js does, but costed here from the stored quote inputs and the
+-- pricebook the revision was priced under (built-in without one), never from the
+-- labor_estimate the client wrote. Tiered quotes cost each tier with its overrides and
+-- are judged by their lowest-margin tier. No inputs or no price means no margin.
+CREATE OR REPLACE FUNCTION quote_revision_margin(
+  p_revision quote_revisions,
+  OUT gross_margin_pct NUMERIC,
+  OUT margin_status TEXT
+) AS $$
+DECLARE
+  v_inputs JSONB := p_revision.quote_calculation_inputs;
+  v_config JSONB;
+  v_tiers JSONB;
+  v_price NUMERIC;
+  v_pct NUMERIC;
+BEGIN
+  IF jsonb_typeof(v_inputs) IS DISTINCT FROM 'object' THEN
+    RETURN;
+  END IF;
+
+  SELECT config INTO v_config FROM quote_pricebooks WHERE id = p_revision.pricebook_id;
+  v_config := COALESCE(v_config, quote_builtin_pricebook_config());
+
+  IF COALESCE(jsonb_array_length(
+    CASE WHEN jsonb_typeof(p_revision.tier_options) = 'array' THEN p_revision.tier_options END
+  ), 0) > 0 THEN
+    v_tiers := CASE WHEN COALESCE(jsonb_array_length(
+      CASE WHEN jsonb_typeof(v_config->'tiers') = 'array' THEN v_config->'tiers' END
+    ), 0) > 0 THEN v_config->'tiers' ELSE quote_builtin_pricebook_config()->'tiers' END;
+
+    SELECT MIN((tier.price - quote_labor_cost(v_inputs || COALESCE(definition->'overrides', '{}'::JSONB), v_config)) / tier.price)
+      INTO v_pct
+      FROM (
+        SELECT tier_option->>'key' AS key, (tier_option->>'subtotal')::NUMERIC AS price
+          FROM jsonb_array_elements(p_revision.tier_options) AS tier_option
+      ) AS tier
+      LEFT JOIN jsonb_array_elements(v_tiers) AS definition ON definition->>'key' = tier.key
+     WHERE tier.price > 0;
+  END IF;
+
+  -- Fall back to the engine price when line items carry no stored totals
+  IF v_pct IS NULL THEN
+    v_price := CASE WHEN COALESCE(p_revision.subtotal, 0) > 0 THEN p_revision.subtotal
+      ELSE (p_revision.quote_calculation_outputs->>'monthly_price_ex_hst')::NUMERIC END;
+    IF COALESCE(v_price, 0) <= 0 THEN
+      RETURN;
+    END IF;
+    v_pct := (v_price - quote_labor_cost(v_inputs, v_config)) / v_price;
+  END IF;
+
+  gross_margin_pct := ROUND(v_pct, 4);
+  margin_status := CASE
+    WHEN v_pct < COALESCE((v_config->'labor'->>'marginBlockPct')::NUMERIC, 0.15) THEN 'blocked'
+    WHEN v_pct < COALESCE((v_config->'labor'->>'marginFloorPct')::NUMERIC, 0.35) THEN 'approval_required'
+    ELSE 'ok'
+  END;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Approvals are made by managers, and a revision waiting on (or refused) approval cannot be sent.
+-- The margin is re-derived from quote_revision_margin() on every insert and update, and a final
+-- quote without one cannot be sent, so a client cannot mark its own quote 'ok' or skip the check.
+CREATE OR REPLACE FUNCTION enforce_quote_revision_approval()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_role TEXT;
+  v_margin RECORD;
+BEGIN
+  IF auth.role() IS DISTINCT FROM 'service_role' THEN
+    SELECT * INTO v_margin FROM quote_revision_margin(NEW);
+    NEW.gross_margin_pct := v_margin.gross_margin_pct;
+    NEW.margin_status := v_margin.margin_status;
+
+    IF NEW.margin_status = 'approval_required' THEN
+      IF NEW.approval_status = 'not_required' THEN
+        NEW.approval_status := 'pending';
+        NEW.approval_requested_by := COALESCE(NEW.approval_requested_by, auth.uid());
+        NEW.approval_requested_at := COALESCE(NEW.approval_requested_at, NOW());
+      END IF;
+      IF NOT (NEW.approval_reasons ? 'margin_floor') THEN
+        NEW.approval_reasons := NEW.approval_reasons || '["margin_floor"]'::JSONB;
+      END IF;
+    END IF;
+  END IF;
+
+  IF NEW.approval_status IN ('approved', 'rejected')
+     AND (TG_OP = 'INSERT' OR NEW.approval_status IS DISTINCT FROM OLD.approval_status)
+     AND auth.role() IS DISTINCT FROM 'service_role' THEN
+    SELECT role INTO v_role FROM user_profiles WHERE id = auth.uid();
+    IF v_role IS NULL OR v_role NOT IN ('manager', 'admin', 'super_admin') THEN
+      RAISE EXCEPTION 'Only managers can approve or reject quotes';
+    END IF;
+    IF NEW.approval_status = 'approved' AND NEW.margin_status = 'blocked' THEN
+      RAISE EXCEPTION 'Quotes below the minimum margin cannot be approved';
+    END IF;
+  END IF;
+
+  IF NEW.sent_at IS NOT NULL AND (TG_OP = 'INSERT' OR OLD.sent_at IS NULL) THEN
+    IF NEW.revision_type = 'final_quote' AND NEW.margin_status IS NULL THEN
+      RAISE EXCEPTION 'Quote has no labor estimate; price it with the quote engine before sending';
+    END IF;
+    IF NEW.margin_status = 'blocked' THEN
+      RAISE EXCEPTION 'Quote margin is below the minimum; reprice before sending';
+    END IF;
+    IF NEW.approval_status IN ('pending', 'rejected') THEN
+      RAISE EXCEPTION 'Quote requires manager approval before it can be sent';
+    END IF;
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_enforce_quote_revision_approval ON quote_revisions;
+CREATE TRIGGER trigger_enforce_quote_revision_approval
+  BEFORE INSERT OR UPDATE ON quote_revisions
+  FOR EACH ROW EXECUTE FUNCTION enforce_quote_revision_approval();
+
+COMMIT;
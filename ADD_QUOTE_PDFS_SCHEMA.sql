@@ -0,0 +1,68 @@
+-- ============================================
+-- Quote revision PDFs
+-- ============================================
+-- PDFs are rendered server-side by the generate-quote-pdf Edge Function
+-- and stored in the private quote-pdfs bucket, one file per revision.
+-- Unsent revisions get a preview that is re-rendered on demand; when a
+-- revision is sent the PDF is rendered once more and locked. A locked PDF
+-- (path + SHA-256) can never be replaced, so the document the client
+-- received is the document on file.
+-- Run in Supabase SQL Editor after QUOTE_SYSTEM_SCHEMA.sql
+-- ============================================
+
+BEGIN;
+
+-- quote_revisions.pdf_url (existing) now holds the storage path in quote-pdfs
+ALTER TABLE quote_revisions ADD COLUMN IF NOT EXISTS pdf_sha256 TEXT;
+ALTER TABLE quote_revisions ADD COLUMN IF NOT EXISTS pdf_generated_at TIMESTAMPTZ;
+ALTER TABLE quote_revisions ADD COLUMN IF NOT EXISTS pdf_locked_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN quote_revisions.pdf_url IS 'Storage path of the revision PDF in the quote-pdfs bucket';
+COMMENT ON COLUMN quote_revisions.pdf_sha256 IS 'SHA-256 of the stored PDF';
+COMMENT ON COLUMN quote_revisions.pdf_locked_at IS 'Set when the revision is sent; the PDF can no longer be replaced';
+
+-- Placeholder URLs written before server-side rendering existed
+UPDATE quote_revisions
+SET pdf_url = NULL
+WHERE pdf_url LIKE '/api/quotes/%';
+
+-- Locked PDFs are immutable
+CREATE OR REPLACE FUNCTION protect_locked_quote_revision_pdf()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF OLD.pdf_locked_at IS NOT NULL THEN
+    IF NEW.pdf_url IS DISTINCT FROM OLD.pdf_url
+       OR NEW.pdf_sha256 IS DISTINCT FROM OLD.pdf_sha256
+       OR NEW.pdf_generated_at IS DISTINCT FROM OLD.pdf_generated_at
+       OR NEW.pdf_locked_at IS DISTINCT FROM OLD.pdf_locked_at THEN
+      RAISE EXCEPTION 'The PDF for a sent quote revision cannot be replaced; create a new revision instead';
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_protect_locked_quote_revision_pdf ON quote_revisions;
+CREATE TRIGGER trigger_protect_locked_quote_revision_pdf
+  BEFORE UPDATE ON quote_revisions
+  FOR EACH ROW EXECUTE FUNCTION protect_locked_quote_revision_pdf();
+
+-- Private bucket; only the Edge Function (service role) writes.
+-- Downloads use short-lived signed URLs issued by the Edge Function.
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('quote-pdfs', 'quote-pdfs', false)
+ON CONFLICT (id) DO UPDATE SET public = false;
+
+DROP POLICY IF EXISTS "Staff can read quote PDFs" ON storage.objects;
+CREATE POLICY "Staff can read quote PDFs"
+  ON storage.objects FOR SELECT
+  TO authenticated
+  USING (
+    bucket_id = 'quote-pdfs'
+    AND EXISTS (
+      SELECT 1 FROM user_profiles
+      WHERE id = auth.uid() AND role IN ('admin', 'super_admin', 'manager', 'rep')
+    )
+  );
+
+COMMIT;
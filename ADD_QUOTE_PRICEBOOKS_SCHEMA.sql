@@ -0,0 +1,128 @@
+-- ============================================
+-- Quote Pricebooks (versioned, company-scoped)
+-- ============================================
+-- Moves quote engine pricing (base prices, sqft bands, frequency
+-- multipliers, service-specific overrides) out of js/quote-engine/config.js
+-- into per-company versioned pricebooks.
+-- Every quote revision is stamped with the pricebook version it was priced
+-- against; version 0 means the built-in QUOTE_CONFIG.
+-- Run in Supabase SQL Editor after ADD_QUOTE_ENGINE_V2_SCHEMA.sql
+-- ============================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS quote_pricebooks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL, -- user_profiles.company_id (or user id for single-tenant)
+  version INTEGER NOT NULL CHECK (version > 0),
+  status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'published', 'archived')),
+  config JSONB NOT NULL, -- QUOTE_CONFIG shape; unbounded limits stored as null
+  based_on_version INTEGER, -- version this draft was copied from (0 = built-in)
+  notes TEXT,
+  published_at TIMESTAMPTZ,
+  published_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (company_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_quote_pricebooks_company ON quote_pricebooks(company_id);
+CREATE INDEX IF NOT EXISTS idx_quote_pricebooks_published ON quote_pricebooks(company_id, version DESC)
+WHERE status = 'published';
+
+-- Published pricebooks are immutable (only archiving is allowed) so historic
+-- revisions always re-price to their original amount
+CREATE OR REPLACE FUNCTION protect_published_quote_pricebooks()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF OLD.status IN ('published', 'archived') THEN
+    IF NEW.config IS DISTINCT FROM OLD.config
+       OR NEW.version IS DISTINCT FROM OLD.version
+       OR NEW.company_id IS DISTINCT FROM OLD.company_id THEN
+      RAISE EXCEPTION 'Published pricebook versions cannot be modified; create a new draft instead';
+    END IF;
+    IF NEW.status = 'draft' THEN
+      RAISE EXCEPTION 'Published pricebook versions cannot be reverted to draft';
+    END IF;
+  END IF;
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_protect_published_quote_pricebooks ON quote_pricebooks;
+CREATE TRIGGER trigger_protect_published_quote_pricebooks
+  BEFORE UPDATE ON quote_pricebooks
+  FOR EACH ROW EXECUTE FUNCTION protect_published_quote_pricebooks();
+
+CREATE OR REPLACE FUNCTION prevent_published_quote_pricebook_delete()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF OLD.status <> 'draft' THEN
+    RAISE EXCEPTION 'Published pricebook versions cannot be deleted';
+  END IF;
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_prevent_published_quote_pricebook_delete ON quote_pricebooks;
+CREATE TRIGGER trigger_prevent_published_quote_pricebook_delete
+  BEFORE DELETE ON quote_pricebooks
+  FOR EACH ROW EXECUTE FUNCTION prevent_published_quote_pricebook_delete();
+
+-- Stamp pricebook on every revision
+ALTER TABLE quote_revisions
+ADD COLUMN IF NOT EXISTS pricebook_id UUID REFERENCES quote_pricebooks(id) ON DELETE RESTRICT;
+
+ALTER TABLE quote_revisions
+ADD COLUMN IF NOT EXISTS pricebook_version INTEGER DEFAULT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_quote_revisions_pricebook_version ON quote_revisions(pricebook_version)
+WHERE pricebook_version IS NOT NULL;
+
+-- Existing engine-priced revisions were priced against the built-in config
+UPDATE quote_revisions
+SET pricebook_version = 0
+WHERE pricebook_version IS NULL
+  AND quote_calculation_inputs IS NOT NULL;
+
+COMMENT ON TABLE quote_pricebooks IS 'Versioned, company-scoped quote engine pricing configs. Published versions are immutable.';
+COMMENT ON COLUMN quote_revisions.pricebook_version IS 'Pricebook version used to price this revision (0 = built-in QUOTE_CONFIG)';
+
+GRANT ALL ON quote_pricebooks TO authenticated;
+
+ALTER TABLE quote_pricebooks ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access to quote_pricebooks" ON quote_pricebooks;
+CREATE POLICY "Service role full access to quote_pricebooks"
+  ON quote_pricebooks FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+-- Everyone in the company can read pricebooks (needed to price quotes)
+DROP POLICY IF EXISTS "Company members can view quote_pricebooks" ON quote_pricebooks;
+CREATE POLICY "Company members can view quote_pricebooks"
+  ON quote_pricebooks FOR SELECT
+  TO authenticated
+  USING (
+    company_id = auth.uid()
+    OR company_id IN (SELECT company_id FROM user_profiles WHERE id = auth.uid())
+  );
+
+-- Only admins can create, edit and publish pricebooks
+DROP POLICY IF EXISTS "Admins can manage quote_pricebooks" ON quote_pricebooks;
+CREATE POLICY "Admins can manage quote_pricebooks"
+  ON quote_pricebooks FOR ALL
+  TO authenticated
+  USING (
+    (company_id = auth.uid() OR company_id IN (SELECT company_id FROM user_profiles WHERE id = auth.uid()))
+    AND EXISTS (SELECT 1 FROM user_profiles WHERE id = auth.uid() AND role IN ('admin', 'super_admin'))
+  )
+  WITH CHECK (
+    (company_id = auth.uid() OR company_id IN (SELECT company_id FROM user_profiles WHERE id = auth.uid()))
+    AND EXISTS (SELECT 1 FROM user_profiles WHERE id = auth.uid() AND role IN ('admin', 'super_admin'))
+  );
+
+COMMIT;
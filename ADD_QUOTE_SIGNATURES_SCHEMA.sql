@@ -0,0 +1,104 @@
+-- ============================================
+-- Quote e-signatures
+-- ============================================
+-- Final quotes are signed through the sign-quote Edge Function. The server
+-- records the drawn or typed signature, the SHA-256 of the exact revision
+-- content that was signed, and a signing certificate (timestamps, IP, user
+-- agent, document hashes). The certificate is appended to the locked
+-- revision PDF as a separate signed copy; the original PDF is untouched.
+-- Run in Supabase SQL Editor after ADD_QUOTE_PDFS_SCHEMA.sql
+-- ============================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS quote_signatures (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  quote_id UUID REFERENCES quotes(id) ON DELETE CASCADE NOT NULL,
+  revision_number INTEGER NOT NULL,
+  signer_name TEXT NOT NULL,
+  signer_email TEXT NOT NULL,
+  signer_title TEXT,
+  signature_method TEXT NOT NULL CHECK (signature_method IN ('drawn', 'typed')),
+  typed_signature TEXT, -- Text the signer typed (typed method only)
+  signature_image TEXT NOT NULL, -- PNG data URL of the signature as shown on the certificate
+  content_hash TEXT NOT NULL, -- SHA-256 of the canonical revision content
+  pdf_sha256 TEXT NOT NULL, -- SHA-256 of the locked revision PDF the signer received
+  signed_pdf_url TEXT NOT NULL, -- Storage path of the PDF + certificate in quote-pdfs
+  signed_pdf_sha256 TEXT NOT NULL,
+  ip_address TEXT,
+  user_agent TEXT,
+  signed_at TIMESTAMPTZ NOT NULL,
+  certificate JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  UNIQUE(quote_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_quote_signatures_quote ON quote_signatures(quote_id);
+
+ALTER TABLE quote_revisions ADD COLUMN IF NOT EXISTS signature_id UUID REFERENCES quote_signatures(id) ON DELETE SET NULL;
+ALTER TABLE quote_revisions ADD COLUMN IF NOT EXISTS signed_pdf_url TEXT;
+ALTER TABLE quote_revisions ADD COLUMN IF NOT EXISTS signed_pdf_sha256 TEXT;
+
+COMMENT ON TABLE quote_signatures IS 'Signing certificates for accepted final quotes. Rows are written by the sign-quote Edge Function and never updated.';
+COMMENT ON COLUMN quote_revisions.signed_pdf_url IS 'Storage path of the locked PDF with the signing certificate appended';
+
+-- Signatures are evidence; they can be removed with their quote but never edited
+CREATE OR REPLACE FUNCTION prevent_quote_signature_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'Quote signatures cannot be modified';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_prevent_quote_signature_update ON quote_signatures;
+CREATE TRIGGER trigger_prevent_quote_signature_update
+  BEFORE UPDATE ON quote_signatures
+  FOR EACH ROW EXECUTE FUNCTION prevent_quote_signature_update();
+
+-- Extend the locked-PDF guard to the signed copy
+CREATE OR REPLACE FUNCTION protect_locked_quote_revision_pdf()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF OLD.pdf_locked_at IS NOT NULL THEN
+    IF NEW.pdf_url IS DISTINCT FROM OLD.pdf_url
+       OR NEW.pdf_sha256 IS DISTINCT FROM OLD.pdf_sha256
+       OR NEW.pdf_generated_at IS DISTINCT FROM OLD.pdf_generated_at
+       OR NEW.pdf_locked_at IS DISTINCT FROM OLD.pdf_locked_at THEN
+      RAISE EXCEPTION 'The PDF for a sent quote revision cannot be replaced; create a new revision instead';
+    END IF;
+  END IF;
+  IF OLD.signed_pdf_url IS NOT NULL THEN
+    IF NEW.signed_pdf_url IS DISTINCT FROM OLD.signed_pdf_url
+       OR NEW.signed_pdf_sha256 IS DISTINCT FROM OLD.signed_pdf_sha256
+       OR NEW.signature_id IS DISTINCT FROM OLD.signature_id THEN
+      RAISE EXCEPTION 'A signed quote revision cannot be re-signed';
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+GRANT SELECT ON quote_signatures TO authenticated;
+
+ALTER TABLE quote_signatures ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access to quote_signatures" ON quote_signatures;
+CREATE POLICY "Service role full access to quote_signatures"
+  ON quote_signatures FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+-- Staff can read certificates; only the Edge Function writes them
+DROP POLICY IF EXISTS "Staff can view quote_signatures" ON quote_signatures;
+CREATE POLICY "Staff can view quote_signatures"
+  ON quote_signatures FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM user_profiles
+      WHERE id = auth.uid() AND role IN ('admin', 'super_admin', 'manager', 'rep')
+    )
+  );
+
+COMMIT;
@@ -0,0 +1,27 @@
+-- ============================================
+-- Good / Better / Best quote tiers
+-- ============================================
+-- A final quote can offer two or three tiered packages priced by the quote
+-- engine. Each tier's price and scope is stored on the revision, line items
+-- are tagged with their tier, and the client's pick is recorded when they
+-- sign. The revision subtotal/tax/total always reflect the selected tier
+-- (or the recommended tier until the client picks), so the deal value
+-- set by on_quote_accepted follows the client's choice.
+-- Run in Supabase SQL Editor after ADD_QUOTE_SIGNATURES_SCHEMA.sql
+-- ============================================
+
+BEGIN;
+
+ALTER TABLE quote_revisions ADD COLUMN IF NOT EXISTS tier_options JSONB; -- [{key, name, description, scope, subtotal, tax, total, tax_lines, per_visit_price, recommended}]
+ALTER TABLE quote_revisions ADD COLUMN IF NOT EXISTS selected_tier TEXT;
+
+ALTER TABLE quote_line_items ADD COLUMN IF NOT EXISTS tier TEXT; -- NULL for untiered quotes
+
+CREATE INDEX IF NOT EXISTS idx_quote_line_items_tier ON quote_line_items(quote_id, revision_number, tier)
+  WHERE tier IS NOT NULL;
+
+COMMENT ON COLUMN quote_revisions.tier_options IS 'Good/Better/Best packages offered on this revision';
+COMMENT ON COLUMN quote_revisions.selected_tier IS 'Tier key the client accepted';
+COMMENT ON COLUMN quote_line_items.tier IS 'Tier key this line item belongs to (tier_options[].key)';
+
+COMMIT;
@@ -0,0 +1,114 @@
+-- ============================================
+-- Service agreements from accepted quotes
+-- ============================================
+-- Accepting a final quote provisions the work: the quote's site is linked
+-- (or created), a service agreement records the accepted frequency, price
+-- and term, and a recurring job series is started with tasks from the
+-- quoted scope. Agreements start in pending_review; ops works through the
+-- review checklist and confirms the first visit before service begins.
+-- Run in Supabase SQL Editor after ADD_QUOTE_MARGIN_GUARDRAILS_SCHEMA.sql
+-- ============================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS service_agreements (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  quote_id UUID REFERENCES quotes(id) ON DELETE SET NULL,
+  revision_number INTEGER NOT NULL,
+  site_id BIGINT REFERENCES sites(id) ON DELETE CASCADE NOT NULL,
+  deal_id UUID,
+  selected_tier TEXT, -- Accepted Good / Better / Best package
+  service_type TEXT,
+  frequency_per_month NUMERIC(5,2) NOT NULL,
+  recurrence_pattern TEXT NOT NULL CHECK (recurrence_pattern IN ('weekly', 'biweekly', 'monthly')),
+  visits_per_week INTEGER NOT NULL DEFAULT 1 CHECK (visits_per_week BETWEEN 1 AND 7),
+  monthly_price NUMERIC(12,2) NOT NULL, -- Before tax
+  per_visit_price NUMERIC(12,2),
+  tax NUMERIC(12,2) DEFAULT 0,
+  monthly_total NUMERIC(12,2),
+  currency TEXT DEFAULT 'CAD',
+  contract_term_months INTEGER,
+  start_date DATE NOT NULL,
+  end_date DATE,
+  recurrence_series_id UUID, -- jobs.recurrence_series_id of the provisioned series
+  status TEXT NOT NULL DEFAULT 'pending_review' CHECK (status IN ('pending_review', 'active', 'cancelled')),
+  review_checklist JSONB NOT NULL DEFAULT '[]', -- [{ key, label, done }]
+  first_visit_confirmed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  first_visit_confirmed_at TIMESTAMPTZ,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+-- One agreement per accepted quote keeps provisioning idempotent
+CREATE UNIQUE INDEX IF NOT EXISTS idx_service_agreements_quote ON service_agreements(quote_id) WHERE quote_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_service_agreements_site ON service_agreements(site_id);
+CREATE INDEX IF NOT EXISTS idx_service_agreements_pending ON service_agreements(created_at) WHERE status = 'pending_review';
+
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS service_agreement_id UUID REFERENCES service_agreements(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_jobs_service_agreement ON jobs(service_agreement_id);
+
+COMMENT ON TABLE service_agreements IS 'Recurring service contracted through an accepted quote';
+COMMENT ON COLUMN service_agreements.review_checklist IS 'Ops checklist that must be complete before the first visit is confirmed';
+
+CREATE OR REPLACE FUNCTION update_service_agreements_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_service_agreements_updated_at ON service_agreements;
+CREATE TRIGGER trigger_update_service_agreements_updated_at
+  BEFORE UPDATE ON service_agreements
+  FOR EACH ROW EXECUTE FUNCTION update_service_agreements_updated_at();
+
+-- The first visit can only be confirmed once every checklist item is done
+CREATE OR REPLACE FUNCTION enforce_service_agreement_review()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.status = 'active' AND OLD.status = 'pending_review' THEN
+    IF EXISTS (
+      SELECT 1 FROM jsonb_array_elements(NEW.review_checklist) AS item
+      WHERE COALESCE((item->>'done')::BOOLEAN, FALSE) = FALSE
+    ) THEN
+      RAISE EXCEPTION 'Complete the review checklist before confirming the first visit';
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_enforce_service_agreement_review ON service_agreements;
+CREATE TRIGGER trigger_enforce_service_agreement_review
+  BEFORE UPDATE ON service_agreements
+  FOR EACH ROW EXECUTE FUNCTION enforce_service_agreement_review();
+
+ALTER TABLE service_agreements ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access to service_agreements" ON service_agreements;
+CREATE POLICY "Service role full access to service_agreements"
+  ON service_agreements FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Staff can manage service_agreements" ON service_agreements;
+CREATE POLICY "Staff can manage service_agreements"
+  ON service_agreements FOR ALL
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM user_profiles
+      WHERE id = auth.uid() AND role IN ('admin', 'super_admin', 'manager', 'rep')
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM user_profiles
+      WHERE id = auth.uid() AND role IN ('admin', 'super_admin', 'manager', 'rep')
+    )
+  );
+
+COMMIT;
@@ -0,0 +1,140 @@
+-- ============================================
+-- Jurisdiction-aware sales tax
+-- ============================================
+-- Replaces the single 13% HST with per-jurisdiction tax components
+-- (js/tax-engine/config.js). Sites get a country/region and client
+-- exemption details; quote revisions and invoices store one line per tax
+-- so documents and the tax-collected report show GST/QST/PST separately.
+-- Companies can override or add jurisdictions (e.g. US states) in
+-- tax_rate_overrides.
+-- Run in Supabase SQL Editor after ADD_BILLING_INVOICING_TABLES.sql
+-- and ADD_QUOTE_PRICEBOOKS_SCHEMA.sql
+-- ============================================
+
+BEGIN;
+
+-- Site location and client exemption status
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS country VARCHAR(2) DEFAULT 'CA';
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS region VARCHAR(3); -- province / state code (ON, QC, NY)
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS tax_exempt BOOLEAN DEFAULT FALSE;
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS tax_exempt_codes TEXT[] DEFAULT '{}'; -- partial exemptions, e.g. {PST}
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS tax_exemption_number TEXT;
+
+COMMENT ON COLUMN sites.region IS 'Province/state code used to resolve sales tax; NULL falls back to the address, then Ontario HST';
+COMMENT ON COLUMN sites.tax_exempt IS 'Client is exempt from all sales tax at this site (e.g. institutional accounts)';
+COMMENT ON COLUMN sites.tax_exempt_codes IS 'Tax codes the client is exempt from when only partially exempt';
+
+-- Per-tax lines on quotes and invoices
+-- [{ code, name, rate, compound, taxable_amount, amount }]
+ALTER TABLE quote_revisions ADD COLUMN IF NOT EXISTS tax_lines JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE quote_revisions ADD COLUMN IF NOT EXISTS tax_jurisdiction VARCHAR(10);
+
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS tax_lines JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS tax_jurisdiction VARCHAR(10);
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS tax_exemption_number TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_invoices_tax_jurisdiction ON invoices(tax_jurisdiction);
+
+-- Existing invoices and binding revisions were taxed at Ontario HST
+UPDATE invoices
+SET tax_jurisdiction = 'CA-ON',
+    tax_lines = jsonb_build_array(jsonb_build_object(
+      'code', 'HST',
+      'name', 'HST',
+      'rate', tax_rate / 100,
+      'compound', false,
+      'taxable_amount', subtotal,
+      'amount', tax_amount
+    ))
+WHERE tax_jurisdiction IS NULL
+  AND COALESCE(tax_amount, 0) > 0;
+
+UPDATE quote_revisions
+SET tax_jurisdiction = 'CA-ON',
+    tax_lines = jsonb_build_array(jsonb_build_object(
+      'code', 'HST',
+      'name', 'HST',
+      'rate', 0.13,
+      'compound', false,
+      'taxable_amount', subtotal,
+      'amount', tax
+    ))
+WHERE tax_jurisdiction IS NULL
+  AND COALESCE(tax, 0) > 0;
+
+-- Company tax rates that replace the built-in components for a jurisdiction
+CREATE TABLE IF NOT EXISTS tax_rate_overrides (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  company_id UUID NOT NULL, -- user_profiles.company_id (or user id for single-tenant)
+  country VARCHAR(2) NOT NULL,
+  region VARCHAR(3) NOT NULL,
+  code VARCHAR(20) NOT NULL, -- GST, QST, STATE, COUNTY...
+  name TEXT NOT NULL,
+  rate NUMERIC(7,5) NOT NULL CHECK (rate >= 0 AND rate < 1), -- 0.08875
+  compound BOOLEAN DEFAULT FALSE, -- charged on subtotal + preceding taxes
+  sort_order INTEGER DEFAULT 0,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (company_id, country, region, code)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tax_rate_overrides_company ON tax_rate_overrides(company_id);
+
+COMMENT ON TABLE tax_rate_overrides IS 'Company-specific tax components; all rows for a jurisdiction replace its built-in components';
+
+GRANT ALL ON tax_rate_overrides TO authenticated;
+
+ALTER TABLE tax_rate_overrides ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role full access to tax_rate_overrides" ON tax_rate_overrides;
+CREATE POLICY "Service role full access to tax_rate_overrides"
+  ON tax_rate_overrides FOR ALL
+  TO service_role
+  USING (true)
+  WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Company members can view tax_rate_overrides" ON tax_rate_overrides;
+CREATE POLICY "Company members can view tax_rate_overrides"
+  ON tax_rate_overrides FOR SELECT
+  TO authenticated
+  USING (
+    company_id = auth.uid()
+    OR company_id IN (SELECT company_id FROM user_profiles WHERE id = auth.uid())
+  );
+
+DROP POLICY IF EXISTS "Admins can manage tax_rate_overrides" ON tax_rate_overrides;
+CREATE POLICY "Admins can manage tax_rate_overrides"
+  ON tax_rate_overrides FOR ALL
+  TO authenticated
+  USING (
+    (company_id = auth.uid() OR company_id IN (SELECT company_id FROM user_profiles WHERE id = auth.uid()))
+    AND EXISTS (SELECT 1 FROM user_profiles WHERE id = auth.uid() AND role IN ('admin', 'super_admin'))
+  )
+  WITH CHECK (
+    (company_id = auth.uid() OR company_id IN (SELECT company_id FROM user_profiles WHERE id = auth.uid()))
+    AND EXISTS (SELECT 1 FROM user_profiles WHERE id = auth.uid() AND role IN ('admin', 'super_admin'))
+  );
+
+-- Tax collected by jurisdiction and tax code (one row per invoice tax line)
+CREATE OR REPLACE VIEW tax_collected_by_jurisdiction
+WITH (security_invoker = true) AS
+SELECT
+  i.id AS invoice_id,
+  i.invoice_number,
+  i.issue_date,
+  i.paid_at,
+  i.status,
+  COALESCE(i.tax_jurisdiction, 'UNSPECIFIED') AS tax_jurisdiction,
+  line->>'code' AS tax_code,
+  line->>'name' AS tax_name,
+  (line->>'rate')::NUMERIC AS tax_rate,
+  (line->>'taxable_amount')::NUMERIC AS taxable_amount,
+  (line->>'amount')::NUMERIC AS tax_amount
+FROM invoices i
+CROSS JOIN LATERAL jsonb_array_elements(COALESCE(i.tax_lines, '[]'::jsonb)) AS line
+WHERE i.status <> 'cancelled';
+
+GRANT SELECT ON tax_collected_by_jurisdiction TO authenticated;
+
+COMMIT;
@@ -0,0 +1,92 @@
+-- ============================================
+-- Room-by-room walkthrough capture
+-- ============================================
+-- The walkthrough app (walkthrough.html) records each room or zone of a site
+-- with its type, sqft, flooring, fixtures, access constraints and photos.
+-- Room ids are generated on the device so rooms captured offline can be
+-- queued and edited before they reach the server. Finishing the walkthrough
+-- rolls the rooms up into quote_walkthroughs.measured_inputs.
+-- Photos go to the private walkthrough-photos bucket under
+-- <walkthrough_id>/<room_id>/.
+-- Run in Supabase SQL Editor after QUOTE_SYSTEM_SCHEMA.sql
+-- ============================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS quote_walkthrough_rooms (
+  id UUID PRIMARY KEY, -- generated on the device
+  walkthrough_id UUID REFERENCES quote_walkthroughs(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  zone TEXT, -- e.g. "2nd floor", "East wing"
+  room_type TEXT NOT NULL CHECK (room_type IN (
+    'office', 'open_area', 'washroom', 'kitchen', 'reception',
+    'treatment_room', 'hallway', 'storage', 'other'
+  )),
+  sqft NUMERIC(10,2) CHECK (sqft IS NULL OR sqft >= 0),
+  flooring TEXT CHECK (flooring IS NULL OR flooring IN ('hard', 'carpet', 'mixed')),
+  fixtures JSONB NOT NULL DEFAULT '{}', -- { toilets, urinals, sinks, showers, appliances, windows }
+  access_notes TEXT, -- keys, alarm codes, hours, restricted areas
+  photo_urls TEXT[] NOT NULL DEFAULT '{}', -- storage paths in walkthrough-photos
+  display_order INTEGER NOT NULL DEFAULT 0,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_quote_walkthrough_rooms_walkthrough
+  ON quote_walkthrough_rooms(walkthrough_id, display_order);
+
+COMMENT ON TABLE quote_walkthrough_rooms IS 'Rooms and zones measured on a site walkthrough';
+
+DROP TRIGGER IF EXISTS update_quote_walkthrough_rooms_updated_at ON quote_walkthrough_rooms;
+CREATE TRIGGER update_quote_walkthrough_rooms_updated_at BEFORE UPDATE ON quote_walkthrough_rooms
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE quote_walkthrough_rooms ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Staff can manage quote_walkthrough_rooms" ON quote_walkthrough_rooms;
+CREATE POLICY "Staff can manage quote_walkthrough_rooms"
+  ON quote_walkthrough_rooms FOR ALL
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM user_profiles
+      WHERE id = auth.uid() AND role IN ('admin', 'super_admin', 'manager', 'rep')
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM user_profiles
+      WHERE id = auth.uid() AND role IN ('admin', 'super_admin', 'manager', 'rep')
+    )
+  );
+
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES ('walkthrough-photos', 'walkthrough-photos', false, 10485760, ARRAY['image/jpeg', 'image/png', 'image/webp'])
+ON CONFLICT (id) DO UPDATE SET public = false;
+
+DROP POLICY IF EXISTS "Staff can read walkthrough photos" ON storage.objects;
+CREATE POLICY "Staff can read walkthrough photos"
+  ON storage.objects FOR SELECT
+  TO authenticated
+  USING (
+    bucket_id = 'walkthrough-photos'
+    AND EXISTS (
+      SELECT 1 FROM user_profiles
+      WHERE id = auth.uid() AND role IN ('admin', 'super_admin', 'manager', 'rep')
+    )
+  );
+
+DROP POLICY IF EXISTS "Staff can upload walkthrough photos" ON storage.objects;
+CREATE POLICY "Staff can upload walkthrough photos"
+  ON storage.objects FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    bucket_id = 'walkthrough-photos'
+    AND EXISTS (
+      SELECT 1 FROM user_profiles
+      WHERE id = auth.uid() AND role IN ('admin', 'super_admin', 'manager', 'rep')
+    )
+  );
+
+COMMIT;
@@ -0,0 +1,184 @@
+-- ============================================
+-- TESTS FOR QUOTE APPROVAL GUARDRAILS
+-- ============================================
+-- Checks that the approval trigger works discounts and margins out for
+-- itself rather than trusting the columns a rep writes.
+-- Run AFTER ADD_QUOTE_DISCOUNTS_SCHEMA.sql. Needs at least one auth user,
+-- who acts as the rep. Everything is rolled back at the end.
+-- ============================================
+
+BEGIN;
+
+CREATE OR REPLACE FUNCTION test_assert(condition BOOLEAN, test_name TEXT)
+RETURNS void
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF condition THEN
+    RAISE NOTICE '✅ PASS: %', test_name;
+  ELSE
+    RAISE WARNING '❌ FAIL: %', test_name;
+    RAISE EXCEPTION 'Test failed: %', test_name;
+  END IF;
+END;
+$$;
+
+-- Act as a signed-in user (auth.role() / auth.uid() read the request claims)
+CREATE OR REPLACE FUNCTION test_act_as(p_role TEXT, p_user_id UUID)
+RETURNS void
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  PERFORM set_config('request.jwt.claims', json_build_object('role', p_role, 'sub', p_user_id)::TEXT, true);
+END;
+$$;
+
+-- ============================================
+-- TEST SUITE 1: DISCOUNTS TYPED INTO LINE PRICES
+-- ============================================
+
+DO $$
+DECLARE
+  v_rep UUID;
+  v_quote_id UUID;
+  v_revision quote_revisions;
+BEGIN
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'TEST SUITE 1: DISCOUNTS TYPED INTO LINE PRICES';
+  RAISE NOTICE '========================================';
+
+  SELECT id INTO v_rep FROM auth.users LIMIT 1;
+  PERFORM test_assert(v_rep IS NOT NULL, 'An auth user exists to act as the rep');
+  PERFORM test_act_as('authenticated', v_rep);
+
+  -- Engine priced the quote at $1,000/mo; the rep typed the line in at $600
+  -- and left every discount column at zero. Labor costs $162.67/mo, so the
+  -- margin stays healthy throughout.
+  INSERT INTO quotes (owner_user_id, quote_type) VALUES (v_rep, 'standard') RETURNING id INTO v_quote_id;
+  INSERT INTO quote_revisions (
+    quote_id, revision_number, revision_type, is_binding, subtotal, tax, total,
+    quote_calculation_inputs, quote_calculation_outputs, labor_estimate, discount_pct, discount_total
+  ) VALUES (
+    v_quote_id, 1, 'final_quote', true, 600, 78, 678,
+    '{"service_type": "commercial_office", "sqft_estimate": 2800, "frequency_per_month": 4, "supplies_included": false}',
+    '{"monthly_price_ex_hst": 1000}', '{"cost_per_month": 200}', 0, 0
+  );
+  INSERT INTO quote_line_items (quote_id, revision_number, description, quantity, unit, unit_price, display_order)
+  VALUES (v_quote_id, 1, 'Cleaning', 1, 'flat', 600, 0);
+
+  -- Test 1.1: Any save works the discount out from the line against the engine price
+  UPDATE quote_revisions SET scope_summary = 'Office cleaning', discount_pct = 0
+   WHERE quote_id = v_quote_id AND revision_number = 1
+   RETURNING * INTO v_revision;
+  PERFORM test_assert(v_revision.discount_pct = 0.4, 'Line typed 40% under the engine price counts as a 40% discount');
+  PERFORM test_assert(v_revision.approval_status = 'pending', 'The discount is held for approval');
+  PERFORM test_assert(v_revision.approval_role = 'admin', 'A 40% discount needs an admin');
+
+  -- Test 1.2: Clearing the request and sending in one write is refused
+  BEGIN
+    UPDATE quote_revisions SET approval_status = 'not_required', sent_at = NOW()
+     WHERE quote_id = v_quote_id AND revision_number = 1;
+    RAISE EXCEPTION 'Test failed: Quote with a typed-in discount should not send';
+  EXCEPTION WHEN raise_exception THEN
+    PERFORM test_assert(SQLERRM = 'Quote requires manager approval before it can be sent',
+      'Quote with a typed-in discount cannot be sent without approval');
+  END;
+
+  -- Test 1.3: Only the trigger records the discount a manager approved
+  PERFORM test_act_as('service_role', v_rep);
+  UPDATE quote_revisions SET approval_status = 'approved', approved_discount_pct = 0.4
+   WHERE quote_id = v_quote_id AND revision_number = 1;
+  PERFORM test_act_as('authenticated', v_rep);
+  UPDATE quote_revisions SET approved_discount_pct = 0.9
+   WHERE quote_id = v_quote_id AND revision_number = 1
+   RETURNING * INTO v_revision;
+  PERFORM test_assert(v_revision.approved_discount_pct = 0.4, 'Rep cannot raise the approved discount');
+  PERFORM test_assert(v_revision.approval_status = 'approved', 'Approval stands while the discount is unchanged');
+
+  -- Test 1.4: Cutting the line further after approval is caught at send
+  UPDATE quote_line_items SET unit_price = 500 WHERE quote_id = v_quote_id AND revision_number = 1;
+  BEGIN
+    UPDATE quote_revisions SET sent_at = NOW()
+     WHERE quote_id = v_quote_id AND revision_number = 1;
+    RAISE EXCEPTION 'Test failed: Discount past the approved one should not send';
+  EXCEPTION WHEN raise_exception THEN
+    PERFORM test_assert(SQLERRM = 'Quote requires manager approval before it can be sent',
+      'Discount past the approved one goes back for approval');
+  END;
+
+  RAISE NOTICE '✅ All line price discount tests passed!';
+END $$;
+
+-- ============================================
+-- TEST SUITE 2: MARGIN COSTED FROM QUOTE INPUTS
+-- ============================================
+
+DO $$
+DECLARE
+  v_rep UUID;
+  v_quote_id UUID;
+  v_revision quote_revisions;
+  -- 2,800 sqft of hard floor once a week: 1h10m a visit at $28/h plus $8 of supplies, $162.67/mo
+  v_inputs JSONB := '{"service_type": "commercial_office", "sqft_estimate": 2800, "frequency_per_month": 4, "supplies_included": false}';
+BEGIN
+  RAISE NOTICE '';
+  RAISE NOTICE '========================================';
+  RAISE NOTICE 'TEST SUITE 2: MARGIN COSTED FROM QUOTE INPUTS';
+  RAISE NOTICE '========================================';
+
+  SELECT id INTO v_rep FROM auth.users LIMIT 1;
+  PERFORM test_act_as('authenticated', v_rep);
+  INSERT INTO quotes (owner_user_id, quote_type) VALUES (v_rep, 'standard') RETURNING id INTO v_quote_id;
+
+  -- Test 2.1: Labor is costed from the inputs, not the estimate the client wrote
+  PERFORM test_assert(quote_labor_cost(v_inputs, quote_builtin_pricebook_config()) = 162.67,
+    'Built-in labor model costs the inputs as estimateLabor() does');
+  INSERT INTO quote_revisions (
+    quote_id, revision_number, revision_type, is_binding, subtotal, tax, total,
+    quote_calculation_inputs, labor_estimate
+  ) VALUES (
+    v_quote_id, 1, 'final_quote', true, 150, 19.5, 169.5, v_inputs, '{"cost_per_month": 0}'
+  ) RETURNING * INTO v_revision;
+  PERFORM test_assert(v_revision.margin_status = 'blocked', 'Price under labor cost is blocked on insert');
+  PERFORM test_assert(v_revision.gross_margin_pct < 0, 'Margin ignores the zero labor cost the client wrote');
+
+  -- Test 2.2: Dropping the estimate does not clear the check
+  UPDATE quote_revisions SET subtotal = 220, labor_estimate = NULL, margin_status = 'ok'
+   WHERE quote_id = v_quote_id AND revision_number = 1
+   RETURNING * INTO v_revision;
+  PERFORM test_assert(v_revision.margin_status = 'approval_required', 'Thin margin needs approval without a labor estimate');
+  PERFORM test_assert(v_revision.approval_status = 'pending', 'Thin margin is held for approval');
+
+  -- Test 2.3: A final quote with no inputs has no margin and cannot be sent
+  UPDATE quote_revisions SET quote_calculation_inputs = NULL
+   WHERE quote_id = v_quote_id AND revision_number = 1
+   RETURNING * INTO v_revision;
+  PERFORM test_assert(v_revision.margin_status IS NULL, 'No inputs means no margin');
+  BEGIN
+    UPDATE quote_revisions SET sent_at = NOW()
+     WHERE quote_id = v_quote_id AND revision_number = 1;
+    RAISE EXCEPTION 'Test failed: Final quote without a labor estimate should not send';
+  EXCEPTION WHEN raise_exception THEN
+    PERFORM test_assert(SQLERRM = 'Quote has no labor estimate; price it with the quote engine before sending',
+      'Final quote without a labor estimate cannot be sent');
+  END;
+
+  -- Test 2.4: A revision inserted as already sent is checked too
+  BEGIN
+    INSERT INTO quote_revisions (
+      quote_id, revision_number, revision_type, is_binding, subtotal, tax, total,
+      quote_calculation_inputs, sent_at
+    ) VALUES (
+      v_quote_id, 2, 'final_quote', true, 150, 19.5, 169.5, v_inputs, NOW()
+    );
+    RAISE EXCEPTION 'Test failed: Revision inserted as sent below the margin floor should be refused';
+  EXCEPTION WHEN raise_exception THEN
+    PERFORM test_assert(SQLERRM = 'Quote margin is below the minimum; reprice before sending',
+      'Revision inserted as sent below the minimum margin is refused');
+  END;
+
+  RAISE NOTICE '✅ All quote input margin tests passed!';
+END $$;
+
+ROLLBACK;
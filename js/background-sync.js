@@ -0,0 +1,226 @@
+/**
+ * Background Queue Flush
+ * Runs in the service worker when Background Sync fires with no app window open: replays the offline
+ * queue from IndexedDB straight against the Supabase REST API, and leaves a report the app shows the next time
+ * it opens. The app's Supabase client keeps its session in the same database, so the worker refreshes it there
+ * when it expires and the app starts from the rotated tokens.
+ */
+
+import { offlineQueueDB } from './offline-db.js';
+import { mergeFields } from './offline-conflicts.js';
+import { isTempId } from './offline-dependencies.js';
+import { replayQueue, replayableOperations, withLock, QUEUE_LOCK } from './offline-replay.js';
+
+// Refresh the access token when it expires within this long, so it can't lapse mid-request
+const TOKEN_EXPIRY_MARGIN_SECONDS = 60;
+
+function authError(message) {
+  return Object.assign(new Error(message), { code: 'AUTH_REQUIRED' });
+}
+
+function expiresSoon(session) {
+  return Boolean(session.expires_at) && session.expires_at - TOKEN_EXPIRY_MARGIN_SECONDS <= Date.now() / 1000;
+}
+
+async function readSession(config) {
+  const stored = await offlineQueueDB.getAuthItem(config.storageKey);
+  try {
+    return stored ? JSON.parse(stored) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Refresh tokens rotate and a spent one revokes the whole session, so this runs under the lock the app's Supabase
+// client refreshes under (js/supabase.js); whichever side goes second finds the rotated session already stored
+async function refreshSession(config) {
+  return withLock(`lock:${config.storageKey}`, async () => {
+    const stored = await readSession(config);
+    if (!stored?.refresh_token) return null;
+    if (!expiresSoon(stored)) return stored;
+
+    const response = await fetch(`${config.url}/auth/v1/token?grant_type=refresh_token`, {
+      method: 'POST',
+      headers: { apikey: config.anonKey, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refresh_token: stored.refresh_token })
+    });
+    // Revoked or already used: only signing in again helps
+    if (response.status === 400 || response.status === 401) return null;
+    if (!response.ok) throw new Error(`Session refresh failed with status ${response.status}`);
+
+    const refreshed = await response.json();
+    const session = {
+      ...refreshed,
+      expires_at: refreshed.expires_at ?? Math.round(Date.now() / 1000) + refreshed.expires_in
+    };
+    await offlineQueueDB.setAuthItem(config.storageKey, JSON.stringify(session));
+    return session;
+  });
+}
+
+// Hands out the current access token, refreshing the stored session whenever it is about to expire
+function createTokenSource(config) {
+  let session = null;
+
+  return async function accessToken() {
+    if (!session || expiresSoon(session)) {
+      session = await refreshSession(config);
+    }
+    if (!session?.access_token) {
+      throw authError('Session expired; sign in again to sync queued changes');
+    }
+    return session.access_token;
+  };
+}
+
+function createRestClient(config, accessToken) {
+  /**
+   * @param {string} path - Table and query string under /rest/v1
+   * @param {{ method?: string, body?: Object, prefer?: string }} [options]
+   */
+  async function request(path, { method = 'GET', body, prefer } = {}) {
+    const headers = {
+      apikey: config.anonKey,
+      Authorization: `Bearer ${await accessToken()}`,
+      'Content-Type': 'application/json'
+    };
+    if (prefer) headers.Prefer = prefer;
+
+    const response = await fetch(`${config.url}/rest/v1/${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    if (response.status === 401) {
+      throw authError('Session expired; sign in again to sync queued changes');
+    }
+    if (!response.ok) {
+      const detail = await response.json().catch(() => ({}));
+      throw Object.assign(new Error(detail.message || `Request failed with status ${response.status}`), {
+        code: detail.code || response.status
+      });
+    }
+    return response.status === 204 ? null : response.json();
+  }
+
+  return { request };
+}
+
+const byId = (table, recordId) => `${table}?id=eq.${encodeURIComponent(recordId)}`;
+
+/**
+ * Send one queued operation over REST, mirroring OfflineSyncManager.processOperation
+ * @returns {Promise<{ conflicts?: Array<Object>, tempId?: string, createdId?: * }|undefined>}
+ */
+async function sendOperation(client, operation) {
+  const { table, operation: action, data, recordId, metadata } = operation;
+
+  switch (action) {
+    case 'create': {
+      if (isTempId(data?.id)) {
+        const { id: tempId, ...row } = data;
+        const [created] = await client.request(`${table}?select=id`, {
+          method: 'POST',
+          body: row,
+          prefer: 'return=representation'
+        });
+        return { tempId, createdId: created.id };
+      }
+      await client.request(table, { method: 'POST', body: data, prefer: 'return=minimal' });
+      return undefined;
+    }
+
+    case 'update': {
+      if (!recordId) throw new Error('recordId required for update operations');
+
+      if (metadata?.base) {
+        const [current] = await client.request(`${byId(table, recordId)}&select=*`);
+        if (!current) throw new Error('Record no longer exists on the server');
+
+        const { apply, conflicts } = mergeFields({ base: metadata.base, mine: data, theirs: current });
+        if (Object.keys(apply).length > 0) {
+          await client.request(byId(table, recordId), { method: 'PATCH', body: apply, prefer: 'return=minimal' });
+        }
+        return { conflicts };
+      }
+
+      await client.request(byId(table, recordId), { method: 'PATCH', body: data, prefer: 'return=minimal' });
+      return undefined;
+    }
+
+    case 'delete': {
+      if (!recordId) throw new Error('recordId required for delete operations');
+      await client.request(byId(table, recordId), { method: 'DELETE', prefer: 'return=minimal' });
+      return undefined;
+    }
+
+    default:
+      throw new Error(`Unknown operation type: ${action}`);
+  }
+}
+
+async function notifyClients(message) {
+  const clients = await /** @type {*} */ (self).clients.matchAll({ includeUncontrolled: true });
+  clients.forEach(client => client.postMessage(message));
+}
+
+/**
+ * Replay the stored offline queue from the service worker
+ * Does nothing without a stored session; the app syncs the queue itself once someone signs in.
+ * Skipped while a tab holds the queue lock, since that tab is already replaying the same operations.
+ * @returns {Promise<{ synced: number, failed: number, conflicts: number, blocked: number, skipped?: string }>}
+ */
+export async function flushQueueInBackground() {
+  const empty = { synced: 0, failed: 0, conflicts: 0, blocked: 0 };
+
+  return withLock(QUEUE_LOCK, (acquired) => (
+    acquired ? flushStoredQueue(empty) : { ...empty, skipped: 'busy' }
+  ), { ifAvailable: true });
+}
+
+async function flushStoredQueue(empty) {
+  const queue = (await offlineQueueDB.getAllOperations()) || [];
+  if (replayableOperations(queue).length === 0) {
+    return empty;
+  }
+
+  const config = await offlineQueueDB.getWorkerConfig();
+  if (!config || !(await readSession(config))) {
+    console.warn('[BackgroundSync] No stored session, leaving the queue for the app');
+    return { ...empty, skipped: 'signed-out' };
+  }
+
+  // Checked up front so a sign-in that can't be refreshed doesn't count as a failed attempt on every operation
+  const accessToken = createTokenSource(config);
+  try {
+    await accessToken();
+  } catch (error) {
+    // Anything but a dead session (e.g. the refresh request failing) rejects, so the browser retries the sync later
+    if (error.code !== 'AUTH_REQUIRED') throw error;
+    console.warn('[BackgroundSync] Stored session has expired, leaving the queue for the app');
+    await offlineQueueDB.addSyncReport({ ...empty, authRequired: true, source: 'service-worker' });
+    return { ...empty, skipped: 'auth' };
+  }
+
+  const client = createRestClient(config, accessToken);
+  const result = await replayQueue(queue, {
+    send: (operation) => sendOperation(client, operation),
+    save: (operation) => offlineQueueDB.saveOperation(operation),
+    remove: (operationId) => offlineQueueDB.deleteOperation(operationId),
+    onConflict: (operation, conflicts) => offlineQueueDB.recordConflict({
+      table: operation.table,
+      recordId: operation.recordId,
+      strategy: 'field-merge',
+      fields: conflicts.map(conflict => conflict.field)
+    })
+  });
+
+  const { remapped, ...counts } = result;
+  if (counts.synced || counts.failed || counts.conflicts || counts.blocked) {
+    await offlineQueueDB.addSyncReport({ ...counts, remapped, source: 'service-worker' });
+    await notifyClients({ type: 'BACKGROUND_SYNC_COMPLETE', ...counts, timestamp: new Date().toISOString() });
+  }
+
+  return counts;
+}
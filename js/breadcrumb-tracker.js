@@ -0,0 +1,143 @@
+/**
+ * Breadcrumb Tracker
+ * Records the device's position for the mileage log while tracking is switched on.
+ * Fixes are thinned on the device and saved in batches; the on/off state survives page loads.
+ */
+
+import { recordBreadcrumbs } from './services/breadcrumb-service.js';
+import { isOnline } from './offline-sync.js';
+import { haversineDistance } from './route-optimizer.js';
+
+const STORAGE_KEY = 'nfg_mileage_tracking';
+const MAX_ACCURACY_METERS = 100;
+const MIN_INTERVAL_MS = 30 * 1000; // Keep a fix at least this often while standing still
+const MIN_MOVE_METERS = 25; // ...or as soon as the device has moved this far
+const FLUSH_INTERVAL_MS = 60 * 1000;
+const FLUSH_BATCH_SIZE = 20;
+const MAX_BUFFERED = 2000; // Oldest fixes are dropped beyond this while offline
+
+let watchId = null;
+let flushTimer = null;
+let buffer = [];
+let lastKept = null;
+let context = { routeId: null, jobId: null };
+
+function saveState() {
+  try {
+    if (watchId === null) localStorage.removeItem(STORAGE_KEY);
+    else localStorage.setItem(STORAGE_KEY, JSON.stringify(context));
+  } catch (error) {
+    console.warn('[Breadcrumbs] Could not save tracking state:', error);
+  }
+}
+
+function handlePosition(position) {
+  const { latitude, longitude, accuracy, altitude, heading, speed } = position.coords;
+  if (accuracy > MAX_ACCURACY_METERS) return;
+
+  const now = position.timestamp || Date.now();
+  if (lastKept) {
+    const movedMeters = haversineDistance(lastKept.latitude, lastKept.longitude, latitude, longitude) * 1000;
+    if (movedMeters < MIN_MOVE_METERS && now - lastKept.time < MIN_INTERVAL_MS) return;
+  }
+  lastKept = { latitude, longitude, time: now };
+
+  buffer.push({
+    latitude,
+    longitude,
+    accuracy,
+    altitude,
+    heading: Number.isFinite(heading) ? heading : null,
+    speed: Number.isFinite(speed) ? speed : null,
+    recorded_at: new Date(now).toISOString(),
+    route_id: context.routeId,
+    job_id: context.jobId
+  });
+  if (buffer.length > MAX_BUFFERED) buffer = buffer.slice(-MAX_BUFFERED);
+  if (buffer.length >= FLUSH_BATCH_SIZE) flushBreadcrumbs();
+}
+
+/**
+ * Save buffered fixes; kept for the next attempt when offline or the save fails
+ * @returns {Promise<void>}
+ */
+export async function flushBreadcrumbs() {
+  if (!buffer.length || !isOnline()) return;
+  const batch = buffer;
+  buffer = [];
+  try {
+    await recordBreadcrumbs(batch);
+  } catch (error) {
+    console.error('[Breadcrumbs] Error saving points:', error);
+    buffer = batch.concat(buffer).slice(-MAX_BUFFERED);
+  }
+}
+
+/**
+ * Start recording, tagging points with the route or job being worked
+ * @param {Object} options - { routeId, jobId }
+ * @returns {boolean} false when geolocation is unavailable
+ */
+export function startBreadcrumbTracking({ routeId = null, jobId = null } = {}) {
+  if (!navigator.geolocation) {
+    console.warn('[Breadcrumbs] Geolocation not supported');
+    return false;
+  }
+  context = { routeId, jobId };
+  if (watchId === null) {
+    watchId = navigator.geolocation.watchPosition(
+      handlePosition,
+      (error) => console.error('[Breadcrumbs] Geolocation error:', error),
+      { enableHighAccuracy: true, timeout: 20000, maximumAge: 10000 }
+    );
+    flushTimer = setInterval(flushBreadcrumbs, FLUSH_INTERVAL_MS);
+    window.addEventListener('online', flushBreadcrumbs);
+    window.addEventListener('pagehide', flushBreadcrumbs);
+  }
+  saveState();
+  return true;
+}
+
+/**
+ * Change the route or job that new points are recorded against
+ * @param {Object} updates - { routeId?, jobId? }
+ */
+export function setBreadcrumbContext(updates) {
+  context = { ...context, ...updates };
+  if (watchId !== null) saveState();
+}
+
+/**
+ * Stop recording and save what is buffered
+ * @returns {Promise<void>}
+ */
+export async function stopBreadcrumbTracking() {
+  if (watchId !== null) {
+    navigator.geolocation.clearWatch(watchId);
+    watchId = null;
+  }
+  clearInterval(flushTimer);
+  flushTimer = null;
+  window.removeEventListener('online', flushBreadcrumbs);
+  window.removeEventListener('pagehide', flushBreadcrumbs);
+  lastKept = null;
+  saveState();
+  await flushBreadcrumbs();
+}
+
+export function isBreadcrumbTracking() {
+  return watchId !== null;
+}
+
+/**
+ * Pick tracking back up after a page load if it was left on
+ * @returns {boolean} Whether tracking is now running
+ */
+export function resumeBreadcrumbTracking() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    return saved ? startBreadcrumbTracking(saved) : false;
+  } catch (error) {
+    return false;
+  }
+}
@@ -0,0 +1,175 @@
+/**
+ * Job Dispatch Planner
+ * Routes a day's cleaning jobs across the available workers with the multi-rep route planner
+ * and turns an accepted plan into job updates. Pure computation; see services/dispatch-service.js.
+ */
+
+import { DEFAULT_CONFIG, generateMultiRepPlan } from './route-optimizer.js';
+
+export const DISPATCH_DEFAULTS = {
+  shiftStartMinutes: 420, // 7:00 AM
+  shiftEndMinutes: 1140, // 7:00 PM
+  lunchBreakStart: 720,
+  lunchBreakDuration: 0, // Crews break on site
+  windowMinutes: 120, // How late a timed job may start when it has no scheduled_window_end
+  jobHours: 2 // Duration for jobs without estimated_hours
+};
+
+const PRIORITY_SCORES = { low: 2, medium: 3, high: 4, urgent: 5 };
+
+function minutesOfDay(value) {
+  const date = new Date(value);
+  return date.getHours() * 60 + date.getMinutes();
+}
+
+/**
+ * Skills typed as a comma-separated list, normalised for matching
+ * @param {string|null|undefined} text
+ * @returns {Array<string>} e.g. 'Floor care, windows' -> ['floor_care', 'windows']
+ */
+export function parseSkills(text) {
+  return Array.from(new Set(String(text || '')
+    .split(',')
+    .map(skill => skill.trim().toLowerCase().replace(/\s+/g, '_'))
+    .filter(Boolean)));
+}
+
+/**
+ * Local date (YYYY-MM-DD) plus minutes from midnight as an ISO timestamp
+ * @param {string} date
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function dispatchDateTime(date, minutes) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day, 0, minutes).toISOString();
+}
+
+/**
+ * Planner stops for a day's jobs
+ * Timed jobs must start between scheduled_datetime and scheduled_window_end (or the default window);
+ * all-day jobs can start any time in the shift. Every job is must-visit.
+ * @param {Array<Object>} jobs - jobs rows with sites { name, address, latitude, longitude }
+ * @param {{ windowMinutes?: number, jobHours?: number, keepAssignments?: boolean }} [options]
+ * @returns {Array<Object>} Stops for generateMultiRepPlan
+ */
+export function jobsToDispatchStops(jobs, options = {}) {
+  const windowMinutes = options.windowMinutes ?? DISPATCH_DEFAULTS.windowMinutes;
+  const jobHours = options.jobHours ?? DISPATCH_DEFAULTS.jobHours;
+
+  return (jobs || []).map(job => {
+    const site = job.sites || job.site || {};
+    const timed = Boolean(job.scheduled_datetime) && !job.is_all_day;
+    const windowStart = timed ? minutesOfDay(job.scheduled_datetime) : null;
+    let windowEnd = null;
+    if (timed) {
+      windowEnd = job.scheduled_window_end
+        ? minutesOfDay(job.scheduled_window_end)
+        : windowStart + windowMinutes;
+    }
+
+    return {
+      id: job.id,
+      type: 'job',
+      title: job.title,
+      siteName: site.name || null,
+      address: site.address || site.name || null,
+      lat: site.latitude ? Number(site.latitude) : null,
+      lng: site.longitude ? Number(site.longitude) : null,
+      serviceDurationMinutes: Math.round(Number(job.estimated_hours || jobHours) * 60),
+      timeWindowStartMinutes: windowStart,
+      timeWindowEndMinutes: windowEnd,
+      requiredSkills: job.required_skills || [],
+      priority: PRIORITY_SCORES[job.priority] || 3,
+      mustVisit: true,
+      assignedRepId: options.keepAssignments && job.assigned_worker_id ? job.assigned_worker_id : undefined
+    };
+  });
+}
+
+/**
+ * Planner reps for the available workers
+ * Workers without a home base start from the centre of the day's sites.
+ * @param {Array<Object>} workers - user_profiles rows with skills, home_latitude, home_longitude
+ * @param {Array<Object>} stops - jobsToDispatchStops() output
+ * @returns {Array<Object>} Reps for generateMultiRepPlan
+ */
+export function workersToDispatchReps(workers, stops) {
+  const located = stops.filter(stop => stop.lat && stop.lng);
+  const centre = located.length > 0
+    ? {
+        lat: located.reduce((sum, stop) => sum + stop.lat, 0) / located.length,
+        lng: located.reduce((sum, stop) => sum + stop.lng, 0) / located.length
+      }
+    : null;
+
+  return (workers || []).map(worker => ({
+    id: worker.id,
+    name: worker.full_name || worker.email || 'Worker',
+    startPoint: worker.home_latitude && worker.home_longitude
+      ? { lat: Number(worker.home_latitude), lng: Number(worker.home_longitude) }
+      : centre,
+    skills: worker.skills || []
+  }));
+}
+
+/**
+ * Plan a day of jobs across workers
+ * @param {Object} params
+ * @param {Array<Object>} params.jobs - The day's jobs (see jobsToDispatchStops)
+ * @param {Array<Object>} params.workers - Available workers (see workersToDispatchReps)
+ * @param {Object} [params.constraints] - Shift and lunch overrides (DISPATCH_DEFAULTS otherwise)
+ * @param {Object} [params.options] - jobsToDispatchStops options
+ * @param {Object} [params.config] - Route optimizer config
+ * @returns {Object} generateMultiRepPlan() result; routes are per worker
+ */
+export function generateDispatchPlan({ jobs, workers, constraints = {}, options = {}, config = DEFAULT_CONFIG }) {
+  const stops = jobsToDispatchStops(jobs, options);
+  if (stops.length === 0) {
+    return { success: false, error: 'No jobs to dispatch', routes: [], unassigned: [], stats: {}, diagnostics: {} };
+  }
+  if (!stops.some(stop => stop.lat && stop.lng)) {
+    return { success: false, error: 'None of these jobs\' sites have coordinates', routes: [], unassigned: [], stats: {}, diagnostics: {} };
+  }
+
+  return generateMultiRepPlan({
+    stops,
+    reps: workersToDispatchReps(workers, stops),
+    constraints: {
+      shiftStartMinutes: constraints.shiftStartMinutes ?? DISPATCH_DEFAULTS.shiftStartMinutes,
+      shiftEndMinutes: constraints.shiftEndMinutes ?? DISPATCH_DEFAULTS.shiftEndMinutes,
+      lunchBreakStart: constraints.lunchBreakStart ?? DISPATCH_DEFAULTS.lunchBreakStart,
+      lunchBreakDuration: constraints.lunchBreakDuration ?? DISPATCH_DEFAULTS.lunchBreakDuration,
+      maxStops: constraints.maxStops ?? stops.length
+    },
+    weights: {},
+    config
+  });
+}
+
+/**
+ * Job updates for an accepted plan
+ * Keeps each timed job's latest start in scheduled_window_end so the day can be re-dispatched.
+ * @param {Object} plan - generateDispatchPlan() result
+ * @param {string} date - Dispatch day (YYYY-MM-DD, local)
+ * @returns {Array<Object>} { jobId, workerId, workerName, order, travelMinutes, update }
+ */
+export function dispatchAssignments(plan, date) {
+  return (plan.routes || []).flatMap(workerRoute => workerRoute.route.map(entry => ({
+    jobId: entry.stop.id,
+    workerId: workerRoute.rep.id,
+    workerName: workerRoute.rep.name,
+    title: entry.stop.title,
+    siteName: entry.stop.siteName,
+    order: entry.orderIndex,
+    travelMinutes: entry.travelMinutesFromPrev || 0,
+    update: {
+      assigned_worker_id: workerRoute.rep.id,
+      scheduled_datetime: dispatchDateTime(date, entry.plannedStartMinutes),
+      scheduled_window_end: entry.stop.timeWindowEndMinutes !== null && entry.stop.timeWindowEndMinutes !== undefined
+        ? dispatchDateTime(date, entry.stop.timeWindowEndMinutes)
+        : null,
+      is_all_day: false
+    }
+  })));
+}
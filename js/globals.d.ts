@@ -6,13 +6,27 @@
 interface EnvConfig {
   SUPABASE_URL?: string;
   SUPABASE_ANON_KEY?: string;
+  /** Base URL of an OSRM-compatible routing server for route planning travel times */
+  ROUTING_OSRM_URL?: string;
+  /** URL of a precomputed travel time matrix JSON file */
+  ROUTING_MATRIX_URL?: string;
 }
 
 interface LucideModule {
   createIcons?: () => void;
 }
 
+/** Background Sync API (not yet in the TypeScript DOM lib) */
+interface SyncManager {
+  register(tag: string): Promise<void>;
+  getTags(): Promise<string[]>;
+}
+
 declare global {
+  interface ServiceWorkerRegistration {
+    readonly sync: SyncManager;
+  }
+
   interface Window {
     ENV?: EnvConfig;
     lucide?: LucideModule;
@@ -0,0 +1,450 @@
+/**
+ * GPS Breadcrumbs
+ * Turns recorded location points (route_locations) into something useful: a cleaned path for replay,
+ * dwells at doors and sites checked against recorded visits, and a per-user, per-day mileage log
+ * with each trip attributed to a route or job.
+ */
+
+import { haversineDistance } from './route-optimizer.js';
+
+export const BREADCRUMB_DEFAULTS = {
+  maxAccuracyMeters: 100, // Fixes less accurate than this are ignored
+  maxSpeedKmh: 160, // Faster than this between fixes is a GPS jump, not driving
+  minMoveMeters: 15, // Movement below this counts as jitter and adds no distance
+  dwellRadiusMeters: 40,
+  minDwellMinutes: 2,
+  visitMatchRadiusMeters: 75, // How close a dwell must be to a door or site to count as being there
+  visitSlackMinutes: 10, // A visit recorded this long before or after a dwell still matches it
+  tripGapMinutes: 30, // No fixes for this long ends a trip
+  minTripMeters: 200 // Shorter trips are walking around a site, not travel
+};
+
+export const DWELL_STATUS = {
+  CONFIRMED: 'confirmed', // At a stop and a visit was recorded there
+  UNRECORDED: 'unrecorded', // At a stop but no visit was recorded
+  UNKNOWN: 'unknown' // Not near any stop
+};
+
+export const TRIP_ATTRIBUTION = {
+  RECORDED: 'recorded', // Points were recorded against a route or job
+  DESTINATION: 'destination', // Trip ended at a job's site
+  NONE: 'none'
+};
+
+const METERS_PER_KM = 1000;
+const MS_PER_MINUTE = 60 * 1000;
+const KM_PER_MILE = 1.609344;
+
+function metersBetween(a, b) {
+  return haversineDistance(a.lat, a.lng, b.lat, b.lng) * METERS_PER_KM;
+}
+
+function coordinates(item) {
+  const lat = parseFloat(item?.lat ?? item?.latitude);
+  const lng = parseFloat(item?.lng ?? item?.longitude);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+}
+
+function minutesBetween(start, end) {
+  return (end - start) / MS_PER_MINUTE;
+}
+
+// Most common non-empty value of a field, or null
+function mostCommon(points, field) {
+  const counts = new Map();
+  points.forEach(point => {
+    if (point[field]) counts.set(point[field], (counts.get(point[field]) || 0) + 1);
+  });
+  let best = null;
+  let bestCount = 0;
+  counts.forEach((count, value) => {
+    if (count > bestCount) {
+      best = value;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+/**
+ * Local calendar day of a timestamp
+ * @param {number|string|Date} time
+ * @returns {string} YYYY-MM-DD
+ */
+export function localDay(time) {
+  const date = new Date(time);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// ============================================
+// CLEANING
+// ============================================
+
+/**
+ * Normalize route_locations rows into time-ordered points
+ * @param {Array<Object>} rows - { latitude, longitude, recorded_at, accuracy?, speed?, user_id?, route_id?, job_id? }
+ * @returns {Array<Object>} { lat, lng, time, accuracy, speed, userId, routeId, jobId }
+ */
+export function normalizeBreadcrumbs(rows) {
+  return (rows || [])
+    .map(row => {
+      const position = coordinates(row);
+      const time = new Date(row.recorded_at ?? row.time).getTime();
+      if (!position || !Number.isFinite(time)) return null;
+      return {
+        ...position,
+        time,
+        accuracy: row.accuracy != null ? parseFloat(row.accuracy) : null,
+        speed: row.speed != null ? parseFloat(row.speed) : null,
+        userId: row.user_id ?? row.userId ?? null,
+        routeId: row.route_id ?? row.routeId ?? null,
+        jobId: row.job_id ?? row.jobId ?? null
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Drop fixes that are too inaccurate to use and jumps no vehicle could make
+ * @param {Array<Object>} rows - route_locations rows or normalized points
+ * @param {Object} options - See BREADCRUMB_DEFAULTS
+ * @returns {{ points: Array<Object>, dropped: { inaccurate: number, jumps: number, duplicates: number } }}
+ */
+export function cleanBreadcrumbs(rows, options = {}) {
+  const { maxAccuracyMeters, maxSpeedKmh } = { ...BREADCRUMB_DEFAULTS, ...options };
+  const dropped = { inaccurate: 0, jumps: 0, duplicates: 0 };
+  const points = [];
+
+  for (const point of normalizeBreadcrumbs(rows)) {
+    if (point.accuracy != null && point.accuracy > maxAccuracyMeters) {
+      dropped.inaccurate++;
+      continue;
+    }
+
+    const previous = points[points.length - 1];
+    if (previous) {
+      if (point.time === previous.time) {
+        dropped.duplicates++;
+        continue;
+      }
+      const hours = (point.time - previous.time) / (60 * MS_PER_MINUTE);
+      const km = haversineDistance(previous.lat, previous.lng, point.lat, point.lng);
+      if (km / hours > maxSpeedKmh) {
+        dropped.jumps++;
+        continue;
+      }
+    }
+    points.push(point);
+  }
+
+  return { points, dropped };
+}
+
+/**
+ * Distance travelled along a path, ignoring jitter
+ * Distance is only counted once the position has moved minMoveMeters from the last counted point,
+ * so a phone sitting in a parking lot adds nothing however much its fixes wander.
+ * @param {Array<Object>} points - Cleaned points
+ * @param {Object} options - { minMoveMeters }
+ * @returns {number} Kilometres
+ */
+export function pathDistanceKm(points, options = {}) {
+  const { minMoveMeters } = { ...BREADCRUMB_DEFAULTS, ...options };
+  if (points.length < 2) return 0;
+
+  let anchor = points[0];
+  let meters = 0;
+  for (let i = 1; i < points.length; i++) {
+    const step = metersBetween(anchor, points[i]);
+    if (step >= minMoveMeters) {
+      meters += step;
+      anchor = points[i];
+    }
+  }
+  return meters / METERS_PER_KM;
+}
+
+// ============================================
+// DWELLS AND VISITS
+// ============================================
+
+/**
+ * Find where the device stayed put
+ * A dwell is a run of points within dwellRadiusMeters of their running centre lasting at least minDwellMinutes.
+ * @param {Array<Object>} points - Cleaned points
+ * @param {Object} options - { dwellRadiusMeters, minDwellMinutes }
+ * @returns {Array<Object>} { lat, lng, start, end, minutes, startIndex, endIndex, pointCount }
+ */
+export function detectDwells(points, options = {}) {
+  const { dwellRadiusMeters, minDwellMinutes } = { ...BREADCRUMB_DEFAULTS, ...options };
+  const dwells = [];
+  let i = 0;
+
+  while (i < points.length) {
+    let sumLat = points[i].lat;
+    let sumLng = points[i].lng;
+    let j = i + 1;
+    while (j < points.length) {
+      const count = j - i;
+      const centre = { lat: sumLat / count, lng: sumLng / count };
+      if (metersBetween(centre, points[j]) > dwellRadiusMeters) break;
+      sumLat += points[j].lat;
+      sumLng += points[j].lng;
+      j++;
+    }
+
+    const endIndex = j - 1;
+    const minutes = minutesBetween(points[i].time, points[endIndex].time);
+    if (endIndex > i && minutes >= minDwellMinutes) {
+      const count = endIndex - i + 1;
+      dwells.push({
+        lat: sumLat / count,
+        lng: sumLng / count,
+        start: points[i].time,
+        end: points[endIndex].time,
+        minutes,
+        startIndex: i,
+        endIndex,
+        pointCount: count
+      });
+      i = j;
+    } else {
+      i++;
+    }
+  }
+
+  return dwells;
+}
+
+/**
+ * Compare dwells with the doors or sites on the plan and the visits recorded at them
+ * @param {Array<Object>} dwells - detectDwells() output
+ * @param {Array<Object>} stops - { id, latitude/lat, longitude/lng, ... } door targets or job sites
+ * @param {Array<Object>} visits - { id, stopId, visitedAt } recorded visits
+ * @param {Object} options - { visitMatchRadiusMeters, visitSlackMinutes }
+ * @returns {{ dwells: Array<Object>, confirmed: Array<Object>, unrecorded: Array<Object>, unverified: Array<Object>, unknown: Array<Object> }}
+ *   dwells carry status, stop and visit; unverified lists visits with no dwell at their stop
+ */
+export function matchDwellsToStops(dwells, stops, visits = [], options = {}) {
+  const { visitMatchRadiusMeters, visitSlackMinutes } = { ...BREADCRUMB_DEFAULTS, ...options };
+  const located = stops
+    .map(stop => ({ stop, position: coordinates(stop) }))
+    .filter(entry => entry.position);
+  const slack = visitSlackMinutes * MS_PER_MINUTE;
+  const matchedVisits = new Set();
+
+  const matched = dwells.map(dwell => {
+    let stop = null;
+    let bestMeters = visitMatchRadiusMeters;
+    for (const entry of located) {
+      const meters = metersBetween(dwell, entry.position);
+      if (meters <= bestMeters) {
+        stop = entry.stop;
+        bestMeters = meters;
+      }
+    }
+    if (!stop) return { ...dwell, status: DWELL_STATUS.UNKNOWN, stop: null, visit: null };
+
+    const visit = visits.find(candidate => {
+      if (candidate.stopId !== stop.id || matchedVisits.has(candidate)) return false;
+      const at = new Date(candidate.visitedAt).getTime();
+      return at >= dwell.start - slack && at <= dwell.end + slack;
+    }) || null;
+    if (visit) matchedVisits.add(visit);
+
+    return {
+      ...dwell,
+      status: visit ? DWELL_STATUS.CONFIRMED : DWELL_STATUS.UNRECORDED,
+      stop,
+      visit,
+      distanceMeters: Math.round(bestMeters)
+    };
+  });
+
+  return {
+    dwells: matched,
+    confirmed: matched.filter(dwell => dwell.status === DWELL_STATUS.CONFIRMED),
+    unrecorded: matched.filter(dwell => dwell.status === DWELL_STATUS.UNRECORDED),
+    unverified: visits.filter(visit => !matchedVisits.has(visit)),
+    unknown: matched.filter(dwell => dwell.status === DWELL_STATUS.UNKNOWN)
+  };
+}
+
+// ============================================
+// TRIPS AND MILEAGE
+// ============================================
+
+// Which route or job a trip was for: what its points were recorded against, else the job site it ended at
+function attributeTrip(points, jobs, radiusMeters) {
+  // The first point is where the last stop ended, still tagged with whatever was worked there
+  const travelled = points.slice(1);
+  const routeId = mostCommon(travelled, 'routeId');
+  const jobId = mostCommon(travelled, 'jobId');
+  if (routeId || jobId) return { routeId, jobId, attribution: TRIP_ATTRIBUTION.RECORDED };
+
+  const destination = points[points.length - 1];
+  let job = null;
+  let bestMeters = radiusMeters;
+  for (const candidate of jobs) {
+    const position = coordinates(candidate);
+    if (!position) continue;
+    const meters = metersBetween(destination, position);
+    if (meters <= bestMeters) {
+      job = candidate;
+      bestMeters = meters;
+    }
+  }
+  return job
+    ? { routeId: job.routeId ?? null, jobId: job.id, attribution: TRIP_ATTRIBUTION.DESTINATION }
+    : { routeId: null, jobId: null, attribution: TRIP_ATTRIBUTION.NONE };
+}
+
+/**
+ * Split a day's points into trips between stops
+ * A trip runs from the end of one dwell to the start of the next, and is also cut where no fixes arrived for tripGapMinutes.
+ * @param {Array<Object>} points - Cleaned points for one user
+ * @param {Object} options - BREADCRUMB_DEFAULTS plus jobs: [{ id, latitude, longitude, routeId? }] to attribute trips by destination
+ * @returns {Array<Object>} { start, end, from, to, distanceKm, durationMinutes, routeId, jobId, attribution, points }
+ */
+export function splitTrips(points, options = {}) {
+  const settings = { ...BREADCRUMB_DEFAULTS, ...options };
+  const jobs = options.jobs || [];
+  const dwells = detectDwells(points, settings);
+
+  // Moving stretches between dwells, sharing their boundary points with the dwells
+  const stretches = [];
+  let from = 0;
+  for (const dwell of dwells) {
+    if (dwell.startIndex > from) stretches.push(points.slice(from, dwell.startIndex + 1));
+    from = dwell.endIndex;
+  }
+  if (from < points.length - 1) stretches.push(points.slice(from));
+
+  const segments = [];
+  for (const stretch of stretches) {
+    let current = [stretch[0]];
+    for (let i = 1; i < stretch.length; i++) {
+      if (minutesBetween(stretch[i - 1].time, stretch[i].time) > settings.tripGapMinutes) {
+        segments.push(current);
+        current = [];
+      }
+      current.push(stretch[i]);
+    }
+    segments.push(current);
+  }
+
+  return segments
+    .filter(segment => segment.length >= 2)
+    .map(segment => {
+      const start = segment[0];
+      const end = segment[segment.length - 1];
+      return {
+        start: start.time,
+        end: end.time,
+        from: { lat: start.lat, lng: start.lng },
+        to: { lat: end.lat, lng: end.lng },
+        distanceKm: pathDistanceKm(segment, settings),
+        durationMinutes: minutesBetween(start.time, end.time),
+        ...attributeTrip(segment, jobs, settings.visitMatchRadiusMeters * 2),
+        points: segment
+      };
+    })
+    .filter(trip => trip.distanceKm * METERS_PER_KM >= settings.minTripMeters);
+}
+
+/**
+ * Mileage per user per local day
+ * @param {Array<Object>} rows - route_locations rows for any number of users and days
+ * @param {Object} options - BREADCRUMB_DEFAULTS plus jobs for destination attribution; a job with assignedWorkerId
+ *   or date (YYYY-MM-DD) only claims trips by that user or on that day
+ * @returns {Array<Object>} { userId, date, trips, distanceKm, durationMinutes, pointCount } sorted by date then user
+ */
+export function buildMileageLog(rows, options = {}) {
+  // Clean each user's track on its own so one device's fixes never look like another's jumps
+  const byUser = new Map();
+  for (const point of normalizeBreadcrumbs(rows)) {
+    const userId = point.userId ?? '';
+    if (!byUser.has(userId)) byUser.set(userId, []);
+    byUser.get(userId).push(point);
+  }
+
+  const groups = new Map();
+  byUser.forEach((userPoints, userId) => {
+    for (const point of cleanBreadcrumbs(userPoints, options).points) {
+      const key = `${localDay(point.time)}|${userId}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(point);
+    }
+  });
+
+  const log = [];
+  groups.forEach((dayPoints, key) => {
+    const [date, userId] = key.split('|');
+    const jobs = (options.jobs || []).filter(job =>
+      (!job.assignedWorkerId || job.assignedWorkerId === userId) && (!job.date || job.date === date)
+    );
+    const trips = splitTrips(dayPoints, { ...options, jobs });
+    log.push({
+      userId: userId || null,
+      date,
+      trips,
+      distanceKm: trips.reduce((sum, trip) => sum + trip.distanceKm, 0),
+      durationMinutes: trips.reduce((sum, trip) => sum + trip.durationMinutes, 0),
+      pointCount: dayPoints.length
+    });
+  });
+
+  log.sort((a, b) => a.date.localeCompare(b.date) || String(a.userId).localeCompare(String(b.userId)));
+  return log;
+}
+
+/**
+ * Convert kilometres for display or reimbursement
+ * @param {number} km
+ * @param {'km'|'mi'} unit
+ * @returns {number}
+ */
+export function convertDistance(km, unit = 'km') {
+  return unit === 'mi' ? km / KM_PER_MILE : km;
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function clockTime(time) {
+  const date = new Date(time);
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * Mileage log as CSV for reimbursement, one row per trip
+ * @param {Array<Object>} log - buildMileageLog() output
+ * @param {Object} options - { unit: 'km'|'mi', rate: reimbursement per unit, userNames, routeNames, jobNames: id -> label }
+ * @returns {string}
+ */
+export function mileageLogToCsv(log, { unit = 'km', rate = 0, userNames = {}, routeNames = {}, jobNames = {} } = {}) {
+  const header = ['date', 'user', 'start', 'end', `distance_${unit}`, 'duration_minutes', 'route', 'job', 'attribution', 'reimbursement'];
+  const lines = [];
+  for (const day of log) {
+    for (const trip of day.trips) {
+      const distance = convertDistance(trip.distanceKm, unit);
+      lines.push([
+        day.date,
+        userNames[day.userId] || day.userId,
+        clockTime(trip.start),
+        clockTime(trip.end),
+        distance.toFixed(2),
+        Math.round(trip.durationMinutes),
+        trip.routeId ? (routeNames[trip.routeId] || trip.routeId) : '',
+        trip.jobId ? (jobNames[trip.jobId] || trip.jobId) : '',
+        trip.attribution,
+        (distance * rate).toFixed(2)
+      ].map(csvField).join(','));
+    }
+  }
+  return [header.join(','), ...lines].join('\n') + '\n';
+}
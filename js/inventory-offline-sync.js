@@ -169,12 +169,21 @@ class InventoryOfflineSyncManager {
       photo_urls: photoUrls.length > 0 ? photoUrls : null
     };
     
-    const { error: txError } = await supabase
+    const { data: createdTx, error: txError } = await supabase
       .from('inventory_transactions')
-      .insert(transactionData);
+      .insert(transactionData)
+      .select('id')
+      .single();
     
     if (txError) throw txError;
     
+    // Photos queued against the temp id attach to the real transaction now (photo-upload-service.js)
+    if (pendingTx.temp_id) {
+      window.dispatchEvent(new CustomEvent('offline-id-remapped', {
+        detail: { table: 'inventory_transactions', tempId: pendingTx.temp_id, id: createdTx.id }
+      }));
+    }
+    
     // Update site inventory quantity
     const { error: updateError } = await supabase
       .from('site_inventory')
@@ -6,6 +6,8 @@
 import { PhotoCapture } from './photo-capture.js';
 import { supabase } from './supabase.js';
 import { toast } from './notifications.js';
+import { queuePhotoUpload } from './services/photo-upload-service.js';
+import { ATTACH_MODES } from './photo-uploads.js';
 
 const photoCapture = new PhotoCapture();
 const MAX_PHOTOS = 5;
@@ -263,57 +265,49 @@ function renderPhotoGallery() {
 }
 
 /**
- * Upload photos to Supabase Storage
- * @returns {Promise<string[]>} Array of photo URLs
+ * Queue photos for upload to Supabase Storage
+ * They upload in the background, resuming after dropped connections, and are added to the
+ * transaction's photo_urls once uploaded and once the transaction exists on the server.
+ * @param {string|number} transactionId - Id of the inventory transaction, or the temp id of one saved offline
+ * @returns {Promise<number>} Number of photos queued
  */
-export async function uploadTransactionPhotos() {
+export async function uploadTransactionPhotos(transactionId) {
   if (transactionPhotos.length === 0) {
-    return [];
+    return 0;
   }
   
-  // Get current user from Supabase auth
-  const { data: { user }, error: authError } = await supabase.auth.getUser();
-  if (authError || !user) {
+  // Read from the stored session so this works offline
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session?.user) {
     throw new Error('User not authenticated');
   }
   
-  const photoUrls = [];
+  let queued = 0;
   const timestamp = Date.now();
   
   for (let i = 0; i < transactionPhotos.length; i++) {
     const photo = transactionPhotos[i];
-    const fileName = `inventory/${user.id}/${timestamp}-${i + 1}.jpg`;
     
     try {
-      // Upload to storage
-      const { error: uploadError } = await supabase.storage
-        .from('job-photos') // Reuse job-photos bucket
-        .upload(fileName, photo.blob, {
-          contentType: 'image/jpeg',
-          upsert: false
-        });
-      
-      if (uploadError) {
-        console.error(`[Inventory Photos] Failed to upload photo ${i + 1}:`, uploadError);
-        // Continue with other photos
-        continue;
-      }
-      
-      // Get public URL
-      const { data: urlData } = supabase.storage
-        .from('job-photos')
-        .getPublicUrl(fileName);
-      
-      if (urlData?.publicUrl) {
-        photoUrls.push(urlData.publicUrl);
-      }
+      await queuePhotoUpload({
+        file: photo.blob,
+        path: `inventory/${session.user.id}/${timestamp}-${i + 1}.jpg`,
+        target: {
+          table: 'inventory_transactions',
+          recordId: transactionId,
+          field: 'photo_urls',
+          mode: ATTACH_MODES.APPEND
+        },
+        compress: false // Already resized when captured or picked
+      });
+      queued++;
     } catch (error) {
-      console.error(`[Inventory Photos] Error uploading photo ${i + 1}:`, error);
+      console.error(`[Inventory Photos] Error queueing photo ${i + 1}:`, error);
       // Continue with other photos
     }
   }
   
-  return photoUrls;
+  return queued;
 }
 
 /**
@@ -3,6 +3,7 @@ import { toast, showConfirm } from './notifications.js';
 import { BarcodeGenerator } from './barcode-generator.js';
 import { inventoryOfflineDB } from './inventory-offline-db.js';
 import { inventorySyncManager } from './inventory-offline-sync.js';
+import { createTempId } from './offline-dependencies.js';
 
 let currentUser = null;
 let currentUserProfile = null;
@@ -4058,33 +4059,23 @@ document.getElementById('stock-form')?.addEventListener('submit', async (e) => {
     // Check if offline
     const isOffline = !navigator.onLine;
     
-    // Upload photos if any (or save to IndexedDB if offline)
-    let photoUrls = [];
-    let photoBlobs = [];
-    
-    if (isOffline) {
-      // Get photo blobs from the photo handler
-      try {
-        const { getTransactionPhotoBlobs } = await import('./inventory-photo-handler.js');
-        photoBlobs = await getTransactionPhotoBlobs();
-      } catch (photoError) {
-        console.warn('[Inventory] Failed to get photo blobs:', photoError);
-      }
-    } else {
-      // Upload photos online
+    // Photos upload in the background and are attached to the transaction once it exists on the server
+    const queueTransactionPhotos = async (transactionId) => {
       try {
         const { uploadTransactionPhotos } = await import('./inventory-photo-handler.js');
-        photoUrls = await uploadTransactionPhotos();
+        await uploadTransactionPhotos(transactionId);
       } catch (photoError) {
-        console.warn('[Inventory] Failed to upload photos:', photoError);
+        console.warn('[Inventory] Failed to queue photos:', photoError);
         // Don't fail the transaction if photos fail
       }
-    }
+    };
     
     if (isOffline) {
       // Queue transaction for offline sync
       try {
-        const pendingTxId = await inventoryOfflineDB.savePendingTransaction({
+        // Stands in for the transaction's id until it syncs, so its photos know where to attach
+        const tempId = createTempId();
+        await inventoryOfflineDB.savePendingTransaction({
           item_id: itemId,
           site_id: siteId,
           job_id: jobId || null,
@@ -4092,15 +4083,11 @@ document.getElementById('stock-form')?.addEventListener('submit', async (e) => {
           quantity_change: quantityChange,
           quantity_before: currentQty,
           quantity_after: newQty,
-          notes: notes || null
+          notes: notes || null,
+          temp_id: tempId
         });
         
-        // Save photo blobs to IndexedDB
-        if (photoBlobs && photoBlobs.length > 0) {
-          for (const blob of photoBlobs) {
-            await inventoryOfflineDB.savePhotoBlob(pendingTxId, blob);
-          }
-        }
+        await queueTransactionPhotos(tempId);
         
         // Update cached inventory quantity
         await inventoryOfflineDB.updateCachedSiteInventoryQuantity(siteId, itemId, newQty);
@@ -4114,7 +4101,7 @@ document.getElementById('stock-form')?.addEventListener('submit', async (e) => {
       }
     } else {
       // Record transaction online
-      const { error: transactionError } = await supabase
+      const { data: createdTransaction, error: transactionError } = await supabase
         .from('inventory_transactions')
         .insert({
           item_id: itemId,
@@ -4126,11 +4113,15 @@ document.getElementById('stock-form')?.addEventListener('submit', async (e) => {
           quantity_after: newQty,
           user_id: currentUser.id,
           notes: notes || null,
-          photo_urls: photoUrls.length > 0 ? photoUrls : null
-        });
+          photo_urls: null
+        })
+        .select('id')
+        .single();
       
       if (transactionError) throw transactionError;
       
+      await queueTransactionPhotos(createdTransaction.id);
+      
       // Update cached inventory
       await inventoryOfflineDB.updateCachedSiteInventoryQuantity(siteId, itemId, newQty);
     }
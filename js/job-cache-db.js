@@ -0,0 +1,126 @@
+/**
+ * Job Cache Database
+ * IndexedDB copy of the signed-in worker's upcoming jobs, their sites and tasks, readable offline.
+ */
+
+const DB_NAME = 'NFGJobCache';
+const DB_VERSION = 1;
+const JOB_STORE = 'jobs';
+const SITE_STORE = 'sites';
+const TASK_STORE = 'tasks';
+const META_STORE = 'meta';
+
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+class JobCacheDB {
+  constructor() {
+    this.dbPromise = this.init();
+  }
+
+  init() {
+    if (typeof indexedDB === 'undefined') {
+      console.warn('[JobCacheDB] IndexedDB not supported in this environment');
+      return Promise.resolve(null);
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onerror = () => {
+        console.error('[JobCacheDB] Failed to open database:', request.error);
+        reject(request.error);
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        db.onversionchange = () => {
+          db.close();
+        };
+        resolve(db);
+      };
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+
+        if (!db.objectStoreNames.contains(JOB_STORE)) {
+          db.createObjectStore(JOB_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(SITE_STORE)) {
+          db.createObjectStore(SITE_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(TASK_STORE)) {
+          db.createObjectStore(TASK_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE, { keyPath: 'key' });
+        }
+      };
+    });
+  }
+
+  async getAll(storeName) {
+    const db = await this.dbPromise;
+    if (!db) return [];
+    return (await requestResult(db.transaction(storeName, 'readonly').objectStore(storeName).getAll())) || [];
+  }
+
+  /**
+   * Write changed records and drop removed ones in a single transaction
+   * @param {string} storeName
+   * @param {Array<Object>} records
+   * @param {Array<*>} removeIds
+   */
+  async apply(storeName, records = [], removeIds = []) {
+    const db = await this.dbPromise;
+    if (!db || (records.length === 0 && removeIds.length === 0)) return;
+
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, 'readwrite');
+      const store = transaction.objectStore(storeName);
+      records.forEach(record => store.put(record));
+      removeIds.forEach(id => store.delete(id));
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+
+  // Refresh state: { key: 'state', userId, role, refreshedAt }
+  async getMeta() {
+    const db = await this.dbPromise;
+    if (!db) return null;
+    return (await requestResult(db.transaction(META_STORE, 'readonly').objectStore(META_STORE).get('state'))) || null;
+  }
+
+  async saveMeta(meta) {
+    const db = await this.dbPromise;
+    if (!db) return;
+    await requestResult(db.transaction(META_STORE, 'readwrite').objectStore(META_STORE).put({ ...meta, key: 'state' }));
+  }
+
+  async clear() {
+    const db = await this.dbPromise;
+    if (!db) return;
+
+    const stores = [JOB_STORE, SITE_STORE, TASK_STORE, META_STORE];
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(stores, 'readwrite');
+      stores.forEach(storeName => transaction.objectStore(storeName).clear());
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+}
+
+export const JOB_CACHE_STORES = {
+  JOBS: JOB_STORE,
+  SITES: SITE_STORE,
+  TASKS: TASK_STORE
+};
+
+export const jobCacheDB = new JobCacheDB();
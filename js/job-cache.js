@@ -0,0 +1,131 @@
+/**
+ * Offline Job Cache
+ * Decides what a worker's cached jobs, sites and tasks need from the server, and shows cached records
+ * with the edits still waiting in the offline queue applied, so the device reflects what the worker did.
+ */
+
+export const CACHE_WINDOW_DAYS = 7;
+
+/**
+ * The period of assigned jobs kept on the device: from the start of today for CACHE_WINDOW_DAYS days
+ * @param {Date} [now]
+ * @returns {{ from: Date, to: Date }}
+ */
+export function cacheWindow(now = new Date()) {
+  const from = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const to = new Date(from.getFullYear(), from.getMonth(), from.getDate() + CACHE_WINDOW_DAYS);
+  return { from, to };
+}
+
+function localDateString(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * PostgREST `or` filter for jobs in the cache window
+ * Recurring follow-ups and jobs provisioned from accepted quotes only carry a scheduled_date, so either column counts.
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function cacheWindowFilter(now = new Date()) {
+  const { from, to } = cacheWindow(now);
+  return [
+    `and(scheduled_datetime.gte.${from.toISOString()},scheduled_datetime.lt.${to.toISOString()})`,
+    `and(scheduled_date.gte.${localDateString(from)},scheduled_date.lt.${localDateString(to)})`
+  ].join(',');
+}
+
+// When a job starts, for date-only jobs the start of their day
+function jobStartTime(job) {
+  if (job.scheduled_datetime) return Date.parse(job.scheduled_datetime) || 0;
+  if (job.scheduled_date) return new Date(`${job.scheduled_date}T00:00:00`).getTime() || 0;
+  return 0;
+}
+
+function sameInstant(a, b) {
+  if (a == null || b == null) return false;
+  return Date.parse(a) === Date.parse(b);
+}
+
+/**
+ * Compare the cached copies with the server's id/updated_at listing
+ * @param {Array<Object>} cached - Cached records
+ * @param {Array<{ id: *, updated_at: string }>} manifest - What the device should hold now
+ * @returns {{ fetchIds: Array<*>, removeIds: Array<*> }} fetchIds: new or changed since cached; removeIds: no longer wanted
+ */
+export function planDelta(cached, manifest) {
+  const cachedById = new Map(cached.map(record => [String(record.id), record]));
+  const wanted = new Set(manifest.map(entry => String(entry.id)));
+
+  return {
+    fetchIds: manifest
+      .filter(entry => !sameInstant(cachedById.get(String(entry.id))?.updated_at, entry.updated_at))
+      .map(entry => entry.id),
+    removeIds: cached.filter(record => !wanted.has(String(record.id))).map(record => record.id)
+  };
+}
+
+/**
+ * Apply queued offline operations for one table to cached records, oldest first
+ * Records touched by the queue are flagged with _pendingSync.
+ * @param {Array<Object>} records
+ * @param {Array<Object>} operations - Offline queue entries
+ * @param {string} table
+ * @returns {Array<Object>}
+ */
+export function overlayQueuedOperations(records, operations, table) {
+  const result = records.map(record => ({ ...record }));
+
+  operations
+    .filter(op => op.table === table)
+    .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp))
+    .forEach(op => {
+      const targetId = String(op.operation === 'create' ? op.data?.id : op.recordId);
+      const index = result.findIndex(record => String(record.id) === targetId);
+
+      if (op.operation === 'delete') {
+        if (index !== -1) result.splice(index, 1);
+      } else if (index !== -1) {
+        result[index] = { ...result[index], ...op.data, _pendingSync: true };
+      } else if (op.operation === 'create') {
+        result.push({ ...op.data, _pendingSync: true });
+      }
+    });
+
+  return result;
+}
+
+/**
+ * Jobs in the shape jobs.html reads them (sites embedded), soonest first, with their tasks alongside
+ * @param {Array<Object>} jobs
+ * @param {Array<Object>} sites
+ * @param {Array<Object>} tasks
+ * @returns {Array<Object>}
+ */
+export function assembleJobs(jobs, sites, tasks) {
+  const sitesById = new Map(sites.map(site => [String(site.id), site]));
+  return jobs
+    .map(job => ({
+      ...job,
+      sites: sitesById.get(String(job.site_id)) || null,
+      job_tasks: tasks.filter(task => String(task.job_id) === String(job.id))
+    }))
+    .sort((a, b) => jobStartTime(a) - jobStartTime(b));
+}
+
+/**
+ * How long ago the cache was refreshed, for the "last refreshed" label
+ * @param {string|null} refreshedAt - ISO timestamp
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function formatCacheAge(refreshedAt, now = new Date()) {
+  if (!refreshedAt) return 'never';
+  const minutes = Math.floor((now.getTime() - new Date(refreshedAt).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+  const days = Math.floor(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'} ago`;
+}
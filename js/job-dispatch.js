@@ -0,0 +1,283 @@
+/**
+ * Job Dispatch - Jobs page UI
+ * Plan a day's jobs across staff (ordered schedules with travel and ETAs) and accept the plan onto the jobs
+ */
+import { supabase } from './supabase.js'
+import { toast } from './notifications.js'
+import { escapeHtml } from './escape-html.js'
+import { DEFAULT_CONFIG } from './route-optimizer.js'
+import { generateDispatchPlan, dispatchAssignments, parseSkills, DISPATCH_DEFAULTS } from './dispatch-planner.js'
+import { loadDispatchJobs, loadDispatchWorkers, updateWorkerSkills, acceptDispatchPlan } from './services/dispatch-service.js'
+import { getConfiguredProviders, loadTravelTimes, getShiftHours, travelTimeCache } from './travel-time-provider.js'
+
+let workers = []
+let currentPlan = null
+let currentDate = null
+let travelTimeProviders = null
+
+export async function initJobDispatch() {
+  const button = document.getElementById('dispatch-btn')
+  if (!button) return
+
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user) return
+
+  const { data: profile } = await supabase.from('user_profiles').select('role').eq('id', user.id).single()
+  if (!['admin', 'manager', 'super_admin'].includes(profile?.role)) return
+
+  button.classList.remove('hidden')
+  button.classList.add('inline-flex')
+  button.addEventListener('click', openDispatch)
+  document.getElementById('dispatch-plan-btn')?.addEventListener('click', planDay)
+  document.getElementById('dispatch-accept-btn')?.addEventListener('click', acceptPlan)
+}
+
+async function openDispatch() {
+  const dateInput = /** @type {HTMLInputElement} */ (document.getElementById('dispatch-date'))
+  if (!dateInput.value) {
+    const tomorrow = new Date()
+    tomorrow.setDate(tomorrow.getDate() + 1)
+    dateInput.value = toDateInput(tomorrow)
+  }
+  clearPlan()
+
+  const list = document.getElementById('dispatch-workers')
+  try {
+    workers = await loadDispatchWorkers()
+  } catch (error) {
+    list.innerHTML = '<p class="text-red-600">Failed to load workers</p>'
+    toast.error(`Failed to load workers: ${error.message}`)
+    return
+  }
+  renderWorkers()
+}
+
+function renderWorkers() {
+  const list = document.getElementById('dispatch-workers')
+  if (!workers.length) {
+    list.innerHTML = '<p class="text-gray-500">No active staff to dispatch</p>'
+    return
+  }
+
+  list.innerHTML = workers.map(worker => `
+    <div class="flex items-center gap-2 p-2 border border-nfgray dark:border-gray-700 rounded-lg">
+      <input type="checkbox" class="dispatch-worker rounded" value="${escapeHtml(worker.id)}" checked />
+      <span class="flex-1 truncate">${escapeHtml(worker.full_name || worker.email)}</span>
+      <input type="text" class="dispatch-skills w-40 border border-nfgray rounded-lg px-2 py-1 text-xs dark:bg-gray-700"
+        data-worker-id="${escapeHtml(worker.id)}" value="${escapeHtml((worker.skills || []).join(', '))}" placeholder="Skills" />
+    </div>
+  `).join('')
+
+  list.querySelectorAll('.dispatch-skills').forEach(input => {
+    input.addEventListener('change', () => saveSkills(/** @type {HTMLInputElement} */ (input)))
+  })
+}
+
+async function saveSkills(input) {
+  const worker = workers.find(w => w.id === input.dataset.workerId)
+  if (!worker) return
+  const skills = parseSkills(input.value)
+  try {
+    await updateWorkerSkills(worker.id, skills)
+    worker.skills = skills
+    input.value = skills.join(', ')
+  } catch (error) {
+    toast.error(`Failed to save skills: ${error.message}`)
+  }
+}
+
+function readConstraints() {
+  const start = /** @type {HTMLInputElement} */ (document.getElementById('dispatch-shift-start')).value
+  const end = /** @type {HTMLInputElement} */ (document.getElementById('dispatch-shift-end')).value
+  return {
+    shiftStartMinutes: timeToMinutes(start) ?? DISPATCH_DEFAULTS.shiftStartMinutes,
+    shiftEndMinutes: timeToMinutes(end) ?? DISPATCH_DEFAULTS.shiftEndMinutes
+  }
+}
+
+async function planDay() {
+  const planBtn = /** @type {HTMLButtonElement} */ (document.getElementById('dispatch-plan-btn'))
+  const date = /** @type {HTMLInputElement} */ (document.getElementById('dispatch-date')).value
+  const windowMinutes = parseInt(/** @type {HTMLInputElement} */ (document.getElementById('dispatch-window')).value)
+  const keepAssignments = /** @type {HTMLInputElement} */ (document.getElementById('dispatch-keep-assignments')).checked
+  const selectedIds = Array.from(document.querySelectorAll('.dispatch-worker:checked')).map(input => /** @type {HTMLInputElement} */ (input).value)
+  const selectedWorkers = workers.filter(worker => selectedIds.includes(worker.id))
+
+  clearPlan()
+  if (!date) return showError('Choose a date')
+  if (!selectedWorkers.length) return showError('Select at least one worker')
+
+  planBtn.disabled = true
+  planBtn.textContent = 'Planning...'
+  try {
+    const jobs = await loadDispatchJobs(date)
+    if (!jobs.length) {
+      toast.info('No pending jobs scheduled on this day')
+      return
+    }
+
+    const constraints = readConstraints()
+    const options = { windowMinutes: isNaN(windowMinutes) ? undefined : windowMinutes, keepAssignments }
+    const config = await getTravelTimeConfig(jobs, selectedWorkers, constraints)
+    const plan = generateDispatchPlan({ jobs, workers: selectedWorkers, constraints, options, config })
+    if (!plan.success) return showError(plan.error)
+
+    currentPlan = plan
+    currentDate = date
+    renderPlan(plan)
+    document.getElementById('dispatch-actions')?.classList.remove('hidden')
+  } catch (error) {
+    showError(error.message || 'Failed to plan the day')
+  } finally {
+    planBtn.disabled = false
+    planBtn.textContent = 'Plan Day'
+  }
+}
+
+// Road travel times from the configured provider (OSRM / matrix file); haversine covers the rest
+async function getTravelTimeConfig(jobs, selectedWorkers, constraints) {
+  if (!travelTimeProviders) {
+    travelTimeProviders = await getConfiguredProviders(window.ENV)
+  }
+  const points = [
+    ...jobs.map(job => ({ lat: Number(job.sites?.latitude), lng: Number(job.sites?.longitude) })),
+    ...selectedWorkers.map(worker => ({ lat: Number(worker.home_latitude), lng: Number(worker.home_longitude) }))
+  ].filter(point => point.lat && point.lng)
+
+  await loadTravelTimes({ points, hours: getShiftHours(constraints), providers: travelTimeProviders, cache: travelTimeCache, config: DEFAULT_CONFIG })
+  if (travelTimeCache.errors.length > 0) {
+    console.warn('[Dispatch] Travel time provider errors, using estimates:', travelTimeCache.errors)
+  }
+  return { ...DEFAULT_CONFIG, travelTimeCache }
+}
+
+function renderPlan(plan) {
+  const output = document.getElementById('dispatch-output')
+  const routes = plan.routes.filter(workerRoute => workerRoute.route.length > 0)
+
+  output.innerHTML = `
+    <p class="text-xs text-gray-500 dark:text-gray-400">
+      ${plan.stats.assignedStops} jobs across ${routes.length} workers
+      ${plan.unassigned.length ? ` · <span class="text-red-600 dark:text-red-400">${plan.unassigned.length} unassigned</span>` : ''}
+    </p>
+    ${routes.map(renderWorkerRoute).join('')}
+    ${plan.unassigned.length ? renderUnassigned(plan.unassigned) : ''}
+  `
+}
+
+function renderWorkerRoute(workerRoute) {
+  const { rep, route, stats } = workerRoute
+  return `
+    <div class="border border-nfgray dark:border-gray-700 rounded-lg">
+      <div class="px-3 py-2 bg-nfglight/50 dark:bg-gray-700/50 flex items-center justify-between text-sm">
+        <span class="font-medium">${escapeHtml(rep.name)}</span>
+        <span class="text-xs text-gray-500 dark:text-gray-400">
+          ${route.length} jobs · ${Math.round(stats.totalTravelMinutes)} min travel
+          ${stats.overtime > 0 ? ` · <span class="text-red-600 dark:text-red-400">${stats.overtime} min overtime</span>` : ''}
+        </span>
+      </div>
+      <table class="w-full text-sm">
+        <tbody class="divide-y divide-nfgray dark:divide-gray-700">
+          ${route.map(entry => `
+            <tr>
+              <td class="px-3 py-2 w-24 font-medium">${minutesToTime(entry.plannedStartMinutes)}</td>
+              <td class="px-3 py-2">
+                ${escapeHtml(entry.stop.title || 'Job')}
+                <div class="text-xs text-gray-500 dark:text-gray-400">${escapeHtml(entry.stop.siteName || '')}</div>
+              </td>
+              <td class="px-3 py-2 text-xs text-gray-500 dark:text-gray-400 text-right">
+                ${entry.travelMinutesFromPrev} min drive · done ${minutesToTime(entry.plannedEndMinutes)}
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `
+}
+
+function renderUnassigned(unassigned) {
+  return `
+    <div class="border border-red-200 bg-red-50 dark:bg-red-900/20 rounded-lg p-3 text-sm">
+      <p class="font-medium text-red-700 dark:text-red-400 mb-1">Not dispatched</p>
+      <ul class="space-y-1">
+        ${unassigned.map(item => `
+          <li>${escapeHtml(item.stop?.title || 'Job')} — <span class="text-gray-600 dark:text-gray-300">${escapeHtml(item.message || item.reason)}</span></li>
+        `).join('')}
+      </ul>
+    </div>
+  `
+}
+
+async function acceptPlan() {
+  if (!currentPlan) return
+  const acceptBtn = /** @type {HTMLButtonElement} */ (document.getElementById('dispatch-accept-btn'))
+  const assignments = dispatchAssignments(currentPlan, currentDate)
+  if (!assignments.length) return
+
+  acceptBtn.disabled = true
+  acceptBtn.textContent = 'Saving...'
+  try {
+    const { updated, failed } = await acceptDispatchPlan(assignments)
+    await notifyWorkers(assignments.filter(assignment => !failed.some(f => f.jobId === assignment.jobId)))
+
+    if (failed.length) {
+      toast.error(`${failed.length} jobs could not be updated`)
+    } else {
+      toast.success(`Dispatched ${updated} jobs`)
+    }
+    window.dispatchEvent(new CustomEvent('dispatch:accepted', { detail: { date: currentDate, updated } }))
+    document.querySelector('#dispatchModal [data-action="close-modal"]')?.dispatchEvent(new MouseEvent('click', { bubbles: true }))
+  } catch (error) {
+    toast.error(`Failed to accept plan: ${error.message}`)
+  } finally {
+    acceptBtn.disabled = false
+    acceptBtn.textContent = 'Accept Plan'
+  }
+}
+
+async function notifyWorkers(assignments) {
+  try {
+    const { notifyJobAssigned } = await import('./notification-triggers.js')
+    await Promise.all(assignments.map(assignment => notifyJobAssigned(
+      assignment.jobId,
+      assignment.workerId,
+      assignment.title,
+      assignment.siteName,
+      assignment.update.scheduled_datetime,
+      false
+    )))
+  } catch (error) {
+    console.warn('[Dispatch] Failed to create job assignment notifications:', error)
+  }
+}
+
+function clearPlan() {
+  currentPlan = null
+  document.getElementById('dispatch-output').innerHTML = ''
+  document.getElementById('dispatch-actions')?.classList.add('hidden')
+  document.getElementById('dispatch-error')?.classList.add('hidden')
+}
+
+function showError(message) {
+  const errorBox = document.getElementById('dispatch-error')
+  errorBox.textContent = message
+  errorBox.classList.remove('hidden')
+}
+
+function toDateInput(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+}
+
+function timeToMinutes(value) {
+  if (!value) return null
+  const [hours, minutes] = value.split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+function minutesToTime(minutes) {
+  const hours = Math.floor(minutes / 60)
+  const mins = Math.round(minutes % 60)
+  const period = hours >= 12 ? 'PM' : 'AM'
+  return `${hours % 12 || 12}:${String(mins).padStart(2, '0')} ${period}`
+}
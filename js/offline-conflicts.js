@@ -0,0 +1,122 @@
+/**
+ * Offline Conflict Merge
+ * Three-way, field-level merge of a queued offline update with the server's current record.
+ * The base snapshot is the record as the device saw it when the edit was made: fields the server
+ * hasn't touched since then take the offline value, and fields both sides changed are held for review.
+ */
+
+export const CONFLICT_CHOICES = {
+  MINE: 'mine',
+  THEIRS: 'theirs'
+};
+
+// Columns the database maintains itself; never merged or shown as conflicts
+const IGNORED_FIELDS = ['id', 'created_at', 'updated_at'];
+
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Compare two column values the way Postgres would store them
+ * null and undefined match, numbers match their numeric strings, and timestamps match when they are the same instant.
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+export function valuesEqual(a, b) {
+  if (a === b) return true;
+  if (a == null || b == null) return a == null && b == null;
+
+  if (typeof a === 'number' || typeof b === 'number') {
+    return a !== '' && b !== '' && Number(a) === Number(b);
+  }
+  if (typeof a === 'string' && typeof b === 'string') {
+    if (ISO_TIMESTAMP.test(a) && ISO_TIMESTAMP.test(b)) {
+      const timeA = Date.parse(a);
+      const timeB = Date.parse(b);
+      if (Number.isFinite(timeA) && Number.isFinite(timeB)) return timeA === timeB;
+    }
+    return false;
+  }
+  if (typeof a === 'object' && typeof b === 'object') return stableStringify(a) === stableStringify(b);
+  return false;
+}
+
+/**
+ * The parts of a record a queued update needs as its base
+ * @param {Object} record - Record as the device last saw it
+ * @param {Array<string>} fields - Fields the update changes
+ * @returns {Object}
+ */
+export function baseSnapshot(record, fields) {
+  const snapshot = {};
+  fields.forEach(field => {
+    if (!IGNORED_FIELDS.includes(field) && record && Object.prototype.hasOwnProperty.call(record, field)) {
+      snapshot[field] = record[field] ?? null;
+    }
+  });
+  return snapshot;
+}
+
+/**
+ * Merge an offline edit with the server record
+ * Fields missing from the base snapshot have nothing to compare against and take the offline value.
+ * @param {Object} params
+ * @param {Object} params.base - Snapshot when the edit was made
+ * @param {Object} params.mine - Fields the offline edit sets
+ * @param {Object} params.theirs - Current server record
+ * @returns {{ apply: Object, conflicts: Array<{ field: string, base: *, mine: *, theirs: * }>, unchanged: Array<string> }}
+ *   apply: fields safe to write now; unchanged: fields the server already has the offline value for
+ */
+export function mergeFields({ base = {}, mine = {}, theirs = {} }) {
+  const apply = {};
+  const conflicts = [];
+  const unchanged = [];
+
+  Object.keys(mine).forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) return;
+
+    const theirValue = theirs?.[field] ?? null;
+    if (valuesEqual(mine[field], theirValue)) {
+      unchanged.push(field);
+    } else if (!Object.prototype.hasOwnProperty.call(base, field) || valuesEqual(base[field], theirValue)) {
+      apply[field] = mine[field];
+    } else {
+      conflicts.push({ field, base: base[field], mine: mine[field], theirs: theirValue });
+    }
+  });
+
+  return { apply, conflicts, unchanged };
+}
+
+/**
+ * Turn per-field choices into the update to send and the base it was decided against
+ * Using the server values as the new base means the choice is re-checked if the server changes again before it syncs.
+ * @param {Array<Object>} conflicts - mergeFields() conflicts
+ * @param {Object<string, string>} choices - field -> CONFLICT_CHOICES value
+ * @returns {{ apply: Object, base: Object }}
+ */
+export function resolveConflicts(conflicts, choices) {
+  const unresolved = conflicts.filter(conflict => !Object.values(CONFLICT_CHOICES).includes(choices?.[conflict.field]));
+  if (unresolved.length > 0) {
+    throw Object.assign(new Error('Choose which version to keep for every field'), {
+      code: 'UNRESOLVED_FIELDS',
+      fields: unresolved.map(conflict => conflict.field)
+    });
+  }
+
+  const apply = {};
+  const base = {};
+  conflicts.forEach(conflict => {
+    base[conflict.field] = conflict.theirs;
+    if (choices[conflict.field] === CONFLICT_CHOICES.MINE) apply[conflict.field] = conflict.mine;
+  });
+  return { apply, base };
+}
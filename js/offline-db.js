@@ -1,12 +1,20 @@
 /**
  * Generic Offline Queue Database
- * Stores queued operations and sync conflict logs using IndexedDB.
+ * Stores queued operations, sync conflict logs and photos waiting to upload or attach using IndexedDB.
+ * Shared with the service worker, which replays the queue while the app is closed: the Supabase auth
+ * session lives here (authStorage) so either side can refresh it, and the worker leaves reports of what
+ * it synced for the app to show.
  */
 
 const DB_NAME = 'NFGOfflineQueue';
-const DB_VERSION = 1;
+const DB_VERSION = 4;
 const QUEUE_STORE = 'queuedOperations';
 const CONFLICT_STORE = 'syncConflicts';
+const WALKTHROUGH_PHOTO_STORE = 'walkthroughPhotos';
+const AUTH_STORE = 'authSession';
+const SYNC_REPORT_STORE = 'syncReports';
+const PHOTO_UPLOAD_STORE = 'photoUploads';
+const WORKER_CONFIG_KEY = 'worker-config';
 
 class OfflineQueueDB {
   constructor() {
@@ -51,6 +59,23 @@ class OfflineQueueDB {
         if (!db.objectStoreNames.contains(CONFLICT_STORE)) {
           db.createObjectStore(CONFLICT_STORE, { keyPath: 'id', autoIncrement: true });
         }
+
+        if (!db.objectStoreNames.contains(WALKTHROUGH_PHOTO_STORE)) {
+          const photoStore = db.createObjectStore(WALKTHROUGH_PHOTO_STORE, { keyPath: 'id' });
+          photoStore.createIndex('walkthroughId', 'walkthroughId', { unique: false });
+        }
+
+        if (!db.objectStoreNames.contains(AUTH_STORE)) {
+          db.createObjectStore(AUTH_STORE, { keyPath: 'key' });
+        }
+
+        if (!db.objectStoreNames.contains(SYNC_REPORT_STORE)) {
+          db.createObjectStore(SYNC_REPORT_STORE, { keyPath: 'id', autoIncrement: true });
+        }
+
+        if (!db.objectStoreNames.contains(PHOTO_UPLOAD_STORE)) {
+          db.createObjectStore(PHOTO_UPLOAD_STORE, { keyPath: 'id' });
+        }
       };
     });
   }
@@ -72,7 +97,10 @@ class OfflineQueueDB {
         reject(error);
       }
 
-      transaction.oncomplete = () => resolve(requestResult);
+      // Reads resolve with the request's result rather than the request itself
+      transaction.oncomplete = () => resolve(
+        typeof IDBRequest !== 'undefined' && requestResult instanceof IDBRequest ? requestResult.result : requestResult
+      );
       transaction.onerror = () => reject(transaction.error);
       transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
     });
@@ -104,6 +132,83 @@ class OfflineQueueDB {
     return this.withStore(QUEUE_STORE, 'readonly', (store) => store.getAll());
   }
 
+  // Walkthrough photos taken offline: { id, walkthroughId, roomId, blob, created_at }
+  async saveWalkthroughPhoto(photo) {
+    return this.withStore(WALKTHROUGH_PHOTO_STORE, 'readwrite', (store) => store.put(photo));
+  }
+
+  async getWalkthroughPhotos(walkthroughId) {
+    const db = await this.dbPromise;
+    if (!db) {
+      return [];
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = db.transaction(WALKTHROUGH_PHOTO_STORE, 'readonly')
+        .objectStore(WALKTHROUGH_PHOTO_STORE)
+        .index('walkthroughId')
+        .getAll(walkthroughId);
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async deleteWalkthroughPhoto(id) {
+    return this.withStore(WALKTHROUGH_PHOTO_STORE, 'readwrite', (store) => store.delete(id));
+  }
+
+  // Job and inventory photos queued for upload: { id, blob, bucket, path, target, status, uploadUrl, uploadedBytes, ... }
+  async savePhotoUpload(photo) {
+    return this.withStore(PHOTO_UPLOAD_STORE, 'readwrite', (store) => store.put(photo));
+  }
+
+  async getPhotoUploads() {
+    return (await this.withStore(PHOTO_UPLOAD_STORE, 'readonly', (store) => store.getAll())) || [];
+  }
+
+  async deletePhotoUpload(id) {
+    return this.withStore(PHOTO_UPLOAD_STORE, 'readwrite', (store) => store.delete(id));
+  }
+
+  // Auth records are { key, value }: the Supabase session under its storage key, plus the worker's connection settings
+  async getAuthItem(key) {
+    const record = await this.withStore(AUTH_STORE, 'readonly', (store) => store.get(key));
+    return record ? record.value : null;
+  }
+
+  async setAuthItem(key, value) {
+    return this.withStore(AUTH_STORE, 'readwrite', (store) => store.put({ key, value }));
+  }
+
+  async removeAuthItem(key) {
+    return this.withStore(AUTH_STORE, 'readwrite', (store) => store.delete(key));
+  }
+
+  // Where the service worker finds the project and the session: { url, anonKey, storageKey }
+  async saveWorkerConfig(config) {
+    return this.setAuthItem(WORKER_CONFIG_KEY, config);
+  }
+
+  async getWorkerConfig() {
+    return this.getAuthItem(WORKER_CONFIG_KEY);
+  }
+
+  // Results of queue replays run by the service worker, kept until the app next opens
+  async addSyncReport(report) {
+    return this.withStore(SYNC_REPORT_STORE, 'readwrite', (store) => store.add({
+      ...report,
+      recorded_at: new Date().toISOString()
+    }));
+  }
+
+  async takeSyncReports() {
+    const reports = await this.withStore(SYNC_REPORT_STORE, 'readonly', (store) => store.getAll());
+    if (reports?.length) {
+      await this.withStore(SYNC_REPORT_STORE, 'readwrite', (store) => store.clear());
+    }
+    return reports || [];
+  }
+
   async recordConflict(conflict) {
     return this.withStore(CONFLICT_STORE, 'readwrite', (store) => store.add({
       ...conflict,
@@ -134,3 +239,48 @@ class OfflineQueueDB {
 }
 
 export const offlineQueueDB = new OfflineQueueDB();
+
+/**
+ * Supabase auth storage (js/supabase.js), kept in IndexedDB so the service worker can refresh the session
+ * while the app is closed and the app starts from the rotated tokens.
+ * Falls back to localStorage where IndexedDB is unavailable, and moves a session stored there before over on first read.
+ */
+export const authStorage = {
+  async getItem(key) {
+    if (!offlineQueueDB.isSupported) return localStorage.getItem(key);
+    try {
+      const value = await offlineQueueDB.getAuthItem(key);
+      if (value !== null) return value;
+
+      const legacy = localStorage.getItem(key);
+      if (legacy !== null) {
+        await offlineQueueDB.setAuthItem(key, legacy);
+        localStorage.removeItem(key);
+      }
+      return legacy;
+    } catch (error) {
+      console.warn('[OfflineQueueDB] Failed to read auth session, using localStorage:', error);
+      return localStorage.getItem(key);
+    }
+  },
+
+  async setItem(key, value) {
+    if (!offlineQueueDB.isSupported) return localStorage.setItem(key, value);
+    try {
+      await offlineQueueDB.setAuthItem(key, value);
+    } catch (error) {
+      console.warn('[OfflineQueueDB] Failed to save auth session, using localStorage:', error);
+      localStorage.setItem(key, value);
+    }
+  },
+
+  async removeItem(key) {
+    localStorage.removeItem(key);
+    if (!offlineQueueDB.isSupported) return;
+    try {
+      await offlineQueueDB.removeAuthItem(key);
+    } catch (error) {
+      console.warn('[OfflineQueueDB] Failed to remove auth session:', error);
+    }
+  }
+};
@@ -0,0 +1,147 @@
+/**
+ * Offline Operation Dependencies
+ * Lets queued operations refer to records that were themselves created offline.
+ * A queued create carries an id from the start: either a client-generated UUID the server keeps,
+ * or a temp id that is dropped on insert and swapped for the server's id in every operation that used it.
+ * Operations that reference a queued create wait for it, and are held as blocked while it can't sync.
+ */
+
+export const TEMP_ID_PREFIX = 'tmp_';
+
+function randomUuid() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+    const random = Math.random() * 16 | 0;
+    return (char === 'x' ? random : (random & 0x3) | 0x8).toString(16);
+  });
+}
+
+/**
+ * A UUID for a record created on the device, for tables with UUID keys the server accepts as given
+ * @returns {string}
+ */
+export function createClientId() {
+  return randomUuid();
+}
+
+/**
+ * A placeholder id for a record created on the device; replaced with the server's id when it syncs
+ * @returns {string}
+ */
+export function createTempId() {
+  return `${TEMP_ID_PREFIX}${randomUuid()}`;
+}
+
+export function isTempId(value) {
+  return typeof value === 'string' && value.startsWith(TEMP_ID_PREFIX);
+}
+
+function collectStrings(value, found) {
+  if (typeof value === 'string') {
+    found.add(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectStrings(item, found));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectStrings(item, found));
+  }
+  return found;
+}
+
+/**
+ * Ids of queued creates an operation refers to through its recordId or any value in its data
+ * @param {Object} operation - { operation, data, recordId }
+ * @param {Array<Object>} queue - Operations already queued
+ * @returns {Array<string>} Operation ids, oldest first
+ */
+export function inferDependencies(operation, queue) {
+  const ownId = operation.operation === 'create' ? operation.data?.id : null;
+  const referenced = collectStrings(operation.data, new Set());
+  if (operation.recordId != null) referenced.add(String(operation.recordId));
+  if (ownId) referenced.delete(ownId);
+
+  return queue
+    .filter(op => op.operation === 'create' && op.data?.id != null && referenced.has(String(op.data.id)))
+    .map(op => op.id);
+}
+
+/**
+ * Order operations so each comes after the operations it depends on, otherwise oldest first
+ * Dependencies that aren't in the list (already synced) are ignored; operations caught in a cycle keep their time order at the end.
+ * @param {Array<Object>} operations
+ * @returns {Array<Object>}
+ */
+export function orderOperations(operations) {
+  const byTime = [...operations].sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  const ids = new Set(byTime.map(op => op.id));
+  const placed = new Set();
+  const ordered = [];
+
+  let progressed = true;
+  while (progressed && ordered.length < byTime.length) {
+    progressed = false;
+    for (const op of byTime) {
+      if (placed.has(op.id)) continue;
+      const waiting = (op.metadata?.dependsOn || []).some(id => ids.has(id) && !placed.has(id));
+      if (waiting) continue;
+      ordered.push(op);
+      placed.add(op.id);
+      progressed = true;
+      break;
+    }
+  }
+
+  return ordered.concat(byTime.filter(op => !placed.has(op.id)));
+}
+
+/**
+ * Every operation that depends on the given one, directly or through others
+ * @param {Array<Object>} operations
+ * @param {string} operationId
+ * @returns {Array<Object>}
+ */
+export function dependentsOf(operations, operationId) {
+  const found = new Map();
+  const pending = [operationId];
+  while (pending.length > 0) {
+    const parentId = pending.shift();
+    operations.forEach(op => {
+      if (!found.has(op.id) && op.id !== operationId && (op.metadata?.dependsOn || []).includes(parentId)) {
+        found.set(op.id, op);
+        pending.push(op.id);
+      }
+    });
+  }
+  return Array.from(found.values());
+}
+
+function replaceValue(value, fromId, toId) {
+  if (value === fromId) return toId;
+  if (Array.isArray(value)) return value.map(item => replaceValue(item, fromId, toId));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, replaceValue(item, fromId, toId)]));
+  }
+  return value;
+}
+
+/**
+ * Swap a temp id for the server's id wherever an operation uses it
+ * @param {Object} operation
+ * @param {string} tempId
+ * @param {string|number} serverId
+ * @returns {{ operation: Object, changed: boolean }} A new operation when anything changed
+ */
+export function remapOperation(operation, tempId, serverId) {
+  const referenced = operation.recordId === tempId || collectStrings(operation.data, new Set()).has(tempId);
+  if (!referenced) return { operation, changed: false };
+
+  return {
+    operation: {
+      ...operation,
+      recordId: operation.recordId === tempId ? serverId : operation.recordId,
+      data: replaceValue(operation.data, tempId, serverId)
+    },
+    changed: true
+  };
+}
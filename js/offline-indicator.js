@@ -7,17 +7,25 @@ import {
   isOnline, 
   getPendingOperationsCount, 
   getFailedOperationsCount,
+  getConflictedOperationsCount,
+  getBlockedOperationsCount,
   getQueuedOperations,
   syncOfflineQueue,
   retryFailedOperations,
-  clearFailedOperations
+  clearFailedOperations,
+  resolveOperationConflict
 } from './offline-sync.js';
+import { CONFLICT_CHOICES } from './offline-conflicts.js';
+import { getPhotoUploads, retryPhotoUpload, discardPhotoUpload } from './services/photo-upload-service.js';
+import { PHOTO_STATUS, canAttach } from './photo-uploads.js';
+import { escapeHtml } from './escape-html.js';
 
 let indicatorElement = null;
 let syncButton = null;
 let statusText = null;
 let lastStatusDetail = null;
 let queueModalElement = null;
+let photoUploads = [];
 
 /**
  * Create offline indicator UI
@@ -79,6 +87,8 @@ function createOfflineIndicator() {
 
   // Listen for sync status updates
   window.addEventListener('offline-sync-status', handleSyncStatusUpdate);
+  window.addEventListener('photo-upload-status', handlePhotoUploadStatus);
+  getPhotoUploads().then(photos => handlePhotoUploadStatus({ detail: { photos } })).catch(() => {});
 
   // Initial update
   updateIndicator();
@@ -96,6 +106,8 @@ function updateIndicator(detailOverride = null) {
   const statusDetail = detailOverride || lastStatusDetail || {
     pending: getPendingOperationsCount(),
     failed: getFailedOperationsCount(),
+    conflicts: getConflictedOperationsCount(),
+    blocked: getBlockedOperationsCount(),
     isOnline: isOnline(),
     syncing: false
   };
@@ -103,9 +115,20 @@ function updateIndicator(detailOverride = null) {
   const online = statusDetail.isOnline ?? isOnline();
   const pendingCount = typeof statusDetail.pending === 'number' ? statusDetail.pending : getPendingOperationsCount();
   const failedCount = typeof statusDetail.failed === 'number' ? statusDetail.failed : getFailedOperationsCount();
-  const hasPending = pendingCount > 0;
+  const conflictCount = typeof statusDetail.conflicts === 'number' ? statusDetail.conflicts : getConflictedOperationsCount();
+  const blockedCount = typeof statusDetail.blocked === 'number' ? statusDetail.blocked : getBlockedOperationsCount();
+  const waitingText = blockedCount > 0 ? `, ${blockedCount} waiting on them` : '';
+  // Blocked operations are re-checked on every sync, so they count as pending for the actions offered
+  const hasPending = pendingCount > 0 || blockedCount > 0;
   const hasFailed = failedCount > 0;
+  const hasConflicts = conflictCount > 0;
   const syncing = !!statusDetail.syncing;
+  const photosFailed = photoUploads.filter(photo => photo.status === PHOTO_STATUS.FAILED).length;
+  const photosWaiting = photoUploads.length - photosFailed;
+  const hasPhotos = photoUploads.length > 0;
+  const photoText = hasPhotos
+    ? `, ${photosWaiting} photo(s) to upload` + (photosFailed ? ` (${photosFailed} failed)` : '')
+    : '';
 
   const icon = document.getElementById('offline-status-icon');
   const title = document.getElementById('offline-status-title');
@@ -125,29 +148,34 @@ function updateIndicator(detailOverride = null) {
       : 'Finalizing sync...';
     indicatorElement.classList.remove('hidden');
     progress.classList.remove('hidden');
-    updateActions(actions, online, hasPending, hasFailed);
+    updateActions(actions, online, hasPending, hasFailed, hasConflicts, hasPhotos);
   } else if (!online) {
     // Offline mode
     icon.className = 'w-5 h-5 rounded-full bg-red-500 animate-pulse';
     title.textContent = 'Offline Mode';
     text.textContent = hasPending 
-      ? `${pendingCount} operation(s) queued for sync`
-      : 'Working offline. Changes will sync when online.';
+      ? `${pendingCount} operation(s) queued for sync` + photoText
+      : (hasPhotos ? `${photosWaiting} photo(s) saved on this device` : 'Working offline. Changes will sync when online.');
     indicatorElement.classList.remove('hidden');
     progress.classList.add('hidden');
-    updateActions(actions, online, hasPending, hasFailed);
-  } else if (hasPending || hasFailed) {
-    // Online but has pending/failed operations
+    updateActions(actions, online, hasPending, hasFailed, hasConflicts, hasPhotos);
+  } else if (hasPending || hasFailed || hasConflicts || hasPhotos) {
+    // Online but has pending/failed/conflicted operations
     icon.className = 'w-5 h-5 rounded-full bg-orange-500';
-    title.textContent = 'Sync Pending';
-    if (hasFailed) {
-      text.textContent = `${failedCount} failed, ${pendingCount} pending`;
+    title.textContent = hasConflicts ? 'Changes Need Review' : 'Sync Pending';
+    if (hasConflicts) {
+      text.textContent = `${conflictCount} change(s) clash with edits made elsewhere` + (hasFailed ? `, ${failedCount} failed` : '') + waitingText;
+    } else if (hasFailed) {
+      text.textContent = `${failedCount} failed, ${pendingCount} pending` + waitingText + photoText;
+    } else if (hasPending) {
+      text.textContent = `${pendingCount} operation(s) pending sync` + waitingText + photoText;
     } else {
-      text.textContent = `${pendingCount} operation(s) pending sync`;
+      title.textContent = photosFailed ? 'Photo Uploads Failed' : 'Uploading Photos';
+      text.textContent = `${photosWaiting} photo(s) to upload` + (photosFailed ? `, ${photosFailed} failed` : '');
     }
     indicatorElement.classList.remove('hidden');
     progress.classList.add('hidden');
-    updateActions(actions, online, hasPending, hasFailed);
+    updateActions(actions, online, hasPending, hasFailed, hasConflicts, hasPhotos);
   } else {
     // Online and synced
     icon.className = 'w-5 h-5 rounded-full bg-green-500';
@@ -166,7 +194,7 @@ function updateIndicator(detailOverride = null) {
 /**
  * Update action buttons
  */
-function updateActions(actionsContainer, online, hasPending, hasFailed) {
+function updateActions(actionsContainer, online, hasPending, hasFailed, hasConflicts, hasPhotos = false) {
   actionsContainer.innerHTML = '';
 
   if (!online) {
@@ -195,10 +223,14 @@ function updateActions(actionsContainer, online, hasPending, hasFailed) {
     syncButton = syncBtn;
   }
 
-  if (hasPending || hasFailed) {
+  if (hasPending || hasFailed || hasConflicts || hasPhotos) {
     const viewBtn = document.createElement('button');
-    viewBtn.className = 'px-3 py-1.5 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 rounded-lg text-xs font-medium transition hover:bg-gray-200 dark:hover:bg-gray-600';
-    viewBtn.innerHTML = '<i data-lucide="list" class="w-3 h-3 inline-block mr-1"></i> View Queue';
+    viewBtn.className = hasConflicts
+      ? 'px-3 py-1.5 bg-amber-500 hover:bg-amber-600 text-white rounded-lg text-xs font-medium transition'
+      : 'px-3 py-1.5 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 rounded-lg text-xs font-medium transition hover:bg-gray-200 dark:hover:bg-gray-600';
+    viewBtn.innerHTML = hasConflicts
+      ? '<i data-lucide="git-merge" class="w-3 h-3 inline-block mr-1"></i> Review Changes'
+      : '<i data-lucide="list" class="w-3 h-3 inline-block mr-1"></i> View Queue';
     viewBtn.addEventListener('click', async () => {
       await openQueueModal();
     });
@@ -220,11 +252,11 @@ function updateActions(actionsContainer, online, hasPending, hasFailed) {
     clearBtn.className = 'px-3 py-1.5 bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-300 rounded-lg text-xs font-medium transition';
     clearBtn.innerHTML = '<i data-lucide="trash-2" class="w-3 h-3 inline-block mr-1"></i> Clear Failed';
     clearBtn.addEventListener('click', async () => {
-      if (confirm('Clear all failed operations? They will not be synced.')) {
-        await clearFailedOperations();
+      if (confirm('Clear all failed operations? They will not be synced, and changes waiting on them will be cleared too.')) {
+        const removed = await clearFailedOperations();
         updateIndicator(lastStatusDetail);
         const { toast } = await import('./notifications.js');
-        if (toast) toast.info('Failed operations cleared', 'Sync');
+        if (toast) toast.info(`${removed} operation(s) cleared`, 'Sync');
       }
     });
     actionsContainer.appendChild(clearBtn);
@@ -245,6 +277,14 @@ function handleSyncStatusUpdate(event) {
   updateIndicator(lastStatusDetail);
 }
 
+function handlePhotoUploadStatus(event) {
+  photoUploads = event?.detail?.photos || [];
+  updateIndicator(lastStatusDetail);
+  if (queueModalElement && !queueModalElement.classList.contains('hidden') && !queueModalElement.querySelector('[data-conflict-form]')) {
+    renderQueueList();
+  }
+}
+
 /**
  * Hide indicator
  */
@@ -274,7 +314,7 @@ function ensureQueueModal() {
   modal.className = 'fixed inset-0 bg-black/40 z-[60] hidden';
   modal.innerHTML = `
     <div class="absolute inset-0 flex items-center justify-center p-4">
-      <div class="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl w-full max-w-lg border border-nfgray dark:border-gray-700 max-h-[80vh] flex flex-col">
+      <div class="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl w-full max-w-2xl border border-nfgray dark:border-gray-700 max-h-[80vh] flex flex-col">
         <div class="flex items-center justify-between p-4 border-b border-nfgray dark:border-gray-700">
           <div>
             <p class="text-xs uppercase tracking-wide text-gray-500 dark:text-gray-400">Offline Queue</p>
@@ -300,6 +340,7 @@ function ensureQueueModal() {
   });
 
   modal.querySelector('#offline-queue-close')?.addEventListener('click', () => closeQueueModal());
+  modal.querySelector('#offline-queue-list')?.addEventListener('click', handleQueueListClick);
 
   document.body.appendChild(modal);
   queueModalElement = modal;
@@ -307,14 +348,62 @@ function ensureQueueModal() {
   return modal;
 }
 
+const STATUS_BADGES = {
+  failed: 'bg-red-100 text-red-600 dark:bg-red-900/30 dark:text-red-300',
+  conflict: 'bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-300',
+  blocked: 'bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300',
+  pending: 'bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-200'
+};
+
 async function openQueueModal() {
   const modal = ensureQueueModal();
-  const list = modal.querySelector('#offline-queue-list');
+  renderQueueList();
+  modal.classList.remove('hidden');
+}
+
+function formatBytes(bytes) {
+  if (!bytes) return '0 KB';
+  return bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+function renderPhotoUpload(photo) {
+  const status = photo.status || PHOTO_STATUS.PENDING;
+  const percent = photo.size ? Math.round((photo.uploadedBytes / photo.size) * 100) : 0;
+  const waitingOnRecord = status === PHOTO_STATUS.UPLOADED && !canAttach({ target: { recordId: photo.recordId } });
+  const detail = status === PHOTO_STATUS.UPLOADED
+    ? (waitingOnRecord ? 'Uploaded, waiting for its record to sync' : 'Uploaded, attaching to its record')
+    : `${formatBytes(photo.uploadedBytes)} of ${formatBytes(photo.size)}`;
+
+  return `
+    <div class="border border-gray-200 dark:border-gray-700 rounded-xl p-3 flex flex-col gap-1">
+      <div class="flex items-center justify-between">
+        <span class="text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">Photo · ${escapeHtml(photo.table)}</span>
+        <span class="px-2 py-0.5 text-[11px] font-semibold rounded-full ${STATUS_BADGES[status === PHOTO_STATUS.FAILED ? 'failed' : 'pending']}">
+          ${escapeHtml(status)}
+        </span>
+      </div>
+      <div class="w-full h-1.5 rounded-full bg-gray-100 dark:bg-gray-700 overflow-hidden">
+        <div class="h-full ${status === PHOTO_STATUS.FAILED ? 'bg-red-500' : 'bg-nfgblue'}" style="width: ${status === PHOTO_STATUS.UPLOADED ? 100 : percent}%"></div>
+      </div>
+      <p class="text-xs text-gray-500 dark:text-gray-400">${escapeHtml(detail)}</p>
+      ${photo.error ? `<p class="text-xs text-red-500 mt-1">Last error: ${escapeHtml(photo.error)}</p>` : ''}
+      ${status === PHOTO_STATUS.FAILED ? `
+        <div class="flex justify-end gap-2 mt-1">
+          <button data-photo-discard="${escapeHtml(photo.id)}" class="px-3 py-1 bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-300 rounded-lg text-xs font-medium">Discard</button>
+          <button data-photo-retry="${escapeHtml(photo.id)}" class="px-3 py-1 bg-orange-500 hover:bg-orange-600 text-white rounded-lg text-xs font-medium">Retry</button>
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+function renderQueueList() {
+  const list = queueModalElement?.querySelector('#offline-queue-list');
   const operations = getQueuedOperations();
 
   if (!list) return;
 
-  if (!operations || operations.length === 0) {
+  if ((!operations || operations.length === 0) && photoUploads.length === 0) {
     list.innerHTML = `
       <div class="text-center py-6 text-gray-500 dark:text-gray-400">
         <i data-lucide="check-circle" class="w-8 h-8 mx-auto mb-2 text-green-500"></i>
@@ -322,31 +411,159 @@ async function openQueueModal() {
       </div>
     `;
   } else {
-    list.innerHTML = operations.map(op => {
+    list.innerHTML = photoUploads.map(renderPhotoUpload).join('') + operations.map(op => {
       const time = new Date(op.timestamp).toLocaleString();
+      const status = op.status || 'pending';
       return `
         <div class="border border-gray-200 dark:border-gray-700 rounded-xl p-3 flex flex-col gap-1">
           <div class="flex items-center justify-between">
-            <span class="text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">${op.table}</span>
-            <span class="px-2 py-0.5 text-[11px] font-semibold rounded-full ${op.status === 'failed' ? 'bg-red-100 text-red-600 dark:bg-red-900/30 dark:text-red-300' : 'bg-blue-100 text-blue-700 dark:bg-blue-900/30 dark:text-blue-200'}">
-              ${op.status || 'pending'}
+            <span class="text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">${escapeHtml(op.table)}</span>
+            <span class="px-2 py-0.5 text-[11px] font-semibold rounded-full ${STATUS_BADGES[status] || STATUS_BADGES.pending}">
+              ${escapeHtml(status)}
             </span>
           </div>
           <div class="flex items-center justify-between text-sm">
-            <span class="font-medium text-gray-900 dark:text-gray-100">${op.operation?.toUpperCase()}</span>
+            <span class="font-medium text-gray-900 dark:text-gray-100">${escapeHtml(op.operation?.toUpperCase())}</span>
             <span class="text-xs text-gray-500 dark:text-gray-400">${time}</span>
           </div>
-          ${op.recordId ? `<p class="text-xs text-gray-500 dark:text-gray-400">Record: ${op.recordId}</p>` : ''}
-          ${op.error ? `<p class="text-xs text-red-500 mt-1">Last error: ${op.error}</p>` : ''}
+          ${op.recordId ? `<p class="text-xs text-gray-500 dark:text-gray-400">Record: ${escapeHtml(op.recordId)}</p>` : ''}
+          ${op.error && status === 'blocked' ? `<p class="text-xs text-gray-500 dark:text-gray-400 mt-1">${escapeHtml(op.error)}</p>` : ''}
+          ${op.error && status !== 'blocked' ? `<p class="text-xs text-red-500 mt-1">Last error: ${escapeHtml(op.error)}</p>` : ''}
+          ${status === 'conflict' ? `
+            <div class="flex items-center justify-between gap-2 mt-1">
+              <p class="text-xs text-amber-700 dark:text-amber-300">${op.conflicts.length} field(s) were also changed by someone else</p>
+              <button data-resolve-op="${escapeHtml(op.id)}" class="px-3 py-1 bg-amber-500 hover:bg-amber-600 text-white rounded-lg text-xs font-medium">Resolve</button>
+            </div>
+          ` : ''}
         </div>
       `;
     }).join('');
   }
 
-  modal.classList.remove('hidden');
   if (window.lucide) lucide.createIcons();
 }
 
+function formatConflictValue(value) {
+  if (value === null || value === undefined || value === '') return '<span class="text-gray-400">(empty)</span>';
+  const text = typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+  return `<span class="whitespace-pre-wrap break-words">${escapeHtml(text)}</span>`;
+}
+
+/**
+ * Side-by-side view of a conflicted update: base (before either edit), mine (offline) and theirs (server now)
+ */
+function renderConflictResolver(operation) {
+  const list = queueModalElement?.querySelector('#offline-queue-list');
+  if (!list) return;
+
+  const rows = operation.conflicts.map(conflict => {
+    const field = escapeHtml(conflict.field);
+    const option = (choice, value) => `
+      <label class="flex items-start gap-2 p-2 rounded-lg border border-gray-200 dark:border-gray-700 cursor-pointer has-[:checked]:border-nfgblue has-[:checked]:bg-blue-50 dark:has-[:checked]:bg-blue-900/20">
+        <input type="radio" name="conflict-${field}" value="${choice}" class="mt-1" ${choice === CONFLICT_CHOICES.MINE ? 'checked' : ''} />
+        <span class="min-w-0 text-sm text-gray-900 dark:text-gray-100">${formatConflictValue(value)}</span>
+      </label>
+    `;
+    return `
+      <div class="border border-gray-200 dark:border-gray-700 rounded-xl p-3">
+        <p class="text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-2">${escapeHtml(conflict.field.replace(/_/g, ' '))}</p>
+        <div class="grid grid-cols-1 sm:grid-cols-3 gap-2">
+          <div>
+            <p class="text-[11px] text-gray-500 mb-1">Before (base)</p>
+            <div class="p-2 rounded-lg bg-gray-50 dark:bg-gray-900/40 text-sm text-gray-600 dark:text-gray-300">${formatConflictValue(conflict.base)}</div>
+          </div>
+          <div>
+            <p class="text-[11px] text-gray-500 mb-1">Mine (offline)</p>
+            ${option(CONFLICT_CHOICES.MINE, conflict.mine)}
+          </div>
+          <div>
+            <p class="text-[11px] text-gray-500 mb-1">Theirs (server)</p>
+            ${option(CONFLICT_CHOICES.THEIRS, conflict.theirs)}
+          </div>
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  list.innerHTML = `
+    <div class="flex items-center justify-between gap-2">
+      <button data-queue-back class="text-xs text-nfgblue dark:text-blue-400 hover:underline">← Back to queue</button>
+      <div class="flex gap-2">
+        <button data-choose-all="${CONFLICT_CHOICES.MINE}" class="px-2 py-1 border border-gray-200 dark:border-gray-700 rounded-lg text-xs">Keep all mine</button>
+        <button data-choose-all="${CONFLICT_CHOICES.THEIRS}" class="px-2 py-1 border border-gray-200 dark:border-gray-700 rounded-lg text-xs">Keep all theirs</button>
+      </div>
+    </div>
+    <p class="text-xs text-gray-500 dark:text-gray-400">
+      ${escapeHtml(operation.table)} ${operation.recordId ? escapeHtml(operation.recordId) : ''} — your other changes were already saved. Choose which version to keep for each field below.
+    </p>
+    <form data-conflict-form="${escapeHtml(operation.id)}" class="space-y-3">
+      ${rows}
+      <div class="flex justify-end">
+        <button type="submit" class="px-4 py-2 bg-nfgblue hover:bg-nfgdark text-white rounded-lg text-sm font-medium">Save Choices</button>
+      </div>
+    </form>
+  `;
+
+  list.querySelector('[data-conflict-form]')?.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const form = /** @type {HTMLFormElement} */ (event.target);
+    /** @type {Object<string, string>} */
+    const choices = {};
+    operation.conflicts.forEach(conflict => {
+      const checked = /** @type {HTMLInputElement|null} */ (form.querySelector(`input[name="conflict-${CSS.escape(conflict.field)}"]:checked`));
+      if (checked) choices[conflict.field] = checked.value;
+    });
+
+    const { toast } = await import('./notifications.js');
+    try {
+      await resolveOperationConflict(operation.id, choices);
+      if (toast) toast.success('Changes resolved', 'Sync');
+      renderQueueList();
+      updateIndicator(lastStatusDetail);
+    } catch (error) {
+      if (toast) toast.error(error.message || 'Could not resolve changes', 'Sync');
+    }
+  });
+}
+
+async function handleQueueListClick(event) {
+  const target = /** @type {HTMLElement} */ (event.target);
+
+  const retryPhoto = target.closest('[data-photo-retry]');
+  if (retryPhoto) {
+    await retryPhotoUpload(retryPhoto.getAttribute('data-photo-retry'));
+    return;
+  }
+
+  const discardPhoto = target.closest('[data-photo-discard]');
+  if (discardPhoto) {
+    if (confirm('Discard this photo? It will not be uploaded.')) {
+      await discardPhotoUpload(discardPhoto.getAttribute('data-photo-discard'));
+    }
+    return;
+  }
+
+  const resolveButton = target.closest('[data-resolve-op]');
+  if (resolveButton) {
+    const operation = getQueuedOperations().find(op => op.id === resolveButton.getAttribute('data-resolve-op'));
+    if (operation?.status === 'conflict') renderConflictResolver(operation);
+    return;
+  }
+
+  if (target.closest('[data-queue-back]')) {
+    renderQueueList();
+    return;
+  }
+
+  const chooseAll = target.closest('[data-choose-all]');
+  if (chooseAll) {
+    const choice = chooseAll.getAttribute('data-choose-all');
+    queueModalElement.querySelectorAll(`[data-conflict-form] input[type="radio"][value="${choice}"]`).forEach(input => {
+      /** @type {HTMLInputElement} */ (input).checked = true;
+    });
+  }
+}
+
 function closeQueueModal() {
   queueModalElement?.classList.add('hidden');
 }
@@ -0,0 +1,125 @@
+/**
+ * Offline Queue Replay
+ * Sends queued operations in dependency order and records the outcome on each one.
+ * Shared by the app (offline-sync-manager.js) and the service worker (background-sync.js), which differ
+ * only in how an operation reaches the server and where the queue is stored.
+ */
+
+import { orderOperations, remapOperation } from './offline-dependencies.js';
+
+export const MAX_RETRY_ATTEMPTS = 3;
+
+// Web Lock held while replaying, so open tabs and the service worker never send the same operation twice
+export const QUEUE_LOCK = 'nfg-offline-queue';
+
+/**
+ * Run a callback holding a Web Lock shared by every tab and the service worker
+ * Without the Web Locks API the callback runs straight away.
+ * @param {string} name
+ * @param {function(boolean): *} callback - Called with false when ifAvailable is set and the lock is held elsewhere
+ * @param {{ ifAvailable?: boolean }} [options]
+ * @returns {Promise<*>}
+ */
+export function withLock(name, callback, { ifAvailable = false } = {}) {
+  const locks = typeof navigator === 'undefined' ? undefined : navigator.locks;
+  if (!locks) return callback(true);
+  return locks.request(name, { ifAvailable }, lock => callback(lock !== null));
+}
+
+/**
+ * Operations worth sending now: pending, blocked (re-checked every time) and failed ones with attempts left
+ * @param {Array<Object>} queue
+ * @returns {Array<Object>}
+ */
+export function replayableOperations(queue) {
+  return queue.filter(op =>
+    op.status === 'pending' || op.status === 'blocked' || (op.status === 'failed' && (op.retryCount || 0) < MAX_RETRY_ATTEMPTS)
+  );
+}
+
+// Keep only the clashing fields on the operation and park it until the user picks a version
+function markConflict(operation, conflicts) {
+  const fields = conflicts.map(conflict => conflict.field);
+  operation.status = 'conflict';
+  operation.conflicts = conflicts;
+  operation.data = Object.fromEntries(fields.map(field => [field, operation.data[field]]));
+  operation.metadata = {
+    ...operation.metadata,
+    base: Object.fromEntries(fields.map(field => [field, operation.metadata.base[field]]))
+  };
+  operation.lastAttempt = new Date().toISOString();
+}
+
+// Hold an operation until the one it depends on has synced
+function markBlocked(operation, blocker) {
+  operation.status = 'blocked';
+  operation.blockedBy = blocker.id;
+  operation.error = `Waiting for ${blocker.operation} on ${blocker.table} (${blocker.status})`;
+}
+
+function markFailed(operation, errorMessage) {
+  operation.retryCount = (operation.retryCount || 0) + 1;
+  operation.status = operation.retryCount >= MAX_RETRY_ATTEMPTS ? 'failed' : 'pending';
+  operation.error = errorMessage || null;
+  operation.blockedBy = null;
+  operation.lastAttempt = new Date().toISOString();
+}
+
+/**
+ * Replay a queue once
+ * Operations are updated in place; a create that got a server id has its temp id swapped in every operation still queued.
+ * @param {Array<Object>} queue - Every queued operation, including ones that can't be sent (they still block dependents)
+ * @param {Object} handlers
+ * @param {function(Object): Promise<{ conflicts?: Array<Object>, tempId?: string, createdId?: * }|undefined>} handlers.send
+ * @param {function(Object): Promise<void>} handlers.save - Persist an operation that stays queued
+ * @param {function(string): Promise<void>} handlers.remove - Drop an operation that synced
+ * @param {function(Object, Array<Object>): Promise<void>} [handlers.onConflict]
+ * @returns {Promise<{ synced: number, failed: number, conflicts: number, blocked: number, remapped: Array<{ table: string, tempId: string, id: * }> }>}
+ */
+export async function replayQueue(queue, { send, save, remove, onConflict }) {
+  const remaining = [...queue];
+  const result = { synced: 0, failed: 0, conflicts: 0, blocked: 0, remapped: [] };
+
+  for (const operation of orderOperations(replayableOperations(queue))) {
+    // Parents come first, so one still queued here has failed, conflicted or is blocked itself
+    const blocker = remaining.find(op => operation.metadata?.dependsOn?.includes(op.id));
+    if (blocker) {
+      result.blocked += 1;
+      markBlocked(operation, blocker);
+      await save(operation);
+      continue;
+    }
+
+    try {
+      const outcome = await send(operation);
+      if (outcome?.conflicts?.length) {
+        result.conflicts += 1;
+        markConflict(operation, outcome.conflicts);
+        await save(operation);
+        if (onConflict) await onConflict(operation, outcome.conflicts);
+        continue;
+      }
+
+      result.synced += 1;
+      remaining.splice(remaining.indexOf(operation), 1);
+      await remove(operation.id);
+
+      if (outcome?.tempId) {
+        for (const op of remaining) {
+          const { operation: remapped, changed } = remapOperation(op, outcome.tempId, outcome.createdId);
+          if (!changed) continue;
+          op.recordId = remapped.recordId;
+          op.data = remapped.data;
+          await save(op);
+        }
+        result.remapped.push({ table: operation.table, tempId: outcome.tempId, id: outcome.createdId });
+      }
+    } catch (error) {
+      result.failed += 1;
+      markFailed(operation, error.message);
+      await save(operation);
+    }
+  }
+
+  return result;
+}
@@ -1,5 +1,8 @@
 import { supabase } from './supabase.js';
 import { offlineQueueDB } from './offline-db.js';
+import { baseSnapshot, mergeFields, resolveConflicts } from './offline-conflicts.js';
+import { createTempId, isTempId, inferDependencies, dependentsOf } from './offline-dependencies.js';
+import { replayQueue, replayableOperations, withLock, QUEUE_LOCK } from './offline-replay.js';
 
 export const OPERATION_TYPES = {
   CREATE: 'create',
@@ -9,6 +12,7 @@ export const OPERATION_TYPES = {
 
 export const SYNCABLE_TABLES = {
   JOBS: 'jobs',
+  JOB_TASKS: 'job_tasks',
   SITES: 'sites',
   BOOKINGS: 'bookings',
   INVENTORY_TRANSACTIONS: 'inventory_transactions',
@@ -18,10 +22,12 @@ export const SYNCABLE_TABLES = {
   DOOR_VISITS: 'door_visits',
   LEADS: 'leads',
   APPOINTMENTS: 'appointments',
-  TERRITORIES: 'territories'
+  TERRITORIES: 'territories',
+  WALKTHROUGH_ROOMS: 'quote_walkthrough_rooms'
 };
 
-const MAX_RETRY_ATTEMPTS = 3;
+// Tag the service worker's sync listener replays the queue for (sw.js)
+export const BACKGROUND_SYNC_TAG = 'nfg-offline-sync';
 
 class OfflineSyncManager {
   constructor() {
@@ -92,9 +98,13 @@ class OfflineSyncManager {
   getStats() {
     const pending = this.queue.filter(op => op.status === 'pending').length;
     const failed = this.queue.filter(op => op.status === 'failed').length;
+    const conflicts = this.queue.filter(op => op.status === 'conflict').length;
+    const blocked = this.queue.filter(op => op.status === 'blocked').length;
     return {
       pending,
       failed,
+      conflicts,
+      blocked,
       syncing: this.isSyncing,
       lastSyncedAt: this.lastSyncedAt
     };
@@ -105,6 +115,8 @@ class OfflineSyncManager {
       ...this.getStats(),
       hasPending: this.queue.some(op => op.status === 'pending'),
       hasFailed: this.queue.some(op => op.status === 'failed'),
+      hasConflicts: this.queue.some(op => op.status === 'conflict'),
+      hasBlocked: this.queue.some(op => op.status === 'blocked'),
       queueSize: this.queue.length,
       isOnline: typeof navigator !== 'undefined' ? navigator.onLine : false
     };
@@ -114,9 +126,32 @@ class OfflineSyncManager {
     }
   }
 
+  /**
+   * Queue an operation for replay
+   * Pass metadata.base (the record as it was before this edit) with updates to merge field by field on sync
+   * instead of overwriting whatever changed on the server meanwhile.
+   * Creates without an id get a temp id, so later operations can reference the new record before it syncs;
+   * operations referencing a queued create wait for it, as do any listed in metadata.dependsOn.
+   * @param {{ table: string, operation: string, data: Object, recordId?: string|null, metadata?: Object }} params
+   * @returns {Promise<string>} Operation id
+   */
   async queueOperation({ table, operation, data, recordId = null, metadata = {} }) {
     await this.ensureReady();
 
+    if (operation === OPERATION_TYPES.CREATE && data?.id == null) {
+      data = { ...data, id: createTempId() };
+    }
+
+    const queuedIds = new Set(this.queue.map(op => op.id));
+    const dependsOn = Array.from(new Set([
+      ...(metadata.dependsOn || []),
+      ...inferDependencies({ operation, data, recordId }, this.queue)
+    ])).filter(id => queuedIds.has(id));
+
+    const base = operation === OPERATION_TYPES.UPDATE && metadata.base
+      ? baseSnapshot(metadata.base, Object.keys(data || {}))
+      : null;
+
     const queueItem = {
       id: metadata.id || `op_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`,
       table,
@@ -127,20 +162,37 @@ class OfflineSyncManager {
       retryCount: 0,
       status: 'pending',
       metadata: {
-        conflictStrategy: metadata.conflictStrategy || 'last-write-wins',
+        conflictStrategy: metadata.conflictStrategy || (base ? 'field-merge' : 'last-write-wins'),
         expectedUpdatedAt: metadata.expectedUpdatedAt || data?.updated_at || null,
-        ...metadata
+        ...metadata,
+        base,
+        dependsOn
       }
     };
 
     this.queue.push(queueItem);
 
     await this.persistOperation(queueItem);
+    this.requestBackgroundSync();
 
     this.emitStatus();
     return queueItem.id;
   }
 
+  /**
+   * Drop an operation along with everything waiting on it, which could never sync without it
+   * @param {string} operationId
+   * @returns {Promise<number>} Number of operations removed
+   */
+  async discardOperation(operationId) {
+    await this.ensureReady();
+    const doomed = [operationId, ...dependentsOf(this.queue, operationId).map(op => op.id)];
+    for (const id of doomed) {
+      await this.removeOperation(id);
+    }
+    return doomed.length;
+  }
+
   async removeOperation(operationId) {
     this.queue = this.queue.filter(op => op.id !== operationId);
     try {
@@ -151,16 +203,6 @@ class OfflineSyncManager {
     this.emitStatus();
   }
 
-  updateOperationStatus(operationId, status, errorMessage) {
-    const op = this.queue.find(item => item.id === operationId);
-    if (op) {
-      op.status = status;
-      op.error = errorMessage || null;
-      op.retryCount = status === 'failed' ? (op.retryCount || 0) + 1 : op.retryCount || 0;
-      op.lastAttempt = new Date().toISOString();
-    }
-  }
-
   async syncQueue() {
     await this.ensureReady();
 
@@ -168,51 +210,90 @@ class OfflineSyncManager {
       return { inProgress: true };
     }
 
-    if (!this.queue.some(op => op.status === 'pending' || op.status === 'failed')) {
-      return { synced: 0, failed: 0 };
-    }
-
     this.isSyncing = true;
     this.emitStatus();
 
-    let synced = 0;
-    let failed = 0;
-    const operations = [...this.queue]
-      .filter(op => op.status === 'pending' || (op.status === 'failed' && op.retryCount < MAX_RETRY_ATTEMPTS))
-      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-
-    for (const operation of operations) {
-      try {
-        await this.processOperation(operation);
-        synced += 1;
-        await this.removeOperation(operation.id);
-      } catch (error) {
-        failed += 1;
-        this.updateOperationStatus(operation.id, operation.retryCount >= MAX_RETRY_ATTEMPTS ? 'failed' : 'pending', error.message);
-
-        if (operation.retryCount >= MAX_RETRY_ATTEMPTS) {
-          try {
-            await offlineQueueDB.saveOperation(operation);
-          } catch (persistError) {
-            console.warn('[OfflineSyncManager] Failed to persist failed operation status:', persistError);
-          }
+    try {
+      // Other tabs and the service worker replay the same stored queue: wait for them, then start from what they left
+      return await withLock(QUEUE_LOCK, async () => {
+        await this.loadStoredQueue();
+        if (replayableOperations(this.queue).length === 0) {
+          return { synced: 0, failed: 0, conflicts: 0, blocked: 0 };
         }
-      }
-    }
 
-    this.isSyncing = false;
-    if (synced > 0) {
-      this.lastSyncedAt = new Date().toISOString();
+        const { remapped, ...result } = await replayQueue(this.queue, {
+          send: (operation) => this.processOperation(operation),
+          save: (operation) => this.persistOperation(operation),
+          remove: (operationId) => this.removeOperation(operationId),
+          onConflict: (operation, conflicts) => this.logConflict(operation, conflicts)
+        });
+
+        // Pages holding a temp id (e.g. a route opened right after it was created offline) can switch to the real one
+        if (typeof window !== 'undefined') {
+          remapped.forEach(detail => window.dispatchEvent(new CustomEvent('offline-id-remapped', { detail })));
+        }
+
+        if (result.synced > 0) {
+          this.lastSyncedAt = new Date().toISOString();
+        }
+        return result;
+      });
+    } finally {
+      this.isSyncing = false;
+      this.emitStatus();
     }
+  }
+
+  /**
+   * Pick up changes the service worker made to the stored queue while the app was closed
+   * @returns {Promise<void>}
+   */
+  async reloadQueue() {
+    await this.ensureReady();
+    if (this.isSyncing) return;
+    await this.loadStoredQueue();
     this.emitStatus();
-    return { synced, failed };
   }
 
+  // Swap in the stored queue; without IndexedDB the in-memory queue is the only copy and stays as is
+  async loadStoredQueue() {
+    try {
+      const stored = await offlineQueueDB.getAllOperations();
+      if (Array.isArray(stored)) {
+        this.queue = stored.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+      }
+    } catch (error) {
+      console.warn('[OfflineSyncManager] Failed to reload queue from IndexedDB:', error);
+    }
+  }
+
+  // Ask the browser to replay the queue from the service worker once back online, even if the app is closed
+  requestBackgroundSync() {
+    if (typeof window === 'undefined' || !('serviceWorker' in navigator)) return;
+    if (!('sync' in (window.ServiceWorkerRegistration?.prototype || {}))) return;
+
+    navigator.serviceWorker.ready
+      .then(registration => registration.sync.register(BACKGROUND_SYNC_TAG))
+      .catch(error => console.warn('[OfflineSyncManager] Background sync registration failed:', error));
+  }
+
+  /**
+   * Send one queued operation to the server
+   * @returns {Promise<{ conflicts?: Array<Object>, tempId?: string, createdId?: string|number }|undefined>}
+   */
   async processOperation(operation) {
     const { table, operation: action, data, recordId, metadata } = operation;
 
     switch (action) {
       case OPERATION_TYPES.CREATE: {
+        if (isTempId(data?.id)) {
+          // The server assigns the real id; dependents are remapped to it once this returns
+          const { id: tempId, ...row } = data;
+          const { data: created, error } = await supabase.from(table).insert(row).select('id').single();
+          if (error) throw error;
+          return { tempId, createdId: created.id };
+        }
+
         const { error } = await supabase.from(table).insert(data);
         if (error) throw error;
         break;
@@ -221,6 +302,10 @@ class OfflineSyncManager {
       case OPERATION_TYPES.UPDATE: {
         if (!recordId) throw new Error('recordId required for update operations');
 
+        if (metadata?.base) {
+          return this.mergeUpdate(operation);
+        }
+
         if (metadata?.expectedUpdatedAt) {
           await this.detectConflict(table, recordId, metadata.expectedUpdatedAt, data);
         }
@@ -246,6 +331,80 @@ class OfflineSyncManager {
     }
   }
 
+  /**
+   * Write the fields of a queued update that don't clash with server changes since the base snapshot
+   * @returns {Promise<{ conflicts: Array<Object> }>} Fields both sides changed, left for the user to resolve
+   */
+  async mergeUpdate(operation) {
+    const { table, data, recordId, metadata } = operation;
+
+    const { data: current, error: fetchError } = await supabase
+      .from(table)
+      .select('*')
+      .eq('id', recordId)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (!current) throw new Error('Record no longer exists on the server');
+
+    const { apply, conflicts } = mergeFields({ base: metadata.base, mine: data, theirs: current });
+
+    if (Object.keys(apply).length > 0) {
+      const { error } = await supabase
+        .from(table)
+        .update(apply)
+        .eq('id', recordId);
+      if (error) throw error;
+    }
+
+    return { conflicts };
+  }
+
+  async logConflict(operation, conflicts) {
+    try {
+      await offlineQueueDB.recordConflict({
+        table: operation.table,
+        recordId: operation.recordId,
+        strategy: 'field-merge',
+        fields: conflicts.map(conflict => conflict.field)
+      });
+    } catch (error) {
+      console.warn('[OfflineSyncManager] Failed to log conflict:', error);
+    }
+  }
+
+  /**
+   * Apply the user's per-field choices to a conflicted operation
+   * @param {string} operationId
+   * @param {Object<string, string>} choices - field -> 'mine' | 'theirs'
+   * @returns {Promise<{ removed: boolean }>} removed when every field kept the server's version
+   */
+  async resolveConflict(operationId, choices) {
+    await this.ensureReady();
+
+    const operation = this.queue.find(op => op.id === operationId);
+    if (!operation || operation.status !== 'conflict') {
+      throw new Error('Operation has no conflicts to resolve');
+    }
+
+    const { apply, base } = resolveConflicts(operation.conflicts, choices);
+    if (Object.keys(apply).length === 0) {
+      await this.removeOperation(operationId);
+      return { removed: true };
+    }
+
+    operation.data = apply;
+    operation.metadata = { ...operation.metadata, base };
+    operation.conflicts = null;
+    operation.status = 'pending';
+    operation.retryCount = 0;
+    operation.error = null;
+
+    await this.persistOperation(operation);
+    this.emitStatus();
+    return { removed: false };
+  }
+
   async detectConflict(table, recordId, expectedUpdatedAt, payload) {
     try {
       const { data, error } = await supabase
@@ -275,11 +434,24 @@ class OfflineSyncManager {
     }
   }
 
+  /**
+   * Whether an operation refers to a record or operation still waiting in the queue,
+   * in which case it has to be queued behind it even when online
+   * @param {{ action: string, payload: Object, recordId?: string|null, metadata?: Object }} params
+   * @returns {boolean}
+   */
+  dependsOnQueued({ action, payload, recordId = null, metadata = {} }) {
+    const queuedIds = new Set(this.queue.map(op => op.id));
+    return (metadata?.dependsOn || []).some(id => queuedIds.has(id))
+      || inferDependencies({ operation: action, data: payload, recordId }, this.queue).length > 0;
+  }
+
   async executeNow({ table, action, payload, recordId, metadata }) {
     try {
       switch (action) {
         case OPERATION_TYPES.CREATE: {
-          const { data, error } = await supabase.from(table).insert(payload).select().single();
+          const row = isTempId(payload?.id) ? { ...payload, id: undefined } : payload;
+          const { data, error } = await supabase.from(table).insert(row).select().single();
           if (error) throw error;
           return data;
         }
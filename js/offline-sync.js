@@ -1,4 +1,6 @@
 import { offlineSyncManager, OPERATION_TYPES, SYNCABLE_TABLES } from './offline-sync-manager.js';
+import { offlineQueueDB } from './offline-db.js';
+import { SUPABASE_URL, SUPABASE_ANON_KEY, AUTH_STORAGE_KEY } from './supabase.js';
 
 export { OPERATION_TYPES, SYNCABLE_TABLES };
 
@@ -44,7 +46,7 @@ export async function syncOfflineQueue() {
 
   const result = await offlineSyncManager.syncQueue();
 
-  if ((result.synced || 0) > 0 || (result.failed || 0) > 0) {
+  if ((result.synced || 0) > 0 || (result.failed || 0) > 0 || (result.conflicts || 0) > 0 || (result.blocked || 0) > 0) {
     try {
       const { toast } = await import('./notifications.js');
       if (toast) {
@@ -54,6 +56,12 @@ export async function syncOfflineQueue() {
         if (result.failed) {
           toast.error(`${result.failed} operation(s) failed`, 'Offline Sync');
         }
+        if (result.conflicts) {
+          toast.info(`${result.conflicts} change(s) clash with edits made by someone else. Review them in the sync queue.`, 'Offline Sync');
+        }
+        if (result.blocked) {
+          toast.info(`${result.blocked} change(s) are waiting on records that haven't synced yet`, 'Offline Sync');
+        }
       }
     } catch {
       // optional toast
@@ -71,16 +79,45 @@ export function getFailedOperationsCount() {
   return offlineSyncManager.getQueue().filter(op => op.status === 'failed').length;
 }
 
+export function getConflictedOperationsCount() {
+  return offlineSyncManager.getQueue().filter(op => op.status === 'conflict').length;
+}
+
+export function getBlockedOperationsCount() {
+  return offlineSyncManager.getQueue().filter(op => op.status === 'blocked').length;
+}
+
 export function getQueuedOperations() {
   return offlineSyncManager.getQueue();
 }
 
+/**
+ * Resolve a conflicted update field by field, then sync it if online
+ * @param {string} operationId
+ * @param {Object<string, string>} choices - field -> 'mine' | 'theirs'
+ */
+export async function resolveOperationConflict(operationId, choices) {
+  const result = await offlineSyncManager.resolveConflict(operationId, choices);
+  if (!result.removed && isOnline()) {
+    await syncOfflineQueue();
+  }
+  return result;
+}
+
+/**
+ * Discard failed operations and anything queued that depends on them
+ * @returns {Promise<number>} Number of operations removed
+ */
 export async function clearFailedOperations() {
-  const failed = offlineSyncManager.getQueue().filter(op => op.status === 'failed');
-  for (const op of failed) {
-    await offlineSyncManager.removeOperation(op.id);
+  const failedIds = offlineSyncManager.getQueue().filter(op => op.status === 'failed').map(op => op.id);
+  let removed = 0;
+  for (const id of failedIds) {
+    if (offlineSyncManager.getQueue().some(op => op.id === id)) {
+      removed += await offlineSyncManager.discardOperation(id);
+    }
   }
   offlineSyncManager.emitStatus();
+  return removed;
 }
 
 export async function retryFailedOperations() {
@@ -97,10 +134,25 @@ export async function retryFailedOperations() {
   await syncOfflineQueue();
 }
 
+function queuedResult(action, operationId) {
+  const queuedOperation = offlineSyncManager.getQueue().find(op => op.id === operationId);
+  return action === OPERATION_TYPES.CREATE
+    ? { queued: true, operationId, data: queuedOperation?.data }
+    : { queued: true, operationId };
+}
+
+/**
+ * Run an operation now, or queue it when offline or when it refers to something still queued
+ * Queued creates resolve with the record as queued, including the id later operations can reference.
+ * @returns {Promise<{ queued: boolean, operationId?: string, data?: Object }>}
+ */
 export async function queueOrExecute({ table, action, payload, recordId = null, metadata = {} }) {
-  if (!isOnline()) {
-    const operationId = await queueOperation(table, action, payload, recordId, metadata);
-    return { queued: true, operationId };
+  if (!isOnline() || offlineSyncManager.dependsOnQueued({ action, payload, recordId, metadata })) {
+    const operationId = isOnline()
+      ? await offlineSyncManager.queueOperation({ table, operation: action, data: payload, recordId, metadata })
+      : await queueOperation(table, action, payload, recordId, metadata);
+    if (isOnline()) syncOfflineQueue();
+    return queuedResult(action, operationId);
   }
 
   const result = await offlineSyncManager.executeNow({
@@ -111,13 +163,72 @@ export async function queueOrExecute({ table, action, payload, recordId = null,
     metadata
   });
 
+  // Dropped offline mid-request, so it was queued instead
   if (result?.queued) {
-    return result;
+    return queuedResult(action, result.operationId);
   }
 
   return { queued: false, data: result };
 }
 
+/**
+ * Tell the service worker where the project and the session are, so it can replay the queue while the app is closed
+ * The session itself is already shared: the Supabase client keeps it in IndexedDB (authStorage in offline-db.js).
+ */
+function shareWorkerConfig() {
+  offlineQueueDB.saveWorkerConfig({ url: SUPABASE_URL, anonKey: SUPABASE_ANON_KEY, storageKey: AUTH_STORAGE_KEY })
+    .catch(error => console.warn('[OfflineSync] Failed to share worker config:', error));
+}
+
+/**
+ * Tell the user what the service worker synced while the app was closed, and pick up the queue it left
+ */
+async function showBackgroundSyncReports() {
+  let reports = [];
+  try {
+    reports = await offlineQueueDB.takeSyncReports();
+  } catch (error) {
+    console.warn('[OfflineSync] Failed to read background sync reports:', error);
+  }
+  if (reports.length === 0) return;
+
+  await offlineSyncManager.reloadQueue();
+
+  const total = reports.reduce((sum, report) => ({
+    synced: sum.synced + (report.synced || 0),
+    failed: sum.failed + (report.failed || 0),
+    conflicts: sum.conflicts + (report.conflicts || 0)
+  }), { synced: 0, failed: 0, conflicts: 0 });
+
+  const syncedReports = reports.filter(report => report.synced > 0);
+  if (syncedReports.length > 0) {
+    offlineSyncManager.lastSyncedAt = syncedReports[syncedReports.length - 1].recorded_at;
+  }
+  reports.flatMap(report => report.remapped || []).forEach(detail => {
+    window.dispatchEvent(new CustomEvent('offline-id-remapped', { detail }));
+  });
+  offlineSyncManager.emitStatus();
+
+  try {
+    const { toast } = await import('./notifications.js');
+    if (!toast) return;
+    if (total.synced) {
+      toast.success(`${total.synced} queued change(s) synced in the background`, 'Offline Sync');
+    }
+    if (total.failed) {
+      toast.error(`${total.failed} queued change(s) failed to sync in the background`, 'Offline Sync');
+    }
+    if (total.conflicts) {
+      toast.info(`${total.conflicts} change(s) clash with edits made by someone else. Review them in the sync queue.`, 'Offline Sync');
+    }
+    if (reports.some(report => report.authRequired)) {
+      toast.warning('Queued changes could not sync in the background because your session expired', 'Offline Sync');
+    }
+  } catch {
+    // optional toast
+  }
+}
+
 /**
  * Initialize offline sync
  */
@@ -140,6 +251,9 @@ export function initOfflineSync() {
     offlineSyncManager.emitStatus();
   });
 
+  shareWorkerConfig();
+  showBackgroundSyncReports();
+
   // Try to sync on page load if online
   if (isOnline()) {
     // Wait for page to be fully loaded
@@ -153,17 +267,16 @@ export function initOfflineSync() {
   }
 
   // Register background sync with service worker
-  if ('serviceWorker' in navigator && 'sync' in (window.ServiceWorkerRegistration?.prototype || {})) {
-    navigator.serviceWorker.ready.then(registration => {
-      registration.sync.register('nfg-offline-sync').catch(err => {
-        console.warn('[OfflineSync] Background sync registration failed:', err);
-      });
-    });
-  }
+  offlineSyncManager.requestBackgroundSync();
 
   // Listen for sync requests from service worker
   if ('serviceWorker' in navigator) {
     navigator.serviceWorker.addEventListener('message', async (event) => {
+      if (event.data && event.data.type === 'BACKGROUND_SYNC_COMPLETE') {
+        showBackgroundSyncReports();
+        return;
+      }
+
       if (event.data && event.data.type === 'REQUEST_SYNC') {
         console.log('[OfflineSync] Sync requested by service worker');
         try {
@@ -0,0 +1,140 @@
+/**
+ * Photo Upload Queue
+ * Rules for uploading queued photos in resumable chunks and attaching them to their record afterwards.
+ * Storage is done by services/photo-upload-service.js; everything here is plain data in, data out.
+ */
+
+import { isTempId } from './offline-dependencies.js';
+
+// Supabase's resumable endpoint requires every chunk but the last to be exactly 6 MB
+export const PHOTO_CHUNK_SIZE = 6 * 1024 * 1024;
+export const MAX_PHOTO_ATTEMPTS = 5;
+export const PHOTO_MAX_DIMENSION = 1920;
+export const PHOTO_QUALITY = 0.8;
+
+export const PHOTO_STATUS = {
+  PENDING: 'pending',
+  UPLOADING: 'uploading',
+  UPLOADED: 'uploaded', // File stored; waiting for its record to exist before attaching
+  FAILED: 'failed'
+};
+
+export const ATTACH_MODES = {
+  SET: 'set', // field holds one URL (job_tasks.photo_url)
+  APPEND: 'append' // field holds a list of URLs (inventory_transactions.photo_urls)
+};
+
+/**
+ * Wait before the next attempt: doubles from 2s, capped at 5 minutes
+ * @param {number} attempt - Attempts made so far (1 after the first failure)
+ * @returns {number} Milliseconds
+ */
+export function backoffDelay(attempt) {
+  return Math.min(2000 * 2 ** Math.max(attempt - 1, 0), 5 * 60 * 1000);
+}
+
+/**
+ * Byte range of the next chunk to send
+ * @param {number} offset - Bytes the server already has
+ * @param {number} size - Total size of the file
+ * @param {number} [chunkSize]
+ * @returns {{ start: number, end: number }|null} null once the whole file is uploaded
+ */
+export function nextChunk(offset, size, chunkSize = PHOTO_CHUNK_SIZE) {
+  if (offset >= size) return null;
+  return { start: offset, end: Math.min(offset + chunkSize, size) };
+}
+
+function base64(value) {
+  const bytes = new TextEncoder().encode(String(value));
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+}
+
+/**
+ * Upload-Metadata header for a resumable (tus) upload: comma-separated "key base64(value)" pairs
+ * @param {Object<string, string>} metadata
+ * @returns {string}
+ */
+export function encodeUploadMetadata(metadata) {
+  return Object.entries(metadata)
+    .filter(([, value]) => value != null)
+    .map(([key, value]) => `${key} ${base64(value)}`)
+    .join(',');
+}
+
+/**
+ * Whether an uploaded photo's record has a server id it can be attached to
+ * @param {Object} photo - Queued photo
+ * @returns {boolean}
+ */
+export function canAttach(photo) {
+  return photo.target?.recordId != null && !isTempId(photo.target.recordId);
+}
+
+/**
+ * Fields to write to the target record to attach an uploaded photo
+ * Appending leaves the list unchanged when a retried attach already added the URL.
+ * @param {{ field: string, mode: string, extra?: Object }} target
+ * @param {Object|null} current - The record's current values (only read for append)
+ * @param {string} url - Public URL of the uploaded photo
+ * @returns {Object}
+ */
+export function attachmentUpdate(target, current, url) {
+  if (target.mode === ATTACH_MODES.APPEND) {
+    const existing = Array.isArray(current?.[target.field]) ? current[target.field] : [];
+    return { ...target.extra, [target.field]: existing.includes(url) ? existing : [...existing, url] };
+  }
+  return { ...target.extra, [target.field]: url };
+}
+
+/**
+ * Point a queued photo at the server id of a record that was created offline
+ * @param {Object} photo
+ * @param {string} tempId
+ * @param {*} serverId
+ * @returns {Object|null} The updated photo, or null when it targets a different record
+ */
+export function remapPhotoTarget(photo, tempId, serverId) {
+  if (String(photo.target?.recordId) !== String(tempId)) return null;
+  return { ...photo, target: { ...photo.target, recordId: serverId } };
+}
+
+/**
+ * Queued photos that can be worked on now
+ * @param {Array<Object>} photos
+ * @param {number} [now] - Epoch milliseconds
+ * @returns {Array<Object>} Oldest first
+ */
+export function duePhotos(photos, now = Date.now()) {
+  return photos
+    .filter(photo => {
+      if (photo.status === PHOTO_STATUS.FAILED) return false;
+      if (photo.status === PHOTO_STATUS.UPLOADED && !canAttach(photo)) return false;
+      // An upload cut off by the app closing is still marked uploading and resumes from its offset
+      return !photo.nextAttemptAt || Date.parse(photo.nextAttemptAt) <= now;
+    })
+    .sort((a, b) => Date.parse(a.created_at) - Date.parse(b.created_at));
+}
+
+/**
+ * Record a failed attempt: back off, or give up after MAX_PHOTO_ATTEMPTS
+ * An uploaded photo keeps its status so only the attach is retried.
+ * @param {Object} photo
+ * @param {string} errorMessage
+ * @param {number} [now] - Epoch milliseconds
+ * @returns {Object}
+ */
+export function failedAttempt(photo, errorMessage, now = Date.now()) {
+  const retryCount = (photo.retryCount || 0) + 1;
+  const exhausted = retryCount >= MAX_PHOTO_ATTEMPTS;
+  const uploaded = photo.status === PHOTO_STATUS.UPLOADED || Boolean(photo.url);
+  return {
+    ...photo,
+    retryCount,
+    status: exhausted ? PHOTO_STATUS.FAILED : (uploaded ? PHOTO_STATUS.UPLOADED : PHOTO_STATUS.PENDING),
+    error: errorMessage || null,
+    nextAttemptAt: exhausted ? null : new Date(now + backoffDelay(retryCount)).toISOString()
+  };
+}
@@ -0,0 +1,314 @@
+// Price Escalation Tool
+// Annual increase runs on the Tools tab: pick agreements, preview old vs new prices,
+// schedule the increase, send client notices and print notice letters
+
+import { toast, showConfirm } from './notifications.js';
+import { hasRole } from './rbac-service.js';
+import { escapeHtml } from './escape-html.js';
+import {
+  ESCALATION_METHODS,
+  ESCALATION_STATUSES,
+  buildEscalationPreview,
+  buildNoticeLetter,
+  selectAgreements,
+  validateEscalation
+} from './price-escalation.js';
+import * as escalationService from './services/price-escalation-service.js';
+
+let candidates = [];
+let scheduledAgreementIds = new Set();
+
+const formatMoney = (amount) => `$${Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const formatDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+const serviceTypeLabel = (type) => type ? type.replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase()) : 'Other';
+
+function selectedValues(id) {
+  const select = /** @type {HTMLSelectElement|null} */ (document.getElementById(id));
+  return select ? Array.from(select.selectedOptions).map(option => option.value) : [];
+}
+
+function inputValue(id) {
+  const input = /** @type {HTMLInputElement|null} */ (document.getElementById(id));
+  return input ? input.value.trim() : '';
+}
+
+function readEscalation() {
+  return {
+    name: inputValue('escalation-name'),
+    method: inputValue('escalation-method'),
+    rate_pct: Number(inputValue('escalation-rate')),
+    effective_date: inputValue('escalation-effective-date')
+  };
+}
+
+function readFilters() {
+  return {
+    serviceTypes: selectedValues('escalation-filter-service-type'),
+    siteIds: selectedValues('escalation-filter-site'),
+    clientIds: selectedValues('escalation-filter-account')
+  };
+}
+
+function fillSelect(id, options) {
+  const select = document.getElementById(id);
+  if (!select) return;
+  select.innerHTML = options.map(option => `<option value="${escapeHtml(String(option.value))}">${escapeHtml(option.label)}</option>`).join('');
+}
+
+// Open the tool (managers and admins only)
+export async function openPriceEscalationTool() {
+  const allowed = await hasRole(['manager', 'admin', 'super_admin']);
+  if (!allowed) {
+    toast.warning('Price escalations are only available to managers and admins', 'Access Restricted');
+    return;
+  }
+
+  const modal = document.getElementById('price-escalation-modal');
+  if (!modal) return;
+  modal.classList.remove('hidden');
+  document.getElementById('escalation-preview')?.classList.add('hidden');
+
+  try {
+    const [agreements, scheduled] = await Promise.all([
+      escalationService.loadEscalationCandidates(),
+      escalationService.loadScheduledAgreementIds()
+    ]);
+    candidates = agreements;
+    scheduledAgreementIds = scheduled;
+    const accounts = await escalationService.loadClientAccounts(agreements);
+
+    const serviceTypes = [...new Set(agreements.map(agreement => agreement.service_type).filter(Boolean))].sort();
+    fillSelect('escalation-filter-service-type', serviceTypes.map(type => ({ value: type, label: serviceTypeLabel(type) })));
+    fillSelect('escalation-filter-site', [...new Map(agreements.map(agreement => [agreement.site_id, agreement.site_name || `Site ${agreement.site_id}`]))]
+      .map(([value, label]) => ({ value, label }))
+      .sort((a, b) => a.label.localeCompare(b.label)));
+    fillSelect('escalation-filter-account', accounts.map(account => ({ value: account.id, label: account.name })));
+
+    await renderEscalationRuns();
+  } catch (error) {
+    console.error('[Price Escalation] Error loading agreements:', error);
+    toast.error('Failed to load service agreements', 'Error');
+  }
+
+  if (window.lucide) window.lucide.createIcons();
+}
+
+// Show old vs new monthly prices for the agreements the filters pick
+export function previewPriceEscalation() {
+  const escalation = readEscalation();
+  const errors = validateEscalation(escalation);
+  if (errors.length > 0) {
+    toast.error(errors[0], 'Check the escalation');
+    return null;
+  }
+
+  const agreements = selectAgreements(candidates, readFilters(), scheduledAgreementIds);
+  const preview = buildEscalationPreview(agreements, escalation);
+  const container = document.getElementById('escalation-preview');
+  if (!container) return preview;
+
+  container.classList.remove('hidden');
+  if (preview.rows.length === 0) {
+    container.innerHTML = '<p class="text-sm text-gray-500 dark:text-gray-400">No active agreements match these filters, or they already have an increase scheduled.</p>';
+    return preview;
+  }
+
+  container.innerHTML = `
+    <div class="overflow-x-auto border border-nfgray dark:border-gray-700 rounded-lg max-h-72 overflow-y-auto">
+      <table class="w-full text-sm">
+        <thead class="bg-nfglight dark:bg-gray-700 sticky top-0">
+          <tr>
+            <th class="px-3 py-2 text-left font-medium text-gray-700 dark:text-gray-300">Site</th>
+            <th class="px-3 py-2 text-left font-medium text-gray-700 dark:text-gray-300">Service</th>
+            <th class="px-3 py-2 text-right font-medium text-gray-700 dark:text-gray-300">Current / mo</th>
+            <th class="px-3 py-2 text-right font-medium text-gray-700 dark:text-gray-300">New / mo</th>
+            <th class="px-3 py-2 text-right font-medium text-gray-700 dark:text-gray-300">Increase</th>
+          </tr>
+        </thead>
+        <tbody class="divide-y divide-nfgray dark:divide-gray-700">
+          ${preview.rows.map(row => `
+            <tr>
+              <td class="px-3 py-2 text-gray-900 dark:text-gray-100">${escapeHtml(row.site_name || `Site ${row.site_id}`)}</td>
+              <td class="px-3 py-2 text-gray-500 dark:text-gray-400">${escapeHtml(serviceTypeLabel(row.service_type))}</td>
+              <td class="px-3 py-2 text-right text-gray-500 dark:text-gray-400">${formatMoney(row.old_monthly_price)}</td>
+              <td class="px-3 py-2 text-right font-medium text-gray-900 dark:text-gray-100">${formatMoney(row.new_monthly_price)}</td>
+              <td class="px-3 py-2 text-right text-green-700 dark:text-green-400">+${formatMoney(row.monthly_increase)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+    <div class="flex flex-wrap items-center justify-between gap-3 mt-3 text-sm">
+      <span class="text-gray-600 dark:text-gray-300">
+        ${preview.rows.length} agreement${preview.rows.length === 1 ? '' : 's'} &middot;
+        ${formatMoney(preview.old_monthly_total)} &rarr; <strong>${formatMoney(preview.new_monthly_total)}</strong>/mo
+        (+${formatMoney(preview.monthly_increase)}/mo)
+      </span>
+      <button type="button" onclick="window.priceEscalationTool?.schedulePriceEscalation()" class="px-4 py-2 bg-nfgblue hover:bg-nfgdark text-white rounded-lg font-medium">
+        Schedule Increase
+      </button>
+    </div>
+  `;
+  return preview;
+}
+
+// Save the run, then offer to email the notices straight away
+export async function schedulePriceEscalation() {
+  const escalation = readEscalation();
+  if (!escalation.name) {
+    toast.error('Give the escalation a name', 'Check the escalation');
+    return;
+  }
+  const preview = previewPriceEscalation();
+  if (!preview || preview.rows.length === 0) return;
+
+  const confirmed = await showConfirm(
+    `Raise ${preview.rows.length} agreement${preview.rows.length === 1 ? '' : 's'} by ${escalation.rate_pct}% from ${formatDate(escalation.effective_date)}?`,
+    'Schedule Increase'
+  );
+  if (!confirmed) return;
+
+  try {
+    const run = await escalationService.createEscalation(escalation, readFilters());
+    toast.success(`Increase scheduled for ${run.agreement_count} agreement${run.agreement_count === 1 ? '' : 's'}`, 'Escalation Scheduled');
+    run.items.forEach(item => scheduledAgreementIds.add(item.service_agreement_id));
+    document.getElementById('escalation-preview')?.classList.add('hidden');
+    await renderEscalationRuns();
+
+    const sendNow = await showConfirm('Email the client notices now? You can also send them later from the list below.', 'Send Notices');
+    if (sendNow) await sendNotices(run.id);
+  } catch (error) {
+    console.error('[Price Escalation] Error scheduling escalation:', error);
+    toast.error(error.message || 'Failed to schedule the increase', 'Error');
+  }
+}
+
+async function sendNotices(escalationId) {
+  try {
+    const { sent, skipped } = await escalationService.sendEscalationNotices(escalationId);
+    toast.success(`${sent.length} notice${sent.length === 1 ? '' : 's'} sent`, 'Notices Sent');
+    if (skipped.length > 0) {
+      toast.warning(`${skipped.length} site${skipped.length === 1 ? ' has' : 's have'} no contact email. Print their letters instead.`, 'Notices Skipped');
+    }
+    await renderEscalationRuns();
+  } catch (error) {
+    console.error('[Price Escalation] Error sending notices:', error);
+    toast.error('Failed to send notices', 'Error');
+  }
+}
+
+// One printable letter per agreement, for clients notified by mail
+async function printLetters(run) {
+  try {
+    const items = await escalationService.getEscalationItems(run.id);
+    const letters = items.map(item => item.notice?.paragraphs ? item.notice : buildNoticeLetter(item, run));
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      toast.error('Allow pop-ups to print the letters', 'Error');
+      return;
+    }
+
+    printWindow.document.write(`
+      <!DOCTYPE html>
+      <html lang="en">
+      <head>
+        <title>${escapeHtml(run.name)} - notice letters</title>
+        <style>
+          body { font-family: Georgia, serif; color: #222; margin: 0; }
+          .letter { padding: 64px 72px; page-break-after: always; line-height: 1.6; }
+          .letter:last-child { page-break-after: auto; }
+          h1 { font-size: 18px; color: #0D47A1; margin: 0 0 32px; }
+          h2 { font-size: 16px; margin: 24px 0; }
+        </style>
+      </head>
+      <body>
+        ${letters.map((letter, index) => `
+          <div class="letter">
+            <h1>Northern Facilities Group</h1>
+            <p>${escapeHtml(new Date().toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' }))}</p>
+            <p>${escapeHtml(items[index].site_name || '')}</p>
+            <h2>${escapeHtml(letter.subject)}</h2>
+            ${letter.paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('')}
+            <p>Sincerely,<br>The Northern Facilities Group Team</p>
+          </div>
+        `).join('')}
+      </body>
+      </html>
+    `);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  } catch (error) {
+    console.error('[Price Escalation] Error printing letters:', error);
+    toast.error('Failed to prepare the letters', 'Error');
+  }
+}
+
+async function renderEscalationRuns() {
+  const list = document.getElementById('escalation-runs');
+  if (!list) return;
+
+  const runs = await escalationService.listEscalations();
+  if (runs.length === 0) {
+    list.innerHTML = '<p class="text-sm text-gray-500 dark:text-gray-400">No escalations yet.</p>';
+    return;
+  }
+
+  const statusClasses = {
+    [ESCALATION_STATUSES.scheduled]: 'bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-400',
+    [ESCALATION_STATUSES.applied]: 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-400',
+    [ESCALATION_STATUSES.cancelled]: 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300'
+  };
+
+  list.innerHTML = runs.map(run => `
+    <div class="flex flex-col md:flex-row md:items-center justify-between gap-3 p-3 border border-nfgray dark:border-gray-700 rounded-lg">
+      <div class="min-w-0">
+        <div class="flex items-center gap-2">
+          <span class="font-medium text-gray-900 dark:text-gray-100">${escapeHtml(run.name)}</span>
+          <span class="px-2 py-0.5 text-xs font-medium rounded-lg ${statusClasses[run.status] || ''}">${escapeHtml(run.status)}</span>
+        </div>
+        <p class="text-xs text-gray-500 dark:text-gray-400 mt-1">
+          ${run.method === ESCALATION_METHODS.cpi ? 'CPI' : 'Flat'} ${Number(run.rate_pct)}% from ${formatDate(run.effective_date)}
+          &middot; ${run.agreement_count} agreement${run.agreement_count === 1 ? '' : 's'}
+          &middot; ${formatMoney(run.old_monthly_total)} &rarr; ${formatMoney(run.new_monthly_total)}/mo
+        </p>
+      </div>
+      <div class="flex gap-2 flex-shrink-0">
+        ${run.status === ESCALATION_STATUSES.scheduled ? `
+          <button type="button" class="escalation-send-btn px-3 py-1.5 bg-nfgblue hover:bg-nfgdark text-white rounded-lg text-sm font-medium" data-id="${run.id}">Send Notices</button>
+        ` : ''}
+        <button type="button" class="escalation-print-btn px-3 py-1.5 border border-nfgray dark:border-gray-600 hover:bg-nfglight dark:hover:bg-gray-700 rounded-lg text-sm font-medium" data-id="${run.id}">Letters</button>
+        ${run.status === ESCALATION_STATUSES.scheduled ? `
+          <button type="button" class="escalation-cancel-btn px-3 py-1.5 border border-red-300 text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg text-sm font-medium" data-id="${run.id}">Cancel</button>
+        ` : ''}
+      </div>
+    </div>
+  `).join('');
+
+  const runById = new Map(runs.map(run => [run.id, run]));
+
+  list.querySelectorAll('.escalation-send-btn').forEach(btn => {
+    btn.addEventListener('click', () => sendNotices(/** @type {HTMLElement} */ (btn).dataset.id));
+  });
+
+  list.querySelectorAll('.escalation-print-btn').forEach(btn => {
+    btn.addEventListener('click', () => printLetters(runById.get(/** @type {HTMLElement} */ (btn).dataset.id)));
+  });
+
+  list.querySelectorAll('.escalation-cancel-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const run = runById.get(/** @type {HTMLElement} */ (btn).dataset.id);
+      const confirmed = await showConfirm(`Cancel "${run.name}"? Prices stay as they are. Clients who were already notified are not told automatically.`, 'Cancel Escalation');
+      if (!confirmed) return;
+      try {
+        await escalationService.cancelEscalation(run.id);
+        toast.success('Escalation cancelled', 'Cancelled');
+        scheduledAgreementIds = await escalationService.loadScheduledAgreementIds();
+        await renderEscalationRuns();
+      } catch (error) {
+        console.error('[Price Escalation] Error cancelling escalation:', error);
+        toast.error(error.message || 'Failed to cancel the escalation', 'Error');
+      }
+    });
+  });
+}
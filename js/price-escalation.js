@@ -0,0 +1,161 @@
+/**
+ * Price Escalation
+ * Annual price increases (CPI or a flat %) across active service agreements:
+ * selecting the contracts, previewing old vs new prices and wording the client notice
+ */
+
+export const ESCALATION_METHODS = Object.freeze({
+  cpi: 'cpi',
+  flat: 'flat'
+});
+
+export const ESCALATION_STATUSES = Object.freeze({
+  scheduled: 'scheduled',
+  applied: 'applied',
+  cancelled: 'cancelled'
+});
+
+// Clients must hear about an increase at least this many days before it takes effect
+export const DEFAULT_NOTICE_DAYS = 30;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Check an escalation before it is scheduled
+ * @param {Object} escalation - { method, rate_pct, effective_date }
+ * @param {Object} [options]
+ * @param {number} [options.noticeDays] - Minimum days between today and the effective date
+ * @param {Date} [options.now]
+ * @returns {Array<string>} Problems, empty when the escalation is valid
+ */
+export function validateEscalation(escalation, { noticeDays = DEFAULT_NOTICE_DAYS, now = new Date() } = {}) {
+  const errors = [];
+  const rate = Number(escalation?.rate_pct);
+
+  if (!Object.values(ESCALATION_METHODS).includes(escalation?.method)) {
+    errors.push('Choose CPI or a flat percentage');
+  }
+  if (!(rate > 0)) {
+    errors.push('Enter an increase above 0%');
+  } else if (rate > 25) {
+    errors.push('An annual increase cannot be more than 25%');
+  }
+
+  if (!escalation?.effective_date) {
+    errors.push('Choose the date the new prices take effect');
+  } else {
+    const earliest = new Date(now);
+    earliest.setDate(earliest.getDate() + noticeDays);
+    if (String(escalation.effective_date) < toDateString(earliest)) {
+      errors.push(`The effective date must be at least ${noticeDays} days away so clients get notice`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * New price after an increase, rounded to the cent
+ * @param {number} price - Current price
+ * @param {number} ratePct - Increase in percent (2.5 = 2.5%)
+ * @returns {number}
+ */
+export function escalatePrice(price, ratePct) {
+  const current = Number(price) || 0;
+  return roundMoney(current * (1 + (Number(ratePct) || 0) / 100));
+}
+
+/**
+ * Agreements an escalation applies to
+ * Only active agreements qualify, and never one that already has an increase scheduled.
+ * Empty filters match everything.
+ * @param {Array<Object>} agreements - service_agreements rows (with client_id from the site)
+ * @param {Object} [filters]
+ * @param {Array<string>} [filters.serviceTypes]
+ * @param {Array<number|string>} [filters.siteIds]
+ * @param {Array<string>} [filters.clientIds] - Client accounts that own the sites
+ * @param {Set<string>} [scheduledAgreementIds] - Agreements with an escalation already scheduled
+ * @returns {Array<Object>}
+ */
+export function selectAgreements(agreements, filters = {}, scheduledAgreementIds = new Set()) {
+  const serviceTypes = filters.serviceTypes || [];
+  const siteIds = (filters.siteIds || []).map(String);
+  const clientIds = filters.clientIds || [];
+
+  return (agreements || []).filter(agreement =>
+    agreement.status === 'active' &&
+    Number(agreement.monthly_price) > 0 &&
+    !scheduledAgreementIds.has(agreement.id) &&
+    (serviceTypes.length === 0 || serviceTypes.includes(agreement.service_type)) &&
+    (siteIds.length === 0 || siteIds.includes(String(agreement.site_id))) &&
+    (clientIds.length === 0 || clientIds.includes(agreement.client_id))
+  );
+}
+
+/**
+ * Old vs new prices for each selected agreement
+ * @param {Array<Object>} agreements - selectAgreements() result
+ * @param {Object} escalation - { rate_pct }
+ * @returns {{ rows: Array<Object>, old_monthly_total: number, new_monthly_total: number, monthly_increase: number }}
+ */
+export function buildEscalationPreview(agreements, escalation) {
+  const rows = (agreements || []).map(agreement => {
+    const oldMonthly = roundMoney(Number(agreement.monthly_price) || 0);
+    const newMonthly = escalatePrice(oldMonthly, escalation.rate_pct);
+    const frequency = Number(agreement.frequency_per_month) || 0;
+    const oldPerVisit = agreement.per_visit_price === null || agreement.per_visit_price === undefined
+      ? null
+      : roundMoney(Number(agreement.per_visit_price));
+
+    return {
+      service_agreement_id: agreement.id,
+      site_id: agreement.site_id,
+      site_name: agreement.site_name || null,
+      service_type: agreement.service_type || null,
+      old_monthly_price: oldMonthly,
+      new_monthly_price: newMonthly,
+      old_per_visit_price: oldPerVisit,
+      new_per_visit_price: frequency > 0
+        ? roundMoney(newMonthly / frequency)
+        : oldPerVisit === null ? null : escalatePrice(oldPerVisit, escalation.rate_pct),
+      monthly_increase: roundMoney(newMonthly - oldMonthly)
+    };
+  });
+
+  const oldTotal = roundMoney(rows.reduce((sum, row) => sum + row.old_monthly_price, 0));
+  const newTotal = roundMoney(rows.reduce((sum, row) => sum + row.new_monthly_price, 0));
+  return {
+    rows,
+    old_monthly_total: oldTotal,
+    new_monthly_total: newTotal,
+    monthly_increase: roundMoney(newTotal - oldTotal)
+  };
+}
+
+/**
+ * Client notice for one agreement, as plain paragraphs (rendered as a letter or an email)
+ * @param {Object} row - buildEscalationPreview() row (or a price_escalation_items row with site_name)
+ * @param {Object} escalation - { method, rate_pct, effective_date }
+ * @returns {{ subject: string, paragraphs: Array<string> }}
+ */
+export function buildNoticeLetter(row, escalation) {
+  const money = (amount) => `$${Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  const effective = new Date(`${escalation.effective_date}T00:00:00`).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+  const site = row.site_name ? ` at ${row.site_name}` : '';
+  const basis = escalation.method === ESCALATION_METHODS.cpi
+    ? `in line with the Consumer Price Index (${Number(escalation.rate_pct)}%)`
+    : `by ${Number(escalation.rate_pct)}%`;
+
+  return {
+    subject: `Notice of price adjustment effective ${effective}`,
+    paragraphs: [
+      `Thank you for trusting Northern Facilities Group with the cleaning${site}.`,
+      `To keep up with rising labour and supply costs, our rates are adjusting ${basis}. Starting ${effective}, your monthly service price will change from ${money(row.old_monthly_price)} to ${money(row.new_monthly_price)} plus applicable tax.`,
+      'Your service schedule and scope stay exactly the same. No action is needed on your part.',
+      'If you have any questions, just reply to this email or call your account manager.'
+    ]
+  };
+}
@@ -0,0 +1,186 @@
+/**
+ * Quote Pricebooks - Settings UI
+ * List versions, edit drafts, validate bands/multipliers, publish
+ */
+import { supabase } from './supabase.js'
+import { toast } from './notifications.js'
+import { escapeHtml } from './escape-html.js'
+import { serializePricebookConfig, hydratePricebookConfig, validatePricebookConfig } from './quote-engine/pricebook.js'
+import {
+  listPricebookVersions,
+  getPricebookVersion,
+  createPricebookDraft,
+  updatePricebookDraft,
+  publishPricebook
+} from './services/pricebook-service.js'
+
+let versions = []
+let selectedPricebook = null
+
+export async function initPricebookEditor() {
+  const section = document.getElementById('quote-pricebooks-section')
+  if (!section) return
+
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user) return
+
+  const { data: profile } = await supabase.from('user_profiles').select('role').eq('id', user.id).single()
+  if (profile?.role !== 'admin' && profile?.role !== 'super_admin') {
+    section.classList.add('hidden')
+    return
+  }
+
+  setupButtons()
+  await loadVersions()
+  if (window.lucide) window.lucide.createIcons()
+}
+
+async function loadVersions(versionToSelect = null) {
+  const list = document.getElementById('pricebook-versions-list')
+  if (!list) return
+
+  try {
+    versions = await listPricebookVersions()
+  } catch (error) {
+    list.innerHTML = `<p class="text-sm text-red-500">Failed to load: ${escapeHtml(error.message)}</p>`
+    return
+  }
+
+  if (!versions.length) {
+    list.innerHTML = '<p class="text-sm text-gray-500 dark:text-gray-400">No pricebooks yet. Quotes use the built-in pricing (version 0).</p>'
+  } else {
+    list.innerHTML = versions.map(v => `
+      <button type="button" data-pricebook-version="${v.version}" class="w-full flex items-center justify-between p-3 border border-nfgray dark:border-gray-700 rounded-lg hover:bg-nfglight/50 dark:hover:bg-gray-700/30 text-left">
+        <div>
+          <span class="font-medium text-sm">Version ${v.version}</span>
+          ${v.notes ? `<span class="ml-2 text-xs text-gray-500 dark:text-gray-400">${escapeHtml(v.notes)}</span>` : ''}
+        </div>
+        <span class="text-xs px-2 py-0.5 rounded-full ${statusBadgeClass(v.status)}">${v.status}${v.published_at ? ` · ${new Date(v.published_at).toLocaleDateString()}` : ''}</span>
+      </button>
+    `).join('')
+
+    list.querySelectorAll('[data-pricebook-version]').forEach((/** @type {HTMLElement} */ btn) => {
+      btn.addEventListener('click', () => selectVersion(parseInt(btn.dataset.pricebookVersion)))
+    })
+  }
+
+  const toSelect = versionToSelect ?? versions[0]?.version
+  if (toSelect !== undefined) await selectVersion(toSelect)
+}
+
+async function selectVersion(version) {
+  try {
+    selectedPricebook = await getPricebookVersion(version)
+  } catch (error) {
+    toast.error(`Failed to load version ${version}: ${error.message}`)
+    return
+  }
+
+  const editor = /** @type {HTMLTextAreaElement|null} */ (document.getElementById('pricebook-config-editor'))
+  const title = document.getElementById('pricebook-editor-title')
+  const isDraft = selectedPricebook.status === 'draft'
+
+  if (title) title.textContent = `Version ${selectedPricebook.version} (${selectedPricebook.status})`
+  if (editor) {
+    editor.value = JSON.stringify(serializePricebookConfig(selectedPricebook.config), null, 2)
+    editor.readOnly = !isDraft
+  }
+  document.getElementById('pricebook-editor')?.classList.remove('hidden')
+  document.getElementById('pricebook-save-btn')?.classList.toggle('hidden', !isDraft)
+  document.getElementById('pricebook-publish-btn')?.classList.toggle('hidden', !isDraft)
+  renderValidation(null)
+}
+
+/**
+ * Parse the editor contents into a hydrated config
+ * @returns {Object|null} Config, or null if the JSON is invalid
+ */
+function readEditorConfig() {
+  const editor = /** @type {HTMLTextAreaElement|null} */ (document.getElementById('pricebook-config-editor'))
+  if (!editor) return null
+  try {
+    return hydratePricebookConfig(JSON.parse(editor.value))
+  } catch (error) {
+    renderValidation([`Invalid JSON: ${error.message}`])
+    return null
+  }
+}
+
+function renderValidation(errors) {
+  const box = document.getElementById('pricebook-validation')
+  if (!box) return
+
+  if (errors === null) {
+    box.innerHTML = ''
+    return
+  }
+  if (!errors.length) {
+    box.innerHTML = '<p class="text-sm text-green-600 dark:text-green-400">Bands and multipliers look good.</p>'
+    return
+  }
+  box.innerHTML = `
+    <ul class="text-sm text-red-600 dark:text-red-400 list-disc pl-5 space-y-1">
+      ${errors.map(e => `<li>${escapeHtml(e)}</li>`).join('')}
+    </ul>
+  `
+}
+
+function setupButtons() {
+  document.getElementById('pricebook-new-draft-btn')?.addEventListener('click', async () => {
+    try {
+      const draft = await createPricebookDraft({ baseVersion: selectedPricebook?.version })
+      toast.success(`Draft version ${draft.version} created`)
+      await loadVersions(draft.version)
+    } catch (error) {
+      toast.error(error.message || 'Failed to create draft')
+    }
+  })
+
+  document.getElementById('pricebook-validate-btn')?.addEventListener('click', () => {
+    const config = readEditorConfig()
+    if (!config) return
+    renderValidation(validatePricebookConfig(config).errors)
+  })
+
+  document.getElementById('pricebook-save-btn')?.addEventListener('click', async () => {
+    if (!selectedPricebook) return
+    const config = readEditorConfig()
+    if (!config) return
+    try {
+      await updatePricebookDraft(selectedPricebook.id, { config })
+      toast.success('Draft saved')
+      renderValidation(validatePricebookConfig(config).errors)
+    } catch (error) {
+      toast.error(error.message || 'Failed to save draft')
+    }
+  })
+
+  document.getElementById('pricebook-publish-btn')?.addEventListener('click', async () => {
+    if (!selectedPricebook) return
+    const config = readEditorConfig()
+    if (!config) return
+
+    const { valid, errors } = validatePricebookConfig(config)
+    renderValidation(errors)
+    if (!valid) {
+      toast.error('Fix validation errors before publishing')
+      return
+    }
+
+    try {
+      await updatePricebookDraft(selectedPricebook.id, { config })
+      const published = await publishPricebook(selectedPricebook.id)
+      toast.success(`Version ${published.version} published. New quotes will use it.`)
+      await loadVersions(published.version)
+    } catch (error) {
+      if (error.validationErrors) renderValidation(error.validationErrors)
+      toast.error(error.message || 'Failed to publish pricebook')
+    }
+  })
+}
+
+function statusBadgeClass(status) {
+  if (status === 'published') return 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400'
+  if (status === 'draft') return 'bg-yellow-100 text-yellow-700 dark:bg-yellow-900/30 dark:text-yellow-400'
+  return 'bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300'
+}
@@ -0,0 +1,192 @@
+/**
+ * Pricing Simulator - Settings UI
+ * Compare two pricebook versions across a CSV of quote inputs or every active contract
+ */
+import { supabase } from './supabase.js'
+import { toast } from './notifications.js'
+import { escapeHtml } from './escape-html.js'
+import { parseScenarioCsv, simulatePricing, simulationToCsv } from './quote-engine/simulator.js'
+import { listPricebookVersions, getPricebookVersion, loadActiveContractScenarios } from './services/pricebook-service.js'
+
+let lastRows = []
+
+export async function initPricingSimulator() {
+  const block = document.getElementById('pricing-simulator')
+  if (!block) return
+
+  const { data: { user } } = await supabase.auth.getUser()
+  if (!user) return
+
+  const { data: profile } = await supabase.from('user_profiles').select('role').eq('id', user.id).single()
+  if (profile?.role !== 'admin' && profile?.role !== 'super_admin') {
+    block.classList.add('hidden')
+    return
+  }
+
+  setupControls()
+  await loadVersionOptions()
+}
+
+/**
+ * Fill both version pickers, keeping the current selections (drafts created in the editor show up on refresh)
+ */
+async function loadVersionOptions() {
+  const baseSelect = /** @type {HTMLSelectElement|null} */ (document.getElementById('simulator-base-version'))
+  const compareSelect = /** @type {HTMLSelectElement|null} */ (document.getElementById('simulator-compare-version'))
+  if (!baseSelect || !compareSelect) return
+
+  let versions = []
+  try {
+    versions = await listPricebookVersions()
+  } catch (error) {
+    toast.error(`Failed to load pricebook versions: ${error.message}`)
+    return
+  }
+
+  const options = [
+    ...versions.map(v => `<option value="${v.version}">Version ${v.version} (${escapeHtml(v.status)})</option>`),
+    '<option value="0">Version 0 (built-in)</option>'
+  ].join('')
+  const published = versions.find(v => v.status === 'published')
+
+  const previousBase = baseSelect.value
+  const previousCompare = compareSelect.value
+  baseSelect.innerHTML = options
+  compareSelect.innerHTML = options
+  baseSelect.value = previousBase || String(published?.version ?? 0)
+  compareSelect.value = previousCompare || String(versions[0]?.version ?? 0)
+}
+
+function setupControls() {
+  const source = /** @type {HTMLSelectElement|null} */ (document.getElementById('simulator-source'))
+  source?.addEventListener('change', () => {
+    document.getElementById('simulator-csv-row')?.classList.toggle('hidden', source.value !== 'csv')
+  })
+
+  document.getElementById('simulator-base-version')?.addEventListener('focus', loadVersionOptions)
+  document.getElementById('simulator-compare-version')?.addEventListener('focus', loadVersionOptions)
+  document.getElementById('simulator-run-btn')?.addEventListener('click', runSimulation)
+  document.getElementById('simulator-download-btn')?.addEventListener('click', downloadResults)
+}
+
+async function loadScenarios() {
+  const source = /** @type {HTMLSelectElement} */ (document.getElementById('simulator-source')).value
+  if (source === 'contracts') return loadActiveContractScenarios()
+
+  const input = /** @type {HTMLInputElement} */ (document.getElementById('simulator-csv-file'))
+  const file = input?.files?.[0]
+  if (!file) throw new Error('Choose a CSV file first')
+  return { scenarios: parseScenarioCsv(await file.text()), skipped: 0 }
+}
+
+async function runSimulation() {
+  const runBtn = /** @type {HTMLButtonElement} */ (document.getElementById('simulator-run-btn'))
+  const baseVersion = parseInt(/** @type {HTMLSelectElement} */ (document.getElementById('simulator-base-version')).value)
+  const compareVersion = parseInt(/** @type {HTMLSelectElement} */ (document.getElementById('simulator-compare-version')).value)
+
+  runBtn.disabled = true
+  runBtn.textContent = 'Running...'
+  try {
+    const [{ scenarios, skipped }, base, compare] = await Promise.all([
+      loadScenarios(),
+      getPricebookVersion(baseVersion),
+      getPricebookVersion(compareVersion)
+    ])
+    if (!scenarios.length) {
+      toast.info('No scenarios to simulate')
+      return
+    }
+
+    const { rows, summary } = simulatePricing(scenarios, base, compare)
+    lastRows = rows
+    renderResults(rows, summary, skipped)
+    document.getElementById('simulator-download-btn')?.classList.remove('hidden')
+  } catch (error) {
+    toast.error(error.message || 'Simulation failed')
+  } finally {
+    runBtn.disabled = false
+    runBtn.textContent = 'Run simulation'
+  }
+}
+
+const money = (amount) => amount === null
+  ? '—'
+  : `${amount < 0 ? '-' : ''}$${Math.abs(amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+const pct = (ratio) => ratio === null ? '—' : `${(ratio * 100).toFixed(1)}%`
+
+function renderResults(rows, summary, skipped) {
+  const box = document.getElementById('simulator-results')
+  if (!box) return
+
+  const stat = (label, value, detail = '') => `
+    <div class="p-3 border border-nfgray dark:border-gray-700 rounded-lg">
+      <div class="text-xs text-gray-500 dark:text-gray-400">${label}</div>
+      <div class="text-lg font-semibold">${value}</div>
+      ${detail ? `<div class="text-xs text-gray-500 dark:text-gray-400">${detail}</div>` : ''}
+    </div>
+  `
+
+  box.innerHTML = `
+    <div class="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+      ${stat('Average change', money(summary.average_change), `${pct(summary.average_change_pct)} across ${summary.priced} priced`)}
+      ${stat('Monthly total', money(summary.compare_monthly_total), `from ${money(summary.base_monthly_total)}`)}
+      ${stat('Crossing walkthrough threshold', `+${summary.newly_walkthrough} / -${summary.no_longer_walkthrough}`, `${summary.walkthrough_base} → ${summary.walkthrough_compare} require walkthrough`)}
+      ${stat('Under minimum monthly', summary.below_minimum_compare, `${summary.newly_below_minimum} newly, was ${summary.below_minimum_base}`)}
+    </div>
+    <p class="text-xs text-gray-500 dark:text-gray-400 mb-2">
+      ${summary.scenarios} scenarios · ${summary.increased} up · ${summary.decreased} down · ${summary.unchanged} unchanged
+      ${summary.errors ? ` · <span class="text-red-600 dark:text-red-400">${summary.errors} errors</span>` : ''}
+      ${skipped ? ` · ${skipped} contracts skipped (no stored quote inputs)` : ''}
+    </p>
+    <div class="overflow-x-auto max-h-96 overflow-y-auto border border-nfgray dark:border-gray-700 rounded-lg">
+      <table class="w-full text-sm">
+        <thead class="bg-nfglight/50 dark:bg-gray-700/50 text-left sticky top-0">
+          <tr>
+            <th class="px-3 py-2">Scenario</th>
+            <th class="px-3 py-2 text-right">v${summary.base_version}</th>
+            <th class="px-3 py-2 text-right">v${summary.compare_version}</th>
+            <th class="px-3 py-2 text-right">Change</th>
+            <th class="px-3 py-2">Flags</th>
+          </tr>
+        </thead>
+        <tbody class="divide-y divide-nfgray dark:divide-gray-700">
+          ${rows.map(renderRow).join('')}
+        </tbody>
+      </table>
+    </div>
+  `
+}
+
+function renderRow(row) {
+  const cell = (result) => result.error
+    ? '<span class="text-red-600 dark:text-red-400">error</span>'
+    : result.monthly === null ? 'walkthrough' : money(result.monthly)
+  const flags = []
+  if (!row.base.walkthrough_required && row.compare.walkthrough_required) flags.push('now needs walkthrough')
+  if (row.base.walkthrough_required && !row.compare.walkthrough_required && !row.compare.error) flags.push('no longer needs walkthrough')
+  if (row.compare.below_minimum) flags.push('under minimum')
+  const error = row.base.error || row.compare.error
+  if (error) flags.push(error)
+  const changeClass = row.change > 0 ? 'text-green-600 dark:text-green-400' : row.change < 0 ? 'text-red-600 dark:text-red-400' : ''
+
+  return `
+    <tr>
+      <td class="px-3 py-2">${escapeHtml(row.label)}<div class="text-xs text-gray-500 dark:text-gray-400">${escapeHtml(row.service_type || '')}</div></td>
+      <td class="px-3 py-2 text-right">${cell(row.base)}</td>
+      <td class="px-3 py-2 text-right">${cell(row.compare)}</td>
+      <td class="px-3 py-2 text-right ${changeClass}">${row.change === null ? '—' : `${money(row.change)} (${pct(row.change_pct)})`}</td>
+      <td class="px-3 py-2 text-xs text-gray-600 dark:text-gray-300">${escapeHtml(flags.join(', '))}</td>
+    </tr>
+  `
+}
+
+function downloadResults() {
+  if (!lastRows.length) return
+  const blob = new Blob([simulationToCsv(lastRows)], { type: 'text/csv' })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = `pricing-simulation-${Date.now()}.csv`
+  link.click()
+  URL.revokeObjectURL(url)
+}
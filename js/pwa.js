@@ -286,9 +286,23 @@ window.addEventListener('offline', () => {
 
 // --- Service worker registration & push setup ---
 
+// The module worker (sw-module.js) can replay the offline queue with no window open. Browsers without
+// Background Sync, or that reject module workers (an unsupported `type` leaves the import a syntax error),
+// get the classic sw.js, which hands sync back to an open window.
+function registerServiceWorker() {
+  if (!('SyncManager' in window)) {
+    return navigator.serviceWorker.register('/sw.js');
+  }
+  return navigator.serviceWorker.register('/sw-module.js', { type: 'module' })
+    .catch((error) => {
+      console.warn('⚠️ Module service worker unavailable, falling back to classic worker:', error);
+      return navigator.serviceWorker.register('/sw.js');
+    });
+}
+
 if ('serviceWorker' in navigator) {
   window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js')
+    registerServiceWorker()
       .then(async (registration) => {
         console.log('✅ Service Worker registered:', registration.scope);
         serviceWorkerRegistration = registration;
@@ -0,0 +1,138 @@
+// Quote Approvals Panel
+// Approval queue for managers and admins on the Quotes tab, plus discount given per rep
+
+import * as quotesModule from './quotes.js';
+import { showConfirm, showPrompt } from './notifications.js';
+import { hasRole } from './rbac-service.js';
+import { escapeHtml } from './escape-html.js';
+import { DISCOUNT_REASONS } from './quote-engine/discounts.js';
+
+const formatMoney = (amount) => `$${Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const formatPct = (pct) => `${Math.round(Number(pct || 0) * 1000) / 10}%`;
+
+// Render the approval queue and discount report (hidden for reps)
+export async function renderQuoteApprovals() {
+  const panel = document.getElementById('quote-approvals-panel');
+  if (!panel) return;
+
+  try {
+    const [canApprove, isAdmin] = await Promise.all([
+      hasRole(['manager', 'admin', 'super_admin']),
+      hasRole(['admin', 'super_admin'])
+    ]);
+    if (!canApprove) {
+      panel.classList.add('hidden');
+      return;
+    }
+
+    const [queue, report] = await Promise.all([
+      quotesModule.loadApprovalQueue({ includeAdminLevel: isAdmin }),
+      quotesModule.loadDiscountReport()
+    ]);
+
+    panel.classList.remove('hidden');
+    renderQueue(queue);
+    renderDiscountReport(report);
+    if (window.lucide) window.lucide.createIcons();
+  } catch (error) {
+    console.error('[Quote Approvals] Error loading approvals:', error);
+    panel.classList.add('hidden');
+  }
+}
+
+function renderQueue(queue) {
+  const list = document.getElementById('quote-approvals-list');
+  const count = document.getElementById('quote-approvals-count');
+  if (!list) return;
+  if (count) count.textContent = String(queue.length);
+
+  if (queue.length === 0) {
+    list.innerHTML = '<p class="text-sm text-gray-500 dark:text-gray-400">Nothing waiting for approval.</p>';
+    return;
+  }
+
+  list.innerHTML = queue.map(revision => {
+    const reasons = (revision.approval_reasons || []).map(reason => quotesModule.APPROVAL_REASON_LABELS[reason] || reason);
+    const discountReason = revision.discount?.reason ? DISCOUNT_REASONS[revision.discount.reason] || revision.discount.reason : null;
+    const price = Number(revision.subtotal) || Number(revision.quote_calculation_outputs?.monthly_price_ex_hst) || 0;
+    return `
+      <div class="flex flex-col md:flex-row md:items-center justify-between gap-3 p-3 border border-nfgray dark:border-gray-700 rounded-lg">
+        <div class="min-w-0">
+          <button type="button" class="approval-open-quote font-medium text-nfgblue dark:text-blue-400 hover:underline" data-quote-id="${revision.quote_id}">
+            ${escapeHtml(revision.site_name || 'No Account')} &middot; Revision ${revision.revision_number}
+          </button>
+          <p class="text-xs text-gray-500 dark:text-gray-400 mt-1">
+            ${formatMoney(price)}/mo
+            ${Number(revision.discount_total) > 0 ? ` &middot; discount ${formatMoney(revision.discount_total)} (${formatPct(revision.discount_pct)})${discountReason ? `, ${escapeHtml(discountReason)}` : ''}` : ''}
+            ${revision.gross_margin_pct !== null && revision.gross_margin_pct !== undefined ? ` &middot; margin ${formatPct(revision.gross_margin_pct)}` : ''}
+          </p>
+          <p class="text-xs text-amber-600 dark:text-amber-400 mt-1">
+            ${escapeHtml(reasons.join(', '))}${revision.approval_role === 'admin' ? ' &middot; admin approval' : ''}
+            ${revision.requested_by_name ? ` &middot; requested by ${escapeHtml(revision.requested_by_name)}` : ''}
+          </p>
+        </div>
+        <div class="flex gap-2 flex-shrink-0">
+          <button type="button" class="approval-approve-btn px-3 py-1.5 bg-green-600 hover:bg-green-700 text-white rounded-lg text-sm font-medium" data-quote-id="${revision.quote_id}" data-revision-number="${revision.revision_number}">Approve</button>
+          <button type="button" class="approval-reject-btn px-3 py-1.5 border border-red-300 text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg text-sm font-medium" data-quote-id="${revision.quote_id}" data-revision-number="${revision.revision_number}">Reject</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  list.querySelectorAll('.approval-open-quote').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const quoteId = /** @type {HTMLElement} */ (btn).dataset.quoteId;
+      if (window.quoteDetail && typeof window.quoteDetail.openQuoteDetail === 'function') {
+        window.quoteDetail.openQuoteDetail(quoteId);
+      }
+    });
+  });
+
+  list.querySelectorAll('.approval-approve-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const { quoteId, revisionNumber } = /** @type {HTMLElement} */ (btn).dataset;
+      const confirmed = await showConfirm(`Approve revision ${revisionNumber} so it can be sent?`, 'Approve Quote');
+      if (!confirmed) return;
+      try {
+        await quotesModule.approveRevision(quoteId, Number(revisionNumber));
+        await renderQuoteApprovals();
+      } catch (error) {
+        console.error('[Quote Approvals] Error approving revision:', error);
+      }
+    });
+  });
+
+  list.querySelectorAll('.approval-reject-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const { quoteId, revisionNumber } = /** @type {HTMLElement} */ (btn).dataset;
+      const reason = await showPrompt('Why is this quote not approved? The rep will see this.', 'Reject Quote', '');
+      if (reason === null) return;
+      try {
+        await quotesModule.rejectRevision(quoteId, Number(revisionNumber), reason);
+        await renderQuoteApprovals();
+      } catch (error) {
+        console.error('[Quote Approvals] Error rejecting revision:', error);
+      }
+    });
+  });
+}
+
+function renderDiscountReport(report) {
+  const body = document.getElementById('discount-report-body');
+  if (!body) return;
+
+  if (report.length === 0) {
+    body.innerHTML = '<tr><td colspan="5" class="px-4 py-3 text-sm text-gray-500 dark:text-gray-400">No quotes sent in the last 90 days.</td></tr>';
+    return;
+  }
+
+  body.innerHTML = report.map(rep => `
+    <tr>
+      <td class="px-4 py-2 text-sm text-gray-900 dark:text-gray-100">${escapeHtml(rep.rep_name)}</td>
+      <td class="px-4 py-2 text-sm text-gray-500 dark:text-gray-400">${rep.discounted_quotes} / ${rep.quotes}</td>
+      <td class="px-4 py-2 text-sm text-gray-900 dark:text-gray-100">${formatMoney(rep.discount_total)}</td>
+      <td class="px-4 py-2 text-sm text-gray-500 dark:text-gray-400">${formatPct(rep.discount_pct)}</td>
+      <td class="px-4 py-2 text-sm text-gray-500 dark:text-gray-400">${formatPct(rep.max_discount_pct)}</td>
+    </tr>
+  `).join('');
+}
@@ -2,9 +2,32 @@
 // Handles loading and rendering quote details, revisions, events, and walkthrough status
 
 import * as quotesModule from './quotes.js';
-import { toast } from './notifications.js';
+import { toast, showConfirm, showPrompt } from './notifications.js';
+import { hasRole } from './rbac-service.js';
+import { escapeHtml } from './escape-html.js';
+import { resolveTaxJurisdiction, calculateTaxes, inferRegionFromAddress } from './tax-engine/calculator.js';
+import { diffRevisions, renderRevisionDiff } from './quote-revision-diff.js';
+import { DISCOUNT_REASONS } from './quote-engine/discounts.js';
+import {
+  getServiceAgreementForQuote,
+  provisionAcceptedQuote,
+  setReviewChecklistItem,
+  confirmFirstVisit
+} from './services/quote-provisioning-service.js';
+import { getAgreementPriceHistory } from './services/price-escalation-service.js';
 
 let currentQuote = null;
+let canApproveQuotes = false;
+let canApproveAdminQuotes = false; // Discounts above the admin threshold
+
+// Estimated tax for a site when the revision has no stored totals (company overrides not applied)
+function estimateSiteTax(site, subtotal) {
+  const location = site?.region ? site : (inferRegionFromAddress(site?.address) || {});
+  return calculateTaxes(subtotal, resolveTaxJurisdiction(location), {
+    exempt: site?.tax_exempt,
+    exempt_tax_codes: site?.tax_exempt_codes
+  }).total_tax;
+}
 
 // Open quote detail modal
 export async function openQuoteDetail(quoteId) {
@@ -19,7 +42,13 @@ export async function openQuoteDetail(quoteId) {
     modal.classList.remove('hidden');
     
     // Load quote detail
-    const quote = await quotesModule.loadQuoteDetail(quoteId);
+    const [quote, canApprove, isAdmin] = await Promise.all([
+      quotesModule.loadQuoteDetail(quoteId),
+      hasRole(['manager', 'admin', 'super_admin']),
+      hasRole(['admin', 'super_admin'])
+    ]);
+    canApproveQuotes = canApprove;
+    canApproveAdminQuotes = isAdmin;
     if (!quote) {
       toast.error('Failed to load quote details', 'Error');
       modal.classList.add('hidden');
@@ -110,7 +139,7 @@ function renderQuoteDetail(quote) {
           subtotal += (Number(item.unit_price) || 0) * (Number(item.quantity) || 0);
         }
       });
-      const tax = subtotal * 0.13; // 13% HST
+      const tax = estimateSiteTax(quote.account_id, subtotal);
       const calculatedTotal = subtotal + tax;
       if (calculatedTotal > 0) {
         totalAmount = `$${calculatedTotal.toLocaleString('en-US', { minimumFractionDigits: 2 })}`;
@@ -193,8 +222,12 @@ function renderQuoteDetail(quote) {
     if (walkthroughBlock) walkthroughBlock.classList.add('hidden');
   }
 
+  // Service setup (accepted quotes)
+  renderProvisioningBlock(quote);
+
   // Revisions list
   renderRevisions(quote);
+  renderRevisionComparison(quote);
 
   // Events timeline
   renderEvents(quote);
@@ -245,6 +278,7 @@ function renderWalkthroughBlock(quote) {
     
     const statusInfo = statusConfig[walkthrough.status] || statusConfig.scheduled;
     const scheduledDate = walkthrough.scheduled_at ? new Date(walkthrough.scheduled_at).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' }) : null;
+    const measured = walkthrough.measured_inputs;
     const scheduledTime = walkthrough.scheduled_at ? new Date(walkthrough.scheduled_at).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' }) : null;
 
     content.innerHTML = `
@@ -277,6 +311,19 @@ function renderWalkthroughBlock(quote) {
               </div>
             </div>
           ` : ''}
+          ${measured?.room_count ? `
+            <div class="flex items-center gap-3">
+              <i data-lucide="ruler" class="w-5 h-5 text-blue-600 dark:text-blue-400"></i>
+              <div>
+                <div class="text-sm text-gray-500 dark:text-gray-400">Measured</div>
+                <div class="font-medium text-gray-900 dark:text-gray-100">
+                  ${Number(measured.sqft).toLocaleString('en-US')} sq ft &middot; ${measured.room_count} room${measured.room_count === 1 ? '' : 's'} &middot;
+                  ${measured.washrooms} washroom${measured.washrooms === 1 ? '' : 's'}${measured.photo_count ? ` &middot; ${measured.photo_count} photo${measured.photo_count === 1 ? '' : 's'}` : ''}
+                </div>
+                ${(measured.access_notes || []).map(entry => `<div class="text-sm text-amber-700 dark:text-amber-400">${escapeHtml(entry.room)}: ${escapeHtml(entry.note)}</div>`).join('')}
+              </div>
+            </div>
+          ` : ''}
         </div>
       </div>
     `;
@@ -285,6 +332,10 @@ function renderWalkthroughBlock(quote) {
       actions.innerHTML = '';
       if (walkthrough.status === 'scheduled') {
         actions.innerHTML = `
+          <a href="./walkthrough.html?id=${encodeURIComponent(walkthrough.id)}" class="inline-flex items-center gap-2 px-5 py-2.5 bg-nfgblue hover:bg-nfgdark text-white rounded-lg font-medium transition shadow-md hover:shadow-lg">
+            <i data-lucide="clipboard-list" class="w-4 h-4"></i>
+            Start Walkthrough
+          </a>
           <button id="mark-walkthrough-completed-btn" class="inline-flex items-center gap-2 px-5 py-2.5 bg-green-600 hover:bg-green-700 text-white rounded-lg font-medium transition shadow-md hover:shadow-lg">
             <i data-lucide="check-circle" class="w-4 h-4"></i>
             Mark Completed
@@ -303,6 +354,153 @@ function renderWalkthroughBlock(quote) {
   }
 }
 
+// Render the service agreement and ops review checklist of an accepted quote
+async function renderProvisioningBlock(quote) {
+  const block = document.getElementById('quote-provisioning-block');
+  const content = document.getElementById('quote-provisioning-content');
+  if (!block || !content) return;
+
+  const acceptedRevision = quote.revisions?.find(rev => rev.accepted_at);
+  if (!acceptedRevision) {
+    block.classList.add('hidden');
+    return;
+  }
+  block.classList.remove('hidden');
+
+  let agreement = null;
+  try {
+    agreement = await getServiceAgreementForQuote(quote.id);
+  } catch (error) {
+    console.error('[Quote Detail] Error loading service agreement:', error);
+  }
+
+  if (!agreement) {
+    content.innerHTML = `
+      <div class="bg-white dark:bg-gray-800 rounded-lg p-4 border border-green-200 dark:border-green-800">
+        <p class="text-green-900 dark:text-green-100 font-medium">This quote has not been set up for service yet.</p>
+        <p class="text-sm text-green-700 dark:text-green-300 mt-1">Create the site, service agreement and recurring jobs from revision ${acceptedRevision.revision_number}.</p>
+        <button id="provision-quote-btn" class="mt-4 inline-flex items-center gap-2 px-5 py-2.5 bg-green-600 hover:bg-green-700 text-white rounded-lg font-medium transition shadow-md hover:shadow-lg">
+          <i data-lucide="calendar-plus" class="w-4 h-4"></i>
+          Set Up Service
+        </button>
+      </div>
+    `;
+    document.getElementById('provision-quote-btn')?.addEventListener('click', async () => {
+      try {
+        await provisionAcceptedQuote(quote.id, acceptedRevision.revision_number);
+        toast.success('Service agreement and recurring jobs created', 'Service Set Up');
+        await openQuoteDetail(quote.id);
+      } catch (error) {
+        console.error('[Quote Detail] Error provisioning quote:', error);
+        toast.error(error.message || 'Failed to set up service', 'Error');
+      }
+    });
+    if (window.lucide) window.lucide.createIcons();
+    return;
+  }
+
+  let priceHistory = [];
+  try {
+    priceHistory = await getAgreementPriceHistory(agreement.id);
+  } catch (error) {
+    console.error('[Quote Detail] Error loading price history:', error);
+  }
+
+  const formatDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  const formatPrice = (amount) => `$${Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2 })}`;
+  const patternLabels = { weekly: 'Weekly', biweekly: 'Every 2 weeks', monthly: 'Monthly' };
+  const schedule = agreement.recurrence_pattern === 'weekly' && agreement.visits_per_week > 1
+    ? `${agreement.visits_per_week} visits a week`
+    : patternLabels[agreement.recurrence_pattern] || agreement.recurrence_pattern;
+  const checklist = agreement.review_checklist || [];
+  const pendingReview = agreement.status === 'pending_review';
+  const allDone = checklist.every(item => item.done);
+
+  content.innerHTML = `
+    <div class="bg-white dark:bg-gray-800 rounded-lg p-5 border border-green-200 dark:border-green-800 space-y-4">
+      <div class="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+        <div>
+          <div class="text-gray-500 dark:text-gray-400">Schedule</div>
+          <div class="font-medium text-gray-900 dark:text-gray-100">${escapeHtml(schedule)}</div>
+        </div>
+        <div>
+          <div class="text-gray-500 dark:text-gray-400">Monthly price</div>
+          <div class="font-medium text-gray-900 dark:text-gray-100">${formatPrice(agreement.monthly_price)} + tax</div>
+        </div>
+        <div>
+          <div class="text-gray-500 dark:text-gray-400">Term</div>
+          <div class="font-medium text-gray-900 dark:text-gray-100">${formatDate(agreement.start_date)}${agreement.end_date ? ` &ndash; ${formatDate(agreement.end_date)}` : ' onward'}</div>
+        </div>
+        <div>
+          <div class="text-gray-500 dark:text-gray-400">Status</div>
+          <div class="font-medium ${pendingReview ? 'text-amber-600 dark:text-amber-400' : 'text-green-700 dark:text-green-400'}">${pendingReview ? 'Awaiting ops review' : agreement.status === 'active' ? 'Active' : 'Cancelled'}</div>
+        </div>
+      </div>
+      ${priceHistory.length > 1 ? `
+        <div class="text-sm text-gray-600 dark:text-gray-300">
+          Price history: ${priceHistory.map(entry => `${formatPrice(entry.monthly_price)} from ${escapeHtml(formatDate(entry.effective_date))}${entry.change_reason === 'escalation' ? ' (annual increase)' : ''}`).join(' &rarr; ')}
+        </div>
+      ` : ''}
+      ${agreement.jobs.length ? `
+        <div class="text-sm text-gray-600 dark:text-gray-300">
+          First visit${agreement.jobs.length > 1 ? 's' : ''}: ${agreement.jobs.map(job => escapeHtml(formatDate(job.scheduled_date))).join(', ')}
+        </div>
+      ` : ''}
+      ${pendingReview ? `
+        <div>
+          <div class="text-sm font-semibold text-gray-900 dark:text-gray-100 mb-2">Review before the first visit</div>
+          <div class="space-y-2">
+            ${checklist.map(item => `
+              <label class="flex items-center gap-3 text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+                <input type="checkbox" class="provisioning-checklist-item w-4 h-4 rounded text-green-600" data-key="${escapeHtml(item.key)}" ${item.done ? 'checked' : ''}>
+                ${escapeHtml(item.label)}
+              </label>
+            `).join('')}
+          </div>
+          <button id="confirm-first-visit-btn" class="mt-4 inline-flex items-center gap-2 px-5 py-2.5 bg-green-600 hover:bg-green-700 text-white rounded-lg font-medium transition shadow-md hover:shadow-lg disabled:opacity-50 disabled:cursor-not-allowed" ${allDone ? '' : 'disabled'}>
+            <i data-lucide="check-circle" class="w-4 h-4"></i>
+            Confirm First Visit
+          </button>
+        </div>
+      ` : agreement.first_visit_confirmed_at ? `
+        <div class="text-sm text-green-700 dark:text-green-400">
+          First visit confirmed on ${new Date(agreement.first_visit_confirmed_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
+        </div>
+      ` : ''}
+    </div>
+  `;
+
+  content.querySelectorAll('.provisioning-checklist-item').forEach(checkbox => {
+    checkbox.addEventListener('change', async () => {
+      const input = /** @type {HTMLInputElement} */ (checkbox);
+      try {
+        agreement.review_checklist = await setReviewChecklistItem(agreement, input.dataset.key, input.checked);
+        const confirmBtn = /** @type {HTMLButtonElement} */ (document.getElementById('confirm-first-visit-btn'));
+        if (confirmBtn) confirmBtn.disabled = !agreement.review_checklist.every(item => item.done);
+      } catch (error) {
+        console.error('[Quote Detail] Error updating review checklist:', error);
+        toast.error('Failed to update checklist', 'Error');
+        input.checked = !input.checked;
+      }
+    });
+  });
+
+  document.getElementById('confirm-first-visit-btn')?.addEventListener('click', async () => {
+    const confirmed = await showConfirm('Confirm the first visit? The recurring jobs will be released to the assigned cleaner.', 'Confirm First Visit');
+    if (!confirmed) return;
+    try {
+      await confirmFirstVisit(agreement);
+      toast.success('First visit confirmed', 'Service Active');
+      await openQuoteDetail(quote.id);
+    } catch (error) {
+      console.error('[Quote Detail] Error confirming first visit:', error);
+      toast.error(error.message || 'Failed to confirm first visit', 'Error');
+    }
+  });
+
+  if (window.lucide) window.lucide.createIcons();
+}
+
 // Render revisions
 function renderRevisions(quote) {
   const container = document.getElementById('quote-revisions-list');
@@ -325,6 +523,8 @@ function renderRevisions(quote) {
     const typeIcon = rev.revision_type === 'walkthrough_proposal' ? 'calendar' : 'file-check';
     const isLatest = index === 0;
     const total = rev.total ? Number(rev.total).toLocaleString('en-US', { minimumFractionDigits: 2 }) : null;
+    const isExpired = rev.sent_at && !rev.accepted_at && !rev.declined_at &&
+      (rev.expired_at || (rev.expires_at && new Date(rev.expires_at) < new Date()));
     
     return `
       <div class="relative bg-white dark:bg-gray-800 rounded-xl border-2 ${isLatest ? 'border-nfgblue dark:border-blue-500 shadow-lg' : 'border-gray-200 dark:border-gray-700'} p-5 hover:shadow-md transition-all">
@@ -363,22 +563,41 @@ function renderRevisions(quote) {
             ${rev.accepted_at ? `
               <div class="mt-3 inline-flex items-center gap-2 px-3 py-1.5 bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-400 rounded-lg text-sm font-medium">
                 <i data-lucide="check-circle" class="w-4 h-4"></i>
-                Accepted on ${new Date(rev.accepted_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
+                ${rev.signature_id ? 'Signed' : 'Accepted'} on ${new Date(rev.accepted_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}${rev.accepted_by_name ? ` by ${escapeHtml(rev.accepted_by_name)}` : ''}${rev.selected_tier ? ` (${escapeHtml((rev.tier_options || []).find(tier => tier.key === rev.selected_tier)?.name || rev.selected_tier)} package)` : ''}
               </div>
             ` : rev.declined_at ? `
               <div class="mt-3 inline-flex items-center gap-2 px-3 py-1.5 bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-400 rounded-lg text-sm font-medium">
                 <i data-lucide="x-circle" class="w-4 h-4"></i>
                 Declined on ${new Date(rev.declined_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
               </div>
+            ` : isExpired ? `
+              <div class="mt-3 inline-flex items-center gap-2 px-3 py-1.5 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg text-sm font-medium">
+                <i data-lucide="clock" class="w-4 h-4"></i>
+                Expired${rev.reissued_as_revision ? `, re-issued as revision ${rev.reissued_as_revision}` : ' without a response'}
+              </div>
+            ` : ''}
+            ${rev.reissued_from_revision ? `
+              <div class="mt-2 text-sm text-gray-500 dark:text-gray-400">Re-issued from expired revision ${rev.reissued_from_revision}</div>
             ` : ''}
-            ${rev.public_token ? `
-              <div class="mt-3">
+            ${renderRevisionGuardrail(rev)}
+            <div class="mt-3 flex flex-wrap items-center gap-4">
+              ${rev.public_token ? `
                 <a href="quote.html?token=${rev.public_token}" target="_blank" class="inline-flex items-center gap-2 text-sm text-nfgblue hover:text-nfgdark dark:text-blue-400 dark:hover:text-blue-300 font-medium">
                   <i data-lucide="external-link" class="w-4 h-4"></i>
                   View Public Link
                 </a>
-              </div>
-            ` : ''}
+              ` : ''}
+              <button type="button" class="revision-pdf-btn inline-flex items-center gap-2 text-sm text-nfgblue hover:text-nfgdark dark:text-blue-400 dark:hover:text-blue-300 font-medium" data-revision-number="${rev.revision_number}">
+                <i data-lucide="file-down" class="w-4 h-4"></i>
+                ${rev.sent_at ? 'Download PDF' : 'Preview PDF'}
+              </button>
+              ${isExpired && !rev.reissued_as_revision ? `
+                <button type="button" class="revision-reissue-btn inline-flex items-center gap-2 text-sm text-nfgblue hover:text-nfgdark dark:text-blue-400 dark:hover:text-blue-300 font-medium" data-revision-number="${rev.revision_number}">
+                  <i data-lucide="refresh-cw" class="w-4 h-4"></i>
+                  Re-issue at Current Pricing
+                </button>
+              ` : ''}
+            </div>
           </div>
           ${total ? `
             <div class="text-right">
@@ -392,6 +611,188 @@ function renderRevisions(quote) {
       </div>
     `;
   }).join('');
+
+  container.querySelectorAll('.revision-approve-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const revisionNumber = Number(/** @type {HTMLElement} */ (btn).dataset.revisionNumber);
+      const confirmed = await showConfirm(`Approve revision ${revisionNumber} so it can be sent?`, 'Approve Quote');
+      if (!confirmed) return;
+      try {
+        await quotesModule.approveRevision(quote.id, revisionNumber);
+        await openQuoteDetail(quote.id);
+      } catch (error) {
+        console.error('[Quote Detail] Error approving revision:', error);
+      }
+    });
+  });
+
+  container.querySelectorAll('.revision-reject-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const revisionNumber = Number(/** @type {HTMLElement} */ (btn).dataset.revisionNumber);
+      const reason = await showPrompt('Why is this quote not approved? The rep will see this.', 'Reject Quote', '');
+      if (reason === null) return;
+      try {
+        await quotesModule.rejectRevision(quote.id, revisionNumber, reason);
+        await openQuoteDetail(quote.id);
+      } catch (error) {
+        console.error('[Quote Detail] Error rejecting revision:', error);
+      }
+    });
+  });
+
+  container.querySelectorAll('.revision-reissue-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const button = /** @type {HTMLButtonElement} */ (btn);
+      const revisionNumber = Number(button.dataset.revisionNumber);
+      const confirmed = await showConfirm(
+        `Create a new revision from revision ${revisionNumber}, re-priced against the current pricebook, and send it to the same recipients?`,
+        'Re-issue Quote'
+      );
+      if (!confirmed) return;
+      button.disabled = true;
+      try {
+        await quotesModule.reissueExpiredRevision(quote.id, revisionNumber);
+        await openQuoteDetail(quote.id);
+      } catch (error) {
+        console.error('[Quote Detail] Error re-issuing revision:', error);
+        button.disabled = false;
+      }
+    });
+  });
+
+  container.querySelectorAll('.revision-pdf-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const button = /** @type {HTMLButtonElement} */ (btn);
+      button.disabled = true;
+      try {
+        const pdf = await quotesModule.getRevisionPDF(quote.id, Number(button.dataset.revisionNumber));
+        window.open(pdf.url, '_blank');
+      } catch (error) {
+        console.error('[Quote Detail] Error opening PDF:', error);
+      } finally {
+        button.disabled = false;
+      }
+    });
+  });
+}
+
+// Labor estimate, gross margin and manager approval state of a revision (staff only)
+function renderRevisionGuardrail(rev) {
+  const labor = rev.labor_estimate;
+  const parts = [];
+
+  if (labor) {
+    const marginPct = rev.gross_margin_pct !== null && rev.gross_margin_pct !== undefined
+      ? `${Math.round(Number(rev.gross_margin_pct) * 1000) / 10}%`
+      : null;
+    const marginClass = rev.margin_status && rev.margin_status !== 'ok'
+      ? 'text-red-600 dark:text-red-400 font-medium'
+      : 'text-gray-700 dark:text-gray-300';
+    parts.push(`
+      <div class="mt-3 flex flex-wrap items-center gap-x-4 gap-y-1 text-sm text-gray-500 dark:text-gray-400">
+        ${marginPct ? `<span>Est. margin <span class="${marginClass}">${marginPct}</span></span>` : ''}
+        <span>Crew ${labor.crew_size} &middot; ${labor.time_on_site_hours} h on site</span>
+        <span>${labor.labor_hours_per_month} labor h/mo</span>
+      </div>
+    `);
+  }
+
+  if (Number(rev.discount_total) > 0) {
+    const reason = rev.discount?.reason ? DISCOUNT_REASONS[rev.discount.reason] || rev.discount.reason : null;
+    parts.push(`
+      <div class="mt-2 flex flex-wrap items-center gap-x-4 gap-y-1 text-sm text-gray-500 dark:text-gray-400">
+        <span>Discount <span class="text-gray-700 dark:text-gray-300 font-medium">$${Number(rev.discount_total).toLocaleString('en-US', { minimumFractionDigits: 2 })} (${Math.round(Number(rev.discount_pct) * 1000) / 10}%)</span></span>
+        ${rev.list_subtotal ? `<span>List $${Number(rev.list_subtotal).toLocaleString('en-US', { minimumFractionDigits: 2 })}/mo</span>` : ''}
+        ${reason ? `<span>${escapeHtml(reason)}${rev.discount?.note ? `: ${escapeHtml(rev.discount.note)}` : ''}</span>` : ''}
+      </div>
+    `);
+  }
+
+  if (rev.margin_status === 'blocked' && !rev.sent_at) {
+    parts.push(`
+      <div class="mt-3 inline-flex items-center gap-2 px-3 py-1.5 bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-400 rounded-lg text-sm font-medium">
+        <i data-lucide="ban" class="w-4 h-4"></i>
+        Margin below the minimum. Reprice before sending.
+      </div>
+    `);
+  }
+
+  const reasons = (rev.approval_reasons || []).map(reason => quotesModule.APPROVAL_REASON_LABELS[reason] || reason);
+  if (rev.approval_status === 'pending') {
+    const adminOnly = rev.approval_role === 'admin';
+    const canDecide = adminOnly ? canApproveAdminQuotes : canApproveQuotes;
+    parts.push(`
+      <div class="mt-3 flex flex-wrap items-center gap-2">
+        <span class="inline-flex items-center gap-2 px-3 py-1.5 bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-400 rounded-lg text-sm font-medium">
+          <i data-lucide="shield-alert" class="w-4 h-4"></i>
+          Awaiting ${adminOnly ? 'admin' : 'manager'} approval${reasons.length ? `: ${escapeHtml(reasons.join(', '))}` : ''}
+        </span>
+        ${canDecide ? `
+          <button type="button" class="revision-approve-btn px-3 py-1.5 bg-green-600 hover:bg-green-700 text-white rounded-lg text-sm font-medium" data-revision-number="${rev.revision_number}">Approve</button>
+          <button type="button" class="revision-reject-btn px-3 py-1.5 border border-red-300 text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg text-sm font-medium" data-revision-number="${rev.revision_number}">Reject</button>
+        ` : ''}
+      </div>
+    `);
+  } else if (rev.approval_status === 'approved' && rev.approved_at) {
+    parts.push(`
+      <div class="mt-3 inline-flex items-center gap-2 px-3 py-1.5 bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-400 rounded-lg text-sm">
+        <i data-lucide="shield-check" class="w-4 h-4"></i>
+        ${rev.approval_role === 'admin' ? 'Admin' : 'Manager'} approved on ${new Date(rev.approved_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
+      </div>
+    `);
+  } else if (rev.approval_status === 'rejected') {
+    parts.push(`
+      <div class="mt-3 inline-flex items-center gap-2 px-3 py-1.5 bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-400 rounded-lg text-sm font-medium">
+        <i data-lucide="shield-x" class="w-4 h-4"></i>
+        Not approved${rev.rejection_reason ? `: ${escapeHtml(rev.rejection_reason)}` : ''}
+      </div>
+    `);
+  }
+
+  return parts.join('');
+}
+
+// Render the side-by-side comparison of two revisions (previous vs latest by default)
+function renderRevisionComparison(quote) {
+  const section = document.getElementById('quote-revision-compare');
+  if (!section) return;
+
+  const revisions = quote.revisions || [];
+  section.classList.toggle('hidden', revisions.length < 2);
+  if (revisions.length < 2) return;
+
+  const fromSelect = /** @type {HTMLSelectElement} */ (document.getElementById('quote-compare-from'));
+  const toSelect = /** @type {HTMLSelectElement} */ (document.getElementById('quote-compare-to'));
+  const unchangedToggle = /** @type {HTMLInputElement} */ (document.getElementById('quote-compare-unchanged'));
+  const container = document.getElementById('quote-revision-diff');
+
+  const options = revisions
+    .map(rev => `<option value="${rev.revision_number}">Revision ${rev.revision_number}${rev.sent_at ? '' : ' (draft)'}</option>`)
+    .join('');
+  fromSelect.innerHTML = options;
+  toSelect.innerHTML = options;
+  // Revisions are sorted newest first
+  toSelect.value = String(revisions[0].revision_number);
+  fromSelect.value = String(revisions[1].revision_number);
+
+  const render = () => {
+    const fromNumber = Number(fromSelect.value);
+    const toNumber = Number(toSelect.value);
+    const fromRevision = revisions.find(rev => rev.revision_number === fromNumber);
+    const toRevision = revisions.find(rev => rev.revision_number === toNumber);
+    const itemsFor = (number) => quote.lineItems.filter(item => item.revision_number === number);
+    const tierNames = Object.fromEntries(
+      [...(fromRevision.tier_options || []), ...(toRevision.tier_options || [])].map(tier => [tier.key, tier.name])
+    );
+
+    const diff = diffRevisions(fromRevision, itemsFor(fromNumber), toRevision, itemsFor(toNumber));
+    container.innerHTML = renderRevisionDiff(diff, { showUnchanged: unchangedToggle.checked, tierNames });
+  };
+
+  fromSelect.onchange = render;
+  toSelect.onchange = render;
+  unchangedToggle.onchange = render;
+  render();
 }
 
 // Render events
@@ -420,7 +821,12 @@ function renderEvents(quote) {
     walkthrough_scheduled: { icon: 'calendar', color: 'bg-indigo-500', text: 'Walkthrough Scheduled' },
     walkthrough_completed: { icon: 'check-circle', color: 'bg-green-500', text: 'Walkthrough Completed' },
     walkthrough_no_show: { icon: 'x-circle', color: 'bg-red-500', text: 'Walkthrough No-Show' },
-    revision_created: { icon: 'file-text', color: 'bg-nfgblue', text: 'Revision Created' }
+    revision_created: { icon: 'file-text', color: 'bg-nfgblue', text: 'Revision Created' },
+    expiry_reminder_sent: { icon: 'bell', color: 'bg-amber-500', text: 'Expiry Reminder Sent' },
+    reissued: { icon: 'refresh-cw', color: 'bg-nfgblue', text: 'Re-issued' },
+    approval_requested: { icon: 'shield-alert', color: 'bg-amber-500', text: 'Approval Requested' },
+    approved: { icon: 'shield-check', color: 'bg-green-500', text: 'Approved' },
+    rejected: { icon: 'shield-x', color: 'bg-red-500', text: 'Not Approved' }
   };
 
   container.innerHTML = quote.events.map((event, index) => {
@@ -4,7 +4,6 @@
  */
 
 import { 
-  QUOTE_CONFIG, 
   getSqftBand, 
   getFrequencyMultiplier,
   getTouchpointScores,
@@ -12,6 +11,32 @@ import {
   getComplexityFactors,
   getComplexityMax
 } from './config.js';
+import { getBuiltinPricebook } from './pricebook.js';
+import { estimateLabor, evaluateMargin } from './labor.js';
+import {
+  resolveTaxJurisdiction,
+  getLegacyHstJurisdiction,
+  calculateTaxes
+} from '../tax-engine/calculator.js';
+
+/**
+ * Taxes on a monthly price for the quote's tax inputs (see toQuoteTaxInputs)
+ * Quotes without a tax region are taxed at the pricebook HST rate.
+ * @param {number} amount - Monthly price before tax
+ * @param {Object} inputs - Quote inputs
+ * @param {Object} config - Pricebook config
+ * @returns {Object} Tax engine calculateTaxes() result
+ */
+export function calculateQuoteTaxes(amount, inputs, config) {
+  const jurisdiction = inputs.tax_region
+    ? resolveTaxJurisdiction({ country: inputs.tax_country, region: inputs.tax_region }, inputs.tax_rate_overrides)
+    : getLegacyHstJurisdiction(config.hstRate);
+  return calculateTaxes(amount, jurisdiction, {
+    exempt: inputs.tax_exempt,
+    exempt_tax_codes: inputs.tax_exempt_codes,
+    exemption_number: inputs.tax_exemption_number
+  });
+}
 
 /**
  * Calculate quote from inputs
@@ -29,9 +54,25 @@ import {
  * @param {boolean} [inputs.high_touch_disinfection=false] - High touch disinfection (default true for healthcare)
  * @param {number} [inputs.urgency_start_days=30] - Days until start (0-30)
  * @param {string} [inputs.notes=''] - Additional notes
+ * @param {string} [inputs.tax_country] - Site country (CA, US)
+ * @param {string} [inputs.tax_region] - Site province/state; when omitted, HST at the pricebook's hstRate applies
+ * @param {boolean} [inputs.tax_exempt=false] - Client is fully tax exempt
+ * @param {Array<string>} [inputs.tax_exempt_codes] - Tax codes the client is exempt from (e.g. ['PST'])
+ * @param {string} [inputs.tax_exemption_number] - Exemption certificate number
+ * @param {Array<Object>} [inputs.tax_rate_overrides] - Company tax_rate_overrides rows
+ * @param {Object} [pricebook] - Pricebook to price against (defaults to the built-in version 0)
+ * @param {string|null} pricebook.id - Pricebook ID
+ * @param {number} pricebook.version - Pricebook version (stamped on the result)
+ * @param {Object} pricebook.config - Pricing config (QUOTE_CONFIG shape)
  * @returns {Object} Quote calculation result
  */
-export function calculateQuote(inputs) {
+export function calculateQuote(inputs, pricebook = getBuiltinPricebook()) {
+  const config = pricebook.config;
+  const pricebookStamp = {
+    pricebook_id: pricebook.id || null,
+    pricebook_version: pricebook.version
+  };
+
   // Validate required inputs
   if (!inputs.service_type) {
     throw new Error('service_type is required');
@@ -55,19 +96,19 @@ export function calculateQuote(inputs) {
   const notes = (inputs.notes || '').toLowerCase();
 
   // Get base price
-  const basePrice = QUOTE_CONFIG.basePrices[inputs.service_type];
+  const basePrice = config.basePrices[inputs.service_type];
   if (!basePrice) {
     throw new Error(`Invalid service_type: ${inputs.service_type}`);
   }
 
   // Get service-specific configurations
-  const touchpointScores = getTouchpointScores(inputs.service_type);
-  const touchpointMax = getTouchpointMax(inputs.service_type);
-  const complexityFactors = getComplexityFactors(inputs.service_type);
-  const complexityMax = getComplexityMax(inputs.service_type);
+  const touchpointScores = getTouchpointScores(inputs.service_type, config);
+  const touchpointMax = getTouchpointMax(inputs.service_type, config);
+  const complexityFactors = getComplexityFactors(inputs.service_type, config);
+  const complexityMax = getComplexityMax(inputs.service_type, config);
 
   // Determine sqft band (with service-specific bands if available)
-  const sqftBand = getSqftBand(sqft, inputs.service_type);
+  const sqftBand = getSqftBand(sqft, inputs.service_type, config);
   const estimationRequired = !sqft || sqft <= 0;
 
   // Check if custom-only (requires walkthrough)
@@ -78,12 +119,13 @@ export function calculateQuote(inputs) {
       price_range: null,
       recommended_action: 'book_walkthrough',
       estimation_required: true,
-      message: 'Square footage exceeds maximum for automatic quoting. Walkthrough required.'
+      message: 'Square footage exceeds maximum for automatic quoting. Walkthrough required.',
+      ...pricebookStamp
     };
   }
 
   // Get frequency multiplier (with service-specific multipliers if available)
-  const freqMultiplier = getFrequencyMultiplier(inputs.frequency_per_month, inputs.service_type);
+  const freqMultiplier = getFrequencyMultiplier(inputs.frequency_per_month, inputs.service_type, config);
   if (freqMultiplier.customOnly) {
     return {
       status: 'requires_walkthrough',
@@ -91,7 +133,8 @@ export function calculateQuote(inputs) {
       price_range: null,
       recommended_action: 'book_walkthrough',
       estimation_required: false,
-      message: 'Frequency exceeds maximum for automatic quoting. Walkthrough required.'
+      message: 'Frequency exceeds maximum for automatic quoting. Walkthrough required.',
+      ...pricebookStamp
     };
   }
 
@@ -160,19 +203,20 @@ export function calculateQuote(inputs) {
     complexityMultiplier;
 
   // Apply minimum floor
-  const minimum = QUOTE_CONFIG.minimumMonthly[inputs.service_type];
+  const minimum = config.minimumMonthly[inputs.service_type];
   monthlyExHst = Math.max(monthlyExHst, minimum);
 
   // Round to nearest $10
-  monthlyExHst = Math.round(monthlyExHst / QUOTE_CONFIG.rounding.monthly) * QUOTE_CONFIG.rounding.monthly;
+  monthlyExHst = Math.round(monthlyExHst / config.rounding.monthly) * config.rounding.monthly;
 
   // Calculate per-visit price
   let perVisitPrice = monthlyExHst / inputs.frequency_per_month;
-  perVisitPrice = Math.round(perVisitPrice / QUOTE_CONFIG.rounding.perVisit) * QUOTE_CONFIG.rounding.perVisit;
+  perVisitPrice = Math.round(perVisitPrice / config.rounding.perVisit) * config.rounding.perVisit;
 
-  // Calculate HST
-  const hstAmount = Math.round(monthlyExHst * QUOTE_CONFIG.hstRate * 100) / 100;
-  const monthlyIncHst = monthlyExHst + hstAmount;
+  // Calculate taxes (one line per tax component)
+  const taxes = calculateQuoteTaxes(monthlyExHst, inputs, config);
+  const hstAmount = taxes.total_tax;
+  const monthlyIncHst = Math.round((monthlyExHst + hstAmount) * 100) / 100;
 
   // Determine walkthrough requirement
   let walkthroughRequired = sqftBand.walkthroughRequired || false;
@@ -182,12 +226,12 @@ export function calculateQuote(inputs) {
     walkthroughRequired = true;
   }
   
-  if (numTreatmentRooms > QUOTE_CONFIG.walkthroughTriggers.maxTreatmentRooms) {
+  if (numTreatmentRooms > config.walkthroughTriggers.maxTreatmentRooms) {
     walkthroughRequired = true;
   }
   
   // Check for custom keywords in notes
-  for (const keyword of QUOTE_CONFIG.walkthroughTriggers.customKeywords) {
+  for (const keyword of config.walkthroughTriggers.customKeywords) {
     if (notes.includes(keyword)) {
       walkthroughRequired = true;
       break;
@@ -237,6 +281,15 @@ export function calculateQuote(inputs) {
     recommendedFrequencyUpsell = 'Consider weekly service (4 visits/month) for optimal healthcare environment maintenance';
   }
 
+  // Labor hours, crew and gross margin at this price
+  const laborEstimate = estimateLabor({
+    ...inputs,
+    flooring,
+    supplies_included: suppliesIncluded,
+    high_touch_disinfection: highTouchDisinfection
+  }, config);
+  const margin = evaluateMargin(laborEstimate, monthlyExHst, config);
+
   // Build assumptions
   const assumptions = {
     sqft_cap: sqftBand.max,
@@ -251,13 +304,20 @@ export function calculateQuote(inputs) {
     monthly_price_ex_hst: monthlyExHst,
     hst_amount: hstAmount,
     monthly_price_inc_hst: monthlyIncHst,
+    tax_lines: taxes.lines,
+    tax_jurisdiction: taxes.jurisdiction,
+    tax_configured: taxes.configured,
+    tax_exempt: taxes.exempt,
+    tax_exemption_number: taxes.exemption_number,
     per_visit_price: perVisitPrice,
     assumptions: assumptions,
     line_items: lineItems,
     recommended_frequency_upsell: recommendedFrequencyUpsell,
-    quote_valid_for_days: QUOTE_CONFIG.quoteValidForDays,
+    quote_valid_for_days: config.quoteValidForDays,
     walkthrough_required: walkthroughRequired,
     recommended_action: walkthroughRequired ? 'book_walkthrough' : 'send_quote',
+    labor_estimate: laborEstimate,
+    margin: margin,
     calculation_breakdown: {
       base_price: basePrice,
       sqft_band_multiplier: sqftBand.multiplier,
@@ -266,7 +326,8 @@ export function calculateQuote(inputs) {
       complexity_multiplier: complexityMultiplier,
       touchpoint_score: touchpointScore,
       complexity_score: complexityScore
-    }
+    },
+    ...pricebookStamp
   };
 }
 
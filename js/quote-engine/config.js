@@ -1,10 +1,13 @@
 /**
  * Quote Engine Configuration
- * Admin-editable pricing rules and multipliers
- * Update these values to adjust pricing without touching core calculation logic
+ * Built-in pricing rules and multipliers (pricebook version 0)
+ * Companies publish their own versioned pricebooks (see pricebook.js); this config is
+ * the seed for new pricebooks and the fallback for companies without one.
+ * Do not change these values in place - revisions priced against version 0 must re-price identically.
  */
 
-export const QUOTE_CONFIG = {
+// Frozen so no block can be added to or replaced in version 0
+export const QUOTE_CONFIG = Object.freeze({
   // Base monthly prices (ex-HST) for 4 visits/mo, 1200-1600 sqft band (baseline)
   basePrices: {
     // Commercial
@@ -98,7 +101,7 @@ export const QUOTE_CONFIG = {
     property_manager: 149
   },
 
-  // HST rate (Ontario default)
+  // Tax rate for quotes without a site region (Ontario HST); other jurisdictions live in js/tax-engine
   hstRate: 0.13,
 
   // Walkthrough triggers
@@ -516,30 +519,105 @@ export const QUOTE_CONFIG = {
       complexityMax: 0.22
     }
   }
-};
+});
+
+/**
+ * Defaults for pricebook blocks added after version 0: tiers, labor and discounts.
+ * They are not part of QUOTE_CONFIG, so version 0 stays as it was first published;
+ * pricebooks without these blocks pick them up when hydrated (see pricebook.js).
+ */
+export const PRICEBOOK_DEFAULTS = Object.freeze({
+  // Good / Better / Best packages. Each tier re-prices the client's inputs with
+  // its overrides; scope lists what the tier adds on top of the standard scope.
+  tiers: [
+    {
+      key: 'good',
+      name: 'Essential',
+      description: 'Core cleaning at your chosen frequency',
+      overrides: { high_touch_disinfection: false, supplies_included: false, after_hours_required: false },
+      scope: []
+    },
+    {
+      key: 'better',
+      name: 'Enhanced',
+      description: 'Adds high-touch disinfection',
+      overrides: { high_touch_disinfection: true, supplies_included: false, after_hours_required: false },
+      scope: ['High-touch disinfection of door handles, switches and shared surfaces']
+    },
+    {
+      key: 'best',
+      name: 'Premium',
+      description: 'Fully managed: disinfection, supplies and after-hours service',
+      overrides: { high_touch_disinfection: true, supplies_included: true, after_hours_required: true },
+      scope: [
+        'High-touch disinfection of door handles, switches and shared surfaces',
+        'Washroom consumables and cleaning supplies provided',
+        'After-hours service window'
+      ]
+    }
+  ],
+  recommendedTier: 'better',
+
+  // Labor productivity model (cost side only - never changes the quoted price).
+  // Estimates hours on site, crew size and gross margin for each quote.
+  labor: {
+    hourlyCost: 28,              // Loaded cleaner cost per hour (wage + burden)
+    afterHoursPremium: 0.15,     // Wage premium for after-hours visits
+    // Cleanable sqft per cleaner-hour by flooring; service types fall back to default
+    sqftPerHour: {
+      default: { mostly_hard: 2800, mixed: 2500, mostly_carpet: 2200 },
+      medical_clinic: { mostly_hard: 2000, mixed: 1800, mostly_carpet: 1600 },
+      dental: { mostly_hard: 1900, mixed: 1700, mostly_carpet: 1500 },
+      physio_chiro: { mostly_hard: 2200, mixed: 2000, mostly_carpet: 1800 },
+      optical: { mostly_hard: 2400, mixed: 2200, mostly_carpet: 2000 },
+      restaurant: { mostly_hard: 1600, mixed: 1400, mostly_carpet: 1200 },
+      industrial: { mostly_hard: 3500, mixed: 3000, mostly_carpet: 2600 },
+      residential_home: { mostly_hard: 1200, mixed: 1100, mostly_carpet: 1000 }
+    },
+    minutesPerWashroom: 15,
+    minutesPerTreatmentRoom: 10,
+    minutesPerReception: 10,
+    minutesPerKitchen: 15,
+    disinfectionTimeFactor: 0.15, // High-touch disinfection adds 15% to cleaning time
+    setupMinutesPerVisit: 10,     // Arrival, setup and lock-up
+    maxHoursPerCleaner: 4,        // Crew is sized so no cleaner is on site longer than this
+    suppliesCostPerVisit: 8,      // Chemicals, bags and equipment wear
+    consumablesCostPerWashroomVisit: 6, // Paper and soap, only when supplies are included
+    marginFloorPct: 0.35,         // Below this gross margin a manager must approve the quote
+    marginBlockPct: 0.15          // Below this gross margin the quote cannot be sent
+  },
+
+  // Discount approval thresholds, as a share of the list price given away.
+  // Every discount needs a reason code; larger ones wait for approval before sending.
+  discounts: {
+    managerApprovalPct: 0.10,     // Above this a manager must approve the quote
+    adminApprovalPct: 0.20        // Above this only an admin can approve it
+  }
+});
 
 /**
  * Get sqft band for given square footage
  * @param {number} sqft - Square footage
  * @param {string} [serviceType] - Service type for service-specific bands
+ * @param {Object} [config] - Pricebook config (defaults to built-in QUOTE_CONFIG)
  * @returns {Object} Band object with multiplier, label, etc.
  */
-export function getSqftBand(sqft, serviceType) {
+export function getSqftBand(sqft, serviceType, config = QUOTE_CONFIG) {
   if (!sqft || sqft <= 0) {
     // Use conservative default (band_1) if sqft missing
-    const bands = serviceType && QUOTE_CONFIG.serviceSpecific[serviceType]?.sqftBands 
-      ? QUOTE_CONFIG.serviceSpecific[serviceType].sqftBands 
-      : QUOTE_CONFIG.sqftBands;
+    const bands = serviceType && config.serviceSpecific?.[serviceType]?.sqftBands 
+      ? config.serviceSpecific[serviceType].sqftBands 
+      : config.sqftBands;
     return bands[0];
   }
 
   // Use service-specific bands if available
-  const bands = serviceType && QUOTE_CONFIG.serviceSpecific[serviceType]?.sqftBands 
-    ? QUOTE_CONFIG.serviceSpecific[serviceType].sqftBands 
-    : QUOTE_CONFIG.sqftBands;
+  const bands = serviceType && config.serviceSpecific?.[serviceType]?.sqftBands 
+    ? config.serviceSpecific[serviceType].sqftBands 
+    : config.sqftBands;
 
   // Match band labels from defaults if not specified
-  const defaultBands = QUOTE_CONFIG.sqftBands;
+  const defaultBands = config.sqftBands;
   
   for (let i = 0; i < bands.length; i++) {
     const band = bands[i];
@@ -564,17 +642,18 @@ export function getSqftBand(sqft, serviceType) {
  * Get frequency multiplier for given visits per month
  * @param {number} visitsPerMonth - Number of visits per month
  * @param {string} [serviceType] - Service type for service-specific multipliers
+ * @param {Object} [config] - Pricebook config (defaults to built-in QUOTE_CONFIG)
  * @returns {Object} Multiplier object or null if custom_only
  */
-export function getFrequencyMultiplier(visitsPerMonth, serviceType) {
+export function getFrequencyMultiplier(visitsPerMonth, serviceType, config = QUOTE_CONFIG) {
   if (!visitsPerMonth || visitsPerMonth <= 0) {
     visitsPerMonth = 4; // Default to weekly
   }
 
   // Use service-specific multipliers if available
-  const multipliers = serviceType && QUOTE_CONFIG.serviceSpecific[serviceType]?.frequencyMultipliers
-    ? QUOTE_CONFIG.serviceSpecific[serviceType].frequencyMultipliers
-    : QUOTE_CONFIG.frequencyMultipliers;
+  const multipliers = serviceType && config.serviceSpecific?.[serviceType]?.frequencyMultipliers
+    ? config.serviceSpecific[serviceType].frequencyMultipliers
+    : config.frequencyMultipliers;
 
   for (const freq of multipliers) {
     if (visitsPerMonth <= freq.maxVisits) {
@@ -589,47 +668,51 @@ export function getFrequencyMultiplier(visitsPerMonth, serviceType) {
 /**
  * Get touchpoint scores for service type
  * @param {string} serviceType - Service type
+ * @param {Object} [config] - Pricebook config (defaults to built-in QUOTE_CONFIG)
  * @returns {Object} Touchpoint scores config
  */
-export function getTouchpointScores(serviceType) {
-  if (serviceType && QUOTE_CONFIG.serviceSpecific[serviceType]?.touchpointScores) {
-    return QUOTE_CONFIG.serviceSpecific[serviceType].touchpointScores;
+export function getTouchpointScores(serviceType, config = QUOTE_CONFIG) {
+  if (serviceType && config.serviceSpecific?.[serviceType]?.touchpointScores) {
+    return config.serviceSpecific[serviceType].touchpointScores;
   }
-  return QUOTE_CONFIG.touchpointScores;
+  return config.touchpointScores;
 }
 
 /**
  * Get touchpoint max cap for service type
  * @param {string} serviceType - Service type
+ * @param {Object} [config] - Pricebook config (defaults to built-in QUOTE_CONFIG)
  * @returns {number} Maximum touchpoint score
  */
-export function getTouchpointMax(serviceType) {
-  if (serviceType && QUOTE_CONFIG.serviceSpecific[serviceType]?.touchpointMax !== undefined) {
-    return QUOTE_CONFIG.serviceSpecific[serviceType].touchpointMax;
+export function getTouchpointMax(serviceType, config = QUOTE_CONFIG) {
+  if (serviceType && config.serviceSpecific?.[serviceType]?.touchpointMax !== undefined) {
+    return config.serviceSpecific[serviceType].touchpointMax;
   }
-  return QUOTE_CONFIG.touchpointMax;
+  return config.touchpointMax;
 }
 
 /**
  * Get complexity factors for service type
  * @param {string} serviceType - Service type
+ * @param {Object} [config] - Pricebook config (defaults to built-in QUOTE_CONFIG)
  * @returns {Object} Complexity factors config
  */
-export function getComplexityFactors(serviceType) {
-  if (serviceType && QUOTE_CONFIG.serviceSpecific[serviceType]?.complexityFactors) {
-    return QUOTE_CONFIG.serviceSpecific[serviceType].complexityFactors;
+export function getComplexityFactors(serviceType, config = QUOTE_CONFIG) {
+  if (serviceType && config.serviceSpecific?.[serviceType]?.complexityFactors) {
+    return config.serviceSpecific[serviceType].complexityFactors;
   }
-  return QUOTE_CONFIG.complexityFactors;
+  return config.complexityFactors;
 }
 
 /**
  * Get complexity max cap for service type
  * @param {string} serviceType - Service type
+ * @param {Object} [config] - Pricebook config (defaults to built-in QUOTE_CONFIG)
  * @returns {number} Maximum complexity score
  */
-export function getComplexityMax(serviceType) {
-  if (serviceType && QUOTE_CONFIG.serviceSpecific[serviceType]?.complexityMax !== undefined) {
-    return QUOTE_CONFIG.serviceSpecific[serviceType].complexityMax;
+export function getComplexityMax(serviceType, config = QUOTE_CONFIG) {
+  if (serviceType && config.serviceSpecific?.[serviceType]?.complexityMax !== undefined) {
+    return config.serviceSpecific[serviceType].complexityMax;
   }
-  return QUOTE_CONFIG.complexityMax;
+  return config.complexityMax;
 }
@@ -0,0 +1,323 @@
+/**
+ * Quote Discounts
+ * Explicit percent or fixed-amount discounts, per line item or on the whole quote,
+ * each with a reason code, and the approval level the company requires for them
+ */
+
+import { QUOTE_CONFIG, PRICEBOOK_DEFAULTS } from './config.js';
+import { evaluateMargin } from './labor.js';
+import { calculateQuoteTaxes } from './calculator.js';
+
+export const DISCOUNT_TYPES = Object.freeze({
+  percent: 'percent',
+  amount: 'amount'
+});
+
+// Why a discount was given (quote_revisions.discount.reason, quote_line_items.discount_reason)
+export const DISCOUNT_REASONS = {
+  competitive_match: 'Competitive match',
+  multi_site: 'Multi-site / volume',
+  long_term_contract: 'Long-term contract',
+  referral: 'Referral',
+  promotion: 'Promotion',
+  service_recovery: 'Service recovery',
+  other: 'Other'
+};
+
+// Who must approve a discount before the revision can be sent
+export const DISCOUNT_APPROVER_ROLES = Object.freeze({
+  manager: 'manager',
+  admin: 'admin'
+});
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Discount thresholds for a pricebook (older pricebooks fall back to the built-in thresholds)
+ * @param {Object} config - Pricebook config
+ * @returns {{ managerApprovalPct: number, adminApprovalPct: number }}
+ */
+export function getDiscountConfig(config) {
+  return config?.discounts || PRICEBOOK_DEFAULTS.discounts;
+}
+
+/**
+ * Drop empty discounts so "no discount" is always null
+ * @param {Object|null} discount - { type, value, reason, note }
+ * @returns {Object|null}
+ */
+export function normalizeDiscount(discount) {
+  const value = Number(discount?.value);
+  if (!discount || !(value > 0)) return null;
+  return {
+    type: discount.type === DISCOUNT_TYPES.amount ? DISCOUNT_TYPES.amount : DISCOUNT_TYPES.percent,
+    value,
+    reason: discount.reason || null,
+    note: discount.note ? String(discount.note).trim() : null
+  };
+}
+
+/**
+ * Check a discount before it is saved
+ * @param {Object|null} discount - { type, value, reason, note }
+ * @returns {Array<string>} Problems, empty when the discount is valid
+ */
+export function validateDiscount(discount) {
+  const normalized = normalizeDiscount(discount);
+  if (!normalized) return [];
+
+  const errors = [];
+  if (normalized.type === DISCOUNT_TYPES.percent && normalized.value > 100) {
+    errors.push('A percent discount cannot be more than 100%');
+  }
+  if (!DISCOUNT_REASONS[normalized.reason]) {
+    errors.push('Choose a reason for the discount');
+  } else if (normalized.reason === 'other' && !normalized.note) {
+    errors.push('Describe the reason for an "Other" discount');
+  }
+  return errors;
+}
+
+/**
+ * Amount a discount takes off a price (never more than the price itself)
+ * @param {number} listAmount - Price before the discount
+ * @param {Object|null} discount - { type, value }
+ * @returns {number}
+ */
+export function calculateDiscountAmount(listAmount, discount) {
+  const list = Math.max(0, Number(listAmount) || 0);
+  const normalized = normalizeDiscount(discount);
+  if (!normalized || list === 0) return 0;
+
+  const amount = normalized.type === DISCOUNT_TYPES.percent
+    ? list * normalized.value / 100
+    : normalized.value;
+  return roundMoney(Math.min(list, amount));
+}
+
+// Undiscounted amount of a line item; range lines carry no amount
+function lineListTotal(item) {
+  if (item.unit === 'range') return 0;
+  if (item.list_total !== undefined && item.list_total !== null) return Number(item.list_total) || 0;
+  if (item.line_total !== undefined && item.line_total !== null) return Number(item.line_total) || 0;
+  if (item.amount !== undefined && item.amount !== null) return Number(item.amount) || 0;
+  return (Number(item.quantity) || 1) * (Number(item.unit_price) || 0) * (Number(item.frequency_multiplier) || 1);
+}
+
+/**
+ * Apply line discounts, then the whole-quote discount on what is left
+ * @param {Array<Object>} lineItems - Line items; each may carry discount_type, discount_value and discount_reason
+ * @param {Object|null} [quoteDiscount] - Whole-quote discount { type, value, reason, note }
+ * @returns {{ lines: Array<Object>, list_subtotal: number, line_discount_total: number, quote_discount_amount: number, discount_total: number, subtotal: number, discount_pct: number }}
+ */
+export function applyDiscounts(lineItems, quoteDiscount = null) {
+  const lines = (lineItems || []).map(item => {
+    const listTotal = roundMoney(lineListTotal(item));
+    const discountAmount = calculateDiscountAmount(listTotal, { type: item.discount_type, value: item.discount_value });
+    return { ...item, list_total: listTotal, discount_amount: discountAmount, net_total: roundMoney(listTotal - discountAmount) };
+  });
+
+  const listSubtotal = roundMoney(lines.reduce((sum, line) => sum + line.list_total, 0));
+  const lineDiscountTotal = roundMoney(lines.reduce((sum, line) => sum + line.discount_amount, 0));
+  const quoteDiscountAmount = calculateDiscountAmount(listSubtotal - lineDiscountTotal, quoteDiscount);
+  const discountTotal = roundMoney(lineDiscountTotal + quoteDiscountAmount);
+
+  return {
+    lines,
+    list_subtotal: listSubtotal,
+    line_discount_total: lineDiscountTotal,
+    quote_discount_amount: quoteDiscountAmount,
+    discount_total: discountTotal,
+    subtotal: roundMoney(listSubtotal - discountTotal),
+    discount_pct: listSubtotal > 0 ? Math.round((discountTotal / listSubtotal) * 10000) / 10000 : 0
+  };
+}
+
+/**
+ * Who has to approve a discount of this size
+ * A discount exactly at a threshold does not need that level of approval.
+ * @param {number} discountPct - Share of the list price given away (0.15 = 15%)
+ * @param {Object} [thresholds] - { managerApprovalPct, adminApprovalPct } (getDiscountConfig())
+ * @returns {string|null} DISCOUNT_APPROVER_ROLES value, or null when no approval is needed
+ */
+export function requiredDiscountApprover(discountPct, thresholds = PRICEBOOK_DEFAULTS.discounts) {
+  const pct = Number(discountPct) || 0;
+  if (pct <= 0) return null;
+  if (pct > thresholds.adminApprovalPct) return DISCOUNT_APPROVER_ROLES.admin;
+  if (pct > thresholds.managerApprovalPct) return DISCOUNT_APPROVER_ROLES.manager;
+  return null;
+}
+
+/**
+ * Discount an engine price (a calculateQuote() result or one tier of calculateTieredQuote())
+ * Re-taxes the discounted price, re-checks the margin and adds a negative "Discount" line item.
+ * @param {Object} priced - { monthly_price_ex_hst, per_visit_price, line_items, labor_estimate, ... }
+ * @param {Object|null} discount - Whole-quote discount { type, value, reason, note }
+ * @param {Object} inputs - Quote inputs the price was calculated from
+ * @param {Object} [config] - Pricebook config
+ * @returns {Object} The priced result with discounted amounts, list_price_ex_hst and discount_amount
+ */
+export function discountPricedResult(priced, discount, inputs, config = QUOTE_CONFIG) {
+  const normalized = normalizeDiscount(discount);
+  const listPrice = Number(priced.monthly_price_ex_hst) || 0;
+  const discountAmount = calculateDiscountAmount(listPrice, normalized);
+  if (discountAmount === 0) {
+    return { ...priced, list_price_ex_hst: listPrice, discount_amount: 0 };
+  }
+
+  const netPrice = roundMoney(listPrice - discountAmount);
+  const taxes = calculateQuoteTaxes(netPrice, inputs, config);
+  const visits = Number(inputs.frequency_per_month) || 0;
+  const label = normalized.type === DISCOUNT_TYPES.percent ? `${normalized.value}%` : 'fixed amount';
+
+  return {
+    ...priced,
+    list_price_ex_hst: listPrice,
+    discount_amount: discountAmount,
+    monthly_price_ex_hst: netPrice,
+    hst_amount: taxes.total_tax,
+    monthly_price_inc_hst: roundMoney(netPrice + taxes.total_tax),
+    tax_lines: taxes.lines,
+    tax_jurisdiction: taxes.jurisdiction,
+    per_visit_price: visits > 0 ? roundMoney(netPrice / visits) : priced.per_visit_price,
+    margin: priced.labor_estimate ? evaluateMargin(priced.labor_estimate, netPrice, config) : priced.margin,
+    line_items: [
+      ...(priced.line_items || []),
+      {
+        name: 'Discount',
+        amount: -discountAmount,
+        description: `${DISCOUNT_REASONS[normalized.reason] || 'Discount'} (${label})`
+      }
+    ]
+  };
+}
+
+/**
+ * Discount summary stored on quote_revisions
+ * Tiered quotes record the largest discount share of any tier, since the client may pick any of them.
+ * @param {Object|null} discount - Whole-quote discount { type, value, reason, note }
+ * @param {Array<Object>} pricedOptions - discountPricedResult() results (the quote, or each tier)
+ * @param {Object} [config] - Pricebook config, for the approval thresholds it was priced under
+ * @returns {{ discount: Object|null, list_subtotal: number|null, discount_total: number, discount_pct: number }}
+ */
+export function toRevisionDiscount(discount, pricedOptions, config = QUOTE_CONFIG) {
+  const normalized = normalizeDiscount(discount);
+  const options = (pricedOptions || []).filter(option => Number(option.list_price_ex_hst) > 0);
+  if (!normalized || options.length === 0) {
+    return { discount: null, list_subtotal: null, discount_total: 0, discount_pct: 0 };
+  }
+
+  const largest = options.reduce((top, option) =>
+    option.discount_amount / option.list_price_ex_hst > top.discount_amount / top.list_price_ex_hst ? option : top
+  );
+  const { managerApprovalPct, adminApprovalPct } = getDiscountConfig(config);
+
+  return {
+    discount: { ...normalized, manager_approval_pct: managerApprovalPct, admin_approval_pct: adminApprovalPct },
+    list_subtotal: largest.list_price_ex_hst,
+    discount_total: largest.discount_amount,
+    discount_pct: Math.round((largest.discount_amount / largest.list_price_ex_hst) * 10000) / 10000
+  };
+}
+
+/**
+ * Price line items typed into the quote, and the discount summary stored on quote_revisions
+ * Lines that add up to less than the engine price count as a discount off it, so typing a lower price
+ * needs a reason and approval like any other discount.
+ * @param {Array<Object>} lineItems - Lines with quantity, unit_price, unit, discount_type, discount_value, discount_reason
+ * @param {number|null} [enginePrice] - Engine monthly price before discounts, when the engine priced the quote
+ * @param {Object} [config] - Pricebook config, for the approval thresholds
+ * @returns {{ lines: Array<Object>, subtotal: number, discount: Object|null, list_subtotal: number|null, discount_total: number, discount_pct: number }}
+ */
+export function priceManualLineItems(lineItems, enginePrice = null, config = QUOTE_CONFIG) {
+  const priced = applyDiscounts(lineItems);
+  const listSubtotal = roundMoney(Math.max(priced.list_subtotal, Number(enginePrice) || 0));
+  const discountTotal = roundMoney(listSubtotal - priced.subtotal);
+  if (!(discountTotal > 0)) {
+    return { lines: priced.lines, subtotal: priced.subtotal, discount: null, list_subtotal: null, discount_total: 0, discount_pct: 0 };
+  }
+
+  // The reason on the most discounted line, else any reason given on a line
+  const largest = priced.lines
+    .filter(line => line.discount_reason)
+    .sort((a, b) => b.discount_amount - a.discount_amount)[0];
+  const belowEngine = discountTotal > priced.line_discount_total;
+  const { managerApprovalPct, adminApprovalPct } = getDiscountConfig(config);
+
+  return {
+    lines: priced.lines,
+    subtotal: priced.subtotal,
+    discount: {
+      type: DISCOUNT_TYPES.amount,
+      value: discountTotal,
+      reason: largest?.discount_reason || null,
+      note: belowEngine ? 'Line items priced below the quote engine' : 'Line item discounts',
+      manager_approval_pct: managerApprovalPct,
+      admin_approval_pct: adminApprovalPct
+    },
+    list_subtotal: listSubtotal,
+    discount_total: discountTotal,
+    discount_pct: Math.round((discountTotal / listSubtotal) * 10000) / 10000
+  };
+}
+
+/**
+ * Check line discounts before they are saved
+ * @param {Array<Object>} lineItems
+ * @returns {Array<string>} Problems, empty when every discounted line has a reason
+ */
+export function validateLineDiscounts(lineItems) {
+  const missingReason = (lineItems || []).some(item =>
+    Number(item.discount_value) > 0 && !DISCOUNT_REASONS[item.discount_reason]);
+  const overPercent = (lineItems || []).some(item =>
+    item.discount_type !== DISCOUNT_TYPES.amount && Number(item.discount_value) > 100);
+
+  const errors = [];
+  if (overPercent) errors.push('A percent discount cannot be more than 100%');
+  if (missingReason) errors.push('Choose a reason for each discounted line');
+  return errors;
+}
+
+/**
+ * Discount given per rep, for reporting
+ * @param {Array<Object>} revisions - Sent quote_revisions rows with owner_user_id, list_subtotal, subtotal, discount_total, discount_pct
+ * @returns {Array<Object>} [{ owner_user_id, quotes, discounted_quotes, list_total, discount_total, discount_pct, max_discount_pct }], largest discount total first
+ */
+export function summarizeDiscountsByRep(revisions) {
+  const byRep = new Map();
+
+  for (const revision of revisions || []) {
+    const key = revision.owner_user_id || null;
+    const rep = byRep.get(key) || {
+      owner_user_id: key,
+      quotes: 0,
+      discounted_quotes: 0,
+      list_total: 0,
+      discount_total: 0,
+      max_discount_pct: 0
+    };
+    const discountTotal = Number(revision.discount_total) || 0;
+    // Undiscounted revisions carry no list price; engine quotes may carry no stored subtotal
+    const listTotal = Number(revision.list_subtotal) ||
+      Number(revision.subtotal) ||
+      Number(revision.quote_calculation_outputs?.monthly_price_ex_hst) || 0;
+
+    rep.quotes += 1;
+    rep.list_total += listTotal;
+    if (discountTotal > 0) {
+      rep.discounted_quotes += 1;
+      rep.discount_total += discountTotal;
+      rep.max_discount_pct = Math.max(rep.max_discount_pct, Number(revision.discount_pct) || 0);
+    }
+    byRep.set(key, rep);
+  }
+
+  return [...byRep.values()]
+    .map(rep => ({
+      ...rep,
+      list_total: roundMoney(rep.list_total),
+      discount_total: roundMoney(rep.discount_total),
+      discount_pct: rep.list_total > 0 ? Math.round((rep.discount_total / rep.list_total) * 10000) / 10000 : 0
+    }))
+    .sort((a, b) => b.discount_total - a.discount_total);
+}
@@ -4,6 +4,7 @@
  */
 
 import { getScopeBullets } from './calculator.js';
+import { formatTaxLineLabel } from '../tax-engine/calculator.js';
 
 /**
  * Generate quote email (plain text)
@@ -72,6 +73,16 @@ export function generateQuoteEmail(quoteResult, businessData, contactData, input
     ? 'We recommend scheduling a site walkthrough to ensure we capture all specific requirements and provide the most accurate quote for your facility.'
     : 'No walkthrough required. If you\'re ready to proceed, simply reply to this email or give us a call to get started.';
   
+  // One line per tax (e.g. GST and QST); older results without tax lines were Ontario HST
+  const taxLines = quoteResult.tax_lines ||
+    [{ name: 'HST', rate: 0.13, amount: quoteResult.hst_amount }];
+  let taxLinesText = taxLines
+    .map(line => formatTaxLineLabel(line) + ': ' + formatCurrency(line.amount) + '\n')
+    .join('');
+  if (quoteResult.tax_exempt) {
+    taxLinesText += 'Tax exempt' + (quoteResult.tax_exemption_number ? ' (certificate #' + quoteResult.tax_exemption_number + ')' : '') + '\n';
+  }
+  
   // Format date
   const generatedDate = new Date().toLocaleDateString('en-CA', { 
     year: 'numeric', 
@@ -90,9 +101,9 @@ export function generateQuoteEmail(quoteResult, businessData, contactData, input
     'SCOPE OF SERVICES:\n' +
     scopeBulletsText + '\n\n' +
     'INVESTMENT:\n' +
-    'Monthly Service Fee (ex-HST): ' + formatCurrency(quoteResult.monthly_price_ex_hst) + '\n' +
-    'HST (13%): ' + formatCurrency(quoteResult.hst_amount) + '\n' +
-    'Monthly Service Fee (inc-HST): ' + formatCurrency(quoteResult.monthly_price_inc_hst) + '\n' +
+    'Monthly Service Fee (before tax): ' + formatCurrency(quoteResult.monthly_price_ex_hst) + '\n' +
+    taxLinesText +
+    'Monthly Service Fee (incl. tax): ' + formatCurrency(quoteResult.monthly_price_inc_hst) + '\n' +
     'Per-Visit Rate: ' + formatCurrency(quoteResult.per_visit_price) + '\n\n' +
     assumptionsLine + startDatePromise + '\n\n' +
     'This quote is valid for ' + quoteResult.quote_valid_for_days + ' days from the date of this email.\n\n' +
@@ -0,0 +1,180 @@
+/**
+ * Labor & Margin Estimator
+ * Estimates labor hours, crew size and time on site from the quote inputs, and the
+ * gross margin the quoted price leaves after labor and supplies
+ */
+
+import { QUOTE_CONFIG, PRICEBOOK_DEFAULTS, getSqftBand } from './config.js';
+
+export const MARGIN_STATUSES = Object.freeze({
+  ok: 'ok',
+  approvalRequired: 'approval_required',
+  blocked: 'blocked'
+});
+
+/**
+ * Labor model for a pricebook (older pricebooks fall back to the built-in model)
+ * @param {Object} config - Pricebook config
+ * @returns {Object} Labor config (PRICEBOOK_DEFAULTS.labor shape)
+ */
+export function getLaborConfig(config) {
+  return config?.labor || PRICEBOOK_DEFAULTS.labor;
+}
+
+function getSqftPerHour(serviceType, flooring, labor) {
+  const rates = labor.sqftPerHour[serviceType] || labor.sqftPerHour.default;
+  return rates[flooring] || rates.mostly_hard;
+}
+
+const roundHours = (hours) => Math.round(hours * 100) / 100;
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Estimate labor for a recurring cleaning job
+ * Missing sqft is costed at the top of its band so the estimate stays conservative.
+ * @param {Object} inputs - Quote inputs (see calculateQuote)
+ * @param {Object} [config] - Pricebook config
+ * @returns {Object} { sqft_used, sqft_per_hour, hours_per_visit, crew_size, time_on_site_hours, visits_per_month, labor_hours_per_month, labor_cost_per_month, supplies_cost_per_month, cost_per_month }
+ */
+export function estimateLabor(inputs, config = QUOTE_CONFIG) {
+  const labor = getLaborConfig(config);
+  const flooring = inputs.flooring || 'mostly_hard';
+  const visits = inputs.frequency_per_month || 4;
+  const numWashrooms = inputs.num_washrooms || 0;
+  const suppliesIncluded = inputs.supplies_included !== false;
+  const highTouchDisinfection = inputs.high_touch_disinfection ||
+    ['medical_clinic', 'dental', 'physio_chiro', 'optical'].includes(inputs.service_type);
+
+  let sqft = inputs.sqft_estimate;
+  if (!sqft || sqft <= 0) {
+    const band = getSqftBand(null, inputs.service_type, config);
+    sqft = Number.isFinite(band.max) ? band.max : 1200;
+  }
+
+  const sqftPerHour = getSqftPerHour(inputs.service_type, flooring, labor);
+  let cleaningHours = sqft / sqftPerHour;
+  if (highTouchDisinfection) {
+    cleaningHours *= 1 + labor.disinfectionTimeFactor;
+  }
+
+  const roomMinutes =
+    numWashrooms * labor.minutesPerWashroom +
+    (inputs.num_treatment_rooms || 0) * labor.minutesPerTreatmentRoom +
+    (inputs.has_reception ? labor.minutesPerReception : 0) +
+    (inputs.has_kitchen ? labor.minutesPerKitchen : 0);
+
+  const hoursPerVisit = cleaningHours + (roomMinutes + labor.setupMinutesPerVisit) / 60;
+  const crewSize = Math.max(1, Math.ceil(hoursPerVisit / labor.maxHoursPerCleaner));
+  const hourlyCost = labor.hourlyCost * (inputs.after_hours_required ? 1 + labor.afterHoursPremium : 1);
+
+  const laborHoursPerMonth = hoursPerVisit * visits;
+  const laborCost = laborHoursPerMonth * hourlyCost;
+  const suppliesCost = visits * (labor.suppliesCostPerVisit +
+    (suppliesIncluded ? numWashrooms * labor.consumablesCostPerWashroomVisit : 0));
+
+  return {
+    sqft_used: sqft,
+    sqft_per_hour: sqftPerHour,
+    hours_per_visit: roundHours(hoursPerVisit),
+    crew_size: crewSize,
+    time_on_site_hours: roundHours(hoursPerVisit / crewSize),
+    visits_per_month: visits,
+    labor_hours_per_month: roundHours(laborHoursPerMonth),
+    hourly_cost: roundMoney(hourlyCost),
+    labor_cost_per_month: roundMoney(laborCost),
+    supplies_cost_per_month: roundMoney(suppliesCost),
+    cost_per_month: roundMoney(laborCost + suppliesCost)
+  };
+}
+
+/**
+ * Gross margin of a monthly price (before tax) against a labor estimate
+ * @param {Object} laborEstimate - Result of estimateLabor()
+ * @param {number} monthlyPrice - Quoted monthly price before tax
+ * @param {Object} [config] - Pricebook config (margin floor and block thresholds)
+ * @returns {Object} { gross_margin, gross_margin_pct, margin_floor_pct, margin_block_pct, status }
+ */
+export function evaluateMargin(laborEstimate, monthlyPrice, config = QUOTE_CONFIG) {
+  const labor = getLaborConfig(config);
+  return marginAt(laborEstimate.cost_per_month, monthlyPrice, labor.marginFloorPct, labor.marginBlockPct);
+}
+
+function marginAt(cost, monthlyPrice, floorPct, blockPct) {
+  const price = Number(monthlyPrice) || 0;
+  const grossMargin = price - cost;
+  const marginPct = price > 0 ? grossMargin / price : -1;
+
+  /** @type {string} */
+  let status = MARGIN_STATUSES.ok;
+  if (marginPct < blockPct) {
+    status = MARGIN_STATUSES.blocked;
+  } else if (marginPct < floorPct) {
+    status = MARGIN_STATUSES.approvalRequired;
+  }
+
+  return {
+    gross_margin: roundMoney(grossMargin),
+    gross_margin_pct: Math.round(marginPct * 10000) / 10000,
+    margin_floor_pct: floorPct,
+    margin_block_pct: blockPct,
+    status
+  };
+}
+
+/**
+ * Labor estimate stored on quote_revisions.labor_estimate
+ * Carries the margin thresholds it was estimated under, and each tier's cost for tiered quotes.
+ * @param {Object} result - calculateQuote() result
+ * @param {Object|null} [tieredResult] - calculateTieredQuote() result when tiers are offered
+ * @returns {Object|null}
+ */
+export function toRevisionLaborEstimate(result, tieredResult = null) {
+  if (!result?.labor_estimate) return null;
+  return {
+    ...result.labor_estimate,
+    margin_floor_pct: result.margin.margin_floor_pct,
+    margin_block_pct: result.margin.margin_block_pct,
+    tiers: tieredResult
+      ? tieredResult.tiers.map(tier => ({
+        key: tier.key,
+        hours_per_visit: tier.labor_estimate.hours_per_visit,
+        crew_size: tier.labor_estimate.crew_size,
+        cost_per_month: tier.labor_estimate.cost_per_month
+      }))
+      : null
+  };
+}
+
+/**
+ * Margin of a saved revision at its current price
+ * Tiered quotes are judged by their lowest-margin tier, since the client may pick any of them.
+ * @param {Object} revision - quote_revisions row (labor_estimate, subtotal, tier_options, quote_calculation_outputs)
+ * @returns {Object|null} evaluateMargin() shape, or null when the revision has no labor estimate or price
+ */
+export function evaluateRevisionMargin(revision) {
+  const labor = revision?.labor_estimate;
+  if (!labor) return null;
+
+  const floorPct = labor.margin_floor_pct ?? PRICEBOOK_DEFAULTS.labor.marginFloorPct;
+  const blockPct = labor.margin_block_pct ?? PRICEBOOK_DEFAULTS.labor.marginBlockPct;
+  const tierOptions = Array.isArray(revision.tier_options) ? revision.tier_options : [];
+
+  if (Array.isArray(labor.tiers) && tierOptions.length > 0) {
+    const margins = tierOptions
+      .map(option => {
+        const tierLabor = labor.tiers.find(tier => tier.key === option.key);
+        return tierLabor && Number(option.subtotal) > 0 ? marginAt(tierLabor.cost_per_month, option.subtotal, floorPct, blockPct) : null;
+      })
+      .filter(Boolean);
+    if (margins.length > 0) {
+      return margins.reduce((lowest, margin) => margin.gross_margin_pct < lowest.gross_margin_pct ? margin : lowest);
+    }
+  }
+
+  // Fall back to the engine price when line items carry no stored totals
+  const price = Number(revision.subtotal) > 0
+    ? revision.subtotal
+    : revision.quote_calculation_outputs?.monthly_price_ex_hst;
+  if (!(Number(price) > 0)) return null;
+  return marginAt(labor.cost_per_month, price, floorPct, blockPct);
+}
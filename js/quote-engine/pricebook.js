@@ -0,0 +1,375 @@
+/**
+ * Quote Engine Pricebooks
+ * Versioned, company-editable pricing configs for calculateQuote()
+ *
+ * A pricebook is { id, company_id, version, status, config } where config has the same
+ * shape as QUOTE_CONFIG. Published pricebooks are immutable so any revision stamped
+ * with a version can be re-priced exactly as it was originally quoted.
+ */
+
+import { QUOTE_CONFIG, PRICEBOOK_DEFAULTS } from './config.js';
+
+// Version 0 is the built-in QUOTE_CONFIG (used when a company has not published a pricebook)
+export const BUILTIN_PRICEBOOK_VERSION = 0;
+
+/**
+ * Fill in the blocks a pricebook predates (tiers, labor, discounts) from PRICEBOOK_DEFAULTS
+ * None of them change the engine price, so older versions still re-price identically.
+ * @param {Object} config - Pricebook config
+ * @returns {Object} Config with every block present
+ */
+export function withPricebookDefaults(config) {
+  const missing = Object.keys(PRICEBOOK_DEFAULTS).filter(key => config[key] === undefined);
+  const defaults = JSON.parse(JSON.stringify(PRICEBOOK_DEFAULTS));
+  return { ...config, ...Object.fromEntries(missing.map(key => [key, defaults[key]])) };
+}
+
+export const PRICEBOOK_STATUSES = Object.freeze({
+  draft: 'draft',
+  published: 'published',
+  archived: 'archived'
+});
+
+/**
+ * Get the built-in pricebook (version 0)
+ * @returns {Object} Pricebook object
+ */
+export function getBuiltinPricebook() {
+  return {
+    id: null,
+    company_id: null,
+    version: BUILTIN_PRICEBOOK_VERSION,
+    status: PRICEBOOK_STATUSES.published,
+    config: withPricebookDefaults(QUOTE_CONFIG)
+  };
+}
+
+/**
+ * Deep copy a config, mapping unbounded limits (Infinity) to null so it survives JSONB storage
+ * @param {Object} config - Pricebook config (QUOTE_CONFIG shape)
+ * @returns {Object} JSON-safe config
+ */
+export function serializePricebookConfig(config) {
+  return JSON.parse(JSON.stringify(config, (key, value) => {
+    if (value === Infinity) return null;
+    return value;
+  }));
+}
+
+/**
+ * Deep copy a stored config, restoring unbounded limits (null max / maxVisits) to Infinity
+ * and filling in blocks added since it was published
+ * @param {Object} json - Config as stored in quote_pricebooks.config
+ * @returns {Object} Config usable by calculateQuote()
+ */
+export function hydratePricebookConfig(json) {
+  const config = JSON.parse(JSON.stringify(json || {}));
+
+  const hydrateBands = (bands) => {
+    (bands || []).forEach(band => {
+      if (band.max === null || band.max === undefined) band.max = Infinity;
+    });
+  };
+  const hydrateFrequencies = (multipliers) => {
+    (multipliers || []).forEach(freq => {
+      if (freq.maxVisits === null || freq.maxVisits === undefined) freq.maxVisits = Infinity;
+    });
+  };
+
+  hydrateBands(config.sqftBands);
+  hydrateFrequencies(config.frequencyMultipliers);
+  Object.values(config.serviceSpecific || {}).forEach(overrides => {
+    hydrateBands(overrides.sqftBands);
+    hydrateFrequencies(overrides.frequencyMultipliers);
+  });
+
+  return withPricebookDefaults(config);
+}
+
+/**
+ * Convert a quote_pricebooks row into a pricebook object
+ * @param {Object} row - Database row
+ * @returns {Object} Pricebook object
+ */
+export function hydratePricebook(row) {
+  return {
+    id: row.id,
+    company_id: row.company_id,
+    version: row.version,
+    status: row.status,
+    notes: row.notes || null,
+    published_at: row.published_at || null,
+    config: hydratePricebookConfig(row.config)
+  };
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+function validateSqftBands(bands, path, errors, { requireUnboundedTail }) {
+  if (!Array.isArray(bands) || bands.length === 0) {
+    errors.push(`${path}: at least one band is required`);
+    return;
+  }
+
+  bands.forEach((band, i) => {
+    const label = `${path}[${i}]`;
+    const isLast = i === bands.length - 1;
+
+    if (!isNumber(band.min) || band.min < 0) {
+      errors.push(`${label}: min must be a number >= 0`);
+    }
+    if (band.max !== Infinity && (!isNumber(band.max) || band.max < band.min)) {
+      errors.push(`${label}: max must be a number >= min`);
+    }
+    if (band.max === Infinity && !isLast) {
+      errors.push(`${label}: only the last band can be unbounded`);
+    }
+    if (band.customOnly) {
+      if (!isLast) errors.push(`${label}: only the last band can be custom-only`);
+    } else if (!isNumber(band.multiplier) || band.multiplier <= 0) {
+      errors.push(`${label}: multiplier must be a number > 0`);
+    }
+
+    if (i === 0) {
+      if (band.min !== 0) errors.push(`${label}: first band must start at 0 sqft`);
+      return;
+    }
+
+    const prev = bands[i - 1];
+    if (band.min !== prev.max + 1) {
+      errors.push(`${label}: must start at ${prev.max + 1} (gap or overlap with previous band)`);
+    }
+    if (!band.customOnly && isNumber(prev.multiplier) && isNumber(band.multiplier) && band.multiplier < prev.multiplier) {
+      errors.push(`${label}: multiplier must not be lower than the previous band`);
+    }
+  });
+
+  if (requireUnboundedTail && bands[bands.length - 1].max !== Infinity) {
+    errors.push(`${path}: last band must be unbounded (max empty)`);
+  }
+}
+
+function validateFrequencyMultipliers(multipliers, path, errors) {
+  if (!Array.isArray(multipliers) || multipliers.length === 0) {
+    errors.push(`${path}: at least one frequency tier is required`);
+    return;
+  }
+
+  multipliers.forEach((freq, i) => {
+    const label = `${path}[${i}]`;
+    const isLast = i === multipliers.length - 1;
+
+    if (freq.maxVisits !== Infinity && (!isNumber(freq.maxVisits) || freq.maxVisits <= 0)) {
+      errors.push(`${label}: maxVisits must be a number > 0`);
+    }
+    if (freq.maxVisits === Infinity && !isLast) {
+      errors.push(`${label}: only the last tier can be unbounded`);
+    }
+    if (freq.customOnly) {
+      if (!isLast) errors.push(`${label}: only the last tier can be custom-only`);
+    } else if (!isNumber(freq.multiplier) || freq.multiplier <= 0) {
+      errors.push(`${label}: multiplier must be a number > 0`);
+    }
+
+    if (i > 0) {
+      const prev = multipliers[i - 1];
+      if (!(freq.maxVisits > prev.maxVisits)) {
+        errors.push(`${label}: maxVisits must be greater than the previous tier`);
+      }
+      if (!freq.customOnly && isNumber(prev.multiplier) && isNumber(freq.multiplier) && freq.multiplier < prev.multiplier) {
+        errors.push(`${label}: multiplier must not be lower than the previous tier`);
+      }
+    }
+  });
+}
+
+function validateScores(scores, path, errors) {
+  if (!scores || typeof scores !== 'object') {
+    errors.push(`${path}: is required`);
+    return;
+  }
+  for (const [key, value] of Object.entries(scores)) {
+    if (!isNumber(value) || value < 0 || value > 1) {
+      errors.push(`${path}.${key}: must be a number between 0 and 1`);
+    }
+  }
+}
+
+function validateComplexityFactors(factors, path, errors) {
+  if (!factors || typeof factors !== 'object') {
+    errors.push(`${path}: is required`);
+    return;
+  }
+  validateScores(factors.flooring, `${path}.flooring`, errors);
+  validateScores(factors.urgency, `${path}.urgency`, errors);
+  for (const key of ['after_hours', 'supplies_included']) {
+    if (!isNumber(factors[key]) || factors[key] < 0 || factors[key] > 1) {
+      errors.push(`${path}.${key}: must be a number between 0 and 1`);
+    }
+  }
+}
+
+function validateCap(value, path, errors) {
+  if (!isNumber(value) || value < 0 || value > 1) {
+    errors.push(`${path}: must be a number between 0 and 1`);
+  }
+}
+
+function validateTiers(tiers, recommendedTier, errors) {
+  if (!Array.isArray(tiers) || tiers.length < 2 || tiers.length > 3) {
+    errors.push('tiers: must list two or three tiers');
+    return;
+  }
+  const keys = new Set();
+  tiers.forEach((tier, i) => {
+    const path = `tiers[${i}]`;
+    if (!tier.key || !tier.name) {
+      errors.push(`${path}: key and name are required`);
+    }
+    if (keys.has(tier.key)) {
+      errors.push(`${path}: duplicate key "${tier.key}"`);
+    }
+    keys.add(tier.key);
+    if (!tier.overrides || typeof tier.overrides !== 'object') {
+      errors.push(`${path}.overrides: must be an object of calculator inputs`);
+    }
+    if (tier.scope !== undefined && !Array.isArray(tier.scope)) {
+      errors.push(`${path}.scope: must be a list`);
+    }
+  });
+  if (recommendedTier !== undefined && !keys.has(recommendedTier)) {
+    errors.push(`recommendedTier: "${recommendedTier}" is not a tier key`);
+  }
+}
+
+function validateLabor(labor, errors) {
+  if (!labor || typeof labor !== 'object') {
+    errors.push('labor: must be an object');
+    return;
+  }
+  const positive = ['hourlyCost', 'maxHoursPerCleaner'];
+  const nonNegative = [
+    'afterHoursPremium', 'minutesPerWashroom', 'minutesPerTreatmentRoom', 'minutesPerReception',
+    'minutesPerKitchen', 'disinfectionTimeFactor', 'setupMinutesPerVisit', 'suppliesCostPerVisit',
+    'consumablesCostPerWashroomVisit'
+  ];
+  positive.forEach(key => {
+    if (!isNumber(labor[key]) || labor[key] <= 0) errors.push(`labor.${key}: must be a number > 0`);
+  });
+  nonNegative.forEach(key => {
+    if (!isNumber(labor[key]) || labor[key] < 0) errors.push(`labor.${key}: must be a number >= 0`);
+  });
+  if (!labor.sqftPerHour?.default) {
+    errors.push('labor.sqftPerHour.default: is required');
+  }
+  for (const [serviceType, rates] of Object.entries(labor.sqftPerHour || {})) {
+    for (const [flooring, rate] of Object.entries(rates || {})) {
+      if (!isNumber(rate) || rate <= 0) errors.push(`labor.sqftPerHour.${serviceType}.${flooring}: must be a number > 0`);
+    }
+  }
+  validateCap(labor.marginFloorPct, 'labor.marginFloorPct', errors);
+  validateCap(labor.marginBlockPct, 'labor.marginBlockPct', errors);
+  if (isNumber(labor.marginFloorPct) && isNumber(labor.marginBlockPct) && labor.marginBlockPct > labor.marginFloorPct) {
+    errors.push('labor.marginBlockPct: must not be above marginFloorPct');
+  }
+}
+
+function validateDiscounts(discounts, errors) {
+  if (!discounts || typeof discounts !== 'object') {
+    errors.push('discounts: must be an object');
+    return;
+  }
+  validateCap(discounts.managerApprovalPct, 'discounts.managerApprovalPct', errors);
+  validateCap(discounts.adminApprovalPct, 'discounts.adminApprovalPct', errors);
+  if (isNumber(discounts.managerApprovalPct) && isNumber(discounts.adminApprovalPct) &&
+      discounts.adminApprovalPct < discounts.managerApprovalPct) {
+    errors.push('discounts.adminApprovalPct: must not be below managerApprovalPct');
+  }
+}
+
+/**
+ * Validate a pricebook config before it is published
+ * @param {Object} config - Hydrated pricebook config (QUOTE_CONFIG shape)
+ * @returns {{ valid: boolean, errors: Array<string> }}
+ */
+export function validatePricebookConfig(config) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object') {
+    return { valid: false, errors: ['Pricebook config is required'] };
+  }
+
+  const serviceTypes = Object.keys(config.basePrices || {});
+  if (serviceTypes.length === 0) {
+    errors.push('basePrices: at least one service type is required');
+  }
+  for (const serviceType of serviceTypes) {
+    const price = config.basePrices[serviceType];
+    if (!isNumber(price) || price <= 0) {
+      errors.push(`basePrices.${serviceType}: must be a number > 0`);
+    }
+    const minimum = config.minimumMonthly?.[serviceType];
+    if (!isNumber(minimum) || minimum < 0) {
+      errors.push(`minimumMonthly.${serviceType}: must be a number >= 0`);
+    }
+  }
+
+  validateSqftBands(config.sqftBands, 'sqftBands', errors, { requireUnboundedTail: true });
+  validateFrequencyMultipliers(config.frequencyMultipliers, 'frequencyMultipliers', errors);
+  validateScores(config.touchpointScores, 'touchpointScores', errors);
+  validateCap(config.touchpointMax, 'touchpointMax', errors);
+  validateComplexityFactors(config.complexityFactors, 'complexityFactors', errors);
+  validateCap(config.complexityMax, 'complexityMax', errors);
+
+  if (!isNumber(config.hstRate) || config.hstRate < 0 || config.hstRate >= 1) {
+    errors.push('hstRate: must be a number between 0 and 1');
+  }
+  if (!isNumber(config.walkthroughTriggers?.maxTreatmentRooms) ||
+      !Array.isArray(config.walkthroughTriggers?.customKeywords)) {
+    errors.push('walkthroughTriggers: maxTreatmentRooms and customKeywords are required');
+  }
+  if (!isNumber(config.quoteValidForDays) || config.quoteValidForDays <= 0) {
+    errors.push('quoteValidForDays: must be a number > 0');
+  }
+  if (!isNumber(config.rounding?.monthly) || config.rounding.monthly <= 0 ||
+      !isNumber(config.rounding?.perVisit) || config.rounding.perVisit <= 0) {
+    errors.push('rounding: monthly and perVisit must be numbers > 0');
+  }
+
+  if (config.tiers !== undefined) {
+    validateTiers(config.tiers, config.recommendedTier, errors);
+  }
+  if (config.labor !== undefined) {
+    validateLabor(config.labor, errors);
+  }
+  if (config.discounts !== undefined) {
+    validateDiscounts(config.discounts, errors);
+  }
+
+  for (const [serviceType, overrides] of Object.entries(config.serviceSpecific || {})) {
+    const path = `serviceSpecific.${serviceType}`;
+    if (!serviceTypes.includes(serviceType)) {
+      errors.push(`${path}: no base price for this service type`);
+    }
+    if (overrides.sqftBands) {
+      validateSqftBands(overrides.sqftBands, `${path}.sqftBands`, errors, { requireUnboundedTail: false });
+    }
+    if (overrides.frequencyMultipliers) {
+      validateFrequencyMultipliers(overrides.frequencyMultipliers, `${path}.frequencyMultipliers`, errors);
+    }
+    if (overrides.touchpointScores) {
+      validateScores(overrides.touchpointScores, `${path}.touchpointScores`, errors);
+    }
+    if (overrides.touchpointMax !== undefined) {
+      validateCap(overrides.touchpointMax, `${path}.touchpointMax`, errors);
+    }
+    if (overrides.complexityFactors) {
+      validateComplexityFactors(overrides.complexityFactors, `${path}.complexityFactors`, errors);
+    }
+    if (overrides.complexityMax !== undefined) {
+      validateCap(overrides.complexityMax, `${path}.complexityMax`, errors);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
@@ -0,0 +1,251 @@
+/**
+ * Pricing Simulator
+ * Runs the quote engine over a batch of scenarios under two pricebook versions and
+ * compares the results. Used by the Settings pricing simulator and simulate-pricing.js.
+ */
+
+import { calculateQuote } from './calculator.js';
+
+// CSV columns the calculator understands, by type; anything else is ignored
+const NUMBER_COLUMNS = ['sqft_estimate', 'frequency_per_month', 'num_washrooms', 'num_treatment_rooms', 'urgency_start_days'];
+const BOOLEAN_COLUMNS = ['has_reception', 'has_kitchen', 'after_hours_required', 'supplies_included', 'high_touch_disinfection', 'tax_exempt'];
+const TEXT_COLUMNS = ['service_type', 'flooring', 'notes', 'tax_country', 'tax_region'];
+
+export const SCENARIO_COLUMNS = Object.freeze(['label', ...TEXT_COLUMNS, ...NUMBER_COLUMNS, ...BOOLEAN_COLUMNS]);
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Split CSV text into rows of fields (RFC 4180 quoting)
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+function splitCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+function parseBoolean(value) {
+  const normalized = String(value).trim().toLowerCase();
+  if (['true', 'yes', 'y', '1'].includes(normalized)) return true;
+  if (['false', 'no', 'n', '0'].includes(normalized)) return false;
+  return undefined;
+}
+
+/**
+ * Parse a CSV of quote inputs (one scenario per row, header row first)
+ * Blank cells are left out so the calculator's defaults apply.
+ * @param {string} text - CSV with a header naming calculator inputs (see SCENARIO_COLUMNS)
+ * @returns {Array<{ label: string, inputs: Object }>}
+ * @throws {Error} When there is no header or no service_type column
+ */
+export function parseScenarioCsv(text) {
+  const [header, ...rows] = splitCsv(String(text || '').replace(/^\uFEFF/, ''));
+  if (!header) throw new Error('The CSV is empty');
+
+  const columns = header.map(name => name.trim().toLowerCase());
+  if (!columns.includes('service_type')) {
+    throw new Error('The CSV needs a service_type column');
+  }
+
+  return rows.map((fields, index) => {
+    const inputs = {};
+    let label = '';
+    columns.forEach((column, columnIndex) => {
+      const value = (fields[columnIndex] ?? '').trim();
+      if (value === '') return;
+      if (column === 'label') label = value;
+      else if (NUMBER_COLUMNS.includes(column)) inputs[column] = Number(value);
+      else if (BOOLEAN_COLUMNS.includes(column)) {
+        const parsed = parseBoolean(value);
+        if (parsed !== undefined) inputs[column] = parsed;
+      } else if (TEXT_COLUMNS.includes(column)) inputs[column] = value;
+    });
+    return { label: label || `Row ${index + 1}`, inputs };
+  });
+}
+
+/**
+ * Build scenarios from active service agreements and the revisions they were accepted from
+ * @param {Array<Object>} agreements - service_agreements rows with quote_id, revision_number and optional site_name
+ * @param {Array<Object>} revisions - quote_revisions rows with quote_id, revision_number, quote_calculation_inputs
+ * @returns {{ scenarios: Array<{ label: string, inputs: Object }>, skipped: number }} skipped = agreements with no stored engine inputs
+ */
+export function contractScenarios(agreements, revisions) {
+  const inputsByRevision = new Map(
+    (revisions || []).map(revision => [`${revision.quote_id}:${revision.revision_number}`, revision.quote_calculation_inputs])
+  );
+
+  const scenarios = [];
+  let skipped = 0;
+  (agreements || []).forEach(agreement => {
+    const inputs = inputsByRevision.get(`${agreement.quote_id}:${agreement.revision_number}`);
+    if (!inputs?.service_type) {
+      skipped++;
+      return;
+    }
+    scenarios.push({ label: agreement.site_name || `Agreement ${agreement.id}`, inputs });
+  });
+  return { scenarios, skipped };
+}
+
+/**
+ * Price one scenario under one pricebook
+ * below_minimum means the engine price fell under minimumMonthly and was raised to the floor.
+ * @param {Object} inputs - Calculator inputs
+ * @param {Object} pricebook - Hydrated pricebook
+ * @returns {{ status: string, monthly: number|null, walkthrough_required: boolean, below_minimum: boolean, error: string|null }}
+ */
+export function priceScenario(inputs, pricebook) {
+  try {
+    const result = calculateQuote(inputs, pricebook);
+    if (result.status !== 'quote') {
+      return { status: result.status, monthly: null, walkthrough_required: true, below_minimum: false, error: null };
+    }
+
+    const breakdown = result.calculation_breakdown;
+    const unfloored = breakdown.base_price *
+      breakdown.sqft_band_multiplier *
+      breakdown.frequency_multiplier *
+      breakdown.touchpoint_multiplier *
+      breakdown.complexity_multiplier;
+    const minimum = Number(pricebook.config.minimumMonthly?.[inputs.service_type]) || 0;
+
+    return {
+      status: result.status,
+      monthly: result.monthly_price_ex_hst,
+      walkthrough_required: Boolean(result.walkthrough_required),
+      below_minimum: unfloored < minimum,
+      error: null
+    };
+  } catch (error) {
+    return { status: 'error', monthly: null, walkthrough_required: false, below_minimum: false, error: error.message };
+  }
+}
+
+/**
+ * Compare a batch of scenarios under two pricebooks
+ * @param {Array<{ label: string, inputs: Object }>} scenarios
+ * @param {Object} basePricebook - Hydrated pricebook to compare from
+ * @param {Object} comparePricebook - Hydrated pricebook to compare to
+ * @returns {{ rows: Array<Object>, summary: Object }}
+ */
+export function simulatePricing(scenarios, basePricebook, comparePricebook) {
+  const rows = (scenarios || []).map((scenario, index) => {
+    const base = priceScenario(scenario.inputs, basePricebook);
+    const compare = priceScenario(scenario.inputs, comparePricebook);
+    const priced = base.monthly !== null && compare.monthly !== null;
+    const change = priced ? roundMoney(compare.monthly - base.monthly) : null;
+
+    return {
+      row: index + 1,
+      label: scenario.label,
+      service_type: scenario.inputs.service_type || null,
+      base,
+      compare,
+      change,
+      change_pct: priced && base.monthly > 0 ? Math.round((change / base.monthly) * 10000) / 10000 : null
+    };
+  });
+
+  return { rows, summary: summarizeSimulation(rows, basePricebook, comparePricebook) };
+}
+
+/**
+ * Totals for a simulation: average change, walkthrough threshold crossings and minimum-floor hits
+ * @param {Array<Object>} rows - simulatePricing() rows
+ * @param {Object} basePricebook
+ * @param {Object} comparePricebook
+ * @returns {Object}
+ */
+export function summarizeSimulation(rows, basePricebook, comparePricebook) {
+  const priced = rows.filter(row => row.change !== null);
+  const withPct = priced.filter(row => row.change_pct !== null);
+  const baseTotal = roundMoney(priced.reduce((sum, row) => sum + row.base.monthly, 0));
+  const compareTotal = roundMoney(priced.reduce((sum, row) => sum + row.compare.monthly, 0));
+
+  return {
+    base_version: basePricebook.version,
+    compare_version: comparePricebook.version,
+    scenarios: rows.length,
+    priced: priced.length,
+    errors: rows.filter(row => row.base.error || row.compare.error).length,
+    increased: priced.filter(row => row.change > 0).length,
+    decreased: priced.filter(row => row.change < 0).length,
+    unchanged: priced.filter(row => row.change === 0).length,
+    average_change: priced.length > 0 ? roundMoney((compareTotal - baseTotal) / priced.length) : 0,
+    average_change_pct: withPct.length > 0
+      ? Math.round((withPct.reduce((sum, row) => sum + row.change_pct, 0) / withPct.length) * 10000) / 10000
+      : 0,
+    base_monthly_total: baseTotal,
+    compare_monthly_total: compareTotal,
+    walkthrough_base: rows.filter(row => row.base.walkthrough_required).length,
+    walkthrough_compare: rows.filter(row => row.compare.walkthrough_required).length,
+    newly_walkthrough: rows.filter(row => !row.base.walkthrough_required && row.compare.walkthrough_required).length,
+    no_longer_walkthrough: rows.filter(row => row.base.walkthrough_required && !row.compare.walkthrough_required && !row.compare.error).length,
+    below_minimum_base: rows.filter(row => row.base.below_minimum).length,
+    below_minimum_compare: rows.filter(row => row.compare.below_minimum).length,
+    newly_below_minimum: rows.filter(row => !row.base.below_minimum && row.compare.below_minimum).length
+  };
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Per-row comparison as CSV
+ * @param {Array<Object>} rows - simulatePricing() rows
+ * @returns {string}
+ */
+export function simulationToCsv(rows) {
+  const header = [
+    'row', 'label', 'service_type',
+    'base_status', 'base_monthly', 'base_walkthrough', 'base_below_minimum',
+    'compare_status', 'compare_monthly', 'compare_walkthrough', 'compare_below_minimum',
+    'change', 'change_pct', 'error'
+  ];
+  const lines = rows.map(row => [
+    row.row, row.label, row.service_type,
+    row.base.status, row.base.monthly, row.base.walkthrough_required, row.base.below_minimum,
+    row.compare.status, row.compare.monthly, row.compare.walkthrough_required, row.compare.below_minimum,
+    row.change, row.change_pct, row.base.error || row.compare.error
+  ].map(csvField).join(','));
+  return [header.join(','), ...lines].join('\n') + '\n';
+}
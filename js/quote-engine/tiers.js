@@ -0,0 +1,131 @@
+/**
+ * Good / Better / Best tiered packages
+ * Re-prices the client's inputs once per pricebook tier so every package
+ * carries its own price, taxes, line items and scope
+ */
+
+import { calculateQuote, getScopeBullets } from './calculator.js';
+import { PRICEBOOK_DEFAULTS } from './config.js';
+import { getBuiltinPricebook } from './pricebook.js';
+
+/**
+ * Tier definitions for a pricebook (older pricebooks fall back to the built-in tiers)
+ * @param {Object} config - Pricebook config
+ * @returns {{ tiers: Array<Object>, recommendedTier: string }}
+ */
+export function getTierDefinitions(config) {
+  if (Array.isArray(config?.tiers) && config.tiers.length > 0) {
+    return { tiers: config.tiers, recommendedTier: config.recommendedTier };
+  }
+  return { tiers: PRICEBOOK_DEFAULTS.tiers, recommendedTier: PRICEBOOK_DEFAULTS.recommendedTier };
+}
+
+/**
+ * Calculate tiered packages from quote inputs
+ * A tier that prices the same as the tier below it adds nothing for this client
+ * (e.g. disinfection is already standard for healthcare) and is dropped, so the
+ * result holds two or three distinct packages, or one if nothing differs.
+ * @param {Object} inputs - Quote input parameters (see calculateQuote)
+ * @param {Object} [pricebook] - Pricebook to price against
+ * @returns {Object} { status, tiers, recommended_tier, walkthrough_required, pricebook_id, pricebook_version }
+ */
+export function calculateTieredQuote(inputs, pricebook = getBuiltinPricebook()) {
+  const { tiers: definitions, recommendedTier } = getTierDefinitions(pricebook.config);
+  const tiers = [];
+  let walkthroughRequired = false;
+
+  for (const definition of definitions) {
+    const tierInputs = { ...inputs, ...definition.overrides };
+    const result = calculateQuote(tierInputs, pricebook);
+
+    if (result.status !== 'quote') {
+      // Same walkthrough trigger applies to every tier
+      return { ...result, tiers: [], recommended_tier: null };
+    }
+
+    walkthroughRequired = walkthroughRequired || result.walkthrough_required;
+
+    const previous = tiers[tiers.length - 1];
+    if (previous && previous.monthly_price_ex_hst === result.monthly_price_ex_hst) {
+      continue;
+    }
+
+    const scope = [...getScopeBullets(inputs.service_type, tierInputs)];
+    (definition.scope || []).forEach(bullet => {
+      if (!scope.includes(bullet)) scope.push(bullet);
+    });
+
+    tiers.push({
+      key: definition.key,
+      name: definition.name,
+      description: definition.description || '',
+      scope,
+      inputs: tierInputs,
+      monthly_price_ex_hst: result.monthly_price_ex_hst,
+      hst_amount: result.hst_amount,
+      monthly_price_inc_hst: result.monthly_price_inc_hst,
+      per_visit_price: result.per_visit_price,
+      tax_lines: result.tax_lines,
+      tax_jurisdiction: result.tax_jurisdiction,
+      line_items: result.line_items,
+      labor_estimate: result.labor_estimate,
+      margin: result.margin
+    });
+  }
+
+  const recommended = tiers.find(tier => tier.key === recommendedTier) || tiers[Math.min(1, tiers.length - 1)];
+
+  return {
+    status: 'quote',
+    tiers,
+    recommended_tier: recommended ? recommended.key : null,
+    walkthrough_required: walkthroughRequired,
+    pricebook_id: pricebook.id || null,
+    pricebook_version: pricebook.version
+  };
+}
+
+/**
+ * Tier summaries stored on quote_revisions.tier_options
+ * @param {Object} tieredResult - Result of calculateTieredQuote()
+ * @returns {Array<Object>} [{ key, name, description, scope, subtotal, tax, total, tax_lines, tax_jurisdiction, per_visit_price, recommended }]
+ */
+export function toRevisionTierOptions(tieredResult) {
+  return (tieredResult.tiers || []).map(tier => ({
+    key: tier.key,
+    name: tier.name,
+    description: tier.description,
+    scope: tier.scope,
+    subtotal: tier.monthly_price_ex_hst,
+    tax: tier.hst_amount,
+    total: tier.monthly_price_inc_hst,
+    tax_lines: tier.tax_lines,
+    tax_jurisdiction: tier.tax_jurisdiction,
+    per_visit_price: tier.per_visit_price,
+    recommended: tier.key === tieredResult.recommended_tier
+  }));
+}
+
+/**
+ * Line items for every tier, tagged with their tier key
+ * @param {Object} tieredResult - Result of calculateTieredQuote()
+ * @returns {Array<Object>} Line items for saveRevision()
+ */
+export function toTieredLineItems(tieredResult) {
+  return (tieredResult.tiers || []).flatMap(tier =>
+    (tier.line_items || []).map(item => ({ ...item, tier: tier.key }))
+  );
+}
+
+/**
+ * Find the tier a client picked, or the recommended one
+ * @param {Array<Object>} tierOptions - quote_revisions.tier_options
+ * @param {string} [tierKey] - Selected tier key
+ * @returns {Object|null} Tier option
+ */
+export function resolveTierOption(tierOptions, tierKey) {
+  if (!Array.isArray(tierOptions) || tierOptions.length === 0) return null;
+  return tierOptions.find(tier => tier.key === tierKey) ||
+    tierOptions.find(tier => tier.recommended) ||
+    tierOptions[0];
+}
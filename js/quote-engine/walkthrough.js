@@ -0,0 +1,142 @@
+/**
+ * Walkthrough Measurements
+ * Rooms and zones captured on a site walkthrough, rolled up into the measured inputs
+ * stored on quote_walkthroughs and the calculator inputs of the final quote
+ */
+
+export const ROOM_TYPES = Object.freeze({
+  office: 'Office',
+  open_area: 'Open Area',
+  washroom: 'Washroom',
+  kitchen: 'Kitchen / Break Room',
+  reception: 'Reception',
+  treatment_room: 'Treatment Room',
+  hallway: 'Hallway / Stairs',
+  storage: 'Storage',
+  other: 'Other'
+});
+
+export const ROOM_FLOORING = Object.freeze({
+  hard: 'Hard floor',
+  carpet: 'Carpet',
+  mixed: 'Mixed'
+});
+
+export const FIXTURE_TYPES = Object.freeze({
+  toilets: 'Toilets',
+  urinals: 'Urinals',
+  sinks: 'Sinks',
+  showers: 'Showers',
+  appliances: 'Appliances',
+  windows: 'Interior windows'
+});
+
+// Share of the measured floor area one covering needs before the site counts as "mostly" that
+const MOSTLY_FLOORING_SHARE = 0.7;
+
+/**
+ * Check a room before it is saved
+ * @param {Object} room - { name, room_type, sqft, flooring, fixtures }
+ * @returns {Array<string>} Problems, empty when the room is valid
+ */
+export function validateRoom(room) {
+  const errors = [];
+  if (!room?.name || !String(room.name).trim()) {
+    errors.push('Give the room a name');
+  }
+  if (!Object.prototype.hasOwnProperty.call(ROOM_TYPES, room?.room_type)) {
+    errors.push('Choose a room type');
+  }
+  if (room?.sqft !== null && room?.sqft !== undefined && room.sqft !== '' && !(Number(room.sqft) >= 0)) {
+    errors.push('Square footage cannot be negative');
+  }
+  if (room?.flooring && !Object.prototype.hasOwnProperty.call(ROOM_FLOORING, room.flooring)) {
+    errors.push('Choose a flooring type');
+  }
+  const badFixture = Object.entries(room?.fixtures || {}).find(([, count]) => !(Number(count) >= 0));
+  if (badFixture) {
+    errors.push(`${FIXTURE_TYPES[badFixture[0]] || badFixture[0]} cannot be negative`);
+  }
+  return errors;
+}
+
+/**
+ * Site-level flooring for the calculator, weighted by room area
+ * @param {Array<Object>} rooms
+ * @returns {string|null} mostly_hard, mostly_carpet, mixed, or null when no room has flooring and area
+ */
+export function dominantFlooring(rooms) {
+  let hard = 0;
+  let carpet = 0;
+  (rooms || []).forEach(room => {
+    const sqft = Number(room.sqft) || 0;
+    if (room.flooring === 'hard') hard += sqft;
+    else if (room.flooring === 'carpet') carpet += sqft;
+    else if (room.flooring === 'mixed') {
+      hard += sqft / 2;
+      carpet += sqft / 2;
+    }
+  });
+
+  const total = hard + carpet;
+  if (total <= 0) return null;
+  if (hard / total >= MOSTLY_FLOORING_SHARE) return 'mostly_hard';
+  if (carpet / total >= MOSTLY_FLOORING_SHARE) return 'mostly_carpet';
+  return 'mixed';
+}
+
+/**
+ * Roll the captured rooms up into quote_walkthroughs.measured_inputs
+ * Keeps the legacy sqft/washrooms/kitchens keys alongside the room detail.
+ * @param {Array<Object>} rooms - quote_walkthrough_rooms rows
+ * @returns {Object} measured_inputs
+ */
+export function rollupWalkthroughRooms(rooms) {
+  const list = rooms || [];
+  const countOf = (type) => list.filter(room => room.room_type === type).length;
+  const fixtures = {};
+  list.forEach(room => {
+    Object.entries(room.fixtures || {}).forEach(([key, count]) => {
+      fixtures[key] = (fixtures[key] || 0) + (Number(count) || 0);
+    });
+  });
+
+  const zones = [...new Set(list.map(room => room.zone).filter(Boolean))];
+  const accessNotes = list
+    .filter(room => room.access_notes && String(room.access_notes).trim())
+    .map(room => ({ room: room.name, zone: room.zone || null, note: String(room.access_notes).trim() }));
+
+  return {
+    sqft: Math.round(list.reduce((sum, room) => sum + (Number(room.sqft) || 0), 0)),
+    washrooms: countOf('washroom'),
+    kitchens: countOf('kitchen'),
+    treatment_rooms: countOf('treatment_room'),
+    has_reception: countOf('reception') > 0,
+    flooring: dominantFlooring(list),
+    fixtures,
+    zones,
+    room_count: list.length,
+    photo_count: list.reduce((sum, room) => sum + (room.photo_urls || []).length, 0),
+    access_notes: accessNotes
+  };
+}
+
+/**
+ * Calculator inputs of the final quote: the draft's inputs with the measured values on top
+ * @param {Object} inputs - quote_calculation_inputs of the draft revision
+ * @param {Object} [measured] - quote_walkthroughs.measured_inputs
+ * @returns {Object}
+ */
+export function applyMeasuredInputs(inputs, measured) {
+  if (!measured) return { ...inputs };
+  const merged = { ...inputs };
+
+  if (Number(measured.sqft) > 0) merged.sqft_estimate = Number(measured.sqft);
+  if (measured.washrooms !== undefined) merged.num_washrooms = Number(measured.washrooms) || 0;
+  if (measured.kitchens !== undefined) merged.has_kitchen = Number(measured.kitchens) > 0;
+  if (measured.treatment_rooms !== undefined) merged.num_treatment_rooms = Number(measured.treatment_rooms) || 0;
+  if (measured.has_reception !== undefined) merged.has_reception = Boolean(measured.has_reception);
+  if (measured.flooring) merged.flooring = measured.flooring;
+
+  return merged;
+}
@@ -3,6 +3,11 @@
 
 import { supabase } from './supabase.js';
 import * as quotesModule from './quotes.js';
+import { formatTaxLineLabel } from './tax-engine/calculator.js';
+import { SignaturePad, renderTypedSignature } from './signature-pad.js';
+import { escapeHtml } from './escape-html.js';
+import { resolveTierOption } from './quote-engine/tiers.js';
+import { diffRevisions, renderRevisionDiff } from './quote-revision-diff.js';
 
 // Get token from URL
 const urlParams = new URLSearchParams(window.location.search);
@@ -11,6 +16,9 @@ const token = urlParams.get('token') || window.location.pathname.split('/').pop(
 let currentRevision = null;
 let quoteId = null;
 let revisionNumber = null;
+let signaturePad = null;
+let signatureMode = 'drawn';
+let selectedTierKey = null;
 
 // Initialize
 document.addEventListener('DOMContentLoaded', async () => {
@@ -151,28 +159,10 @@ function renderFinalQuote(revision) {
     </div>
   `;
 
-  // Line items
-  const tbody = document.getElementById('final-line-items');
-  if (revision.lineItems && revision.lineItems.length > 0) {
-    tbody.innerHTML = revision.lineItems.map(item => `
-      <tr>
-        <td class="px-4 py-3">
-          <div class="font-medium text-gray-900 dark:text-gray-100">${item.name || 'Item'}</div>
-          ${item.description ? `<div class="text-sm text-gray-500 dark:text-gray-400">${item.description}</div>` : ''}
-        </td>
-        <td class="px-4 py-3 text-right text-gray-700 dark:text-gray-300">${Number(item.quantity || 1).toLocaleString()}</td>
-        <td class="px-4 py-3 text-right text-gray-700 dark:text-gray-300">$${Number(item.unit_price || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}</td>
-        <td class="px-4 py-3 text-right font-medium text-gray-900 dark:text-gray-100">$${Number(item.line_total || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}</td>
-      </tr>
-    `).join('');
-  } else {
-    tbody.innerHTML = '<tr><td colspan="4" class="px-4 py-3 text-center text-gray-500">No line items</td></tr>';
-  }
-
-  // Totals
-  document.getElementById('final-subtotal').textContent = `$${Number(revision.subtotal || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}`;
-  document.getElementById('final-tax').textContent = `$${Number(revision.tax || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}`;
-  document.getElementById('final-total').textContent = `$${Number(revision.total || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}`;
+  // Packages, line items and totals
+  selectedTierKey = revision.selected_tier || resolveTierOption(revision.tier_options, null)?.key || null;
+  renderFinalPricing(revision);
+  renderChangesSincePrevious(revision);
 
   // Terms
   const termsDiv = document.getElementById('final-terms');
@@ -196,7 +186,7 @@ function renderFinalQuote(revision) {
     document.getElementById('quote-status-badge').innerHTML = `
       <div class="inline-flex items-center px-4 py-2 bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200 rounded-lg">
         <i data-lucide="check-circle" class="w-5 h-5 mr-2"></i>
-        Accepted on ${new Date(revision.accepted_at).toLocaleDateString()}
+        ${revision.accepted_by_name ? `Signed by ${escapeHtml(revision.accepted_by_name)} on` : 'Accepted on'} ${new Date(revision.accepted_at).toLocaleDateString()}
       </div>
     `;
   } else if (revision.declined_at) {
@@ -213,6 +203,7 @@ function renderFinalQuote(revision) {
   // Event listeners
   document.getElementById('accept-quote-btn').addEventListener('click', () => {
     document.getElementById('accept-quote-modal').classList.remove('hidden');
+    initSignatureCapture();
   });
 
   document.getElementById('decline-quote-btn').addEventListener('click', () => {
@@ -229,20 +220,36 @@ function renderFinalQuote(revision) {
   });
 
   document.getElementById('confirm-accept-btn').addEventListener('click', async () => {
-    const name = document.getElementById('accept-name').value;
-    const email = document.getElementById('accept-email').value;
+    const name = document.getElementById('accept-name').value.trim();
+    const email = document.getElementById('accept-email').value.trim();
+    const title = /** @type {HTMLInputElement} */ (document.getElementById('accept-title')).value.trim();
     const acknowledged = document.getElementById('accept-acknowledge').checked;
+    const typedSignature = /** @type {HTMLInputElement} */ (document.getElementById('signature-typed')).value.trim();
 
     if (!name || !email || !acknowledged) {
       alert('Please fill in all required fields and acknowledge the agreement');
       return;
     }
 
+    if (signatureMode === 'drawn' ? signaturePad?.isEmpty() !== false : !typedSignature) {
+      alert('Please sign before accepting');
+      return;
+    }
+
+    const confirmBtn = /** @type {HTMLButtonElement} */ (document.getElementById('confirm-accept-btn'));
+    confirmBtn.disabled = true;
+
     try {
       await quotesModule.acceptFinalQuote(quoteId, revisionNumber, {
+        token,
         name,
         email,
-        ip: await getClientIP()
+        title,
+        method: signatureMode,
+        typedSignature: signatureMode === 'typed' ? typedSignature : null,
+        signatureImage: signatureMode === 'drawn' ? signaturePad.toDataURL() : renderTypedSignature(typedSignature),
+        selectedTier: Array.isArray(currentRevision.tier_options) && currentRevision.tier_options.length > 1 ? selectedTierKey : null,
+        acknowledged
       });
 
       document.getElementById('accept-quote-modal').classList.add('hidden');
@@ -250,6 +257,8 @@ function renderFinalQuote(revision) {
     } catch (error) {
       console.error('[Quote Portal] Error accepting quote:', error);
       alert('Failed to accept quote. Please try again.');
+    } finally {
+      confirmBtn.disabled = false;
     }
   });
 
@@ -282,13 +291,163 @@ function renderFinalQuote(revision) {
   });
 }
 
+// Render package choices, then the line items and totals of the selected package
+function renderFinalPricing(revision) {
+  const tierOptions = Array.isArray(revision.tier_options) ? revision.tier_options : [];
+  const isTiered = tierOptions.length > 1;
+  const tier = isTiered ? resolveTierOption(tierOptions, selectedTierKey) : null;
+  const totals = tier || revision;
+  const lineItems = (revision.lineItems || []).filter(item => !tier || !item.tier || item.tier === tier.key);
+
+  const tierSection = document.getElementById('final-tier-section');
+  tierSection?.classList.toggle('hidden', !isTiered);
+  if (isTiered) {
+    const locked = !!(revision.accepted_at || revision.declined_at);
+    const container = document.getElementById('final-tier-options');
+    container.innerHTML = tierOptions.map(option => {
+      const selected = option.key === tier.key;
+      return `
+        <button type="button" data-tier-key="${escapeHtml(option.key)}" ${locked ? 'disabled' : ''}
+          class="tier-option text-left rounded-xl border-2 p-4 transition ${selected ? 'border-nfgblue bg-nfglight/40 dark:border-blue-500 dark:bg-blue-900/20' : 'border-nfgray dark:border-gray-700 hover:border-nfgblue/50'} ${locked && !selected ? 'opacity-50' : ''}">
+          <div class="flex items-center justify-between mb-1">
+            <span class="font-semibold text-gray-900 dark:text-gray-100">${escapeHtml(option.name)}</span>
+            ${option.recommended ? '<span class="text-xs px-2 py-0.5 bg-nfgblue text-white rounded-full">Recommended</span>' : ''}
+          </div>
+          <div class="text-2xl font-bold text-nfgblue dark:text-blue-400">$${Number(option.subtotal || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}</div>
+          <div class="text-xs text-gray-500 dark:text-gray-400 mb-2">per month + tax</div>
+          ${option.description ? `<p class="text-sm text-gray-600 dark:text-gray-400 mb-2">${escapeHtml(option.description)}</p>` : ''}
+          <ul class="text-sm text-gray-700 dark:text-gray-300 space-y-1">
+            ${(option.scope || []).map(item => `<li class="flex items-start gap-1"><span class="text-green-600">&#10003;</span><span>${escapeHtml(item)}</span></li>`).join('')}
+          </ul>
+        </button>
+      `;
+    }).join('');
+
+    if (!locked) {
+      container.querySelectorAll('.tier-option').forEach(btn => {
+        btn.addEventListener('click', () => {
+          selectedTierKey = /** @type {HTMLElement} */ (btn).dataset.tierKey;
+          renderFinalPricing(revision);
+        });
+      });
+    }
+  }
+
+  const tbody = document.getElementById('final-line-items');
+  if (lineItems && lineItems.length > 0) {
+    tbody.innerHTML = lineItems.map(item => `
+      <tr>
+        <td class="px-4 py-3">
+          <div class="font-medium text-gray-900 dark:text-gray-100">${item.name || 'Item'}</div>
+          ${item.description ? `<div class="text-sm text-gray-500 dark:text-gray-400">${item.description}</div>` : ''}
+        </td>
+        <td class="px-4 py-3 text-right text-gray-700 dark:text-gray-300">${Number(item.quantity || 1).toLocaleString()}</td>
+        <td class="px-4 py-3 text-right text-gray-700 dark:text-gray-300">$${Number(item.unit_price || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}</td>
+        <td class="px-4 py-3 text-right font-medium text-gray-900 dark:text-gray-100">$${Number(item.line_total || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}</td>
+      </tr>
+    `).join('');
+  } else {
+    tbody.innerHTML = '<tr><td colspan="4" class="px-4 py-3 text-center text-gray-500">No line items</td></tr>';
+  }
+
+  // Totals
+  document.getElementById('final-subtotal').textContent = `$${Number(totals.subtotal || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}`;
+  document.getElementById('final-tax').textContent = `$${Number(totals.tax || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}`;
+  renderFinalTaxLines(totals.tax_lines || []);
+  document.getElementById('final-total').textContent = `$${Number(totals.total || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}`;
+}
+
+// Show what changed since the previous revision the client was sent
+async function renderChangesSincePrevious(revision) {
+  const section = document.getElementById('final-changes-section');
+  if (!section || revision.revision_number <= 1) return;
+
+  const previous = await quotesModule.getPreviousSentRevision(quoteId, revision.revision_number);
+  if (!previous) return;
+
+  const diff = diffRevisions(previous.revision, previous.lineItems, revision, revision.lineItems || []);
+  if (!diff.has_changes) return;
+
+  const tierNames = Object.fromEntries(
+    [...(previous.revision.tier_options || []), ...(revision.tier_options || [])].map(tier => [tier.key, tier.name])
+  );
+  document.getElementById('final-changes-summary').textContent = `What changed since revision ${previous.revision.revision_number}`;
+  document.getElementById('final-changes').innerHTML = renderRevisionDiff(diff, { tierNames });
+  section.classList.remove('hidden');
+}
+
+// Show one row per tax (e.g. GST and QST) in place of the single tax row
+function renderFinalTaxLines(taxLines) {
+  const container = document.getElementById('final-tax-lines');
+  const singleRow = document.getElementById('final-tax-row');
+  if (!container) return;
+
+  container.innerHTML = '';
+  singleRow?.classList.toggle('hidden', taxLines.length > 0);
+
+  taxLines.forEach(line => {
+    const row = document.createElement('div');
+    row.className = 'flex justify-between text-gray-700 dark:text-gray-300';
+    const label = document.createElement('span');
+    label.textContent = `${formatTaxLineLabel(line)}:`;
+    const amount = document.createElement('span');
+    amount.textContent = `$${Number(line.amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}`;
+    row.append(label, amount);
+    container.appendChild(row);
+  });
+}
+
+// Set up the drawn/typed signature inputs once; the canvas is sized when the modal opens
+function initSignatureCapture() {
+  const canvas = /** @type {HTMLCanvasElement} */ (document.getElementById('signature-canvas'));
+  if (signaturePad) {
+    signaturePad.resize();
+    return;
+  }
+
+  signaturePad = new SignaturePad(canvas);
+
+  const drawBtn = document.getElementById('signature-mode-draw');
+  const typeBtn = document.getElementById('signature-mode-type');
+  const setMode = (mode) => {
+    signatureMode = mode;
+    document.getElementById('signature-draw-panel').classList.toggle('hidden', mode !== 'drawn');
+    document.getElementById('signature-type-panel').classList.toggle('hidden', mode !== 'typed');
+    drawBtn.classList.toggle('bg-nfgblue', mode === 'drawn');
+    drawBtn.classList.toggle('text-white', mode === 'drawn');
+    typeBtn.classList.toggle('bg-nfgblue', mode === 'typed');
+    typeBtn.classList.toggle('text-white', mode === 'typed');
+    if (mode === 'drawn') signaturePad.resize();
+  };
+
+  drawBtn.addEventListener('click', () => setMode('drawn'));
+  typeBtn.addEventListener('click', () => setMode('typed'));
+  document.getElementById('signature-clear-btn').addEventListener('click', () => signaturePad.clear());
+
+  const typedInput = /** @type {HTMLInputElement} */ (document.getElementById('signature-typed'));
+  typedInput.addEventListener('input', () => {
+    document.getElementById('signature-typed-preview').textContent = typedInput.value;
+  });
+
+  // Prefill the typed signature from the signer's name
+  const nameInput = /** @type {HTMLInputElement} */ (document.getElementById('accept-name'));
+  nameInput.addEventListener('input', () => {
+    if (!typedInput.dataset.edited) {
+      typedInput.value = nameInput.value;
+      document.getElementById('signature-typed-preview').textContent = nameInput.value;
+    }
+  });
+  typedInput.addEventListener('keydown', () => { typedInput.dataset.edited = 'true'; });
+}
+
 async function downloadPDF(token) {
   try {
+    const pdf = await quotesModule.getRevisionPDFByToken(token);
+    window.open(pdf.url, '_blank');
     await quotesModule.logPortalEvent(token, 'pdf_downloaded');
-    // TODO: Implement PDF download
-    alert('PDF download will be implemented');
   } catch (error) {
     console.error('[Quote Portal] Error downloading PDF:', error);
+    alert('Failed to download PDF. Please try again.');
   }
 }
 
@@ -324,16 +483,6 @@ function initializeExpiryTimer(expiresAt) {
   setInterval(updateTimer, 60000); // Update every minute
 }
 
-async function getClientIP() {
-  try {
-    const response = await fetch('https://api.ipify.org?format=json');
-    const data = await response.json();
-    return data.ip;
-  } catch (error) {
-    return null;
-  }
-}
-
 function showLoading() {
   document.getElementById('loading-state').classList.remove('hidden');
   document.getElementById('error-state').classList.add('hidden');
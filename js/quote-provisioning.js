@@ -0,0 +1,182 @@
+/**
+ * Quote Provisioning
+ * Turns an accepted quote revision into the service agreement, the first week of
+ * recurring jobs and the task list ops needs to start service.
+ * supabase/functions/_shared/quote-provisioning.ts has a copy for the sign-quote function; keep them in step.
+ */
+
+import { getScopeBullets } from './quote-engine/calculator.js';
+import { resolveTierOption } from './quote-engine/tiers.js';
+
+export const AGREEMENT_STATUSES = Object.freeze({
+  pendingReview: 'pending_review',
+  active: 'active',
+  cancelled: 'cancelled'
+});
+
+// Day offsets from the start date for each visit in the first week
+const WEEKLY_VISIT_OFFSETS = {
+  1: [0],
+  2: [0, 3],
+  3: [0, 2, 4],
+  4: [0, 1, 3, 4],
+  5: [0, 1, 2, 3, 4],
+  6: [0, 1, 2, 3, 4, 5],
+  7: [0, 1, 2, 3, 4, 5, 6]
+};
+
+/**
+ * Map a quoted visit frequency onto the recurring job patterns (weekly, biweekly, monthly)
+ * More than one visit a week becomes several weekly jobs in the same series.
+ * @param {number} frequencyPerMonth - Visits per month from the quote
+ * @returns {{ recurrence_pattern: string, visits_per_week: number }}
+ */
+export function recurrenceForFrequency(frequencyPerMonth) {
+  const frequency = Number(frequencyPerMonth) || 4;
+  if (frequency <= 1) return { recurrence_pattern: 'monthly', visits_per_week: 1 };
+  if (frequency <= 2) return { recurrence_pattern: 'biweekly', visits_per_week: 1 };
+  return {
+    recurrence_pattern: 'weekly',
+    visits_per_week: Math.min(7, Math.max(1, Math.round(frequency / 4.33)))
+  };
+}
+
+/**
+ * Job task titles for an accepted revision
+ * Uses the accepted package scope, then the engine scope bullets, then the line item descriptions.
+ * @param {Object} revision - Accepted quote_revisions row
+ * @param {Array} lineItems - quote_line_items of the revision
+ * @returns {Array<string>}
+ */
+export function buildScopeTasks(revision, lineItems = []) {
+  const tier = resolveTierOption(revision.tier_options, revision.selected_tier);
+  const inputs = revision.quote_calculation_inputs;
+
+  let titles = [];
+  if (tier?.scope?.length) {
+    titles = tier.scope;
+  } else if (inputs?.service_type) {
+    titles = getScopeBullets(inputs.service_type, inputs);
+  }
+
+  if (titles.length === 0) {
+    titles = lineItems
+      .filter(item => !item.tier || !tier || item.tier === tier.key)
+      .map(item => String(item.description || '').trim());
+  }
+
+  return [...new Set(titles.filter(Boolean))];
+}
+
+/**
+ * Checklist ops completes before the first visit is confirmed
+ * @param {Object|null} laborEstimate - quote_revisions.labor_estimate
+ * @returns {Array<{ key: string, label: string, done: boolean }>}
+ */
+export function buildReviewChecklist(laborEstimate = null) {
+  const crew = laborEstimate?.crew_size > 1 ? `${laborEstimate.crew_size} cleaners` : 'A cleaner';
+  return [
+    { key: 'site_details', label: 'Site address, access and alarm instructions verified', done: false },
+    { key: 'site_contact', label: 'On-site contact confirmed', done: false },
+    { key: 'first_visit', label: 'First visit date and time confirmed with the client', done: false },
+    { key: 'crew', label: `${crew} assigned to the first visit`, done: false },
+    { key: 'tasks', label: 'Job task list checked against the quoted scope', done: false },
+    { key: 'billing', label: 'Billing set up at the agreed monthly price', done: false }
+  ];
+}
+
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+// Last day of a contract term that starts on startDate
+function contractEndDate(startDate, termMonths) {
+  const end = new Date(`${startDate}T00:00:00Z`);
+  end.setUTCMonth(end.getUTCMonth() + Number(termMonths));
+  end.setUTCDate(end.getUTCDate() - 1);
+  return toDateString(end);
+}
+
+/**
+ * First service date: the proposed start date, or one week after acceptance
+ * @param {Object} revision - Accepted quote_revisions row
+ * @param {Date} [now]
+ * @returns {string} YYYY-MM-DD
+ */
+export function resolveStartDate(revision, now = new Date()) {
+  if (revision.start_date_proposed) return String(revision.start_date_proposed).split('T')[0];
+  const start = new Date(now);
+  start.setDate(start.getDate() + 7);
+  return toDateString(start);
+}
+
+/**
+ * Build everything provisioning writes for an accepted revision
+ * @param {Object} params
+ * @param {Object} params.quote - quotes row
+ * @param {Object} params.revision - Accepted quote_revisions row
+ * @param {Array} [params.lineItems] - quote_line_items of the revision
+ * @param {number|string} params.siteId - Site the service runs at
+ * @param {Date} [params.now]
+ * @returns {{ agreement: Object, jobs: Array<Object>, tasks: Array<string> }}
+ */
+export function buildProvisioningPlan({ quote, revision, lineItems = [], siteId, now = new Date() }) {
+  const inputs = revision.quote_calculation_inputs || {};
+  const frequency = Number(inputs.frequency_per_month) || 4;
+  const { recurrence_pattern, visits_per_week } = recurrenceForFrequency(frequency);
+  const tier = resolveTierOption(revision.tier_options, revision.selected_tier);
+
+  // Line items may carry no stored totals, so fall back to the engine price
+  const monthlyPrice = Number(revision.subtotal) > 0
+    ? Number(revision.subtotal)
+    : Number(revision.quote_calculation_outputs?.monthly_price_ex_hst) || 0;
+  const startDate = resolveStartDate(revision, now);
+  const laborEstimate = revision.labor_estimate || null;
+  const tierLabor = tier && Array.isArray(laborEstimate?.tiers)
+    ? laborEstimate.tiers.find(entry => entry.key === tier.key)
+    : null;
+  const hoursPerVisit = tierLabor?.hours_per_visit ?? laborEstimate?.hours_per_visit ?? null;
+
+  const agreement = {
+    quote_id: quote.id,
+    revision_number: revision.revision_number,
+    site_id: siteId,
+    deal_id: quote.deal_id || null,
+    selected_tier: tier?.key || null,
+    service_type: inputs.service_type || null,
+    frequency_per_month: frequency,
+    recurrence_pattern,
+    visits_per_week,
+    monthly_price: Math.round(monthlyPrice * 100) / 100,
+    per_visit_price: frequency > 0 ? Math.round((monthlyPrice / frequency) * 100) / 100 : null,
+    tax: Number(revision.tax) || 0,
+    monthly_total: Number(revision.total) || Math.round(monthlyPrice * 100) / 100,
+    currency: quote.currency || 'CAD',
+    contract_term_months: revision.contract_term_months || null,
+    start_date: startDate,
+    end_date: revision.contract_term_months ? contractEndDate(startDate, revision.contract_term_months) : null,
+    status: AGREEMENT_STATUSES.pendingReview,
+    review_checklist: buildReviewChecklist(laborEstimate)
+  };
+
+  const title = revision.scope_summary || `${tier ? `${tier.name} ` : ''}Cleaning Service`;
+  const start = new Date(`${startDate}T00:00:00Z`);
+  const offsets = recurrence_pattern === 'weekly' ? WEEKLY_VISIT_OFFSETS[visits_per_week] : [0];
+  const jobs = offsets.map(offset => {
+    const date = new Date(start);
+    date.setUTCDate(date.getUTCDate() + offset);
+    return {
+      title,
+      site_id: siteId,
+      job_type: 'cleaning',
+      description: revision.assumptions || null,
+      scheduled_date: toDateString(date),
+      frequency: 'recurring',
+      recurrence_pattern,
+      status: 'pending',
+      estimated_hours: hoursPerVisit
+    };
+  });
+
+  return { agreement, jobs, tasks: buildScopeTasks(revision, lineItems) };
+}
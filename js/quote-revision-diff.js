@@ -0,0 +1,310 @@
+/**
+ * Quote Revision Diff
+ * Compares two quote revisions: added, removed and changed line items, price
+ * and total deltas, tax lines, and changed terms or expiry
+ */
+
+import { escapeHtml } from './escape-html.js';
+import { formatTaxLineLabel } from './tax-engine/calculator.js';
+
+const LINE_ITEM_FIELDS = [
+  { field: 'quantity', label: 'Quantity', type: 'number' },
+  { field: 'unit', label: 'Unit' },
+  { field: 'unit_price', label: 'Unit price', type: 'money' },
+  { field: 'range_low', label: 'Range low', type: 'money' },
+  { field: 'range_high', label: 'Range high', type: 'money' },
+  { field: 'frequency_multiplier', label: 'Frequency multiplier', type: 'number' },
+  { field: 'description', label: 'Description' }
+];
+
+const TERM_FIELDS = [
+  { field: 'billing_frequency', label: 'Billing' },
+  { field: 'contract_term_months', label: 'Term (months)', type: 'number' },
+  { field: 'start_date_proposed', label: 'Proposed start', type: 'date' },
+  { field: 'service_schedule_summary', label: 'Service schedule' },
+  { field: 'scope_summary', label: 'Scope' },
+  { field: 'assumptions', label: 'Assumptions' },
+  { field: 'exclusions', label: 'Exclusions' },
+  { field: 'expires_at', label: 'Expires', type: 'date' }
+];
+
+const TOTAL_FIELDS = ['subtotal', 'tax', 'total'];
+
+function normalize(value, type) {
+  if (value === undefined || value === null || value === '') return null;
+  if (type === 'number' || type === 'money') {
+    const num = Number(value);
+    return Number.isFinite(num) ? Math.round(num * 100) / 100 : null;
+  }
+  if (type === 'date') return String(value).slice(0, 10);
+  return typeof value === 'string' ? value.trim() : value;
+}
+
+function delta(from, to) {
+  if (from === null && to === null) return null;
+  return Math.round(((to ?? 0) - (from ?? 0)) * 100) / 100;
+}
+
+/**
+ * Monthly amount of a line item (stored line_total, else quantity x unit price)
+ * @param {Object} item - quote_line_items row
+ * @returns {number|null} Amount, or null for range items
+ */
+export function lineItemAmount(item) {
+  if (item.line_total !== undefined && item.line_total !== null) return normalize(item.line_total, 'money');
+  if (item.unit === 'range' || item.unit_price === undefined || item.unit_price === null) return null;
+  return normalize(Number(item.quantity ?? 1) * Number(item.unit_price), 'money');
+}
+
+// Line items get new rows on every revision, so match them by what they are
+function lineItemKey(item) {
+  const title = (item.name || item.description || '').trim().toLowerCase();
+  return [item.tier || '', item.category || '', title].join('|');
+}
+
+function lineItemTitle(item) {
+  return item.name || item.description || 'Item';
+}
+
+function diffLineItems(fromItems, toItems) {
+  const remaining = new Map();
+  fromItems.forEach(item => {
+    const key = lineItemKey(item);
+    if (!remaining.has(key)) remaining.set(key, []);
+    remaining.get(key).push(item);
+  });
+
+  const rows = toItems.map(to => {
+    const from = remaining.get(lineItemKey(to))?.shift() || null;
+    const amountFrom = from ? lineItemAmount(from) : null;
+    const amountTo = lineItemAmount(to);
+
+    if (!from) {
+      return { status: 'added', title: lineItemTitle(to), tier: to.tier || null, from: null, to, changes: [], amount: { from: null, to: amountTo, delta: delta(null, amountTo) } };
+    }
+
+    const changes = LINE_ITEM_FIELDS
+      .filter(({ field }) => field !== 'description' || (from.name && to.name))
+      .map(({ field, label, type }) => ({
+        field,
+        label,
+        type: type || 'text',
+        from: normalize(from[field], type),
+        to: normalize(to[field], type)
+      }))
+      .filter(change => change.from !== change.to)
+      .map(change => ({
+        ...change,
+        delta: change.type === 'number' || change.type === 'money' ? delta(change.from, change.to) : null
+      }));
+
+    if (amountFrom !== amountTo && !changes.length) {
+      changes.push({ field: 'line_total', label: 'Amount', type: 'money', from: amountFrom, to: amountTo, delta: delta(amountFrom, amountTo) });
+    }
+
+    return {
+      status: changes.length ? 'changed' : 'unchanged',
+      title: lineItemTitle(to),
+      tier: to.tier || null,
+      from,
+      to,
+      changes,
+      amount: { from: amountFrom, to: amountTo, delta: delta(amountFrom, amountTo) }
+    };
+  });
+
+  remaining.forEach(items => {
+    items.forEach(from => {
+      const amountFrom = lineItemAmount(from);
+      rows.push({ status: 'removed', title: lineItemTitle(from), tier: from.tier || null, from, to: null, changes: [], amount: { from: amountFrom, to: null, delta: delta(amountFrom, null) } });
+    });
+  });
+
+  return rows;
+}
+
+function diffTaxLines(fromLines, toLines) {
+  const byCode = new Map();
+  (fromLines || []).forEach(line => byCode.set(line.code, { label: formatTaxLineLabel(line), from: normalize(line.amount, 'money'), to: null }));
+  (toLines || []).forEach(line => {
+    const entry = byCode.get(line.code) || { from: null };
+    byCode.set(line.code, { ...entry, label: formatTaxLineLabel(line), to: normalize(line.amount, 'money') });
+  });
+  return [...byCode.entries()]
+    .map(([code, entry]) => ({ code, ...entry, delta: delta(entry.from, entry.to) }))
+    .filter(entry => entry.delta !== 0);
+}
+
+/**
+ * Compare two revisions of the same quote
+ * @param {Object} fromRevision - Earlier revision (quote_revisions row)
+ * @param {Array<Object>} fromItems - Its line items
+ * @param {Object} toRevision - Later revision
+ * @param {Array<Object>} toItems - Its line items
+ * @returns {Object} { from_revision, to_revision, line_items, totals, tax_lines, terms, has_changes }
+ */
+export function diffRevisions(fromRevision, fromItems, toRevision, toItems) {
+  const lineItems = diffLineItems(fromItems || [], toItems || []);
+
+  const totals = TOTAL_FIELDS.map(field => {
+    const from = normalize(fromRevision[field], 'money');
+    const to = normalize(toRevision[field], 'money');
+    return { field, from, to, delta: delta(from, to) };
+  });
+
+  const taxLines = diffTaxLines(fromRevision.tax_lines, toRevision.tax_lines);
+
+  const terms = TERM_FIELDS
+    .map(({ field, label, type }) => ({
+      field,
+      label,
+      type: type || 'text',
+      from: normalize(fromRevision[field], type),
+      to: normalize(toRevision[field], type)
+    }))
+    .filter(term => term.from !== term.to);
+
+  return {
+    from_revision: fromRevision.revision_number,
+    to_revision: toRevision.revision_number,
+    line_items: lineItems,
+    totals,
+    tax_lines: taxLines,
+    terms,
+    has_changes: lineItems.some(row => row.status !== 'unchanged') ||
+      totals.some(total => total.delta) ||
+      taxLines.length > 0 ||
+      terms.length > 0
+  };
+}
+
+function formatMoney(value) {
+  if (value === null || value === undefined) return '—';
+  return `$${Number(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatDelta(value, type = 'money') {
+  if (!value) return '';
+  const sign = value > 0 ? '+' : '−';
+  const abs = Math.abs(value);
+  const text = type === 'money' ? formatMoney(abs) : abs.toLocaleString('en-US');
+  const color = value > 0 ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400';
+  return `<span class="${color} font-medium">${sign}${text}</span>`;
+}
+
+function formatValue(value, type) {
+  if (value === null || value === undefined) return '—';
+  if (type === 'money') return formatMoney(value);
+  if (type === 'date') return new Date(`${value}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  if (type === 'number') return Number(value).toLocaleString('en-US');
+  return escapeHtml(String(value));
+}
+
+const STATUS_STYLES = {
+  added: { label: 'Added', badge: 'bg-green-100 text-green-700 dark:bg-green-900/30 dark:text-green-400' },
+  removed: { label: 'Removed', badge: 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-400' },
+  changed: { label: 'Changed', badge: 'bg-amber-100 text-amber-700 dark:bg-amber-900/30 dark:text-amber-400' },
+  unchanged: { label: 'Unchanged', badge: 'bg-gray-100 text-gray-500 dark:bg-gray-700 dark:text-gray-400' }
+};
+
+/**
+ * Side-by-side HTML for a revision diff (staff quote detail and client portal)
+ * @param {Object} diff - Result of diffRevisions()
+ * @param {Object} [options]
+ * @param {boolean} [options.showUnchanged=false] - Include unchanged line items
+ * @param {Object<string, string>} [options.tierNames] - Tier key to display name
+ * @returns {string} HTML
+ */
+export function renderRevisionDiff(diff, { showUnchanged = false, tierNames = {} } = {}) {
+  if (!diff.has_changes) {
+    return `<p class="text-sm text-gray-500 dark:text-gray-400">No changes between revision ${diff.from_revision} and revision ${diff.to_revision}.</p>`;
+  }
+
+  const rows = diff.line_items.filter(row => showUnchanged || row.status !== 'unchanged');
+  const heading = (text) => `<h5 class="text-sm font-semibold text-gray-900 dark:text-gray-100 mb-2">${text}</h5>`;
+  const cell = 'px-3 py-2 text-right whitespace-nowrap';
+
+  const lineItemsHtml = rows.length ? `
+    <div class="mb-5">
+      ${heading('Line items')}
+      <div class="overflow-x-auto rounded-lg border border-gray-200 dark:border-gray-700">
+        <table class="w-full text-sm">
+          <thead class="bg-gray-50 dark:bg-gray-700/50 text-gray-500 dark:text-gray-400">
+            <tr>
+              <th class="px-3 py-2 text-left font-medium">Item</th>
+              <th class="${cell} font-medium">Rev ${diff.from_revision}</th>
+              <th class="${cell} font-medium">Rev ${diff.to_revision}</th>
+              <th class="${cell} font-medium">Change</th>
+            </tr>
+          </thead>
+          <tbody class="divide-y divide-gray-200 dark:divide-gray-700 text-gray-700 dark:text-gray-300">
+            ${rows.map(row => {
+              const style = STATUS_STYLES[row.status];
+              const tierName = row.tier ? tierNames[row.tier] || row.tier : null;
+              const details = row.changes
+                .filter(change => change.field !== 'line_total')
+                .map(change => `<div class="text-xs text-gray-500 dark:text-gray-400">${change.label}: ${formatValue(change.from, change.type)} &rarr; ${formatValue(change.to, change.type)}${change.delta ? ` (${formatDelta(change.delta, change.type)})` : ''}</div>`)
+                .join('');
+              return `
+                <tr class="${row.status === 'removed' ? 'line-through decoration-red-400/60' : ''}">
+                  <td class="px-3 py-2">
+                    <div class="flex items-center gap-2">
+                      <span class="px-1.5 py-0.5 rounded text-xs font-medium no-underline ${style.badge}">${style.label}</span>
+                      <span class="font-medium text-gray-900 dark:text-gray-100">${escapeHtml(row.title)}</span>
+                      ${tierName ? `<span class="text-xs text-gray-500 dark:text-gray-400">${escapeHtml(tierName)}</span>` : ''}
+                    </div>
+                    ${details}
+                  </td>
+                  <td class="${cell}">${formatMoney(row.amount.from)}</td>
+                  <td class="${cell}">${formatMoney(row.amount.to)}</td>
+                  <td class="${cell}">${formatDelta(row.amount.delta)}</td>
+                </tr>
+              `;
+            }).join('')}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  ` : '';
+
+  const totalLabels = { subtotal: 'Subtotal', tax: 'Tax', total: 'Total' };
+  const totalRows = [
+    ...diff.totals.filter(total => total.field !== 'total').map(total => ({ label: totalLabels[total.field], ...total })),
+    ...diff.tax_lines.map(line => ({ label: `&nbsp;&nbsp;${escapeHtml(line.label)}`, ...line })),
+    ...diff.totals.filter(total => total.field === 'total').map(total => ({ label: totalLabels[total.field], bold: true, ...total }))
+  ];
+  const totalsHtml = `
+    <div class="mb-5">
+      ${heading('Totals')}
+      <table class="w-full text-sm text-gray-700 dark:text-gray-300">
+        <tbody>
+          ${totalRows.map(row => `
+            <tr class="${row.bold ? 'font-semibold text-gray-900 dark:text-gray-100 border-t border-gray-200 dark:border-gray-700' : ''}">
+              <td class="px-3 py-1.5">${row.label}</td>
+              <td class="${cell}">${formatMoney(row.from)}</td>
+              <td class="${cell}">${formatMoney(row.to)}</td>
+              <td class="${cell}">${formatDelta(row.delta)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+
+  const termsHtml = diff.terms.length ? `
+    <div>
+      ${heading('Terms')}
+      <div class="space-y-2 text-sm">
+        ${diff.terms.map(term => `
+          <div class="grid grid-cols-1 md:grid-cols-[10rem_1fr_1fr] gap-1 md:gap-3">
+            <span class="font-medium text-gray-900 dark:text-gray-100">${term.label}</span>
+            <span class="text-red-700 dark:text-red-400 line-through decoration-red-400/60">${formatValue(term.from, term.type)}</span>
+            <span class="text-green-700 dark:text-green-400">${formatValue(term.to, term.type)}</span>
+          </div>
+        `).join('')}
+      </div>
+    </div>
+  ` : '';
+
+  return lineItemsHtml + totalsHtml + termsHtml;
+}
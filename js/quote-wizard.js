@@ -4,12 +4,32 @@
 import * as quotesModule from './quotes.js';
 import { toast } from './notifications.js';
 import { calculateQuote } from './quote-engine/calculator.js';
+import { calculateTieredQuote, toRevisionTierOptions, toTieredLineItems } from './quote-engine/tiers.js';
+import { toRevisionLaborEstimate, MARGIN_STATUSES } from './quote-engine/labor.js';
+import {
+  discountPricedResult,
+  getDiscountConfig,
+  normalizeDiscount,
+  priceManualLineItems,
+  requiredDiscountApprover,
+  toRevisionDiscount,
+  validateDiscount,
+  validateLineDiscounts,
+  DISCOUNT_REASONS,
+  DISCOUNT_APPROVER_ROLES
+} from './quote-engine/discounts.js';
+import { getBuiltinPricebook } from './quote-engine/pricebook.js';
+import { getActivePricebook } from './services/pricebook-service.js';
+import { getTaxContextForSite, getTaxContextForLocation, toQuoteTaxInputs } from './services/tax-service.js';
+import { calculateTaxes, getLegacyHstJurisdiction, formatTaxLineLabel } from './tax-engine/calculator.js';
 import { createWalkthroughRequest } from './services/walkthrough-service.js';
 import { supabase } from './supabase.js';
 
 let currentWizardStep = 1;
 let currentQuoteId = null;
 let accountType = null; // 'new' or 'existing'
+let activePricebook = getBuiltinPricebook(); // Company pricebook new quotes are priced against
+let taxContext = null; // Tax jurisdiction/exemptions of the selected account (null = pricebook HST)
 let wizardData = {
   account_id: null,
   new_account_data: null,
@@ -81,6 +101,14 @@ export function initQuoteWizard() {
     });
   }
 
+  // Discount reason codes
+  const discountReason = document.getElementById('quote-discount-reason');
+  if (discountReason) {
+    discountReason.innerHTML = '<option value="">Reason...</option>' + Object.entries(DISCOUNT_REASONS)
+      .map(([value, label]) => `<option value="${value}">${label}</option>`)
+      .join('');
+  }
+
   // Line items handlers
   setupLineItemsHandlers();
 
@@ -137,11 +165,32 @@ export function openQuoteWizard() {
     resetQuoteEngineForm();
     // Setup quote engine listeners for auto-calculation
     setupQuoteEngineListeners();
+    loadActivePricebook();
   }
   
   if (window.lucide) lucide.createIcons();
 }
 
+// Load the company's published pricebook and re-price with it once available
+async function loadActivePricebook() {
+  activePricebook = await getActivePricebook();
+  calculateQuoteFromEngine();
+}
+
+// Load the selected account's tax jurisdiction and exemptions, then re-price
+async function loadTaxContext() {
+  if (wizardData.account_id) {
+    taxContext = await getTaxContextForSite(wizardData.account_id);
+  } else if (wizardData.new_account_data?.address) {
+    taxContext = await getTaxContextForLocation({
+      address: [wizardData.new_account_data.address, wizardData.new_account_data.city, wizardData.new_account_data.province, wizardData.new_account_data.postal_code].filter(Boolean).join(', ')
+    });
+  } else {
+    taxContext = null;
+  }
+  calculateQuoteFromEngine();
+}
+
 /**
  * Ensure quote engine listeners are attached and run calculation once.
  * Call this when the quote modal is opened from deal detail (sales.js) so the Calculated Quote section updates.
@@ -149,6 +198,7 @@ export function openQuoteWizard() {
 export function ensureQuoteEngineListenersAndCalculate() {
   setupQuoteEngineListeners();
   calculateQuoteFromEngine();
+  loadActivePricebook();
 }
 
 // Reset the quote engine form to defaults
@@ -159,7 +209,11 @@ function resetQuoteEngineForm() {
     'quote-frequency-per-month': '4',
     'quote-urgency-days': '30',
     'quote-flooring': 'mostly_hard',
-    'quote-notes': ''
+    'quote-notes': '',
+    'quote-discount-value': '',
+    'quote-discount-type': 'percent',
+    'quote-discount-reason': '',
+    'quote-discount-note': ''
   };
   
   for (const [id, value] of Object.entries(fields)) {
@@ -205,6 +259,7 @@ function resetQuoteEngineForm() {
     if (hst) hst.textContent = '$0.00';
     if (total) total.textContent = '$0.00';
     if (assumptions) assumptions.textContent = '';
+    renderTaxLines('calc-tax-lines', []);
   }
 }
 
@@ -247,6 +302,7 @@ function resetWizard() {
   currentWizardStep = 1;
   currentQuoteId = null;
   accountType = null;
+  taxContext = null;
   wizardData = {
     account_id: null,
     new_account_data: null,
@@ -402,6 +458,7 @@ function saveCurrentStepData() {
     wizardData.primary_contact_id = document.getElementById('quote-contact-select')?.value || null;
     wizardData.deal_id = document.getElementById('quote-deal-select')?.value || null;
     wizardData.quote_type = document.getElementById('quote-type-select')?.value || 'standard';
+    loadTaxContext();
   } else if (currentWizardStep === 3) {
     const quoteType = wizardData.quote_type;
     
@@ -838,6 +895,8 @@ function setupQuoteEngineListeners() {
   const highTouchDisinfection = document.getElementById('quote-high-touch-disinfection');
   const urgencyDays = document.getElementById('quote-urgency-days');
   const notes = document.getElementById('quote-notes');
+  const discountFields = ['quote-discount-value', 'quote-discount-type', 'quote-discount-reason', 'quote-discount-note']
+    .map(id => document.getElementById(id));
   
   // Service type change - show/hide touchpoints
   if (serviceType) {
@@ -848,7 +907,7 @@ function setupQuoteEngineListeners() {
   }
 
   // Add event listeners to basic inputs
-  [serviceType, sqftEstimate, frequencyPerMonth, flooring, urgencyDays, notes].forEach(input => {
+  [serviceType, sqftEstimate, frequencyPerMonth, flooring, urgencyDays, notes, ...discountFields].forEach(input => {
     if (input) {
       input.addEventListener('input', calculateQuoteFromEngine);
       input.addEventListener('change', calculateQuoteFromEngine);
@@ -856,7 +915,9 @@ function setupQuoteEngineListeners() {
   });
 
   // Add event listeners to checkboxes
-  [afterHours, suppliesIncluded, highTouchDisinfection].forEach(checkbox => {
+  const offerTiers = document.getElementById('quote-offer-tiers');
+
+  [afterHours, suppliesIncluded, highTouchDisinfection, offerTiers].forEach(checkbox => {
     if (checkbox) {
       checkbox.addEventListener('change', calculateQuoteFromEngine);
     }
@@ -909,23 +970,42 @@ function calculateQuoteFromEngine() {
       urgency_start_days: urgencyDays,
       notes: notes,
       // Include all service-specific data for reference
-      service_specific: touchpointData
+      service_specific: touchpointData,
+      ...(taxContext ? toQuoteTaxInputs(taxContext) : {})
     };
 
-    const quoteResult = calculateQuote(inputs);
+    // Whole-quote discount comes off the engine price (and each package price)
+    const discount = readQuoteDiscount();
+    const quoteResult = discountPricedResult(calculateQuote(inputs, activePricebook), discount, inputs, activePricebook.config);
 
     // Store result in wizardData
     wizardData.quote_calculation = {
       inputs: inputs,
       result: quoteResult,
-      engine_version: 'v2'
+      discount: discount,
+      engine_version: 'v2',
+      pricebook_id: quoteResult.pricebook_id,
+      pricebook_version: quoteResult.pricebook_version
     };
 
+    // Good / Better / Best packages (only kept when at least two tiers differ)
+    const offerTiers = /** @type {HTMLInputElement|null} */ (document.getElementById('quote-offer-tiers'))?.checked || false;
+    let tiered = offerTiers ? calculateTieredQuote(inputs, activePricebook) : null;
+    if (tiered) {
+      tiered = {
+        ...tiered,
+        tiers: tiered.tiers.map(tier => discountPricedResult(tier, discount, tier.inputs, activePricebook.config))
+      };
+    }
+    wizardData.quote_calculation.tiers = tiered && tiered.tiers.length > 1 ? tiered : null;
+
     // Update line items from calculation
     wizardData.line_items = quoteResult.line_items || [];
 
     // Display results
     displayQuoteCalculation(quoteResult);
+    displayTierOptions(offerTiers ? tiered : null);
+    displayDiscount(discount, wizardData.quote_calculation.tiers ? wizardData.quote_calculation.tiers.tiers : [quoteResult]);
 
     // Update totals
     updateLineItemsTotals();
@@ -936,6 +1016,104 @@ function calculateQuoteFromEngine() {
   }
 }
 
+// Taxes for manually priced line items, using the selected account's jurisdiction
+function calculateManualTaxes(subtotal) {
+  const jurisdiction = taxContext ? taxContext.jurisdiction : getLegacyHstJurisdiction(activePricebook.config.hstRate);
+  return calculateTaxes(subtotal, jurisdiction, taxContext || {});
+}
+
+// Whole-quote discount entered in the quote engine form, or null
+function readQuoteDiscount() {
+  return normalizeDiscount({
+    type: /** @type {HTMLSelectElement|null} */ (document.getElementById('quote-discount-type'))?.value,
+    value: parseFloat(/** @type {HTMLInputElement|null} */ (document.getElementById('quote-discount-value'))?.value) || 0,
+    reason: /** @type {HTMLSelectElement|null} */ (document.getElementById('quote-discount-reason'))?.value || null,
+    note: /** @type {HTMLInputElement|null} */ (document.getElementById('quote-discount-note'))?.value || null
+  });
+}
+
+// Discount fields for the revision, priced under the active pricebook's thresholds
+function getRevisionDiscount() {
+  const manualItems = getManualLineItems();
+  if (manualItems.length > 0) {
+    const { discount, list_subtotal, discount_total, discount_pct } = priceManualLines(manualItems);
+    return { discount, list_subtotal, discount_total, discount_pct };
+  }
+
+  const calculation = wizardData.quote_calculation;
+  if (!calculation) return toRevisionDiscount(null, []);
+  const priced = calculation.tiers ? calculation.tiers.tiers : [calculation.result];
+  return toRevisionDiscount(calculation.discount, priced, activePricebook.config);
+}
+
+// Whole-quote and line discount problems that stop the quote being saved
+function getDiscountErrors() {
+  const manualItems = getManualLineItems();
+  if (manualItems.length === 0) return validateDiscount(wizardData.quote_calculation?.discount);
+  return [...validateLineDiscounts(manualItems), ...validateDiscount(priceManualLines(manualItems).discount)];
+}
+
+// Show what the discount takes off and whether it needs approval
+function displayDiscount(discount, pricedOptions) {
+  const summaryEl = document.getElementById('calc-discount-summary');
+  const warningEl = document.getElementById('calc-discount-warning');
+  if (!summaryEl || !warningEl) return;
+
+  const summary = toRevisionDiscount(discount, pricedOptions, activePricebook.config);
+  if (!summary.discount || summary.discount_total === 0) {
+    summaryEl.classList.add('hidden');
+    warningEl.className = 'hidden';
+    return;
+  }
+
+  const formatMoney = (amount) => `$${Number(amount).toLocaleString('en-CA', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  summaryEl.textContent = `List ${formatMoney(summary.list_subtotal)}/mo · discount ${formatMoney(summary.discount_total)} (${Math.round(summary.discount_pct * 1000) / 10}%)`;
+  summaryEl.classList.remove('hidden');
+
+  const errors = validateDiscount(discount);
+  const approver = requiredDiscountApprover(summary.discount_pct, getDiscountConfig(activePricebook.config));
+  if (errors.length > 0) {
+    warningEl.textContent = errors[0];
+    warningEl.className = 'text-xs font-medium mt-1 text-red-600 dark:text-red-400';
+  } else if (approver) {
+    warningEl.textContent = `Above the discount threshold. ${approver === DISCOUNT_APPROVER_ROLES.admin ? 'An admin' : 'A manager'} must approve before it is sent.`;
+    warningEl.className = 'text-xs font-medium mt-1 text-amber-600 dark:text-amber-400';
+  } else {
+    warningEl.className = 'hidden';
+  }
+}
+
+// Heading for the tax amount, e.g. "HST (13%)", "Tax" (several lines) or "Tax (exempt)"
+function getTaxLabel(result) {
+  if (result.tax_exempt) {
+    return result.tax_exemption_number ? `Tax (exempt #${result.tax_exemption_number})` : 'Tax (exempt)';
+  }
+  if (result.tax_configured === false) {
+    return `Tax (no rates configured for ${result.tax_jurisdiction})`;
+  }
+  const lines = result.tax_lines || [];
+  return lines.length === 1 ? formatTaxLineLabel(lines[0]) : 'Tax';
+}
+
+// Render one row per tax when more than one tax applies (e.g. GST + QST)
+function renderTaxLines(containerId, lines) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+  container.innerHTML = '';
+  if (lines.length < 2) return;
+
+  lines.forEach(line => {
+    const row = document.createElement('div');
+    row.className = 'flex justify-between gap-4';
+    const label = document.createElement('span');
+    label.textContent = formatTaxLineLabel(line);
+    const amount = document.createElement('span');
+    amount.textContent = `$${Number(line.amount).toLocaleString('en-CA', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    row.append(label, amount);
+    container.appendChild(row);
+  });
+}
+
 // Display quote calculation results
 function displayQuoteCalculation(result) {
   if (!result) return;
@@ -958,11 +1136,16 @@ function displayQuoteCalculation(result) {
     monthlyExHstEl.textContent = `$${monthlyExHst.toLocaleString('en-CA', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
   }
 
-  // Display HST amount
+  // Display total tax, with one line per tax (GST, QST, ...)
   const hstEl = document.getElementById('calc-hst');
   if (hstEl) {
     hstEl.textContent = `$${hstAmount.toLocaleString('en-CA', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
   }
+  const taxLabelEl = document.getElementById('calc-tax-label');
+  if (taxLabelEl) {
+    taxLabelEl.textContent = getTaxLabel(result);
+  }
+  renderTaxLines('calc-tax-lines', result.tax_lines || []);
 
   // Display total (inc-HST)
   const totalEl = document.getElementById('calc-total');
@@ -992,6 +1175,8 @@ function displayQuoteCalculation(result) {
     assumptionsEl.textContent = assumptionsText || 'Standard service';
   }
 
+  displayLaborEstimate(result);
+
   // Display walkthrough recommendation
   const walkthroughEl = document.getElementById('calc-walkthrough-warning');
   if (walkthroughEl) {
@@ -1003,6 +1188,72 @@ function displayQuoteCalculation(result) {
   }
 }
 
+// Show crew size, time on site and gross margin (internal only, never sent to the client)
+function displayLaborEstimate(result) {
+  const container = document.getElementById('calc-labor');
+  if (!container) return;
+
+  const labor = result.labor_estimate;
+  const margin = result.margin;
+  if (!labor || !margin) {
+    container.classList.add('hidden');
+    return;
+  }
+  container.classList.remove('hidden');
+
+  const formatPct = (pct) => `${Math.round(pct * 1000) / 10}%`;
+  document.getElementById('calc-labor-crew').textContent = `${labor.crew_size} cleaner${labor.crew_size > 1 ? 's' : ''}`;
+  document.getElementById('calc-labor-time').textContent = `${labor.time_on_site_hours} h / visit`;
+
+  const marginEl = document.getElementById('calc-labor-margin');
+  marginEl.textContent = formatPct(margin.gross_margin_pct);
+  marginEl.classList.toggle('text-red-600', margin.status !== MARGIN_STATUSES.ok);
+
+  document.getElementById('calc-labor-detail').textContent =
+    `${labor.labor_hours_per_month} labor h/mo · est. cost $${Number(labor.cost_per_month).toLocaleString('en-CA', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}/mo (labor + supplies)`;
+
+  const warningEl = document.getElementById('calc-margin-warning');
+  if (margin.status === MARGIN_STATUSES.blocked) {
+    warningEl.textContent = `Below the ${formatPct(margin.margin_block_pct)} minimum margin. This quote cannot be sent at this price.`;
+    warningEl.className = 'text-xs font-medium mt-1 text-red-600 dark:text-red-400';
+  } else if (margin.status === MARGIN_STATUSES.approvalRequired) {
+    warningEl.textContent = `Below the ${formatPct(margin.margin_floor_pct)} margin floor. A manager must approve before it is sent.`;
+    warningEl.className = 'text-xs font-medium mt-1 text-amber-600 dark:text-amber-400';
+  } else {
+    warningEl.className = 'hidden';
+  }
+}
+
+// Show each tier's price and what it adds
+function displayTierOptions(tiered) {
+  const container = document.getElementById('calc-tier-options');
+  if (!container) return;
+
+  if (!tiered) {
+    container.classList.add('hidden');
+    container.innerHTML = '';
+    return;
+  }
+
+  container.classList.remove('hidden');
+  if (tiered.tiers.length < 2) {
+    container.innerHTML = '<p class="text-xs text-gray-500 dark:text-gray-400 md:col-span-3">All packages price the same for this site, so a single price will be quoted.</p>';
+    return;
+  }
+
+  container.innerHTML = tiered.tiers.map(tier => `
+    <div class="border ${tier.key === tiered.recommended_tier ? 'border-nfgblue dark:border-blue-500' : 'border-nfgray dark:border-gray-700'} rounded-lg p-3">
+      <div class="flex items-center justify-between mb-1">
+        <span class="font-semibold text-gray-900 dark:text-gray-100">${tier.name}</span>
+        ${tier.key === tiered.recommended_tier ? '<span class="text-xs text-nfgblue dark:text-blue-400 font-medium">Recommended</span>' : ''}
+      </div>
+      <p class="text-lg font-bold text-nfgblue dark:text-blue-400">$${Number(tier.monthly_price_ex_hst).toLocaleString('en-CA', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}<span class="text-xs font-normal text-gray-500">/mo + tax</span></p>
+      <p class="text-xs text-gray-500 dark:text-gray-400 mt-1">${tier.description}</p>
+      ${tier.margin ? `<p class="text-xs mt-1 ${tier.margin.status === MARGIN_STATUSES.ok ? 'text-gray-500 dark:text-gray-400' : 'text-red-600 dark:text-red-400'}">Margin ${Math.round(tier.margin.gross_margin_pct * 1000) / 10}% · crew ${tier.labor_estimate.crew_size}</p>` : ''}
+    </div>
+  `).join('');
+}
+
 // Setup line items handlers
 function setupLineItemsHandlers() {
   const addLineItemBtn = document.getElementById('add-line-item-btn');
@@ -1012,9 +1263,14 @@ function setupLineItemsHandlers() {
 
   // Handle line item changes
   document.addEventListener('change', (e) => {
-    if (e.target.classList.contains('line-item-quantity') || 
-        e.target.classList.contains('line-item-price') ||
-        e.target.classList.contains('line-item-unit')) {
+    const target = /** @type {HTMLElement} */ (e.target);
+    if (target.classList.contains('line-item-quantity') || 
+        target.classList.contains('line-item-price') ||
+        target.classList.contains('line-item-unit') ||
+        target.classList.contains('line-item-name') ||
+        target.classList.contains('line-item-discount-value') ||
+        target.classList.contains('line-item-discount-type') ||
+        target.classList.contains('line-item-discount-reason')) {
       updateLineItemsTotals();
     }
   });
@@ -1046,6 +1302,15 @@ function addLineItem() {
         <option value="range">Range</option>
       </select>
       <input type="number" class="line-item-price w-32 px-3 py-2 border border-nfgray dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800" placeholder="Price" step="0.01" min="0" data-item-id="${itemId}">
+      <input type="number" class="line-item-discount-value w-20 px-3 py-2 border border-nfgray dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800" placeholder="Disc." step="0.01" min="0" data-item-id="${itemId}">
+      <select class="line-item-discount-type w-20 px-2 py-2 border border-nfgray dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800" data-item-id="${itemId}">
+        <option value="percent">%</option>
+        <option value="amount">$</option>
+      </select>
+      <select class="line-item-discount-reason w-36 px-2 py-2 border border-nfgray dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800" data-item-id="${itemId}">
+        <option value="">Reason...</option>
+        ${Object.entries(DISCOUNT_REASONS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+      </select>
       <button type="button" class="remove-line-item text-red-500 hover:text-red-700" data-item-id="${itemId}">
         <i data-lucide="trash-2" class="w-4 h-4"></i>
       </button>
@@ -1067,20 +1332,57 @@ function removeLineItem(itemId) {
   }
 }
 
+// Line items typed into the wizard, with their discounts and reason codes
+function readManualLineItems() {
+  const fieldValue = (row, selector) => /** @type {HTMLInputElement|null} */ (row.querySelector(selector))?.value;
+  return Array.from(document.querySelectorAll('.line-item')).map(row => ({
+    name: fieldValue(row, '.line-item-name') || '',
+    quantity: parseFloat(fieldValue(row, '.line-item-quantity') || '1'),
+    unit_price: parseFloat(fieldValue(row, '.line-item-price') || '0'),
+    unit: fieldValue(row, '.line-item-unit') || 'each',
+    discount_type: fieldValue(row, '.line-item-discount-type') || 'percent',
+    discount_value: parseFloat(fieldValue(row, '.line-item-discount-value') || '0'),
+    discount_reason: fieldValue(row, '.line-item-discount-reason') || null,
+    manual: true
+  }));
+}
+
+function getManualLineItems() {
+  return (wizardData.line_items || []).filter(item => item.manual);
+}
+
+// Typed lines replace the engine price, so anything below it counts as a discount
+function priceManualLines(items) {
+  const enginePrice = wizardData.quote_calculation?.result?.list_price_ex_hst ?? null;
+  return priceManualLineItems(items, enginePrice, activePricebook.config);
+}
+
 // Update line items totals
 function updateLineItemsTotals() {
   let subtotal = 0;
   let tax = 0;
   let total = 0;
 
-  // Check if we have quote engine calculation results
-  if (wizardData.quote_calculation && wizardData.quote_calculation.result) {
+  // Typed lines are kept with their discounts so saveRevision stores them; Good / Better / Best quotes use the tiers
+  const manualItems = wizardData.quote_calculation?.tiers ? [] : readManualLineItems();
+  const priced = priceManualLines(manualItems);
+  wizardData.line_items = [
+    ...(wizardData.line_items || []).filter(item => !item.manual),
+    ...priced.lines
+  ];
+
+  if (manualItems.length > 0) {
+    subtotal = priced.subtotal;
+    tax = calculateManualTaxes(subtotal).total_tax;
+    total = subtotal + tax;
+  } else if (wizardData.quote_calculation && wizardData.quote_calculation.result) {
+    // Check if we have quote engine calculation results
     const calc = wizardData.quote_calculation.result;
     subtotal = calc.monthly_price_ex_hst || 0;
     tax = calc.hst_amount || 0;
     total = calc.monthly_price_inc_hst || 0;
   } else {
-    // Calculate from line items in DOM or wizardData
+    // Calculate from line items in wizardData
     const lineItems = wizardData.line_items || [];
     lineItems.forEach(item => {
       const qty = parseFloat(item.quantity || 1);
@@ -1089,19 +1391,8 @@ function updateLineItemsTotals() {
         subtotal += qty * price;
       }
     });
-
-    // Also check DOM for manual line items
-    const lineItemRows = document.querySelectorAll('.line-item');
-    lineItemRows.forEach(row => {
-      const qty = parseFloat(row.querySelector('.line-item-quantity')?.value || 1);
-      const price = parseFloat(row.querySelector('.line-item-price')?.value || 0);
-      const unit = row.querySelector('.line-item-unit')?.value || 'each';
-      if (unit !== 'range') {
-        subtotal += qty * price;
-      }
-    });
     
-    tax = subtotal * 0.13; // 13% HST
+    tax = calculateManualTaxes(subtotal).total_tax;
     total = subtotal + tax;
   }
 
@@ -1152,6 +1443,12 @@ async function handleSaveDraft() {
       return;
     }
 
+    const discountErrors = getDiscountErrors();
+    if (discountErrors.length > 0) {
+      toast.error(discountErrors[0], 'Discount');
+      return;
+    }
+
     // Create quote without account (simplified)
     const quote = await quotesModule.createQuote({
       account_id: null,
@@ -1162,13 +1459,17 @@ async function handleSaveDraft() {
     currentQuoteId = quote.id;
 
     // Save revision with calculation data
+    const tiered = wizardData.quote_calculation?.tiers || null;
     const revisionData = {
       revision_type: 'final_quote',
       is_binding: true,
       scope_summary: title,
       assumptions: notes,
       quote_engine_version: '2.0',
-      quote_calculation_inputs: {
+      pricebook_id: wizardData.quote_calculation?.pricebook_id || null,
+      pricebook_version: wizardData.quote_calculation?.pricebook_version ?? activePricebook.version,
+      // Prefer the exact engine inputs so the revision can be re-priced against its pricebook
+      quote_calculation_inputs: wizardData.quote_calculation?.inputs || {
         service_type: serviceType,
         sqft_estimate: sqft,
         frequency_per_month: frequency,
@@ -1185,16 +1486,28 @@ async function handleSaveDraft() {
         per_visit_price: perVisit,
         hst_amount: hst,
         monthly_price_inc_hst: total
-      }
+      },
+      tier_options: tiered ? toRevisionTierOptions(tiered) : null,
+      labor_estimate: toRevisionLaborEstimate(wizardData.quote_calculation?.result, tiered),
+      ...getRevisionDiscount()
     };
 
-    // Create a line item for the service
-    const lineItems = [{
-      description: title || `${serviceType} Cleaning Service`,
-      quantity: frequency,
-      unit_price: perVisit,
-      line_total: monthlyExHst
-    }];
+    // Create a line item for the service (one per tier for Good / Better / Best quotes), unless lines were typed in
+    const manualItems = getManualLineItems();
+    const lineItems = manualItems.length > 0 ? manualItems : tiered
+      ? tiered.tiers.map(tier => ({
+        description: `${tier.name}: ${title || `${serviceType} Cleaning Service`}`,
+        quantity: frequency,
+        unit_price: tier.per_visit_price,
+        line_total: tier.monthly_price_ex_hst,
+        tier: tier.key
+      }))
+      : [{
+        description: title || `${serviceType} Cleaning Service`,
+        quantity: frequency,
+        unit_price: perVisit,
+        line_total: monthlyExHst
+      }];
 
     await quotesModule.saveRevision(currentQuoteId, 1, revisionData, lineItems);
 
@@ -1225,13 +1538,15 @@ function showQuoteSendConfirmation() {
   let subtotal = 0;
   let tax = 0;
   let total = 0;
+  let taxResult = null;
 
-  // Priority 1: Check if we have quote engine calculation results (most accurate)
-  if (wizardData.quote_calculation && wizardData.quote_calculation.result) {
+  // Priority 1: Check if we have quote engine calculation results (most accurate), unless lines were typed in
+  if (wizardData.quote_calculation && wizardData.quote_calculation.result && getManualLineItems().length === 0) {
     const calc = wizardData.quote_calculation.result;
     subtotal = calc.monthly_price_ex_hst || 0;
     tax = calc.hst_amount || 0;
     total = calc.monthly_price_inc_hst || 0;
+    taxResult = calc;
     console.log('[Quote Confirmation] Read from quote_calculation:', { subtotal, tax, total });
   } else {
     // Priority 2: Try to read from displayed totals in DOM
@@ -1261,11 +1576,22 @@ function showQuoteSendConfirmation() {
         console.log(`[Quote Confirmation] Item ${index}: ${item.name || 'Unnamed'}, qty=${qty}, price=${price}, subtotal=${qty * price}`);
       });
       
-      tax = subtotal * 0.13; // 13% HST
+      tax = calculateManualTaxes(subtotal).total_tax;
       total = subtotal + tax;
     }
   }
 
+  if (!taxResult) {
+    const manualTaxes = calculateManualTaxes(subtotal);
+    taxResult = {
+      tax_lines: manualTaxes.lines,
+      tax_jurisdiction: manualTaxes.jurisdiction,
+      tax_configured: manualTaxes.configured,
+      tax_exempt: manualTaxes.exempt,
+      tax_exemption_number: manualTaxes.exemption_number
+    };
+  }
+
   // Update confirmation modal with totals
   const subtotalElConfirmation = document.getElementById('confirmation-subtotal');
   const taxElConfirmation = document.getElementById('confirmation-tax');
@@ -1273,6 +1599,9 @@ function showQuoteSendConfirmation() {
 
   if (subtotalElConfirmation) subtotalElConfirmation.textContent = `$${subtotal.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
   if (taxElConfirmation) taxElConfirmation.textContent = `$${tax.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  const taxLabelConfirmation = document.getElementById('confirmation-tax-label');
+  if (taxLabelConfirmation) taxLabelConfirmation.textContent = `${getTaxLabel(taxResult)}:`;
+  renderTaxLines('confirmation-tax-lines', taxResult.tax_lines || []);
   if (totalElConfirmation) totalElConfirmation.textContent = `$${total.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
 
   console.log('[Quote Confirmation] Final confirmation totals:', { 
@@ -1314,6 +1643,12 @@ async function handleSendQuote() {
 async function confirmAndSendQuote() {
   closeQuoteSendConfirmation();
 
+  const discountErrors = getDiscountErrors();
+  if (discountErrors.length > 0) {
+    toast.error(discountErrors[0], 'Discount');
+    return;
+  }
+
   try {
     // Create new account/site if needed before creating quote
     if (!wizardData.account_id && wizardData.new_account_data && accountType === 'new') {
@@ -1329,6 +1664,8 @@ async function confirmAndSendQuote() {
             address: wizardData.new_account_data.address,
             contact_phone: wizardData.new_account_data.contact_phone || null,
             contact_email: wizardData.new_account_data.contact_email || null,
+            country: taxContext?.country || null,
+            region: taxContext?.region || null,
             status: 'Active',
             created_by: user.id
           })
@@ -1364,19 +1701,31 @@ async function confirmAndSendQuote() {
     // Extract booking date/time from revision_data (they're stored in DB for walkthrough quotes)
     const { booking_date, booking_time, ...revisionDataForDB } = wizardData.revision_data || {};
 
+    // Good / Better / Best packages are offered on final quotes only
+    const revisionType = wizardData.quote_type === 'walkthrough_required' ? 'walkthrough_proposal' : 'final_quote';
+    const tiered = revisionType === 'final_quote' ? wizardData.quote_calculation?.tiers || null : null;
+
     // Save revision
     const revisionData = {
       ...revisionDataForDB,
-      revision_type: wizardData.quote_type === 'walkthrough_required' ? 'walkthrough_proposal' : 'final_quote',
+      revision_type: revisionType,
       is_binding: wizardData.quote_type === 'standard',
       // Include quote engine calculation data if available
       quote_engine_version: wizardData.quote_calculation?.engine_version || null,
       quote_calculation_inputs: wizardData.quote_calculation?.inputs || null,
-      quote_calculation_outputs: wizardData.quote_calculation?.result || null
+      quote_calculation_outputs: wizardData.quote_calculation?.result || null,
+      pricebook_id: wizardData.quote_calculation?.pricebook_id || null,
+      pricebook_version: wizardData.quote_calculation?.pricebook_version ?? null,
+      tier_options: tiered ? toRevisionTierOptions(tiered) : null,
+      labor_estimate: revisionType === 'final_quote' ? toRevisionLaborEstimate(wizardData.quote_calculation?.result, tiered) : null,
+      ...(revisionType === 'final_quote' ? getRevisionDiscount() : {})
     };
 
-    // Use line items from quote engine if available, otherwise use manual line items
-    const lineItemsToSave = wizardData.quote_calculation?.result?.line_items || wizardData.line_items;
+    // Typed line items replace the engine's; otherwise use the engine's line items if available
+    const manualItems = getManualLineItems();
+    const lineItemsToSave = tiered
+      ? toTieredLineItems(tiered)
+      : manualItems.length > 0 ? manualItems : wizardData.quote_calculation?.result?.line_items || wizardData.line_items;
 
     await quotesModule.saveRevision(currentQuoteId, 1, revisionData, lineItemsToSave);
 
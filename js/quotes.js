@@ -9,6 +9,35 @@ import {
   onQuoteDeclined,
   onQuoteViewed
 } from './services/deal-linking-service.js';
+import { calculateTaxesForSite } from './services/tax-service.js';
+import { calculateQuote } from './quote-engine/calculator.js';
+import { resolveTierOption, calculateTieredQuote, toRevisionTierOptions, toTieredLineItems } from './quote-engine/tiers.js';
+import {
+  estimateLabor,
+  evaluateRevisionMargin,
+  getLaborConfig,
+  toRevisionLaborEstimate,
+  MARGIN_STATUSES
+} from './quote-engine/labor.js';
+import {
+  applyDiscounts,
+  discountPricedResult,
+  requiredDiscountApprover,
+  summarizeDiscountsByRep,
+  toRevisionDiscount,
+  validateDiscount,
+  DISCOUNT_APPROVER_ROLES
+} from './quote-engine/discounts.js';
+import { PRICEBOOK_DEFAULTS } from './quote-engine/config.js';
+import { applyMeasuredInputs } from './quote-engine/walkthrough.js';
+import { getActivePricebook, getRevisionPricebook } from './services/pricebook-service.js';
+import { quoteNotifications } from './sales-notifications.js';
+
+// Why a revision is waiting on manager approval (quote_revisions.approval_reasons)
+export const APPROVAL_REASON_LABELS = {
+  margin_floor: 'Gross margin below the pricebook floor',
+  discount: 'Discount above the approval threshold'
+};
 
 // ==========================================
 // STATE MANAGEMENT
@@ -171,7 +200,7 @@ export async function loadQuoteDetail(quoteId) {
       .from('quotes')
       .select(`
         *,
-        account_id:sites(id, name, address, contact_email, contact_phone),
+        account_id:sites(id, name, address, contact_email, contact_phone, country, region, tax_exempt, tax_exempt_codes),
         deal_id:deals(id, stage)
       `)
       .eq('id', quoteId)
@@ -474,6 +503,21 @@ export async function createRevision(quoteId, revisionNumber, revisionData) {
 // ==========================================
 export async function saveRevision(quoteId, revisionNumber, revisionData, lineItems) {
   try {
+    // Every discount needs a reason code (also enforced by the database)
+    const discountErrors = [
+      ...validateDiscount(revisionData.discount),
+      ...(lineItems || []).flatMap(item => validateDiscount({
+        type: item.discount_type,
+        value: item.discount_value,
+        reason: item.discount_reason,
+        note: item.discount_reason === 'other' ? item.description || item.name : null
+      }))
+    ];
+    if (discountErrors.length > 0) {
+      toast.error(discountErrors[0], 'Discount');
+      throw new Error(discountErrors[0]);
+    }
+
     // Update revision
     const { error: revError } = await supabase
       .from('quote_revisions')
@@ -517,6 +561,17 @@ export async function saveRevision(quoteId, revisionNumber, revisionData, lineIt
         if (item.frequency_multiplier !== undefined && item.frequency_multiplier !== null) {
           baseItem.frequency_multiplier = item.frequency_multiplier;
         }
+        // Good/Better/Best line items are tagged with their tier key
+        if (item.tier) {
+          baseItem.tier = item.tier;
+        }
+        // Line discounts carry their reason code
+        if (Number(item.discount_value) > 0) {
+          baseItem.discount_type = item.discount_type || 'percent';
+          baseItem.discount_value = Number(item.discount_value);
+          baseItem.discount_reason = item.discount_reason || null;
+          baseItem.discount_amount = item.discount_amount ?? null;
+        }
         return baseItem;
       });
 
@@ -530,6 +585,12 @@ export async function saveRevision(quoteId, revisionNumber, revisionData, lineIt
     // Recalculate totals (server-side validation)
     await recalculateRevisionTotals(quoteId, revisionNumber);
 
+    // Margin and discount guardrails: may hold the revision for approval
+    const { margin } = await applyApprovalRules(quoteId, revisionNumber);
+    if (margin?.status === MARGIN_STATUSES.blocked) {
+      toast.error(`Gross margin is ${formatMarginPct(margin.gross_margin_pct)}, below the ${formatMarginPct(margin.margin_block_pct)} minimum. Reprice before sending.`, 'Margin Too Low');
+    }
+
     toast.success('Quote saved successfully', 'Success');
   } catch (error) {
     console.error('[Quotes] Error saving revision:', error);
@@ -562,7 +623,7 @@ async function recalculateRevisionTotals(quoteId, revisionNumber) {
     // Get revision to check if binding
     const { data: revision } = await supabase
       .from('quote_revisions')
-      .select('is_binding, revision_type')
+      .select('is_binding, revision_type, tier_options, selected_tier')
       .eq('quote_id', quoteId)
       .eq('revision_number', revisionNumber)
       .single();
@@ -572,13 +633,25 @@ async function recalculateRevisionTotals(quoteId, revisionNumber) {
       return;
     }
 
+    // Calculate tax for the account's jurisdiction (one line per tax)
+    const { data: quote } = await supabase
+      .from('quotes')
+      .select('account_id')
+      .eq('id', quoteId)
+      .single();
+
+    if (Array.isArray(revision.tier_options) && revision.tier_options.length > 0) {
+      await recalculateTierTotals(quoteId, revisionNumber, revision, items, quote?.account_id || null);
+      return;
+    }
+
     // Calculate subtotal (sum of all line totals)
     const subtotal = items
       .filter(item => item.line_total !== null)
       .reduce((sum, item) => sum + parseFloat(item.line_total || 0), 0);
 
-    // Calculate tax (13% HST for Canada - can be made configurable)
-    const tax = subtotal * 0.13;
+    const taxes = await calculateTaxesForSite(quote?.account_id || null, subtotal);
+    const tax = taxes.total_tax;
     const total = subtotal + tax;
 
     // Update revision with calculated totals
@@ -587,7 +660,9 @@ async function recalculateRevisionTotals(quoteId, revisionNumber) {
       .update({
         subtotal,
         tax,
-        total
+        total,
+        tax_lines: taxes.lines,
+        tax_jurisdiction: taxes.jurisdiction
       })
       .eq('quote_id', quoteId)
       .eq('revision_number', revisionNumber);
@@ -596,6 +671,314 @@ async function recalculateRevisionTotals(quoteId, revisionNumber) {
   }
 }
 
+// Tiered revisions: re-tax every tier for the account's jurisdiction and carry
+// the selected (or recommended) tier's amounts on the revision itself
+async function recalculateTierTotals(quoteId, revisionNumber, revision, items, accountId) {
+  const tierOptions = [];
+  for (const tier of revision.tier_options) {
+    const tierItems = items.filter(item => item.tier === tier.key && item.line_total !== null);
+    const subtotal = tierItems.length > 0
+      ? tierItems.reduce((sum, item) => sum + parseFloat(item.line_total || 0), 0)
+      : Number(tier.subtotal) || 0;
+    const taxes = await calculateTaxesForSite(accountId, subtotal);
+    tierOptions.push({
+      ...tier,
+      subtotal,
+      tax: taxes.total_tax,
+      total: Math.round((subtotal + taxes.total_tax) * 100) / 100,
+      tax_lines: taxes.lines,
+      tax_jurisdiction: taxes.jurisdiction
+    });
+  }
+
+  const selected = resolveTierOption(tierOptions, revision.selected_tier);
+
+  await supabase
+    .from('quote_revisions')
+    .update({
+      tier_options: tierOptions,
+      subtotal: selected.subtotal,
+      tax: selected.tax,
+      total: selected.total,
+      tax_lines: selected.tax_lines,
+      tax_jurisdiction: selected.tax_jurisdiction
+    })
+    .eq('quote_id', quoteId)
+    .eq('revision_number', revisionNumber);
+}
+
+const formatMarginPct = (pct) => `${Math.round(pct * 1000) / 10}%`;
+
+// Re-evaluate the margin and discount guardrails after a save. Any save re-opens
+// an earlier approval; other reasons are left as they were.
+async function applyApprovalRules(quoteId, revisionNumber) {
+  const { data: revision, error } = await supabase
+    .from('quote_revisions')
+    .select('labor_estimate, subtotal, tier_options, quote_calculation_outputs, approval_status, approval_reasons, discount, discount_pct')
+    .eq('quote_id', quoteId)
+    .eq('revision_number', revisionNumber)
+    .single();
+
+  if (error) throw error;
+
+  // Line discounts count too, in case the revision's summary left them out
+  const { data: lineItems, error: itemsError } = await supabase
+    .from('quote_line_items')
+    .select('quantity, unit, unit_price, frequency_multiplier, discount_type, discount_value, discount_reason')
+    .eq('quote_id', quoteId)
+    .eq('revision_number', revisionNumber);
+
+  if (itemsError) throw itemsError;
+
+  const lineDiscounts = applyDiscounts(lineItems || []);
+  const discountPct = Math.max(Number(revision.discount_pct) || 0, lineDiscounts.discount_pct);
+  const discountReason = revision.discount?.reason ||
+    lineDiscounts.lines.find(line => line.discount_amount > 0)?.discount_reason || null;
+
+  const margin = evaluateRevisionMargin(revision);
+  const reasons = (revision.approval_reasons || []).filter(reason => reason !== 'margin_floor' && reason !== 'discount');
+  if (margin?.status === MARGIN_STATUSES.approvalRequired) {
+    reasons.push('margin_floor');
+  }
+
+  // Thresholds the discount was priced under, else the built-in ones
+  const discountApprover = requiredDiscountApprover(discountPct, {
+    managerApprovalPct: revision.discount?.manager_approval_pct ?? PRICEBOOK_DEFAULTS.discounts.managerApprovalPct,
+    adminApprovalPct: revision.discount?.admin_approval_pct ?? PRICEBOOK_DEFAULTS.discounts.adminApprovalPct
+  });
+  if (discountApprover) {
+    reasons.push('discount');
+  }
+  const approvalStatus = reasons.length > 0 ? 'pending' : 'not_required';
+  const approvalRole = approvalStatus === 'pending'
+    ? discountApprover || DISCOUNT_APPROVER_ROLES.manager
+    : null;
+
+  const { error: updateError } = await supabase
+    .from('quote_revisions')
+    .update({
+      gross_margin_pct: margin ? margin.gross_margin_pct : null,
+      margin_status: margin ? margin.status : null,
+      discount_pct: discountPct,
+      approval_status: approvalStatus,
+      approval_reasons: reasons,
+      approval_role: approvalRole,
+      approval_requested_by: approvalStatus === 'pending' ? currentUser?.id || null : null,
+      approval_requested_at: approvalStatus === 'pending' ? new Date().toISOString() : null,
+      approved_by: null,
+      approved_at: null,
+      rejected_by: null,
+      rejected_at: null,
+      rejection_reason: null
+    })
+    .eq('quote_id', quoteId)
+    .eq('revision_number', revisionNumber);
+
+  if (updateError) throw updateError;
+
+  if (approvalStatus === 'pending') {
+    await logQuoteEvent(quoteId, revisionNumber, 'approval_requested', {
+      reasons,
+      approval_role: approvalRole,
+      gross_margin_pct: margin ? margin.gross_margin_pct : null,
+      discount_pct: discountPct,
+      discount_reason: discountReason
+    });
+    await quoteNotifications.approvalRequested(
+      { id: quoteId },
+      revisionNumber,
+      reasons.map(reason => APPROVAL_REASON_LABELS[reason] || reason),
+      approvalRole
+    );
+  }
+
+  return { margin, approvalStatus };
+}
+
+// Labor estimate for a final quote built from a walkthrough, using the measured inputs
+async function estimateWalkthroughLabor(revision, walkthrough) {
+  const inputs = revision.quote_calculation_inputs;
+  if (!inputs?.service_type) return null;
+
+  try {
+    const pricebook = await getRevisionPricebook(revision);
+    const labor = estimateLabor(applyMeasuredInputs(inputs, walkthrough.measured_inputs), pricebook.config);
+    const { marginFloorPct, marginBlockPct } = getLaborConfig(pricebook.config);
+    return { ...labor, margin_floor_pct: marginFloorPct, margin_block_pct: marginBlockPct, tiers: null };
+  } catch (error) {
+    console.error('[Quotes] Error estimating walkthrough labor:', error);
+    return null;
+  }
+}
+
+// Re-price a draft from the walkthrough's measured inputs against the draft's pricebook
+// Returns null (keep the draft's line items) for tiered or hand-priced quotes, or when the
+// measured site still needs a custom price.
+async function repriceFromWalkthrough(revision, inputs) {
+  if (!inputs?.service_type) return null;
+  if (Array.isArray(revision.tier_options) && revision.tier_options.length > 0) return null;
+
+  try {
+    const pricebook = await getRevisionPricebook(revision);
+    const priced = calculateQuote(inputs, pricebook);
+    if (priced.status !== 'quote') return null;
+
+    // The draft's discount carries over to the measured price
+    const result = discountPricedResult(priced, revision.discount, inputs, pricebook.config);
+    return { result, discountFields: toRevisionDiscount(revision.discount, [result], pricebook.config) };
+  } catch (error) {
+    console.error('[Quotes] Error re-pricing from walkthrough:', error);
+    return null;
+  }
+}
+
+// ==========================================
+// APPROVALS
+// ==========================================
+/**
+ * Approve a revision that is waiting on a manager (managers and admins only; admin-level
+ * discounts need an admin; enforced in the database)
+ * @param {string} quoteId - Quote ID
+ * @param {number} revisionNumber - Revision number
+ */
+export async function approveRevision(quoteId, revisionNumber) {
+  return decideApproval(quoteId, revisionNumber, true);
+}
+
+/**
+ * Reject a revision that is waiting on a manager
+ * @param {string} quoteId - Quote ID
+ * @param {number} revisionNumber - Revision number
+ * @param {string} reason - Why it was rejected (shown to the rep)
+ */
+export async function rejectRevision(quoteId, revisionNumber, reason) {
+  return decideApproval(quoteId, revisionNumber, false, reason);
+}
+
+async function decideApproval(quoteId, revisionNumber, approved, reason = null) {
+  try {
+    const now = new Date().toISOString();
+    const { data: revision, error } = await supabase
+      .from('quote_revisions')
+      .update(approved
+        ? { approval_status: 'approved', approved_by: currentUser?.id || null, approved_at: now }
+        : { approval_status: 'rejected', rejected_by: currentUser?.id || null, rejected_at: now, rejection_reason: reason || null })
+      .eq('quote_id', quoteId)
+      .eq('revision_number', revisionNumber)
+      .eq('approval_status', 'pending')
+      .select('revision_number, approval_reasons, approval_role, discount_pct')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!revision) throw new Error('This revision is no longer waiting for approval');
+
+    await logQuoteEvent(quoteId, revisionNumber, approved ? 'approved' : 'rejected', {
+      reasons: revision.approval_reasons || [],
+      approval_role: revision.approval_role || null,
+      discount_pct: Number(revision.discount_pct) || 0,
+      rejection_reason: approved ? null : reason || null
+    });
+
+    const { data: quote } = await supabase
+      .from('quotes')
+      .select('id, owner_user_id')
+      .eq('id', quoteId)
+      .single();
+
+    if (quote) {
+      await quoteNotifications.approvalDecided(quote, revisionNumber, approved, reason);
+    }
+  } catch (error) {
+    console.error('[Quotes] Error recording approval decision:', error);
+    toast.error(error.message || 'Failed to record approval decision', 'Error');
+    throw error;
+  }
+}
+
+// Names for a set of user ids (user_profiles), keyed by id
+async function loadUserNames(userIds) {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  if (ids.length === 0) return {};
+
+  const { data, error } = await supabase
+    .from('user_profiles')
+    .select('id, full_name, email')
+    .in('id', ids);
+
+  if (error) {
+    console.error('[Quotes] Error loading user names:', error);
+    return {};
+  }
+  return Object.fromEntries((data || []).map(user => [user.id, user.full_name || user.email || 'Unknown']));
+}
+
+/**
+ * Revisions waiting for approval, oldest request first
+ * Admin-level discounts are only listed for admins.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeAdminLevel=false] - Include revisions only an admin can approve
+ * @returns {Promise<Array<Object>>} quote_revisions rows with quote, site_name and requested_by_name
+ */
+export async function loadApprovalQueue({ includeAdminLevel = false } = {}) {
+  try {
+    let query = supabase
+      .from('quote_revisions')
+      .select(`
+        quote_id, revision_number, subtotal, list_subtotal, discount, discount_total, discount_pct,
+        gross_margin_pct, approval_reasons, approval_role, approval_requested_by, approval_requested_at,
+        quote_calculation_outputs, quotes!inner(id, owner_user_id, account_id:sites(name))
+      `)
+      .eq('approval_status', 'pending')
+      .order('approval_requested_at', { ascending: true });
+
+    if (!includeAdminLevel) {
+      query = query.or('approval_role.is.null,approval_role.eq.manager');
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const names = await loadUserNames((data || []).map(revision => revision.approval_requested_by));
+    return (data || []).map(revision => ({
+      ...revision,
+      site_name: revision.quotes?.account_id?.name || null,
+      requested_by_name: names[revision.approval_requested_by] || null
+    }));
+  } catch (error) {
+    console.error('[Quotes] Error loading approval queue:', error);
+    throw error;
+  }
+}
+
+/**
+ * Discount given per rep on revisions sent since a date
+ * @param {Object} [options]
+ * @param {string} [options.since] - ISO date; defaults to 90 days ago
+ * @returns {Promise<Array<Object>>} summarizeDiscountsByRep() rows with rep_name
+ */
+export async function loadDiscountReport({ since } = {}) {
+  try {
+    const from = since || new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString();
+    const { data, error } = await supabase
+      .from('quote_revisions')
+      .select('subtotal, list_subtotal, discount_total, discount_pct, quote_calculation_outputs, quotes!inner(owner_user_id)')
+      .not('sent_at', 'is', null)
+      .gte('sent_at', from);
+
+    if (error) throw error;
+
+    const report = summarizeDiscountsByRep((data || []).map(revision => ({
+      ...revision,
+      owner_user_id: revision.quotes?.owner_user_id || null
+    })));
+    const names = await loadUserNames(report.map(rep => rep.owner_user_id));
+    return report.map(rep => ({ ...rep, rep_name: names[rep.owner_user_id] || 'Unassigned' }));
+  } catch (error) {
+    console.error('[Quotes] Error loading discount report:', error);
+    throw error;
+  }
+}
+
 // ==========================================
 // SEND REVISION
 // ==========================================
@@ -640,32 +1023,58 @@ export async function sendRevision(quoteId, revisionNumber, emails, expiryDays =
         toast.error('Final quote must have binding totals', 'Validation Error');
         throw new Error('Final quote validation failed');
       }
+
+      // The database costs labor from the quote inputs; without them there is no margin to check
+      if (!revision.margin_status) {
+        toast.error('This quote has no labor estimate. Price it with the quote engine before sending.', 'Validation Error');
+        throw new Error('Final quote has no labor estimate');
+      }
+    }
+
+    // Margin guardrail (also enforced by the database)
+    if (revision.margin_status === MARGIN_STATUSES.blocked) {
+      toast.error('Gross margin is below the minimum for this pricebook. Reprice the quote before sending.', 'Margin Too Low');
+      throw new Error('Quote margin below minimum');
+    }
+    if (revision.approval_status === 'pending' || revision.approval_status === 'rejected') {
+      toast.error(revision.approval_status === 'pending'
+        ? `This quote is waiting for ${revision.approval_role === DISCOUNT_APPROVER_ROLES.admin ? 'admin' : 'manager'} approval`
+        : 'A manager rejected this quote. Revise it before sending.', 'Approval Required');
+      throw new Error('Quote requires manager approval');
     }
 
     // Generate public token
     const publicToken = generatePublicToken();
 
-    // Generate PDF (we'll implement this)
-    const pdfUrl = await generatePDF(quoteId, revisionNumber);
-
     // Calculate expiry
     const expiresAt = new Date();
     expiresAt.setDate(expiresAt.getDate() + expiryDays);
 
     // Update revision
-    await supabase
+    const { error: sendError } = await supabase
       .from('quote_revisions')
       .update({
         sent_at: new Date().toISOString(),
         expires_at: expiresAt.toISOString(),
         sent_to_emails: emails,
         public_token: publicToken,
-        pdf_url: pdfUrl,
         status_at_send: 'sent'
       })
       .eq('quote_id', quoteId)
       .eq('revision_number', revisionNumber);
 
+    if (sendError) throw sendError;
+
+    // Render and lock the PDF now that the revision is sent
+    let pdf = null;
+    try {
+      pdf = await generatePDF(quoteId, revisionNumber);
+    } catch (pdfError) {
+      // Don't fail quote send; the PDF is rendered on first download instead
+      console.error('[Quotes] PDF generation failed (quote still sent):', pdfError);
+      toast.warning('Quote sent, but the PDF could not be generated yet. It will be created on first download.', 'Warning');
+    }
+
     // Update quote status
     await supabase
       .from('quotes')
@@ -727,7 +1136,7 @@ export async function sendRevision(quoteId, revisionNumber, emails, expiryDays =
       toast.warning('Quote saved but email failed to send. Please check your email service configuration.', 'Warning');
     }
 
-    return { quoteId, revisionNumber, publicToken, pdfUrl };
+    return { quoteId, revisionNumber, publicToken, pdfUrl: pdf?.url || null };
   } catch (error) {
     console.error('[Quotes] Error sending revision:', error);
     if (!error.message.includes('Validation')) {
@@ -747,48 +1156,44 @@ function generatePublicToken() {
 // ==========================================
 // PDF GENERATION
 // ==========================================
+/**
+ * Render (or fetch) the PDF for a revision via the generate-quote-pdf Edge Function.
+ * Unsent revisions get a fresh preview; sent revisions return the locked PDF.
+ * @returns {Promise<{url: string, path: string, sha256: string, generated_at: string, locked: boolean}>}
+ */
 async function generatePDF(quoteId, revisionNumber) {
-  // PDF generation implementation
-  // Option 1: Server-side (recommended) - call API endpoint
-  // Option 2: Client-side using jsPDF library
-  
-  // For now, return a placeholder URL
-  // To implement client-side PDF generation:
-  // 1. Add jsPDF library: <script src="https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js"></script>
-  // 2. Implement PDF generation logic based on revision type
-  // 3. Upload to storage and return URL
-  
-  // Placeholder - in production, implement actual PDF generation
-  return `/api/quotes/${quoteId}/revisions/${revisionNumber}/pdf`;
+  const { data, error } = await supabase.functions.invoke('generate-quote-pdf', {
+    method: 'POST',
+    body: { quoteId, revisionNumber }
+  });
+
+  if (error) throw error;
+  if (data?.error) throw new Error(data.error);
+  return data;
 }
 
-// Helper function for client-side PDF generation (requires jsPDF)
-export async function generatePDFClient(quoteId, revisionNumber, revisionData) {
-  // This function can be implemented using jsPDF
-  // Example structure:
-  /*
-  const { jsPDF } = window.jspdf;
-  const doc = new jsPDF();
-  
-  // Add content based on revision type
-  if (revisionData.revision_type === 'walkthrough_proposal') {
-    // Add walkthrough proposal content
-    doc.text('Walkthrough Proposal', 20, 20);
-    doc.text('Non-Binding Estimate', 20, 30);
-    // ... add scope, schedule, etc.
-  } else {
-    // Add final quote content
-    doc.text('Final Quote', 20, 20);
-    // ... add line items table, totals, etc.
+export async function getRevisionPDF(quoteId, revisionNumber) {
+  try {
+    return await generatePDF(quoteId, revisionNumber);
+  } catch (error) {
+    console.error('[Quotes] Error generating PDF:', error);
+    toast.error('Failed to generate PDF', 'Error');
+    throw error;
   }
-  
-  // Generate blob and upload to storage
-  const blob = doc.output('blob');
-  // Upload to Supabase storage and return URL
-  */
-  
-  console.warn('[Quotes] Client-side PDF generation not yet implemented. Use server-side PDF generation or implement jsPDF integration.');
-  return null;
+}
+
+/**
+ * Public portal download; the token is the only credential
+ */
+export async function getRevisionPDFByToken(token) {
+  const { data, error } = await supabase.functions.invoke('generate-quote-pdf', {
+    method: 'POST',
+    body: { token }
+  });
+
+  if (error) throw error;
+  if (data?.error) throw new Error(data.error);
+  return data;
 }
 
 // ==========================================
@@ -924,6 +1329,18 @@ export async function createFinalQuoteFromWalkthrough(quoteId) {
     // Create new revision number
     const newRevisionNumber = quote.active_revision_number + 1;
 
+    // The walkthrough's measured rooms replace the draft's estimates in the calculator inputs
+    const draftInputs = latestRevision.quote_calculation_inputs;
+    const inputs = draftInputs?.service_type
+      ? applyMeasuredInputs(draftInputs, walkthrough.measured_inputs)
+      : draftInputs || null;
+    const repriced = await repriceFromWalkthrough(latestRevision, inputs);
+
+    // Re-estimate labor from the measured site so the margin guardrail applies
+    const laborEstimate = repriced
+      ? toRevisionLaborEstimate(repriced.result)
+      : await estimateWalkthroughLabor(latestRevision, walkthrough);
+
     // Clone latest revision data but change type to final_quote
     const { data: newRevision, error: revError } = await supabase
       .from('quote_revisions')
@@ -938,54 +1355,79 @@ export async function createFinalQuoteFromWalkthrough(quoteId) {
         exclusions: latestRevision.exclusions,
         billing_frequency: latestRevision.billing_frequency,
         contract_term_months: latestRevision.contract_term_months,
-        start_date_proposed: latestRevision.start_date_proposed
+        start_date_proposed: latestRevision.start_date_proposed,
+        pricebook_id: latestRevision.pricebook_id || null,
+        pricebook_version: latestRevision.pricebook_version ?? null,
+        quote_calculation_inputs: inputs,
+        quote_calculation_outputs: repriced ? repriced.result : latestRevision.quote_calculation_outputs || null,
+        labor_estimate: laborEstimate,
+        ...(repriced ? repriced.discountFields : {})
       })
       .select()
       .single();
 
     if (revError) throw revError;
 
-    // Clone line items (convert ranges to binding prices if needed)
-    const { data: oldItems } = await supabase
-      .from('quote_line_items')
-      .select('*')
-      .eq('quote_id', quoteId)
-      .eq('revision_number', latestRevision.revision_number)
-      .order('display_order');
-
-    if (oldItems && oldItems.length > 0) {
-      const newItems = oldItems.map((item, index) => {
-        // The quote_line_items table uses 'description' as the main text field
-        const itemDescription = item.description || item.name || '';
-        const newItem = {
+    if (repriced) {
+      // Priced by the calculator from the measured inputs: one service line at the new per-visit price
+      const { error: itemsError } = await supabase
+        .from('quote_line_items')
+        .insert({
           quote_id: quoteId,
           revision_number: newRevisionNumber,
-          category: item.category,
-          description: itemDescription, // Use description as the required field
-          quantity: item.quantity,
-          unit: item.unit === 'range' ? 'flat' : item.unit, // Convert range to flat
-          unit_price: item.unit === 'range' ? (item.range_high + item.range_low) / 2 : item.unit_price, // Use midpoint for range
-          range_low: null,
-          range_high: null,
-          display_order: index
-        };
-        // Only include line_total if column exists
-        // This column may not exist in all schema versions - will be calculated by recalculateRevisionTotals if needed
-        // line_total: null - removed, column may not exist
-        // Only include frequency_multiplier if column exists and item has it
-        if (item.frequency_multiplier !== undefined && item.frequency_multiplier !== null) {
-          newItem.frequency_multiplier = item.frequency_multiplier;
-        }
-        return newItem;
-      });
+          category: 'service',
+          description: latestRevision.scope_summary || `${inputs.service_type.replace(/_/g, ' ')} cleaning service`,
+          quantity: inputs.frequency_per_month,
+          unit: 'visit',
+          unit_price: repriced.result.per_visit_price,
+          display_order: 0
+        });
 
-      await supabase
+      if (itemsError) throw itemsError;
+    } else {
+      // Clone line items (convert ranges to binding prices if needed)
+      const { data: oldItems } = await supabase
         .from('quote_line_items')
-        .insert(newItems);
+        .select('*')
+        .eq('quote_id', quoteId)
+        .eq('revision_number', latestRevision.revision_number)
+        .order('display_order');
+
+      if (oldItems && oldItems.length > 0) {
+        const newItems = oldItems.map((item, index) => {
+          // The quote_line_items table uses 'description' as the main text field
+          const itemDescription = item.description || item.name || '';
+          const newItem = {
+            quote_id: quoteId,
+            revision_number: newRevisionNumber,
+            category: item.category,
+            description: itemDescription, // Use description as the required field
+            quantity: item.quantity,
+            unit: item.unit === 'range' ? 'flat' : item.unit, // Convert range to flat
+            unit_price: item.unit === 'range' ? (item.range_high + item.range_low) / 2 : item.unit_price, // Use midpoint for range
+            range_low: null,
+            range_high: null,
+            display_order: index
+          };
+          // Only include line_total if column exists
+          // This column may not exist in all schema versions - will be calculated by recalculateRevisionTotals if needed
+          // line_total: null - removed, column may not exist
+          // Only include frequency_multiplier if column exists and item has it
+          if (item.frequency_multiplier !== undefined && item.frequency_multiplier !== null) {
+            newItem.frequency_multiplier = item.frequency_multiplier;
+          }
+          return newItem;
+        });
+
+        await supabase
+          .from('quote_line_items')
+          .insert(newItems);
+      }
     }
 
     // Recalculate totals
     await recalculateRevisionTotals(quoteId, newRevisionNumber);
+    await applyApprovalRules(quoteId, newRevisionNumber);
 
     // Update quote
     await supabase
@@ -1018,30 +1460,33 @@ async function updateDealStage(dealId, stage) {
   }
 }
 
+/**
+ * Accept a final quote with an e-signature from the public portal.
+ * The sign-quote Edge Function records the signature, hashes the revision
+ * content, captures IP/user agent server-side and appends the signing
+ * certificate to the revision PDF. It also provisions the site, service
+ * agreement and recurring jobs, which the portal's anonymous client can't write.
+ * @param {Object} acceptData - { token, name, email, title, method, typedSignature, signatureImage, selectedTier, acknowledged }
+ */
 export async function acceptFinalQuote(quoteId, revisionNumber, acceptData) {
   try {
-    // Update revision
-    await supabase
-      .from('quote_revisions')
-      .update({
-        accepted_at: new Date().toISOString(),
-        accepted_by_name: acceptData.name,
-        accepted_by_email: acceptData.email,
-        accepted_ip: acceptData.ip || null
-      })
-      .eq('quote_id', quoteId)
-      .eq('revision_number', revisionNumber);
-
-    // Update quote status
-    await supabase
-      .from('quotes')
-      .update({
-        status: 'accepted'
-      })
-      .eq('id', quoteId);
+    const { data: signature, error: signError } = await supabase.functions.invoke('sign-quote', {
+      method: 'POST',
+      body: {
+        token: acceptData.token,
+        signerName: acceptData.name,
+        signerEmail: acceptData.email,
+        signerTitle: acceptData.title || null,
+        method: acceptData.method,
+        typedSignature: acceptData.typedSignature || null,
+        signatureImage: acceptData.signatureImage,
+        selectedTier: acceptData.selectedTier || null,
+        acknowledged: acceptData.acknowledged === true
+      }
+    });
 
-    // Log event
-    await logQuoteEvent(quoteId, revisionNumber, 'accepted', acceptData);
+    if (signError) throw signError;
+    if (signature?.error) throw new Error(signature.error);
 
     // Auto-update deal to Won (server-side, idempotent)
     try {
@@ -1069,6 +1514,7 @@ export async function acceptFinalQuote(quoteId, revisionNumber, acceptData) {
     }
 
     toast.success('Quote accepted successfully', 'Success');
+    return signature;
   } catch (error) {
     console.error('[Quotes] Error accepting quote:', error);
     toast.error('Failed to accept quote', 'Error');
@@ -1130,6 +1576,137 @@ export async function declineFinalQuote(quoteId, revisionNumber, declineData) {
   }
 }
 
+// ==========================================
+// RE-ISSUE EXPIRED QUOTES
+// ==========================================
+/**
+ * Re-issue an expired revision: copy it into a new revision re-priced against the current
+ * pricebook, then send it to the same recipients with a new portal link.
+ * If the new price needs manager approval the revision is left as a draft instead of sent.
+ * @param {string} quoteId - Quote ID
+ * @param {number} revisionNumber - Expired revision number
+ * @returns {Promise<{ revisionNumber: number, sent: boolean }>}
+ */
+export async function reissueExpiredRevision(quoteId, revisionNumber) {
+  try {
+    const [{ data: revision, error: revError }, { data: lineItems, error: itemsError }, { data: latest, error: latestError }] = await Promise.all([
+      supabase.from('quote_revisions').select('*').eq('quote_id', quoteId).eq('revision_number', revisionNumber).single(),
+      supabase.from('quote_line_items').select('*').eq('quote_id', quoteId).eq('revision_number', revisionNumber).order('display_order'),
+      supabase.from('quote_revisions').select('revision_number').eq('quote_id', quoteId).order('revision_number', { ascending: false }).limit(1).single()
+    ]);
+
+    if (revError) throw revError;
+    if (itemsError) throw itemsError;
+    if (latestError) throw latestError;
+
+    const isExpired = revision.expired_at || (revision.expires_at && new Date(revision.expires_at) < new Date());
+    if (!revision.sent_at || revision.accepted_at || !isExpired) {
+      throw new Error('Only expired quotes can be re-issued');
+    }
+    if (revision.reissued_as_revision) {
+      throw new Error(`This quote was already re-issued as revision ${revision.reissued_as_revision}`);
+    }
+
+    const newRevisionNumber = latest.revision_number + 1;
+    const pricebook = await getActivePricebook();
+    const inputs = revision.quote_calculation_inputs;
+
+    // Re-price against the current pricebook; quotes priced by hand keep their line items
+    let repriced = null;
+    let tiered = null;
+    if (inputs?.service_type) {
+      repriced = calculateQuote(inputs, pricebook);
+      if (Array.isArray(revision.tier_options) && revision.tier_options.length > 0) {
+        tiered = calculateTieredQuote(inputs, pricebook);
+        if (tiered.tiers.length === 0) tiered = null;
+      }
+    }
+
+    // The original discount carries over to the new price and is re-checked against current thresholds
+    let discountFields = {
+      discount: revision.discount || null,
+      list_subtotal: revision.list_subtotal ?? null,
+      discount_total: revision.discount_total || 0,
+      discount_pct: revision.discount_pct || 0
+    };
+    if (repriced) {
+      repriced = discountPricedResult(repriced, revision.discount, inputs, pricebook.config);
+      if (tiered) {
+        tiered = {
+          ...tiered,
+          tiers: tiered.tiers.map(tier => discountPricedResult(tier, revision.discount, tier.inputs, pricebook.config))
+        };
+      }
+      discountFields = toRevisionDiscount(revision.discount, tiered ? tiered.tiers : [repriced], pricebook.config);
+    }
+
+    await createRevision(quoteId, newRevisionNumber, {
+      revision_type: revision.revision_type,
+      is_binding: revision.is_binding,
+      reissued_from_revision: revisionNumber
+    });
+
+    const revisionData = {
+      scope_summary: revision.scope_summary,
+      assumptions: revision.assumptions,
+      exclusions: revision.exclusions,
+      billing_frequency: revision.billing_frequency,
+      contract_term_months: revision.contract_term_months,
+      start_date_proposed: revision.start_date_proposed,
+      service_schedule_summary: revision.service_schedule_summary,
+      quote_engine_version: revision.quote_engine_version,
+      quote_calculation_inputs: inputs || null,
+      quote_calculation_outputs: repriced || revision.quote_calculation_outputs || null,
+      pricebook_id: repriced ? pricebook.id : revision.pricebook_id || null,
+      pricebook_version: repriced ? pricebook.version : revision.pricebook_version ?? null,
+      tier_options: tiered ? toRevisionTierOptions(tiered) : null,
+      labor_estimate: repriced ? toRevisionLaborEstimate(repriced, tiered) : revision.labor_estimate || null,
+      ...discountFields
+    };
+
+    const newLineItems = tiered
+      ? toTieredLineItems(tiered)
+      : repriced?.line_items || lineItems || [];
+
+    await saveRevision(quoteId, newRevisionNumber, revisionData, newLineItems);
+
+    await supabase
+      .from('quote_revisions')
+      .update({ reissued_as_revision: newRevisionNumber })
+      .eq('quote_id', quoteId)
+      .eq('revision_number', revisionNumber);
+
+    await logQuoteEvent(quoteId, revisionNumber, 'reissued', {
+      new_revision_number: newRevisionNumber,
+      pricebook_version: revisionData.pricebook_version,
+      previous_pricebook_version: revision.pricebook_version ?? null,
+      repriced: Boolean(repriced)
+    });
+
+    // Send right away unless the new price is held for approval
+    const { data: saved } = await supabase
+      .from('quote_revisions')
+      .select('approval_status, margin_status')
+      .eq('quote_id', quoteId)
+      .eq('revision_number', newRevisionNumber)
+      .single();
+
+    const emails = revision.sent_to_emails || [];
+    const held = saved?.margin_status === MARGIN_STATUSES.blocked || saved?.approval_status === 'pending';
+    if (held || emails.length === 0) {
+      toast.info(`Revision ${newRevisionNumber} created as a draft. ${held ? 'It needs approval before it can be sent.' : 'Add recipients to send it.'}`, 'Quote Re-issued');
+      return { revisionNumber: newRevisionNumber, sent: false };
+    }
+
+    await sendRevision(quoteId, newRevisionNumber, emails);
+    return { revisionNumber: newRevisionNumber, sent: true };
+  } catch (error) {
+    console.error('[Quotes] Error re-issuing revision:', error);
+    toast.error(error.message || 'Failed to re-issue quote', 'Error');
+    throw error;
+  }
+}
+
 // ==========================================
 // PUBLIC PORTAL ACCESS
 // ==========================================
@@ -1154,7 +1731,7 @@ export async function getRevisionByToken(publicToken) {
     if (error) throw error;
 
     // Check if expired
-    if (revision.expires_at && new Date(revision.expires_at) < new Date()) {
+    if (revision.expired_at || (revision.expires_at && new Date(revision.expires_at) < new Date())) {
       return { ...revision, expired: true };
     }
 
@@ -1177,6 +1754,44 @@ export async function getRevisionByToken(publicToken) {
   }
 }
 
+/**
+ * Previous sent revision of a quote, for the portal's "what changed" view
+ * Drafts are never shown to clients, and internal notes are not selected.
+ * @param {string} quoteId - Quote ID
+ * @param {number} revisionNumber - Revision the client is viewing
+ * @returns {Promise<{revision: Object, lineItems: Array<Object>}|null>}
+ */
+export async function getPreviousSentRevision(quoteId, revisionNumber) {
+  try {
+    const { data: revision, error } = await supabase
+      .from('quote_revisions')
+      .select('quote_id, revision_number, revision_type, subtotal, tax, total, tax_lines, tier_options, billing_frequency, contract_term_months, start_date_proposed, service_schedule_summary, scope_summary, assumptions, exclusions, sent_at, expires_at')
+      .eq('quote_id', quoteId)
+      .lt('revision_number', revisionNumber)
+      .not('sent_at', 'is', null)
+      .order('revision_number', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!revision) return null;
+
+    const { data: lineItems, error: itemsError } = await supabase
+      .from('quote_line_items')
+      .select('*')
+      .eq('quote_id', quoteId)
+      .eq('revision_number', revision.revision_number)
+      .order('display_order');
+
+    if (itemsError) throw itemsError;
+
+    return { revision, lineItems: lineItems || [] };
+  } catch (error) {
+    console.error('[Quotes] Error loading previous revision:', error);
+    return null;
+  }
+}
+
 export async function logPortalEvent(publicToken, eventType, metadata = {}) {
   try {
     // Get revision to find quote_id
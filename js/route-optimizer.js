@@ -1,14 +1,15 @@
 /**
  * Route Optimizer Engine
  * In-house route optimization using VRPTW-inspired heuristics
- * No external APIs - pure computation
+ * Pure computation: travel times come from haversine estimates, or from a
+ * travel time cache filled beforehand (see travel-time-provider.js)
  */
 
 // ============================================
 // CONFIGURATION
 // ============================================
 
-const DEFAULT_CONFIG = {
+export const DEFAULT_CONFIG = {
   averageSpeedKmh: 35, // Average urban driving speed
   congestionMultipliers: {
     // Time-of-day congestion multipliers (0-23 hours)
@@ -20,8 +21,10 @@ const DEFAULT_CONFIG = {
   latenessPenalty: 100, // Large weight for late arrivals
   overtimePenalty: 200, // Very large weight for overtime
   priorityReward: 10, // Reward for visiting high-priority stops
+  workloadBalanceWeight: 0.5, // Multi-rep: extra cost per minute of a rep's existing workload
   maxOptimizationTime: 1000, // Max milliseconds for optimization
   maxIterations: 50, // Max iterations without improvement
+  travelTimeCache: null, // TravelTimeCache from travel-time-provider.js; null = haversine only
   engineVersion: '1.0'
 };
 
@@ -44,8 +47,34 @@ export function haversineDistance(lat1, lon1, lat2, lon2) {
   return R * c;
 }
 
+/**
+ * Congestion bucket for an hour of day
+ * @param {number} hourOfDay - Hour of day (0-23)
+ * @param {Object} config - Configuration object
+ * @returns {string} 'morning', 'evening' or 'default'
+ */
+export function getHourBucket(hourOfDay, config = DEFAULT_CONFIG) {
+  const { morning, evening } = config.congestionMultipliers;
+  if (hourOfDay >= morning.start && hourOfDay < morning.end) return 'morning';
+  if (hourOfDay >= evening.start && hourOfDay < evening.end) return 'evening';
+  return 'default';
+}
+
+/**
+ * Congestion multiplier for a bucket from getHourBucket()
+ * @param {string} bucket - Hour bucket
+ * @param {Object} config - Configuration object
+ * @returns {number}
+ */
+export function getCongestionMultiplier(bucket, config = DEFAULT_CONFIG) {
+  return bucket === 'default'
+    ? config.congestionMultipliers.default
+    : config.congestionMultipliers[bucket].multiplier;
+}
+
 /**
  * Calculate travel time in minutes between two points
+ * Uses config.travelTimeCache when it has the pair for this hour bucket, otherwise haversine.
  * @param {number} lat1 - Start latitude
  * @param {number} lon1 - Start longitude
  * @param {number} lat2 - End latitude
@@ -55,23 +84,28 @@ export function haversineDistance(lat1, lon1, lat2, lon2) {
  * @returns {number} Travel time in minutes
  */
 export function calculateTravelTime(lat1, lon1, lat2, lon2, hourOfDay = 12, config = DEFAULT_CONFIG) {
+  const bucket = getHourBucket(hourOfDay, config);
+  const cached = config.travelTimeCache?.get(lat1, lon1, lat2, lon2, bucket);
+  if (cached) return cached.minutes;
+
   const distance = haversineDistance(lat1, lon1, lat2, lon2);
-  
-  // Get congestion multiplier for time of day
-  let multiplier = config.congestionMultipliers.default;
-  if (hourOfDay >= config.congestionMultipliers.morning.start && 
-      hourOfDay < config.congestionMultipliers.morning.end) {
-    multiplier = config.congestionMultipliers.morning.multiplier;
-  } else if (hourOfDay >= config.congestionMultipliers.evening.start && 
-             hourOfDay < config.congestionMultipliers.evening.end) {
-    multiplier = config.congestionMultipliers.evening.multiplier;
-  }
-  
-  const effectiveSpeed = config.averageSpeedKmh / multiplier;
+  const effectiveSpeed = config.averageSpeedKmh / getCongestionMultiplier(bucket, config);
   const travelTimeHours = distance / effectiveSpeed;
   return Math.round(travelTimeHours * 60); // Convert to minutes
 }
 
+/**
+ * Which travel time source answered this plan's lookups
+ * @param {Object} config - Configuration object
+ * @returns {Object} { provider, lookupsByProvider, fallbackLookups, errors }
+ */
+function describeTravelTimes(config) {
+  if (!config.travelTimeCache) {
+    return { provider: 'haversine', lookupsByProvider: {}, fallbackLookups: 0, errors: [] };
+  }
+  return config.travelTimeCache.describe();
+}
+
 /**
  * Build distance matrix for a set of stops
  * @param {Array} stops - Array of stops with lat/lng
@@ -638,6 +672,7 @@ export function generateRoutePlan({
   config = DEFAULT_CONFIG
 }) {
   const startTime = Date.now();
+  config.travelTimeCache?.resetStats();
   
   // Validate inputs
   if (!stops || stops.length === 0) {
@@ -717,7 +752,8 @@ export function generateRoutePlan({
       candidatePoolSize: eligibleStops.length,
       excludedStops,
       iterations: 'N/A', // Could track this in optimizeRoute
-      feasibility: feasibility.feasible
+      feasibility: feasibility.feasible,
+      travelTime: describeTravelTimes(config)
     }
   };
 }
@@ -789,3 +825,428 @@ function calculateSchedule(route, stops, distanceMatrix, startPoint, constraints
   
   return schedule;
 }
+
+// ============================================
+// MULTI-REP PLANNING
+// ============================================
+
+/**
+ * Why a stop was left out of a multi-rep plan
+ */
+export const UNASSIGNED_REASONS = {
+  MISSING_COORDINATES: 'missing_coordinates',
+  DO_NOT_CONTACT: 'do_not_contact',
+  NOT_ROUTING_ELIGIBLE: 'not_routing_eligible',
+  ASSIGNED_REP_UNAVAILABLE: 'assigned_rep_unavailable',
+  TIME_WINDOW: 'time_window',
+  SHIFT_END: 'shift_end',
+  CAPACITY: 'capacity',
+  MISSING_SKILLS: 'missing_skills'
+};
+
+const UNASSIGNED_MESSAGES = {
+  missing_coordinates: 'Stop has no coordinates',
+  do_not_contact: 'Stop is marked do not contact',
+  not_routing_eligible: 'Stop is not routing eligible',
+  assigned_rep_unavailable: 'Stop is assigned to a rep who is not in this plan',
+  time_window: 'No rep can arrive inside the stop\'s time window',
+  shift_end: 'Every rep with room would finish after their shift ends',
+  capacity: 'Every rep that could reach it is at capacity',
+  missing_skills: 'No rep in this plan has the skills it requires'
+};
+
+/**
+ * Whether a rep has every skill a stop requires (case-insensitive)
+ */
+function hasRequiredSkills(rep, stop) {
+  if (!stop.requiredSkills || stop.requiredSkills.length === 0) return true;
+  const skills = new Set((rep.skills || []).map(skill => String(skill).toLowerCase()));
+  return stop.requiredSkills.every(skill => skills.has(String(skill).toLowerCase()));
+}
+
+/**
+ * Walk a rep's route from their start point and check it against their shift and stop time windows
+ * @param {Array} route - Ordered stop indices
+ * @param {Array} stops - Full stops array
+ * @param {Object} rep - Rep with startPoint and resolved constraints
+ * @param {Object} config - Configuration
+ * @returns {Object} { feasible, reason, travelMinutes, serviceMinutes, workloadMinutes, endMinutes }
+ */
+function simulateRepRoute(route, stops, rep, config) {
+  const {
+    shiftStartMinutes,
+    shiftEndMinutes,
+    lunchBreakStart,
+    lunchBreakDuration,
+    serviceDurationMinutes
+  } = rep.constraints;
+
+  let currentTime = shiftStartMinutes;
+  let currentLat = rep.startPoint.lat;
+  let currentLng = rep.startPoint.lng;
+  let travelMinutes = 0;
+  let serviceMinutes = 0;
+  let reason = null;
+
+  for (const stopIdx of route) {
+    const stop = stops[stopIdx];
+    const travelTime = calculateTravelTime(
+      currentLat, currentLng,
+      stop.lat, stop.lng,
+      Math.floor(currentTime / 60),
+      config
+    );
+    travelMinutes += travelTime;
+    currentTime += travelTime;
+
+    if (currentTime >= lunchBreakStart && currentTime < lunchBreakStart + lunchBreakDuration) {
+      currentTime = lunchBreakStart + lunchBreakDuration;
+    }
+
+    if (stop.timeWindowStartMinutes !== undefined && stop.timeWindowStartMinutes !== null &&
+        currentTime < stop.timeWindowStartMinutes) {
+      currentTime = stop.timeWindowStartMinutes;
+    }
+    if (!reason && stop.timeWindowEndMinutes !== undefined && stop.timeWindowEndMinutes !== null &&
+        currentTime > stop.timeWindowEndMinutes) {
+      reason = UNASSIGNED_REASONS.TIME_WINDOW;
+    }
+
+    const serviceDuration = stop.serviceDurationMinutes || serviceDurationMinutes;
+    serviceMinutes += serviceDuration;
+    currentTime += serviceDuration;
+
+    currentLat = stop.lat;
+    currentLng = stop.lng;
+  }
+
+  if (!reason && currentTime > shiftEndMinutes) {
+    reason = UNASSIGNED_REASONS.SHIFT_END;
+  }
+
+  return {
+    feasible: reason === null,
+    reason,
+    travelMinutes,
+    serviceMinutes,
+    workloadMinutes: travelMinutes + serviceMinutes,
+    endMinutes: currentTime
+  };
+}
+
+/**
+ * Cheapest feasible position to insert a stop into a rep's route
+ * @returns {Object} { position, deltaMinutes, workloadMinutes } or { position: -1, reason }
+ */
+function findBestInsertion(stopIdx, rep, stops, config) {
+  if (rep.route.length >= rep.constraints.maxStops) {
+    return { position: -1, reason: UNASSIGNED_REASONS.CAPACITY };
+  }
+
+  const current = simulateRepRoute(rep.route, stops, rep, config);
+  let best = { position: -1, reason: null };
+
+  for (let pos = 0; pos <= rep.route.length; pos++) {
+    const candidate = [...rep.route.slice(0, pos), stopIdx, ...rep.route.slice(pos)];
+    const result = simulateRepRoute(candidate, stops, rep, config);
+
+    if (!result.feasible) {
+      // A time window miss is the more specific explanation, keep it over shift end
+      if (best.position === -1 && best.reason !== UNASSIGNED_REASONS.TIME_WINDOW) {
+        best.reason = result.reason;
+      }
+      continue;
+    }
+
+    const deltaMinutes = result.workloadMinutes - current.workloadMinutes;
+    if (best.position === -1 || deltaMinutes < best.deltaMinutes) {
+      best = { position: pos, deltaMinutes, workloadMinutes: result.workloadMinutes, reason: null };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Pick the most telling reason a stop could not go to any rep
+ * @param {Array<string>} reasons - One reason per rep that was tried
+ * @returns {string}
+ */
+function summarizeUnassignedReason(reasons) {
+  if (reasons.length > 0 && reasons.every(reason => reason === UNASSIGNED_REASONS.CAPACITY)) {
+    return UNASSIGNED_REASONS.CAPACITY;
+  }
+  if (reasons.includes(UNASSIGNED_REASONS.TIME_WINDOW)) return UNASSIGNED_REASONS.TIME_WINDOW;
+  return UNASSIGNED_REASONS.SHIFT_END;
+}
+
+/**
+ * Generate balanced routes for several reps from one pool of stops
+ * Must-visit stops are placed first (earliest time window first), then optional stops by score.
+ * Each stop goes to the rep with the cheapest feasible insertion, weighted by that rep's current
+ * workload so the day is spread evenly. Each rep's route is then locally optimized.
+ * @param {Object} params - Optimization parameters
+ * @param {Array} params.stops - Array of candidate stops (optional assignedRepId pins a stop to one rep,
+ *   optional requiredSkills limits it to reps with all of those skills)
+ * @param {Array} params.reps - [{ id, name, startPoint: { lat, lng }, shiftStartMinutes, shiftEndMinutes, capacity, skills }]
+ * @param {Object} params.constraints - Shared route constraints (per-rep values override)
+ * @param {Object} params.weights - Scoring weights
+ * @param {Object} params.config - Engine configuration
+ * @returns {Object} Plan with one route per rep, unassigned stops with reasons, and workload stats
+ */
+export function generateMultiRepPlan({
+  stops,
+  reps,
+  constraints = {},
+  weights = {},
+  config = DEFAULT_CONFIG
+}) {
+  const startTime = Date.now();
+  config.travelTimeCache?.resetStats();
+  const balanceWeight = config.workloadBalanceWeight ?? DEFAULT_CONFIG.workloadBalanceWeight;
+
+  if (!reps || reps.length === 0) {
+    return { success: false, error: 'No reps provided', routes: [], unassigned: [], stats: {}, diagnostics: {} };
+  }
+  if (!stops || stops.length === 0) {
+    return { success: false, error: 'No stops provided', routes: [], unassigned: [], stats: {}, diagnostics: {} };
+  }
+
+  const unassigned = [];
+  const unassign = (stop, reason) => unassigned.push({
+    stopId: stop.id,
+    stop,
+    reason,
+    message: UNASSIGNED_MESSAGES[reason]
+  });
+
+  const repIds = new Set(reps.map(rep => rep.id));
+  const eligibleStops = [];
+  for (const stop of stops) {
+    if (!stop.lat || !stop.lng) unassign(stop, UNASSIGNED_REASONS.MISSING_COORDINATES);
+    else if (stop.doNotContact) unassign(stop, UNASSIGNED_REASONS.DO_NOT_CONTACT);
+    else if (stop.routingEligible === false) unassign(stop, UNASSIGNED_REASONS.NOT_ROUTING_ELIGIBLE);
+    else if (stop.assignedRepId && !repIds.has(stop.assignedRepId)) unassign(stop, UNASSIGNED_REASONS.ASSIGNED_REP_UNAVAILABLE);
+    else eligibleStops.push(stop);
+  }
+
+  const planReps = reps.map(rep => ({
+    ...rep,
+    constraints: {
+      shiftStartMinutes: rep.shiftStartMinutes ?? constraints.shiftStartMinutes ?? 480,
+      shiftEndMinutes: rep.shiftEndMinutes ?? constraints.shiftEndMinutes ?? 1080,
+      lunchBreakStart: rep.lunchBreakStart ?? constraints.lunchBreakStart ?? 720,
+      lunchBreakDuration: rep.lunchBreakDuration ?? constraints.lunchBreakDuration ?? 30,
+      maxStops: rep.capacity ?? constraints.maxStops ?? 50,
+      serviceDurationMinutes: constraints.serviceDurationMinutes ?? 15
+    },
+    route: [],
+    workloadMinutes: 0
+  }));
+
+  // Must-visit stops first, in time window order, then optional stops by score
+  const order = eligibleStops.map((_, idx) => idx).sort((a, b) => {
+    const stopA = eligibleStops[a];
+    const stopB = eligibleStops[b];
+    if (Boolean(stopA.mustVisit) !== Boolean(stopB.mustVisit)) return stopA.mustVisit ? -1 : 1;
+    if (stopA.mustVisit) return (stopA.timeWindowStartMinutes || 0) - (stopB.timeWindowStartMinutes || 0);
+    return calculateStopScore(stopB, weights) - calculateStopScore(stopA, weights);
+  });
+
+  for (const stopIdx of order) {
+    const stop = eligibleStops[stopIdx];
+    const candidates = planReps.filter(rep =>
+      (!stop.assignedRepId || rep.id === stop.assignedRepId) && hasRequiredSkills(rep, stop)
+    );
+    if (candidates.length === 0) {
+      unassign(stop, UNASSIGNED_REASONS.MISSING_SKILLS);
+      continue;
+    }
+
+    let bestRep = null;
+    let bestInsertion = null;
+    let bestCost = Infinity;
+    const reasons = [];
+
+    for (const rep of candidates) {
+      const insertion = findBestInsertion(stopIdx, rep, eligibleStops, config);
+      if (insertion.position === -1) {
+        reasons.push(insertion.reason);
+        continue;
+      }
+      const cost = insertion.deltaMinutes + balanceWeight * insertion.workloadMinutes;
+      if (cost < bestCost) {
+        bestRep = rep;
+        bestInsertion = insertion;
+        bestCost = cost;
+      }
+    }
+
+    if (!bestRep) {
+      unassign(stop, summarizeUnassignedReason(reasons));
+      continue;
+    }
+
+    bestRep.route.splice(bestInsertion.position, 0, stopIdx);
+    bestRep.workloadMinutes = bestInsertion.workloadMinutes;
+  }
+
+  // Improve each rep's order, keeping the result only if it stays feasible and is no longer
+  const hourOfDay = Math.floor((constraints.shiftStartMinutes || 480) / 60);
+  const distanceMatrix = buildDistanceMatrix(eligibleStops, hourOfDay, config);
+
+  const routes = planReps.map(rep => {
+    if (rep.route.length > 1) {
+      const optimized = optimizeRoute(rep.route, eligibleStops, distanceMatrix, rep.constraints, weights, config);
+      const before = simulateRepRoute(rep.route, eligibleStops, rep, config);
+      const after = simulateRepRoute(optimized, eligibleStops, rep, config);
+      if (after.feasible && after.workloadMinutes < before.workloadMinutes) {
+        rep.route = optimized;
+      }
+    }
+
+    const result = simulateRepRoute(rep.route, eligibleStops, rep, config);
+    const schedule = calculateSchedule(rep.route, eligibleStops, distanceMatrix, rep.startPoint, rep.constraints, config);
+
+    return {
+      rep: { id: rep.id, name: rep.name, startPoint: rep.startPoint },
+      constraints: rep.constraints,
+      route: rep.route.map(idx => ({
+        stopIndex: idx,
+        stop: eligibleStops[idx],
+        ...schedule[idx]
+      })),
+      stats: {
+        totalStops: rep.route.length,
+        totalTravelMinutes: result.travelMinutes,
+        totalServiceMinutes: result.serviceMinutes,
+        workloadMinutes: result.workloadMinutes,
+        totalTime: rep.route.length > 0 ? result.endMinutes - rep.constraints.shiftStartMinutes : 0,
+        overtime: Math.max(0, result.endMinutes - rep.constraints.shiftEndMinutes),
+        feasible: result.feasible
+      }
+    };
+  });
+
+  const workloads = routes.map(route => route.stats.workloadMinutes);
+  const meanWorkload = workloads.reduce((sum, minutes) => sum + minutes, 0) / workloads.length;
+  const assignedStops = routes.reduce((sum, route) => sum + route.route.length, 0);
+
+  return {
+    success: true,
+    routes,
+    unassigned,
+    stats: {
+      reps: routes.length,
+      totalStops: stops.length,
+      assignedStops,
+      unassignedStops: unassigned.length,
+      mustVisitUnassigned: unassigned.filter(entry => entry.stop.mustVisit).length,
+      totalTravelMinutes: routes.reduce((sum, route) => sum + route.stats.totalTravelMinutes, 0),
+      workload: {
+        minMinutes: Math.min(...workloads),
+        maxMinutes: Math.max(...workloads),
+        meanMinutes: Math.round(meanWorkload),
+        // 0 = perfectly even; (max - min) as a share of the mean
+        imbalance: meanWorkload > 0 ? Math.round(((Math.max(...workloads) - Math.min(...workloads)) / meanWorkload) * 100) / 100 : 0
+      },
+      optimizationTimeMs: Date.now() - startTime,
+      engineVersion: config.engineVersion
+    },
+    diagnostics: {
+      candidatePoolSize: eligibleStops.length,
+      unassignedByReason: unassigned.reduce((counts, entry) => {
+        counts[entry.reason] = (counts[entry.reason] || 0) + 1;
+        return counts;
+      }, {}),
+      travelTime: describeTravelTimes(config)
+    }
+  };
+}
+
+/**
+ * Re-plan the rest of a rep's day from where they are now
+ * Runs the planner for the one rep with the shift starting at the current time and the original
+ * end of shift, lunch break and capacity, then compares the result with the order the rep was following.
+ * @param {Object} params - Re-planning parameters
+ * @param {Array} params.stops - Remaining stops, in the order the rep was following
+ * @param {Object} params.currentPosition - { lat, lng } from the rep's latest GPS fix
+ * @param {number} params.currentMinutes - Current time in minutes from midnight
+ * @param {Object} params.constraints - The day's original route constraints
+ * @param {Object} params.weights - Scoring weights
+ * @param {Object} params.config - Engine configuration
+ * @returns {Object} { success, route, dropped, reordered, behindSchedule, stats, diagnostics }
+ */
+export function replanRoute({
+  stops,
+  currentPosition,
+  currentMinutes,
+  constraints = {},
+  weights = {},
+  config = DEFAULT_CONFIG
+}) {
+  if (!currentPosition?.lat || !currentPosition?.lng) {
+    return { success: false, error: 'No current position', route: [], dropped: [], reordered: [], stats: {}, diagnostics: {} };
+  }
+  if (!stops || stops.length === 0) {
+    return { success: false, error: 'No remaining stops', route: [], dropped: [], reordered: [], stats: {}, diagnostics: {} };
+  }
+
+  const shiftStartMinutes = Math.max(currentMinutes, constraints.shiftStartMinutes ?? 480);
+  // Nearest first among equally scored stops, so a short afternoon is spent close by
+  const distanceFromHere = (stop) => stop.lat && stop.lng
+    ? haversineDistance(currentPosition.lat, currentPosition.lng, stop.lat, stop.lng)
+    : Infinity;
+  const plan = generateMultiRepPlan({
+    stops: [...stops].sort((a, b) => distanceFromHere(a) - distanceFromHere(b)),
+    reps: [{ id: 'current', startPoint: currentPosition, shiftStartMinutes, capacity: constraints.maxStops }],
+    constraints,
+    weights,
+    config
+  });
+  const [repRoute] = plan.routes;
+
+  // Would the rep still make it if they carried on in the old order?
+  const routable = stops.filter(stop => stop.lat && stop.lng);
+  const previous = simulateRepRoute(
+    routable.map((_, idx) => idx),
+    routable,
+    { startPoint: currentPosition, constraints: repRoute.constraints },
+    config
+  );
+
+  const previousIds = stops.map(stop => stop.id);
+  const keptIds = new Set(repRoute.route.map(entry => entry.stop.id));
+  const previousKept = previousIds.filter(id => keptIds.has(id));
+  const reordered = repRoute.route
+    .filter((entry, idx) => previousKept[idx] !== entry.stop.id)
+    .map(entry => ({
+      stopId: entry.stop.id,
+      stop: entry.stop,
+      previousIndex: previousIds.indexOf(entry.stop.id),
+      newIndex: entry.orderIndex
+    }));
+
+  return {
+    success: true,
+    route: repRoute.route,
+    dropped: plan.unassigned,
+    reordered,
+    behindSchedule: !previous.feasible,
+    stats: {
+      ...repRoute.stats,
+      replannedAtMinutes: shiftStartMinutes,
+      remainingStops: stops.length,
+      droppedStops: plan.unassigned.length,
+      reorderedStops: reordered.length,
+      previousEndMinutes: previous.endMinutes,
+      optimizationTimeMs: plan.stats.optimizationTimeMs,
+      engineVersion: config.engineVersion
+    },
+    diagnostics: {
+      ...plan.diagnostics,
+      previousOrderFeasible: previous.feasible,
+      previousOrderIssue: previous.reason
+    }
+  };
+}
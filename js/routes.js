@@ -5,6 +5,8 @@
 
 import { supabase } from './supabase.js';
 import { queueOperation, queueOrExecute, OPERATION_TYPES, syncOfflineQueue, isOnline } from './offline-sync.js';
+import { DEFAULT_CONFIG, replanRoute } from './route-optimizer.js';
+import { getConfiguredProviders, getShiftHours, loadTravelTimes, travelTimeCache } from './travel-time-provider.js';
 
 // Route statuses
 export const ROUTE_STATUS = {
@@ -54,10 +56,7 @@ export async function createTerritory(territoryData) {
       payload: territory
     });
 
-    if (result.queued) {
-      return result.operationId;
-    }
-
+    // Queued creates come back with a temp id that routes can be queued against
     return result.data;
   } catch (error) {
     console.error('[Routes] Error creating territory:', error);
@@ -106,10 +105,7 @@ export async function createRoute(routeData) {
       payload: route
     });
 
-    if (result.queued) {
-      return result.operationId;
-    }
-
+    // Queued creates come back with a temp id that door targets can be queued against
     return result.data;
   } catch (error) {
     console.error('[Routes] Error creating route:', error);
@@ -225,11 +221,12 @@ export async function fetchRoute(routeId) {
 
 /**
  * Update route
+ * Pass options.base (the route as loaded) so an offline update merges field by field with changes made meanwhile.
  */
-export async function updateRoute(routeId, updates) {
+export async function updateRoute(routeId, updates, options = {}) {
   try {
     if (!isOnline()) {
-      return await queueOperation('routes', 'update', updates, routeId);
+      return await queueOperation('routes', 'update', updates, routeId, { base: options.base });
     }
 
     const { data, error } = await supabase
@@ -268,7 +265,7 @@ export async function startRoute(routeId) {
     return await updateRoute(routeId, {
       status: ROUTE_STATUS.ACTIVE,
       started_at: new Date().toISOString()
-    });
+    }, { base: route });
   } catch (error) {
     console.error('[Routes] Error starting route:', error);
     throw error;
@@ -278,12 +275,12 @@ export async function startRoute(routeId) {
 /**
  * Complete route
  */
-export async function completeRoute(routeId) {
+export async function completeRoute(routeId, options = {}) {
   try {
     return await updateRoute(routeId, {
       status: ROUTE_STATUS.COMPLETED,
       completed_at: new Date().toISOString()
-    });
+    }, options);
   } catch (error) {
     console.error('[Routes] Error completing route:', error);
     throw error;
@@ -528,9 +525,11 @@ export async function recordDoorVisit(visitData) {
 }
 
 /**
- * Get next door to visit (simple distance-based ordering)
+ * Get next door to visit
+ * Nearest pending door by default; with followSequence, the first door in sequence_order
+ * (used once the remaining route has been re-planned).
  */
-export async function getNextDoor(routeId, currentLat, currentLng) {
+export async function getNextDoor(routeId, currentLat, currentLng, options = {}) {
   try {
     const targets = await fetchDoorTargets(routeId, {
       status: 'pending',
@@ -556,7 +555,9 @@ export async function getNextDoor(routeId, currentLat, currentLng) {
         }
       });
 
-      targets.sort((a, b) => (a.distance || Infinity) - (b.distance || Infinity));
+      if (!options.followSequence) {
+        targets.sort((a, b) => (a.distance || Infinity) - (b.distance || Infinity));
+      }
     }
 
     return targets[0];
@@ -600,9 +601,12 @@ export async function recordRouteLocation(routeId, location) {
 
     const locationData = {
       route_id: routeId,
-      latitude: location.latitude,
-      longitude: location.longitude,
+      user_id: user.id,
+      latitude: location.latitude ?? location.lat,
+      longitude: location.longitude ?? location.lng,
       accuracy: location.accuracy || null,
+      heading: Number.isFinite(location.heading) ? location.heading : null,
+      speed: Number.isFinite(location.speed) ? location.speed : null,
       recorded_at: new Date().toISOString()
     };
 
@@ -627,6 +631,170 @@ export async function recordRouteLocation(routeId, location) {
   }
 }
 
+/**
+ * Latest GPS position recorded for a route (see recordRouteLocation)
+ */
+export async function getLatestRouteLocation(routeId) {
+  try {
+    const { data, error } = await supabase
+      .from('route_locations')
+      .select('latitude, longitude, accuracy, recorded_at')
+      .eq('route_id', routeId)
+      .order('recorded_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return null;
+    return {
+      lat: parseFloat(data.latitude),
+      lng: parseFloat(data.longitude),
+      accuracy: data.accuracy,
+      recorded_at: data.recorded_at
+    };
+  } catch (error) {
+    console.error('[Routes] Error fetching latest route location:', error);
+    return null;
+  }
+}
+
+/**
+ * Constraints the route was planned with
+ * Uses the rep's route plan for the day (route_plans), then their territory assignment's shift.
+ */
+export async function getRouteConstraints(route) {
+  try {
+    const { data: plan } = await supabase
+      .from('route_plans')
+      .select('constraints, weights')
+      .eq('rep_user_id', route.assigned_rep_id)
+      .eq('date', route.route_date)
+      .in('status', ['draft', 'active'])
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (plan?.constraints && Object.keys(plan.constraints).length > 0) {
+      return { constraints: plan.constraints, weights: plan.weights || {} };
+    }
+
+    if (route.territory_id) {
+      const { data: assignment } = await supabase
+        .from('territory_assignments')
+        .select('shift_start_minutes, shift_end_minutes, max_stops_per_day')
+        .eq('territory_id', route.territory_id)
+        .eq('rep_user_id', route.assigned_rep_id)
+        .maybeSingle();
+
+      if (assignment) {
+        return {
+          constraints: {
+            shiftStartMinutes: assignment.shift_start_minutes,
+            shiftEndMinutes: assignment.shift_end_minutes,
+            maxStops: assignment.max_stops_per_day
+          },
+          weights: {}
+        };
+      }
+    }
+  } catch (error) {
+    console.error('[Routes] Error loading route constraints:', error);
+  }
+  return { constraints: {}, weights: {} };
+}
+
+/**
+ * Re-plan the remaining doors of an active route from the rep's position and the current time
+ * Does not change anything; pass the result to applyReplannedRoute to keep it.
+ * @param {string} routeId
+ * @param {{ location?: { lat: number, lng: number }, now?: Date }} [options] - Defaults to the last recorded location
+ * @returns {Promise<Object>} replanRoute() result
+ */
+export async function replanRemainingRoute(routeId, options = {}) {
+  try {
+    const route = await fetchRoute(routeId);
+    if (route.status !== ROUTE_STATUS.ACTIVE) {
+      throw new Error('Only active routes can be re-planned');
+    }
+
+    const position = options.location || await getLatestRouteLocation(routeId);
+    if (!position) {
+      throw new Error('No location recorded for this route yet');
+    }
+
+    const now = options.now || new Date();
+    const [{ constraints, weights }, targets, progress] = await Promise.all([
+      getRouteConstraints(route),
+      fetchDoorTargets(routeId, { status: 'pending', exclude_cooldown: true }),
+      getRouteProgress(routeId)
+    ]);
+
+    const stops = targets.map(target => ({
+      id: target.id,
+      type: 'door',
+      lat: target.latitude ? parseFloat(target.latitude) : null,
+      lng: target.longitude ? parseFloat(target.longitude) : null,
+      address: target.address,
+      priority: 3
+    }));
+
+    // The day's stop limit covers doors already visited
+    const remainingConstraints = {
+      ...constraints,
+      maxStops: constraints.maxStops
+        ? Math.max(0, constraints.maxStops - progress.visited)
+        : stops.length
+    };
+
+    const providers = await getConfiguredProviders();
+    await loadTravelTimes({
+      points: [position, ...stops],
+      hours: getShiftHours({ ...remainingConstraints, shiftStartMinutes: now.getHours() * 60 }),
+      providers,
+      cache: travelTimeCache,
+      config: DEFAULT_CONFIG
+    });
+
+    return replanRoute({
+      stops,
+      currentPosition: { lat: position.lat, lng: position.lng },
+      currentMinutes: now.getHours() * 60 + now.getMinutes(),
+      constraints: remainingConstraints,
+      weights,
+      config: { ...DEFAULT_CONFIG, travelTimeCache }
+    });
+  } catch (error) {
+    console.error('[Routes] Error re-planning route:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save a re-planned order as the doors' sequence_order
+ * Kept doors come first in their new order; dropped doors stay pending at the end.
+ */
+export async function applyReplannedRoute(routeId, replan) {
+  try {
+    const progress = await getRouteProgress(routeId);
+    const orderedIds = [
+      ...replan.route.map(entry => entry.stop.id),
+      ...replan.dropped.map(entry => entry.stopId)
+    ];
+
+    await Promise.all(orderedIds.map((targetId, index) => queueOrExecute({
+      table: 'door_targets',
+      action: OPERATION_TYPES.UPDATE,
+      payload: { sequence_order: progress.visited + index },
+      recordId: targetId
+    })));
+
+    return orderedIds.length;
+  } catch (error) {
+    console.error('[Routes] Error saving re-planned route:', error);
+    throw error;
+  }
+}
+
 /**
  * Stop location tracking (when route is stopped)
  */
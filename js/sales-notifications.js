@@ -25,6 +25,25 @@ async function getAllAdminUserIds() {
   }
 }
 
+/**
+ * Get user IDs that can approve quotes (manager, admin and super_admin roles)
+ */
+async function getApproverUserIds() {
+  try {
+    const { data, error } = await supabase
+      .from('user_profiles')
+      .select('id')
+      .in('role', ['manager', 'admin', 'super_admin']);
+
+    if (error) throw error;
+
+    return data?.map(user => user.id) || [];
+  } catch (error) {
+    console.warn('[Sales Notifications] Could not get approver user IDs:', error);
+    return [];
+  }
+}
+
 /**
  * Create a notification in the database
  */
@@ -221,6 +240,29 @@ export const quoteNotifications = {
     await createNotification('Quote Rejected', message, 'quote_rejected', `#quotes?quote=${quote.id}`);
   },
 
+  // Admin-level discounts only go to admins
+  async approvalRequested(quote, revisionNumber, reasons = [], approvalRole = 'manager') {
+    const adminOnly = approvalRole === 'admin';
+    const message = `Revision ${revisionNumber} needs ${adminOnly ? 'admin' : 'manager'} approval before it can be sent${reasons.length ? `: ${reasons.join(', ')}` : ''}`;
+    toast.warning(message, 'Approval Required');
+    const approverIds = adminOnly ? await getAllAdminUserIds() : await getApproverUserIds();
+    await createNotificationsForUsers('Quote Approval Required', message, 'quote_updated', `#quotes?quote=${quote.id}`, approverIds);
+  },
+
+  async approvalDecided(quote, revisionNumber, approved, reason = null) {
+    const message = approved
+      ? `Revision ${revisionNumber} has been approved and can be sent`
+      : `Revision ${revisionNumber} was not approved${reason ? `: ${reason}` : ''}`;
+    if (approved) {
+      toast.success(message, 'Quote Approved');
+    } else {
+      toast.warning(message, 'Quote Rejected');
+    }
+    if (quote.owner_user_id) {
+      await createNotification(approved ? 'Quote Approved' : 'Quote Not Approved', message, 'quote_updated', `#quotes?quote=${quote.id}`, quote.owner_user_id);
+    }
+  },
+
   async deleted(quoteId) {
     const message = `Quote has been deleted`;
     toast.info(message, 'Quote Deleted');
@@ -0,0 +1,94 @@
+/**
+ * Breadcrumb Service
+ * Records GPS points (route_locations) and loads them, with the routes and jobs they relate to,
+ * for route replay and the mileage log.
+ */
+
+import { supabase } from '../supabase.js';
+import { localDay } from '../gps-breadcrumbs.js';
+
+// Supabase returns at most 1000 rows per request; a full day of fixes for a team is more
+const PAGE_SIZE = 1000;
+
+/**
+ * Save a batch of points recorded by the signed-in user
+ * @param {Array<Object>} points - { latitude, longitude, recorded_at, accuracy?, altitude?, heading?, speed?, route_id?, job_id? }
+ * @returns {Promise<number>} Number of points saved
+ */
+export async function recordBreadcrumbs(points) {
+  if (!points.length) return 0;
+
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) throw new Error('Not authenticated');
+
+  const { error } = await supabase
+    .from('route_locations')
+    .insert(points.map(point => ({ ...point, user_id: user.id })));
+
+  if (error) throw error;
+  return points.length;
+}
+
+/**
+ * Recorded points in time order
+ * @param {Object} filters - { routeId?, userIds?, from?, to? } from/to are Date or ISO strings
+ * @returns {Promise<Array<Object>>}
+ */
+export async function fetchBreadcrumbs({ routeId, userIds, from, to } = {}) {
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    let query = supabase
+      .from('route_locations')
+      .select('id, user_id, route_id, job_id, latitude, longitude, accuracy, speed, heading, recorded_at')
+      .order('recorded_at', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (routeId) query = query.eq('route_id', routeId);
+    if (userIds?.length) query = query.in('user_id', userIds);
+    if (from) query = query.gte('recorded_at', new Date(from).toISOString());
+    if (to) query = query.lt('recorded_at', new Date(to).toISOString());
+
+    const { data, error } = await query;
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return rows;
+}
+
+/**
+ * Routes and jobs to attribute and label trips with over a period
+ * @param {Object} range - { from, to } Date or ISO strings, routeIds referenced by the points
+ * @returns {Promise<{ routes: Array<Object>, jobs: Array<Object> }>} jobs carry their site's latitude/longitude
+ */
+export async function fetchMileageContext({ from, to, routeIds = [] }) {
+  const fromIso = new Date(from).toISOString();
+  const toIso = new Date(to).toISOString();
+
+  const [routesResult, jobsResult] = await Promise.all([
+    routeIds.length
+      ? supabase.from('routes').select('id, name, assigned_rep_id').in('id', routeIds)
+      : Promise.resolve({ data: [], error: null }),
+    supabase
+      .from('jobs')
+      .select('id, title, assigned_worker_id, scheduled_datetime, sites(name, latitude, longitude)')
+      .gte('scheduled_datetime', fromIso)
+      .lt('scheduled_datetime', toIso)
+  ]);
+
+  if (routesResult.error) throw routesResult.error;
+  if (jobsResult.error) throw jobsResult.error;
+
+  return {
+    routes: routesResult.data || [],
+    jobs: (jobsResult.data || []).map(job => ({
+      id: job.id,
+      title: job.title,
+      assignedWorkerId: job.assigned_worker_id,
+      date: job.scheduled_datetime ? localDay(job.scheduled_datetime) : null,
+      siteName: job.sites?.name || null,
+      latitude: job.sites?.latitude ?? null,
+      longitude: job.sites?.longitude ?? null
+    }))
+  };
+}
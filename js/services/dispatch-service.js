@@ -0,0 +1,87 @@
+/**
+ * Dispatch Service
+ * Loads a day's jobs and available workers for the dispatch planner, and saves accepted plans.
+ */
+
+import { supabase } from '../supabase.js';
+
+/**
+ * Pending jobs scheduled on a day (local time), with their site's location
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<Array<Object>>}
+ */
+export async function loadDispatchJobs(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  const dayStart = new Date(year, month - 1, day);
+  const dayEnd = new Date(year, month - 1, day + 1);
+
+  const { data, error } = await supabase
+    .from('jobs')
+    .select(`
+      id, title, status, priority, site_id, scheduled_datetime, scheduled_window_end, is_all_day,
+      estimated_hours, required_skills, assigned_worker_id,
+      sites(name, address, latitude, longitude)
+    `)
+    .eq('status', 'pending')
+    .gte('scheduled_datetime', dayStart.toISOString())
+    .lt('scheduled_datetime', dayEnd.toISOString())
+    .order('scheduled_datetime', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Active staff who can be dispatched
+ * @returns {Promise<Array<Object>>}
+ */
+export async function loadDispatchWorkers() {
+  const { data, error } = await supabase
+    .from('user_profiles')
+    .select('id, full_name, email, skills, home_latitude, home_longitude')
+    .eq('role', 'staff')
+    .eq('status', 'active')
+    .order('full_name', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Save a worker's dispatch skills
+ * @param {string} workerId
+ * @param {Array<string>} skills
+ * @returns {Promise<void>}
+ */
+export async function updateWorkerSkills(workerId, skills) {
+  const { error } = await supabase
+    .from('user_profiles')
+    .update({ skills })
+    .eq('id', workerId);
+
+  if (error) throw error;
+}
+
+/**
+ * Apply an accepted plan: assign each job and set its start time
+ * @param {Array<Object>} assignments - dispatchAssignments() output
+ * @returns {Promise<{ updated: number, failed: Array<{ jobId: string, message: string }> }>}
+ */
+export async function acceptDispatchPlan(assignments) {
+  const results = await Promise.all(assignments.map(async assignment => {
+    const { error } = await supabase
+      .from('jobs')
+      .update(assignment.update)
+      .eq('id', assignment.jobId);
+    return { jobId: assignment.jobId, error };
+  }));
+
+  const failed = results
+    .filter(result => result.error)
+    .map(result => ({ jobId: result.jobId, message: result.error.message }));
+
+  if (failed.length > 0) {
+    console.error('[Dispatch Service] Some jobs could not be updated:', failed);
+  }
+  return { updated: results.length - failed.length, failed };
+}
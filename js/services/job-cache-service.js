@@ -0,0 +1,134 @@
+/**
+ * Job Cache Service
+ * Keeps the signed-in worker's jobs for the next week, their sites and task checklists on the device.
+ * A refresh lists id + updated_at for what the worker should hold and downloads only new or changed rows;
+ * reads apply edits still waiting in the offline queue on top of the cached copies.
+ */
+
+import { supabase } from '../supabase.js';
+import { jobCacheDB, JOB_CACHE_STORES } from '../job-cache-db.js';
+import { offlineSyncManager, SYNCABLE_TABLES } from '../offline-sync-manager.js';
+import { cacheWindowFilter, planDelta, overlayQueuedOperations, assembleJobs } from '../job-cache.js';
+
+// Keeps .in() filters well inside URL length limits
+const ID_CHUNK_SIZE = 200;
+
+async function selectIn(table, columns, column, values) {
+  const rows = [];
+  for (let start = 0; start < values.length; start += ID_CHUNK_SIZE) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(columns)
+      .in(column, values.slice(start, start + ID_CHUNK_SIZE));
+    if (error) throw error;
+    rows.push(...(data || []));
+  }
+  return rows;
+}
+
+async function syncStore(storeName, table, manifest) {
+  const cached = await jobCacheDB.getAll(storeName);
+  const { fetchIds, removeIds } = planDelta(cached, manifest);
+  const rows = fetchIds.length ? await selectIn(table, '*', 'id', fetchIds) : [];
+  await jobCacheDB.apply(storeName, rows, removeIds);
+  return { fetched: rows.length, removed: removeIds.length };
+}
+
+async function queuedOperations() {
+  await offlineSyncManager.ensureReady();
+  return offlineSyncManager.getQueue();
+}
+
+/**
+ * Bring the cache up to date with the server; a different user signing in starts a fresh cache
+ * @param {Object} worker - { userId, role }
+ * @returns {Promise<{ refreshedAt: string, jobs: Object, sites: Object, tasks: Object }>} fetched/removed counts per store
+ */
+export async function refreshJobCache({ userId, role = null }) {
+  try {
+    const meta = await jobCacheDB.getMeta();
+    if (meta && meta.userId !== userId) await jobCacheDB.clear();
+
+    const { data: jobManifest, error } = await supabase
+      .from('jobs')
+      .select('id, site_id, updated_at')
+      .eq('assigned_worker_id', userId)
+      .or(cacheWindowFilter());
+    if (error) throw error;
+
+    const jobIds = (jobManifest || []).map(job => job.id);
+    const siteIds = Array.from(new Set((jobManifest || []).map(job => job.site_id).filter(id => id != null)));
+    const [taskManifest, siteManifest] = await Promise.all([
+      jobIds.length ? selectIn('job_tasks', 'id, updated_at', 'job_id', jobIds) : [],
+      siteIds.length ? selectIn('sites', 'id, updated_at', 'id', siteIds) : []
+    ]);
+
+    const jobs = await syncStore(JOB_CACHE_STORES.JOBS, 'jobs', jobManifest || []);
+    const sites = await syncStore(JOB_CACHE_STORES.SITES, 'sites', siteManifest);
+    const tasks = await syncStore(JOB_CACHE_STORES.TASKS, 'job_tasks', taskManifest);
+
+    const refreshedAt = new Date().toISOString();
+    await jobCacheDB.saveMeta({ userId, role, refreshedAt });
+    if (typeof window !== 'undefined') {
+      window.dispatchEvent(new CustomEvent('job-cache-refreshed', { detail: { refreshedAt } }));
+    }
+    return { refreshedAt, jobs, sites, tasks };
+  } catch (error) {
+    console.error('[JobCache] Error refreshing cache:', error);
+    throw error;
+  }
+}
+
+/**
+ * Who the cache belongs to and when it was last refreshed
+ * @returns {Promise<{ userId: string, role: string|null, refreshedAt: string }|null>}
+ */
+export async function getJobCacheMeta() {
+  return jobCacheDB.getMeta();
+}
+
+/**
+ * Cached jobs with their site (as `sites`) and tasks (as `job_tasks`), queued edits applied
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getCachedAssignedJobs() {
+  const [jobs, sites, tasks, queue] = await Promise.all([
+    jobCacheDB.getAll(JOB_CACHE_STORES.JOBS),
+    jobCacheDB.getAll(JOB_CACHE_STORES.SITES),
+    jobCacheDB.getAll(JOB_CACHE_STORES.TASKS),
+    queuedOperations()
+  ]);
+
+  return assembleJobs(
+    overlayQueuedOperations(jobs, queue, SYNCABLE_TABLES.JOBS),
+    overlayQueuedOperations(sites, queue, SYNCABLE_TABLES.SITES),
+    overlayQueuedOperations(tasks, queue, SYNCABLE_TABLES.JOB_TASKS)
+  );
+}
+
+/**
+ * A cached job's tasks in checklist order, queued edits applied
+ * @param {string} jobId
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getCachedJobTasks(jobId) {
+  const [tasks, queue] = await Promise.all([jobCacheDB.getAll(JOB_CACHE_STORES.TASKS), queuedOperations()]);
+  // Filtered after the overlay so tasks queued for this job are included; ids may be numbers or strings
+  return overlayQueuedOperations(tasks, queue, SYNCABLE_TABLES.JOB_TASKS)
+    .filter(task => String(task.job_id) === String(jobId))
+    .sort((a, b) => (Date.parse(a.created_at) || 0) - (Date.parse(b.created_at) || 0));
+}
+
+/**
+ * Sites of the cached jobs, queued edits applied
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getCachedSites() {
+  const [sites, queue] = await Promise.all([jobCacheDB.getAll(JOB_CACHE_STORES.SITES), queuedOperations()]);
+  return overlayQueuedOperations(sites, queue, SYNCABLE_TABLES.SITES)
+    .sort((a, b) => String(a.name || '').localeCompare(String(b.name || '')));
+}
+
+export async function clearJobCache() {
+  await jobCacheDB.clear();
+}
@@ -0,0 +1,355 @@
+/**
+ * Photo Upload Service
+ * Keeps job and inventory photos in IndexedDB until they are stored and attached to their record.
+ * Photos are resized on the device, sent in chunks through Supabase's resumable (tus) endpoint so a
+ * dropped connection resumes from the last chunk, and retried with backoff. A photo whose record was
+ * created offline uploads straight away and is attached once the record syncs and gets its real id.
+ */
+
+import { supabase, SUPABASE_URL, SUPABASE_ANON_KEY } from '../supabase.js';
+import { offlineQueueDB } from '../offline-db.js';
+import { PhotoCapture } from '../photo-capture.js';
+import { createClientId } from '../offline-dependencies.js';
+import {
+  PHOTO_STATUS,
+  PHOTO_MAX_DIMENSION,
+  PHOTO_QUALITY,
+  ATTACH_MODES,
+  nextChunk,
+  encodeUploadMetadata,
+  attachmentUpdate,
+  remapPhotoTarget,
+  duePhotos,
+  failedAttempt,
+  canAttach
+} from '../photo-uploads.js';
+
+const RESUMABLE_ENDPOINT = `${SUPABASE_URL}/storage/v1/upload/resumable`;
+const TUS_VERSION = '1.0.0';
+
+const photoCapture = new PhotoCapture();
+let processing = null;
+let rerun = false;
+let retryTimer = null;
+
+// What the queue modal shows; the blob stays in IndexedDB
+function summarize(photo) {
+  return {
+    id: photo.id,
+    status: photo.status,
+    size: photo.size,
+    uploadedBytes: photo.uploadedBytes || 0,
+    table: photo.target?.table,
+    recordId: photo.target?.recordId,
+    retryCount: photo.retryCount || 0,
+    error: photo.error,
+    created_at: photo.created_at
+  };
+}
+
+async function emitStatus() {
+  if (typeof window === 'undefined') return;
+  const photos = await offlineQueueDB.getPhotoUploads();
+  window.dispatchEvent(new CustomEvent('photo-upload-status', {
+    detail: { photos: photos.map(summarize) }
+  }));
+}
+
+async function savePhoto(photo) {
+  await offlineQueueDB.savePhotoUpload(photo);
+  await emitStatus();
+  return photo;
+}
+
+async function accessToken() {
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) {
+    throw Object.assign(new Error('Sign in to upload queued photos'), { code: 'AUTH_REQUIRED' });
+  }
+  return session.access_token;
+}
+
+function tusHeaders(token) {
+  return {
+    Authorization: `Bearer ${token}`,
+    apikey: SUPABASE_ANON_KEY,
+    'Tus-Resumable': TUS_VERSION
+  };
+}
+
+async function responseError(response) {
+  const text = await response.text().catch(() => '');
+  let message = text;
+  try {
+    message = JSON.parse(text).message || text;
+  } catch {
+    // Plain-text error body
+  }
+  return Object.assign(new Error(message || `Upload failed with status ${response.status}`), { code: response.status });
+}
+
+/**
+ * Send whatever part of the file the server doesn't have yet
+ * @returns {Promise<Object>} The photo with its public URL
+ */
+async function uploadPhoto(queued) {
+  const token = await accessToken();
+  let photo = queued;
+  let uploadUrl = photo.uploadUrl;
+  let uploadedBytes = 0;
+
+  if (uploadUrl) {
+    // Ask how far the previous attempt got; unfinished uploads expire on the server after a day
+    const head = await fetch(uploadUrl, { method: 'HEAD', headers: tusHeaders(token) });
+    if (head.ok) {
+      uploadedBytes = Number(head.headers.get('Upload-Offset')) || 0;
+    } else {
+      uploadUrl = null;
+    }
+  }
+
+  if (!uploadUrl) {
+    const created = await fetch(RESUMABLE_ENDPOINT, {
+      method: 'POST',
+      headers: {
+        ...tusHeaders(token),
+        'Upload-Length': String(photo.size),
+        'Upload-Metadata': encodeUploadMetadata({
+          bucketName: photo.bucket,
+          objectName: photo.path,
+          contentType: photo.contentType,
+          cacheControl: '3600'
+        }),
+        // A retry after an upload that finished but wasn't acknowledged overwrites rather than fails
+        'x-upsert': 'true'
+      }
+    });
+    if (!created.ok) throw await responseError(created);
+    uploadUrl = created.headers.get('Location');
+  }
+
+  photo = await savePhoto({ ...photo, status: PHOTO_STATUS.UPLOADING, uploadUrl, uploadedBytes });
+
+  let chunk = nextChunk(photo.uploadedBytes, photo.size);
+  while (chunk) {
+    const response = await fetch(uploadUrl, {
+      method: 'PATCH',
+      headers: {
+        ...tusHeaders(token),
+        'Upload-Offset': String(chunk.start),
+        'Content-Type': 'application/offset+octet-stream'
+      },
+      body: photo.blob.slice(chunk.start, chunk.end)
+    });
+    if (!response.ok) throw await responseError(response);
+
+    photo = await savePhoto({ ...photo, uploadedBytes: Number(response.headers.get('Upload-Offset')) || chunk.end });
+    chunk = nextChunk(photo.uploadedBytes, photo.size);
+  }
+
+  const { data } = supabase.storage.from(photo.bucket).getPublicUrl(photo.path);
+  // The file is on the server now; only the attach is left, so the blob can go
+  return savePhoto({
+    ...photo,
+    status: PHOTO_STATUS.UPLOADED,
+    url: data.publicUrl,
+    blob: null,
+    retryCount: 0,
+    error: null,
+    nextAttemptAt: null
+  });
+}
+
+async function attachPhoto(photo) {
+  const { table, recordId, field, mode } = photo.target;
+  let current = null;
+
+  if (mode === ATTACH_MODES.APPEND) {
+    const { data, error } = await supabase.from(table).select(field).eq('id', recordId).maybeSingle();
+    if (error) throw error;
+    if (!data) throw new Error('Record no longer exists on the server');
+    current = data;
+  }
+
+  const { error } = await supabase
+    .from(table)
+    .update(attachmentUpdate(photo.target, current, photo.url))
+    .eq('id', recordId);
+  if (error) throw error;
+
+  window.dispatchEvent(new CustomEvent('photo-attached', {
+    detail: { id: photo.id, table, recordId, url: photo.url }
+  }));
+}
+
+function scheduleRetry(photos) {
+  clearTimeout(retryTimer);
+  // Photos waiting on their record are picked up by the remap instead
+  const waits = photos
+    .filter(photo => photo.nextAttemptAt && photo.status !== PHOTO_STATUS.FAILED)
+    .filter(photo => photo.status !== PHOTO_STATUS.UPLOADED || canAttach(photo))
+    .map(photo => Date.parse(photo.nextAttemptAt) - Date.now())
+    .filter(wait => wait > 0);
+  if (waits.length > 0) {
+    retryTimer = setTimeout(processPhotoQueue, Math.min(...waits));
+  }
+}
+
+async function runQueue() {
+  if (!navigator.onLine) return;
+
+  for (const queued of duePhotos(await offlineQueueDB.getPhotoUploads())) {
+    if (!navigator.onLine) break;
+    let photo = queued;
+    try {
+      if (!photo.url) photo = await uploadPhoto(photo);
+      if (canAttach(photo)) {
+        await attachPhoto(photo);
+        await offlineQueueDB.deletePhotoUpload(photo.id);
+        await emitStatus();
+      }
+    } catch (error) {
+      console.error('[PhotoUploads] Error uploading photo:', error);
+      // Losing the connection mid-upload isn't the photo's fault; it resumes on the next online event
+      await savePhoto(navigator.onLine
+        ? failedAttempt(photo, error.message)
+        : { ...photo, status: photo.url ? PHOTO_STATUS.UPLOADED : PHOTO_STATUS.PENDING });
+    }
+  }
+
+  scheduleRetry(await offlineQueueDB.getPhotoUploads());
+}
+
+/**
+ * Upload and attach every queued photo that is due
+ * A call during a run queues one more run, so photos added meanwhile aren't left waiting.
+ * @returns {Promise<void>}
+ */
+export function processPhotoQueue() {
+  if (processing) {
+    rerun = true;
+    return processing;
+  }
+
+  processing = runQueue()
+    .catch(error => console.error('[PhotoUploads] Error processing queue:', error))
+    .finally(() => {
+      processing = null;
+      if (rerun) {
+        rerun = false;
+        processPhotoQueue();
+      }
+    });
+  return processing;
+}
+
+/**
+ * Store a photo for upload and attach it to a record when done
+ * @param {Object} params
+ * @param {Blob} params.file - Photo as captured or picked
+ * @param {string} params.path - Object path in the bucket
+ * @param {{ table: string, recordId: *, field: string, mode?: string, extra?: Object }} params.target -
+ *   Record to attach to (its id may be a temp id), the column holding photos, and other fields to set with it
+ * @param {string} [params.bucket]
+ * @param {boolean} [params.compress] - false when the photo was already resized on capture
+ * @returns {Promise<string>} Queued photo id
+ */
+export async function queuePhotoUpload({ file, path, target, bucket = 'job-photos', compress = true }) {
+  let blob = file;
+  if (compress) {
+    try {
+      blob = await photoCapture.compressImage(file, PHOTO_MAX_DIMENSION, PHOTO_QUALITY);
+    } catch (error) {
+      console.warn('[PhotoUploads] Could not resize photo, uploading original:', error);
+    }
+  }
+
+  const photo = {
+    id: createClientId(),
+    blob,
+    size: blob.size,
+    contentType: blob.type || 'image/jpeg',
+    bucket,
+    path,
+    target: { mode: ATTACH_MODES.SET, ...target },
+    status: PHOTO_STATUS.PENDING,
+    uploadUrl: null,
+    uploadedBytes: 0,
+    url: null,
+    retryCount: 0,
+    error: null,
+    nextAttemptAt: null,
+    created_at: new Date().toISOString()
+  };
+
+  try {
+    await savePhoto(photo);
+  } catch (error) {
+    console.error('[PhotoUploads] Error queueing photo:', error);
+    throw error;
+  }
+
+  processPhotoQueue();
+  return photo.id;
+}
+
+/**
+ * Point queued photos at the server id of a record that synced
+ * @param {string} tempId
+ * @param {*} serverId
+ */
+export async function remapPhotoTargets(tempId, serverId) {
+  // Waits for a running pass so it can't save a photo over the remapped copy
+  if (processing) await processing;
+
+  let changed = 0;
+  for (const photo of await offlineQueueDB.getPhotoUploads()) {
+    const remapped = remapPhotoTarget(photo, tempId, serverId);
+    if (remapped) {
+      await offlineQueueDB.savePhotoUpload(remapped);
+      changed += 1;
+    }
+  }
+
+  if (changed > 0) {
+    await emitStatus();
+    processPhotoQueue();
+  }
+}
+
+/**
+ * Queued photos without their blobs, for display
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getPhotoUploads() {
+  return (await offlineQueueDB.getPhotoUploads()).map(summarize);
+}
+
+export async function retryPhotoUpload(photoId) {
+  const photos = await offlineQueueDB.getPhotoUploads();
+  const photo = photos.find(item => item.id === photoId);
+  if (!photo) return;
+
+  await savePhoto({
+    ...photo,
+    status: photo.url ? PHOTO_STATUS.UPLOADED : PHOTO_STATUS.PENDING,
+    retryCount: 0,
+    error: null,
+    nextAttemptAt: null
+  });
+  processPhotoQueue();
+}
+
+export async function discardPhotoUpload(photoId) {
+  await offlineQueueDB.deletePhotoUpload(photoId);
+  await emitStatus();
+}
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', () => processPhotoQueue());
+  window.addEventListener('offline-id-remapped', (event) => {
+    const { tempId, id } = /** @type {CustomEvent} */ (event).detail || {};
+    if (tempId) remapPhotoTargets(tempId, id);
+  });
+  processPhotoQueue().then(emitStatus);
+}
@@ -0,0 +1,218 @@
+/**
+ * Price Escalation Service
+ * Loads the agreements an annual increase can apply to, schedules escalation runs
+ * with their client notices, and reads each agreement's price history
+ */
+
+import { supabase } from '../supabase.js';
+import {
+  ESCALATION_STATUSES,
+  buildEscalationPreview,
+  buildNoticeLetter,
+  selectAgreements
+} from '../price-escalation.js';
+
+/**
+ * Active service agreements with their site and client account
+ * @returns {Promise<Array<Object>>} service_agreements rows with site_name, client_id and contact_email
+ */
+export async function loadEscalationCandidates() {
+  const { data, error } = await supabase
+    .from('service_agreements')
+    .select('id, site_id, service_type, status, monthly_price, per_visit_price, frequency_per_month, start_date, sites(name, client_id, contact_email)')
+    .eq('status', 'active')
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+
+  return (data || []).map(({ sites, ...agreement }) => ({
+    ...agreement,
+    site_name: sites?.name || null,
+    client_id: sites?.client_id || null,
+    contact_email: sites?.contact_email || null
+  }));
+}
+
+/**
+ * Client accounts that own the given agreements' sites, for the account filter
+ * @param {Array<Object>} agreements - loadEscalationCandidates() result
+ * @returns {Promise<Array<{ id: string, name: string }>>}
+ */
+export async function loadClientAccounts(agreements) {
+  const clientIds = [...new Set(agreements.map(agreement => agreement.client_id).filter(Boolean))];
+  if (clientIds.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('user_profiles')
+    .select('id, full_name, email')
+    .in('id', clientIds);
+
+  if (error) throw error;
+  return (data || [])
+    .map(profile => ({ id: profile.id, name: profile.full_name || profile.email || 'Client' }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Agreements that already have an increase waiting
+ * @returns {Promise<Set<string>>}
+ */
+export async function loadScheduledAgreementIds() {
+  const { data, error } = await supabase
+    .from('price_escalation_items')
+    .select('service_agreement_id')
+    .eq('status', ESCALATION_STATUSES.scheduled);
+
+  if (error) throw error;
+  return new Set((data || []).map(item => item.service_agreement_id));
+}
+
+/**
+ * Schedule an escalation run for the agreements matching the filters
+ * @param {Object} escalation - { name, method, rate_pct, effective_date }
+ * @param {Object} filters - { serviceTypes, siteIds, clientIds }
+ * @returns {Promise<Object>} price_escalations row with its items
+ */
+export async function createEscalation(escalation, filters) {
+  const [candidates, scheduled] = await Promise.all([
+    loadEscalationCandidates(),
+    loadScheduledAgreementIds()
+  ]);
+  const agreements = selectAgreements(candidates, filters, scheduled);
+  if (agreements.length === 0) throw new Error('No active agreements match these filters');
+
+  const preview = buildEscalationPreview(agreements, escalation);
+  const { data: { user } } = await supabase.auth.getUser();
+
+  const { data: run, error } = await supabase
+    .from('price_escalations')
+    .insert({
+      name: escalation.name,
+      method: escalation.method,
+      rate_pct: Number(escalation.rate_pct),
+      effective_date: escalation.effective_date,
+      filters,
+      agreement_count: preview.rows.length,
+      old_monthly_total: preview.old_monthly_total,
+      new_monthly_total: preview.new_monthly_total,
+      created_by: user?.id || null
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const contactEmails = new Map(agreements.map(agreement => [agreement.id, agreement.contact_email]));
+  const { data: items, error: itemsError } = await supabase
+    .from('price_escalation_items')
+    .insert(preview.rows.map(row => ({
+      escalation_id: run.id,
+      service_agreement_id: row.service_agreement_id,
+      site_id: row.site_id,
+      old_monthly_price: row.old_monthly_price,
+      new_monthly_price: row.new_monthly_price,
+      old_per_visit_price: row.old_per_visit_price,
+      new_per_visit_price: row.new_per_visit_price,
+      notice: buildNoticeLetter(row, escalation),
+      notice_emails: contactEmails.get(row.service_agreement_id) ? [contactEmails.get(row.service_agreement_id)] : []
+    })))
+    .select('*, sites(name)');
+
+  if (itemsError) {
+    // Another run took one of these agreements first (one scheduled increase per agreement)
+    await supabase.from('price_escalations').delete().eq('id', run.id);
+    if (itemsError.code === '23505') throw new Error('Some of these agreements already have an increase scheduled. Refresh and try again.');
+    throw itemsError;
+  }
+
+  return { ...run, items: items || [] };
+}
+
+/**
+ * Escalation runs, newest effective date first
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listEscalations() {
+  const { data, error } = await supabase
+    .from('price_escalations')
+    .select('*')
+    .order('effective_date', { ascending: false })
+    .limit(50);
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Items of one run with their site names, for notices and letters
+ * @param {string} escalationId
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getEscalationItems(escalationId) {
+  const { data, error } = await supabase
+    .from('price_escalation_items')
+    .select('*, sites(name)')
+    .eq('escalation_id', escalationId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return (data || []).map(({ sites, ...item }) => ({ ...item, site_name: sites?.name || null }));
+}
+
+/**
+ * Email the client notices of a run that have not been sent yet
+ * @param {string} escalationId
+ * @returns {Promise<{ sent: Array<Object>, skipped: Array<Object> }>}
+ */
+export async function sendEscalationNotices(escalationId) {
+  const { data, error } = await supabase.functions.invoke('process-price-escalations', {
+    body: { escalationId }
+  });
+
+  if (error) throw error;
+  if (data?.error) throw new Error(data.error);
+  return data?.notices || { sent: [], skipped: [] };
+}
+
+/**
+ * Cancel a scheduled run before it takes effect
+ * @param {string} escalationId
+ * @returns {Promise<void>}
+ */
+export async function cancelEscalation(escalationId) {
+  const { data: cancelled, error } = await supabase
+    .from('price_escalations')
+    .update({ status: ESCALATION_STATUSES.cancelled, cancelled_at: new Date().toISOString() })
+    .eq('id', escalationId)
+    .eq('status', ESCALATION_STATUSES.scheduled)
+    .select('id')
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!cancelled) throw new Error('Only scheduled escalations can be cancelled');
+
+  const { error: itemsError } = await supabase
+    .from('price_escalation_items')
+    .update({ status: 'cancelled' })
+    .eq('escalation_id', escalationId)
+    .eq('status', ESCALATION_STATUSES.scheduled);
+
+  if (itemsError) throw itemsError;
+}
+
+/**
+ * Every price an agreement has had, oldest first
+ * @param {string} agreementId
+ * @returns {Promise<Array<Object>>}
+ */
+export async function getAgreementPriceHistory(agreementId) {
+  const { data, error } = await supabase
+    .from('service_agreement_price_history')
+    .select('*')
+    .eq('service_agreement_id', agreementId)
+    .order('effective_date', { ascending: true })
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
@@ -0,0 +1,279 @@
+/**
+ * Pricebook Service
+ * Company-scoped, versioned quote pricebooks: drafts, publishing, and re-pricing historic revisions.
+ */
+
+import { supabase } from '../supabase.js';
+import { calculateQuote } from '../quote-engine/calculator.js';
+import { contractScenarios } from '../quote-engine/simulator.js';
+import {
+  BUILTIN_PRICEBOOK_VERSION,
+  PRICEBOOK_STATUSES,
+  getBuiltinPricebook,
+  hydratePricebook,
+  serializePricebookConfig,
+  validatePricebookConfig
+} from '../quote-engine/pricebook.js';
+
+/**
+ * Get current user's company id (from profile or fallback to user id)
+ * @returns {Promise<string|null>}
+ */
+async function getCompanyId() {
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) return null;
+  const { data: profile } = await supabase
+    .from('user_profiles')
+    .select('company_id')
+    .eq('id', user.id)
+    .single();
+  return profile?.company_id ?? user.id;
+}
+
+/**
+ * List all pricebook versions for the current company (newest first)
+ * @returns {Promise<Array>} Pricebook rows (config not hydrated)
+ */
+export async function listPricebookVersions() {
+  const companyId = await getCompanyId();
+  if (!companyId) throw new Error('Not authenticated');
+
+  const { data, error } = await supabase
+    .from('quote_pricebooks')
+    .select('id, version, status, notes, published_at, published_by, created_at, updated_at')
+    .eq('company_id', companyId)
+    .order('version', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Get the pricebook new quotes should be priced against
+ * Falls back to the built-in pricebook if the company has not published one.
+ * @returns {Promise<Object>} Hydrated pricebook
+ */
+export async function getActivePricebook() {
+  try {
+    const companyId = await getCompanyId();
+    if (!companyId) return getBuiltinPricebook();
+
+    const { data, error } = await supabase
+      .from('quote_pricebooks')
+      .select('*')
+      .eq('company_id', companyId)
+      .eq('status', PRICEBOOK_STATUSES.published)
+      .order('version', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? hydratePricebook(data) : getBuiltinPricebook();
+  } catch (error) {
+    console.error('[Pricebook Service] Error loading active pricebook, using built-in:', error);
+    return getBuiltinPricebook();
+  }
+}
+
+/**
+ * Get a specific pricebook version for the current company
+ * @param {number} version - Pricebook version (0 = built-in)
+ * @returns {Promise<Object>} Hydrated pricebook
+ */
+export async function getPricebookVersion(version) {
+  if (version === null || version === undefined || version === BUILTIN_PRICEBOOK_VERSION) {
+    return getBuiltinPricebook();
+  }
+
+  const companyId = await getCompanyId();
+  if (!companyId) throw new Error('Not authenticated');
+
+  const { data, error } = await supabase
+    .from('quote_pricebooks')
+    .select('*')
+    .eq('company_id', companyId)
+    .eq('version', version)
+    .single();
+
+  if (error) throw error;
+  return hydratePricebook(data);
+}
+
+/**
+ * Get the pricebook a revision was priced against
+ * Looked up by the revision's pricebook_id, so it is the owning company's pricebook
+ * whoever re-prices it (super admins, or users who have since changed company).
+ * @param {{ pricebook_id?: string|null, pricebook_version?: number|null }} revision - quote_revisions row
+ * @returns {Promise<Object>} Hydrated pricebook
+ */
+export async function getRevisionPricebook(revision) {
+  if (!revision.pricebook_id) {
+    if (revision.pricebook_version) {
+      throw new Error(`Revision has no pricebook id for pricebook version ${revision.pricebook_version}`);
+    }
+    return getBuiltinPricebook();
+  }
+
+  const { data, error } = await supabase
+    .from('quote_pricebooks')
+    .select('*')
+    .eq('id', revision.pricebook_id)
+    .single();
+
+  if (error) throw error;
+  return hydratePricebook(data);
+}
+
+/**
+ * Create a new draft version, copied from an existing version (defaults to the active one)
+ * @param {{ baseVersion?: number; notes?: string }} [options]
+ * @returns {Promise<Object>} Hydrated draft pricebook
+ */
+export async function createPricebookDraft(options = {}) {
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) throw new Error('Not authenticated');
+  const companyId = await getCompanyId();
+
+  const base = options.baseVersion !== undefined
+    ? await getPricebookVersion(options.baseVersion)
+    : await getActivePricebook();
+
+  const versions = await listPricebookVersions();
+  const nextVersion = versions.length > 0 ? versions[0].version + 1 : BUILTIN_PRICEBOOK_VERSION + 1;
+
+  const { data, error } = await supabase
+    .from('quote_pricebooks')
+    .insert({
+      company_id: companyId,
+      version: nextVersion,
+      status: PRICEBOOK_STATUSES.draft,
+      config: serializePricebookConfig(base.config),
+      based_on_version: base.version,
+      notes: options.notes || null,
+      created_by: user.id
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return hydratePricebook(data);
+}
+
+/**
+ * Save changes to a draft pricebook (published versions are immutable)
+ * @param {string} pricebookId - Pricebook ID
+ * @param {{ config?: Object; notes?: string }} updates - Hydrated config and/or notes
+ * @returns {Promise<Object>} Hydrated pricebook
+ */
+export async function updatePricebookDraft(pricebookId, updates) {
+  const payload = { updated_at: new Date().toISOString() };
+  if (updates.config) payload.config = serializePricebookConfig(updates.config);
+  if (updates.notes !== undefined) payload.notes = updates.notes;
+
+  const { data, error } = await supabase
+    .from('quote_pricebooks')
+    .update(payload)
+    .eq('id', pricebookId)
+    .eq('status', PRICEBOOK_STATUSES.draft)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new Error('Only draft pricebooks can be edited');
+  return hydratePricebook(data);
+}
+
+/**
+ * Validate and publish a draft pricebook. New quotes use it immediately.
+ * @param {string} pricebookId - Pricebook ID
+ * @returns {Promise<Object>} Hydrated published pricebook
+ * @throws {Error} With `validationErrors` when the config is invalid
+ */
+export async function publishPricebook(pricebookId) {
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) throw new Error('Not authenticated');
+
+  const { data: row, error: loadError } = await supabase
+    .from('quote_pricebooks')
+    .select('*')
+    .eq('id', pricebookId)
+    .single();
+
+  if (loadError) throw loadError;
+  if (row.status !== PRICEBOOK_STATUSES.draft) {
+    throw new Error('Only draft pricebooks can be published');
+  }
+
+  const pricebook = hydratePricebook(row);
+  const { valid, errors } = validatePricebookConfig(pricebook.config);
+  if (!valid) {
+    // Details are attached for the editor
+    throw Object.assign(new Error(`Pricebook validation failed: ${errors.length} problem(s)`), { validationErrors: errors });
+  }
+
+  const { data, error } = await supabase
+    .from('quote_pricebooks')
+    .update({
+      status: PRICEBOOK_STATUSES.published,
+      published_at: new Date().toISOString(),
+      published_by: user.id
+    })
+    .eq('id', pricebookId)
+    .eq('status', PRICEBOOK_STATUSES.draft)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return hydratePricebook(data);
+}
+
+/**
+ * Quote engine inputs behind every active service agreement, for the pricing simulator
+ * @returns {Promise<{ scenarios: Array<{ label: string, inputs: Object }>, skipped: number }>}
+ */
+export async function loadActiveContractScenarios() {
+  const { data: agreements, error } = await supabase
+    .from('service_agreements')
+    .select('id, quote_id, revision_number, sites(name)')
+    .eq('status', 'active')
+    .not('quote_id', 'is', null);
+
+  if (error) throw error;
+  if (!agreements?.length) return { scenarios: [], skipped: 0 };
+
+  const quoteIds = Array.from(new Set(agreements.map(agreement => agreement.quote_id)));
+  const { data: revisions, error: revisionsError } = await supabase
+    .from('quote_revisions')
+    .select('quote_id, revision_number, quote_calculation_inputs')
+    .in('quote_id', quoteIds);
+
+  if (revisionsError) throw revisionsError;
+
+  return contractScenarios(
+    agreements.map(({ sites, ...agreement }) => ({ ...agreement, site_name: sites?.name || null })),
+    revisions
+  );
+}
+
+/**
+ * Re-run the quote engine for a stored revision against the pricebook version it was stamped with
+ * @param {string} quoteId - Quote ID
+ * @param {number} revisionNumber - Revision number
+ * @returns {Promise<Object>} calculateQuote() result
+ */
+export async function repriceRevision(quoteId, revisionNumber) {
+  const { data: revision, error } = await supabase
+    .from('quote_revisions')
+    .select('quote_calculation_inputs, pricebook_id, pricebook_version')
+    .eq('quote_id', quoteId)
+    .eq('revision_number', revisionNumber)
+    .single();
+
+  if (error) throw error;
+  if (!revision?.quote_calculation_inputs) {
+    throw new Error('Revision has no quote engine inputs to re-price');
+  }
+
+  const pricebook = await getRevisionPricebook(revision);
+  return calculateQuote(revision.quote_calculation_inputs, pricebook);
+}
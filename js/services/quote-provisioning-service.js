@@ -0,0 +1,211 @@
+/**
+ * Quote Provisioning Service
+ * Provisions an accepted quote: links or creates the site, records the service agreement
+ * and starts the recurring job series. Ops then reviews it before the first visit.
+ * Quotes signed in the client portal are provisioned by the sign-quote edge function
+ * (supabase/functions/_shared/quote-provisioning.ts); this is for staff doing it by hand.
+ */
+
+import { supabase } from '../supabase.js';
+import { initializeRecurringSeries } from '../recurring-jobs.js';
+import { AGREEMENT_STATUSES, buildProvisioningPlan } from '../quote-provisioning.js';
+
+/**
+ * Service agreement provisioned from a quote
+ * @param {string} quoteId - Quote ID
+ * @returns {Promise<Object|null>} service_agreements row with its jobs, or null
+ */
+export async function getServiceAgreementForQuote(quoteId) {
+  const { data: agreement, error } = await supabase
+    .from('service_agreements')
+    .select('*')
+    .eq('quote_id', quoteId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!agreement) return null;
+
+  const { data: jobs, error: jobsError } = await supabase
+    .from('jobs')
+    .select('id, title, scheduled_date, status, assigned_worker_id, is_recurring_template')
+    .eq('service_agreement_id', agreement.id)
+    .order('scheduled_date', { ascending: true });
+
+  if (jobsError) throw jobsError;
+  return { ...agreement, jobs: jobs || [] };
+}
+
+// Site the service runs at: the quote's account, or a new site from the accepted revision
+async function resolveSite(quote, revision, userId) {
+  if (quote.account_id) return quote.account_id;
+
+  const [{ data: deal }, { data: walkthrough }] = await Promise.all([
+    quote.deal_id
+      ? supabase.from('deals').select('title').eq('id', quote.deal_id).maybeSingle()
+      : Promise.resolve({ data: null }),
+    supabase
+      .from('quote_walkthroughs')
+      .select('location_address')
+      .eq('quote_id', quote.id)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle()
+  ]);
+
+  const { data: site, error } = await supabase
+    .from('sites')
+    .insert({
+      name: deal?.title?.split(' - ')[0] || revision.accepted_by_name || 'New Client Site',
+      address: walkthrough?.location_address || null,
+      contact_email: revision.accepted_by_email || null,
+      status: 'Active',
+      created_by: userId
+    })
+    .select('id')
+    .single();
+
+  if (error) throw error;
+
+  await supabase
+    .from('quotes')
+    .update({ account_id: site.id })
+    .eq('id', quote.id);
+
+  return site.id;
+}
+
+/**
+ * Provision an accepted quote (idempotent: returns the existing agreement if already provisioned)
+ * @param {string} quoteId - Quote ID
+ * @param {number} revisionNumber - Accepted revision number
+ * @returns {Promise<Object>} service_agreements row with its jobs
+ */
+export async function provisionAcceptedQuote(quoteId, revisionNumber) {
+  const existing = await getServiceAgreementForQuote(quoteId);
+  if (existing) return existing;
+
+  const [{ data: quote, error: quoteError }, { data: revision, error: revisionError }, { data: lineItems, error: itemsError }] = await Promise.all([
+    supabase.from('quotes').select('*').eq('id', quoteId).single(),
+    supabase.from('quote_revisions').select('*').eq('quote_id', quoteId).eq('revision_number', revisionNumber).single(),
+    supabase.from('quote_line_items').select('*').eq('quote_id', quoteId).eq('revision_number', revisionNumber).order('display_order')
+  ]);
+
+  if (quoteError) throw quoteError;
+  if (revisionError) throw revisionError;
+  if (itemsError) throw itemsError;
+  if (!revision.accepted_at) throw new Error('Only accepted quotes can be provisioned');
+
+  const { data: { user } } = await supabase.auth.getUser();
+  const userId = user?.id || quote.owner_user_id || null;
+  const siteId = await resolveSite(quote, revision, userId);
+  const plan = buildProvisioningPlan({ quote, revision, lineItems: lineItems || [], siteId });
+
+  // The first job starts the series; extra weekly visits join it as their own repeating jobs
+  const [firstJob, ...otherJobs] = plan.jobs;
+  const template = initializeRecurringSeries({ ...firstJob, created_by: userId });
+
+  const { data: agreement, error: agreementError } = await supabase
+    .from('service_agreements')
+    .insert({ ...plan.agreement, recurrence_series_id: template.recurrence_series_id, created_by: userId })
+    .select()
+    .single();
+
+  if (agreementError) {
+    // A concurrent provision won the unique quote_id index
+    if (agreementError.code === '23505') return getServiceAgreementForQuote(quoteId);
+    throw agreementError;
+  }
+
+  const jobRows = [template, ...otherJobs.map(job => ({
+    ...job,
+    recurrence_series_id: template.recurrence_series_id,
+    is_recurring_template: false,
+    created_by: userId
+  }))].map(job => ({ ...job, service_agreement_id: agreement.id }));
+
+  const { data: jobs, error: jobsError } = await supabase
+    .from('jobs')
+    .insert(jobRows)
+    .select('id, title, scheduled_date, status, assigned_worker_id, is_recurring_template');
+
+  if (jobsError) throw jobsError;
+
+  if (plan.tasks.length > 0) {
+    const { error: tasksError } = await supabase
+      .from('job_tasks')
+      .insert(jobs.flatMap(job => plan.tasks.map(title => ({
+        job_id: job.id,
+        title,
+        photo_required: false,
+        completed: false
+      }))));
+
+    if (tasksError) throw tasksError;
+  }
+
+  return { ...agreement, jobs: jobs || [] };
+}
+
+/**
+ * Tick or untick a review checklist item
+ * @param {Object} agreement - service_agreements row
+ * @param {string} key - Checklist item key
+ * @param {boolean} done
+ * @returns {Promise<Array>} Updated checklist
+ */
+export async function setReviewChecklistItem(agreement, key, done) {
+  const checklist = (agreement.review_checklist || []).map(item => item.key === key ? { ...item, done } : item);
+
+  const { error } = await supabase
+    .from('service_agreements')
+    .update({ review_checklist: checklist })
+    .eq('id', agreement.id);
+
+  if (error) throw error;
+  return checklist;
+}
+
+/**
+ * Confirm the first visit once the review checklist is complete
+ * Activates the agreement and assigns the site's cleaner to jobs that have none.
+ * @param {Object} agreement - service_agreements row
+ * @returns {Promise<Object>} Updated agreement
+ */
+export async function confirmFirstVisit(agreement) {
+  const outstanding = (agreement.review_checklist || []).filter(item => !item.done);
+  if (outstanding.length > 0) {
+    throw new Error('Complete the review checklist before confirming the first visit');
+  }
+
+  const { data: { user } } = await supabase.auth.getUser();
+  const { data: updated, error } = await supabase
+    .from('service_agreements')
+    .update({
+      status: AGREEMENT_STATUSES.active,
+      first_visit_confirmed_by: user?.id || null,
+      first_visit_confirmed_at: new Date().toISOString()
+    })
+    .eq('id', agreement.id)
+    .eq('status', AGREEMENT_STATUSES.pendingReview)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!updated) throw new Error('This agreement has already been reviewed');
+
+  const { data: site } = await supabase
+    .from('sites')
+    .select('assigned_worker_id')
+    .eq('id', agreement.site_id)
+    .single();
+
+  if (site?.assigned_worker_id) {
+    await supabase
+      .from('jobs')
+      .update({ assigned_worker_id: site.assigned_worker_id })
+      .eq('service_agreement_id', agreement.id)
+      .is('assigned_worker_id', null);
+  }
+
+  return updated;
+}
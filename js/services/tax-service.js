@@ -0,0 +1,157 @@
+/**
+ * Tax Service
+ * Loads a site's tax jurisdiction and exemption status, and reports tax collected by jurisdiction.
+ */
+
+import { supabase } from '../supabase.js';
+import {
+  getJurisdictionCode,
+  resolveTaxJurisdiction,
+  calculateTaxes,
+  inferRegionFromAddress,
+  summarizeTaxCollected
+} from '../tax-engine/calculator.js';
+import { DEFAULT_TAX_COUNTRY, DEFAULT_TAX_REGION } from '../tax-engine/config.js';
+
+/**
+ * Get current user's company id (from profile or fallback to user id)
+ * @returns {Promise<string|null>}
+ */
+async function getCompanyId() {
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) return null;
+  const { data: profile } = await supabase
+    .from('user_profiles')
+    .select('company_id')
+    .eq('id', user.id)
+    .single();
+  return profile?.company_id ?? user.id;
+}
+
+/**
+ * Get the company's tax rate overrides
+ * @returns {Promise<Array>} tax_rate_overrides rows
+ */
+export async function getTaxRateOverrides() {
+  try {
+    const companyId = await getCompanyId();
+    if (!companyId) return [];
+
+    const { data, error } = await supabase
+      .from('tax_rate_overrides')
+      .select('country, region, code, name, rate, compound, sort_order')
+      .eq('company_id', companyId);
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('[Tax Service] Error loading tax rate overrides:', error);
+    return [];
+  }
+}
+
+/**
+ * Get everything needed to tax a document for a site
+ * @param {string|number|null} siteId - Site ID
+ * @returns {Promise<Object>} Tax context (see getTaxContextForLocation)
+ */
+export async function getTaxContextForSite(siteId) {
+  let site = null;
+
+  if (siteId) {
+    const { data, error } = await supabase
+      .from('sites')
+      .select('id, address, country, region, tax_exempt, tax_exempt_codes, tax_exemption_number')
+      .eq('id', siteId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('[Tax Service] Error loading site tax details:', error);
+    } else {
+      site = data;
+    }
+  }
+
+  return getTaxContextForLocation(site);
+}
+
+/**
+ * Build a tax context from site fields (also used for accounts not yet saved)
+ * Region comes from the site, then its address, then the Ontario default.
+ * @param {{ address?: string; country?: string; region?: string; tax_exempt?: boolean; tax_exempt_codes?: Array<string>; tax_exemption_number?: string }|null} site - Site fields
+ * @returns {Promise<{ country: string, region: string, exempt: boolean, exempt_tax_codes: Array<string>, exemption_number: string|null, overrides: Array, jurisdiction: Object }>}
+ */
+export async function getTaxContextForLocation(site) {
+  const inferred = site?.region ? null : inferRegionFromAddress(site?.address);
+  const country = site?.region ? (site.country || DEFAULT_TAX_COUNTRY) : (inferred?.country || DEFAULT_TAX_COUNTRY);
+  const region = site?.region || inferred?.region || DEFAULT_TAX_REGION;
+  const overrides = await getTaxRateOverrides();
+
+  return {
+    country,
+    region,
+    exempt: !!site?.tax_exempt,
+    exempt_tax_codes: site?.tax_exempt_codes || [],
+    exemption_number: site?.tax_exemption_number || null,
+    overrides,
+    jurisdiction: resolveTaxJurisdiction({ country, region }, overrides)
+  };
+}
+
+/**
+ * Quote engine inputs for a site's tax context (merged into calculateQuote inputs)
+ * @param {Object} context - From getTaxContextForSite()
+ * @returns {Object} tax_* inputs
+ */
+export function toQuoteTaxInputs(context) {
+  return {
+    tax_country: context.country,
+    tax_region: context.region,
+    tax_exempt: context.exempt,
+    tax_exempt_codes: context.exempt_tax_codes,
+    tax_exemption_number: context.exemption_number,
+    // Only this jurisdiction's rows, so stored inputs re-price to the same tax
+    tax_rate_overrides: context.overrides.filter(row =>
+      getJurisdictionCode(row.country, row.region) === context.jurisdiction.code
+    )
+  };
+}
+
+/**
+ * Calculate taxes on an amount for a site
+ * @param {string|number|null} siteId - Site ID
+ * @param {number} subtotal - Pre-tax amount
+ * @returns {Promise<Object>} calculateTaxes() result
+ */
+export async function calculateTaxesForSite(siteId, subtotal) {
+  const context = await getTaxContextForSite(siteId);
+  return calculateTaxes(subtotal, context.jurisdiction, context);
+}
+
+// Only invoices that money came in on count as collected, matching the revenue figures on the reports page
+const COLLECTED_INVOICE_STATUSES = ['paid', 'partially_paid'];
+
+/**
+ * Tax collected by jurisdiction and tax code over a date range, from paid and partially paid invoices
+ * @param {{ from?: string; to?: string; paidOnly?: boolean }} [options] - Issue date range (YYYY-MM-DD); paidOnly leaves out partially paid invoices
+ * @returns {Promise<Array>} summarizeTaxCollected() rows
+ */
+export async function getTaxCollectedReport(options = {}) {
+  try {
+    let query = supabase
+      .from('invoices')
+      .select('id, tax_jurisdiction, tax_lines, issue_date, status')
+      .in('status', options.paidOnly ? ['paid'] : COLLECTED_INVOICE_STATUSES);
+
+    if (options.from) query = query.gte('issue_date', options.from);
+    if (options.to) query = query.lte('issue_date', options.to);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return summarizeTaxCollected(data || []);
+  } catch (error) {
+    console.error('[Tax Service] Error building tax collected report:', error);
+    throw error;
+  }
+}
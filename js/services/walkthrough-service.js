@@ -1,10 +1,13 @@
 /**
  * Walkthrough Service
- * Handles walkthrough requests and welcome emails
+ * Handles walkthrough requests, welcome emails and the rooms captured on site
  */
 
 import { supabase } from '../supabase.js';
 import { generateWalkthroughWelcomeEmail } from '../quote-engine/email-template.js';
+import { queueOrExecute, OPERATION_TYPES, SYNCABLE_TABLES } from '../offline-sync.js';
+
+const WALKTHROUGH_PHOTO_BUCKET = 'walkthrough-photos';
 
 /**
  * Create a walkthrough request (not a quote)
@@ -105,3 +108,117 @@ export async function sendWalkthroughWelcomeEmail(businessData, contactData, opt
     throw error;
   }
 }
+
+/**
+ * Walkthrough with its quote and site, for the capture app
+ * @param {string} walkthroughId
+ * @returns {Promise<Object|null>} quote_walkthroughs row with quote_id and site_name
+ */
+export async function loadWalkthrough(walkthroughId) {
+  const { data, error } = await supabase
+    .from('quote_walkthroughs')
+    .select('*, sites:account_id(name, address)')
+    .eq('id', walkthroughId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+
+  const { sites, ...walkthrough } = data;
+  return { ...walkthrough, site_name: sites?.name || null, site_address: sites?.address || null };
+}
+
+/**
+ * Rooms captured so far, in walk order
+ * @param {string} walkthroughId
+ * @returns {Promise<Array<Object>>} quote_walkthrough_rooms rows
+ */
+export async function loadWalkthroughRooms(walkthroughId) {
+  const { data, error } = await supabase
+    .from('quote_walkthrough_rooms')
+    .select('*')
+    .eq('walkthrough_id', walkthroughId)
+    .order('display_order', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Save a room, or queue it when offline
+ * Rooms carry a device-generated id, so a room created offline can be edited before it syncs.
+ * @param {Object} room - quote_walkthrough_rooms fields including id and walkthrough_id
+ * @param {boolean} isNew - Whether the room has been saved (or queued) before
+ * @returns {Promise<{ queued: boolean }>}
+ */
+export async function saveWalkthroughRoom(room, isNew) {
+  const payload = {
+    walkthrough_id: room.walkthrough_id,
+    name: room.name,
+    zone: room.zone || null,
+    room_type: room.room_type,
+    sqft: room.sqft === '' || room.sqft === null || room.sqft === undefined ? null : Number(room.sqft),
+    flooring: room.flooring || null,
+    fixtures: room.fixtures || {},
+    access_notes: room.access_notes || null,
+    photo_urls: room.photo_urls || [],
+    display_order: room.display_order || 0
+  };
+
+  const result = await queueOrExecute({
+    table: SYNCABLE_TABLES.WALKTHROUGH_ROOMS,
+    action: isNew ? OPERATION_TYPES.CREATE : OPERATION_TYPES.UPDATE,
+    payload: isNew ? { id: room.id, ...payload } : payload,
+    recordId: isNew ? null : room.id
+  });
+  return { queued: Boolean(result?.queued) };
+}
+
+/**
+ * Remove a room, or queue the removal when offline
+ * @param {string} roomId
+ * @returns {Promise<{ queued: boolean }>}
+ */
+export async function deleteWalkthroughRoom(roomId) {
+  const result = await queueOrExecute({
+    table: SYNCABLE_TABLES.WALKTHROUGH_ROOMS,
+    action: OPERATION_TYPES.DELETE,
+    payload: null,
+    recordId: roomId
+  });
+  return { queued: Boolean(result?.queued) };
+}
+
+/**
+ * Upload one room photo
+ * @param {string} walkthroughId
+ * @param {string} roomId
+ * @param {string} photoId - Device-generated id, so a retried upload overwrites instead of duplicating
+ * @param {Blob} blob - Compressed JPEG
+ * @returns {Promise<string>} Storage path in walkthrough-photos
+ */
+export async function uploadWalkthroughPhoto(walkthroughId, roomId, photoId, blob) {
+  const path = `${walkthroughId}/${roomId}/${photoId}.jpg`;
+  const { error } = await supabase.storage
+    .from(WALKTHROUGH_PHOTO_BUCKET)
+    .upload(path, blob, { contentType: 'image/jpeg', upsert: true });
+
+  if (error) throw error;
+  return path;
+}
+
+/**
+ * Viewable URLs for stored room photos
+ * @param {Array<string>} paths - Storage paths in walkthrough-photos
+ * @returns {Promise<Object<string, string>>} Signed URL by path
+ */
+export async function getWalkthroughPhotoUrls(paths) {
+  if (!paths || paths.length === 0) return {};
+
+  const { data, error } = await supabase.storage
+    .from(WALKTHROUGH_PHOTO_BUCKET)
+    .createSignedUrls(paths, 60 * 60);
+
+  if (error) throw error;
+  return Object.fromEntries((data || []).filter(item => item.signedUrl).map(item => [item.path, item.signedUrl]));
+}
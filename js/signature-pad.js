@@ -0,0 +1,137 @@
+/**
+ * Signature Pad Component
+ * Captures a drawn signature on a canvas (mouse, pen or touch) and renders
+ * typed signatures to the same PNG format for the signing certificate
+ */
+
+const TYPED_SIGNATURE_FONT = "'Brush Script MT', 'Segoe Script', cursive";
+
+export class SignaturePad {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to draw on (sized by CSS)
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.strokes = [];
+    this.currentStroke = null;
+
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+
+    canvas.addEventListener('pointerdown', this.handlePointerDown);
+    canvas.addEventListener('pointermove', this.handlePointerMove);
+    canvas.addEventListener('pointerup', this.handlePointerUp);
+    canvas.addEventListener('pointerleave', this.handlePointerUp);
+
+    this.resize();
+  }
+
+  /**
+   * Match the canvas bitmap to its displayed size (call when it becomes visible)
+   */
+  resize() {
+    const ratio = window.devicePixelRatio || 1;
+    const rect = this.canvas.getBoundingClientRect();
+    if (!rect.width || !rect.height) return;
+
+    this.canvas.width = Math.round(rect.width * ratio);
+    this.canvas.height = Math.round(rect.height * ratio);
+    this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    this.redraw();
+  }
+
+  clear() {
+    this.strokes = [];
+    this.currentStroke = null;
+    this.redraw();
+  }
+
+  /**
+   * A signature needs more than a dot or a stray tap
+   * @returns {boolean}
+   */
+  isEmpty() {
+    const points = this.strokes.reduce((sum, stroke) => sum + stroke.length, 0);
+    return points < 10;
+  }
+
+  /**
+   * @returns {string} PNG data URL
+   */
+  toDataURL() {
+    return this.canvas.toDataURL('image/png');
+  }
+
+  handlePointerDown(event) {
+    event.preventDefault();
+    this.canvas.setPointerCapture?.(event.pointerId);
+    this.currentStroke = [this.getPoint(event)];
+    this.strokes.push(this.currentStroke);
+    this.redraw();
+  }
+
+  handlePointerMove(event) {
+    if (!this.currentStroke) return;
+    event.preventDefault();
+    this.currentStroke.push(this.getPoint(event));
+    this.redraw();
+  }
+
+  handlePointerUp() {
+    this.currentStroke = null;
+  }
+
+  getPoint(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  }
+
+  redraw() {
+    const { ctx, canvas } = this;
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.restore();
+
+    ctx.strokeStyle = '#111827';
+    ctx.lineWidth = 2.5;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    this.strokes.forEach(stroke => {
+      ctx.beginPath();
+      ctx.moveTo(stroke[0].x, stroke[0].y);
+      if (stroke.length === 1) {
+        ctx.lineTo(stroke[0].x + 0.1, stroke[0].y + 0.1);
+      }
+      stroke.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+      ctx.stroke();
+    });
+  }
+}
+
+/**
+ * Render a typed signature in a script font
+ * @param {string} text - Signer's typed name
+ * @returns {string} PNG data URL
+ */
+export function renderTypedSignature(text) {
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  const fontSize = 48;
+
+  ctx.font = `${fontSize}px ${TYPED_SIGNATURE_FONT}`;
+  const width = Math.ceil(ctx.measureText(text).width) + 40;
+  canvas.width = Math.max(width, 200);
+  canvas.height = fontSize * 2;
+
+  // Resizing resets the context state
+  ctx.font = `${fontSize}px ${TYPED_SIGNATURE_FONT}`;
+  ctx.fillStyle = '#111827';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, 20, canvas.height / 2);
+
+  return canvas.toDataURL('image/png');
+}
@@ -0,0 +1,207 @@
+/**
+ * Tax Calculation Engine
+ * Resolves tax components from a site's country/region and a client's exemption status,
+ * then calculates one tax line per component (stacked or compound)
+ */
+
+import { TAX_JURISDICTIONS, REGION_NAMES, DEFAULT_TAX_COUNTRY, DEFAULT_TAX_REGION } from './config.js';
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Build a jurisdiction code from country and region
+ * @param {string} country - ISO country code (CA, US)
+ * @param {string} region - Province / state code (ON, QC, NY)
+ * @returns {string} Jurisdiction code (e.g. CA-QC)
+ */
+export function getJurisdictionCode(country, region) {
+  return `${(country || DEFAULT_TAX_COUNTRY).toUpperCase()}-${(region || '').toUpperCase()}`;
+}
+
+/**
+ * Resolve the tax components that apply to a location
+ * Company overrides for a jurisdiction replace the built-in components entirely.
+ * A Canadian location without a region is taxed as Ontario.
+ * @param {{ country?: string; region?: string }} location - Site location
+ * @param {Array<Object>} [overrides] - tax_rate_overrides rows ({ country, region, code, name, rate, compound, sort_order })
+ * @returns {{ code: string, country: string, region: string, components: Array<Object>, configured: boolean, source: string }}
+ */
+export function resolveTaxJurisdiction(location, overrides = []) {
+  const country = (location?.country || DEFAULT_TAX_COUNTRY).toUpperCase();
+  const region = (location?.region || (country === DEFAULT_TAX_COUNTRY ? DEFAULT_TAX_REGION : '')).toUpperCase();
+  const code = getJurisdictionCode(country, region);
+
+  const companyComponents = (overrides || [])
+    .filter(row => getJurisdictionCode(row.country, row.region) === code)
+    .sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0))
+    .map(row => ({
+      code: row.code,
+      name: row.name || row.code,
+      rate: Number(row.rate),
+      compound: !!row.compound
+    }));
+
+  if (companyComponents.length > 0) {
+    return { code, country, region, components: companyComponents, configured: true, source: 'override' };
+  }
+
+  if (TAX_JURISDICTIONS[code]) {
+    return { code, country, region, components: TAX_JURISDICTIONS[code], configured: true, source: 'builtin' };
+  }
+
+  // Unknown region (e.g. a US state without company rates) - no tax, flagged for review
+  return { code, country, region, components: [], configured: false, source: 'none' };
+}
+
+/**
+ * Jurisdiction used when a quote has no location: a single HST line at the pricebook's hstRate
+ * @param {number} hstRate - Pricebook HST rate
+ * @returns {Object} Jurisdiction
+ */
+export function getLegacyHstJurisdiction(hstRate) {
+  return {
+    code: 'CA-ON',
+    country: 'CA',
+    region: 'ON',
+    components: [{ code: 'HST', name: 'HST', rate: hstRate }],
+    configured: true,
+    source: 'pricebook'
+  };
+}
+
+/**
+ * Calculate tax lines for a pre-tax amount
+ * @param {number} subtotal - Pre-tax amount
+ * @param {Object} jurisdiction - From resolveTaxJurisdiction()
+ * @param {{ exempt?: boolean; exempt_tax_codes?: Array<string>; exemption_number?: string }} [exemption] - Client exemption status
+ * @returns {{ jurisdiction: string, lines: Array<Object>, total_tax: number, effective_rate: number, exempt: boolean, exempted_codes: Array<string>, exemption_number: string|null, configured: boolean }}
+ */
+export function calculateTaxes(subtotal, jurisdiction, exemption = {}) {
+  const amount = Number(subtotal) || 0;
+  const exemptCodes = (exemption?.exempt_tax_codes || []).map(c => String(c).toUpperCase());
+  const fullyExempt = !!exemption?.exempt;
+
+  const lines = [];
+  const exemptedCodes = [];
+  let taxSoFar = 0;
+
+  for (const component of jurisdiction.components) {
+    if (fullyExempt || exemptCodes.includes(component.code.toUpperCase())) {
+      exemptedCodes.push(component.code);
+      continue;
+    }
+
+    const taxableAmount = roundCents(component.compound ? amount + taxSoFar : amount);
+    const taxAmount = roundCents(taxableAmount * component.rate);
+    taxSoFar = roundCents(taxSoFar + taxAmount);
+
+    lines.push({
+      code: component.code,
+      name: component.name,
+      rate: component.rate,
+      compound: !!component.compound,
+      taxable_amount: taxableAmount,
+      amount: taxAmount
+    });
+  }
+
+  return {
+    jurisdiction: jurisdiction.code,
+    lines,
+    total_tax: taxSoFar,
+    effective_rate: amount > 0 ? taxSoFar / amount : 0,
+    exempt: fullyExempt,
+    exempted_codes: exemptedCodes,
+    exemption_number: exemption?.exemption_number || null,
+    configured: jurisdiction.configured
+  };
+}
+
+/**
+ * Label for a tax line, e.g. "QST (9.975%)"
+ * @param {{ name: string; rate: number }} line - Tax line
+ * @returns {string}
+ */
+export function formatTaxLineLabel(line) {
+  const percent = parseFloat((line.rate * 100).toFixed(3));
+  return `${line.name} (${percent}%)`;
+}
+
+/**
+ * Best-effort province/state detection from a free-text address
+ * Used for sites created before region was captured.
+ * @param {string} address - Site address
+ * @returns {{ country: string, region: string }|null}
+ */
+export function inferRegionFromAddress(address) {
+  if (!address) return null;
+  const text = String(address);
+
+  // "Toronto, ON M5V 2T6" - Canadian postal code after a province code
+  const caPostal = text.match(/\b([A-Z]{2})\b[\s,]+[A-Z]\d[A-Z]\s?\d[A-Z]\d\b/i);
+  if (caPostal && REGION_NAMES.CA[caPostal[1].toUpperCase()]) {
+    return { country: 'CA', region: caPostal[1].toUpperCase() };
+  }
+
+  // "Buffalo, NY 14201" - US ZIP after a state code
+  const usZip = text.match(/\b([A-Z]{2})\b[\s,]+\d{5}(?:-\d{4})?\b/i);
+  if (usZip && REGION_NAMES.US[usZip[1].toUpperCase()]) {
+    return { country: 'US', region: usZip[1].toUpperCase() };
+  }
+
+  // ", ON" / ", WA" style codes without a postal code; checked before names so a street like
+  // "Washington Ave" doesn't decide the region
+  for (const [, code] of text.matchAll(/,\s*([A-Z]{2})\b/g)) {
+    for (const country of ['CA', 'US']) {
+      if (REGION_NAMES[country][code]) return { country, region: code };
+    }
+  }
+
+  // Full province / state names, longest first so "West Virginia" isn't read as "Virginia"
+  const lower = text.toLowerCase();
+  const names = ['CA', 'US']
+    .flatMap(country => Object.entries(REGION_NAMES[country]).map(([region, name]) => ({ country, region, name: name.toLowerCase() })))
+    .sort((a, b) => b.name.length - a.name.length);
+  for (const { country, region, name } of names) {
+    if (new RegExp(`\\b${name}\\b`).test(lower)) {
+      return { country, region };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Aggregate tax collected per jurisdiction and tax code
+ * @param {Array<{ tax_jurisdiction?: string; tax_lines?: Array<Object> }>} records - Invoices (or revisions) with stored tax lines
+ * @returns {Array<{ jurisdiction: string, code: string, name: string, rate: number, taxable_amount: number, tax_collected: number, document_count: number }>}
+ */
+export function summarizeTaxCollected(records) {
+  const groups = new Map();
+
+  for (const record of records || []) {
+    const jurisdiction = record.tax_jurisdiction || 'UNSPECIFIED';
+    for (const line of record.tax_lines || []) {
+      const key = `${jurisdiction}|${line.code}|${line.rate}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          jurisdiction,
+          code: line.code,
+          name: line.name || line.code,
+          rate: line.rate,
+          taxable_amount: 0,
+          tax_collected: 0,
+          document_count: 0
+        });
+      }
+      const group = groups.get(key);
+      group.taxable_amount = roundCents(group.taxable_amount + (Number(line.taxable_amount) || 0));
+      group.tax_collected = roundCents(group.tax_collected + (Number(line.amount) || 0));
+      group.document_count += 1;
+    }
+  }
+
+  return Array.from(groups.values()).sort((a, b) =>
+    a.jurisdiction.localeCompare(b.jurisdiction) || a.code.localeCompare(b.code)
+  );
+}
@@ -0,0 +1,77 @@
+/**
+ * Tax Engine Configuration
+ * Built-in sales tax components by jurisdiction (country-region)
+ *
+ * Each jurisdiction is a list of tax components applied in order. A component is either
+ * stacked (charged on the pre-tax subtotal) or compound (charged on subtotal + taxes before it).
+ * Companies can replace any jurisdiction's components with rows in tax_rate_overrides, which is
+ * how US states (where taxability of cleaning services varies by state and locality) are configured.
+ */
+
+export const DEFAULT_TAX_COUNTRY = 'CA';
+export const DEFAULT_TAX_REGION = 'ON';
+
+export const TAX_JURISDICTIONS = {
+  // Canada - harmonized provinces
+  'CA-ON': [{ code: 'HST', name: 'HST', rate: 0.13 }],
+  'CA-NB': [{ code: 'HST', name: 'HST', rate: 0.15 }],
+  'CA-NL': [{ code: 'HST', name: 'HST', rate: 0.15 }],
+  'CA-NS': [{ code: 'HST', name: 'HST', rate: 0.14 }],
+  'CA-PE': [{ code: 'HST', name: 'HST', rate: 0.15 }],
+
+  // Canada - GST plus provincial sales tax (stacked)
+  'CA-QC': [
+    { code: 'GST', name: 'GST', rate: 0.05 },
+    { code: 'QST', name: 'QST', rate: 0.09975 }
+  ],
+  'CA-BC': [
+    { code: 'GST', name: 'GST', rate: 0.05 },
+    { code: 'PST', name: 'PST', rate: 0.07 }
+  ],
+  'CA-MB': [
+    { code: 'GST', name: 'GST', rate: 0.05 },
+    { code: 'RST', name: 'RST', rate: 0.07 }
+  ],
+  'CA-SK': [
+    { code: 'GST', name: 'GST', rate: 0.05 },
+    { code: 'PST', name: 'PST', rate: 0.06 }
+  ],
+
+  // Canada - GST only
+  'CA-AB': [{ code: 'GST', name: 'GST', rate: 0.05 }],
+  'CA-NT': [{ code: 'GST', name: 'GST', rate: 0.05 }],
+  'CA-NU': [{ code: 'GST', name: 'GST', rate: 0.05 }],
+  'CA-YT': [{ code: 'GST', name: 'GST', rate: 0.05 }]
+};
+
+// Province / state names used to infer a region from a free-text site address
+export const REGION_NAMES = {
+  CA: {
+    AB: 'Alberta',
+    BC: 'British Columbia',
+    MB: 'Manitoba',
+    NB: 'New Brunswick',
+    NL: 'Newfoundland and Labrador',
+    NS: 'Nova Scotia',
+    NT: 'Northwest Territories',
+    NU: 'Nunavut',
+    ON: 'Ontario',
+    PE: 'Prince Edward Island',
+    QC: 'Quebec',
+    SK: 'Saskatchewan',
+    YT: 'Yukon'
+  },
+  US: {
+    AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+    CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida',
+    GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana',
+    IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine',
+    MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota', MS: 'Mississippi',
+    MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+    NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+    OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island',
+    SC: 'South Carolina', SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah',
+    VT: 'Vermont', VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin',
+    WY: 'Wyoming'
+  }
+};
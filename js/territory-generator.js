@@ -0,0 +1,495 @@
+/**
+ * Territory Generator
+ * Proposes territories by clustering door targets, leads and sites on location and expected value,
+ * capped at a number of doors per territory, and rebalances existing territories when reps join or leave.
+ * Output polygons are GeoJSON so they can be previewed, edited and saved like hand-drawn territories.
+ */
+
+import { TerritoryIndex, geometryBounds, territoryGeometry } from './territory-geometry.js';
+
+export const TERRITORY_POINT_KINDS = {
+  DOOR: 'door',
+  LEAD: 'lead',
+  SITE: 'site'
+};
+
+export const GENERATOR_DEFAULTS = {
+  maxDoorsPerTerritory: 400,
+  valueWeight: 0.5, // 0 = nearest centre only, 1 = strongly even out expected value
+  paddingKm: 0.2, // Margin around the outermost points of each territory
+  maxIterations: 25
+};
+
+// Expected value per point when nothing better is known
+const POINT_VALUES = {
+  [TERRITORY_POINT_KINDS.DOOR]: 1,
+  [TERRITORY_POINT_KINDS.LEAD]: 3,
+  [TERRITORY_POINT_KINDS.SITE]: 5
+};
+const SITE_VALUE_UNIT = 1000; // Site deal_value dollars per point of expected value
+
+export const TERRITORY_COLORS = ['#0D47A1', '#2E7D32', '#C62828', '#6A1B9A', '#EF6C00', '#00838F', '#AD1457', '#4E342E', '#283593', '#558B2F'];
+
+const KM_PER_DEGREE_LAT = 110.57;
+const KM_PER_DEGREE_LNG = 111.32;
+// Strip left between neighbouring territories so rounded edges never cross
+const NEIGHBOUR_GAP_KM = 0.01;
+
+// ============================================
+// INPUT POINTS
+// ============================================
+
+/**
+ * Clustering points from door_targets, leads and sites rows
+ * Doors and leads count toward the door cap; sites only add value.
+ * @param {Object} sources
+ * @param {Array<Object>} [sources.doors] - door_targets rows (latitude, longitude)
+ * @param {Array<Object>} [sources.leads] - leads rows (latitude, longitude)
+ * @param {Array<Object>} [sources.sites] - sites rows (latitude, longitude, deal_value)
+ * @returns {Array<{ id: string, kind: string, lat: number, lng: number, value: number }>}
+ */
+export function territoryPointsFrom({ doors = [], leads = [], sites = [] }) {
+  const located = row => row && row.latitude !== null && row.latitude !== undefined &&
+    row.longitude !== null && row.longitude !== undefined;
+  const toPoint = (row, kind, value) => ({
+    id: `${kind}:${row.id}`,
+    kind,
+    lat: Number(row.latitude),
+    lng: Number(row.longitude),
+    value
+  });
+
+  return [
+    ...doors.filter(located).map(row => toPoint(row, TERRITORY_POINT_KINDS.DOOR, POINT_VALUES.door)),
+    ...leads.filter(located).map(row => toPoint(row, TERRITORY_POINT_KINDS.LEAD, POINT_VALUES.lead)),
+    ...sites.filter(located).map(row => toPoint(row, TERRITORY_POINT_KINDS.SITE,
+      row.deal_value ? Math.max(1, Number(row.deal_value) / SITE_VALUE_UNIT) : POINT_VALUES.site))
+  ];
+}
+
+function isDoor(point) {
+  return point.kind !== TERRITORY_POINT_KINDS.SITE;
+}
+
+// ============================================
+// CLUSTERING
+// ============================================
+
+// Equirectangular distance in km; accurate enough at territory scale and much cheaper than haversine
+function distanceKm(a, b, cosLat) {
+  const dx = (a.lng - b.lng) * KM_PER_DEGREE_LNG * cosLat;
+  const dy = (a.lat - b.lat) * KM_PER_DEGREE_LAT;
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+function weightedCentre(points) {
+  const total = points.reduce((sum, point) => sum + point.value, 0) || points.length;
+  const weight = point => (total === points.length ? 1 : point.value);
+  return {
+    lat: points.reduce((sum, point) => sum + point.lat * weight(point), 0) / total,
+    lng: points.reduce((sum, point) => sum + point.lng * weight(point), 0) / total
+  };
+}
+
+/**
+ * Farthest-first seeds, so results are repeatable for the same inputs
+ */
+function pickSeeds(points, count, existing, cosLat) {
+  const seeds = existing.slice();
+  if (seeds.length === 0 && points.length > 0) {
+    const centre = weightedCentre(points);
+    let first = points[0];
+    for (const point of points) {
+      if (distanceKm(point, centre, cosLat) > distanceKm(first, centre, cosLat)) first = point;
+    }
+    seeds.push({ lat: first.lat, lng: first.lng });
+  }
+
+  while (seeds.length < count && points.length > 0) {
+    let best = null;
+    let bestDistance = -1;
+    for (const point of points) {
+      const nearest = Math.min(...seeds.map(seed => distanceKm(point, seed, cosLat)));
+      if (nearest * Math.sqrt(point.value) > bestDistance) {
+        best = point;
+        bestDistance = nearest * Math.sqrt(point.value);
+      }
+    }
+    seeds.push({ lat: best.lat, lng: best.lng });
+  }
+  return seeds;
+}
+
+/**
+ * One assignment pass: points with the most to lose go first, each to the cheapest centre with door capacity left.
+ * Cost grows once a territory passes its share of the expected value.
+ */
+function assignPoints(points, centres, options) {
+  const { maxDoors, valueWeight, targetValue, cosLat } = options;
+  const distances = points.map(point => centres.map(centre => distanceKm(point, centre, cosLat)));
+  const regret = distances.map(row => {
+    const sorted = row.slice().sort((a, b) => a - b);
+    return sorted.length > 1 ? sorted[1] - sorted[0] : 0;
+  });
+  const order = points.map((_, i) => i).sort((a, b) => regret[b] - regret[a] || a - b);
+
+  const doors = centres.map(() => 0);
+  const values = centres.map(() => 0);
+  const assignment = new Array(points.length).fill(-1);
+
+  for (const i of order) {
+    const point = points[i];
+    let best = -1;
+    let bestCost = Infinity;
+    for (let k = 0; k < centres.length; k++) {
+      if (isDoor(point) && doors[k] >= maxDoors) continue;
+      const overValue = targetValue > 0 ? Math.max(0, values[k] / targetValue - 1) : 0;
+      const cost = distances[i][k] * (1 + valueWeight * overValue);
+      if (cost < bestCost) {
+        best = k;
+        bestCost = cost;
+      }
+    }
+    if (best === -1) continue;
+    assignment[i] = best;
+    values[best] += point.value;
+    if (isDoor(point)) doors[best]++;
+  }
+  return assignment;
+}
+
+function clusterPoints(points, seeds, options) {
+  const maxIterations = options.maxIterations ?? GENERATOR_DEFAULTS.maxIterations;
+  let centres = seeds.map(seed => ({ lat: seed.lat, lng: seed.lng }));
+  let assignment = new Array(points.length).fill(-1);
+  let iterations = 0;
+
+  while (iterations < maxIterations) {
+    iterations++;
+    const next = assignPoints(points, centres, options);
+    const changed = next.some((cluster, i) => cluster !== assignment[i]);
+    assignment = next;
+    centres = centres.map((centre, k) => {
+      const members = points.filter((_, i) => assignment[i] === k);
+      return members.length > 0 ? weightedCentre(members) : centre;
+    });
+    if (!changed) break;
+  }
+  return { assignment, centres, iterations };
+}
+
+// ============================================
+// POLYGONS
+// ============================================
+
+function cross(o, a, b) {
+  return (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+}
+
+// Andrew's monotone chain on [lng, lat]; returns a closed, counter-clockwise ring
+function convexHull(coords) {
+  const sorted = coords.slice().sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const lower = [];
+  for (const c of sorted) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], c) <= 0) lower.pop();
+    lower.push(c);
+  }
+  const upper = [];
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    const c = sorted[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], c) <= 0) upper.pop();
+    upper.push(c);
+  }
+  const ring = lower.slice(0, -1).concat(upper.slice(0, -1));
+  ring.push(ring[0]);
+  return ring;
+}
+
+/**
+ * GeoJSON Polygon around a set of points, padded so every point sits inside it
+ * The padding can reach into a neighbouring territory; proposals are trimmed apart afterwards (see separateRings).
+ * @param {Array<{ lat: number, lng: number }>} points
+ * @param {number} [paddingKm]
+ * @returns {{ type: 'Polygon', coordinates: Array<Array<[number, number]>> }|null}
+ */
+export function territoryPolygon(points, paddingKm = GENERATOR_DEFAULTS.paddingKm) {
+  if (!points || points.length === 0) return null;
+  const cosLat = Math.cos(weightedCentre(points).lat * Math.PI / 180);
+  const padLat = paddingKm / KM_PER_DEGREE_LAT;
+  const padLng = paddingKm / (KM_PER_DEGREE_LNG * cosLat);
+  const round = value => Math.round(value * 1e6) / 1e6;
+
+  const corners = points.flatMap(point => [
+    [round(point.lng - padLng), round(point.lat - padLat)],
+    [round(point.lng + padLng), round(point.lat - padLat)],
+    [round(point.lng + padLng), round(point.lat + padLat)],
+    [round(point.lng - padLng), round(point.lat + padLat)]
+  ]);
+  return { type: 'Polygon', coordinates: [convexHull(corners)] };
+}
+
+function project(coord, axis, cosLat) {
+  return coord[0] * KM_PER_DEGREE_LNG * cosLat * axis.x + coord[1] * KM_PER_DEGREE_LAT * axis.y;
+}
+
+// Sutherland–Hodgman against one line: keeps the part of a convex ring whose projection on axis is at most limit
+function clipRing(ring, axis, limit, cosLat) {
+  const round = value => Math.round(value * 1e6) / 1e6;
+  const clipped = [];
+  for (let i = 1; i < ring.length; i++) {
+    const a = ring[i - 1];
+    const b = ring[i];
+    const overA = project(a, axis, cosLat) - limit;
+    const overB = project(b, axis, cosLat) - limit;
+    if (overA <= 0) clipped.push(a);
+    if ((overA < 0 && overB > 0) || (overA > 0 && overB < 0)) {
+      const t = overA / (overA - overB);
+      clipped.push([round(a[0] + (b[0] - a[0]) * t), round(a[1] + (b[1] - a[1]) * t)]);
+    }
+  }
+  clipped.push(clipped[0]);
+  return clipped;
+}
+
+/**
+ * Trim padded hulls so neighbouring territories don't overlap
+ * Each pair is cut across the line joining their centres, midway between the nearest members on either side,
+ * so every point stays inside its own territory. Clusters that interleave along that line are left as they are.
+ */
+function separateRings(rings, memberSets, centres, cosLat) {
+  for (let k = 0; k < rings.length; k++) {
+    for (let j = k + 1; j < rings.length; j++) {
+      if (!rings[k] || !rings[j]) continue;
+      const dx = (centres[j].lng - centres[k].lng) * KM_PER_DEGREE_LNG * cosLat;
+      const dy = (centres[j].lat - centres[k].lat) * KM_PER_DEGREE_LAT;
+      const length = Math.hypot(dx, dy);
+      if (length === 0) continue;
+
+      const axis = { x: dx / length, y: dy / length };
+      const reachK = Math.max(...memberSets[k].map(point => project([point.lng, point.lat], axis, cosLat)));
+      const reachJ = Math.min(...memberSets[j].map(point => project([point.lng, point.lat], axis, cosLat)));
+      if (reachK >= reachJ) continue;
+
+      const cut = (reachK + reachJ) / 2;
+      const gap = Math.min(NEIGHBOUR_GAP_KM, (reachJ - reachK) / 4);
+      rings[k] = clipRing(rings[k], axis, cut - gap, cosLat);
+      rings[j] = clipRing(rings[j], { x: -axis.x, y: -axis.y }, -(cut + gap), cosLat);
+    }
+  }
+}
+
+function boundsCentre(geojson) {
+  const bounds = geometryBounds(geojson);
+  return { lat: (bounds.minLat + bounds.maxLat) / 2, lng: (bounds.minLng + bounds.maxLng) / 2 };
+}
+
+// ============================================
+// PROPOSALS
+// ============================================
+
+function summarize(members) {
+  return {
+    doors: members.filter(point => point.kind === TERRITORY_POINT_KINDS.DOOR).length,
+    leads: members.filter(point => point.kind === TERRITORY_POINT_KINDS.LEAD).length,
+    sites: members.filter(point => point.kind === TERRITORY_POINT_KINDS.SITE).length,
+    expectedValue: Math.round(members.reduce((sum, point) => sum + point.value, 0) * 10) / 10
+  };
+}
+
+function buildProposals(points, assignment, centres, paddingKm, cosLat) {
+  const memberSets = centres.map((_, k) => points.filter((_, i) => assignment[i] === k));
+  const rings = memberSets.map(members => territoryPolygon(members, paddingKm)?.coordinates[0] ?? null);
+  separateRings(rings, memberSets, centres, cosLat);
+
+  return centres.map((centre, k) => {
+    const members = memberSets[k];
+    return {
+      geojson: rings[k] ? { type: 'Polygon', coordinates: [rings[k]] } : null,
+      centre: members.length > 0 ? weightedCentre(members) : centre,
+      pointIds: members.map(point => point.id),
+      stats: summarize(members)
+    };
+  });
+}
+
+function checkPoints(points) {
+  if (!points || points.length === 0) {
+    return 'No door targets, leads or sites with coordinates in this area';
+  }
+  return null;
+}
+
+/**
+ * Propose territories for an area
+ * Raises the count when the doors would not fit under the cap.
+ * @param {Object} params
+ * @param {Array<Object>} params.points - territoryPointsFrom() output
+ * @param {number} [params.count] - Territories wanted (defaults to what the door cap needs)
+ * @param {number} [params.maxDoorsPerTerritory]
+ * @param {number} [params.valueWeight]
+ * @param {number} [params.paddingKm]
+ * @returns {Object} { success, territories: [{ name, color, geojson, centre, pointIds, stats }], unassigned, diagnostics }
+ */
+export function generateTerritories({
+  points,
+  count,
+  maxDoorsPerTerritory = GENERATOR_DEFAULTS.maxDoorsPerTerritory,
+  valueWeight = GENERATOR_DEFAULTS.valueWeight,
+  paddingKm = GENERATOR_DEFAULTS.paddingKm
+}) {
+  const error = checkPoints(points);
+  if (error) return { success: false, error, territories: [], unassigned: [], diagnostics: {} };
+
+  const totalDoors = points.filter(isDoor).length;
+  const neededCount = Math.max(1, Math.ceil(totalDoors / maxDoorsPerTerritory));
+  const finalCount = Math.min(points.length, Math.max(count || 0, neededCount));
+  const cosLat = Math.cos(weightedCentre(points).lat * Math.PI / 180);
+  const totalValue = points.reduce((sum, point) => sum + point.value, 0);
+
+  const seeds = pickSeeds(points, finalCount, [], cosLat);
+  const { assignment, centres, iterations } = clusterPoints(points, seeds, {
+    maxDoors: maxDoorsPerTerritory,
+    valueWeight,
+    targetValue: totalValue / finalCount,
+    cosLat
+  });
+
+  const territories = buildProposals(points, assignment, centres, paddingKm, cosLat)
+    .filter(proposal => proposal.pointIds.length > 0)
+    .map((proposal, k) => ({
+      name: `Territory ${k + 1}`,
+      color: TERRITORY_COLORS[k % TERRITORY_COLORS.length],
+      ...proposal
+    }));
+
+  return {
+    success: true,
+    territories,
+    unassigned: points.filter((_, i) => assignment[i] === -1).map(point => point.id),
+    diagnostics: {
+      requestedCount: count || null,
+      count: territories.length,
+      countRaised: Boolean(count) && finalCount > count,
+      iterations,
+      maxDoorsPerTerritory,
+      totalDoors,
+      totalValue: Math.round(totalValue * 10) / 10
+    }
+  };
+}
+
+/**
+ * Redraw rep territories for a new set of reps
+ * Each remaining rep keeps their territory (primary first) as the seed for its new shape; reps without one get
+ * a new territory, and territories whose reps have all left are retired. Unassigned territories are untouched.
+ * @param {Object} params
+ * @param {Array<Object>} params.territories - territories rows with geojson
+ * @param {Array<Object>} params.assignments - territory_assignments rows
+ * @param {Array<{ id: string, name?: string }>} params.reps - Reps who should have a territory from now on
+ * @param {Array<Object>} params.points - territoryPointsFrom() output
+ * @param {number} [params.maxDoorsPerTerritory]
+ * @param {number} [params.valueWeight]
+ * @param {number} [params.paddingKm]
+ * @returns {Object} { success, territories: [{ territoryId, repId, repName, name, color, geojson, stats, movedPoints }], retired, unassigned, diagnostics }
+ */
+export function rebalanceTerritories({
+  territories,
+  assignments,
+  reps,
+  points,
+  maxDoorsPerTerritory = GENERATOR_DEFAULTS.maxDoorsPerTerritory,
+  valueWeight = GENERATOR_DEFAULTS.valueWeight,
+  paddingKm = GENERATOR_DEFAULTS.paddingKm
+}) {
+  const error = checkPoints(points) || (!reps || reps.length === 0 ? 'Select at least one rep' : null);
+  if (error) return { success: false, error, territories: [], retired: [], unassigned: [], diagnostics: {} };
+
+  const assigned = (territories || []).filter(territory =>
+    geometryBounds(territoryGeometry(territory)) &&
+    (assignments || []).some(a => a.territory_id === territory.id));
+  const claimed = new Set();
+  const ordered = (assignments || []).slice().sort((a, b) => Number(b.is_primary) - Number(a.is_primary));
+
+  const slots = reps.map(rep => {
+    const assignment = ordered.find(a => a.rep_user_id === rep.id && !claimed.has(a.territory_id) &&
+      assigned.some(t => t.id === a.territory_id));
+    const territory = assignment ? assigned.find(t => t.id === assignment.territory_id) : null;
+    if (territory) claimed.add(territory.id);
+    return { rep, territory };
+  });
+  // Kept territories first so their seeds are in place before new reps are spread around them
+  slots.sort((a, b) => Number(Boolean(b.territory)) - Number(Boolean(a.territory)));
+
+  const cosLat = Math.cos(weightedCentre(points).lat * Math.PI / 180);
+  const keptSeeds = slots
+    .filter(slot => slot.territory)
+    .map(slot => boundsCentre(territoryGeometry(slot.territory)));
+  const seeds = pickSeeds(points, slots.length, keptSeeds, cosLat);
+  const totalValue = points.reduce((sum, point) => sum + point.value, 0);
+
+  const { assignment, centres, iterations } = clusterPoints(points, seeds, {
+    maxDoors: maxDoorsPerTerritory,
+    valueWeight,
+    targetValue: totalValue / slots.length,
+    cosLat
+  });
+
+  // Where each point was before, to show how much each territory changes
+  const previousIndex = new TerritoryIndex(assigned);
+  const previousTerritory = point => previousIndex.find(point.lat, point.lng)?.id ?? null;
+
+  const proposals = buildProposals(points, assignment, centres, paddingKm, cosLat).map((proposal, k) => {
+    const { rep, territory } = slots[k];
+    const members = points.filter((_, i) => assignment[i] === k);
+    return {
+      territoryId: territory?.id ?? null,
+      repId: rep.id,
+      repName: rep.name || null,
+      name: territory?.name ?? `${rep.name || 'Rep'} Territory`,
+      color: territory?.color ?? TERRITORY_COLORS[k % TERRITORY_COLORS.length],
+      ...proposal,
+      movedPoints: members.filter(point => previousTerritory(point) !== (territory?.id ?? null)).length
+    };
+  });
+
+  return {
+    success: true,
+    territories: proposals,
+    retired: assigned
+      .filter(territory => !claimed.has(territory.id))
+      .map(territory => ({ id: territory.id, name: territory.name })),
+    unassigned: points.filter((_, i) => assignment[i] === -1).map(point => point.id),
+    diagnostics: {
+      count: proposals.length,
+      kept: claimed.size,
+      iterations,
+      maxDoorsPerTerritory,
+      totalDoors: points.filter(isDoor).length,
+      totalValue: Math.round(totalValue * 10) / 10
+    }
+  };
+}
+
+/**
+ * Proposals as a GeoJSON FeatureCollection (for export or other map tools)
+ * @param {Array<Object>} proposals - generateTerritories() or rebalanceTerritories() territories
+ * @returns {Object}
+ */
+export function proposalsToFeatureCollection(proposals) {
+  return {
+    type: 'FeatureCollection',
+    features: proposals
+      .filter(proposal => proposal.geojson)
+      .map(proposal => ({
+        type: 'Feature',
+        geometry: proposal.geojson,
+        properties: {
+          name: proposal.name,
+          color: proposal.color,
+          territoryId: proposal.territoryId ?? null,
+          repId: proposal.repId ?? null,
+          ...proposal.stats
+        }
+      }))
+  };
+}
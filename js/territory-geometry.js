@@ -0,0 +1,348 @@
+/**
+ * Territory Geometry
+ * GeoJSON handling for territories: Polygons with holes, MultiPolygons, Features and FeatureCollections,
+ * overlap detection, and an R-tree index for fast point lookup across many territories.
+ * Coordinates follow GeoJSON order: [lng, lat].
+ */
+
+// ============================================
+// NORMALIZATION
+// ============================================
+
+/**
+ * Stored geometry for a territory row
+ * @param {Object} territory
+ * @returns {Object|null}
+ */
+export function territoryGeometry(territory) {
+  return territory?.geojson || territory?.polygon_coordinates || null;
+}
+
+const isPosition = value => Array.isArray(value) && typeof value[0] === 'number';
+
+/**
+ * Every polygon in a GeoJSON value as [outerRing, ...holes]
+ * Accepts Polygon, MultiPolygon, Feature, FeatureCollection, GeometryCollection and bare { coordinates } objects.
+ * @param {Object} geojson
+ * @returns {Array<Array<Array<[number, number]>>>}
+ */
+export function toPolygons(geojson) {
+  if (!geojson) return [];
+
+  let polygons;
+  switch (geojson.type) {
+    case 'Feature':
+      return toPolygons(geojson.geometry);
+    case 'FeatureCollection':
+      return (geojson.features || []).flatMap(feature => toPolygons(feature));
+    case 'GeometryCollection':
+      return (geojson.geometries || []).flatMap(geometry => toPolygons(geometry));
+    case 'Polygon':
+      polygons = [geojson.coordinates];
+      break;
+    case 'MultiPolygon':
+      polygons = geojson.coordinates;
+      break;
+    default: {
+      // Untyped { coordinates } saved by older versions: a Polygon, or a MultiPolygon one level deeper
+      const coordinates = geojson.coordinates;
+      if (!Array.isArray(coordinates) || !Array.isArray(coordinates[0])) return [];
+      polygons = isPosition(coordinates[0][0]) ? [coordinates] : coordinates;
+    }
+  }
+
+  return (polygons || [])
+    .filter(polygon => Array.isArray(polygon) && Array.isArray(polygon[0]) && polygon[0].length >= 3);
+}
+
+// ============================================
+// POINT IN POLYGON
+// ============================================
+
+/**
+ * Ray casting against one ring
+ * @param {number} lng
+ * @param {number} lat
+ * @param {Array<[number, number]>} ring
+ * @returns {boolean}
+ */
+export function pointInRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (((yi > lat) !== (yj > lat)) && (lng < (xj - xi) * (lat - yi) / (yj - yi) + xi)) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function pointInPolygon(lng, lat, polygon) {
+  if (!pointInRing(lng, lat, polygon[0])) return false;
+  for (let h = 1; h < polygon.length; h++) {
+    if (pointInRing(lng, lat, polygon[h])) return false;
+  }
+  return true;
+}
+
+function pointInPolygons(lng, lat, polygons) {
+  return polygons.some(polygon => pointInPolygon(lng, lat, polygon));
+}
+
+/**
+ * Whether a point is inside a geometry: inside any polygon's outer ring and outside its holes
+ * @param {number} lat
+ * @param {number} lng
+ * @param {Object} geojson
+ * @returns {boolean}
+ */
+export function isPointInGeometry(lat, lng, geojson) {
+  return pointInPolygons(Number(lng), Number(lat), toPolygons(geojson));
+}
+
+// ============================================
+// BOUNDS
+// ============================================
+
+function polygonsBounds(polygons) {
+  let minLat = Infinity, maxLat = -Infinity;
+  let minLng = Infinity, maxLng = -Infinity;
+  for (const polygon of polygons) {
+    for (const [lng, lat] of polygon[0]) {
+      if (lat < minLat) minLat = lat;
+      if (lat > maxLat) maxLat = lat;
+      if (lng < minLng) minLng = lng;
+      if (lng > maxLng) maxLng = lng;
+    }
+  }
+  return minLat === Infinity ? null : { minLat, maxLat, minLng, maxLng };
+}
+
+/**
+ * Bounding box of a geometry (outer rings only; holes are inside them)
+ * @param {Object} geojson
+ * @returns {{ minLat: number, maxLat: number, minLng: number, maxLng: number }|null}
+ */
+export function geometryBounds(geojson) {
+  return polygonsBounds(toPolygons(geojson));
+}
+
+function boundsOverlap(a, b) {
+  return a.minLng <= b.maxLng && b.minLng <= a.maxLng && a.minLat <= b.maxLat && b.minLat <= a.maxLat;
+}
+
+function boundsContain(bounds, lng, lat) {
+  return lng >= bounds.minLng && lng <= bounds.maxLng && lat >= bounds.minLat && lat <= bounds.maxLat;
+}
+
+/**
+ * Leaflet lat/lng arrays for L.polygon (holes and multiple parts included)
+ * @param {Object} geojson
+ * @returns {Array}
+ */
+export function geometryToLatLngs(geojson) {
+  return toPolygons(geojson).map(polygon => polygon.map(ring => ring.map(([lng, lat]) => [lat, lng])));
+}
+
+// ============================================
+// OVERLAP DETECTION
+// ============================================
+
+const EPSILON = 1e-12;
+
+function orientation(a, b, c) {
+  const value = (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+  return Math.abs(value) < EPSILON ? 0 : Math.sign(value);
+}
+
+// Segments cross at a single interior point; touching at ends or running along each other does not count
+function segmentsCross(a, b, c, d) {
+  const o1 = orientation(a, b, c);
+  const o2 = orientation(a, b, d);
+  const o3 = orientation(c, d, a);
+  const o4 = orientation(c, d, b);
+  return o1 !== 0 && o2 !== 0 && o3 !== 0 && o4 !== 0 && o1 !== o2 && o3 !== o4;
+}
+
+function onSegment(point, a, b) {
+  return orientation(a, b, point) === 0 &&
+    point[0] >= Math.min(a[0], b[0]) - EPSILON && point[0] <= Math.max(a[0], b[0]) + EPSILON &&
+    point[1] >= Math.min(a[1], b[1]) - EPSILON && point[1] <= Math.max(a[1], b[1]) + EPSILON;
+}
+
+function onBoundary(point, polygon) {
+  return polygon.some(ring => ring.some((vertex, i) => i > 0 && onSegment(point, ring[i - 1], vertex)));
+}
+
+function ringsCross(a, b) {
+  for (const ringA of a) {
+    for (let i = 1; i < ringA.length; i++) {
+      for (const ringB of b) {
+        for (let j = 1; j < ringB.length; j++) {
+          if (segmentsCross(ringA[i - 1], ringA[i], ringB[j - 1], ringB[j])) return true;
+        }
+      }
+    }
+  }
+  return false;
+}
+
+// Vertices and edge midpoints of a that lie strictly inside b (shared boundaries are fine)
+function samplesInside(a, b) {
+  const ring = a[0];
+  for (let i = 1; i < ring.length; i++) {
+    const samples = [ring[i], [(ring[i - 1][0] + ring[i][0]) / 2, (ring[i - 1][1] + ring[i][1]) / 2]];
+    for (const point of samples) {
+      if (pointInPolygon(point[0], point[1], b) && !onBoundary(point, b)) return true;
+    }
+  }
+  return false;
+}
+
+function sameRing(a, b) {
+  if (a.length !== b.length) return false;
+  const key = ring => ring.slice(0, -1).map(c => `${c[0]},${c[1]}`).sort().join(';');
+  return key(a) === key(b);
+}
+
+function polygonsOverlap(a, b) {
+  const boundsA = polygonsBounds([a]);
+  const boundsB = polygonsBounds([b]);
+  if (!boundsA || !boundsB || !boundsOverlap(boundsA, boundsB)) return false;
+  return ringsCross(a, b) || samplesInside(a, b) || samplesInside(b, a) || sameRing(a[0], b[0]);
+}
+
+/**
+ * Whether two geometries share any area (touching edges do not count)
+ * @param {Object} a - GeoJSON
+ * @param {Object} b - GeoJSON
+ * @returns {boolean}
+ */
+export function geometriesOverlap(a, b) {
+  const polygonsA = toPolygons(a);
+  const polygonsB = toPolygons(b);
+  return polygonsA.some(polygonA => polygonsB.some(polygonB => polygonsOverlap(polygonA, polygonB)));
+}
+
+/**
+ * Territories whose area overlaps a geometry
+ * @param {Object} geojson
+ * @param {Array<Object>} territories - Rows with geojson / polygon_coordinates
+ * @param {{ excludeId?: string }} [options]
+ * @returns {Array<Object>} The overlapping territories
+ */
+export function findOverlappingTerritories(geojson, territories, { excludeId } = {}) {
+  const bounds = geometryBounds(geojson);
+  if (!bounds) return [];
+  return (territories || []).filter(territory => {
+    if (excludeId && territory.id === excludeId) return false;
+    const other = territoryGeometry(territory);
+    const otherBounds = geometryBounds(other);
+    return otherBounds && boundsOverlap(bounds, otherBounds) && geometriesOverlap(geojson, other);
+  });
+}
+
+// ============================================
+// SPATIAL INDEX
+// ============================================
+
+const NODE_SIZE = 16;
+
+function nodeBounds(items) {
+  return items.reduce((acc, item) => ({
+    minLat: Math.min(acc.minLat, item.bounds.minLat),
+    maxLat: Math.max(acc.maxLat, item.bounds.maxLat),
+    minLng: Math.min(acc.minLng, item.bounds.minLng),
+    maxLng: Math.max(acc.maxLng, item.bounds.maxLng)
+  }), { minLat: Infinity, maxLat: -Infinity, minLng: Infinity, maxLng: -Infinity });
+}
+
+// Sort-Tile-Recursive packing: one level of nodes from a level of items
+function packLevel(items, leaf) {
+  const centreLng = item => (item.bounds.minLng + item.bounds.maxLng) / 2;
+  const centreLat = item => (item.bounds.minLat + item.bounds.maxLat) / 2;
+  const nodeCount = Math.ceil(items.length / NODE_SIZE);
+  const sliceSize = Math.ceil(items.length / Math.ceil(Math.sqrt(nodeCount)));
+
+  const sorted = items.slice().sort((a, b) => centreLng(a) - centreLng(b));
+  const nodes = [];
+  for (let s = 0; s < sorted.length; s += sliceSize) {
+    const slice = sorted.slice(s, s + sliceSize).sort((a, b) => centreLat(a) - centreLat(b));
+    for (let n = 0; n < slice.length; n += NODE_SIZE) {
+      const children = slice.slice(n, n + NODE_SIZE);
+      nodes.push({ leaf, children, bounds: nodeBounds(children) });
+    }
+  }
+  return nodes;
+}
+
+/**
+ * Static R-tree over territory bounding boxes
+ * Build once, then look up thousands of points (lead import, coverage, routing) without scanning every territory.
+ * When territories overlap, the earliest one in the input order wins, matching a linear scan.
+ */
+export class TerritoryIndex {
+  /**
+   * @param {Array<Object>} territories - Rows with geojson / polygon_coordinates
+   */
+  constructor(territories = []) {
+    const entries = [];
+    (territories || []).forEach((territory, order) => {
+      const polygons = toPolygons(territoryGeometry(territory));
+      const bounds = polygonsBounds(polygons);
+      if (bounds) entries.push({ territory, polygons, bounds, order });
+    });
+
+    this.size = entries.length;
+    let level = packLevel(entries, true);
+    while (level.length > 1) {
+      level = packLevel(level, false);
+    }
+    this.root = level[0] || null;
+  }
+
+  /**
+   * Every territory containing a point, in input order
+   * @param {number} lat
+   * @param {number} lng
+   * @returns {Array<Object>}
+   */
+  findAll(lat, lng) {
+    const x = Number(lng);
+    const y = Number(lat);
+    const matches = [];
+    const stack = this.root ? [this.root] : [];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (!boundsContain(node.bounds, x, y)) continue;
+      for (const child of node.children) {
+        if (!node.leaf) {
+          stack.push(child);
+        } else if (boundsContain(child.bounds, x, y) && pointInPolygons(x, y, child.polygons)) {
+          matches.push(child);
+        }
+      }
+    }
+    return matches.sort((a, b) => a.order - b.order).map(entry => entry.territory);
+  }
+
+  /**
+   * First territory containing a point
+   * @param {number} lat
+   * @param {number} lng
+   * @returns {Object|null}
+   */
+  find(lat, lng) {
+    return this.findAll(lat, lng)[0] || null;
+  }
+
+  /**
+   * Territory for each point
+   * @param {Array<{ lat?: number, lng?: number, latitude?: number, longitude?: number }>} points
+   * @returns {Array<Object|null>} Same order as points
+   */
+  assign(points) {
+    return points.map(point => this.find(point.lat ?? point.latitude, point.lng ?? point.longitude));
+  }
+}
@@ -4,6 +4,37 @@
  */
 
 import { supabase } from './supabase.js';
+import { territoryPointsFrom } from './territory-generator.js';
+import {
+  TerritoryIndex,
+  isPointInGeometry,
+  geometryBounds,
+  territoryGeometry,
+  findOverlappingTerritories
+} from './territory-geometry.js';
+
+// ============================================
+// OVERLAP CHECKS
+// ============================================
+
+function overlapError(overlaps) {
+  return Object.assign(new Error(`Overlaps ${overlaps.map(t => t.name).join(', ')}`), {
+    code: 'TERRITORY_OVERLAP',
+    overlaps
+  });
+}
+
+/**
+ * Active territories a geometry would overlap
+ * @param {Object} geojson
+ * @param {{ excludeIds?: Array<string> }} [options]
+ * @returns {Promise<Array<{ id: string, name: string }>>}
+ */
+export async function findTerritoryOverlaps(geojson, { excludeIds = [] } = {}) {
+  const others = (await fetchTerritories())
+    .filter(territory => territory.active !== false && !excludeIds.includes(territory.id));
+  return findOverlappingTerritories(geojson, others).map(territory => ({ id: territory.id, name: territory.name }));
+}
 
 // ============================================
 // TERRITORY CRUD
@@ -11,12 +42,18 @@ import { supabase } from './supabase.js';
 
 /**
  * Create a new territory
+ * Rejects geometry that overlaps an active territory (error.code 'TERRITORY_OVERLAP') unless allowOverlap is set.
  */
 export async function createTerritory(territoryData) {
   try {
     const { data: { user } } = await supabase.auth.getUser();
     if (!user) throw new Error('Not authenticated');
 
+    if (territoryData.geojson && !territoryData.allowOverlap) {
+      const overlaps = await findTerritoryOverlaps(territoryData.geojson);
+      if (overlaps.length > 0) throw overlapError(overlaps);
+    }
+
     const territory = {
       name: territoryData.name,
       description: territoryData.description || null,
@@ -46,9 +83,15 @@ export async function createTerritory(territoryData) {
 
 /**
  * Update territory
+ * New geometry is checked for overlaps like createTerritory.
  */
-export async function updateTerritory(territoryId, updates) {
+export async function updateTerritory(territoryId, updates, { allowOverlap = false } = {}) {
   try {
+    if (updates.geojson && !allowOverlap) {
+      const overlaps = await findTerritoryOverlaps(updates.geojson, { excludeIds: [territoryId] });
+      if (overlaps.length > 0) throw overlapError(overlaps);
+    }
+
     const { data, error } = await supabase
       .from('territories')
       .update({
@@ -248,42 +291,153 @@ export async function fetchTerritoryAssignments(territoryId) {
   }
 }
 
+/**
+ * Fetch every territory assignment (for rebalancing)
+ */
+export async function fetchAllTerritoryAssignments() {
+  try {
+    const { data, error } = await supabase
+      .from('territory_assignments')
+      .select('territory_id, rep_user_id, is_primary');
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('[Territory] Error fetching all assignments:', error);
+    return [];
+  }
+}
+
+// ============================================
+// TERRITORY GENERATION
+// ============================================
+
+/**
+ * Fetch door targets, leads and sites in a bounding box as clustering points
+ * @param {{ minLat: number, maxLat: number, minLng: number, maxLng: number }} bbox
+ * @returns {Promise<Array<Object>>} territoryPointsFrom() output
+ */
+export async function fetchTerritoryPoints(bbox) {
+  try {
+    const inBox = query => query
+      .gte('latitude', bbox.minLat)
+      .lte('latitude', bbox.maxLat)
+      .gte('longitude', bbox.minLng)
+      .lte('longitude', bbox.maxLng);
+
+    const [doors, leads, sites] = await Promise.all([
+      inBox(supabase.from('door_targets').select('id, latitude, longitude')),
+      inBox(supabase.from('leads').select('id, latitude, longitude'))
+        .eq('routing_eligible', true)
+        .eq('do_not_contact', false),
+      inBox(supabase.from('sites').select('id, latitude, longitude, deal_value'))
+    ]);
+
+    for (const result of [doors, leads, sites]) {
+      if (result.error) throw result.error;
+    }
+
+    return territoryPointsFrom({
+      doors: doors.data || [],
+      leads: leads.data || [],
+      sites: sites.data || []
+    });
+  } catch (error) {
+    console.error('[Territory] Error fetching territory points:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save generated or rebalanced territories
+ * Existing territories get their new shape; new ones are created. Each rep becomes primary on their territory.
+ * Retired territories are deactivated rather than deleted so their routes and history stay intact.
+ * Overlaps with each other or with territories outside the batch are rejected unless allowOverlap is set.
+ * @param {Array<Object>} proposals - { territoryId?, repId?, name, color, geojson }
+ * @param {{ retireIds?: Array<string>, allowOverlap?: boolean }} [options]
+ * @returns {Promise<{ created: number, updated: number, retired: number }>}
+ */
+export async function saveTerritoryProposals(proposals, { retireIds = [], allowOverlap = false } = {}) {
+  if (!allowOverlap) {
+    const batchIds = [...proposals.map(p => p.territoryId).filter(Boolean), ...retireIds];
+    const others = (await fetchTerritories())
+      .filter(territory => territory.active !== false && !batchIds.includes(territory.id));
+    const overlaps = [];
+    proposals.forEach((proposal, i) => {
+      const clashes = [
+        ...findOverlappingTerritories(proposal.geojson, others),
+        ...findOverlappingTerritories(proposal.geojson, proposals.slice(i + 1))
+      ];
+      if (clashes.length > 0) {
+        overlaps.push({ id: proposal.territoryId ?? null, name: `${proposal.name} / ${clashes.map(t => t.name).join(', ')}` });
+      }
+    });
+    if (overlaps.length > 0) throw overlapError(overlaps);
+  }
+
+  let created = 0;
+  let updated = 0;
+
+  for (const proposal of proposals) {
+    let territoryId = proposal.territoryId;
+    if (territoryId) {
+      await updateTerritory(territoryId, {
+        name: proposal.name,
+        geojson: proposal.geojson,
+        polygon_coordinates: proposal.geojson,
+        territory_type: 'polygon',
+        active: true
+      }, { allowOverlap: true });
+      updated++;
+    } else {
+      const territory = await createTerritory({
+        name: proposal.name,
+        color: proposal.color,
+        geojson: proposal.geojson,
+        active: true,
+        allowOverlap: true
+      });
+      territoryId = territory.id;
+      created++;
+    }
+
+    if (proposal.repId) {
+      await assignRepToTerritory(territoryId, proposal.repId, { isPrimary: true });
+    }
+  }
+
+  for (const territoryId of retireIds) {
+    await updateTerritory(territoryId, { active: false });
+  }
+
+  return { created, updated, retired: retireIds.length };
+}
+
 // ============================================
 // TERRITORY MEMBERSHIP (Point in Polygon)
 // ============================================
 
 /**
- * Check if a point is inside a territory polygon
- * Uses simple point-in-polygon algorithm (ray casting)
+ * Check if a point is inside a territory
+ * Handles Polygon (with holes), MultiPolygon and Feature geometry
  * @param {number} lat - Latitude
  * @param {number} lng - Longitude
- * @param {Object} geojson - GeoJSON polygon
- * @returns {boolean} True if point is inside polygon
+ * @param {Object} geojson - GeoJSON geometry or Feature
+ * @returns {boolean} True if point is inside the territory and not in one of its holes
  */
 export function isPointInTerritory(lat, lng, geojson) {
-  if (!geojson || !geojson.coordinates) return false;
-  
-  // Handle GeoJSON Polygon format: coordinates[0] is the outer ring
-  const polygon = geojson.coordinates[0];
-  if (!polygon || polygon.length < 3) return false;
-  
-  let inside = false;
-  const x = lng;
-  const y = lat;
-  
-  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
-    const xi = polygon[i][0];
-    const yi = polygon[i][1];
-    const xj = polygon[j][0];
-    const yj = polygon[j][1];
-    
-    const intersect = ((yi > y) !== (yj > y)) &&
-      (x < (xj - xi) * (y - yi) / (yj - yi) + xi);
-    
-    if (intersect) inside = !inside;
-  }
-  
-  return inside;
+  return isPointInGeometry(lat, lng, geojson);
+}
+
+// Spatial index per territories array, rebuilt when the array changes length
+const territoryIndexes = new WeakMap();
+
+function getTerritoryIndex(territories) {
+  const cached = territoryIndexes.get(territories);
+  if (cached && cached.length === territories.length) return cached.index;
+  const index = new TerritoryIndex(territories);
+  territoryIndexes.set(territories, { index, length: territories.length });
+  return index;
 }
 
 /**
@@ -291,16 +445,20 @@ export function isPointInTerritory(lat, lng, geojson) {
  * @param {number} lat - Latitude
  * @param {number} lng - Longitude
  * @param {Array} territories - Array of territories with geojson
- * @returns {Object|null} Territory or null
+ * @returns {Object|null} Territory or null (the first in the array when territories overlap)
  */
 export function findTerritoryForPoint(lat, lng, territories) {
-  for (const territory of territories) {
-    const geojson = territory.geojson || territory.polygon_coordinates;
-    if (geojson && isPointInTerritory(lat, lng, geojson)) {
-      return territory;
-    }
-  }
-  return null;
+  return getTerritoryIndex(territories).find(lat, lng);
+}
+
+/**
+ * Find the territory for many points at once (lead import, bulk reassignment)
+ * @param {Array<{ lat?: number, lng?: number, latitude?: number, longitude?: number }>} points
+ * @param {Array} territories - Array of territories with geojson
+ * @returns {Array<Object|null>} Territory per point, in the same order
+ */
+export function findTerritoriesForPoints(points, territories) {
+  return getTerritoryIndex(territories).assign(points);
 }
 
 // ============================================
@@ -319,7 +477,7 @@ export async function computeTerritoryCoverage(territoryId, dateBucket = new Dat
     const territory = await fetchTerritory(territoryId);
     if (!territory) throw new Error('Territory not found');
     
-    const geojson = territory.geojson || territory.polygon_coordinates;
+    const geojson = territoryGeometry(territory);
     if (!geojson) {
       return {
         totalLeads: 0,
@@ -449,24 +607,8 @@ export async function getCachedCoverage(territoryId, dateBucket = new Date()) {
 }
 
 /**
- * Get bounding box from GeoJSON polygon
+ * Get bounding box from GeoJSON geometry (every part of a MultiPolygon)
  */
 function getBoundingBox(geojson) {
-  if (!geojson || !geojson.coordinates) {
-    return { minLat: -90, maxLat: 90, minLng: -180, maxLng: 180 };
-  }
-  
-  const polygon = geojson.coordinates[0];
-  let minLat = Infinity, maxLat = -Infinity;
-  let minLng = Infinity, maxLng = -Infinity;
-  
-  for (const coord of polygon) {
-    const [lng, lat] = coord;
-    minLat = Math.min(minLat, lat);
-    maxLat = Math.max(maxLat, lat);
-    minLng = Math.min(minLng, lng);
-    maxLng = Math.max(maxLng, lng);
-  }
-  
-  return { minLat, maxLat, minLng, maxLng };
+  return geometryBounds(geojson) || { minLat: -90, maxLat: 90, minLng: -180, maxLng: 180 };
 }
@@ -0,0 +1,283 @@
+/**
+ * Travel Time Providers
+ * Distance and time matrices for the route optimizer from an OSRM-compatible server or a
+ * precomputed matrix file. Results are cached per stop pair and hour bucket; any pair no
+ * provider could answer falls back to the optimizer's haversine estimate.
+ */
+
+import { getHourBucket, getCongestionMultiplier } from './route-optimizer.js';
+
+export const TRAVEL_TIME_PROVIDERS = {
+  OSRM: 'osrm',
+  MATRIX_FILE: 'matrix_file',
+  HAVERSINE: 'haversine'
+};
+
+const OSRM_TABLE_CHUNK = 100; // OSRM's default max-table-size
+const OSRM_TIMEOUT_MS = 8000;
+
+/**
+ * Stable key for a coordinate (about 1 m precision)
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {string}
+ */
+export function pointKey(lat, lng) {
+  return `${Number(lat).toFixed(5)},${Number(lng).toFixed(5)}`;
+}
+
+/**
+ * Travel times keyed by stop pair and hour bucket, with per-provider lookup counts for diagnostics
+ */
+export class TravelTimeCache {
+  constructor() {
+    this.entries = new Map();
+    this.errors = [];
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.hits = {};
+    this.misses = 0;
+  }
+
+  key(fromLat, fromLng, toLat, toLng, bucket) {
+    return `${pointKey(fromLat, fromLng)}>${pointKey(toLat, toLng)}@${bucket}`;
+  }
+
+  /**
+   * @returns {{ minutes: number, km: number|null, provider: string }|null}
+   */
+  get(fromLat, fromLng, toLat, toLng, bucket) {
+    const entry = this.entries.get(this.key(fromLat, fromLng, toLat, toLng, bucket));
+    if (!entry) {
+      this.misses += 1;
+      return null;
+    }
+    this.hits[entry.provider] = (this.hits[entry.provider] || 0) + 1;
+    return entry;
+  }
+
+  has(fromLat, fromLng, toLat, toLng, bucket) {
+    return this.entries.has(this.key(fromLat, fromLng, toLat, toLng, bucket));
+  }
+
+  set(fromLat, fromLng, toLat, toLng, bucket, entry) {
+    this.entries.set(this.key(fromLat, fromLng, toLat, toLng, bucket), entry);
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Which provider answered the lookups since the last resetStats()
+   * @returns {Object} { provider, lookupsByProvider, fallbackLookups, errors }
+   */
+  describe() {
+    const ranked = Object.entries(this.hits).sort((a, b) => b[1] - a[1]);
+    return {
+      provider: ranked.length > 0 ? ranked[0][0] : TRAVEL_TIME_PROVIDERS.HAVERSINE,
+      lookupsByProvider: {
+        ...this.hits,
+        ...(this.misses > 0 ? { [TRAVEL_TIME_PROVIDERS.HAVERSINE]: this.misses } : {})
+      },
+      fallbackLookups: this.misses,
+      errors: this.errors
+    };
+  }
+}
+
+// Shared across plans on a page so re-planning the same stops does not refetch
+export const travelTimeCache = new TravelTimeCache();
+
+/**
+ * OSRM-compatible table service (osrm-backend, or anything serving /table/v1)
+ * OSRM has no traffic model, so free-flow durations are scaled by the hour bucket's congestion multiplier.
+ * @param {{ baseUrl: string, profile?: string, fetchImpl?: Function, timeoutMs?: number }} options
+ * @returns {Object} Travel time provider
+ */
+export function createOsrmProvider({ baseUrl, profile = 'driving', fetchImpl = fetch, timeoutMs = OSRM_TIMEOUT_MS }) {
+  const freeFlow = new Map(); // pair key -> { seconds, meters }
+
+  async function fetchTable(sources, destinations) {
+    const coords = [...sources, ...destinations].map(point => `${point.lng},${point.lat}`).join(';');
+    const params = new URLSearchParams({
+      sources: sources.map((_, i) => i).join(';'),
+      destinations: destinations.map((_, i) => sources.length + i).join(';'),
+      annotations: 'duration,distance'
+    });
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetchImpl(`${baseUrl.replace(/\/$/, '')}/table/v1/${profile}/${coords}?${params}`, { signal: controller.signal });
+      if (!response.ok) throw new Error(`OSRM table request failed (${response.status})`);
+      const body = await response.json();
+      if (body.code !== 'Ok') throw new Error(`OSRM table error: ${body.message || body.code}`);
+
+      sources.forEach((from, i) => {
+        destinations.forEach((to, j) => {
+          const seconds = body.durations?.[i]?.[j];
+          if (seconds === null || seconds === undefined) return;
+          freeFlow.set(`${pointKey(from.lat, from.lng)}>${pointKey(to.lat, to.lng)}`, {
+            seconds,
+            meters: body.distances?.[i]?.[j] ?? null
+          });
+        });
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return {
+    name: TRAVEL_TIME_PROVIDERS.OSRM,
+
+    async getMatrix(points, bucket) {
+      const unknown = points.some(from => points.some(to => !freeFlow.has(`${pointKey(from.lat, from.lng)}>${pointKey(to.lat, to.lng)}`)));
+      if (unknown) {
+        for (let s = 0; s < points.length; s += OSRM_TABLE_CHUNK) {
+          for (let d = 0; d < points.length; d += OSRM_TABLE_CHUNK) {
+            await fetchTable(points.slice(s, s + OSRM_TABLE_CHUNK), points.slice(d, d + OSRM_TABLE_CHUNK));
+          }
+        }
+      }
+
+      return points.map(from => points.map(to => {
+        const pair = freeFlow.get(`${pointKey(from.lat, from.lng)}>${pointKey(to.lat, to.lng)}`);
+        if (!pair) return null;
+        return {
+          minutes: Math.round((pair.seconds / 60) * bucket.multiplier),
+          km: pair.meters === null ? null : pair.meters / 1000
+        };
+      }));
+    }
+  };
+}
+
+/**
+ * Precomputed matrix, e.g. exported nightly from a routing service for a territory
+ * Shape: { points: [{ lat, lng }], minutes: [[...]], km?: [[...]], buckets?: { morning: { minutes, km } } }
+ * A bucket-specific matrix is used as-is; otherwise the base minutes are scaled by the bucket's congestion.
+ * Pairs the file does not cover are left to the next provider.
+ * @param {Object} matrix - Parsed matrix file
+ * @returns {Object} Travel time provider
+ */
+export function createMatrixFileProvider(matrix) {
+  if (!Array.isArray(matrix?.points) || !Array.isArray(matrix?.minutes)) {
+    throw new Error('Matrix file needs points and minutes arrays');
+  }
+  const indexByPoint = new Map(matrix.points.map((point, i) => [pointKey(point.lat, point.lng), i]));
+
+  return {
+    name: TRAVEL_TIME_PROVIDERS.MATRIX_FILE,
+
+    async getMatrix(points, bucket) {
+      const bucketMatrix = matrix.buckets?.[bucket.name];
+      const minutes = bucketMatrix?.minutes || matrix.minutes;
+      const km = bucketMatrix?.km || matrix.km;
+      const scale = bucketMatrix ? 1 : bucket.multiplier;
+
+      return points.map(from => points.map(to => {
+        const i = indexByPoint.get(pointKey(from.lat, from.lng));
+        const j = indexByPoint.get(pointKey(to.lat, to.lng));
+        const value = i === undefined || j === undefined ? null : minutes[i]?.[j];
+        if (value === null || value === undefined) return null;
+        return { minutes: Math.round(value * scale), km: km?.[i]?.[j] ?? null };
+      }));
+    }
+  };
+}
+
+/**
+ * Fetch a matrix file and wrap it as a provider
+ * @param {string} url
+ * @param {Function} [fetchImpl]
+ * @returns {Promise<Object>} Travel time provider
+ */
+export async function loadMatrixFileProvider(url, fetchImpl = fetch) {
+  const response = await fetchImpl(url);
+  if (!response.ok) throw new Error(`Failed to load travel time matrix (${response.status})`);
+  return createMatrixFileProvider(await response.json());
+}
+
+/**
+ * Providers configured for this deployment, most specific first
+ * @param {{ ROUTING_MATRIX_URL?: string, ROUTING_OSRM_URL?: string }} [env]
+ * @returns {Promise<Array<Object>>} Empty when none are configured (haversine only)
+ */
+export async function getConfiguredProviders(env = typeof window !== 'undefined' ? window.ENV : undefined) {
+  const providers = [];
+  if (env?.ROUTING_MATRIX_URL) {
+    try {
+      providers.push(await loadMatrixFileProvider(env.ROUTING_MATRIX_URL));
+    } catch (error) {
+      console.warn('[Travel Time] Matrix file unavailable:', error.message);
+    }
+  }
+  if (env?.ROUTING_OSRM_URL) {
+    providers.push(createOsrmProvider({ baseUrl: env.ROUTING_OSRM_URL }));
+  }
+  return providers;
+}
+
+/**
+ * Fill the cache for every pair of points in each hour bucket the shift touches
+ * Providers are tried in order for the pairs still missing; a provider that fails is recorded
+ * in the cache's errors and the next one is tried. Anything left falls back to haversine.
+ * @param {Object} params
+ * @param {Array<{ lat: number, lng: number }>} params.points - Start points and stops
+ * @param {Array<number>} params.hours - Hours of day (0-23) the route may be driven in
+ * @param {Array<Object>} params.providers - Travel time providers
+ * @param {TravelTimeCache} [params.cache]
+ * @param {Object} params.config - Route optimizer config (congestion buckets)
+ * @returns {Promise<TravelTimeCache>}
+ */
+export async function loadTravelTimes({ points, hours, providers, cache = travelTimeCache, config }) {
+  cache.errors = [];
+  if (!providers || providers.length === 0) return cache;
+
+  const unique = Array.from(new Map(
+    points.filter(point => point?.lat && point?.lng).map(point => [pointKey(point.lat, point.lng), { lat: point.lat, lng: point.lng }])
+  ).values());
+  const buckets = Array.from(new Set(hours.map(hour => getHourBucket(hour, config))));
+
+  for (const bucketName of buckets) {
+    const bucket = { name: bucketName, multiplier: getCongestionMultiplier(bucketName, config) };
+
+    for (const provider of providers) {
+      const missing = unique.filter(from => unique.some(to => !cache.has(from.lat, from.lng, to.lat, to.lng, bucketName)));
+      if (missing.length === 0) break;
+
+      try {
+        const matrix = await provider.getMatrix(unique, bucket);
+        unique.forEach((from, i) => {
+          unique.forEach((to, j) => {
+            const cell = matrix[i]?.[j];
+            if (cell && !cache.has(from.lat, from.lng, to.lat, to.lng, bucketName)) {
+              cache.set(from.lat, from.lng, to.lat, to.lng, bucketName, { ...cell, provider: provider.name });
+            }
+          });
+        });
+      } catch (error) {
+        cache.errors.push({ provider: provider.name, bucket: bucketName, message: error.message });
+      }
+    }
+  }
+
+  return cache;
+}
+
+/**
+ * Hours of day a route with these constraints is driven in
+ * @param {{ shiftStartMinutes?: number, shiftEndMinutes?: number }} constraints
+ * @returns {Array<number>}
+ */
+export function getShiftHours(constraints = {}) {
+  const startHour = Math.floor((constraints.shiftStartMinutes ?? 480) / 60);
+  const endHour = Math.floor((constraints.shiftEndMinutes ?? 1080) / 60);
+  const hours = [];
+  for (let hour = startHour; hour <= Math.min(endHour, 23); hour++) hours.push(hour);
+  return hours;
+}
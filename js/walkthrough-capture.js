@@ -0,0 +1,565 @@
+// ============================================
+// Walkthrough Capture
+// ============================================
+// Mobile room-by-room capture for a scheduled quote walkthrough (walkthrough.html?id=<walkthrough id>).
+// Rooms are kept on the device as a draft and saved through the offline queue; photos taken
+// offline wait in IndexedDB. Finishing rolls the rooms up into the measured inputs and
+// creates the final quote.
+// ============================================
+
+import { supabase } from './supabase.js';
+import { toast, showConfirm } from './notifications.js';
+import { escapeHtml } from './escape-html.js';
+import { PhotoCapture } from './photo-capture.js';
+import { offlineQueueDB } from './offline-db.js';
+import { isOnline, syncOfflineQueue } from './offline-sync.js';
+import {
+  ROOM_TYPES,
+  ROOM_FLOORING,
+  FIXTURE_TYPES,
+  validateRoom,
+  rollupWalkthroughRooms
+} from './quote-engine/walkthrough.js';
+import * as walkthroughService from './services/walkthrough-service.js';
+
+const DRAFT_KEY_PREFIX = 'nfg_walkthrough_draft_';
+const MAX_PHOTOS_PER_ROOM = 8;
+
+const photoCapture = new PhotoCapture();
+
+let walkthroughId = null;
+let walkthrough = null;
+let rooms = []; // quote_walkthrough_rooms rows plus _saved (created on the server or queued)
+let finishPending = false;
+let pendingPhotos = []; // { id, walkthroughId, roomId, blob, previewUrl }
+let photoUrls = {}; // storage path -> signed URL
+let editingRoom = null;
+let isFlushing = false;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  await initWalkthroughCapture();
+});
+
+async function initWalkthroughCapture() {
+  walkthroughId = new URLSearchParams(window.location.search).get('id');
+  if (!walkthroughId) {
+    toast.error('Open a walkthrough from its quote', 'No Walkthrough');
+    return;
+  }
+
+  // The session is read from storage, so this works offline
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session) {
+    window.location.href = '/index.html';
+    return;
+  }
+
+  loadDraft();
+  if (isOnline()) {
+    try {
+      await loadFromServer();
+    } catch (error) {
+      console.error('[Walkthrough Capture] Error loading walkthrough:', error);
+      if (!walkthrough) toast.error('Failed to load the walkthrough', 'Error');
+    }
+  }
+
+  pendingPhotos = (await offlineQueueDB.getWalkthroughPhotos(walkthroughId) || [])
+    .map(photo => ({ ...photo, previewUrl: URL.createObjectURL(photo.blob) }));
+
+  attachEventListeners();
+  updateOnlineStatus();
+  render();
+
+  if (isOnline()) await flushOfflineWork();
+}
+
+// ==========================================
+// DRAFT (device copy of the walkthrough)
+// ==========================================
+function loadDraft() {
+  try {
+    const draft = JSON.parse(localStorage.getItem(DRAFT_KEY_PREFIX + walkthroughId) || 'null');
+    if (draft) {
+      walkthrough = draft.walkthrough || null;
+      rooms = draft.rooms || [];
+      finishPending = Boolean(draft.finishPending);
+    }
+  } catch (error) {
+    console.warn('[Walkthrough Capture] Ignoring unreadable draft:', error);
+  }
+}
+
+function saveDraft() {
+  localStorage.setItem(DRAFT_KEY_PREFIX + walkthroughId, JSON.stringify({ walkthrough, rooms, finishPending }));
+}
+
+function clearDraft() {
+  localStorage.removeItem(DRAFT_KEY_PREFIX + walkthroughId);
+}
+
+// The device copy wins for rooms it knows about: its edits may still be in the queue
+async function loadFromServer() {
+  const [serverWalkthrough, serverRooms] = await Promise.all([
+    walkthroughService.loadWalkthrough(walkthroughId),
+    walkthroughService.loadWalkthroughRooms(walkthroughId)
+  ]);
+  if (!serverWalkthrough) throw new Error('Walkthrough not found');
+
+  walkthrough = serverWalkthrough;
+  const localIds = new Set(rooms.map(room => room.id));
+  rooms = [
+    ...rooms,
+    ...serverRooms.filter(room => !localIds.has(room.id)).map(room => ({ ...room, _saved: true }))
+  ].sort((a, b) => (a.display_order || 0) - (b.display_order || 0));
+  saveDraft();
+
+  const paths = rooms.flatMap(room => room.photo_urls || []);
+  photoUrls = await walkthroughService.getWalkthroughPhotoUrls(paths).catch(() => ({}));
+}
+
+// ==========================================
+// SYNC
+// ==========================================
+// Push queued room changes, then photos, then a finish that was requested offline
+async function flushOfflineWork() {
+  if (isFlushing || !isOnline()) return;
+  isFlushing = true;
+  renderSyncStatus();
+
+  try {
+    await syncOfflineQueue();
+    await uploadPendingPhotos();
+    if (finishPending) await finishWalkthrough();
+  } catch (error) {
+    console.error('[Walkthrough Capture] Sync failed:', error);
+  } finally {
+    isFlushing = false;
+    renderSyncStatus();
+  }
+}
+
+async function uploadPendingPhotos() {
+  for (const photo of [...pendingPhotos]) {
+    const room = rooms.find(item => item.id === photo.roomId);
+    if (!room) {
+      await discardPendingPhoto(photo);
+      continue;
+    }
+
+    try {
+      const path = await walkthroughService.uploadWalkthroughPhoto(walkthroughId, room.id, photo.id, photo.blob);
+      if (!(room.photo_urls || []).includes(path)) {
+        room.photo_urls = [...(room.photo_urls || []), path];
+        await walkthroughService.saveWalkthroughRoom(room, false);
+      }
+      photoUrls[path] = photo.previewUrl;
+      pendingPhotos = pendingPhotos.filter(item => item.id !== photo.id);
+      await offlineQueueDB.deleteWalkthroughPhoto(photo.id);
+      saveDraft();
+    } catch (error) {
+      // Left in IndexedDB for the next reconnect
+      console.error('[Walkthrough Capture] Photo upload failed:', error);
+    }
+  }
+  render();
+}
+
+async function discardPendingPhoto(photo) {
+  pendingPhotos = pendingPhotos.filter(item => item.id !== photo.id);
+  await offlineQueueDB.deleteWalkthroughPhoto(photo.id);
+}
+
+// ==========================================
+// ROOMS
+// ==========================================
+function openRoomModal(room = null) {
+  editingRoom = room
+    ? { ...room, fixtures: { ...(room.fixtures || {}) } }
+    : {
+      id: crypto.randomUUID(),
+      walkthrough_id: walkthroughId,
+      name: '',
+      zone: rooms.length > 0 ? rooms[rooms.length - 1].zone || '' : '',
+      room_type: 'office',
+      sqft: '',
+      flooring: 'hard',
+      fixtures: {},
+      access_notes: '',
+      photo_urls: [],
+      display_order: rooms.length,
+      _saved: false
+    };
+
+  setValue('room-name', editingRoom.name);
+  setValue('room-type', editingRoom.room_type);
+  setValue('room-zone', editingRoom.zone || '');
+  setValue('room-sqft', editingRoom.sqft ?? '');
+  setValue('room-flooring', editingRoom.flooring || '');
+  setValue('room-access-notes', editingRoom.access_notes || '');
+  Object.keys(FIXTURE_TYPES).forEach(key => setValue(`room-fixture-${key}`, editingRoom.fixtures[key] || ''));
+
+  document.getElementById('room-modal-title').textContent = room ? 'Edit Room' : 'Add Room';
+  document.getElementById('room-delete-btn')?.classList.toggle('hidden', !room);
+  document.getElementById('room-zone-options').innerHTML = [...new Set(rooms.map(item => item.zone).filter(Boolean))]
+    .map(zone => `<option value="${escapeHtml(zone)}"></option>`)
+    .join('');
+
+  renderRoomPhotos();
+  document.getElementById('room-modal')?.classList.remove('hidden');
+}
+
+function closeRoomModal() {
+  editingRoom = null;
+  document.getElementById('room-modal')?.classList.add('hidden');
+}
+
+function readRoomForm() {
+  const fixtures = {};
+  Object.keys(FIXTURE_TYPES).forEach(key => {
+    const value = getValue(`room-fixture-${key}`);
+    if (value !== '' && Number(value) !== 0) fixtures[key] = Number(value);
+  });
+
+  return {
+    ...editingRoom,
+    name: getValue('room-name'),
+    room_type: getValue('room-type'),
+    zone: getValue('room-zone'),
+    sqft: getValue('room-sqft'),
+    flooring: getValue('room-flooring'),
+    access_notes: getValue('room-access-notes'),
+    fixtures
+  };
+}
+
+async function saveRoom() {
+  const room = readRoomForm();
+  const errors = validateRoom(room);
+  if (errors.length > 0) {
+    toast.error(errors[0], 'Check the room');
+    return false;
+  }
+
+  room.sqft = room.sqft === '' ? null : Number(room.sqft);
+  const isNew = !room._saved;
+  try {
+    await walkthroughService.saveWalkthroughRoom(room, isNew);
+  } catch (error) {
+    console.error('[Walkthrough Capture] Error saving room:', error);
+    toast.error('Failed to save the room', 'Error');
+    return false;
+  }
+
+  room._saved = true;
+  const index = rooms.findIndex(item => item.id === room.id);
+  if (index >= 0) rooms[index] = room;
+  else rooms.push(room);
+  saveDraft();
+  return true;
+}
+
+async function deleteRoom(room) {
+  const confirmed = await showConfirm(`Delete "${room.name}" and its photos?`, 'Delete Room');
+  if (!confirmed) return;
+
+  try {
+    if (room._saved) await walkthroughService.deleteWalkthroughRoom(room.id);
+  } catch (error) {
+    console.error('[Walkthrough Capture] Error deleting room:', error);
+    toast.error('Failed to delete the room', 'Error');
+    return;
+  }
+
+  for (const photo of pendingPhotos.filter(item => item.roomId === room.id)) {
+    await discardPendingPhoto(photo);
+  }
+  rooms = rooms.filter(item => item.id !== room.id);
+  saveDraft();
+  closeRoomModal();
+  render();
+}
+
+// Photos are compressed and held in IndexedDB until they upload
+async function addRoomPhotos(files) {
+  if (!editingRoom) return;
+
+  // A photo belongs to a saved room, so save the room first
+  if (!editingRoom._saved) {
+    const saved = await saveRoom();
+    if (!saved) return;
+    editingRoom = { ...rooms.find(item => item.id === editingRoom.id) };
+    document.getElementById('room-delete-btn')?.classList.remove('hidden');
+  }
+
+  const existing = (editingRoom.photo_urls || []).length + pendingPhotos.filter(photo => photo.roomId === editingRoom.id).length;
+  const room = editingRoom;
+  const accepted = Array.from(files).slice(0, Math.max(0, MAX_PHOTOS_PER_ROOM - existing));
+  if (accepted.length < files.length) {
+    toast.warning(`Up to ${MAX_PHOTOS_PER_ROOM} photos per room`, 'Photo Limit');
+  }
+
+  for (const file of accepted) {
+    try {
+      const blob = await photoCapture.compressImage(file, 1600, 0.75);
+      const photo = { id: crypto.randomUUID(), walkthroughId, roomId: room.id, blob, created_at: new Date().toISOString() };
+      await offlineQueueDB.saveWalkthroughPhoto(photo);
+      pendingPhotos.push({ ...photo, previewUrl: URL.createObjectURL(blob) });
+    } catch (error) {
+      console.error('[Walkthrough Capture] Error saving photo:', error);
+      toast.error('Failed to save the photo', 'Error');
+    }
+  }
+
+  renderRoomPhotos();
+  render();
+  if (isOnline()) await uploadPendingPhotos();
+}
+
+// ==========================================
+// FINISH
+// ==========================================
+async function finishWalkthrough() {
+  if (rooms.length === 0) {
+    toast.error('Add at least one room before finishing', 'No Rooms');
+    return;
+  }
+  if (walkthrough?.status === 'completed' && !finishPending) {
+    toast.info('This walkthrough is already completed', 'Walkthrough');
+    return;
+  }
+
+  if (!isOnline()) {
+    finishPending = true;
+    saveDraft();
+    render();
+    toast.info('The walkthrough will finish and the final quote will be created when you reconnect', 'Offline');
+    return;
+  }
+
+  const button = /** @type {HTMLButtonElement|null} */ (document.getElementById('finish-walkthrough-btn'));
+  if (button) button.disabled = true;
+
+  try {
+    // Every room and photo has to be on the server before the roll-up is final
+    if (!isFlushing) await syncOfflineQueue();
+    if (pendingPhotos.length > 0) await uploadPendingPhotos();
+
+    const measured = rollupWalkthroughRooms(rooms);
+    const quotesModule = await import('./quotes.js');
+    await quotesModule.updateWalkthroughStatus(walkthroughId, 'completed', measured);
+    const finalRevision = await quotesModule.createFinalQuoteFromWalkthrough(walkthrough.quote_id);
+
+    finishPending = false;
+    clearDraft();
+    walkthrough = { ...walkthrough, status: 'completed', measured_inputs: measured };
+    showDone(finalRevision);
+  } catch (error) {
+    console.error('[Walkthrough Capture] Error finishing walkthrough:', error);
+    toast.error('Failed to finish the walkthrough. Your rooms are still saved on this device.', 'Error');
+    if (finishPending) saveDraft();
+  } finally {
+    if (button) button.disabled = false;
+    render();
+  }
+}
+
+function showDone(finalRevision) {
+  const done = document.getElementById('walkthrough-done');
+  if (!done) return;
+  done.classList.remove('hidden');
+  done.innerHTML = `
+    <div class="font-semibold mb-1">Walkthrough completed</div>
+    <p class="text-sm">Final quote revision ${escapeHtml(String(finalRevision?.revision_number ?? ''))} was created from ${rooms.length} room${rooms.length === 1 ? '' : 's'}. Review and send it from the quote in Sales.</p>
+    <a href="./sales.html" class="inline-block mt-3 px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-medium">Back to Sales</a>
+  `;
+}
+
+// ==========================================
+// RENDERING
+// ==========================================
+function render() {
+  const siteName = document.getElementById('walkthrough-site-name');
+  if (siteName && walkthrough) siteName.textContent = walkthrough.site_name || 'Site Walkthrough';
+  const siteAddress = document.getElementById('walkthrough-site-address');
+  if (siteAddress && walkthrough) siteAddress.textContent = walkthrough.location_address || walkthrough.site_address || '';
+
+  renderSummary();
+  renderRooms();
+  renderSyncStatus();
+
+  const finishBtn = document.getElementById('finish-walkthrough-btn');
+  if (finishBtn) {
+    finishBtn.textContent = finishPending
+      ? 'Finishing when back online…'
+      : walkthrough?.status === 'completed' ? 'Walkthrough Completed' : 'Finish Walkthrough & Create Final Quote';
+  }
+
+  if (window.lucide) window.lucide.createIcons();
+}
+
+function renderSummary() {
+  const summary = document.getElementById('walkthrough-summary');
+  if (!summary) return;
+
+  const rollup = rollupWalkthroughRooms(rooms);
+  const flooringLabels = { mostly_hard: 'Mostly hard', mostly_carpet: 'Mostly carpet', mixed: 'Mixed' };
+  const tiles = [
+    ['Sq ft', rollup.sqft.toLocaleString('en-US')],
+    ['Rooms', rollup.room_count],
+    ['Washrooms', rollup.washrooms],
+    ['Kitchens', rollup.kitchens],
+    ['Flooring', flooringLabels[rollup.flooring] || '-'],
+    ['Photos', rollup.photo_count + pendingPhotos.length]
+  ];
+
+  summary.innerHTML = tiles.map(([label, value]) => `
+    <div class="bg-white dark:bg-gray-800 border border-nfgray dark:border-gray-700 rounded-xl p-3">
+      <div class="text-lg font-semibold text-gray-900 dark:text-gray-100">${escapeHtml(String(value))}</div>
+      <div class="text-xs text-gray-500 dark:text-gray-400">${label}</div>
+    </div>
+  `).join('');
+}
+
+function renderRooms() {
+  const list = document.getElementById('room-list');
+  if (!list) return;
+
+  if (rooms.length === 0) {
+    list.innerHTML = '<p class="text-sm text-gray-500 dark:text-gray-400 text-center py-8">No rooms yet. Add each room or zone as you walk the site.</p>';
+    return;
+  }
+
+  // Grouped by zone, in walk order
+  const zones = [...new Set(rooms.map(room => room.zone || ''))];
+  list.innerHTML = zones.map(zone => `
+    ${zone ? `<div class="text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 pt-2">${escapeHtml(zone)}</div>` : ''}
+    ${rooms.filter(room => (room.zone || '') === zone).map(room => {
+      const photoCount = (room.photo_urls || []).length + pendingPhotos.filter(photo => photo.roomId === room.id).length;
+      const fixtureCount = Object.values(room.fixtures || {}).reduce((sum, count) => sum + (Number(count) || 0), 0);
+      return `
+        <button type="button" class="room-card w-full text-left bg-white dark:bg-gray-800 border border-nfgray dark:border-gray-700 rounded-xl p-3" data-id="${escapeHtml(room.id)}">
+          <div class="flex items-center justify-between gap-2">
+            <span class="font-medium text-gray-900 dark:text-gray-100 truncate">${escapeHtml(room.name)}</span>
+            <span class="text-sm text-gray-600 dark:text-gray-300 whitespace-nowrap">${room.sqft ? `${Number(room.sqft).toLocaleString('en-US')} sq ft` : 'No sq ft'}</span>
+          </div>
+          <div class="text-xs text-gray-500 dark:text-gray-400 mt-1">
+            ${escapeHtml(ROOM_TYPES[room.room_type] || room.room_type)}
+            ${room.flooring ? ` &middot; ${escapeHtml(ROOM_FLOORING[room.flooring] || room.flooring)}` : ''}
+            ${fixtureCount > 0 ? ` &middot; ${fixtureCount} fixture${fixtureCount === 1 ? '' : 's'}` : ''}
+            ${photoCount > 0 ? ` &middot; ${photoCount} photo${photoCount === 1 ? '' : 's'}` : ''}
+          </div>
+          ${room.access_notes ? `<div class="text-xs text-amber-700 dark:text-amber-400 mt-1">Access: ${escapeHtml(room.access_notes)}</div>` : ''}
+        </button>
+      `;
+    }).join('')}
+  `).join('');
+
+  list.querySelectorAll('.room-card').forEach(card => {
+    card.addEventListener('click', () => {
+      const room = rooms.find(item => item.id === /** @type {HTMLElement} */ (card).dataset.id);
+      if (room) openRoomModal(room);
+    });
+  });
+}
+
+function renderRoomPhotos() {
+  const container = document.getElementById('room-photos');
+  if (!container || !editingRoom) return;
+
+  const stored = (editingRoom.photo_urls || []).map(path => photoUrls[path]).filter(Boolean);
+  const waiting = pendingPhotos.filter(photo => photo.roomId === editingRoom.id).map(photo => photo.previewUrl);
+  container.innerHTML = [
+    ...stored.map(url => `<img src="${escapeHtml(url)}" alt="" class="w-full aspect-square object-cover rounded-lg">`),
+    ...waiting.map(url => `
+      <div class="relative">
+        <img src="${escapeHtml(url)}" alt="" class="w-full aspect-square object-cover rounded-lg opacity-70">
+        <span class="absolute bottom-1 left-1 text-[10px] bg-black/60 text-white px-1 rounded">Waiting</span>
+      </div>
+    `)
+  ].join('') || '<p class="col-span-4 text-xs text-gray-500 dark:text-gray-400">No photos yet.</p>';
+}
+
+function renderSyncStatus() {
+  const status = document.getElementById('walkthrough-sync-status');
+  if (!status) return;
+
+  if (isFlushing) status.textContent = 'Syncing…';
+  else if (pendingPhotos.length > 0) status.textContent = `${pendingPhotos.length} photo${pendingPhotos.length === 1 ? '' : 's'} waiting`;
+  else status.textContent = isOnline() ? 'Saved' : 'Saved on device';
+}
+
+function updateOnlineStatus() {
+  document.getElementById('offline-banner')?.classList.toggle('hidden', isOnline());
+  renderSyncStatus();
+}
+
+// ==========================================
+// EVENTS
+// ==========================================
+function attachEventListeners() {
+  fillSelect('room-type', Object.entries(ROOM_TYPES));
+  fillSelect('room-flooring', [['', 'Not recorded'], ...Object.entries(ROOM_FLOORING)]);
+
+  const fixtures = document.getElementById('room-fixtures');
+  if (fixtures) {
+    fixtures.innerHTML = Object.entries(FIXTURE_TYPES).map(([key, label]) => `
+      <label class="text-xs text-gray-600 dark:text-gray-300">
+        ${label}
+        <input type="number" id="room-fixture-${key}" min="0" step="1" inputmode="numeric" class="mt-1 w-full border border-nfgray dark:border-gray-600 rounded-lg px-2 py-1.5 bg-white dark:bg-gray-700 text-sm">
+      </label>
+    `).join('');
+  }
+
+  document.getElementById('add-room-btn')?.addEventListener('click', () => openRoomModal());
+  document.getElementById('room-modal-close')?.addEventListener('click', closeRoomModal);
+  document.getElementById('room-delete-btn')?.addEventListener('click', () => {
+    const room = rooms.find(item => item.id === editingRoom?.id);
+    if (room) deleteRoom(room);
+  });
+
+  document.getElementById('room-form')?.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    if (await saveRoom()) {
+      closeRoomModal();
+      render();
+    }
+  });
+
+  document.getElementById('room-photo-input')?.addEventListener('change', async (event) => {
+    const input = /** @type {HTMLInputElement} */ (event.target);
+    if (input.files?.length) await addRoomPhotos(input.files);
+    input.value = '';
+  });
+
+  document.getElementById('finish-walkthrough-btn')?.addEventListener('click', async () => {
+    const rollup = rollupWalkthroughRooms(rooms);
+    const confirmed = await showConfirm(
+      `Finish with ${rollup.room_count} room${rollup.room_count === 1 ? '' : 's'} (${rollup.sqft.toLocaleString('en-US')} sq ft) and create the final quote?`,
+      'Finish Walkthrough'
+    );
+    if (confirmed) await finishWalkthrough();
+  });
+
+  window.addEventListener('online', async () => {
+    updateOnlineStatus();
+    await flushOfflineWork();
+  });
+  window.addEventListener('offline', updateOnlineStatus);
+}
+
+function fillSelect(id, options) {
+  const select = document.getElementById(id);
+  if (!select) return;
+  select.innerHTML = options.map(([value, label]) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`).join('');
+}
+
+function getValue(id) {
+  const input = /** @type {HTMLInputElement|null} */ (document.getElementById(id));
+  return input ? input.value.trim() : '';
+}
+
+function setValue(id, value) {
+  const input = /** @type {HTMLInputElement|null} */ (document.getElementById(id));
+  if (input) input.value = value === null || value === undefined ? '' : String(value);
+}
@@ -0,0 +1,134 @@
+// Pricing simulator - compare two pricebook versions across a batch of quote inputs
+// Run with: npm run simulate:pricing -- --csv scenarios.csv --base 3 --compare 4
+//
+// Scenario source (pick one):
+//   --csv <file>       CSV with a header row of calculator inputs (service_type, sqft_estimate, ...)
+//   --contracts        Stored inputs of every active service agreement
+//
+// Pricebooks:
+//   --base <v|file>    Version number (0 = built-in) or a JSON file holding a pricebook config
+//   --compare <v|file>
+//   --company <id>     Company whose pricebook versions to load (needed for version numbers > 0)
+//
+// Output:
+//   --out <file>       Also write the per-row comparison as CSV
+//
+// --contracts and version numbers > 0 read from Supabase: set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY.
+
+import { readFileSync, writeFileSync } from 'node:fs'
+import { createClient } from '@supabase/supabase-js'
+import { getBuiltinPricebook, hydratePricebook } from './js/quote-engine/pricebook.js'
+import { contractScenarios, parseScenarioCsv, simulatePricing, simulationToCsv } from './js/quote-engine/simulator.js'
+
+function parseArgs(argv) {
+  const args = {}
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i]
+    if (!flag.startsWith('--')) continue
+    const next = argv[i + 1]
+    if (next === undefined || next.startsWith('--')) {
+      args[flag.slice(2)] = true
+    } else {
+      args[flag.slice(2)] = next
+      i++
+    }
+  }
+  return args
+}
+
+let client = null
+function getClient() {
+  if (client) return client
+  const url = process.env.SUPABASE_URL
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY
+  if (!url || !key) throw new Error('Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY to read from Supabase')
+  client = createClient(url, key, { auth: { persistSession: false } })
+  return client
+}
+
+async function loadPricebook(value, companyId) {
+  if (value === undefined || value === true) throw new Error('--base and --compare are required')
+
+  if (String(value).endsWith('.json')) {
+    const json = JSON.parse(readFileSync(value, 'utf8'))
+    // Accept either an exported quote_pricebooks row or a bare config
+    return hydratePricebook(json.config ? json : { version: value, status: 'draft', config: json })
+  }
+
+  const version = Number(value)
+  if (!Number.isInteger(version)) throw new Error(`Not a pricebook version or .json file: ${value}`)
+  if (version === 0) return getBuiltinPricebook()
+  if (!companyId) throw new Error('--company is required to load pricebook versions from Supabase')
+
+  const { data, error } = await getClient()
+    .from('quote_pricebooks')
+    .select('*')
+    .eq('company_id', companyId)
+    .eq('version', version)
+    .single()
+  if (error) throw error
+  return hydratePricebook(data)
+}
+
+async function loadContracts() {
+  const { data: agreements, error } = await getClient()
+    .from('service_agreements')
+    .select('id, quote_id, revision_number, sites(name)')
+    .eq('status', 'active')
+    .not('quote_id', 'is', null)
+  if (error) throw error
+  if (!agreements?.length) return { scenarios: [], skipped: 0 }
+
+  const { data: revisions, error: revisionsError } = await getClient()
+    .from('quote_revisions')
+    .select('quote_id, revision_number, quote_calculation_inputs')
+    .in('quote_id', [...new Set(agreements.map(agreement => agreement.quote_id))])
+  if (revisionsError) throw revisionsError
+
+  return contractScenarios(
+    agreements.map(({ sites, ...agreement }) => ({ ...agreement, site_name: sites?.name || null })),
+    revisions
+  )
+}
+
+const money = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`
+const pct = (ratio) => `${(ratio * 100).toFixed(1)}%`
+const versionLabel = (version) => typeof version === 'number' ? `v${version}` : version
+
+function printSummary(summary, skipped) {
+  console.log(`\nPricebook ${versionLabel(summary.base_version)} → ${versionLabel(summary.compare_version)}`)
+  console.log(`  Scenarios:              ${summary.scenarios}${skipped ? ` (${skipped} contracts skipped, no stored inputs)` : ''}`)
+  console.log(`  Priced under both:      ${summary.priced}`)
+  console.log(`  Errors:                 ${summary.errors}`)
+  console.log(`  Up / down / unchanged:  ${summary.increased} / ${summary.decreased} / ${summary.unchanged}`)
+  console.log(`  Average change:         ${money(summary.average_change)} (${pct(summary.average_change_pct)})`)
+  console.log(`  Monthly total:          ${money(summary.base_monthly_total)} → ${money(summary.compare_monthly_total)}`)
+  console.log(`  Walkthrough required:   ${summary.walkthrough_base} → ${summary.walkthrough_compare} (+${summary.newly_walkthrough} / -${summary.no_longer_walkthrough})`)
+  console.log(`  Under minimum monthly:  ${summary.below_minimum_base} → ${summary.below_minimum_compare} (+${summary.newly_below_minimum})\n`)
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+  if (!args.csv === !args.contracts) {
+    throw new Error('Pass exactly one of --csv <file> or --contracts')
+  }
+
+  const source = args.csv
+    ? { scenarios: parseScenarioCsv(readFileSync(args.csv, 'utf8')), skipped: 0 }
+    : await loadContracts()
+  const base = await loadPricebook(args.base, args.company)
+  const compare = await loadPricebook(args.compare, args.company)
+
+  const { rows, summary } = simulatePricing(source.scenarios, base, compare)
+  printSummary(summary, source.skipped)
+
+  if (args.out && args.out !== true) {
+    writeFileSync(args.out, simulationToCsv(rows))
+    console.log(`Wrote ${rows.length} rows to ${args.out}\n`)
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`)
+  process.exit(1)
+})
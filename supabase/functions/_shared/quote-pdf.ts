@@ -0,0 +1,227 @@
+/**
+ * Shared PDF helpers for quote documents
+ * Branding, page layout and storage helpers used by generate-quote-pdf and sign-quote
+ */
+
+import { rgb } from 'https://esm.sh/pdf-lib@1.17.1'
+import type { PDFDocument, PDFFont, PDFPage, RGB } from 'https://esm.sh/pdf-lib@1.17.1'
+
+export const QUOTE_PDF_BUCKET = 'quote-pdfs'
+export const SIGNED_URL_TTL_SECONDS = 60 * 10
+
+export const BRAND = {
+  name: 'Northern Facilities Group Inc',
+  phone: '855-664-1144',
+  email: 'info@northernfacilitiesgroup.ca',
+  website: 'www.northernfacilitiesgroup.ca',
+}
+
+export const COLORS = {
+  brand: rgb(13 / 255, 71 / 255, 161 / 255), // #0D47A1
+  text: rgb(0.12, 0.16, 0.22),
+  muted: rgb(0.42, 0.45, 0.5),
+  rule: rgb(0.85, 0.87, 0.9),
+  shade: rgb(0.95, 0.96, 0.98),
+  white: rgb(1, 1, 1),
+}
+
+export const PAGE_WIDTH = 612 // US Letter
+export const PAGE_HEIGHT = 792
+export const MARGIN = 50
+export const HEADER_HEIGHT = 70
+export const FOOTER_HEIGHT = 40
+export const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2
+
+/**
+ * Signed download URL for a revision's PDF. Once a revision is signed the
+ * signed copy (locked PDF + signing certificate) is served instead.
+ */
+export async function buildPdfResponse(supabase: any, revision: any) {
+  const path = revision.signed_pdf_url || revision.pdf_url
+  const { data, error } = await supabase.storage
+    .from(QUOTE_PDF_BUCKET)
+    .createSignedUrl(path, SIGNED_URL_TTL_SECONDS, {
+      download: `quote-${shortQuoteNumber(revision.quote_id)}-r${revision.revision_number}.pdf`,
+    })
+  if (error) throw error
+
+  return {
+    url: data.signedUrl,
+    path,
+    sha256: revision.signed_pdf_url ? revision.signed_pdf_sha256 : revision.pdf_sha256,
+    generated_at: revision.pdf_generated_at,
+    locked: !!revision.pdf_locked_at,
+    signed: !!revision.signed_pdf_url,
+  }
+}
+
+export class PdfWriter {
+  doc: PDFDocument
+  font: PDFFont
+  bold: PDFFont
+  page!: PDFPage
+  y = 0
+
+  constructor(doc: PDFDocument, font: PDFFont, bold: PDFFont) {
+    this.doc = doc
+    this.font = font
+    this.bold = bold
+    this.addPage()
+  }
+
+  addPage() {
+    this.page = this.doc.addPage([PAGE_WIDTH, PAGE_HEIGHT])
+    drawHeader(this.page, this.font, this.bold)
+    this.y = PAGE_HEIGHT - HEADER_HEIGHT - 30
+  }
+
+  ensureSpace(height: number) {
+    if (this.y - height < MARGIN + FOOTER_HEIGHT) {
+      this.addPage()
+    }
+  }
+
+  text(value: string, options: { x?: number; size?: number; bold?: boolean; color?: RGB } = {}) {
+    const size = options.size ?? 10
+    this.page.drawText(sanitize(value), {
+      x: options.x ?? MARGIN,
+      y: this.y,
+      size,
+      font: options.bold ? this.bold : this.font,
+      color: options.color ?? COLORS.text,
+    })
+  }
+
+  textRight(value: string, right: number, options: { size?: number; bold?: boolean; color?: RGB } = {}) {
+    const size = options.size ?? 10
+    const font = options.bold ? this.bold : this.font
+    const width = font.widthOfTextAtSize(sanitize(value), size)
+    this.text(value, { ...options, x: right - width })
+  }
+
+  paragraph(value: string, options: { x?: number; width?: number; size?: number; bold?: boolean; color?: RGB } = {}) {
+    const size = options.size ?? 10
+    const lineHeight = size * 1.4
+    const lines = wrapText(value, options.bold ? this.bold : this.font, size, options.width ?? CONTENT_WIDTH)
+    for (const line of lines) {
+      this.ensureSpace(lineHeight)
+      this.text(line, options)
+      this.y -= lineHeight
+    }
+  }
+
+  heading(value: string) {
+    this.ensureSpace(40)
+    this.y -= 8
+    this.text(value.toUpperCase(), { size: 10, bold: true, color: COLORS.brand })
+    this.y -= 6
+    this.rule()
+    this.y -= 14
+  }
+
+  rule(color: RGB = COLORS.rule) {
+    this.page.drawLine({
+      start: { x: MARGIN, y: this.y },
+      end: { x: PAGE_WIDTH - MARGIN, y: this.y },
+      thickness: 0.75,
+      color,
+    })
+  }
+}
+
+export function drawHeader(page: PDFPage, font: PDFFont, bold: PDFFont) {
+  page.drawRectangle({
+    x: 0,
+    y: PAGE_HEIGHT - HEADER_HEIGHT,
+    width: PAGE_WIDTH,
+    height: HEADER_HEIGHT,
+    color: COLORS.brand,
+  })
+  page.drawText(BRAND.name, {
+    x: MARGIN,
+    y: PAGE_HEIGHT - 40,
+    size: 16,
+    font: bold,
+    color: COLORS.white,
+  })
+
+  const contactLines = [BRAND.phone, BRAND.email, BRAND.website]
+  contactLines.forEach((line, index) => {
+    const width = font.widthOfTextAtSize(line, 8)
+    page.drawText(line, {
+      x: PAGE_WIDTH - MARGIN - width,
+      y: PAGE_HEIGHT - 26 - index * 11,
+      size: 8,
+      font,
+      color: COLORS.white,
+    })
+  })
+}
+
+export function drawFooters(doc: PDFDocument, font: PDFFont, label: string) {
+  const pages = doc.getPages()
+  pages.forEach((page, index) => {
+    page.drawLine({
+      start: { x: MARGIN, y: MARGIN + 12 },
+      end: { x: PAGE_WIDTH - MARGIN, y: MARGIN + 12 },
+      thickness: 0.5,
+      color: COLORS.rule,
+    })
+    page.drawText(sanitize(label), { x: MARGIN, y: MARGIN, size: 8, font, color: COLORS.muted })
+    const pageLabel = `Page ${index + 1} of ${pages.length}`
+    const width = font.widthOfTextAtSize(pageLabel, 8)
+    page.drawText(pageLabel, { x: PAGE_WIDTH - MARGIN - width, y: MARGIN, size: 8, font, color: COLORS.muted })
+  })
+}
+
+export function shortQuoteNumber(quoteId: string): string {
+  return String(quoteId).slice(0, 8).toUpperCase()
+}
+
+/**
+ * Standard PDF fonts only cover WinAnsi; drop anything they cannot encode
+ */
+export function sanitize(value: string): string {
+  return String(value ?? '')
+    .replace(/[\r\n\t]+/g, ' ')
+    .replace(/[^\x20-\x7E\xA0-\xFF–—‘’“”•€]/g, '')
+}
+
+export function wrapText(value: string, font: PDFFont, size: number, maxWidth: number): string[] {
+  const lines: string[] = []
+  for (const paragraph of String(value ?? '').split(/\r?\n/)) {
+    const words = sanitize(paragraph).split(' ').filter(Boolean)
+    if (words.length === 0) {
+      lines.push('')
+      continue
+    }
+    let current = ''
+    for (const word of words) {
+      const candidate = current ? `${current} ${word}` : word
+      if (font.widthOfTextAtSize(candidate, size) <= maxWidth || !current) {
+        current = candidate
+      } else {
+        lines.push(current)
+        current = word
+      }
+    }
+    lines.push(current)
+  }
+  return lines
+}
+
+export function formatCurrency(value: unknown): string {
+  const amount = Number(value) || 0
+  return `$${amount.toLocaleString('en-CA', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+}
+
+export function formatDate(value: string): string {
+  return new Date(value).toLocaleDateString('en-CA', { year: 'numeric', month: 'long', day: 'numeric' })
+}
+
+export async function sha256Hex(bytes: Uint8Array): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', bytes)
+  return Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('')
+}
@@ -0,0 +1,346 @@
+/**
+ * Quote provisioning for edge functions
+ * Server-side port of js/quote-provisioning.js and the provisioning in
+ * js/services/quote-provisioning-service.js: turns an accepted revision into the
+ * site, the service agreement, the first week of recurring jobs and their tasks.
+ * Keep the plan in step with the browser copy, which staff use from the quote detail.
+ */
+
+const AGREEMENT_STATUS_PENDING_REVIEW = 'pending_review'
+
+const AGREEMENT_JOB_COLUMNS = 'id, title, scheduled_date, status, assigned_worker_id, is_recurring_template'
+
+// Day offsets from the start date for each visit in the first week
+const WEEKLY_VISIT_OFFSETS: Record<number, number[]> = {
+  1: [0],
+  2: [0, 3],
+  3: [0, 2, 4],
+  4: [0, 1, 3, 4],
+  5: [0, 1, 2, 3, 4],
+  6: [0, 1, 2, 3, 4, 5],
+  7: [0, 1, 2, 3, 4, 5, 6],
+}
+
+const HEALTHCARE_SERVICE_TYPES = ['medical_clinic', 'dental', 'physio_chiro', 'optical']
+
+function recurrenceForFrequency(frequencyPerMonth: unknown) {
+  const frequency = Number(frequencyPerMonth) || 4
+  if (frequency <= 1) return { recurrence_pattern: 'monthly', visits_per_week: 1 }
+  if (frequency <= 2) return { recurrence_pattern: 'biweekly', visits_per_week: 1 }
+  return {
+    recurrence_pattern: 'weekly',
+    visits_per_week: Math.min(7, Math.max(1, Math.round(frequency / 4.33))),
+  }
+}
+
+function resolveTierOption(tierOptions: any, tierKey: string | null) {
+  if (!Array.isArray(tierOptions) || tierOptions.length === 0) return null
+  return tierOptions.find((tier: any) => tier.key === tierKey) ||
+    tierOptions.find((tier: any) => tier.recommended) ||
+    tierOptions[0]
+}
+
+function plural(count: number, noun: string): string {
+  return `${count} ${noun}${count > 1 ? 's' : ''}`
+}
+
+// Same bullets as getScopeBullets in js/quote-engine/calculator.js
+function getScopeBullets(serviceType: string, inputs: any = {}): string[] {
+  const bullets: string[] = []
+  const numWashrooms = inputs.num_washrooms || 0
+
+  if (HEALTHCARE_SERVICE_TYPES.includes(serviceType)) {
+    bullets.push('Full clean and sanitization', 'High-touch disinfection on all surfaces')
+    if ((inputs.num_treatment_rooms || 0) > 0) bullets.push(plural(inputs.num_treatment_rooms, 'treatment room'))
+    if (inputs.has_reception) bullets.push('Reception area')
+    if (numWashrooms > 0) bullets.push(plural(numWashrooms, 'washroom'))
+    if (inputs.has_kitchen) bullets.push('Staff kitchen/break area')
+    bullets.push('Floor care and maintenance')
+  } else if (serviceType === 'commercial_office') {
+    bullets.push('General cleaning', 'High-touch point sanitization')
+    if (inputs.has_kitchen) bullets.push('Kitchen/break area')
+    if (numWashrooms > 0) bullets.push(plural(numWashrooms, 'washroom'))
+    bullets.push('Floor care')
+  } else if (serviceType === 'industrial') {
+    bullets.push('Industrial cleaning services', 'High-touch point sanitization')
+    if (numWashrooms > 0) bullets.push(plural(numWashrooms, 'washroom'))
+    bullets.push('Floor care')
+  } else if (serviceType === 'residential_common_area') {
+    bullets.push('Common area cleaning', 'High-touch point sanitization')
+    if (numWashrooms > 0) bullets.push(plural(numWashrooms, 'washroom'))
+    bullets.push('Floor care')
+  }
+
+  return bullets
+}
+
+function buildScopeTasks(revision: any, lineItems: any[]): string[] {
+  const tier = resolveTierOption(revision.tier_options, revision.selected_tier)
+  const inputs = revision.quote_calculation_inputs
+
+  let titles: string[] = []
+  if (tier?.scope?.length) {
+    titles = tier.scope
+  } else if (inputs?.service_type) {
+    titles = getScopeBullets(inputs.service_type, inputs)
+  }
+
+  if (titles.length === 0) {
+    titles = lineItems
+      .filter(item => !item.tier || !tier || item.tier === tier.key)
+      .map(item => String(item.description || '').trim())
+  }
+
+  return [...new Set(titles.filter(Boolean))]
+}
+
+function buildReviewChecklist(laborEstimate: any) {
+  const crew = laborEstimate?.crew_size > 1 ? `${laborEstimate.crew_size} cleaners` : 'A cleaner'
+  return [
+    { key: 'site_details', label: 'Site address, access and alarm instructions verified', done: false },
+    { key: 'site_contact', label: 'On-site contact confirmed', done: false },
+    { key: 'first_visit', label: 'First visit date and time confirmed with the client', done: false },
+    { key: 'crew', label: `${crew} assigned to the first visit`, done: false },
+    { key: 'tasks', label: 'Job task list checked against the quoted scope', done: false },
+    { key: 'billing', label: 'Billing set up at the agreed monthly price', done: false },
+  ]
+}
+
+function toDateString(date: Date): string {
+  return date.toISOString().split('T')[0]
+}
+
+// Last day of a contract term that starts on startDate
+function contractEndDate(startDate: string, termMonths: number): string {
+  const end = new Date(`${startDate}T00:00:00Z`)
+  end.setUTCMonth(end.getUTCMonth() + Number(termMonths))
+  end.setUTCDate(end.getUTCDate() - 1)
+  return toDateString(end)
+}
+
+// First service date: the proposed start date, or one week after acceptance
+function resolveStartDate(revision: any, now: Date): string {
+  if (revision.start_date_proposed) return String(revision.start_date_proposed).split('T')[0]
+  const start = new Date(now)
+  start.setDate(start.getDate() + 7)
+  return toDateString(start)
+}
+
+/**
+ * Build everything provisioning writes for an accepted revision
+ */
+export function buildProvisioningPlan(quote: any, revision: any, lineItems: any[], siteId: string, now = new Date()) {
+  const inputs = revision.quote_calculation_inputs || {}
+  const frequency = Number(inputs.frequency_per_month) || 4
+  const { recurrence_pattern, visits_per_week } = recurrenceForFrequency(frequency)
+  const tier = resolveTierOption(revision.tier_options, revision.selected_tier)
+
+  // Line items may carry no stored totals, so fall back to the engine price
+  const monthlyPrice = Number(revision.subtotal) > 0
+    ? Number(revision.subtotal)
+    : Number(revision.quote_calculation_outputs?.monthly_price_ex_hst) || 0
+  const startDate = resolveStartDate(revision, now)
+  const laborEstimate = revision.labor_estimate || null
+  const tierLabor = tier && Array.isArray(laborEstimate?.tiers)
+    ? laborEstimate.tiers.find((entry: any) => entry.key === tier.key)
+    : null
+  const hoursPerVisit = tierLabor?.hours_per_visit ?? laborEstimate?.hours_per_visit ?? null
+
+  const agreement = {
+    quote_id: quote.id,
+    revision_number: revision.revision_number,
+    site_id: siteId,
+    deal_id: quote.deal_id || null,
+    selected_tier: tier?.key || null,
+    service_type: inputs.service_type || null,
+    frequency_per_month: frequency,
+    recurrence_pattern,
+    visits_per_week,
+    monthly_price: Math.round(monthlyPrice * 100) / 100,
+    per_visit_price: frequency > 0 ? Math.round((monthlyPrice / frequency) * 100) / 100 : null,
+    tax: Number(revision.tax) || 0,
+    monthly_total: Number(revision.total) || Math.round(monthlyPrice * 100) / 100,
+    currency: quote.currency || 'CAD',
+    contract_term_months: revision.contract_term_months || null,
+    start_date: startDate,
+    end_date: revision.contract_term_months ? contractEndDate(startDate, revision.contract_term_months) : null,
+    status: AGREEMENT_STATUS_PENDING_REVIEW,
+    review_checklist: buildReviewChecklist(laborEstimate),
+  }
+
+  const title = revision.scope_summary || `${tier ? `${tier.name} ` : ''}Cleaning Service`
+  const start = new Date(`${startDate}T00:00:00Z`)
+  const offsets = recurrence_pattern === 'weekly' ? WEEKLY_VISIT_OFFSETS[visits_per_week] : [0]
+  const jobs = offsets.map(offset => {
+    const date = new Date(start)
+    date.setUTCDate(date.getUTCDate() + offset)
+    return {
+      title,
+      site_id: siteId,
+      job_type: 'cleaning',
+      description: revision.assumptions || null,
+      scheduled_date: toDateString(date),
+      frequency: 'recurring',
+      recurrence_pattern,
+      status: 'pending',
+      estimated_hours: hoursPerVisit,
+    }
+  })
+
+  return { agreement, jobs, tasks: buildScopeTasks(revision, lineItems) }
+}
+
+async function getServiceAgreementForQuote(supabase: any, quoteId: string) {
+  const { data: agreement, error } = await supabase
+    .from('service_agreements')
+    .select('*')
+    .eq('quote_id', quoteId)
+    .maybeSingle()
+  if (error) throw error
+  if (!agreement) return null
+
+  const { data: jobs, error: jobsError } = await supabase
+    .from('jobs')
+    .select(AGREEMENT_JOB_COLUMNS)
+    .eq('service_agreement_id', agreement.id)
+    .order('scheduled_date', { ascending: true })
+  if (jobsError) throw jobsError
+  return { ...agreement, jobs: jobs || [] }
+}
+
+// Site the service runs at: the quote's account, or a new site from the accepted revision
+async function resolveSite(supabase: any, quote: any, revision: any, userId: string | null) {
+  if (quote.account_id) return quote.account_id
+
+  const [{ data: deal }, { data: walkthrough }] = await Promise.all([
+    quote.deal_id
+      ? supabase.from('deals').select('title').eq('id', quote.deal_id).maybeSingle()
+      : Promise.resolve({ data: null }),
+    supabase
+      .from('quote_walkthroughs')
+      .select('location_address')
+      .eq('quote_id', quote.id)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle(),
+  ])
+
+  const { data: site, error } = await supabase
+    .from('sites')
+    .insert({
+      name: deal?.title?.split(' - ')[0] || revision.accepted_by_name || 'New Client Site',
+      address: walkthrough?.location_address || null,
+      contact_email: revision.accepted_by_email || null,
+      status: 'Active',
+      created_by: userId,
+    })
+    .select('id')
+    .single()
+  if (error) throw error
+
+  await supabase
+    .from('quotes')
+    .update({ account_id: site.id })
+    .eq('id', quote.id)
+
+  return site.id
+}
+
+/**
+ * Provision an accepted quote with the service role
+ * Idempotent: returns the existing agreement, and { created: false }, if the quote was already provisioned.
+ * Rows are created on behalf of the quote owner.
+ */
+export async function provisionAcceptedQuote(supabase: any, quoteId: string, revisionNumber: number) {
+  const existing = await getServiceAgreementForQuote(supabase, quoteId)
+  if (existing) return { agreement: existing, created: false }
+
+  const [
+    { data: quote, error: quoteError },
+    { data: revision, error: revisionError },
+    { data: lineItems, error: itemsError },
+  ] = await Promise.all([
+    supabase.from('quotes').select('*').eq('id', quoteId).single(),
+    supabase.from('quote_revisions').select('*').eq('quote_id', quoteId).eq('revision_number', revisionNumber).single(),
+    supabase.from('quote_line_items').select('*').eq('quote_id', quoteId).eq('revision_number', revisionNumber).order('display_order'),
+  ])
+  if (quoteError) throw quoteError
+  if (revisionError) throw revisionError
+  if (itemsError) throw itemsError
+  if (!revision.accepted_at) throw new Error('Only accepted quotes can be provisioned')
+
+  const userId = quote.owner_user_id || null
+  const siteId = await resolveSite(supabase, quote, revision, userId)
+  const plan = buildProvisioningPlan(quote, revision, lineItems || [], siteId)
+  const seriesId = crypto.randomUUID()
+
+  const { data: agreement, error: agreementError } = await supabase
+    .from('service_agreements')
+    .insert({ ...plan.agreement, recurrence_series_id: seriesId, created_by: userId })
+    .select()
+    .single()
+  if (agreementError) {
+    // A concurrent provision won the unique quote_id index
+    if (agreementError.code === '23505') {
+      return { agreement: await getServiceAgreementForQuote(supabase, quoteId), created: false }
+    }
+    throw agreementError
+  }
+
+  // The first job is the series template; extra weekly visits join it as their own repeating jobs
+  const jobRows = plan.jobs.map((job, index) => ({
+    ...job,
+    recurrence_series_id: seriesId,
+    is_recurring_template: index === 0,
+    service_agreement_id: agreement.id,
+    created_by: userId,
+  }))
+
+  const { data: jobs, error: jobsError } = await supabase
+    .from('jobs')
+    .insert(jobRows)
+    .select(AGREEMENT_JOB_COLUMNS)
+  if (jobsError) throw jobsError
+
+  if (plan.tasks.length > 0) {
+    const { error: tasksError } = await supabase
+      .from('job_tasks')
+      .insert(jobs.flatMap((job: any) => plan.tasks.map(title => ({
+        job_id: job.id,
+        title,
+        photo_required: false,
+        completed: false,
+      }))))
+    if (tasksError) throw tasksError
+  }
+
+  return { agreement: { ...agreement, jobs: jobs || [] }, created: true }
+}
+
+/**
+ * Tell managers and admins a provisioned service is waiting for review
+ */
+export async function notifyServiceProvisioned(supabase: any, quoteId: string, agreement: any) {
+  const { data: approvers, error } = await supabase
+    .from('user_profiles')
+    .select('id')
+    .in('role', ['manager', 'admin', 'super_admin'])
+  if (error) throw error
+  if (!approvers?.length) return
+
+  const message = `Accepted quote set up as a ${agreement.recurrence_pattern} service starting ${agreement.start_date}. ` +
+    'Review it before the first visit.'
+
+  const { error: insertError } = await supabase
+    .from('notifications')
+    .insert(approvers.map((approver: any) => ({
+      user_id: approver.id,
+      // Notification center type that sales notifications use for accepted quotes
+      type: 'job_completed',
+      title: 'Service Ready for Review',
+      message,
+      link: `#quotes?quote=${quoteId}`,
+      read: false,
+    })))
+  if (insertError) throw insertError
+}
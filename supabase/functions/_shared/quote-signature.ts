@@ -0,0 +1,85 @@
+/**
+ * Canonical quote revision content for e-signatures
+ * The signed content hash covers every client-facing field of the revision and
+ * its line items, in a fixed order, so any later edit produces a different hash.
+ */
+
+import { sha256Hex } from './quote-pdf.ts'
+
+const SIGNED_REVISION_FIELDS = [
+  'quote_id',
+  'revision_number',
+  'revision_type',
+  'is_binding',
+  'subtotal',
+  'tax',
+  'total',
+  'tax_jurisdiction',
+  'tax_lines',
+  'tier_options',
+  'selected_tier',
+  'billing_frequency',
+  'contract_term_months',
+  'start_date_proposed',
+  'service_schedule_summary',
+  'scope_summary',
+  'assumptions',
+  'exclusions',
+  'sent_at',
+  'expires_at',
+]
+
+const SIGNED_LINE_ITEM_FIELDS = [
+  'display_order',
+  'tier',
+  'category',
+  'name',
+  'description',
+  'quantity',
+  'unit',
+  'unit_price',
+  'range_low',
+  'range_high',
+  'frequency_multiplier',
+  'line_total',
+]
+
+const MONEY_FIELDS = new Set(['subtotal', 'tax', 'total', 'unit_price', 'range_low', 'range_high', 'line_total', 'amount', 'taxable_amount'])
+
+function normalizeValue(key: string, value: unknown): unknown {
+  if (value === undefined || value === null) return null
+  if (MONEY_FIELDS.has(key) && value !== '') return Number(value).toFixed(2)
+  if (Array.isArray(value)) return value.map(item => normalizeValue('', item))
+  if (typeof value === 'object') {
+    const obj = value as Record<string, unknown>
+    return Object.keys(obj)
+      .sort()
+      .reduce((acc, k) => {
+        acc[k] = normalizeValue(k, obj[k])
+        return acc
+      }, {} as Record<string, unknown>)
+  }
+  return value
+}
+
+function pick(source: Record<string, unknown>, fields: string[]) {
+  return fields.reduce((acc, field) => {
+    acc[field] = normalizeValue(field, source[field])
+    return acc
+  }, {} as Record<string, unknown>)
+}
+
+export function canonicalRevisionContent(revision: any, lineItems: any[]): string {
+  const items = [...(lineItems || [])]
+    .sort((a, b) => (a.display_order ?? 0) - (b.display_order ?? 0))
+    .map(item => pick(item, SIGNED_LINE_ITEM_FIELDS))
+
+  return JSON.stringify({
+    revision: pick(revision, SIGNED_REVISION_FIELDS),
+    line_items: items,
+  })
+}
+
+export async function hashRevisionContent(revision: any, lineItems: any[]): Promise<string> {
+  return await sha256Hex(new TextEncoder().encode(canonicalRevisionContent(revision, lineItems)))
+}
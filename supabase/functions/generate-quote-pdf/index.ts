@@ -0,0 +1,484 @@
+/**
+ * Generate Quote PDF Edge Function
+ * Renders a branded PDF for a quote revision (walkthrough proposal or final quote),
+ * stores it in the private quote-pdfs bucket and returns a short-lived signed URL.
+ *
+ * Staff:  { quoteId, revisionNumber }  (Authorization header required)
+ * Portal: { token }                    (public token from the quote link)
+ *
+ * Unsent revisions are rendered as previews and overwritten on each request.
+ * Once a revision is sent its PDF is rendered one last time and locked
+ * (path + SHA-256); locked PDFs are served as-is and never re-rendered.
+ */
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { PDFDocument, StandardFonts } from 'https://esm.sh/pdf-lib@1.17.1'
+import {
+  authenticateRequest,
+  requireAuth,
+  requireRole,
+  errorResponse,
+  successResponse,
+  handleCORS,
+} from '../_shared/rbac-middleware.ts'
+import {
+  QUOTE_PDF_BUCKET,
+  BRAND,
+  COLORS,
+  PAGE_WIDTH,
+  MARGIN,
+  FOOTER_HEIGHT,
+  CONTENT_WIDTH,
+  PdfWriter,
+  drawFooters,
+  buildPdfResponse,
+  shortQuoteNumber,
+  wrapText,
+  formatCurrency,
+  formatDate,
+  sha256Hex,
+} from '../_shared/quote-pdf.ts'
+
+const STAFF_ROLES = ['admin', 'super_admin', 'manager', 'rep']
+
+const BILLING_LABELS: Record<string, string> = {
+  monthly: 'Monthly',
+  weekly: 'Weekly',
+  biweekly: 'Every two weeks',
+  one_time: 'One-time',
+}
+
+serve(async (req) => {
+  const cors = handleCORS(req)
+  if (cors) return cors
+
+  try {
+    const { quoteId, revisionNumber, token } = await req.json()
+
+    const supabase = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+    )
+
+    let revision: any = null
+
+    if (token) {
+      // Portal download: the token is the credential, and only sent revisions are visible
+      const { data, error } = await supabase
+        .from('quote_revisions')
+        .select('*')
+        .eq('public_token', token)
+        .maybeSingle()
+      if (error) throw error
+      if (!data || !data.sent_at) {
+        return errorResponse('Quote not found', 404)
+      }
+      if (data.expires_at && new Date(data.expires_at) < new Date() && !data.accepted_at) {
+        return errorResponse('This quote has expired', 410)
+      }
+      revision = data
+    } else {
+      const context = requireAuth(await authenticateRequest(req))
+      requireRole(context, STAFF_ROLES)
+
+      if (!quoteId || !revisionNumber) {
+        return errorResponse('Missing required fields: quoteId, revisionNumber', 400)
+      }
+
+      const { data, error } = await supabase
+        .from('quote_revisions')
+        .select('*')
+        .eq('quote_id', quoteId)
+        .eq('revision_number', revisionNumber)
+        .maybeSingle()
+      if (error) throw error
+      if (!data) {
+        return errorResponse('Revision not found', 404)
+      }
+      revision = data
+    }
+
+    if (revision.pdf_locked_at && revision.pdf_url) {
+      return successResponse(await buildPdfResponse(supabase, revision))
+    }
+
+    const lock = !!revision.sent_at
+    const document = await loadQuoteDocument(supabase, revision)
+    const bytes = await renderQuotePdf(document)
+    const sha256 = await sha256Hex(bytes)
+    const path = lock
+      ? `${revision.quote_id}/revision-${revision.revision_number}.pdf`
+      : `${revision.quote_id}/revision-${revision.revision_number}-preview.pdf`
+
+    const { error: uploadError } = await supabase.storage
+      .from(QUOTE_PDF_BUCKET)
+      .upload(path, bytes, { contentType: 'application/pdf', upsert: !lock })
+
+    if (uploadError) {
+      // A concurrent request may have locked this revision first
+      const current = lock ? await reloadRevision(supabase, revision) : null
+      if (current?.pdf_locked_at && current.pdf_url) {
+        return successResponse(await buildPdfResponse(supabase, current))
+      }
+      throw uploadError
+    }
+
+    const now = new Date().toISOString()
+    const { data: updated, error: updateError } = await supabase
+      .from('quote_revisions')
+      .update({
+        pdf_url: path,
+        pdf_sha256: sha256,
+        pdf_generated_at: now,
+        pdf_locked_at: lock ? now : null,
+      })
+      .eq('id', revision.id)
+      .is('pdf_locked_at', null)
+      .select('*')
+      .maybeSingle()
+
+    if (updateError) throw updateError
+
+    return successResponse(await buildPdfResponse(supabase, updated || await reloadRevision(supabase, revision)))
+  } catch (error) {
+    console.error('[GenerateQuotePDF] Error:', error)
+    const message = error instanceof Error ? error.message : 'Failed to generate quote PDF'
+    if (message.startsWith('Unauthorized')) return errorResponse(message, 401)
+    if (message.startsWith('Forbidden')) return errorResponse(message, 403)
+    return errorResponse(message, 500)
+  }
+})
+
+async function reloadRevision(supabase: any, revision: any) {
+  const { data } = await supabase
+    .from('quote_revisions')
+    .select('*')
+    .eq('id', revision.id)
+    .maybeSingle()
+  return data
+}
+
+// ============================================
+// Data
+// ============================================
+
+async function loadQuoteDocument(supabase: any, revision: any) {
+  const { data: quote, error: quoteError } = await supabase
+    .from('quotes')
+    .select('id, quote_type, currency, created_at, primary_contact_id, account_id:sites(id, name, address, contact_email, contact_phone, tax_exempt, tax_exemption_number)')
+    .eq('id', revision.quote_id)
+    .single()
+  if (quoteError) throw quoteError
+
+  const { data: lineItems, error: itemsError } = await supabase
+    .from('quote_line_items')
+    .select('*')
+    .eq('quote_id', revision.quote_id)
+    .eq('revision_number', revision.revision_number)
+    .order('display_order', { ascending: true })
+  if (itemsError) throw itemsError
+
+  let contact: any = null
+  if (quote.primary_contact_id) {
+    const { data } = await supabase
+      .from('contacts')
+      .select('full_name, email, phone')
+      .eq('id', quote.primary_contact_id)
+      .maybeSingle()
+    contact = data
+  }
+
+  return {
+    quote,
+    revision,
+    site: quote.account_id || null,
+    contact,
+    lineItems: lineItems || [],
+  }
+}
+
+// ============================================
+// Rendering
+// ============================================
+
+async function renderQuotePdf(document: any): Promise<Uint8Array> {
+  const { quote, revision, site, contact, lineItems } = document
+  const isProposal = revision.revision_type === 'walkthrough_proposal'
+  const quoteNumber = shortQuoteNumber(quote.id)
+
+  const doc = await PDFDocument.create()
+  doc.setTitle(`${isProposal ? 'Walkthrough Proposal' : 'Quote'} ${quoteNumber} - Revision ${revision.revision_number}`)
+  doc.setAuthor(BRAND.name)
+  doc.setCreator(BRAND.name)
+
+  const font = await doc.embedFont(StandardFonts.Helvetica)
+  const bold = await doc.embedFont(StandardFonts.HelveticaBold)
+  const w = new PdfWriter(doc, font, bold)
+
+  // Title
+  w.text(isProposal ? 'Walkthrough Proposal' : 'Service Quote', { size: 22, bold: true })
+  w.y -= 18
+  w.text(
+    isProposal
+      ? 'Non-binding estimate. Final pricing is confirmed after the site walkthrough.'
+      : 'Binding quote for the services described below.',
+    { size: 10, color: COLORS.muted }
+  )
+  w.y -= 28
+
+  // Prepared for / quote details
+  const top = w.y
+  const rightColumn = MARGIN + CONTENT_WIDTH / 2 + 20
+  w.text('PREPARED FOR', { size: 8, bold: true, color: COLORS.muted })
+  w.y -= 14
+  const clientLines = [
+    site?.name,
+    site?.address,
+    contact?.full_name,
+    contact?.email || site?.contact_email,
+    contact?.phone || site?.contact_phone,
+  ].filter(Boolean)
+  for (const line of clientLines) {
+    w.paragraph(String(line), { width: CONTENT_WIDTH / 2 })
+  }
+  const leftBottom = w.y
+
+  w.y = top
+  const details: [string, string][] = [
+    ['Quote #', quoteNumber],
+    ['Revision', String(revision.revision_number)],
+    ['Date', formatDate(revision.sent_at || new Date().toISOString())],
+    ['Valid until', revision.expires_at ? formatDate(revision.expires_at) : 'Set when sent'],
+  ]
+  for (const [label, value] of details) {
+    w.text(label, { x: rightColumn, size: 9, color: COLORS.muted })
+    w.textRight(value, PAGE_WIDTH - MARGIN, { size: 9, bold: true })
+    w.y -= 14
+  }
+  w.y = Math.min(leftBottom, w.y) - 10
+
+  // Scope
+  if (revision.scope_summary || revision.service_schedule_summary) {
+    w.heading('Scope of Work')
+    if (revision.scope_summary) {
+      w.paragraph(revision.scope_summary)
+    }
+    if (revision.service_schedule_summary) {
+      w.y -= 4
+      w.paragraph(`Service schedule: ${revision.service_schedule_summary}`)
+    }
+  }
+
+  // Good / Better / Best packages: each carries its own scope and price
+  const tierOptions = Array.isArray(revision.tier_options) ? revision.tier_options : []
+  const isTiered = tierOptions.length > 1
+  const tierNames = new Map(tierOptions.map((tier: any) => [tier.key, tier.name]))
+  if (isTiered) {
+    w.heading('Package Options')
+    for (const tier of tierOptions) {
+      w.ensureSpace(60)
+      const tag = revision.selected_tier === tier.key ? '  (Selected)' : tier.recommended ? '  (Recommended)' : ''
+      w.text(`${tier.name}${tag}`, { size: 11, bold: true })
+      w.textRight(`${formatCurrency(tier.total)} / month incl. tax`, PAGE_WIDTH - MARGIN, { size: 11, bold: true, color: COLORS.brand })
+      w.y -= 14
+      w.text(`${formatCurrency(tier.subtotal)} + ${formatCurrency(tier.tax)} tax`, { x: PAGE_WIDTH - MARGIN - 150, size: 8, color: COLORS.muted })
+      if (tier.description) {
+        w.paragraph(tier.description, { size: 9, color: COLORS.muted, width: CONTENT_WIDTH - 160 })
+      } else {
+        w.y -= 12
+      }
+      for (const item of tier.scope || []) {
+        w.paragraph(`- ${item}`, { x: MARGIN + 10, size: 9, width: CONTENT_WIDTH - 10 })
+      }
+      w.y -= 8
+    }
+  }
+
+  // Line items
+  w.heading('Pricing')
+  const colQty = MARGIN + 300
+  const colPrice = MARGIN + 400
+  const colAmount = PAGE_WIDTH - MARGIN
+  const descriptionWidth = 280
+
+  const drawTableHeader = () => {
+    w.page.drawRectangle({ x: MARGIN, y: w.y - 5, width: CONTENT_WIDTH, height: 18, color: COLORS.shade })
+    w.text('Description', { x: MARGIN + 6, size: 9, bold: true })
+    w.textRight('Qty', colQty + 40, { size: 9, bold: true })
+    w.textRight('Unit Price', colPrice + 50, { size: 9, bold: true })
+    w.textRight('Amount', colAmount - 6, { size: 9, bold: true })
+    w.y -= 22
+  }
+  drawTableHeader()
+
+  if (lineItems.length === 0) {
+    w.text('No line items', { x: MARGIN + 6, size: 9, color: COLORS.muted })
+    w.y -= 18
+  }
+
+  for (const item of lineItems) {
+    const baseTitle = item.name || item.description || 'Service'
+    const title = item.tier && tierNames.has(item.tier) ? `${tierNames.get(item.tier)}: ${baseTitle}` : baseTitle
+    const titleLines = wrapText(title, font, 9, descriptionWidth)
+    const detailLines = item.description && item.description !== title
+      ? wrapText(item.description, font, 8, descriptionWidth)
+      : []
+    const rowHeight = titleLines.length * 12 + detailLines.length * 11 + 8
+
+    if (w.y - rowHeight < MARGIN + FOOTER_HEIGHT) {
+      w.addPage()
+      drawTableHeader()
+    }
+
+    const rowTop = w.y
+    const isRange = item.unit === 'range'
+    w.textRight(isRange ? '' : formatQuantity(item.quantity, item.unit), colQty + 40, { size: 9 })
+    w.textRight(isRange ? '' : formatCurrency(item.unit_price), colPrice + 50, { size: 9 })
+    w.textRight(
+      isRange ? `${formatCurrency(item.range_low)} - ${formatCurrency(item.range_high)}` : formatCurrency(item.line_total),
+      colAmount - 6,
+      { size: 9 }
+    )
+
+    for (const line of titleLines) {
+      w.text(line, { x: MARGIN + 6, size: 9 })
+      w.y -= 12
+    }
+    for (const line of detailLines) {
+      w.text(line, { x: MARGIN + 6, size: 8, color: COLORS.muted })
+      w.y -= 11
+    }
+    w.y = Math.min(w.y, rowTop - 12) - 4
+    w.rule()
+    w.y -= 14
+  }
+
+  // Totals (tiered quotes show a total per package above)
+  if (!isTiered && revision.subtotal !== null && revision.subtotal !== undefined) {
+    const taxLines = Array.isArray(revision.tax_lines) ? revision.tax_lines : []
+    w.ensureSpace(30 + (taxLines.length + 2) * 16)
+    const labelX = colPrice - 60
+
+    w.text('Subtotal', { x: labelX, size: 10 })
+    w.textRight(formatCurrency(revision.subtotal), colAmount - 6, { size: 10 })
+    w.y -= 16
+
+    if (taxLines.length > 0) {
+      for (const line of taxLines) {
+        w.text(formatTaxLabel(line), { x: labelX, size: 10 })
+        w.textRight(formatCurrency(line.amount), colAmount - 6, { size: 10 })
+        w.y -= 16
+      }
+    } else if (Number(revision.tax) > 0) {
+      w.text('Tax', { x: labelX, size: 10 })
+      w.textRight(formatCurrency(revision.tax), colAmount - 6, { size: 10 })
+      w.y -= 16
+    }
+
+    w.page.drawLine({
+      start: { x: labelX, y: w.y + 10 },
+      end: { x: colAmount, y: w.y + 10 },
+      thickness: 0.75,
+      color: COLORS.rule,
+    })
+    w.y -= 4
+    w.text(isProposal ? 'Estimated Total' : 'Total', { x: labelX, size: 12, bold: true })
+    w.textRight(`${formatCurrency(revision.total)} ${quote.currency || 'CAD'}`, colAmount - 6, { size: 12, bold: true })
+    w.y -= 16
+
+    if (site?.tax_exempt && site.tax_exemption_number) {
+      w.text(`Tax exempt - exemption #${site.tax_exemption_number}`, { x: labelX, size: 8, color: COLORS.muted })
+      w.y -= 12
+    }
+    w.y -= 8
+  }
+
+  // Terms
+  const terms: string[] = []
+  if (revision.billing_frequency) {
+    terms.push(`Billing: ${BILLING_LABELS[revision.billing_frequency] || revision.billing_frequency}`)
+  }
+  if (revision.contract_term_months) {
+    terms.push(`Contract term: ${revision.contract_term_months} months`)
+  }
+  if (revision.start_date_proposed) {
+    terms.push(`Proposed start date: ${formatDate(revision.start_date_proposed)}`)
+  }
+  terms.push(
+    revision.expires_at
+      ? `This ${isProposal ? 'proposal' : 'quote'} is valid until ${formatDate(revision.expires_at)}.`
+      : `This ${isProposal ? 'proposal' : 'quote'} is valid for a limited time from the date it is sent.`
+  )
+
+  w.heading('Terms')
+  for (const term of terms) {
+    w.paragraph(`- ${term}`)
+  }
+
+  if (revision.assumptions) {
+    w.heading('Assumptions')
+    w.paragraph(revision.assumptions)
+  }
+
+  if (revision.exclusions) {
+    w.heading('Exclusions')
+    w.paragraph(revision.exclusions)
+  }
+
+  // Acceptance
+  w.heading('Acceptance')
+  if (revision.accepted_at) {
+    const acceptedBy = [revision.accepted_by_name, revision.accepted_by_email ? `(${revision.accepted_by_email})` : '']
+      .filter(Boolean)
+      .join(' ')
+    w.paragraph(`Accepted electronically by ${acceptedBy || 'the client'} on ${formatDate(revision.accepted_at)}.`)
+  } else {
+    w.paragraph(
+      isProposal
+        ? 'Approve this proposal to book the site walkthrough. Pricing is confirmed in a final quote after the walkthrough.'
+        : 'By signing below, the client accepts this quote and the terms above.'
+    )
+    w.y -= 20
+    w.ensureSpace(80)
+
+    const fields = isProposal ? ['Name', 'Date'] : ['Signature', 'Name', 'Title', 'Date']
+    const fieldWidth = (CONTENT_WIDTH - 20) / 2
+    fields.forEach((label, index) => {
+      const column = index % 2
+      const x = MARGIN + column * (fieldWidth + 20)
+      if (column === 0 && index > 0) w.y -= 36
+      w.page.drawLine({
+        start: { x, y: w.y },
+        end: { x: x + fieldWidth, y: w.y },
+        thickness: 0.75,
+        color: COLORS.text,
+      })
+      w.page.drawText(label, { x, y: w.y - 11, size: 8, font, color: COLORS.muted })
+    })
+    w.y -= 24
+  }
+
+  drawFooters(
+    doc,
+    font,
+    `${BRAND.name}  |  Quote ${quoteNumber}, revision ${revision.revision_number}${isProposal ? '  |  Non-binding proposal' : ''}`
+  )
+
+  return await doc.save()
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+function formatQuantity(quantity: unknown, unit: string): string {
+  const qty = Number(quantity) || 0
+  const formatted = Number.isInteger(qty) ? String(qty) : qty.toFixed(2)
+  return unit && unit !== 'flat' ? `${formatted} ${unit}` : formatted
+}
+
+function formatTaxLabel(line: any): string {
+  const rate = parseFloat((Number(line.rate) * 100).toFixed(3))
+  return `${line.name || line.code || 'Tax'} (${rate}%)`
+}
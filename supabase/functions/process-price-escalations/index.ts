@@ -0,0 +1,205 @@
+/**
+ * Process Price Escalations Edge Function
+ * Runs daily from cron (see ADD_PRICE_ESCALATION_SCHEMA.sql), and from the
+ * Price Escalation tool when a manager sends the notices of a new run.
+ *
+ * 1. Emails the client notice of every scheduled increase that has not been
+ *    sent yet, once per agreement, to the site contact.
+ * 2. Applies increases whose effective date has arrived through
+ *    apply_due_price_escalations(), which reprices the agreement and writes
+ *    its price history.
+ *
+ * Called with the X-Cron-Secret header, or by a manager for a manual run.
+ * Body: { dryRun?: boolean, escalationId?: string } (escalationId limits
+ * the notices sent to one run)
+ */
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { errorResponse, successResponse, handleCORS, authenticateRequest, hasRole } from '../_shared/rbac-middleware.ts'
+import { formatCurrency, formatDate } from '../_shared/quote-pdf.ts'
+
+const PENDING_NOTICE_COLUMNS =
+  'id, escalation_id, service_agreement_id, old_monthly_price, new_monthly_price, notice, notice_emails, ' +
+  'price_escalations!inner(id, status, effective_date), sites(name, contact_email)'
+
+serve(async (req) => {
+  const cors = handleCORS(req)
+  if (cors) return cors
+
+  try {
+    const cronSecret = Deno.env.get('CRON_SECRET')
+    if (!cronSecret || req.headers.get('X-Cron-Secret') !== cronSecret) {
+      const context = await authenticateRequest(req)
+      if (!context) return errorResponse('Unauthorized', 401)
+      if (!hasRole(context, ['manager', 'admin', 'super_admin'])) return errorResponse('Manager access required', 403)
+    }
+
+    const { dryRun = false, escalationId = null } = await req.json().catch(() => ({}))
+    const supabase = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+    )
+
+    const today = new Date().toISOString().split('T')[0]
+    const notices = await sendNotices(supabase, escalationId, dryRun)
+    const applied = await applyDueEscalations(supabase, today, dryRun)
+
+    return successResponse({ dryRun, notices, applied })
+  } catch (error) {
+    console.error('[ProcessPriceEscalations] Error:', error)
+    return errorResponse(error instanceof Error ? error.message : 'Failed to process price escalations', 500)
+  }
+})
+
+async function sendNotices(supabase: any, escalationId: string | null, dryRun: boolean) {
+  let query = supabase
+    .from('price_escalation_items')
+    .select(PENDING_NOTICE_COLUMNS)
+    .eq('status', 'scheduled')
+    .is('notice_sent_at', null)
+    .eq('price_escalations.status', 'scheduled')
+  if (escalationId) query = query.eq('escalation_id', escalationId)
+
+  const { data: items, error } = await query
+  if (error) throw error
+
+  const results = []
+  const skipped = []
+  for (const item of items || []) {
+    const emails = (Array.isArray(item.notice_emails) && item.notice_emails.length > 0
+      ? item.notice_emails
+      : [item.sites?.contact_email]).filter(Boolean)
+    if (emails.length === 0) {
+      skipped.push({ item_id: item.id, service_agreement_id: item.service_agreement_id, reason: 'no_contact_email' })
+      continue
+    }
+    if (dryRun) {
+      results.push({ item_id: item.id, service_agreement_id: item.service_agreement_id, emails })
+      continue
+    }
+
+    // Claim the notice first so overlapping runs never email twice
+    const now = new Date().toISOString()
+    const { data: claimed, error: claimError } = await supabase
+      .from('price_escalation_items')
+      .update({ notice_sent_at: now, notice_emails: emails })
+      .eq('id', item.id)
+      .is('notice_sent_at', null)
+      .select('id')
+      .maybeSingle()
+    if (claimError) throw claimError
+    if (!claimed) continue
+
+    try {
+      const messageId = await sendNoticeEmail(item, emails)
+      await supabase
+        .from('price_escalation_items')
+        .update({ notice_message_id: messageId })
+        .eq('id', item.id)
+      results.push({ item_id: item.id, service_agreement_id: item.service_agreement_id, emails })
+    } catch (emailError) {
+      // Release the claim so the next run retries
+      console.error('[ProcessPriceEscalations] Notice email failed:', emailError)
+      await supabase
+        .from('price_escalation_items')
+        .update({ notice_sent_at: null })
+        .eq('id', item.id)
+    }
+  }
+  return { sent: results, skipped }
+}
+
+async function applyDueEscalations(supabase: any, today: string, dryRun: boolean) {
+  if (dryRun) {
+    const { data: due, error } = await supabase
+      .from('price_escalation_items')
+      .select('id, service_agreement_id, old_monthly_price, new_monthly_price, price_escalations!inner(status, effective_date)')
+      .eq('status', 'scheduled')
+      .eq('price_escalations.status', 'scheduled')
+      .lte('price_escalations.effective_date', today)
+    if (error) throw error
+    return (due || []).map((item: any) => ({
+      item_id: item.id,
+      service_agreement_id: item.service_agreement_id,
+      old_monthly_price: item.old_monthly_price,
+      new_monthly_price: item.new_monthly_price,
+    }))
+  }
+
+  const { data: count, error } = await supabase.rpc('apply_due_price_escalations', { p_as_of: today })
+  if (error) throw error
+  return count ?? 0
+}
+
+async function sendNoticeEmail(item: any, emails: string[]): Promise<string | null> {
+  const apiKey = Deno.env.get('resend_api_key') || Deno.env.get('RESEND_API_KEY')
+  if (!apiKey) throw new Error('resend_api_key is not set. Please set it in Supabase secrets.')
+
+  const fromEmail = Deno.env.get('resend_from_email') ||
+    Deno.env.get('RESEND_FROM_EMAIL') ||
+    'NFG Facilities <noreply@northernfacilitiesgroup.ca>'
+  const effectiveOn = formatDate(item.price_escalations.effective_date)
+  const subject = item.notice?.subject || `Notice of price adjustment effective ${effectiveOn}`
+  const paragraphs: string[] = Array.isArray(item.notice?.paragraphs) ? item.notice.paragraphs : []
+
+  const html = `
+<!DOCTYPE html>
+<html lang="en">
+<body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f4f7fa;">
+  <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff;">
+    <div style="background: linear-gradient(135deg, #0D47A1 0%, #0A3A84 100%); padding: 32px 30px; text-align: center; color: #ffffff;">
+      <h1 style="margin: 0; font-size: 24px;">Price adjustment effective ${effectiveOn}</h1>
+    </div>
+    <div style="padding: 32px 30px; line-height: 1.6; color: #333333;">
+      ${paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n      ')}
+      <table style="width: 100%; margin: 24px 0; border-collapse: collapse;">
+        <tr>
+          <td style="padding: 8px 0; color: #666666;">Current monthly price</td>
+          <td style="padding: 8px 0; text-align: right;">${formatCurrency(item.old_monthly_price)}</td>
+        </tr>
+        <tr>
+          <td style="padding: 8px 0; color: #666666;">From ${effectiveOn}</td>
+          <td style="padding: 8px 0; text-align: right; font-weight: 600; color: #0D47A1;">${formatCurrency(item.new_monthly_price)}</td>
+        </tr>
+      </table>
+      <p style="margin: 24px 0 0 0; color: #555555;">
+        <strong style="color: #0D47A1;">The Northern Facilities Group Team</strong>
+      </p>
+    </div>
+  </div>
+</body>
+</html>
+  `
+
+  const response = await fetch('https://api.resend.com/emails', {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      from: fromEmail,
+      to: emails,
+      subject,
+      html,
+    }),
+  })
+
+  const data = await response.json()
+  if (!response.ok) {
+    throw new Error(`Failed to send notice: ${data.message || JSON.stringify(data)}`)
+  }
+  return data.id || null
+}
+
+function escapeHtml(text: string): string {
+  const map: Record<string, string> = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#039;'
+  }
+  return String(text).replace(/[&<>"']/g, (m) => map[m])
+}
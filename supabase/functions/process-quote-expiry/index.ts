@@ -0,0 +1,247 @@
+/**
+ * Process Quote Expiry Edge Function
+ * Runs daily from cron (see ADD_QUOTE_EXPIRY_SCHEMA.sql).
+ *
+ * 1. Emails the client a reminder QUOTE_EXPIRY_REMINDER_DAYS (default 3) days
+ *    before a sent revision expires, once per revision.
+ * 2. Expires sent revisions past expires_at that were neither accepted nor
+ *    declined: stamps expired_at, marks the quote expired when it was the
+ *    active revision, flags the deal at risk and notifies the rep.
+ *
+ * Every step is logged to quote_events. Called with the X-Cron-Secret header,
+ * or by an admin for a manual run. Body: { dryRun?: boolean }
+ */
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { errorResponse, successResponse, handleCORS, authenticateRequest, hasRole } from '../_shared/rbac-middleware.ts'
+import { shortQuoteNumber, formatCurrency, formatDate } from '../_shared/quote-pdf.ts'
+
+const OPEN_REVISION_COLUMNS =
+  'id, quote_id, revision_number, revision_type, expires_at, sent_to_emails, public_token, total, tier_options, ' +
+  'quotes!inner(id, status, active_revision_number, owner_user_id, account_id:sites(name))'
+
+serve(async (req) => {
+  const cors = handleCORS(req)
+  if (cors) return cors
+
+  try {
+    const cronSecret = Deno.env.get('CRON_SECRET')
+    if (!cronSecret || req.headers.get('X-Cron-Secret') !== cronSecret) {
+      const context = await authenticateRequest(req)
+      if (!context) return errorResponse('Unauthorized', 401)
+      if (!hasRole(context, ['admin', 'super_admin'])) return errorResponse('Admin access required', 403)
+    }
+
+    const { dryRun = false } = await req.json().catch(() => ({}))
+    const supabase = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+    )
+
+    const reminderDays = Number(Deno.env.get('QUOTE_EXPIRY_REMINDER_DAYS') ?? 3)
+    const now = new Date()
+    const reminderCutoff = new Date(now.getTime() + reminderDays * 24 * 60 * 60 * 1000)
+
+    const reminders = await sendExpiryReminders(supabase, now, reminderCutoff, dryRun)
+    const expired = await expireRevisions(supabase, now, dryRun)
+
+    return successResponse({ dryRun, reminders, expired })
+  } catch (error) {
+    console.error('[ProcessQuoteExpiry] Error:', error)
+    return errorResponse(error instanceof Error ? error.message : 'Failed to process quote expiry', 500)
+  }
+})
+
+// Open = sent, unanswered and not yet expired
+function openRevisions(supabase: any) {
+  return supabase
+    .from('quote_revisions')
+    .select(OPEN_REVISION_COLUMNS)
+    .not('sent_at', 'is', null)
+    .is('accepted_at', null)
+    .is('declined_at', null)
+    .is('expired_at', null)
+    .not('expires_at', 'is', null)
+}
+
+async function sendExpiryReminders(supabase: any, now: Date, cutoff: Date, dryRun: boolean) {
+  const { data: revisions, error } = await openRevisions(supabase)
+    .is('expiry_reminder_sent_at', null)
+    .gt('expires_at', now.toISOString())
+    .lte('expires_at', cutoff.toISOString())
+  if (error) throw error
+
+  const results = []
+  for (const revision of revisions || []) {
+    const emails = Array.isArray(revision.sent_to_emails) ? revision.sent_to_emails.filter(Boolean) : []
+    // Only remind on the revision the client is currently looking at
+    if (emails.length === 0 || revision.quotes.active_revision_number !== revision.revision_number) continue
+    if (dryRun) {
+      results.push({ quote_id: revision.quote_id, revision_number: revision.revision_number, emails })
+      continue
+    }
+
+    // Claim the reminder first so overlapping runs never email twice
+    const { data: claimed, error: claimError } = await supabase
+      .from('quote_revisions')
+      .update({ expiry_reminder_sent_at: now.toISOString() })
+      .eq('id', revision.id)
+      .is('expiry_reminder_sent_at', null)
+      .select('id')
+      .maybeSingle()
+    if (claimError) throw claimError
+    if (!claimed) continue
+
+    try {
+      const messageId = await sendReminderEmail(revision, emails)
+      await logEvent(supabase, revision, 'expiry_reminder_sent', {
+        emails,
+        expires_at: revision.expires_at,
+        message_id: messageId,
+      })
+      results.push({ quote_id: revision.quote_id, revision_number: revision.revision_number, emails })
+    } catch (emailError) {
+      // Release the claim so tomorrow's run retries
+      console.error('[ProcessQuoteExpiry] Reminder email failed:', emailError)
+      await supabase
+        .from('quote_revisions')
+        .update({ expiry_reminder_sent_at: null })
+        .eq('id', revision.id)
+    }
+  }
+  return results
+}
+
+async function expireRevisions(supabase: any, now: Date, dryRun: boolean) {
+  const { data: revisions, error } = await openRevisions(supabase)
+    .lte('expires_at', now.toISOString())
+  if (error) throw error
+
+  const results = []
+  for (const revision of revisions || []) {
+    if (dryRun) {
+      results.push({ quote_id: revision.quote_id, revision_number: revision.revision_number })
+      continue
+    }
+
+    const { data: updated, error: updateError } = await supabase
+      .from('quote_revisions')
+      .update({ expired_at: now.toISOString() })
+      .eq('id', revision.id)
+      .is('expired_at', null)
+      .is('accepted_at', null)
+      .select('id')
+      .maybeSingle()
+    if (updateError) throw updateError
+    if (!updated) continue
+
+    const quote = revision.quotes
+    const isActive = quote.active_revision_number === revision.revision_number
+    if (isActive && ['sent', 'viewed'].includes(quote.status)) {
+      await supabase
+        .from('quotes')
+        .update({ status: 'expired' })
+        .eq('id', quote.id)
+    }
+
+    await logEvent(supabase, revision, 'expired', { expires_at: revision.expires_at })
+
+    const { error: dealError } = await supabase.rpc('on_quote_expired', {
+      p_quote_id: revision.quote_id,
+      p_revision_number: revision.revision_number,
+    })
+    if (dealError) console.error('[ProcessQuoteExpiry] Deal linking failed (revision still expired):', dealError)
+
+    if (isActive && quote.owner_user_id) {
+      await supabase
+        .from('notifications')
+        .insert({
+          user_id: quote.owner_user_id,
+          type: 'system',
+          title: 'Quote Expired',
+          message: `Quote ${shortQuoteNumber(quote.id)}${quote.account_id?.name ? ` for ${quote.account_id.name}` : ''} expired without a response. Re-issue it from the quote to follow up.`,
+          link: `#quotes?quote=${quote.id}`,
+          read: false,
+        })
+    }
+
+    results.push({ quote_id: revision.quote_id, revision_number: revision.revision_number })
+  }
+  return results
+}
+
+async function logEvent(supabase: any, revision: any, eventType: string, metadata: Record<string, unknown>) {
+  const { error } = await supabase
+    .from('quote_events')
+    .insert({
+      quote_id: revision.quote_id,
+      revision_number: revision.revision_number,
+      event_type: eventType,
+      metadata: { ...metadata, source: 'process-quote-expiry' },
+    })
+  if (error) console.error(`[ProcessQuoteExpiry] Failed to log ${eventType} event:`, error)
+}
+
+async function sendReminderEmail(revision: any, emails: string[]): Promise<string | null> {
+  const apiKey = Deno.env.get('resend_api_key') || Deno.env.get('RESEND_API_KEY')
+  if (!apiKey) throw new Error('resend_api_key is not set. Please set it in Supabase secrets.')
+
+  const baseUrl = Deno.env.get('quote_portal_url') || Deno.env.get('QUOTE_PORTAL_URL') || 'https://your-domain.com'
+  const fromEmail = Deno.env.get('resend_from_email') ||
+    Deno.env.get('RESEND_FROM_EMAIL') ||
+    'NFG Facilities <noreply@northernfacilitiesgroup.ca>'
+  const quoteUrl = `${baseUrl}/quote.html?token=${revision.public_token}`
+  const siteName = revision.quotes.account_id?.name || null
+  const expiresOn = formatDate(revision.expires_at)
+  const hasPackages = Array.isArray(revision.tier_options) && revision.tier_options.length > 1
+  const amount = !hasPackages && Number(revision.total) > 0 ? `${formatCurrency(revision.total)}/month` : null
+
+  const html = `
+<!DOCTYPE html>
+<html lang="en">
+<body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f4f7fa;">
+  <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff;">
+    <div style="background: linear-gradient(135deg, #0D47A1 0%, #0A3A84 100%); padding: 32px 30px; text-align: center; color: #ffffff;">
+      <h1 style="margin: 0; font-size: 24px;">Your quote expires ${expiresOn}</h1>
+    </div>
+    <div style="padding: 32px 30px; line-height: 1.6; color: #333333;">
+      <p>This is a friendly reminder that quote ${shortQuoteNumber(revision.quote_id)}${siteName ? ` for ${siteName}` : ''}${amount ? ` (${amount})` : ''} is valid until <strong>${expiresOn}</strong>.</p>
+      <p>You can review and accept it online before then. After it expires, pricing may change.</p>
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${quoteUrl}" style="display: inline-block; padding: 14px 32px; background-color: #0D47A1; color: #ffffff; text-decoration: none; border-radius: 8px; font-weight: 600;">Review Quote →</a>
+      </div>
+      <p style="color: #666666; font-size: 14px;">
+        If the button doesn't work, copy and paste this link into your browser:<br>
+        <a href="${quoteUrl}" style="color: #0D47A1; word-break: break-all;">${quoteUrl}</a>
+      </p>
+      <p style="margin: 24px 0 0 0; color: #555555;">
+        Questions? Just reply to this email.<br>
+        <strong style="color: #0D47A1;">The Northern Facilities Group Team</strong>
+      </p>
+    </div>
+  </div>
+</body>
+</html>
+  `
+
+  const response = await fetch('https://api.resend.com/emails', {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      from: fromEmail,
+      to: emails,
+      subject: `Reminder: your cleaning quote expires ${expiresOn}`,
+      html,
+    }),
+  })
+
+  const data = await response.json()
+  if (!response.ok) {
+    throw new Error(`Failed to send reminder: ${data.message || JSON.stringify(data)}`)
+  }
+  return data.id || null
+}
@@ -0,0 +1,427 @@
+/**
+ * Sign Quote Edge Function
+ * Records a client's e-signature on a final quote from the public portal.
+ *
+ * Body: { token, signerName, signerEmail, signerTitle?, method: 'drawn' | 'typed',
+ *         typedSignature?, signatureImage (PNG data URL), selectedTier?, acknowledged: true }
+ *
+ * Timestamps, IP and user agent are taken from the request on the server, and
+ * the exact revision content is hashed here rather than trusted from the browser.
+ * A signing certificate is appended to the locked revision PDF as a separate
+ * signed copy, and stored in quote_signatures next to the 'accepted' quote event.
+ * The accepted quote is then provisioned (site, service agreement, recurring jobs)
+ * here with the service role, since the portal signer has no access to those tables.
+ */
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts'
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { PDFDocument, StandardFonts } from 'https://esm.sh/pdf-lib@1.17.1'
+import { errorResponse, successResponse, handleCORS } from '../_shared/rbac-middleware.ts'
+import {
+  QUOTE_PDF_BUCKET,
+  COLORS,
+  PAGE_WIDTH,
+  MARGIN,
+  PdfWriter,
+  buildPdfResponse,
+  shortQuoteNumber,
+  sanitize,
+  formatCurrency,
+  sha256Hex,
+} from '../_shared/quote-pdf.ts'
+import { hashRevisionContent } from '../_shared/quote-signature.ts'
+import { provisionAcceptedQuote, notifyServiceProvisioned } from '../_shared/quote-provisioning.ts'
+
+const CONSENT_TEXT =
+  'I agree that my electronic signature is the legal equivalent of my handwritten signature, ' +
+  'and I accept this quote and its terms as a binding agreement.'
+
+const MAX_SIGNATURE_BYTES = 300 * 1024
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+serve(async (req) => {
+  const cors = handleCORS(req)
+  if (cors) return cors
+
+  try {
+    const {
+      token,
+      signerName,
+      signerEmail,
+      signerTitle,
+      method,
+      typedSignature,
+      signatureImage,
+      selectedTier,
+      acknowledged,
+    } = await req.json()
+
+    // Validate inputs
+    if (!token || !signerName?.trim() || !signerEmail?.trim()) {
+      return errorResponse('Missing required fields: token, signerName, signerEmail', 400)
+    }
+    if (!EMAIL_PATTERN.test(signerEmail.trim())) {
+      return errorResponse('A valid email address is required', 400)
+    }
+    if (acknowledged !== true) {
+      return errorResponse('The signer must accept the electronic signature terms', 400)
+    }
+    if (!['drawn', 'typed'].includes(method)) {
+      return errorResponse('Signature method must be drawn or typed', 400)
+    }
+    if (method === 'typed' && !typedSignature?.trim()) {
+      return errorResponse('Typed signatures require the typed name', 400)
+    }
+    const signaturePng = decodePngDataUrl(signatureImage)
+    if (!signaturePng) {
+      return errorResponse('Signature image must be a PNG data URL', 400)
+    }
+    if (signaturePng.byteLength > MAX_SIGNATURE_BYTES) {
+      return errorResponse('Signature image is too large', 413)
+    }
+
+    const supabase = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+    )
+
+    let revision = await loadRevisionByToken(supabase, token)
+    if (!revision || !revision.sent_at) {
+      return errorResponse('Quote not found', 404)
+    }
+    if (revision.revision_type !== 'final_quote') {
+      return errorResponse('Only final quotes can be signed', 400)
+    }
+    if (revision.accepted_at || revision.signature_id) {
+      return errorResponse('This quote has already been accepted', 409)
+    }
+    if (revision.declined_at) {
+      return errorResponse('This quote has been declined', 409)
+    }
+    if (revision.expires_at && new Date(revision.expires_at) < new Date()) {
+      return errorResponse('This quote has expired', 410)
+    }
+
+    // The certificate is appended to the locked PDF, so make sure it exists
+    if (!revision.pdf_locked_at) {
+      const { error: pdfError } = await supabase.functions.invoke('generate-quote-pdf', {
+        method: 'POST',
+        body: { token },
+      })
+      if (pdfError) throw pdfError
+      revision = await loadRevisionByToken(supabase, token)
+      if (!revision?.pdf_locked_at) {
+        throw new Error('Quote PDF could not be locked for signing')
+      }
+    }
+
+    const { data: lineItems, error: itemsError } = await supabase
+      .from('quote_line_items')
+      .select('*')
+      .eq('quote_id', revision.quote_id)
+      .eq('revision_number', revision.revision_number)
+      .order('display_order', { ascending: true })
+    if (itemsError) throw itemsError
+
+    // Good / Better / Best quotes: the client's package sets the accepted amounts
+    const tierOptions = Array.isArray(revision.tier_options) ? revision.tier_options : []
+    const tier = tierOptions.length > 1
+      ? tierOptions.find((option: any) => option.key === selectedTier)
+      : null
+    if (tierOptions.length > 1 && !tier) {
+      return errorResponse('Select one of the offered packages', 400)
+    }
+    const tierAmounts = tier
+      ? {
+          selected_tier: tier.key,
+          subtotal: tier.subtotal,
+          tax: tier.tax,
+          total: tier.total,
+          tax_lines: tier.tax_lines || [],
+          tax_jurisdiction: tier.tax_jurisdiction || revision.tax_jurisdiction,
+        }
+      : {}
+
+    const contentHash = await hashRevisionContent({ ...revision, ...tierAmounts }, lineItems || [])
+
+    // Verify the stored PDF is the one that was locked
+    const { data: pdfBlob, error: downloadError } = await supabase.storage
+      .from(QUOTE_PDF_BUCKET)
+      .download(revision.pdf_url)
+    if (downloadError) throw downloadError
+    const pdfBytes = new Uint8Array(await pdfBlob.arrayBuffer())
+    if (await sha256Hex(pdfBytes) !== revision.pdf_sha256) {
+      throw new Error('Stored quote PDF does not match its recorded hash')
+    }
+
+    const { data: firstView } = await supabase
+      .from('quote_events')
+      .select('timestamp')
+      .eq('quote_id', revision.quote_id)
+      .eq('revision_number', revision.revision_number)
+      .eq('event_type', 'viewed')
+      .order('timestamp', { ascending: true })
+      .limit(1)
+      .maybeSingle()
+
+    const signatureId = crypto.randomUUID()
+    const signedAt = new Date().toISOString()
+    const ipAddress = getRequestIP(req)
+    const userAgent = req.headers.get('user-agent')
+
+    const certificate = {
+      signature_id: signatureId,
+      quote_id: revision.quote_id,
+      quote_number: shortQuoteNumber(revision.quote_id),
+      revision_number: revision.revision_number,
+      signer: {
+        name: signerName.trim(),
+        email: signerEmail.trim().toLowerCase(),
+        title: signerTitle?.trim() || null,
+      },
+      signature_method: method,
+      selected_tier: tier ? { key: tier.key, name: tier.name, total: tier.total } : null,
+      consent: CONSENT_TEXT,
+      document: {
+        hash_algorithm: 'SHA-256',
+        content_hash: contentHash,
+        pdf_path: revision.pdf_url,
+        pdf_sha256: revision.pdf_sha256,
+      },
+      timeline: {
+        sent_at: revision.sent_at,
+        first_viewed_at: firstView?.timestamp || null,
+        signed_at: signedAt,
+      },
+      ip_address: ipAddress,
+      user_agent: userAgent,
+    }
+
+    const signedBytes = await appendSigningCertificate(pdfBytes, certificate, signaturePng)
+    const signedSha256 = await sha256Hex(signedBytes)
+    const signedPath = `${revision.quote_id}/revision-${revision.revision_number}-signed.pdf`
+
+    // upsert: false — a second concurrent signature fails here instead of replacing the first
+    const { error: uploadError } = await supabase.storage
+      .from(QUOTE_PDF_BUCKET)
+      .upload(signedPath, signedBytes, { contentType: 'application/pdf', upsert: false })
+    if (uploadError) {
+      return errorResponse('This quote is already being signed', 409)
+    }
+
+    const { error: signatureError } = await supabase
+      .from('quote_signatures')
+      .insert({
+        id: signatureId,
+        quote_id: revision.quote_id,
+        revision_number: revision.revision_number,
+        signer_name: certificate.signer.name,
+        signer_email: certificate.signer.email,
+        signer_title: certificate.signer.title,
+        signature_method: method,
+        typed_signature: method === 'typed' ? typedSignature.trim() : null,
+        signature_image: signatureImage,
+        content_hash: contentHash,
+        pdf_sha256: revision.pdf_sha256,
+        signed_pdf_url: signedPath,
+        signed_pdf_sha256: signedSha256,
+        ip_address: ipAddress,
+        user_agent: userAgent,
+        signed_at: signedAt,
+        certificate,
+      })
+    if (signatureError) throw signatureError
+
+    const { data: updated, error: updateError } = await supabase
+      .from('quote_revisions')
+      .update({
+        accepted_at: signedAt,
+        accepted_by_name: certificate.signer.name,
+        accepted_by_email: certificate.signer.email,
+        accepted_ip: ipAddress,
+        signature_id: signatureId,
+        signed_pdf_url: signedPath,
+        signed_pdf_sha256: signedSha256,
+        ...tierAmounts,
+      })
+      .eq('id', revision.id)
+      .is('accepted_at', null)
+      .select('*')
+      .maybeSingle()
+    if (updateError) throw updateError
+    if (!updated) {
+      return errorResponse('This quote has already been accepted', 409)
+    }
+
+    await supabase
+      .from('quotes')
+      .update({ status: 'accepted' })
+      .eq('id', revision.quote_id)
+
+    await supabase
+      .from('quote_events')
+      .insert({
+        quote_id: revision.quote_id,
+        revision_number: revision.revision_number,
+        event_type: 'accepted',
+        metadata: {
+          name: certificate.signer.name,
+          email: certificate.signer.email,
+          ip: ipAddress,
+          signature_id: signatureId,
+          signature_method: method,
+          selected_tier: tier?.key || null,
+          content_hash: contentHash,
+          signed_pdf_sha256: signedSha256,
+        },
+      })
+
+    // The signature stands even if provisioning fails; staff can provision from the quote detail
+    try {
+      const { agreement, created } = await provisionAcceptedQuote(supabase, revision.quote_id, revision.revision_number)
+      if (created) await notifyServiceProvisioned(supabase, revision.quote_id, agreement)
+    } catch (provisionError) {
+      console.error('[SignQuote] Provisioning failed (quote still accepted):', provisionError)
+    }
+
+    return successResponse({
+      signature_id: signatureId,
+      signed_at: signedAt,
+      content_hash: contentHash,
+      certificate,
+      pdf: await buildPdfResponse(supabase, updated),
+    })
+  } catch (error) {
+    console.error('[SignQuote] Error:', error)
+    return errorResponse(error instanceof Error ? error.message : 'Failed to sign quote', 500)
+  }
+})
+
+async function loadRevisionByToken(supabase: any, token: string) {
+  const { data, error } = await supabase
+    .from('quote_revisions')
+    .select('*')
+    .eq('public_token', token)
+    .maybeSingle()
+  if (error) throw error
+  return data
+}
+
+function getRequestIP(req: Request): string | null {
+  const forwarded = req.headers.get('x-forwarded-for')
+  if (forwarded) return forwarded.split(',')[0].trim()
+  return req.headers.get('cf-connecting-ip') || req.headers.get('x-real-ip') || null
+}
+
+function decodePngDataUrl(dataUrl: unknown): Uint8Array | null {
+  if (typeof dataUrl !== 'string' || !dataUrl.startsWith('data:image/png;base64,')) return null
+  try {
+    const binary = atob(dataUrl.slice('data:image/png;base64,'.length))
+    return Uint8Array.from(binary, c => c.charCodeAt(0))
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Copy the locked PDF and append a signing certificate page
+ */
+async function appendSigningCertificate(pdfBytes: Uint8Array, certificate: any, signaturePng: Uint8Array) {
+  const doc = await PDFDocument.load(pdfBytes)
+  const originalPageCount = doc.getPageCount()
+  const font = await doc.embedFont(StandardFonts.Helvetica)
+  const bold = await doc.embedFont(StandardFonts.HelveticaBold)
+  const signature = await doc.embedPng(signaturePng)
+  const w = new PdfWriter(doc, font, bold)
+
+  w.text('Signing Certificate', { size: 20, bold: true })
+  w.y -= 18
+  w.text(`Quote ${certificate.quote_number}, revision ${certificate.revision_number}`, { size: 10, color: COLORS.muted })
+  w.y -= 20
+
+  // Signature
+  w.heading('Signature')
+  const scale = Math.min(220 / signature.width, 70 / signature.height, 1)
+  const imageHeight = signature.height * scale
+  w.ensureSpace(imageHeight + 60)
+  w.page.drawImage(signature, {
+    x: MARGIN,
+    y: w.y - imageHeight + 10,
+    width: signature.width * scale,
+    height: imageHeight,
+  })
+  w.y -= imageHeight + 6
+  w.rule(COLORS.text)
+  w.y -= 14
+  w.text(certificate.signer.name, { bold: true })
+  w.y -= 14
+  if (certificate.signer.title) {
+    w.text(certificate.signer.title, { size: 9 })
+    w.y -= 13
+  }
+  w.text(certificate.signer.email, { size: 9, color: COLORS.muted })
+  w.y -= 13
+  w.text(`Signature method: ${certificate.signature_method === 'drawn' ? 'Drawn' : 'Typed'}`, { size: 9, color: COLORS.muted })
+  w.y -= 10
+
+  // Document
+  w.heading('Signed Document')
+  const rows: [string, string][] = []
+  if (certificate.selected_tier) {
+    rows.push(['Selected package', `${certificate.selected_tier.name} (${formatCurrency(certificate.selected_tier.total)} incl. tax)`])
+  }
+  rows.push(
+    ['Content hash (SHA-256)', certificate.document.content_hash],
+    ['Quote PDF hash (SHA-256)', certificate.document.pdf_sha256],
+    ['Signature ID', certificate.signature_id],
+  )
+  for (const [label, value] of rows) {
+    certificateRow(w, label, value)
+  }
+  w.y -= 4
+  w.paragraph(
+    `The content hash covers the quote revision and its line items as they were stored when the signer accepted. ` +
+      `The PDF hash identifies pages 1-${originalPageCount} of this document, which were locked when the quote was sent.`,
+    { size: 8, color: COLORS.muted }
+  )
+
+  // Audit trail
+  w.heading('Audit Trail')
+  certificateRow(w, 'Quote sent', formatTimestamp(certificate.timeline.sent_at))
+  certificateRow(w, 'First viewed', formatTimestamp(certificate.timeline.first_viewed_at))
+  certificateRow(w, 'Signed', formatTimestamp(certificate.timeline.signed_at))
+  certificateRow(w, 'IP address', certificate.ip_address || 'Not available')
+  certificateRow(w, 'User agent', certificate.user_agent || 'Not available')
+
+  // Consent
+  w.heading('Electronic Signature Consent')
+  w.paragraph(certificate.consent, { size: 9 })
+
+  // Footer on certificate pages only; the quote pages keep their own numbering
+  const pages = doc.getPages()
+  pages.slice(originalPageCount).forEach((page, index, certificatePages) => {
+    const label = sanitize(`Signing certificate ${certificate.signature_id}  |  Page ${index + 1} of ${certificatePages.length}`)
+    page.drawLine({
+      start: { x: MARGIN, y: MARGIN + 12 },
+      end: { x: PAGE_WIDTH - MARGIN, y: MARGIN + 12 },
+      thickness: 0.5,
+      color: COLORS.rule,
+    })
+    page.drawText(label, { x: MARGIN, y: MARGIN, size: 8, font, color: COLORS.muted })
+  })
+
+  return await doc.save()
+}
+
+function certificateRow(w: PdfWriter, label: string, value: string) {
+  const valueX = MARGIN + 150
+  w.ensureSpace(14)
+  w.text(label, { size: 9, color: COLORS.muted })
+  w.paragraph(value, { x: valueX, width: PAGE_WIDTH - MARGIN - valueX, size: 9 })
+  w.y -= 2
+}
+
+function formatTimestamp(value: string | null): string {
+  if (!value) return 'Not recorded'
+  return `${new Date(value).toISOString().replace('T', ' ').slice(0, 19)} UTC`
+}
@@ -0,0 +1,9 @@
+// Module entry for the NFG service worker
+// Registered by js/pwa.js where module workers and Background Sync are supported.
+// Runs the classic worker (sw.js) and gives it the background queue flush it uses
+// when the browser fires sync with no app window open.
+
+import { flushQueueInBackground } from './js/background-sync.js';
+import './sw.js';
+
+self.flushQueueInBackground = flushQueueInBackground;
@@ -3,10 +3,13 @@
 // Features:
 // - Push notifications
 // - Offline caching
-// - Background sync for queued operations
+// - Background sync for queued operations (replayed here when no app window is open)
 // - Automatic sync when device comes back online
+// Classic script so every browser gets it; where module workers and Background Sync are
+// supported, js/pwa.js registers sw-module.js instead, which loads this file and adds
+// self.flushQueueInBackground to replay the queue with no app window open
 
-const CACHE_NAME = 'nfg-app-v3.1'; // Cache version
+const CACHE_NAME = 'nfg-app-v3.3'; // Cache version
 const OFFLINE_URL = '/offline.html';
 
 // Files to cache immediately
@@ -20,6 +23,7 @@ const PRECACHE_URLS = [
   '/reports.html',
   '/settings.html',
   '/inventory.html',
+  '/walkthrough.html',
   '/offline.html',
   '/manifest.json',
   '/js/pwa.js',
@@ -394,30 +398,33 @@ self.addEventListener('message', (event) => {
 // ============================================
 // This event fires when the browser detects the device is back online
 // and there are pending operations queued for sync.
-// The service worker requests the client to sync queued operations to Supabase.
+// An open app syncs its own queue; otherwise the module worker replays it from IndexedDB.
 self.addEventListener('sync', (event) => {
   console.log('[SW v3] Background sync triggered:', event.tag);
   
   if (event.tag === 'sync-data' || event.tag === 'nfg-offline-sync') {
-    event.waitUntil(
-      requestSyncFromClient()
-        .then((result) => {
-          console.log('[SW v3] Background sync request sent to client:', result);
-        })
-        .catch((error) => {
-          console.error('[SW v3] Background sync request failed:', error);
-          // Retry sync if it fails (browser will retry automatically)
-          // But we can also manually retry after a delay
-          setTimeout(() => {
-            requestSyncFromClient().catch(err => {
-              console.warn('[SW v3] Retry sync also failed:', err);
-            });
-          }, 5000);
-        })
-    );
+    event.waitUntil(syncQueuedOperations());
   }
 });
 
+async function syncQueuedOperations() {
+  const windowClients = await self.clients.matchAll({ type: 'window' });
+
+  if (windowClients.length > 0 || typeof self.flushQueueInBackground !== 'function') {
+    const result = await requestSyncFromClient();
+    console.log('[SW v3] Background sync request sent to client:', result);
+    return;
+  }
+
+  const result = await self.flushQueueInBackground();
+  console.log('[SW v3] Background sync replayed queue:', result);
+
+  // Rejecting hands the retry back to the browser, which fires sync again later with backoff
+  if (result.failed > 0) {
+    throw new Error(`${result.failed} queued operation(s) failed to sync`);
+  }
+}
+
 // ============================================
 // REQUEST SYNC FROM CLIENT
 // ============================================
@@ -0,0 +1,121 @@
+/**
+ * Quote Discount Tests
+ * Percent / amount discounts, approval thresholds and per-rep reporting
+ */
+
+import { describe, it, expect } from 'vitest'
+import { QUOTE_CONFIG, PRICEBOOK_DEFAULTS } from '../../js/quote-engine/config.js'
+import { calculateQuote } from '../../js/quote-engine/calculator.js'
+import { validatePricebookConfig } from '../../js/quote-engine/pricebook.js'
+import {
+  applyDiscounts,
+  discountPricedResult,
+  priceManualLineItems,
+  requiredDiscountApprover,
+  summarizeDiscountsByRep,
+  toRevisionDiscount,
+  validateDiscount,
+  validateLineDiscounts
+} from '../../js/quote-engine/discounts.js'
+
+const officeInputs = {
+  service_type: 'commercial_office',
+  sqft_estimate: 1500,
+  frequency_per_month: 4,
+  num_washrooms: 2
+}
+
+describe('Quote Discounts', () => {
+  it('applies line discounts before the whole-quote discount', () => {
+    const result = applyDiscounts([
+      { description: 'Cleaning', quantity: 4, unit_price: 100, discount_type: 'percent', discount_value: 10 },
+      { description: 'Windows', quantity: 1, unit_price: 200, discount_type: 'amount', discount_value: 50 },
+      { description: 'Estimate', unit: 'range', range_low: 100, range_high: 200 }
+    ], { type: 'percent', value: 5, reason: 'multi_site' })
+
+    expect(result.list_subtotal).toBe(600)
+    expect(result.line_discount_total).toBe(90)
+    expect(result.quote_discount_amount).toBe(25.5)
+    expect(result.subtotal).toBe(484.5)
+    expect(result.discount_pct).toBeCloseTo(115.5 / 600, 4)
+  })
+
+  it('never discounts below zero', () => {
+    const result = applyDiscounts([{ quantity: 1, unit_price: 80, discount_type: 'amount', discount_value: 500 }])
+    expect(result.subtotal).toBe(0)
+    expect(result.discount_total).toBe(80)
+  })
+
+  it('requires a reason code, and a note for "other"', () => {
+    expect(validateDiscount(null)).toEqual([])
+    expect(validateDiscount({ type: 'percent', value: 10 })).toHaveLength(1)
+    expect(validateDiscount({ type: 'percent', value: 10, reason: 'other' })).toHaveLength(1)
+    expect(validateDiscount({ type: 'percent', value: 10, reason: 'other', note: 'Board member' })).toEqual([])
+    expect(validateDiscount({ type: 'percent', value: 120, reason: 'promotion' })).toHaveLength(1)
+  })
+
+  it('escalates approval from manager to admin above the thresholds', () => {
+    expect(requiredDiscountApprover(0)).toBeNull()
+    expect(requiredDiscountApprover(PRICEBOOK_DEFAULTS.discounts.managerApprovalPct)).toBeNull()
+    expect(requiredDiscountApprover(0.15)).toBe('manager')
+    expect(requiredDiscountApprover(0.4)).toBe('admin')
+    expect(requiredDiscountApprover(0.15, { managerApprovalPct: 0.2, adminApprovalPct: 0.3 })).toBeNull()
+  })
+
+  it('discounts an engine price, re-taxing it and re-checking the margin', () => {
+    const quote = calculateQuote(officeInputs)
+    const discount = { type: 'percent', value: 40, reason: 'competitive_match' }
+    const discounted = discountPricedResult(quote, discount, officeInputs)
+
+    expect(discounted.list_price_ex_hst).toBe(quote.monthly_price_ex_hst)
+    expect(discounted.monthly_price_ex_hst).toBeCloseTo(quote.monthly_price_ex_hst * 0.6, 2)
+    expect(discounted.hst_amount).toBeCloseTo(discounted.monthly_price_ex_hst * QUOTE_CONFIG.hstRate, 2)
+    expect(discounted.margin.gross_margin_pct).toBeLessThan(quote.margin.gross_margin_pct)
+    expect(discounted.line_items[discounted.line_items.length - 1].amount).toBe(-discounted.discount_amount)
+
+    const revision = toRevisionDiscount(discount, [discounted])
+    expect(revision.discount_pct).toBeCloseTo(0.4, 3)
+    expect(revision.discount.admin_approval_pct).toBe(PRICEBOOK_DEFAULTS.discounts.adminApprovalPct)
+  })
+
+  it('counts typed prices below the engine price as a discount', () => {
+    const lines = [
+      { name: 'Cleaning', quantity: 4, unit_price: 150, discount_type: 'percent', discount_value: 10, discount_reason: 'multi_site' },
+      { name: 'Windows', quantity: 1, unit_price: 100, discount_reason: 'competitive_match' }
+    ]
+
+    const result = priceManualLineItems(lines, 1000)
+    expect(result.subtotal).toBe(640)
+    expect(result.list_subtotal).toBe(1000)
+    expect(result.discount_total).toBe(360)
+    expect(result.discount_pct).toBe(0.36)
+    expect(result.discount).toMatchObject({ reason: 'multi_site', note: 'Line items priced below the quote engine' })
+    expect(result.lines[0]).toMatchObject({ discount_amount: 60, discount_reason: 'multi_site' })
+    expect(requiredDiscountApprover(result.discount_pct)).toBe('admin')
+
+    expect(priceManualLineItems([{ quantity: 1, unit_price: 1200 }], 1000).discount).toBeNull()
+    expect(priceManualLineItems([{ quantity: 1, unit_price: 900 }], 1000).discount.reason).toBeNull()
+  })
+
+  it('requires a reason on every discounted line', () => {
+    expect(validateLineDiscounts([{ discount_value: 10, discount_reason: 'referral' }, { discount_value: 0 }])).toEqual([])
+    expect(validateLineDiscounts([{ discount_value: 10 }])).toEqual(['Choose a reason for each discounted line'])
+    expect(validateLineDiscounts([{ discount_type: 'percent', discount_value: 150, discount_reason: 'promotion' }])).toHaveLength(1)
+  })
+
+  it('summarizes discount given per rep', () => {
+    const report = summarizeDiscountsByRep([
+      { owner_user_id: 'a', list_subtotal: 1000, discount_total: 100, discount_pct: 0.1 },
+      { owner_user_id: 'a', subtotal: 1000, discount_total: 0, discount_pct: 0 },
+      { owner_user_id: 'b', list_subtotal: 500, discount_total: 150, discount_pct: 0.3 }
+    ])
+
+    expect(report.map(rep => rep.owner_user_id)).toEqual(['b', 'a'])
+    expect(report[1]).toMatchObject({ quotes: 2, discounted_quotes: 1, discount_total: 100, discount_pct: 0.05, max_discount_pct: 0.1 })
+  })
+
+  it('rejects an admin threshold below the manager threshold', () => {
+    const { errors } = validatePricebookConfig({ ...QUOTE_CONFIG, discounts: { managerApprovalPct: 0.3, adminApprovalPct: 0.2 } })
+    expect(errors).toContain('discounts.adminApprovalPct: must not be below managerApprovalPct')
+  })
+})
@@ -0,0 +1,91 @@
+/**
+ * Dispatch Planner Tests
+ * Jobs to stops (windows, durations, all-day), skill matching, per-worker schedules and accepted job updates
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  parseSkills,
+  jobsToDispatchStops,
+  generateDispatchPlan,
+  dispatchAssignments
+} from '../../js/dispatch-planner.js'
+import { UNASSIGNED_REASONS } from '../../js/route-optimizer.js'
+
+const date = '2026-03-10'
+const at = (hours, minutes = 0) => new Date(2026, 2, 10, hours, minutes).toISOString()
+
+const site = (name, lat, lng) => ({ name, address: `${name} St`, latitude: lat, longitude: lng })
+
+const jobs = [
+  { id: 'j1', title: 'Office clean', priority: 'medium', scheduled_datetime: at(9), is_all_day: false, estimated_hours: 2, required_skills: [], sites: site('Office', 43.6532, -79.3832) },
+  { id: 'j2', title: 'Floor strip', priority: 'high', scheduled_datetime: at(8), is_all_day: true, estimated_hours: 3, required_skills: ['floor_care'], sites: site('Warehouse', 43.6600, -79.3900) },
+  { id: 'j3', title: 'Clinic clean', priority: 'low', scheduled_datetime: at(13), scheduled_window_end: at(14), is_all_day: false, estimated_hours: 1.5, required_skills: [], sites: site('Clinic', 43.6700, -79.4000) }
+]
+
+const workers = [
+  { id: 'w1', full_name: 'Alex', skills: ['floor_care'], home_latitude: 43.6500, home_longitude: -79.3800 },
+  { id: 'w2', full_name: 'Sam', skills: [] }
+]
+
+describe('Dispatch planner', () => {
+  it('normalises typed skills', () => {
+    expect(parseSkills(' Floor care, windows,, floor_care ')).toEqual(['floor_care', 'windows'])
+    expect(parseSkills(null)).toEqual([])
+  })
+
+  it('turns jobs into must-visit stops with arrival windows and durations', () => {
+    const [office, floor, clinic] = jobsToDispatchStops(jobs, { windowMinutes: 60 })
+
+    expect(office).toMatchObject({ timeWindowStartMinutes: 540, timeWindowEndMinutes: 600, serviceDurationMinutes: 120, mustVisit: true, siteName: 'Office' })
+    expect(floor).toMatchObject({ timeWindowStartMinutes: null, timeWindowEndMinutes: null, serviceDurationMinutes: 180, priority: 4 })
+    expect(clinic).toMatchObject({ timeWindowStartMinutes: 780, timeWindowEndMinutes: 840, serviceDurationMinutes: 90 })
+  })
+
+  it('only gives jobs to workers with the required skills', () => {
+    const plan = generateDispatchPlan({ jobs, workers })
+    expect(plan.success).toBe(true)
+    expect(plan.unassigned).toHaveLength(0)
+
+    const floorRoute = plan.routes.find(route => route.route.some(entry => entry.stop.id === 'j2'))
+    expect(floorRoute.rep.id).toBe('w1')
+
+    const unskilled = generateDispatchPlan({ jobs, workers: [workers[1]] })
+    expect(unskilled.unassigned.map(item => item.stopId)).toEqual(['j2'])
+    expect(unskilled.unassigned[0].reason).toBe(UNASSIGNED_REASONS.MISSING_SKILLS)
+  })
+
+  it('schedules timed jobs inside their windows', () => {
+    const plan = generateDispatchPlan({ jobs, workers })
+    const entries = plan.routes.flatMap(route => route.route)
+    const office = entries.find(entry => entry.stop.id === 'j1')
+    const clinic = entries.find(entry => entry.stop.id === 'j3')
+
+    expect(office.plannedStartMinutes).toBeGreaterThanOrEqual(540)
+    expect(office.plannedStartMinutes).toBeLessThanOrEqual(660)
+    expect(clinic.plannedStartMinutes).toBeGreaterThanOrEqual(780)
+    expect(clinic.plannedStartMinutes).toBeLessThanOrEqual(840)
+  })
+
+  it('turns an accepted plan into job assignments and start times', () => {
+    const plan = generateDispatchPlan({ jobs, workers })
+    const assignments = dispatchAssignments(plan, date)
+    expect(assignments).toHaveLength(3)
+
+    const clinic = assignments.find(assignment => assignment.jobId === 'j3')
+    const entry = plan.routes.flatMap(route => route.route).find(e => e.stop.id === 'j3')
+    expect(clinic.update).toEqual({
+      assigned_worker_id: clinic.workerId,
+      scheduled_datetime: new Date(2026, 2, 10, 0, entry.plannedStartMinutes).toISOString(),
+      scheduled_window_end: at(14),
+      is_all_day: false
+    })
+    expect(assignments.find(assignment => assignment.jobId === 'j2').update.scheduled_window_end).toBeNull()
+  })
+
+  it('reports days it cannot plan', () => {
+    expect(generateDispatchPlan({ jobs: [], workers }).error).toBe('No jobs to dispatch')
+    const unlocated = jobs.map(job => ({ ...job, sites: { name: job.sites.name } }))
+    expect(generateDispatchPlan({ jobs: unlocated, workers }).success).toBe(false)
+  })
+})
@@ -0,0 +1,147 @@
+/**
+ * GPS Breadcrumbs Tests
+ * Jitter filtering, dwell detection against recorded visits, trip attribution and the mileage log export
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  cleanBreadcrumbs,
+  pathDistanceKm,
+  detectDwells,
+  matchDwellsToStops,
+  splitTrips,
+  buildMileageLog,
+  mileageLogToCsv,
+  DWELL_STATUS,
+  TRIP_ATTRIBUTION
+} from '../../js/gps-breadcrumbs.js'
+
+// Midday UTC keeps every fix on the same local day in any test timezone
+const DAY = Date.UTC(2026, 2, 10, 12, 0, 0)
+const at = (minutes) => new Date(DAY + minutes * 60 * 1000).toISOString()
+
+const home = { lat: 43.6500, lng: -79.4000 }
+const site = { lat: 43.6500, lng: -79.3800 } // About 1.6 km east
+
+// Fix every minute; wobble puts the point a few metres off its true position
+function fix(minutes, position, extra = {}) {
+  const wobble = ((minutes * 7) % 5 - 2) * 0.00002
+  return { latitude: position.lat + wobble, longitude: position.lng - wobble, recorded_at: at(minutes), accuracy: 10, user_id: 'u1', ...extra }
+}
+
+// Sit at home, drive east to the site over 4 minutes, sit at the site
+function commute(extra = {}) {
+  const rows = []
+  for (let m = 0; m <= 5; m++) rows.push(fix(m, home, extra))
+  for (let step = 1; step <= 4; step++) {
+    rows.push(fix(5 + step, { lat: home.lat, lng: home.lng + (site.lng - home.lng) * step / 4 }, extra))
+  }
+  for (let m = 10; m <= 20; m++) rows.push(fix(m, site, extra))
+  return rows
+}
+
+describe('Breadcrumb cleaning', () => {
+  it('drops inaccurate fixes and impossible jumps', () => {
+    const rows = [
+      fix(0, home),
+      { ...fix(1, home), accuracy: 500 },
+      fix(2, { lat: 44.6500, lng: -79.4000 }), // 110 km away a minute later
+      fix(3, home)
+    ]
+    const { points, dropped } = cleanBreadcrumbs(rows)
+    expect(points).toHaveLength(2)
+    expect(dropped).toMatchObject({ inaccurate: 1, jumps: 1 })
+  })
+
+  it('adds no distance for a phone jittering in place', () => {
+    const { points } = cleanBreadcrumbs(Array.from({ length: 60 }, (_, m) => fix(m, home)))
+    expect(pathDistanceKm(points)).toBe(0)
+  })
+
+  it('measures the drive', () => {
+    const { points } = cleanBreadcrumbs(commute())
+    expect(pathDistanceKm(points)).toBeGreaterThan(1.5)
+    expect(pathDistanceKm(points)).toBeLessThan(1.8)
+  })
+})
+
+describe('Dwells and visits', () => {
+  const { points } = cleanBreadcrumbs(commute())
+  const dwells = detectDwells(points)
+
+  it('finds the stops at each end of the drive', () => {
+    expect(dwells).toHaveLength(2)
+    expect(dwells[0].minutes).toBe(5)
+    expect(dwells[1].minutes).toBe(11) // The last drive fix is already at the site
+  })
+
+  it('confirms visits, and flags stops without a visit and visits without a stop', () => {
+    const stops = [
+      { id: 'door-home', latitude: home.lat, longitude: home.lng },
+      { id: 'door-site', latitude: site.lat, longitude: site.lng + 0.0003 }, // About 25 m off
+      { id: 'door-far', latitude: 43.7, longitude: -79.3 }
+    ]
+    const visits = [
+      { id: 'v1', stopId: 'door-site', visitedAt: at(15) },
+      { id: 'v2', stopId: 'door-far', visitedAt: at(16) }
+    ]
+    const result = matchDwellsToStops(dwells, stops, visits)
+
+    expect(result.confirmed).toHaveLength(1)
+    expect(result.confirmed[0]).toMatchObject({ status: DWELL_STATUS.CONFIRMED, stop: { id: 'door-site' }, visit: { id: 'v1' } })
+    expect(result.unrecorded.map(dwell => dwell.stop.id)).toEqual(['door-home'])
+    expect(result.unverified.map(visit => visit.id)).toEqual(['v2'])
+    expect(matchDwellsToStops(dwells, [], []).unknown).toHaveLength(2)
+  })
+})
+
+describe('Trips and mileage log', () => {
+  it('attributes a trip to the route its points were recorded on', () => {
+    const { points } = cleanBreadcrumbs(commute({ route_id: 'r1' }))
+    const trips = splitTrips(points)
+    expect(trips).toHaveLength(1)
+    expect(trips[0]).toMatchObject({ routeId: 'r1', jobId: null, attribution: TRIP_ATTRIBUTION.RECORDED })
+  })
+
+  it('attributes an untagged trip to the job at its destination', () => {
+    const { points } = cleanBreadcrumbs(commute())
+    const jobs = [{ id: 'job-1', latitude: site.lat, longitude: site.lng }]
+    expect(splitTrips(points, { jobs })[0]).toMatchObject({ jobId: 'job-1', attribution: TRIP_ATTRIBUTION.DESTINATION })
+    expect(splitTrips(points)[0].attribution).toBe(TRIP_ATTRIBUTION.NONE)
+
+    // Leaving a job the rep was working doesn't make the next drive part of it
+    const leaving = cleanBreadcrumbs(commute().map((row, i) => i <= 5 ? { ...row, job_id: 'job-0' } : row)).points
+    expect(splitTrips(leaving, { jobs })[0]).toMatchObject({ jobId: 'job-1', attribution: TRIP_ATTRIBUTION.DESTINATION })
+  })
+
+  it('ends a trip where fixes stop for a long time', () => {
+    const rows = []
+    for (let m = 0; m <= 5; m++) rows.push(fix(m, home))
+    // Eight steps east, with an hour without fixes halfway
+    for (let step = 1; step <= 8; step++) {
+      const minutes = step <= 4 ? 5 + step : 65 + step
+      rows.push(fix(minutes, { lat: home.lat, lng: home.lng + (site.lng - home.lng) * step / 8 }))
+    }
+    for (let m = 74; m <= 80; m++) rows.push(fix(m, site))
+
+    const trips = splitTrips(cleanBreadcrumbs(rows).points)
+    expect(trips).toHaveLength(2)
+    expect(trips[1].start - trips[0].end).toBe(61 * 60 * 1000)
+  })
+
+  it('logs mileage per user per day and exports it', () => {
+    const rows = [...commute({ job_id: 'job-1' }), ...commute({ user_id: 'u2' })]
+    const log = buildMileageLog(rows)
+    expect(log.map(day => [day.date, day.userId, day.trips.length])).toEqual([['2026-03-10', 'u1', 1], ['2026-03-10', 'u2', 1]])
+
+    const csv = mileageLogToCsv(log, { unit: 'mi', rate: 0.5, userNames: { u1: 'Ana, Field' }, jobNames: { 'job-1': 'Office clean' } })
+    const lines = csv.trim().split('\n')
+    expect(lines[0]).toBe('date,user,start,end,distance_mi,duration_minutes,route,job,attribution,reimbursement')
+    expect(lines).toHaveLength(3)
+    expect(lines[1]).toContain('"Ana, Field"')
+    expect(lines[1]).toContain('Office clean,recorded')
+    const miles = parseFloat(lines[2].split(',')[4])
+    expect(miles).toBeGreaterThan(0.9)
+    expect(miles).toBeLessThan(1.1)
+  })
+})
@@ -0,0 +1,114 @@
+/**
+ * Offline Job Cache Tests
+ * Cache window, delta planning on updated_at, queued edits overlaid on cached records, and the refreshed label
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  cacheWindow,
+  cacheWindowFilter,
+  planDelta,
+  overlayQueuedOperations,
+  assembleJobs,
+  formatCacheAge,
+  CACHE_WINDOW_DAYS
+} from '../../js/job-cache.js'
+
+describe('Cache window', () => {
+  it('runs from the start of today for a week', () => {
+    const { from, to } = cacheWindow(new Date(2026, 2, 10, 15, 30))
+    expect(from).toEqual(new Date(2026, 2, 10))
+    expect(to).toEqual(new Date(2026, 2, 10 + CACHE_WINDOW_DAYS))
+  })
+
+  it('also matches date-only jobs such as recurring follow-ups', () => {
+    const filter = cacheWindowFilter(new Date(2026, 2, 10, 15, 30))
+    expect(filter).toContain(`scheduled_datetime.gte.${new Date(2026, 2, 10).toISOString()}`)
+    expect(filter).toContain('and(scheduled_date.gte.2026-03-10,scheduled_date.lt.2026-03-17)')
+  })
+})
+
+describe('Delta planning', () => {
+  const cached = [
+    { id: 'job-1', updated_at: '2026-03-09T10:00:00+00:00' },
+    { id: 'job-2', updated_at: '2026-03-09T10:00:00+00:00' },
+    { id: 'job-3', updated_at: '2026-03-09T10:00:00+00:00' }
+  ]
+
+  it('fetches new and changed rows and drops ones no longer assigned', () => {
+    const manifest = [
+      { id: 'job-1', updated_at: '2026-03-09T10:00:00.000Z' },
+      { id: 'job-2', updated_at: '2026-03-10T08:15:00+00:00' },
+      { id: 'job-4', updated_at: '2026-03-10T08:00:00+00:00' }
+    ]
+    expect(planDelta(cached, manifest)).toEqual({ fetchIds: ['job-2', 'job-4'], removeIds: ['job-3'] })
+  })
+
+  it('matches numeric site ids with their cached copies', () => {
+    const sites = [{ id: 7, updated_at: '2026-03-01T00:00:00Z' }]
+    expect(planDelta(sites, [{ id: '7', updated_at: '2026-03-01T00:00:00Z' }])).toEqual({ fetchIds: [], removeIds: [] })
+  })
+})
+
+describe('Queued edit overlay', () => {
+  const tasks = [
+    { id: 'task-1', job_id: 'job-1', title: 'Mop lobby', completed: false },
+    { id: 'task-2', job_id: 'job-1', title: 'Empty bins', completed: false }
+  ]
+  const queued = (operation, minute, fields) => ({
+    table: 'job_tasks',
+    operation,
+    timestamp: `2026-03-10T09:${String(minute).padStart(2, '0')}:00.000Z`,
+    ...fields
+  })
+
+  it('applies updates, creates and deletes in the order they were made', () => {
+    const operations = [
+      queued('update', 2, { recordId: 'task-1', data: { completed: false } }),
+      queued('update', 1, { recordId: 'task-1', data: { completed: true } }),
+      queued('create', 3, { data: { id: 'tmp_task', job_id: 'job-1', title: 'Restock soap' } }),
+      queued('delete', 4, { recordId: 'task-2', data: null }),
+      { ...queued('update', 5, { recordId: 'task-1', data: { title: 'Other table' } }), table: 'jobs' }
+    ]
+    expect(overlayQueuedOperations(tasks, operations, 'job_tasks')).toEqual([
+      { id: 'task-1', job_id: 'job-1', title: 'Mop lobby', completed: false, _pendingSync: true },
+      { id: 'tmp_task', job_id: 'job-1', title: 'Restock soap', _pendingSync: true }
+    ])
+    expect(tasks[0]).not.toHaveProperty('_pendingSync')
+  })
+
+  it('leaves edits to records that are not cached out of the list', () => {
+    const operations = [queued('update', 1, { recordId: 'task-9', data: { completed: true } })]
+    expect(overlayQueuedOperations(tasks, operations, 'job_tasks')).toEqual(tasks)
+  })
+})
+
+describe('Assembling cached jobs', () => {
+  it('embeds each job\'s site and tasks and puts the soonest first', () => {
+    const jobs = [
+      { id: 'job-2', site_id: 7, scheduled_datetime: '2026-03-12T13:00:00Z' },
+      { id: 'job-3', site_id: 7, scheduled_date: '2026-03-14' },
+      { id: 'job-1', site_id: 8, scheduled_datetime: '2026-03-11T08:00:00Z' }
+    ]
+    const sites = [{ id: 7, name: 'Tower A', access_notes: 'Badge at security desk' }]
+    const tasks = [{ id: 'task-1', job_id: 'job-2' }]
+
+    const result = assembleJobs(jobs, sites, tasks)
+    expect(result.map(job => job.id)).toEqual(['job-1', 'job-2', 'job-3'])
+    expect(result[0]).toMatchObject({ sites: null, job_tasks: [] })
+    expect(result[1]).toMatchObject({ sites: { name: 'Tower A' }, job_tasks: [{ id: 'task-1' }] })
+  })
+})
+
+describe('Last refreshed label', () => {
+  const now = new Date('2026-03-10T12:00:00Z')
+
+  it('describes the age of the cache', () => {
+    expect(formatCacheAge(null, now)).toBe('never')
+    expect(formatCacheAge('2026-03-10T11:59:30Z', now)).toBe('just now')
+    expect(formatCacheAge('2026-03-10T11:35:00Z', now)).toBe('25 min ago')
+    expect(formatCacheAge('2026-03-10T09:00:00Z', now)).toBe('3 h ago')
+    expect(formatCacheAge('2026-03-09T10:00:00Z', now)).toBe('1 day ago')
+    expect(formatCacheAge('2026-03-07T10:00:00Z', now)).toBe('3 days ago')
+  })
+})
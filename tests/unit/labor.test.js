@@ -0,0 +1,108 @@
+/**
+ * Quote Labor Tests
+ * Labor hours, crew sizing and gross margin guardrails
+ */
+
+import { describe, it, expect } from 'vitest'
+import { readFileSync } from 'node:fs'
+import { QUOTE_CONFIG, PRICEBOOK_DEFAULTS } from '../../js/quote-engine/config.js'
+import { hydratePricebookConfig, serializePricebookConfig, validatePricebookConfig } from '../../js/quote-engine/pricebook.js'
+import {
+  estimateLabor,
+  evaluateMargin,
+  evaluateRevisionMargin,
+  MARGIN_STATUSES
+} from '../../js/quote-engine/labor.js'
+
+const officeInputs = {
+  service_type: 'commercial_office',
+  sqft_estimate: 1500,
+  frequency_per_month: 4,
+  num_washrooms: 2,
+  has_kitchen: true
+}
+
+describe('Quote Labor', () => {
+  it('estimates hours per visit and monthly cost for a small office', () => {
+    const estimate = estimateLabor(officeInputs)
+
+    // 1500 sqft at 2800 sqft/h, plus 2 washrooms, a kitchen and setup (55 min)
+    expect(estimate.hours_per_visit).toBeCloseTo(1500 / 2800 + 55 / 60, 2)
+    expect(estimate.crew_size).toBe(1)
+    expect(estimate.labor_hours_per_month).toBeCloseTo(estimate.hours_per_visit * 4, 1)
+    expect(estimate.cost_per_month).toBeCloseTo(estimate.labor_cost_per_month + estimate.supplies_cost_per_month, 2)
+  })
+
+  it('adds cleaners so no one is on site past the shift cap', () => {
+    const estimate = estimateLabor({ ...officeInputs, sqft_estimate: 20000 })
+
+    expect(estimate.crew_size).toBe(3)
+    expect(estimate.time_on_site_hours).toBeLessThanOrEqual(PRICEBOOK_DEFAULTS.labor.maxHoursPerCleaner)
+  })
+
+  it('classifies margins against the floor and block thresholds', () => {
+    const estimate = { cost_per_month: 100 }
+
+    expect(evaluateMargin(estimate, 200).status).toBe(MARGIN_STATUSES.ok)
+    expect(evaluateMargin(estimate, 130).status).toBe(MARGIN_STATUSES.approvalRequired)
+    expect(evaluateMargin(estimate, 110).status).toBe(MARGIN_STATUSES.blocked)
+    expect(evaluateMargin(estimate, 0).status).toBe(MARGIN_STATUSES.blocked)
+  })
+
+  it('judges tiered revisions by their lowest-margin tier', () => {
+    const revision = {
+      subtotal: 0,
+      labor_estimate: {
+        cost_per_month: 100,
+        margin_floor_pct: 0.35,
+        margin_block_pct: 0.15,
+        tiers: [
+          { key: 'good', cost_per_month: 100 },
+          { key: 'best', cost_per_month: 150 }
+        ]
+      },
+      tier_options: [
+        { key: 'good', subtotal: 200 },
+        { key: 'best', subtotal: 200 }
+      ]
+    }
+    const margin = evaluateRevisionMargin(revision)
+
+    expect(margin.gross_margin_pct).toBe(0.25)
+    expect(margin.status).toBe(MARGIN_STATUSES.approvalRequired)
+  })
+
+  it('falls back to the engine price and skips revisions without one', () => {
+    const labor_estimate = { cost_per_month: 100 }
+
+    expect(evaluateRevisionMargin({
+      subtotal: 0,
+      labor_estimate,
+      quote_calculation_outputs: { monthly_price_ex_hst: 400 }
+    }).gross_margin_pct).toBe(0.75)
+    expect(evaluateRevisionMargin({ subtotal: 0, labor_estimate })).toBeNull()
+    expect(evaluateRevisionMargin({ subtotal: 400 })).toBeNull()
+  })
+
+  it('rejects pricebooks with an invalid labor model', () => {
+    const config = hydratePricebookConfig(serializePricebookConfig(QUOTE_CONFIG))
+    config.labor = { ...config.labor, hourlyCost: 0, marginBlockPct: 0.5 }
+
+    const { valid, errors } = validatePricebookConfig(config)
+    expect(valid).toBe(false)
+    expect(errors).toContain('labor.hourlyCost: must be a number > 0')
+    expect(errors).toContain('labor.marginBlockPct: must not be above marginFloorPct')
+  })
+
+  it('matches the built-in labor model the database margin guard costs with', () => {
+    const sql = readFileSync(new URL('../../ADD_QUOTE_MARGIN_GUARDRAILS_SCHEMA.sql', import.meta.url), 'utf8')
+    const builtin = JSON.parse(sql.match(/quote_builtin_pricebook_config\(\)\s+RETURNS JSONB AS \$\$\s+SELECT '([\s\S]*?)'::JSONB/)[1])
+
+    expect(builtin.labor).toEqual(PRICEBOOK_DEFAULTS.labor)
+    expect(builtin.tiers).toEqual(PRICEBOOK_DEFAULTS.tiers.map(({ key, overrides }) => ({ key, overrides })))
+    expect(builtin.sqftBands[0].max).toBe(QUOTE_CONFIG.sqftBands[0].max)
+    for (const [service, { sqftBands }] of Object.entries(builtin.serviceSpecific)) {
+      expect(sqftBands[0].max).toBe(QUOTE_CONFIG.serviceSpecific[service].sqftBands[0].max)
+    }
+  })
+})
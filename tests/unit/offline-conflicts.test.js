@@ -0,0 +1,87 @@
+/**
+ * Offline Conflict Merge Tests
+ * Field-level merge of queued offline updates against a base snapshot, and applying per-field choices
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  valuesEqual,
+  baseSnapshot,
+  mergeFields,
+  resolveConflicts,
+  CONFLICT_CHOICES
+} from '../../js/offline-conflicts.js'
+
+const job = {
+  id: 'job-1',
+  status: 'pending',
+  notes: 'Use side door',
+  estimated_hours: 2,
+  scheduled_datetime: '2026-03-10T14:00:00+00:00',
+  required_skills: ['floor_care'],
+  updated_at: '2026-03-09T10:00:00+00:00'
+}
+
+describe('Offline conflict merge', () => {
+  it('compares values the way the database stores them', () => {
+    expect(valuesEqual(null, undefined)).toBe(true)
+    expect(valuesEqual(2, '2.0')).toBe(true)
+    expect(valuesEqual('2026-03-10T14:00:00+00:00', '2026-03-10T14:00:00.000Z')).toBe(true)
+    expect(valuesEqual({ a: 1, b: [1, 2] }, { b: [1, 2], a: 1 })).toBe(true)
+    expect(valuesEqual('pending', 'completed')).toBe(false)
+    expect(valuesEqual(0, null)).toBe(false)
+    expect(valuesEqual('', 0)).toBe(false)
+  })
+
+  it('keeps only the changed fields in the base snapshot', () => {
+    expect(baseSnapshot(job, ['status', 'updated_at', 'missing'])).toEqual({ status: 'pending' })
+  })
+
+  it('auto-merges a worker status change with a supervisor notes change', () => {
+    const theirs = { ...job, notes: 'Alarm code 1234', updated_at: '2026-03-10T09:00:00+00:00' }
+    const result = mergeFields({ base: baseSnapshot(job, ['status']), mine: { status: 'in-progress' }, theirs })
+    expect(result.apply).toEqual({ status: 'in-progress' })
+    expect(result.conflicts).toEqual([])
+  })
+
+  it('holds fields both sides changed and skips ones that already match', () => {
+    const theirs = { ...job, notes: 'Alarm code 1234', estimated_hours: 3 }
+    const mine = { notes: 'Use the loading dock', estimated_hours: '3', status: 'completed', updated_at: 'ignored' }
+    const result = mergeFields({ base: baseSnapshot(job, Object.keys(mine)), mine, theirs })
+
+    expect(result.apply).toEqual({ status: 'completed' })
+    expect(result.unchanged).toEqual(['estimated_hours'])
+    expect(result.conflicts).toEqual([
+      { field: 'notes', base: 'Use side door', mine: 'Use the loading dock', theirs: 'Alarm code 1234' }
+    ])
+  })
+
+  it('lets the offline value through when there is no base to compare against', () => {
+    const result = mergeFields({ base: {}, mine: { notes: 'Mine' }, theirs: { ...job, notes: 'Theirs' } })
+    expect(result.apply).toEqual({ notes: 'Mine' })
+  })
+})
+
+describe('Resolving conflicts', () => {
+  const conflicts = [
+    { field: 'notes', base: 'Use side door', mine: 'Use the loading dock', theirs: 'Alarm code 1234' },
+    { field: 'status', base: 'pending', mine: 'completed', theirs: 'cancelled' }
+  ]
+
+  it('sends the fields kept as mine and rebases on the server values', () => {
+    const result = resolveConflicts(conflicts, { notes: CONFLICT_CHOICES.MINE, status: CONFLICT_CHOICES.THEIRS })
+    expect(result.apply).toEqual({ notes: 'Use the loading dock' })
+    expect(result.base).toEqual({ notes: 'Alarm code 1234', status: 'cancelled' })
+
+    // Re-merged against an unchanged server, the choice goes straight through
+    const remerged = mergeFields({ base: result.base, mine: result.apply, theirs: { ...job, notes: 'Alarm code 1234', status: 'cancelled' } })
+    expect(remerged).toMatchObject({ apply: { notes: 'Use the loading dock' }, conflicts: [] })
+  })
+
+  it('requires a choice for every field', () => {
+    expect(() => resolveConflicts(conflicts, { notes: CONFLICT_CHOICES.MINE })).toThrow(expect.objectContaining({
+      code: 'UNRESOLVED_FIELDS',
+      fields: ['status']
+    }))
+  })
+})
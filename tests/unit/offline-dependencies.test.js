@@ -0,0 +1,99 @@
+/**
+ * Offline Dependency Tests
+ * Temp ids for records created offline, inferred dependencies, sync order and remapping to server ids
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  createClientId,
+  createTempId,
+  isTempId,
+  inferDependencies,
+  orderOperations,
+  dependentsOf,
+  remapOperation
+} from '../../js/offline-dependencies.js'
+
+const op = (id, minute, fields = {}) => ({
+  id,
+  operation: 'create',
+  table: 'door_targets',
+  timestamp: `2026-03-10T09:${String(minute).padStart(2, '0')}:00.000Z`,
+  recordId: null,
+  data: {},
+  metadata: {},
+  ...fields
+})
+
+describe('Client and temp ids', () => {
+  it('tells temp ids apart from client UUIDs', () => {
+    const clientId = createClientId()
+    expect(clientId).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/)
+    expect(isTempId(clientId)).toBe(false)
+    expect(isTempId(createTempId())).toBe(true)
+    expect(isTempId(42)).toBe(false)
+  })
+})
+
+describe('Inferring dependencies', () => {
+  const route = op('op-route', 0, { table: 'routes', data: { id: 'tmp_route', name: 'North loop' } })
+  const room = op('op-room', 1, { table: 'quote_walkthrough_rooms', data: { id: 'room-uuid', name: 'Lobby' } })
+
+  it('links data and record ids to the queued creates that made them', () => {
+    const target = { operation: 'create', data: { id: 'tmp_target', route_id: 'tmp_route', tags: [] } }
+    expect(inferDependencies(target, [route, room])).toEqual(['op-route'])
+
+    const roomEdit = { operation: 'update', recordId: 'room-uuid', data: { name: 'Main lobby' } }
+    expect(inferDependencies(roomEdit, [route, room])).toEqual(['op-room'])
+  })
+
+  it('finds ids nested in arrays and objects but not the create itself', () => {
+    const photo = { operation: 'create', data: { id: 'tmp_route', links: [{ route: 'tmp_route' }] } }
+    expect(inferDependencies(photo, [route])).toEqual([])
+
+    const note = { operation: 'create', data: { refs: { routes: ['tmp_route'] } } }
+    expect(inferDependencies(note, [route])).toEqual(['op-route'])
+  })
+})
+
+describe('Sync order', () => {
+  it('puts parents first even when queued later, otherwise keeps time order', () => {
+    const child = op('child', 1, { metadata: { dependsOn: ['parent'] } })
+    const parent = op('parent', 2)
+    const other = op('other', 0)
+    expect(orderOperations([child, parent, other]).map(o => o.id)).toEqual(['other', 'parent', 'child'])
+  })
+
+  it('ignores dependencies that already synced and keeps cycles at the end', () => {
+    const synced = op('a', 0, { metadata: { dependsOn: ['gone'] } })
+    const loopA = op('b', 1, { metadata: { dependsOn: ['c'] } })
+    const loopB = op('c', 2, { metadata: { dependsOn: ['b'] } })
+    expect(orderOperations([loopB, loopA, synced]).map(o => o.id)).toEqual(['a', 'b', 'c'])
+  })
+
+  it('finds everything waiting on an operation', () => {
+    const ops = [
+      op('job', 0),
+      op('task', 1, { metadata: { dependsOn: ['job'] } }),
+      op('photo', 2, { metadata: { dependsOn: ['task'] } }),
+      op('unrelated', 3)
+    ]
+    expect(dependentsOf(ops, 'job').map(o => o.id)).toEqual(['task', 'photo'])
+  })
+})
+
+describe('Remapping temp ids', () => {
+  it('swaps the temp id wherever it is used and leaves other operations alone', () => {
+    const target = op('t', 1, { data: { id: 'tmp_target', route_id: 'tmp_route', tags: ['tmp_route'] } })
+    const { operation, changed } = remapOperation(target, 'tmp_route', 57)
+    expect(changed).toBe(true)
+    expect(operation.data).toEqual({ id: 'tmp_target', route_id: 57, tags: [57] })
+    expect(target.data.route_id).toBe('tmp_route')
+
+    const update = op('u', 2, { operation: 'update', recordId: 'tmp_route', data: { status: 'active' } })
+    expect(remapOperation(update, 'tmp_route', 57).operation.recordId).toBe(57)
+
+    const untouched = op('x', 3, { data: { route_id: 12 } })
+    expect(remapOperation(untouched, 'tmp_route', 57)).toEqual({ operation: untouched, changed: false })
+  })
+})
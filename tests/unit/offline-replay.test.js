@@ -0,0 +1,161 @@
+/**
+ * Offline Queue Replay Tests
+ * Dependency order, blocked dependents, temp id remapping, conflict narrowing, retry limits and the replay lock
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { replayQueue, replayableOperations, withLock, QUEUE_LOCK, MAX_RETRY_ATTEMPTS } from '../../js/offline-replay.js'
+
+function queued(id, minute, fields) {
+  return {
+    id,
+    status: 'pending',
+    retryCount: 0,
+    timestamp: `2026-03-10T09:${String(minute).padStart(2, '0')}:00.000Z`,
+    metadata: {},
+    ...fields
+  }
+}
+
+function recorder(send) {
+  const calls = { sent: [], saved: [], removed: [] }
+  const handlers = {
+    send: async (op) => {
+      calls.sent.push(op.id)
+      return send(op)
+    },
+    save: async (op) => { calls.saved.push(op.id) },
+    remove: async (id) => { calls.removed.push(id) }
+  }
+  return { calls, handlers }
+}
+
+describe('Queue replay', () => {
+  it('sends parents first and swaps the server id into queued children', async () => {
+    const route = queued('op-route', 1, { table: 'routes', operation: 'create', data: { id: 'tmp_route', name: 'North' } })
+    const stop = queued('op-stop', 0, {
+      table: 'route_stops',
+      operation: 'create',
+      data: { id: 'tmp_stop', route_id: 'tmp_route' },
+      metadata: { dependsOn: ['op-route'] }
+    })
+    const { calls, handlers } = recorder(op => ({ tempId: op.data.id, createdId: op.id === 'op-route' ? 41 : 42 }))
+
+    const result = await replayQueue([stop, route], handlers)
+
+    expect(calls.sent).toEqual(['op-route', 'op-stop'])
+    expect(calls.removed).toEqual(['op-route', 'op-stop'])
+    expect(stop.data.route_id).toBe(41)
+    expect(result).toMatchObject({ synced: 2, failed: 0, blocked: 0 })
+    expect(result.remapped).toEqual([
+      { table: 'routes', tempId: 'tmp_route', id: 41 },
+      { table: 'route_stops', tempId: 'tmp_stop', id: 42 }
+    ])
+  })
+
+  it('holds dependents of an operation that failed', async () => {
+    const parent = queued('op-site', 1, { table: 'sites', operation: 'create', data: { id: 'tmp_site' } })
+    const child = queued('op-job', 2, {
+      table: 'jobs',
+      operation: 'create',
+      data: { site_id: 'tmp_site' },
+      metadata: { dependsOn: ['op-site'] }
+    })
+    const { calls, handlers } = recorder(() => { throw new Error('Network down') })
+
+    const result = await replayQueue([parent, child], handlers)
+
+    expect(calls.sent).toEqual(['op-site'])
+    expect(result).toMatchObject({ synced: 0, failed: 1, blocked: 1 })
+    expect(parent).toMatchObject({ status: 'pending', retryCount: 1, error: 'Network down' })
+    expect(child).toMatchObject({ status: 'blocked', blockedBy: 'op-site' })
+  })
+
+  it('keeps only the clashing fields of a conflicted update', async () => {
+    const op = queued('op-job', 1, {
+      table: 'jobs',
+      operation: 'update',
+      recordId: 'job-1',
+      data: { status: 'completed', notes: 'Done' },
+      metadata: { base: { status: 'scheduled', notes: '' } }
+    })
+    const conflicts = [{ field: 'status', base: 'scheduled', mine: 'completed', theirs: 'cancelled' }]
+    const logged = []
+    const { handlers } = recorder(() => ({ conflicts }))
+
+    const result = await replayQueue([op], { ...handlers, onConflict: async (operation, found) => { logged.push(found) } })
+
+    expect(result.conflicts).toBe(1)
+    expect(op).toMatchObject({ status: 'conflict', data: { status: 'completed' }, metadata: { base: { status: 'scheduled' } } })
+    expect(op.data).not.toHaveProperty('notes')
+    expect(logged).toEqual([conflicts])
+  })
+
+  it('stops retrying after the attempt limit', async () => {
+    const op = queued('op-task', 1, { table: 'job_tasks', operation: 'delete', recordId: 'task-1', data: null })
+    const { calls, handlers } = recorder(() => { throw new Error('Server error') })
+
+    for (let attempt = 0; attempt < MAX_RETRY_ATTEMPTS + 1; attempt++) {
+      await replayQueue([op], handlers)
+    }
+
+    expect(calls.sent).toHaveLength(MAX_RETRY_ATTEMPTS)
+    expect(op).toMatchObject({ status: 'failed', retryCount: MAX_RETRY_ATTEMPTS })
+    expect(replayableOperations([op])).toEqual([])
+  })
+})
+
+// Minimal Web Locks stand-in: exclusive locks granted in request order
+function fakeLocks() {
+  const tails = new Map()
+  return {
+    request(name, { ifAvailable }, callback) {
+      if (ifAvailable && tails.has(name)) return Promise.resolve(callback(null))
+      const previous = tails.get(name) || Promise.resolve()
+      const run = previous.then(() => callback({ name }))
+      const tail = run.catch(() => {}).then(() => { if (tails.get(name) === tail) tails.delete(name) })
+      tails.set(name, tail)
+      return run
+    }
+  }
+}
+
+describe('Replay lock', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('runs straight away without the Web Locks API', async () => {
+    vi.stubGlobal('navigator', {})
+
+    await expect(withLock(QUEUE_LOCK, async (acquired) => acquired)).resolves.toBe(true)
+  })
+
+  it('lets only one replay send the queue at a time', async () => {
+    vi.stubGlobal('navigator', { locks: fakeLocks() })
+    const op = queued('op-job', 1, { table: 'jobs', operation: 'delete', recordId: 'job-1', data: null })
+    const stored = [op]
+    const sent = []
+    let release
+    const inFlight = new Promise(resolve => { release = resolve })
+
+    // The app holds the lock while its send is in flight, then removes what it sent
+    const app = withLock(QUEUE_LOCK, () => replayQueue([...stored], {
+      send: async (operation) => { sent.push(operation.id); await inFlight },
+      save: async () => {},
+      remove: async (id) => { stored.splice(stored.findIndex(o => o.id === id), 1) }
+    }))
+
+    // The service worker skips rather than replaying the same operation
+    const worker = await withLock(QUEUE_LOCK, async (acquired) => acquired, { ifAvailable: true })
+    expect(worker).toBe(false)
+
+    // A second tab waits, then starts from what the app left
+    const tab = withLock(QUEUE_LOCK, async () => [...stored])
+    release()
+    await app
+
+    expect(await tab).toEqual([])
+    expect(sent).toEqual(['op-job'])
+  })
+})
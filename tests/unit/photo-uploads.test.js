@@ -0,0 +1,86 @@
+/**
+ * Photo Upload Queue Tests
+ * Chunk ranges, upload metadata, backoff and retry limits, and attaching to records created offline
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  PHOTO_CHUNK_SIZE,
+  PHOTO_STATUS,
+  ATTACH_MODES,
+  MAX_PHOTO_ATTEMPTS,
+  backoffDelay,
+  nextChunk,
+  encodeUploadMetadata,
+  attachmentUpdate,
+  remapPhotoTarget,
+  duePhotos,
+  failedAttempt
+} from '../../js/photo-uploads.js'
+
+describe('Chunked upload', () => {
+  it('resumes from the offset the server reports', () => {
+    const size = PHOTO_CHUNK_SIZE * 2 + 100
+    expect(nextChunk(0, size)).toEqual({ start: 0, end: PHOTO_CHUNK_SIZE })
+    expect(nextChunk(PHOTO_CHUNK_SIZE * 2, size)).toEqual({ start: PHOTO_CHUNK_SIZE * 2, end: size })
+    expect(nextChunk(size, size)).toBeNull()
+  })
+
+  it('encodes tus metadata as base64 pairs, including non-ASCII names', () => {
+    const header = encodeUploadMetadata({ bucketName: 'job-photos', objectName: 'u/ü.jpg', cacheControl: null })
+    const pairs = header.split(',').map(pair => pair.split(' '))
+    expect(pairs.map(([key]) => key)).toEqual(['bucketName', 'objectName'])
+    expect(Buffer.from(pairs[1][1], 'base64').toString('utf8')).toBe('u/ü.jpg')
+  })
+})
+
+describe('Retries', () => {
+  const now = Date.parse('2026-03-10T09:00:00Z')
+
+  it('backs off exponentially up to five minutes', () => {
+    expect([1, 2, 3].map(backoffDelay)).toEqual([2000, 4000, 8000])
+    expect(backoffDelay(20)).toBe(5 * 60 * 1000)
+  })
+
+  it('keeps an uploaded photo uploaded and gives up after the attempt limit', () => {
+    const uploaded = failedAttempt({ status: PHOTO_STATUS.UPLOADED, url: 'https://x/p.jpg', retryCount: 0 }, 'Timeout', now)
+    expect(uploaded).toMatchObject({ status: PHOTO_STATUS.UPLOADED, retryCount: 1, nextAttemptAt: '2026-03-10T09:00:02.000Z' })
+
+    const exhausted = failedAttempt({ status: PHOTO_STATUS.UPLOADING, retryCount: MAX_PHOTO_ATTEMPTS - 1 }, 'Timeout', now)
+    expect(exhausted).toMatchObject({ status: PHOTO_STATUS.FAILED, nextAttemptAt: null })
+  })
+
+  it('picks photos that are due, skipping ones waiting on an unsynced record', () => {
+    const photo = (id, fields) => ({ id, created_at: `2026-03-10T08:0${id}:00Z`, target: { recordId: 'task-1' }, ...fields })
+    const photos = [
+      photo(3, { status: PHOTO_STATUS.PENDING }),
+      photo(1, { status: PHOTO_STATUS.UPLOADING }),
+      photo(2, { status: PHOTO_STATUS.PENDING, nextAttemptAt: '2026-03-10T09:05:00Z' }),
+      photo(4, { status: PHOTO_STATUS.UPLOADED, target: { recordId: 'tmp_abc' } }),
+      photo(5, { status: PHOTO_STATUS.UPLOADED }),
+      photo(6, { status: PHOTO_STATUS.FAILED })
+    ]
+    expect(duePhotos(photos, now).map(p => p.id)).toEqual([1, 3, 5])
+  })
+})
+
+describe('Attaching', () => {
+  it('sets a single photo column along with the extra fields', () => {
+    const target = { field: 'photo_url', mode: ATTACH_MODES.SET, extra: { completed: true } }
+    expect(attachmentUpdate(target, null, 'https://x/p.jpg')).toEqual({ completed: true, photo_url: 'https://x/p.jpg' })
+  })
+
+  it('appends to a list once, even when the attach is retried', () => {
+    const target = { field: 'photo_urls', mode: ATTACH_MODES.APPEND }
+    expect(attachmentUpdate(target, { photo_urls: null }, 'a')).toEqual({ photo_urls: ['a'] })
+    expect(attachmentUpdate(target, { photo_urls: ['a'] }, 'b')).toEqual({ photo_urls: ['a', 'b'] })
+    expect(attachmentUpdate(target, { photo_urls: ['a', 'b'] }, 'b')).toEqual({ photo_urls: ['a', 'b'] })
+  })
+
+  it('retargets photos of a record created offline once it has a server id', () => {
+    const photo = { id: 'p1', target: { table: 'job_tasks', recordId: 'tmp_task', field: 'photo_url' } }
+    expect(remapPhotoTarget(photo, 'tmp_task', 42).target).toEqual({ table: 'job_tasks', recordId: 42, field: 'photo_url' })
+    expect(remapPhotoTarget(photo, 'tmp_other', 43)).toBeNull()
+    expect(photo.target.recordId).toBe('tmp_task')
+  })
+})
@@ -0,0 +1,65 @@
+/**
+ * Price Escalation Tests
+ * Agreement selection, old vs new price preview and client notice wording
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  buildEscalationPreview,
+  buildNoticeLetter,
+  escalatePrice,
+  selectAgreements,
+  validateEscalation
+} from '../../js/price-escalation.js'
+
+const agreements = [
+  { id: 'a1', status: 'active', site_id: 1, site_name: 'Head Office', client_id: 'c1', service_type: 'commercial_office', monthly_price: 800, per_visit_price: 66.67, frequency_per_month: 12 },
+  { id: 'a2', status: 'active', site_id: 2, site_name: 'Clinic', client_id: 'c2', service_type: 'medical_clinic', monthly_price: 1200, per_visit_price: null, frequency_per_month: 0 },
+  { id: 'a3', status: 'cancelled', site_id: 3, client_id: 'c1', service_type: 'commercial_office', monthly_price: 500 },
+  { id: 'a4', status: 'active', site_id: 4, client_id: 'c1', service_type: 'commercial_office', monthly_price: 0 }
+]
+
+describe('Price Escalation', () => {
+  it('requires a method, a sane rate and 30 days notice', () => {
+    const now = new Date('2026-10-19T12:00:00Z')
+
+    expect(validateEscalation({ method: 'cpi', rate_pct: 3, effective_date: '2027-01-01' }, { now })).toEqual([])
+    expect(validateEscalation({ method: 'other', rate_pct: 3, effective_date: '2027-01-01' }, { now })).toHaveLength(1)
+    expect(validateEscalation({ method: 'flat', rate_pct: 0, effective_date: '2027-01-01' }, { now })).toHaveLength(1)
+    expect(validateEscalation({ method: 'flat', rate_pct: 30, effective_date: '2027-01-01' }, { now })).toHaveLength(1)
+    expect(validateEscalation({ method: 'flat', rate_pct: 3, effective_date: '2026-11-01' }, { now })).toHaveLength(1)
+  })
+
+  it('rounds escalated prices to the cent', () => {
+    expect(escalatePrice(800, 3)).toBe(824)
+    expect(escalatePrice(66.67, 2.5)).toBe(68.34)
+  })
+
+  it('selects active priced agreements by service type, site and account', () => {
+    expect(selectAgreements(agreements).map(a => a.id)).toEqual(['a1', 'a2'])
+    expect(selectAgreements(agreements, { serviceTypes: ['medical_clinic'] }).map(a => a.id)).toEqual(['a2'])
+    expect(selectAgreements(agreements, { siteIds: ['1'] }).map(a => a.id)).toEqual(['a1'])
+    expect(selectAgreements(agreements, { clientIds: ['c2'] }).map(a => a.id)).toEqual(['a2'])
+    expect(selectAgreements(agreements, {}, new Set(['a1'])).map(a => a.id)).toEqual(['a2'])
+  })
+
+  it('previews old vs new monthly prices with totals', () => {
+    const preview = buildEscalationPreview(selectAgreements(agreements), { rate_pct: 3 })
+
+    expect(preview.rows[0]).toMatchObject({ old_monthly_price: 800, new_monthly_price: 824, new_per_visit_price: 68.67, monthly_increase: 24 })
+    expect(preview.rows[1]).toMatchObject({ old_monthly_price: 1200, new_monthly_price: 1236, new_per_visit_price: null })
+    expect(preview.old_monthly_total).toBe(2000)
+    expect(preview.new_monthly_total).toBe(2060)
+    expect(preview.monthly_increase).toBe(60)
+  })
+
+  it('words the notice with both prices and the effective date', () => {
+    const [row] = buildEscalationPreview(selectAgreements(agreements), { rate_pct: 3 }).rows
+    const letter = buildNoticeLetter(row, { method: 'cpi', rate_pct: 3, effective_date: '2027-01-01' })
+
+    expect(letter.subject).toBe('Notice of price adjustment effective January 1, 2027')
+    expect(letter.paragraphs.join(' ')).toContain('Head Office')
+    expect(letter.paragraphs.join(' ')).toContain('Consumer Price Index (3%)')
+    expect(letter.paragraphs.join(' ')).toContain('from $800.00 to $824.00')
+  })
+})
@@ -0,0 +1,121 @@
+/**
+ * Quote Pricebook Tests
+ * Validation, JSONB round-tripping and version stamping for quote engine pricebooks
+ */
+
+import { describe, it, expect } from 'vitest'
+import { calculateQuote } from '../../js/quote-engine/calculator.js'
+import { QUOTE_CONFIG, PRICEBOOK_DEFAULTS } from '../../js/quote-engine/config.js'
+import {
+  BUILTIN_PRICEBOOK_VERSION,
+  getBuiltinPricebook,
+  serializePricebookConfig,
+  hydratePricebookConfig,
+  validatePricebookConfig
+} from '../../js/quote-engine/pricebook.js'
+
+const officeInputs = {
+  service_type: 'commercial_office',
+  sqft_estimate: 1500,
+  frequency_per_month: 4,
+  num_washrooms: 2,
+  has_kitchen: true
+}
+
+function pricebookFrom(config, version = 3) {
+  return { id: 'pb-3', version, config: hydratePricebookConfig(serializePricebookConfig(config)) }
+}
+
+describe('Quote Pricebooks', () => {
+  describe('validatePricebookConfig', () => {
+    it('accepts the built-in config', () => {
+      const { valid, errors } = validatePricebookConfig(QUOTE_CONFIG)
+      expect(errors).toEqual([])
+      expect(valid).toBe(true)
+    })
+
+    it('rejects gaps between sqft bands', () => {
+      const config = hydratePricebookConfig(serializePricebookConfig(QUOTE_CONFIG))
+      config.sqftBands[2].min = 1700
+
+      const { valid, errors } = validatePricebookConfig(config)
+      expect(valid).toBe(false)
+      expect(errors.some(e => e.startsWith('sqftBands[2]'))).toBe(true)
+    })
+
+    it('rejects frequency multipliers that decrease', () => {
+      const config = hydratePricebookConfig(serializePricebookConfig(QUOTE_CONFIG))
+      config.serviceSpecific.dental.frequencyMultipliers[2].multiplier = 1.2
+
+      const { valid, errors } = validatePricebookConfig(config)
+      expect(valid).toBe(false)
+      expect(errors).toContain('serviceSpecific.dental.frequencyMultipliers[2]: multiplier must not be lower than the previous tier')
+    })
+
+    it('rejects overrides for unknown service types', () => {
+      const config = hydratePricebookConfig(serializePricebookConfig(QUOTE_CONFIG))
+      config.serviceSpecific.spaceship = { touchpointMax: 0.2 }
+
+      expect(validatePricebookConfig(config).errors).toContain('serviceSpecific.spaceship: no base price for this service type')
+    })
+  })
+
+  describe('serialize / hydrate', () => {
+    it('round-trips unbounded limits through JSON', () => {
+      const stored = JSON.parse(JSON.stringify(serializePricebookConfig(QUOTE_CONFIG)))
+      expect(stored.sqftBands[stored.sqftBands.length - 1].max).toBeNull()
+
+      const config = hydratePricebookConfig(stored)
+      expect(config.sqftBands[config.sqftBands.length - 1].max).toBe(Infinity)
+      expect(config.frequencyMultipliers[config.frequencyMultipliers.length - 1].maxVisits).toBe(Infinity)
+    })
+  })
+
+  describe('built-in version 0', () => {
+    it('is frozen and leaves later blocks to the defaults', () => {
+      expect(Object.isFrozen(QUOTE_CONFIG)).toBe(true)
+      expect(QUOTE_CONFIG.labor).toBeUndefined()
+      expect(getBuiltinPricebook().config.labor).toEqual(PRICEBOOK_DEFAULTS.labor)
+    })
+
+    it('fills blocks a stored pricebook predates and keeps the ones it has', () => {
+      const stored = serializePricebookConfig(QUOTE_CONFIG)
+      stored.discounts = { managerApprovalPct: 0.05, adminApprovalPct: 0.15 }
+
+      const config = hydratePricebookConfig(stored)
+      expect(config.discounts).toEqual(stored.discounts)
+      expect(config.tiers).toEqual(PRICEBOOK_DEFAULTS.tiers)
+      expect(config.labor).not.toBe(PRICEBOOK_DEFAULTS.labor)
+    })
+  })
+
+  describe('calculateQuote with a pricebook', () => {
+    it('stamps the built-in version by default', () => {
+      const result = calculateQuote(officeInputs)
+      expect(result.pricebook_version).toBe(BUILTIN_PRICEBOOK_VERSION)
+      expect(result.pricebook_id).toBeNull()
+    })
+
+    it('prices identically against a stored copy of the built-in config', () => {
+      const builtin = calculateQuote(officeInputs, getBuiltinPricebook())
+      const stored = calculateQuote(officeInputs, pricebookFrom(QUOTE_CONFIG))
+      expect(stored.monthly_price_ex_hst).toBe(builtin.monthly_price_ex_hst)
+      expect(stored.pricebook_version).toBe(3)
+      expect(stored.pricebook_id).toBe('pb-3')
+    })
+
+    it('uses the pricebook base prices and leaves older versions unchanged', () => {
+      const raised = serializePricebookConfig(QUOTE_CONFIG)
+      raised.basePrices.commercial_office = 449
+      raised.minimumMonthly.commercial_office = 449
+
+      const v1 = pricebookFrom(QUOTE_CONFIG, 1)
+      const v2 = pricebookFrom(raised, 2)
+
+      const before = calculateQuote(officeInputs, v1)
+      const after = calculateQuote(officeInputs, v2)
+      expect(after.monthly_price_ex_hst).toBeGreaterThan(before.monthly_price_ex_hst)
+      expect(calculateQuote(officeInputs, v1).monthly_price_ex_hst).toBe(before.monthly_price_ex_hst)
+    })
+  })
+})
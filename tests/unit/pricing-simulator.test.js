@@ -0,0 +1,90 @@
+/**
+ * Pricing Simulator Tests
+ * Scenario CSV parsing, two-pricebook comparison and the summary's threshold counts
+ */
+
+import { describe, it, expect } from 'vitest'
+import { QUOTE_CONFIG } from '../../js/quote-engine/config.js'
+import { getBuiltinPricebook } from '../../js/quote-engine/pricebook.js'
+import {
+  contractScenarios,
+  parseScenarioCsv,
+  simulatePricing,
+  simulationToCsv
+} from '../../js/quote-engine/simulator.js'
+
+const csv = [
+  'label,service_type,sqft_estimate,frequency_per_month,num_washrooms,has_kitchen,flooring',
+  '"Dental, Main St",dental,1500,8,2,yes,mostly_hard',
+  'Small office,commercial_office,300,4,1,no,',
+  'Warehouse,commercial_office,90000,20,30,yes,mixed'
+].join('\n')
+
+// Built-in pricing with every minimum tripled
+const raisedMinimums = {
+  ...getBuiltinPricebook(),
+  version: 2,
+  config: {
+    ...QUOTE_CONFIG,
+    minimumMonthly: Object.fromEntries(Object.entries(QUOTE_CONFIG.minimumMonthly).map(([type, min]) => [type, min * 3]))
+  }
+}
+
+describe('Pricing Simulator', () => {
+  it('parses a scenario CSV into typed calculator inputs', () => {
+    const scenarios = parseScenarioCsv(csv)
+    expect(scenarios).toHaveLength(3)
+    expect(scenarios[0]).toEqual({
+      label: 'Dental, Main St',
+      inputs: { service_type: 'dental', sqft_estimate: 1500, frequency_per_month: 8, num_washrooms: 2, has_kitchen: true, flooring: 'mostly_hard' }
+    })
+    expect(scenarios[1].inputs.has_kitchen).toBe(false)
+    expect(scenarios[1].inputs).not.toHaveProperty('flooring')
+    expect(() => parseScenarioCsv('label,sqft_estimate\nA,100')).toThrow('service_type')
+  })
+
+  it('compares each scenario and counts minimum-floor and walkthrough crossings', () => {
+    const { rows, summary } = simulatePricing(parseScenarioCsv(csv), getBuiltinPricebook(), raisedMinimums)
+
+    expect(rows[1].base.below_minimum).toBe(false)
+    expect(rows[1].compare.below_minimum).toBe(true)
+    expect(rows[1].compare.monthly).toBeGreaterThan(rows[1].base.monthly)
+    expect(rows[2].base.walkthrough_required).toBe(true)
+
+    expect(summary.scenarios).toBe(3)
+    expect(summary.base_version).toBe(0)
+    expect(summary.compare_version).toBe(2)
+    expect(summary.newly_below_minimum).toBe(summary.below_minimum_compare - summary.below_minimum_base)
+    expect(summary.newly_walkthrough).toBe(0)
+    expect(summary.average_change).toBeCloseTo((summary.compare_monthly_total - summary.base_monthly_total) / summary.priced, 2)
+  })
+
+  it('reports the same pricebook as no change', () => {
+    const { summary } = simulatePricing(parseScenarioCsv(csv), getBuiltinPricebook(), getBuiltinPricebook())
+    expect(summary.unchanged).toBe(summary.priced)
+    expect(summary.average_change).toBe(0)
+  })
+
+  it('records engine errors per row instead of failing the run', () => {
+    const { rows, summary } = simulatePricing([{ label: 'Bad', inputs: { service_type: 'spaceship', sqft_estimate: 1000 } }], getBuiltinPricebook(), raisedMinimums)
+    expect(rows[0].change).toBeNull()
+    expect(summary.errors).toBe(1)
+    expect(simulationToCsv(rows).split('\n')[1]).toContain('error')
+  })
+
+  it('builds scenarios from active agreements and their accepted revisions', () => {
+    const { scenarios, skipped } = contractScenarios(
+      [
+        { id: 'a1', quote_id: 'q1', revision_number: 2, site_name: 'Clinic' },
+        { id: 'a2', quote_id: 'q2', revision_number: 1, site_name: null }
+      ],
+      [
+        { quote_id: 'q1', revision_number: 1, quote_calculation_inputs: { service_type: 'dental' } },
+        { quote_id: 'q1', revision_number: 2, quote_calculation_inputs: { service_type: 'medical_clinic' } },
+        { quote_id: 'q2', revision_number: 1, quote_calculation_inputs: null }
+      ]
+    )
+    expect(scenarios).toEqual([{ label: 'Clinic', inputs: { service_type: 'medical_clinic' } }])
+    expect(skipped).toBe(1)
+  })
+})
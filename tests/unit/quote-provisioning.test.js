@@ -0,0 +1,74 @@
+/**
+ * Quote Provisioning Tests
+ * Service agreement, recurring job and task plans built from an accepted quote
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  AGREEMENT_STATUSES,
+  buildProvisioningPlan,
+  buildScopeTasks,
+  recurrenceForFrequency
+} from '../../js/quote-provisioning.js'
+
+const quote = { id: 'quote-1', deal_id: 'deal-1', currency: 'CAD' }
+
+const revision = {
+  revision_number: 2,
+  scope_summary: 'Office Cleaning',
+  subtotal: 0,
+  tax: 104,
+  total: 904,
+  contract_term_months: 12,
+  start_date_proposed: '2026-11-02',
+  quote_calculation_inputs: { service_type: 'commercial_office', frequency_per_month: 12, num_washrooms: 2 },
+  quote_calculation_outputs: { monthly_price_ex_hst: 800 },
+  labor_estimate: { hours_per_visit: 1.5, crew_size: 1 }
+}
+
+describe('Quote Provisioning', () => {
+  it('maps visit frequency onto recurring job patterns', () => {
+    expect(recurrenceForFrequency(1)).toEqual({ recurrence_pattern: 'monthly', visits_per_week: 1 })
+    expect(recurrenceForFrequency(2)).toEqual({ recurrence_pattern: 'biweekly', visits_per_week: 1 })
+    expect(recurrenceForFrequency(4)).toEqual({ recurrence_pattern: 'weekly', visits_per_week: 1 })
+    expect(recurrenceForFrequency(21.7)).toEqual({ recurrence_pattern: 'weekly', visits_per_week: 5 })
+  })
+
+  it('builds a pending agreement at the accepted price and term', () => {
+    const { agreement } = buildProvisioningPlan({ quote, revision, siteId: 7 })
+
+    expect(agreement).toMatchObject({
+      quote_id: 'quote-1',
+      site_id: 7,
+      recurrence_pattern: 'weekly',
+      visits_per_week: 3,
+      monthly_price: 800,
+      per_visit_price: 66.67,
+      start_date: '2026-11-02',
+      end_date: '2027-11-01',
+      status: AGREEMENT_STATUSES.pendingReview
+    })
+    expect(agreement.review_checklist.every(item => item.done === false)).toBe(true)
+  })
+
+  it('spreads several weekly visits across the first week', () => {
+    const { jobs } = buildProvisioningPlan({ quote, revision, siteId: 7 })
+
+    expect(jobs.map(job => job.scheduled_date)).toEqual(['2026-11-02', '2026-11-04', '2026-11-06'])
+    expect(jobs.every(job => job.frequency === 'recurring' && job.estimated_hours === 1.5)).toBe(true)
+  })
+
+  it('uses the accepted package scope for job tasks', () => {
+    const tiered = {
+      ...revision,
+      selected_tier: 'best',
+      tier_options: [
+        { key: 'good', name: 'Good', scope: ['Vacuum floors'] },
+        { key: 'best', name: 'Best', scope: ['Vacuum floors', 'Interior windows'] }
+      ]
+    }
+
+    expect(buildScopeTasks(tiered)).toEqual(['Vacuum floors', 'Interior windows'])
+    expect(buildScopeTasks({ tier_options: null }, [{ description: 'Floor waxing' }])).toEqual(['Floor waxing'])
+  })
+})
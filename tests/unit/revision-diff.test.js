@@ -0,0 +1,88 @@
+/**
+ * Quote Revision Diff Tests
+ * Line item matching, price and total deltas, and changed terms between revisions
+ */
+
+import { describe, it, expect } from 'vitest'
+import { diffRevisions, lineItemAmount } from '../../js/quote-revision-diff.js'
+
+const rev2 = {
+  revision_number: 2,
+  subtotal: 1000,
+  tax: 130,
+  total: 1130,
+  tax_lines: [{ code: 'HST', name: 'HST', rate: 0.13, amount: 130 }],
+  billing_frequency: 'monthly',
+  contract_term_months: 12,
+  expires_at: '2026-03-01T00:00:00Z'
+}
+
+const rev2Items = [
+  { description: 'Office cleaning', unit: 'visit', quantity: 8, unit_price: 100, display_order: 0 },
+  { description: 'Window washing', unit: 'flat', quantity: 1, unit_price: 200, display_order: 1 }
+]
+
+describe('Quote Revision Diff', () => {
+  it('reports no changes for identical revisions', () => {
+    const diff = diffRevisions(rev2, rev2Items, { ...rev2, revision_number: 3 }, rev2Items.map(item => ({ ...item })))
+
+    expect(diff.has_changes).toBe(false)
+    expect(diff.line_items.every(row => row.status === 'unchanged')).toBe(true)
+  })
+
+  it('detects added, removed and changed line items with deltas', () => {
+    const rev3Items = [
+      { description: 'Office cleaning', unit: 'visit', quantity: 8, unit_price: 90, display_order: 0 },
+      { description: 'Floor waxing', unit: 'flat', quantity: 1, unit_price: 150, display_order: 1 }
+    ]
+    const diff = diffRevisions(rev2, rev2Items, { ...rev2, revision_number: 3 }, rev3Items)
+    const byTitle = Object.fromEntries(diff.line_items.map(row => [row.title, row]))
+
+    expect(byTitle['Office cleaning'].status).toBe('changed')
+    expect(byTitle['Office cleaning'].changes).toEqual([
+      { field: 'unit_price', label: 'Unit price', type: 'money', from: 100, to: 90, delta: -10 }
+    ])
+    expect(byTitle['Office cleaning'].amount).toEqual({ from: 800, to: 720, delta: -80 })
+    expect(byTitle['Floor waxing'].status).toBe('added')
+    expect(byTitle['Window washing'].status).toBe('removed')
+    expect(byTitle['Window washing'].amount.delta).toBe(-200)
+  })
+
+  it('keeps same-named items in different tiers apart', () => {
+    const tiered = [
+      { description: 'Cleaning', tier: 'good', unit: 'visit', quantity: 4, unit_price: 100 },
+      { description: 'Cleaning', tier: 'best', unit: 'visit', quantity: 4, unit_price: 150 }
+    ]
+    const diff = diffRevisions(rev2, tiered, { ...rev2, revision_number: 3 }, [tiered[1]])
+
+    expect(diff.line_items.map(row => [row.tier, row.status])).toEqual([['best', 'unchanged'], ['good', 'removed']])
+  })
+
+  it('reports total, tax line and term deltas', () => {
+    const rev3 = {
+      ...rev2,
+      revision_number: 3,
+      subtotal: 900,
+      tax: 117,
+      total: 1017,
+      tax_lines: [{ code: 'HST', name: 'HST', rate: 0.13, amount: 117 }],
+      contract_term_months: 24,
+      expires_at: '2026-04-01T00:00:00Z'
+    }
+    const diff = diffRevisions(rev2, rev2Items, rev3, rev2Items)
+
+    expect(diff.totals.find(total => total.field === 'total').delta).toBe(-113)
+    expect(diff.tax_lines).toEqual([{ code: 'HST', label: 'HST (13%)', from: 130, to: 117, delta: -13 }])
+    expect(diff.terms.map(term => [term.field, term.from, term.to])).toEqual([
+      ['contract_term_months', 12, 24],
+      ['expires_at', '2026-03-01', '2026-04-01']
+    ])
+    expect(diff.has_changes).toBe(true)
+  })
+
+  it('prefers the stored line total and leaves range items without an amount', () => {
+    expect(lineItemAmount({ quantity: 2, unit_price: 50, line_total: 120 })).toBe(120)
+    expect(lineItemAmount({ quantity: 2, unit_price: 50 })).toBe(100)
+    expect(lineItemAmount({ unit: 'range', range_low: 100, range_high: 200 })).toBeNull()
+  })
+})
@@ -0,0 +1,162 @@
+/**
+ * Route Optimizer Tests
+ * Multi-rep planning: stop partitioning, workload balance, must-visit stops, time windows and unassigned reasons
+ * Live re-planning of the remaining route from the rep's position and the current time
+ */
+
+import { describe, it, expect } from 'vitest'
+import { generateMultiRepPlan, replanRoute, UNASSIGNED_REASONS } from '../../js/route-optimizer.js'
+
+// Two clusters about 10 km apart, on either side of downtown
+const west = { lat: 43.6532, lng: -79.5000 }
+const east = { lat: 43.6532, lng: -79.2600 }
+
+function cluster(prefix, center, count) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `${prefix}-${i}`,
+    lat: center.lat + (i % 3) * 0.002,
+    lng: center.lng + Math.floor(i / 3) * 0.002,
+    priority: 3
+  }))
+}
+
+const reps = [
+  { id: 'rep-west', name: 'West', startPoint: west },
+  { id: 'rep-east', name: 'East', startPoint: east }
+]
+
+const constraints = { shiftStartMinutes: 540, shiftEndMinutes: 1020, lunchBreakStart: 720, lunchBreakDuration: 30, serviceDurationMinutes: 15 }
+
+describe('Multi-rep route planning', () => {
+  it('partitions stops between reps by location and balances the day', () => {
+    const stops = [...cluster('w', west, 6), ...cluster('e', east, 6)]
+    const plan = generateMultiRepPlan({ stops, reps, constraints })
+
+    expect(plan.success).toBe(true)
+    expect(plan.stats.assignedStops).toBe(12)
+    expect(plan.unassigned).toEqual([])
+
+    const [westRoute, eastRoute] = plan.routes
+    expect(westRoute.route.every(entry => entry.stop.id.startsWith('w-'))).toBe(true)
+    expect(eastRoute.route.every(entry => entry.stop.id.startsWith('e-'))).toBe(true)
+    expect(plan.stats.workload.imbalance).toBeLessThan(0.25)
+    expect(westRoute.route.map(entry => entry.orderIndex)).toEqual([0, 1, 2, 3, 4, 5])
+  })
+
+  it('spreads a single cluster across reps instead of loading one', () => {
+    const plan = generateMultiRepPlan({ stops: cluster('w', west, 10), reps: [reps[0], { ...reps[1], startPoint: west }], constraints })
+    expect(plan.routes[0].route.length).toBeGreaterThanOrEqual(4)
+    expect(plan.routes[1].route.length).toBeGreaterThanOrEqual(4)
+  })
+
+  it('respects capacity and reports what did not fit', () => {
+    const plan = generateMultiRepPlan({
+      stops: cluster('w', west, 9),
+      reps: reps.map(rep => ({ ...rep, capacity: 3 })),
+      constraints
+    })
+    expect(plan.stats.assignedStops).toBe(6)
+    expect(plan.unassigned).toHaveLength(3)
+    expect(plan.unassigned.every(entry => entry.reason === UNASSIGNED_REASONS.CAPACITY)).toBe(true)
+  })
+
+  it('places must-visit stops first and keeps their time windows', () => {
+    const appointment = { id: 'apt', lat: east.lat, lng: east.lng + 0.01, mustVisit: true, timeWindowStartMinutes: 600, timeWindowEndMinutes: 630, serviceDurationMinutes: 30 }
+    const plan = generateMultiRepPlan({
+      stops: [...cluster('e', east, 12), appointment],
+      reps: reps.map(rep => ({ ...rep, capacity: 6 })),
+      constraints
+    })
+
+    const scheduled = plan.routes.flatMap(route => route.route).find(entry => entry.stop.id === 'apt')
+    expect(scheduled).toBeDefined()
+    expect(scheduled.plannedStartMinutes).toBeGreaterThanOrEqual(600)
+    expect(scheduled.arrivalTimeMinutes).toBeLessThanOrEqual(630)
+    expect(plan.stats.mustVisitUnassigned).toBe(0)
+  })
+
+  it('explains stops that cannot be reached in time or are not routable', () => {
+    const plan = generateMultiRepPlan({
+      stops: [
+        { id: 'too-early', lat: east.lat, lng: east.lng, mustVisit: true, timeWindowStartMinutes: 400, timeWindowEndMinutes: 420 },
+        { id: 'after-hours', lat: east.lat, lng: east.lng, serviceDurationMinutes: 600 },
+        { id: 'no-coords', lat: null, lng: null },
+        { id: 'dnc', lat: west.lat, lng: west.lng, doNotContact: true },
+        { id: 'pinned', lat: west.lat, lng: west.lng, assignedRepId: 'rep-north' }
+      ],
+      reps,
+      constraints
+    })
+
+    const reasons = Object.fromEntries(plan.unassigned.map(entry => [entry.stopId, entry.reason]))
+    expect(reasons).toEqual({
+      'too-early': UNASSIGNED_REASONS.TIME_WINDOW,
+      'after-hours': UNASSIGNED_REASONS.SHIFT_END,
+      'no-coords': UNASSIGNED_REASONS.MISSING_COORDINATES,
+      dnc: UNASSIGNED_REASONS.DO_NOT_CONTACT,
+      pinned: UNASSIGNED_REASONS.ASSIGNED_REP_UNAVAILABLE
+    })
+    expect(plan.unassigned.every(entry => entry.message)).toBe(true)
+  })
+
+  it('only gives a pinned stop to its rep and uses per-rep shift windows', () => {
+    const plan = generateMultiRepPlan({
+      stops: [{ id: 'pinned', lat: west.lat, lng: west.lng, assignedRepId: 'rep-east' }],
+      reps: [reps[0], { ...reps[1], shiftStartMinutes: 600, shiftEndMinutes: 900 }],
+      constraints
+    })
+    expect(plan.routes[1].route.map(entry => entry.stop.id)).toEqual(['pinned'])
+    expect(plan.routes[1].route[0].arrivalTimeMinutes).toBeGreaterThan(600)
+  })
+
+  it('requires reps and stops', () => {
+    expect(generateMultiRepPlan({ stops: cluster('w', west, 2), reps: [] }).success).toBe(false)
+    expect(generateMultiRepPlan({ stops: [], reps }).success).toBe(false)
+  })
+})
+
+describe('Re-planning the remaining route', () => {
+  // Doors strung out east of the west cluster, listed far-to-near so the old order zig-zags
+  const doors = [
+    { id: 'd-far', lat: west.lat, lng: west.lng + 0.06 },
+    { id: 'd-near', lat: west.lat, lng: west.lng + 0.005 },
+    { id: 'd-mid', lat: west.lat, lng: west.lng + 0.03 }
+  ]
+
+  it('reorders doors from the current position when there is time for all of them', () => {
+    const result = replanRoute({ stops: doors, currentPosition: west, currentMinutes: 600, constraints })
+
+    expect(result.success).toBe(true)
+    expect(result.route.map(entry => entry.stop.id)).toEqual(['d-near', 'd-mid', 'd-far'])
+    expect(result.dropped).toEqual([])
+    expect(result.reordered.map(entry => entry.stopId)).toEqual(['d-near', 'd-mid', 'd-far'])
+    expect(result.route[0].arrivalTimeMinutes).toBeGreaterThanOrEqual(600)
+    expect(result.behindSchedule).toBe(false)
+  })
+
+  it('drops what no longer fits before the end of the shift and flags the old order as behind', () => {
+    const result = replanRoute({
+      stops: doors.map(door => ({ ...door, serviceDurationMinutes: 20 })),
+      currentPosition: west,
+      currentMinutes: 975,
+      constraints
+    })
+
+    expect(result.behindSchedule).toBe(true)
+    expect(result.route.length).toBeGreaterThan(0)
+    expect(result.dropped.length).toBeGreaterThan(0)
+    expect(result.dropped.every(entry => entry.reason === UNASSIGNED_REASONS.SHIFT_END)).toBe(true)
+    expect(result.route[0].stop.id).toBe('d-near')
+  })
+
+  it('keeps the remaining stop limit', () => {
+    const result = replanRoute({ stops: doors, currentPosition: west, currentMinutes: 600, constraints: { ...constraints, maxStops: 1 } })
+    expect(result.route).toHaveLength(1)
+    expect(result.dropped.map(entry => entry.reason)).toEqual([UNASSIGNED_REASONS.CAPACITY, UNASSIGNED_REASONS.CAPACITY])
+  })
+
+  it('needs a position and stops', () => {
+    expect(replanRoute({ stops: doors, currentPosition: null, currentMinutes: 600 }).success).toBe(false)
+    expect(replanRoute({ stops: [], currentPosition: west, currentMinutes: 600 }).success).toBe(false)
+  })
+})
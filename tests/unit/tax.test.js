@@ -0,0 +1,124 @@
+/**
+ * Tax Engine Tests
+ * Jurisdiction resolution, stacked/compound taxes, exemptions and quote integration
+ */
+
+import { describe, it, expect } from 'vitest'
+import { calculateQuote } from '../../js/quote-engine/calculator.js'
+import {
+  resolveTaxJurisdiction,
+  calculateTaxes,
+  formatTaxLineLabel,
+  inferRegionFromAddress,
+  summarizeTaxCollected
+} from '../../js/tax-engine/calculator.js'
+
+const officeInputs = {
+  service_type: 'commercial_office',
+  sqft_estimate: 1500,
+  frequency_per_month: 4,
+  num_washrooms: 2,
+  has_kitchen: true
+}
+
+describe('Tax Engine', () => {
+  describe('calculateTaxes', () => {
+    it('charges GST and QST as separate stacked lines in Quebec', () => {
+      const result = calculateTaxes(1000, resolveTaxJurisdiction({ country: 'CA', region: 'QC' }))
+      expect(result.jurisdiction).toBe('CA-QC')
+      expect(result.lines.map(l => [l.code, l.taxable_amount, l.amount])).toEqual([
+        ['GST', 1000, 50],
+        ['QST', 1000, 99.75]
+      ])
+      expect(result.total_tax).toBe(149.75)
+    })
+
+    it('charges GST only in Alberta', () => {
+      const result = calculateTaxes(1000, resolveTaxJurisdiction({ country: 'CA', region: 'AB' }))
+      expect(result.lines).toHaveLength(1)
+      expect(result.total_tax).toBe(50)
+    })
+
+    it('charges compound components on subtotal plus earlier taxes', () => {
+      const jurisdiction = resolveTaxJurisdiction({ country: 'US', region: 'NY' }, [
+        { country: 'US', region: 'NY', code: 'STATE', name: 'NY State', rate: 0.04, sort_order: 0 },
+        { country: 'US', region: 'NY', code: 'LOCAL', name: 'Local', rate: 0.05, compound: true, sort_order: 1 }
+      ])
+      const result = calculateTaxes(1000, jurisdiction)
+      expect(result.lines[1].taxable_amount).toBe(1040)
+      expect(result.lines[1].amount).toBe(52)
+      expect(result.total_tax).toBe(92)
+    })
+
+    it('exempts fully and partially exempt clients', () => {
+      const bc = resolveTaxJurisdiction({ country: 'CA', region: 'BC' })
+      expect(calculateTaxes(1000, bc, { exempt: true, exemption_number: 'EX-1' })).toMatchObject({
+        lines: [],
+        total_tax: 0,
+        exempted_codes: ['GST', 'PST'],
+        exemption_number: 'EX-1'
+      })
+      expect(calculateTaxes(1000, bc, { exempt_tax_codes: ['pst'] }).total_tax).toBe(50)
+    })
+
+    it('flags US states without configured rates', () => {
+      const jurisdiction = resolveTaxJurisdiction({ country: 'US', region: 'TX' })
+      const result = calculateTaxes(1000, jurisdiction)
+      expect(jurisdiction.configured).toBe(false)
+      expect(result.total_tax).toBe(0)
+    })
+  })
+
+  describe('helpers', () => {
+    it('formats tax line labels', () => {
+      expect(formatTaxLineLabel({ name: 'QST', rate: 0.09975 })).toBe('QST (9.975%)')
+      expect(formatTaxLineLabel({ name: 'HST', rate: 0.13 })).toBe('HST (13%)')
+    })
+
+    it('infers province or state from an address', () => {
+      expect(inferRegionFromAddress('1 Rue Sainte-Catherine, Montréal, QC H2X 1Z4')).toEqual({ country: 'CA', region: 'QC' })
+      expect(inferRegionFromAddress('10 Main St, Buffalo, NY 14201')).toEqual({ country: 'US', region: 'NY' })
+      expect(inferRegionFromAddress('200 Jasper Ave, Edmonton, Alberta')).toEqual({ country: 'CA', region: 'AB' })
+      expect(inferRegionFromAddress('Unit 4')).toBeNull()
+    })
+
+    it('prefers a trailing region code over names in the street, and longer names over shorter ones', () => {
+      expect(inferRegionFromAddress('123 Washington Ave, Toronto, ON')).toEqual({ country: 'CA', region: 'ON' })
+      expect(inferRegionFromAddress('55 Capitol St, Charleston, West Virginia')).toEqual({ country: 'US', region: 'WV' })
+      expect(inferRegionFromAddress('9 Pine Rd, Richmond, Virginia')).toEqual({ country: 'US', region: 'VA' })
+      expect(inferRegionFromAddress('400 Broad St, Seattle, WA')).toEqual({ country: 'US', region: 'WA' })
+    })
+
+    it('summarizes tax collected by jurisdiction and code', () => {
+      const qc = calculateTaxes(100, resolveTaxJurisdiction({ region: 'QC' }))
+      const on = calculateTaxes(200, resolveTaxJurisdiction({ region: 'ON' }))
+      const rows = summarizeTaxCollected([
+        { tax_jurisdiction: qc.jurisdiction, tax_lines: qc.lines },
+        { tax_jurisdiction: qc.jurisdiction, tax_lines: qc.lines },
+        { tax_jurisdiction: on.jurisdiction, tax_lines: on.lines }
+      ])
+      expect(rows.map(r => [r.jurisdiction, r.code, r.tax_collected, r.document_count])).toEqual([
+        ['CA-ON', 'HST', 26, 1],
+        ['CA-QC', 'GST', 10, 2],
+        ['CA-QC', 'QST', 19.96, 2]
+      ])
+    })
+  })
+
+  describe('calculateQuote', () => {
+    it('keeps HST at the pricebook rate when no region is given', () => {
+      const result = calculateQuote(officeInputs)
+      expect(result.tax_lines).toHaveLength(1)
+      expect(result.tax_lines[0].code).toBe('HST')
+      expect(result.hst_amount).toBe(Math.round(result.monthly_price_ex_hst * 0.13 * 100) / 100)
+    })
+
+    it('returns one line per tax for the site region', () => {
+      const result = calculateQuote({ ...officeInputs, tax_country: 'CA', tax_region: 'QC' })
+      expect(result.tax_jurisdiction).toBe('CA-QC')
+      expect(result.tax_lines.map(l => l.code)).toEqual(['GST', 'QST'])
+      expect(result.hst_amount).toBe(result.tax_lines[0].amount + result.tax_lines[1].amount)
+      expect(result.monthly_price_inc_hst).toBe(Math.round((result.monthly_price_ex_hst + result.hst_amount) * 100) / 100)
+    })
+  })
+})
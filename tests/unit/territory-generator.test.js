@@ -0,0 +1,157 @@
+/**
+ * Territory Generator Tests
+ * Clustering points into capped territories, GeoJSON output, and rebalancing when reps join or leave
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  territoryPointsFrom,
+  territoryPolygon,
+  generateTerritories,
+  rebalanceTerritories,
+  proposalsToFeatureCollection
+} from '../../js/territory-generator.js'
+import { geometriesOverlap } from '../../js/territory-geometry.js'
+
+// Grid of door targets around a centre, about 100 m apart
+function doorGrid(prefix, center, size) {
+  const doors = []
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      doors.push({ id: `${prefix}-${row}-${col}`, latitude: center.lat + row * 0.001, longitude: center.lng + col * 0.001 })
+    }
+  }
+  return doors
+}
+
+const west = { lat: 43.6532, lng: -79.5000 }
+const east = { lat: 43.6532, lng: -79.2600 }
+
+// Same ray-casting test territory-management.js uses for membership
+function contains(polygon, point) {
+  const ring = polygon.coordinates[0]
+  let inside = false
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i]
+    const [xj, yj] = ring[j]
+    if (((yi > point.lat) !== (yj > point.lat)) && (point.lng < (xj - xi) * (point.lat - yi) / (yj - yi) + xi)) inside = !inside
+  }
+  return inside
+}
+
+describe('Territory generator', () => {
+  const points = territoryPointsFrom({
+    doors: [...doorGrid('w', west, 5), ...doorGrid('e', east, 5)],
+    leads: [{ id: 'l1', latitude: west.lat, longitude: west.lng + 0.002 }, { id: 'no-location', latitude: null, longitude: null }],
+    sites: [{ id: 's1', latitude: east.lat, longitude: east.lng, deal_value: 12000 }]
+  })
+
+  it('builds points with expected values from doors, leads and sites', () => {
+    expect(points).toHaveLength(52)
+    expect(points.find(point => point.id === 'lead:l1')).toMatchObject({ kind: 'lead', value: 3 })
+    expect(points.find(point => point.id === 'site:s1')).toMatchObject({ kind: 'site', value: 12 })
+  })
+
+  it('splits separate neighbourhoods into their own territories', () => {
+    const result = generateTerritories({ points, count: 2 })
+    expect(result.success).toBe(true)
+    expect(result.territories).toHaveLength(2)
+
+    const westTerritory = result.territories.find(t => t.pointIds.includes('door:w-0-0'))
+    expect(westTerritory.pointIds.every(id => id.startsWith('door:w') || id === 'lead:l1')).toBe(true)
+    expect(westTerritory.stats).toMatchObject({ doors: 25, leads: 1, sites: 0 })
+  })
+
+  it('outputs GeoJSON polygons containing every assigned point', () => {
+    const result = generateTerritories({ points, count: 2 })
+    for (const territory of result.territories) {
+      expect(territory.geojson.type).toBe('Polygon')
+      const ring = territory.geojson.coordinates[0]
+      expect(ring[0]).toEqual(ring[ring.length - 1])
+      for (const id of territory.pointIds) {
+        expect(contains(territory.geojson, points.find(point => point.id === id))).toBe(true)
+      }
+    }
+
+    const collection = proposalsToFeatureCollection(result.territories)
+    expect(collection.type).toBe('FeatureCollection')
+    expect(collection.features[0].properties).toHaveProperty('doors')
+  })
+
+  it('keeps every territory under the door limit, adding territories when needed', () => {
+    const result = generateTerritories({ points, count: 2, maxDoorsPerTerritory: 15 })
+    expect(result.diagnostics.countRaised).toBe(true)
+    expect(result.territories.length).toBeGreaterThanOrEqual(4)
+    for (const territory of result.territories) {
+      expect(territory.stats.doors + territory.stats.leads).toBeLessThanOrEqual(15)
+    }
+    expect(result.unassigned).toHaveLength(0)
+  })
+
+  it('trims the padding so neighbouring territories do not overlap', () => {
+    const block = territoryPointsFrom({ doors: doorGrid('b', west, 30) })
+    const result = generateTerritories({ points: block, count: 4 })
+    expect(result.territories).toHaveLength(4)
+
+    result.territories.forEach((territory, k) => {
+      for (const other of result.territories.slice(k + 1)) {
+        expect(geometriesOverlap(territory.geojson, other.geojson)).toBe(false)
+      }
+      for (const id of territory.pointIds) {
+        expect(contains(territory.geojson, block.find(point => point.id === id))).toBe(true)
+      }
+    })
+  })
+
+  it('pads single-point territories', () => {
+    const polygon = territoryPolygon([{ lat: west.lat, lng: west.lng }])
+    expect(polygon.coordinates[0]).toHaveLength(5)
+    expect(contains(polygon, west)).toBe(true)
+  })
+
+  it('reports areas with nothing to cluster', () => {
+    expect(generateTerritories({ points: [] }).success).toBe(false)
+  })
+})
+
+describe('Territory rebalancing', () => {
+  const points = territoryPointsFrom({ doors: [...doorGrid('w', west, 4), ...doorGrid('e', east, 4)] })
+  const { territories: proposals } = generateTerritories({ points, count: 2 })
+  const territories = proposals.map((proposal, i) => ({ id: `t${i}`, name: proposal.name, color: proposal.color, geojson: proposal.geojson }))
+  const westId = territories[proposals.findIndex(p => p.pointIds.includes('door:w-0-0'))].id
+  const eastId = territories.find(t => t.id !== westId).id
+  const assignments = [
+    { territory_id: westId, rep_user_id: 'rep-west', is_primary: true },
+    { territory_id: eastId, rep_user_id: 'rep-east', is_primary: true }
+  ]
+
+  it('keeps existing territories and carves one out for a new rep', () => {
+    const result = rebalanceTerritories({
+      territories,
+      assignments,
+      reps: [{ id: 'rep-west', name: 'West' }, { id: 'rep-east', name: 'East' }, { id: 'rep-new', name: 'New' }],
+      points,
+      maxDoorsPerTerritory: 12
+    })
+
+    expect(result.success).toBe(true)
+    expect(result.retired).toEqual([])
+    expect(result.territories.find(t => t.repId === 'rep-west').territoryId).toBe(westId)
+    expect(result.territories.find(t => t.repId === 'rep-east').territoryId).toBe(eastId)
+
+    const added = result.territories.find(t => t.repId === 'rep-new')
+    expect(added.territoryId).toBeNull()
+    expect(added.name).toBe('New Territory')
+    expect(added.stats.doors).toBeGreaterThan(0)
+    expect(added.movedPoints).toBe(added.stats.doors)
+  })
+
+  it('retires the territory of a rep who left and hands over their doors', () => {
+    const result = rebalanceTerritories({ territories, assignments, reps: [{ id: 'rep-west', name: 'West' }], points })
+
+    expect(result.retired).toEqual([{ id: eastId, name: territories.find(t => t.id === eastId).name }])
+    expect(result.territories).toHaveLength(1)
+    expect(result.territories[0]).toMatchObject({ territoryId: westId, movedPoints: 16 })
+    expect(result.territories[0].stats.doors).toBe(32)
+  })
+})
@@ -0,0 +1,105 @@
+/**
+ * Territory Geometry Tests
+ * Polygons with holes, MultiPolygons and Features, overlap detection, and R-tree point lookup
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  toPolygons,
+  isPointInGeometry,
+  geometryBounds,
+  geometriesOverlap,
+  findOverlappingTerritories,
+  TerritoryIndex
+} from '../../js/territory-geometry.js'
+
+// Axis-aligned square ring in [lng, lat]
+const square = (lng, lat, size) => [[lng, lat], [lng + size, lat], [lng + size, lat + size], [lng, lat + size], [lng, lat]]
+
+// 1° square with a lake (hole) in the middle
+const withHole = { type: 'Polygon', coordinates: [square(-80, 43, 1), square(-79.75, 43.25, 0.5)] }
+const twoParts = { type: 'MultiPolygon', coordinates: [[square(-80, 43, 1)], [square(-78, 43, 1)]] }
+
+describe('Territory geometry', () => {
+  it('excludes points inside holes', () => {
+    expect(isPointInGeometry(43.1, -79.9, withHole)).toBe(true)
+    expect(isPointInGeometry(43.5, -79.5, withHole)).toBe(false)
+    expect(isPointInGeometry(44.5, -79.5, withHole)).toBe(false)
+  })
+
+  it('checks every part of a MultiPolygon', () => {
+    expect(isPointInGeometry(43.5, -79.5, twoParts)).toBe(true)
+    expect(isPointInGeometry(43.5, -77.5, twoParts)).toBe(true)
+    expect(isPointInGeometry(43.5, -78.5, twoParts)).toBe(false)
+    expect(geometryBounds(twoParts)).toEqual({ minLat: 43, maxLat: 44, minLng: -80, maxLng: -77 })
+  })
+
+  it('reads Features, FeatureCollections and legacy untyped polygons', () => {
+    const feature = { type: 'Feature', properties: {}, geometry: withHole }
+    expect(isPointInGeometry(43.5, -79.5, feature)).toBe(false)
+    expect(isPointInGeometry(43.1, -79.9, feature)).toBe(true)
+    expect(toPolygons({ type: 'FeatureCollection', features: [feature, { type: 'Feature', geometry: twoParts }] })).toHaveLength(3)
+    expect(isPointInGeometry(43.5, -79.5, { coordinates: [square(-80, 43, 1)] })).toBe(true)
+    expect(toPolygons(null)).toEqual([])
+  })
+
+  it('detects overlapping territories but not ones that only share an edge', () => {
+    const base = { type: 'Polygon', coordinates: [square(-80, 43, 1)] }
+    expect(geometriesOverlap(base, { type: 'Polygon', coordinates: [square(-79.5, 43.5, 1)] })).toBe(true)
+    expect(geometriesOverlap(base, { type: 'Polygon', coordinates: [square(-79, 43, 1)] })).toBe(false)
+    expect(geometriesOverlap(base, { type: 'Polygon', coordinates: [square(-79.9, 43.1, 0.2)] })).toBe(true)
+    expect(geometriesOverlap(base, base)).toBe(true)
+
+    // Sitting inside the lake is not an overlap
+    expect(geometriesOverlap(withHole, { type: 'Polygon', coordinates: [square(-79.6, 43.4, 0.2)] })).toBe(false)
+  })
+
+  it('lists the territories a new shape would overlap', () => {
+    const territories = [
+      { id: 'a', name: 'A', geojson: { type: 'Polygon', coordinates: [square(-80, 43, 1)] } },
+      { id: 'b', name: 'B', geojson: { type: 'Polygon', coordinates: [square(-78, 43, 1)] } }
+    ]
+    const shape = { type: 'Polygon', coordinates: [square(-79.5, 43.2, 0.6)] }
+    expect(findOverlappingTerritories(shape, territories).map(t => t.id)).toEqual(['a'])
+    expect(findOverlappingTerritories(shape, territories, { excludeId: 'a' })).toEqual([])
+  })
+})
+
+describe('Territory index', () => {
+  // 30 x 30 grid of 0.1° territories
+  const territories = []
+  for (let row = 0; row < 30; row++) {
+    for (let col = 0; col < 30; col++) {
+      territories.push({ id: `${row}-${col}`, geojson: { type: 'Polygon', coordinates: [square(-80 + col * 0.1, 43 + row * 0.1, 0.1)] } })
+    }
+  }
+
+  it('finds the same territory as a linear scan', () => {
+    const index = new TerritoryIndex(territories)
+    expect(index.size).toBe(900)
+
+    for (let i = 0; i < 200; i++) {
+      const lat = 42.95 + ((i * 7919) % 3100) / 1000
+      const lng = -80.05 + ((i * 104729) % 3100) / 1000
+      const linear = territories.find(t => isPointInGeometry(lat, lng, t.geojson)) || null
+      expect(index.find(lat, lng)).toBe(linear)
+    }
+  })
+
+  it('prefers the earliest territory where they overlap and assigns points in bulk', () => {
+    const big = { id: 'big', geojson: { type: 'Polygon', coordinates: [square(-81, 42, 5)] } }
+    const index = new TerritoryIndex([territories[0], big])
+    expect(index.find(43.05, -79.95).id).toBe('0-0')
+    expect(index.findAll(43.05, -79.95).map(t => t.id)).toEqual(['0-0', 'big'])
+
+    const assigned = index.assign([{ lat: 43.05, lng: -79.95 }, { latitude: 44, longitude: -78 }, { lat: 10, lng: 10 }])
+    expect(assigned.map(t => t?.id ?? null)).toEqual(['0-0', 'big', null])
+  })
+
+  it('handles holes and MultiPolygons', () => {
+    const index = new TerritoryIndex([{ id: 'lake', geojson: withHole }, { id: 'parts', geojson: twoParts }])
+    expect(index.find(43.5, -79.5).id).toBe('parts')
+    expect(index.find(43.5, -77.5).id).toBe('parts')
+    expect(new TerritoryIndex([]).find(43.5, -79.5)).toBeNull()
+  })
+})
@@ -0,0 +1,87 @@
+/**
+ * Quote Tier Tests
+ * Good / Better / Best package generation from the quote engine
+ */
+
+import { describe, it, expect } from 'vitest'
+import { QUOTE_CONFIG, PRICEBOOK_DEFAULTS } from '../../js/quote-engine/config.js'
+import { hydratePricebookConfig, serializePricebookConfig, validatePricebookConfig } from '../../js/quote-engine/pricebook.js'
+import {
+  calculateTieredQuote,
+  toRevisionTierOptions,
+  toTieredLineItems,
+  resolveTierOption
+} from '../../js/quote-engine/tiers.js'
+
+const officeInputs = {
+  service_type: 'commercial_office',
+  sqft_estimate: 1500,
+  frequency_per_month: 4,
+  num_washrooms: 2,
+  has_kitchen: true
+}
+
+describe('Quote Tiers', () => {
+  it('prices three distinct, increasing packages for an office', () => {
+    const result = calculateTieredQuote(officeInputs)
+
+    expect(result.status).toBe('quote')
+    expect(result.tiers.map(tier => tier.key)).toEqual(['good', 'better', 'best'])
+    expect(result.recommended_tier).toBe('better')
+
+    const prices = result.tiers.map(tier => tier.monthly_price_ex_hst)
+    expect(prices[0]).toBeLessThan(prices[1])
+    expect(prices[1]).toBeLessThan(prices[2])
+  })
+
+  it('adds each tier scope to the base scope bullets', () => {
+    const [good, better] = calculateTieredQuote(officeInputs).tiers
+    const extra = PRICEBOOK_DEFAULTS.tiers[1].scope[0]
+
+    expect(good.scope).not.toContain(extra)
+    expect(better.scope).toContain(extra)
+  })
+
+  it('returns no tiers when a walkthrough is required', () => {
+    const result = calculateTieredQuote({ ...officeInputs, frequency_per_month: 100 })
+
+    expect(result.status).toBe('requires_walkthrough')
+    expect(result.tiers).toEqual([])
+  })
+
+  it('builds revision tier options and tagged line items', () => {
+    const result = calculateTieredQuote(officeInputs)
+    const options = toRevisionTierOptions(result)
+
+    expect(options).toHaveLength(result.tiers.length)
+    expect(options[1]).toMatchObject({
+      key: 'better',
+      subtotal: result.tiers[1].monthly_price_ex_hst,
+      total: result.tiers[1].monthly_price_inc_hst,
+      recommended: true
+    })
+
+    const items = toTieredLineItems(result)
+    expect(items.length).toBeGreaterThan(0)
+    expect(new Set(items.map(item => item.tier))).toEqual(new Set(['good', 'better', 'best']))
+  })
+
+  it('resolves the selected tier, falling back to the recommended one', () => {
+    const options = toRevisionTierOptions(calculateTieredQuote(officeInputs))
+
+    expect(resolveTierOption(options, 'best').key).toBe('best')
+    expect(resolveTierOption(options, 'missing').key).toBe('better')
+    expect(resolveTierOption([], 'best')).toBeNull()
+  })
+
+  it('rejects pricebooks with invalid tiers', () => {
+    const config = hydratePricebookConfig(serializePricebookConfig(QUOTE_CONFIG))
+    config.tiers = [config.tiers[0], { ...config.tiers[0] }]
+    config.recommendedTier = 'gold'
+
+    const { valid, errors } = validatePricebookConfig(config)
+    expect(valid).toBe(false)
+    expect(errors).toContain('tiers[1]: duplicate key "good"')
+    expect(errors).toContain('recommendedTier: "gold" is not a tier key')
+  })
+})
@@ -0,0 +1,111 @@
+/**
+ * Travel Time Provider Tests
+ * OSRM and matrix file providers, per-pair/hour-bucket caching, haversine fallback and plan diagnostics
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  TravelTimeCache,
+  createOsrmProvider,
+  createMatrixFileProvider,
+  loadTravelTimes,
+  getShiftHours
+} from '../../js/travel-time-provider.js'
+import { DEFAULT_CONFIG, calculateTravelTime, generateRoutePlan } from '../../js/route-optimizer.js'
+
+const a = { lat: 43.6532, lng: -79.3832 }
+const b = { lat: 43.6700, lng: -79.3900 }
+const c = { lat: 43.7000, lng: -79.4000 }
+
+// Fake OSRM /table response: every leg takes 10 minutes and 5 km
+function fakeOsrm() {
+  const calls = []
+  const fetchImpl = async (url) => {
+    calls.push(url)
+    const params = new URL(url).searchParams
+    const sources = params.get('sources').split(';')
+    const destinations = params.get('destinations').split(';')
+    return {
+      ok: true,
+      json: async () => ({
+        code: 'Ok',
+        durations: sources.map(() => destinations.map(() => 600)),
+        distances: sources.map(() => destinations.map(() => 5000))
+      })
+    }
+  }
+  return { calls, fetchImpl }
+}
+
+describe('Travel time providers', () => {
+  it('fills the cache from OSRM and scales free-flow times by the hour bucket', async () => {
+    const { calls, fetchImpl } = fakeOsrm()
+    const cache = new TravelTimeCache()
+    await loadTravelTimes({
+      points: [a, b, c],
+      hours: [8, 12],
+      providers: [createOsrmProvider({ baseUrl: 'http://osrm.local/', fetchImpl })],
+      cache,
+      config: DEFAULT_CONFIG
+    })
+
+    expect(calls).toHaveLength(1)
+    expect(calls[0]).toContain('http://osrm.local/table/v1/driving/-79.3832,43.6532;')
+    expect(cache.size).toBe(18)
+
+    const config = { ...DEFAULT_CONFIG, travelTimeCache: cache }
+    expect(calculateTravelTime(a.lat, a.lng, b.lat, b.lng, 12, config)).toBe(10)
+    expect(calculateTravelTime(a.lat, a.lng, b.lat, b.lng, 8, config)).toBe(13)
+    expect(cache.describe().provider).toBe('osrm')
+  })
+
+  it('does not refetch pairs it already has', async () => {
+    const { calls, fetchImpl } = fakeOsrm()
+    const cache = new TravelTimeCache()
+    const providers = [createOsrmProvider({ baseUrl: 'http://osrm.local', fetchImpl })]
+    await loadTravelTimes({ points: [a, b], hours: [12], providers, cache, config: DEFAULT_CONFIG })
+    await loadTravelTimes({ points: [b, a], hours: [12], providers, cache, config: DEFAULT_CONFIG })
+    expect(calls).toHaveLength(1)
+  })
+
+  it('uses a matrix file first and falls back for pairs it does not cover', async () => {
+    const matrix = createMatrixFileProvider({
+      points: [a, b],
+      minutes: [[0, 20], [20, 0]],
+      buckets: { morning: { minutes: [[0, 35], [35, 0]] } }
+    })
+    const failingOsrm = createOsrmProvider({
+      baseUrl: 'http://osrm.local',
+      fetchImpl: async () => ({ ok: false, status: 503 })
+    })
+    const cache = new TravelTimeCache()
+    await loadTravelTimes({ points: [a, b, c], hours: [8, 12], providers: [matrix, failingOsrm], cache, config: DEFAULT_CONFIG })
+
+    const config = { ...DEFAULT_CONFIG, travelTimeCache: cache }
+    expect(calculateTravelTime(a.lat, a.lng, b.lat, b.lng, 12, config)).toBe(20)
+    expect(calculateTravelTime(a.lat, a.lng, b.lat, b.lng, 8, config)).toBe(35)
+    expect(calculateTravelTime(a.lat, a.lng, c.lat, c.lng, 12, config)).toBe(calculateTravelTime(a.lat, a.lng, c.lat, c.lng, 12, DEFAULT_CONFIG))
+    expect(cache.errors.map(error => error.provider)).toEqual(['osrm', 'osrm'])
+  })
+
+  it('reports the provider in route plan diagnostics', async () => {
+    const { fetchImpl } = fakeOsrm()
+    const cache = new TravelTimeCache()
+    const constraints = { shiftStartMinutes: 540, shiftEndMinutes: 1020 }
+    const stops = [{ id: 's1', ...b }, { id: 's2', ...c }]
+    await loadTravelTimes({
+      points: [a, ...stops],
+      hours: getShiftHours(constraints),
+      providers: [createOsrmProvider({ baseUrl: 'http://osrm.local', fetchImpl })],
+      cache,
+      config: DEFAULT_CONFIG
+    })
+
+    const withProvider = generateRoutePlan({ stops, startPoint: a, constraints, config: { ...DEFAULT_CONFIG, travelTimeCache: cache } })
+    expect(withProvider.diagnostics.travelTime.provider).toBe('osrm')
+    expect(withProvider.diagnostics.travelTime.fallbackLookups).toBe(0)
+
+    const haversineOnly = generateRoutePlan({ stops, startPoint: a, constraints })
+    expect(haversineOnly.diagnostics.travelTime.provider).toBe('haversine')
+  })
+})
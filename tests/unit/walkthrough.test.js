@@ -0,0 +1,76 @@
+/**
+ * Walkthrough Measurement Tests
+ * Room validation, roll-up into measured inputs and the final quote's calculator inputs
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  applyMeasuredInputs,
+  dominantFlooring,
+  rollupWalkthroughRooms,
+  validateRoom
+} from '../../js/quote-engine/walkthrough.js'
+
+const rooms = [
+  { name: 'Reception', zone: 'Main floor', room_type: 'reception', sqft: 300, flooring: 'hard', fixtures: {} },
+  { name: 'Open office', zone: 'Main floor', room_type: 'open_area', sqft: 2000, flooring: 'carpet', fixtures: { windows: 6 }, photo_urls: ['w/r/1.jpg'] },
+  { name: "Men's washroom", zone: 'Main floor', room_type: 'washroom', sqft: 120, flooring: 'hard', fixtures: { toilets: 2, urinals: 2, sinks: 2 } },
+  { name: "Women's washroom", zone: 'Main floor', room_type: 'washroom', sqft: 120, flooring: 'hard', fixtures: { toilets: 3, sinks: 2 } },
+  { name: 'Break room', zone: 'Lower level', room_type: 'kitchen', sqft: 200, flooring: 'hard', fixtures: { sinks: 1, appliances: 3 }, access_notes: 'Locked after 6 PM, key at security' }
+]
+
+describe('Walkthrough Measurements', () => {
+  it('validates rooms', () => {
+    expect(validateRoom({ name: 'Office', room_type: 'office', sqft: 200, flooring: 'hard' })).toEqual([])
+    expect(validateRoom({ name: '', room_type: 'office' })).toHaveLength(1)
+    expect(validateRoom({ name: 'Office', room_type: 'garage' })).toHaveLength(1)
+    expect(validateRoom({ name: 'Office', room_type: 'office', sqft: -5 })).toHaveLength(1)
+    expect(validateRoom({ name: 'Office', room_type: 'office', fixtures: { sinks: -1 } })).toEqual(['Sinks cannot be negative'])
+  })
+
+  it('weights site flooring by room area', () => {
+    expect(dominantFlooring(rooms)).toBe('mostly_carpet')
+    expect(dominantFlooring([{ sqft: 500, flooring: 'hard' }, { sqft: 100, flooring: 'carpet' }])).toBe('mostly_hard')
+    expect(dominantFlooring([{ sqft: 500, flooring: 'mixed' }])).toBe('mixed')
+    expect(dominantFlooring([{ sqft: 0, flooring: 'hard' }, { name: 'No flooring', sqft: 300 }])).toBeNull()
+  })
+
+  it('rolls rooms up into measured inputs', () => {
+    const measured = rollupWalkthroughRooms(rooms)
+
+    expect(measured).toMatchObject({
+      sqft: 2740,
+      washrooms: 2,
+      kitchens: 1,
+      treatment_rooms: 0,
+      has_reception: true,
+      flooring: 'mostly_carpet',
+      fixtures: { windows: 6, toilets: 5, urinals: 2, sinks: 5, appliances: 3 },
+      zones: ['Main floor', 'Lower level'],
+      room_count: 5,
+      photo_count: 1
+    })
+    expect(measured.access_notes).toEqual([
+      { room: 'Break room', zone: 'Lower level', note: 'Locked after 6 PM, key at security' }
+    ])
+  })
+
+  it('puts the measured values over the draft calculator inputs', () => {
+    const draft = { service_type: 'commercial_office', frequency_per_month: 12, sqft_estimate: 2000, num_washrooms: 1, has_kitchen: false, flooring: 'mostly_hard' }
+    const inputs = applyMeasuredInputs(draft, rollupWalkthroughRooms(rooms))
+
+    expect(inputs).toMatchObject({
+      service_type: 'commercial_office',
+      frequency_per_month: 12,
+      sqft_estimate: 2740,
+      num_washrooms: 2,
+      has_kitchen: true,
+      num_treatment_rooms: 0,
+      has_reception: true,
+      flooring: 'mostly_carpet'
+    })
+    expect(applyMeasuredInputs(draft, null)).toEqual(draft)
+    // Legacy measured inputs without rooms only override what they have
+    expect(applyMeasuredInputs(draft, { sqft: 2500 })).toEqual({ ...draft, sqft_estimate: 2500 })
+  })
+})